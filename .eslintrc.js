@@ -2,6 +2,8 @@ module.exports = {
     extends: ["eslint:recommended", "plugin:jest/recommended"],
     globals: {
         document: true,
+        Float64Array: true,
+        Promise: true,
         Reflect: true,
         window: true,
         Cypress: true,
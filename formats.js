@@ -0,0 +1,2 @@
+// Entry point for "react-d3-graph/formats", see src/formats.
+module.exports = require("./lib/formats");
@@ -39,14 +39,6 @@ var _react = require("react");
 
 var _react2 = _interopRequireDefault(_react);
 
-var _d3Drag = require("d3-drag");
-
-var _d3Force = require("d3-force");
-
-var _d3Selection = require("d3-selection");
-
-var _d3Zoom = require("d3-zoom");
-
 var _graph = require("./graph.const");
 
 var _graph2 = _interopRequireDefault(_graph);
@@ -59,10 +51,22 @@ var _err = require("../../err");
 
 var _err2 = _interopRequireDefault(_err);
 
+var _canvas = require("./canvas.helper");
+
+var canvasHelper = _interopRequireWildcard(_canvas);
+
 var _collapse = require("./collapse.helper");
 
 var collapseHelper = _interopRequireWildcard(_collapse);
 
+var _drag = require("./drag.helper");
+
+var dragHelper = _interopRequireWildcard(_drag);
+
+var _export = require("./export.helper");
+
+var exportHelper = _interopRequireWildcard(_export);
+
 var _graph5 = require("./graph.helper");
 
 var graphHelper = _interopRequireWildcard(_graph5);
@@ -71,10 +75,34 @@ var _graph6 = require("./graph.renderer");
 
 var graphRenderer = _interopRequireWildcard(_graph6);
 
+var _layout = require("./layout.helper");
+
+var layoutHelper = _interopRequireWildcard(_layout);
+
+var _path = require("./path.helper");
+
+var pathHelper = _interopRequireWildcard(_path);
+
+var _selection = require("./selection.helper");
+
+var selectionHelper = _interopRequireWildcard(_selection);
+
+var _simulation = require("./simulation.helper");
+
+var simulationHelper = _interopRequireWildcard(_simulation);
+
+var _zoom = require("./zoom.helper");
+
+var zoomHelper = _interopRequireWildcard(_zoom);
+
 var _utils = require("../../utils");
 
 var _utils2 = _interopRequireDefault(_utils);
 
+var _link = require("../link/link.helper");
+
+var _formats = require("../../formats");
+
 function _interopRequireWildcard(obj) {
     if (obj && obj.__esModule) {
         return obj;
@@ -174,8 +202,9 @@ function _inherits(subClass, superClass) {
  *      window.alert(`Mouse out node ${nodeId}`);
  * };
  *
- * const onClickLink = function(source, target) {
- *      window.alert(`Clicked link between ${source} and ${target}`);
+ * // linkId tells apart parallel links (several links from the same source to the same target)
+ * const onClickLink = function(source, target, linkId) {
+ *      window.alert(`Clicked link ${linkId} between ${source} and ${target}`);
  * };
  *
  * const onRightClickLink = function(event, source, target) {
@@ -190,6 +219,47 @@ function _inherits(subClass, superClass) {
  *      window.alert(`Mouse out link between ${source} and ${target}`);
  * };
  *
+ * const onNodeDragStart = function(node, event) {
+ *      window.alert(`Started dragging node ${node.id}`);
+ * };
+ *
+ * const onNodeDrag = function(node, { x, y }) {
+ *      window.alert(`Dragging node ${node.id} to ${x}, ${y}`);
+ * };
+ *
+ * // called once a drag ends with the final node position
+ * const onNodePositionChange = function(nodeId, x, y) {
+ *      window.alert(`Node ${nodeId} moved to ${x}, ${y}`);
+ * };
+ *
+ * // groups are drawn behind the nodes that share some group (see config.group)
+ * const onClickGroup = function(groupId) {
+ *      window.alert(`Clicked group ${groupId}`);
+ * };
+ *
+ * const onMouseOverGroup = function(groupId) {
+ *      window.alert(`Mouse over group ${groupId}`);
+ * };
+ *
+ * const onMouseOutGroup = function(groupId) {
+ *      window.alert(`Mouse out group ${groupId}`);
+ * };
+ *
+ * // only called when config.collapsible is true
+ * const onCollapseChange = function(nodeIds) {
+ *      window.alert(`Collapsed nodes ${nodeIds}`);
+ * };
+ *
+ * // called when groups are collapsed into compound nodes or expanded back (see config.group.collapsible)
+ * const onCollapsedGroupsChange = function(groupIds) {
+ *      window.alert(`Collapsed groups ${groupIds}`);
+ * };
+ *
+ * // only called when config.selectionBehavior is true
+ * const onSelectionChange = function({ nodeIds, linkIds }) {
+ *      window.alert(`Selected nodes ${nodeIds} and links ${linkIds}`);
+ * };
+ *
  * <Graph
  *      id='graph-id' // id is mandatory, if no id is defined rd3g will throw an error
  *      data={data}
@@ -202,7 +272,57 @@ function _inherits(subClass, superClass) {
  *      onMouseOverNode={onMouseOverNode}
  *      onMouseOutNode={onMouseOutNode}
  *      onMouseOverLink={onMouseOverLink}
- *      onMouseOutLink={onMouseOutLink}/>
+ *      onMouseOutLink={onMouseOutLink}
+ *      onNodeDragStart={onNodeDragStart}
+ *      onNodeDrag={onNodeDrag}
+ *      onNodePositionChange={onNodePositionChange}
+ *      onClickGroup={onClickGroup}
+ *      onMouseOverGroup={onMouseOverGroup}
+ *      onMouseOutGroup={onMouseOutGroup}
+ *      onCollapseChange={onCollapseChange}
+ *      onCollapsedGroupsChange={onCollapsedGroupsChange}
+ *      onSelectionChange={onSelectionChange}/>
+ *
+ * // the viewport can also be controlled imperatively through a ref
+ * // this.refs.graph.zoomTo(2);
+ * // this.refs.graph.panTo(100, 250);
+ * // this.refs.graph.fitToView(['Harry', 'Sally'], 40);
+ * // this.refs.graph.resetView();
+ *
+ * // or exported as an image (both return a Promise)
+ * // this.refs.graph.exportSVG({ fit: true }).then(markup => ...);
+ * // this.refs.graph.exportPNG({ scale: 2, background: 'white' }).then(blob => ...);
+ *
+ * // or serialized for other tools such as Gephi, Graphviz or spreadsheets
+ * // const gexf = this.refs.graph.exportData('gexf');
+ * // const { nodes, edges } = this.refs.graph.exportData('csv');
+ *
+ * // the layout can be saved and restored later on through the initialLayout prop
+ * // const snapshot = this.refs.graph.getLayoutSnapshot();
+ * <Graph id='graph-id' data={data} initialLayout={snapshot} />
+ *
+ * // selection may also be controlled through the selectedNodeIds and selectedLinkIds props
+ * <Graph id='graph-id' data={data} config={{ selectionBehavior: true }} selectedNodeIds={['Harry']} selectedLinkIds={[]} />
+ *
+ * // and groups may be collapsed into compound nodes through the collapsedGroupIds prop
+ * <Graph id='graph-id' data={data} collapsedGroupIds={['team-a']} />
+ *
+ * // as well as the collapsed nodes of collapsible graphs through the collapsedNodeIds prop
+ * <Graph id='graph-id' data={data} config={{ collapsible: true }} collapsedNodeIds={['Harry']} />
+ *
+ * // the highlight prop spotlights nodes and links regardless of the mouse hover, e.g. the results of a search box,
+ * // it takes node ids or a node predicate or an object with nodes, links (ids or predicates) and the degree of the
+ * // neighbourhood of the matching nodes that is highlighted as well, the remaining nodes and links are dimmed
+ * <Graph id='graph-id' data={data} config={{ highlightOpacity: 0.2 }} highlight={['Harry', 'Sally']} />
+ * <Graph
+ *      id='graph-id'
+ *      data={data}
+ *      config={{ highlightOpacity: 0.2 }}
+ *      highlight={{ nodes: node => node.id.startsWith(search), degree: 1 }} />
+ *
+ * // shortest paths are found through a ref and highlighted through the highlightedPath prop
+ * // const path = this.refs.graph.findShortestPath('Harry', 'Sally', { weighted: true });
+ * <Graph id='graph-id' data={data} config={{ path: { flow: true } }} highlightedPath={path} />
  */
 var Graph = (function(_React$Component) {
     _inherits(Graph, _React$Component);
@@ -215,52 +335,66 @@ var Graph = (function(_React$Component) {
              * Sets d3 tick function and configures other d3 stuff such as forces and drag events.
              * @returns {undefined}
              */
-            value: function _graphForcesConfig() {
-                this.state.simulation.nodes(this.state.d3Nodes).on("tick", this._tick);
 
-                var forceLink = (0, _d3Force.forceLink)(this.state.d3Links)
-                    .id(function(l) {
-                        return l.id;
-                    })
-                    .distance(this.state.config.d3.linkLength)
-                    .strength(this.state.config.d3.linkStrength);
+            /**
+             * Gathers the graph elements and the state that both the svg and the canvas renderers draw.
+             * @returns {Object} same as the options of renderGraph, callbacks aside.
+             */
 
-                this.state.simulation.force(_graph2.default.LINK_CLASS_NAME, forceLink);
+            /**
+             * Collapses the given nodes hiding the nodes they fold (see collapse helper toggleCollapsedNode).
+             * @param {Array.<string>} collapsedNodeIds - ids of the collapsed nodes.
+             * @param {Function} [cb] - called once the graph is updated.
+             * @returns {undefined}
+             */
+            value: function _graphForcesConfig() {
+                simulationHelper.configureSimulation(this);
+                dragHelper.configureDrag(this);
+            },
 
-                var customNodeDrag = (0, _d3Drag.drag)()
-                    .on("start", this._onDragStart)
-                    .on("drag", this._onDragMove)
-                    .on("end", this._onDragEnd);
+            /**
+             * Checks whether the graph is being drawn with the canvas renderer.
+             * @returns {boolean} true for the canvas renderer.
+             */
 
-                (0, _d3Selection.select)("#" + this.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID)
-                    .selectAll(".node")
-                    .call(customNodeDrag);
-            },
+            /**
+             * Finds the node, link or group drawn under some point of the canvas.
+             * @param {Array.<number>} point - the [x, y] point relative to the canvas.
+             * @returns {Object|undefined} the element under the point (see canvas helper findElementAt).
+             */
 
             /**
-             * Handles d3 drag 'end' event.
+             * Draws the graph onto the canvas (only for the canvas renderer) and stores the hit regions
+             * of the drawn elements so that pointer events can be mapped into nodes and links.
              * @returns {undefined}
              */
 
             /**
-             * Obtain a set of properties which will be used to perform the focus and zoom animation if
-             * required. In case there's not a focus and zoom animation in progress, it should reset the
-             * transition duration to zero and clear transformation styles.
-             * @returns {Object} - Focus and zoom animation properties.
+             * Checks whether the nodes are positioned by the d3 force simulation (see layout config).
+             * @returns {boolean} true for the force layout.
+             */
+
+            /**
+             * Handles d3 drag 'end' event (see drag helper onDragEnd).
+             * @param  {Object} ev - if not undefined it will contain event data.
+             * @param  {number} index - index of the node that is being dragged.
+             * @param  {Array.<Object>} nodeList - array of d3 nodes.
+             * @returns {undefined}
              */
 
             /**
-             * Handles d3 'drag' event.
-             * {@link https://github.com/d3/d3-drag/blob/master/README.md#drag_subject|more about d3 drag}
+             * Handles d3 'drag' event (see drag helper onDragMove).
              * @param  {Object} ev - if not undefined it will contain event data.
              * @param  {number} index - index of the node that is being dragged.
-             * @param  {Array.<Object>} nodeList - array of d3 nodes. This list of nodes is provided by d3, each
-             * node contains all information that was previously fed by rd3g.
+             * @param  {Array.<Object>} nodeList - array of d3 nodes.
              * @returns {undefined}
              */
 
             /**
-             * Handles d3 drag 'start' event.
+             * Handles d3 drag 'start' event (see drag helper onDragStart).
+             * @param  {Object} ev - if not undefined it will contain event data.
+             * @param  {number} index - index of the node that is being dragged.
+             * @param  {Array.<Object>} nodeList - array of d3 nodes.
              * @returns {undefined}
              */
 
@@ -271,6 +405,11 @@ var Graph = (function(_React$Component) {
              * @returns {undefined}
              */
 
+            /**
+             * Terminates the worker where the simulation runs (only when running the simulation in a worker).
+             * @returns {undefined}
+             */
+
             /**
              * The tick function simply calls React set state in order to update component and render nodes
              * along time as d3 calculates new node positioning.
@@ -278,16 +417,124 @@ var Graph = (function(_React$Component) {
              * @param {Function} [cb] - optional callback to fed in to {@link setState()|https://reactjs.org/docs/react-component.html#setstate}.
              * @returns {undefined}
              */
+        },
+        {
+            key: "_updateGraphState",
 
             /**
-             * Configures zoom upon graph with default or user provided values.<br/>
-             * {@link https://github.com/d3/d3-zoom#zoom}
+             * Updates the graph state after some change of the props (or of the collapsed groups).
+             * @param {Object} nextProps - props, with the collapsed graph data (see collapse helper getGraphProps).
+             * @param {Object} [extraState={}] - more state to set along with the graph state.
              * @returns {undefined}
              */
+            value: function _updateGraphState(nextProps) {
+                var extraState = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+                var _graphHelper$checkFor = graphHelper.checkForGraphElementsChanges(nextProps, this.state),
+                    graphElementsUpdated = _graphHelper$checkFor.graphElementsUpdated,
+                    newGraphElements = _graphHelper$checkFor.newGraphElements;
+
+                var newConfig = nextProps.config || {};
+
+                var _graphHelper$checkFor2 = graphHelper.checkForGraphConfigChanges(nextProps, this.state),
+                    configUpdated = _graphHelper$checkFor2.configUpdated,
+                    d3ConfigUpdated = _graphHelper$checkFor2.d3ConfigUpdated;
+
+                var config = configUpdated ? _utils2.default.merge(_graph4.default, newConfig) : this.state.config;
+                var state = graphHelper.collapseNodes(
+                    _extends(
+                        {},
+                        graphElementsUpdated ? graphHelper.initializeGraphState(nextProps, this.state) : this.state,
+                        {
+                            config: config,
+                        }
+                    ),
+                    collapseHelper.getCollapsedNodeIds(this, nextProps)
+                );
+
+                // in order to properly update graph data we need to pause eventual d3 ongoing animations
+                newGraphElements && this.pauseSimulation();
+
+                // simulations running in a worker are not garbage collected, they need to be explicitly terminated
+                state.simulation !== this.state.simulation && this._terminateSimulation();
+
+                var transform = newConfig.panAndZoom !== this.state.config.panAndZoom ? 1 : this.state.transform;
+
+                var layoutUpdated =
+                    config.layout !== this.state.config.layout ||
+                    (newGraphElements && !layoutHelper.isForceLayout(config.layout));
+
+                this.setState(
+                    _extends(
+                        {},
+                        state,
+                        {
+                            config: config,
+                            configUpdated: configUpdated,
+                            d3ConfigUpdated: d3ConfigUpdated,
+                            newGraphElements: newGraphElements,
+                            transform: transform,
+                            layoutUpdated: layoutUpdated,
+                        },
+                        extraState
+                    )
+                );
+
+                this.props.data.focusedNodeId !== nextProps.data.focusedNodeId &&
+                    zoomHelper.focusNode(this, nextProps.data.focusedNodeId);
+            },
 
             /**
-             * Handler for 'zoom' event within zoom config.
-             * @returns {Object} returns the transformed elements within the svg graph area.
+             * Serializes the graph, with the current nodes positions and the nodes and links styling,
+             * in a format that can be read by other tools.
+             * @param {string} format - one of "graphml", "gexf", "dot", "csv" or "adjacency-matrix".
+             * @returns {string|Object} the serialized graph, for csv an object with the **nodes** and **edges** lists.
+             */
+
+            /**
+             * Exports the rendered graph as a png image. With the canvas renderer the graph is exported
+             * as drawn (current zoom), the **fit** and **padding** options are ignored.
+             * @param {Object} [options] - export options.
+             * @param {number} [options.scale=1] - scale factor applied to the exported image (e.g. 2 for hdpi screens).
+             * @param {string} [options.background] - background color of the image, transparent if not set.
+             * @param {boolean} [options.fit=false] - same as {@link #Graph|options.fit in exportSVG}.
+             * @param {number} [options.padding=20] - same as {@link #Graph|options.padding in exportSVG}.
+             * @returns {Promise} resolves with the png image Blob.
+             */
+
+            /**
+             * Exports the rendered graph as a standalone svg document, with inlined styles, markers
+             * and embedded node images. Not available with the canvas renderer.
+             * @param {Object} [options] - export options.
+             * @param {boolean} [options.fit=false] - if true the exported image fits the graph contents,
+             * otherwise the graph is exported with the current zoom.
+             * @param {number} [options.padding=20] - padding (in px) around the graph contents when fitting.
+             * @returns {Promise} resolves with the svg document markup (string).
+             */
+
+            /**
+             * Finds the shortest path between two nodes, following links from source to target only in directed graphs.
+             * The path can then be highlighted through the **highlightedPath** prop.
+             * @param {string} source - the id of the node where the path starts.
+             * @param {string} target - the id of the node where the path ends.
+             * @param {Object} [options] - path finding options.
+             * @param {boolean} [options.weighted=false] - when set to true the path with the lowest sum of link **value**s
+             * is found, otherwise the path with fewer hops.
+             * @returns {Array.<string>} the ids of the nodes in the path, from source to target, or null if there's no path.
+             */
+
+            /**
+             * Zooms and pans the graph so that the given nodes (or all nodes) fit inside the svg area.
+             * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes are considered.
+             * @param {number} [padding] - space (in px) to leave between the nodes and the svg edges.
+             * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+             * @returns {undefined}
+             */
+
+            /**
+             * Handles clicks in the canvas renderer (see canvas helper handleClick).
+             * @param  {Object} e - The event of onClick handler.
+             * @returns {undefined}
              */
 
             /**
@@ -297,8 +544,58 @@ var Graph = (function(_React$Component) {
              */
 
             /**
-             * Collapses the nodes, then calls the callback passed to the component.
+             * Handles group click, collapsing the group when groups are collapsible.
+             * @param  {string} groupId - id of the clicked group.
+             * @param  {Object} event - the event of onClick handler.
+             * @returns {undefined}
+             */
+
+            /**
+             * Handles link click, updating the selection when the selection behavior is active.
+             * @param  {string} source - id of the source node that participates in the event.
+             * @param  {string} target - id of the target node that participates in the event.
+             * @param  {Object} event - the event of onClick handler.
+             * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
+             * @returns {undefined}
+             */
+
+            /**
+             * Collapses (or expands) the clicked node, then calls the callback passed to the component.
+             * When the selection behavior is active the node is selected (or toggled in the current selection
+             * if a modifier key is pressed, in which case the node is not collapsed), the callback is called either way.
+             * Clicks that follow a node drag are ignored and clicks on compound nodes expand their group back
+             * when groups are collapsible.
              * @param  {string} clickedNodeId - The id of the node where the click was performed.
+             * @param  {Object} event - The event of onClick handler.
+             * @returns {undefined}
+             */
+
+            /**
+             * Starts drawing the selection brush when shift dragging on the graph background (see selection helper startBrush).
+             * @param  {Object} e - The event of onMouseDown handler.
+             * @returns {undefined}
+             */
+
+            /**
+             * Updates the selection brush while the user drags.
+             * @param  {Object} e - The event of onMouseMove handler.
+             * @returns {undefined}
+             */
+
+            /**
+             * Finishes the selection brush adding the nodes and links inside of it to the current selection.
+             * @returns {undefined}
+             */
+
+            /**
+             * Handles right clicks in the canvas renderer (see canvas helper handleContextMenu).
+             * @param  {Object} e - The event of onContextMenu handler.
+             * @returns {undefined}
+             */
+
+            /**
+             * Emits mouse over and mouse out events in the canvas renderer (see canvas helper handleMouseMove).
+             * @param  {Object} e - The event of onMouseMove or onMouseLeave handler.
              * @returns {undefined}
              */
 
@@ -318,6 +615,7 @@ var Graph = (function(_React$Component) {
              * Handles mouse over link event.
              * @param  {string} source - id of the source node that participates in the event.
              * @param  {string} target - id of the target node that participates in the event.
+             * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
              * @returns {undefined}
              */
 
@@ -325,9 +623,26 @@ var Graph = (function(_React$Component) {
              * Handles mouse out link event.
              * @param  {string} source - id of the source node that participates in the event.
              * @param  {string} target - id of the target node that participates in the event.
+             * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
+             * @returns {undefined}
+             */
+
+            /**
+             * Centers the graph view on the given coordinates keeping the current zoom.
+             * @param {number} x - x coordinate (in graph coordinates) to center the view on.
+             * @param {number} y - y coordinate (in graph coordinates) to center the view on.
+             * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
              * @returns {undefined}
              */
 
+            /**
+             * Obtains a snapshot of the current layout: nodes positions (and whether they are fixed), zoom transform
+             * and collapsed nodes. The snapshot is serializable and can be fed back into the graph through the
+             * **initialLayout** prop so that the graph is restored exactly as it was.
+             * See {@link #Graph/helper|getLayoutSnapshot} for the snapshot format.
+             * @returns {Object} the layout snapshot.
+             */
+
             /**
              * Calls d3 simulation.stop().<br/>
              * {@link https://github.com/d3/d3-force#simulation_stop}
@@ -338,12 +653,27 @@ var Graph = (function(_React$Component) {
              * This method resets all nodes fixed positions by deleting the properties fx (fixed x)
              * and fy (fixed y). Following this, a simulation is triggered in order to force nodes to go back
              * to their original positions (or at least new positions according to the d3 force parameters).
+             * For layouts other than "force" the nodes go back to the positions computed by the layout.
+             * @returns {undefined}
+             */
+
+            /**
+             * Resets the graph view to the identity transform (no pan and no zoom).
+             * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
              * @returns {undefined}
              */
 
             /**
              * Calls d3 simulation.restart().<br/>
              * {@link https://github.com/d3/d3-force#simulation_restart}
+             * The simulation is not restarted for layouts other than "force".
+             * @returns {undefined}
+             */
+
+            /**
+             * Zooms the graph to the given scale keeping the current center of the view in place.
+             * @param {number} scale - the zoom to apply, it will be kept between **minZoom** and **maxZoom**.
+             * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
              * @returns {undefined}
              */
         },
@@ -357,207 +687,23 @@ var Graph = (function(_React$Component) {
             (Graph.__proto__ || Object.getPrototypeOf(Graph)).call(this, props)
         );
 
-        _this._generateFocusAnimationProps = function() {
-            var focusedNodeId = _this.state.focusedNodeId;
-
-            // In case an older animation was still not complete, clear previous timeout to ensure the new one is not cancelled
-
-            if (_this.state.enableFocusAnimation) {
-                if (_this.focusAnimationTimeout) {
-                    clearTimeout(_this.focusAnimationTimeout);
-                }
-
-                _this.focusAnimationTimeout = setTimeout(function() {
-                    return _this.setState({ enableFocusAnimation: false });
-                }, _this.state.config.focusAnimationDuration * 1000);
-            }
-
-            var transitionDuration = _this.state.enableFocusAnimation ? _this.state.config.focusAnimationDuration : 0;
-
-            return {
-                style: { transitionDuration: transitionDuration + "s" },
-                transform: focusedNodeId ? _this.state.focusTransformation : null,
-            };
-        };
-
-        _this._onDragEnd = function() {
-            return (
-                !_this.state.config.staticGraph &&
-                _this.state.config.automaticRearrangeAfterDropNode &&
-                _this.state.simulation.alphaTarget(_this.state.config.d3.alphaTarget).restart()
-            );
-        };
-
-        _this._onDragMove = function(ev, index, nodeList) {
-            var id = nodeList[index].id;
-
-            if (!_this.state.config.staticGraph) {
-                // this is where d3 and react bind
-                var draggedNode = _this.state.nodes[id];
-
-                draggedNode.x += _d3Selection.event.dx;
-                draggedNode.y += _d3Selection.event.dy;
-
-                // set nodes fixing coords fx and fy
-                draggedNode["fx"] = draggedNode.x;
-                draggedNode["fy"] = draggedNode.y;
-
-                _this._tick();
-            }
-        };
-
-        _this._onDragStart = function() {
-            _this.pauseSimulation();
-            if (_this.state.enableFocusAnimation) {
-                _this.setState({ enableFocusAnimation: false });
-            }
-        };
-
-        _this._setNodeHighlightedValue = function(id) {
-            var value = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
-            return _this._tick(
-                graphHelper.updateNodeHighlightedValue(
-                    _this.state.nodes,
-                    _this.state.links,
-                    _this.state.config,
-                    id,
-                    value
-                )
-            );
-        };
-
-        _this._tick = function() {
-            var state = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
-            var cb = arguments[1];
-            return cb ? _this.setState(state, cb) : _this.setState(state);
-        };
-
-        _this._zoomConfig = function() {
-            return (0, _d3Selection.select)("#" + _this.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID).call(
-                (0, _d3Zoom.zoom)()
-                    .scaleExtent([_this.state.config.minZoom, _this.state.config.maxZoom])
-                    .on("zoom", _this._zoomed)
-            );
-        };
-
-        _this._zoomed = function() {
-            var transform = _d3Selection.event.transform;
-
-            (0, _d3Selection.selectAll)("#" + _this.state.id + "-" + _graph2.default.GRAPH_CONTAINER_ID).attr(
-                "transform",
-                transform
-            );
-
-            _this.state.config.panAndZoom && _this.setState({ transform: transform.k });
-        };
-
-        _this.onClickGraph = function(e) {
-            if (_this.state.enableFocusAnimation) {
-                _this.setState({ enableFocusAnimation: false });
-            }
-
-            // Only trigger the graph onClickHandler, if not clicked a node or link.
-            // toUpperCase() is added as a precaution, as the documentation says tagName should always
-            // return in UPPERCASE, but chrome returns lowercase
-            if (
-                e.target.tagName.toUpperCase() === "SVG" &&
-                e.target.attributes.name.value === "svg-container-" + _this.state.id
-            ) {
-                _this.props.onClickGraph && _this.props.onClickGraph();
-            }
-        };
-
-        _this.onClickNode = function(clickedNodeId) {
-            if (_this.state.config.collapsible) {
-                var leafConnections = collapseHelper.getTargetLeafConnections(
-                    clickedNodeId,
-                    _this.state.links,
-                    _this.state.config
-                );
-                var links = collapseHelper.toggleLinksMatrixConnections(
-                    _this.state.links,
-                    leafConnections,
-                    _this.state.config
-                );
-                var d3Links = collapseHelper.toggleLinksConnections(_this.state.d3Links, links);
-
-                _this._tick(
-                    {
-                        links: links,
-                        d3Links: d3Links,
-                    },
-                    function() {
-                        return _this.props.onClickNode && _this.props.onClickNode(clickedNodeId);
-                    }
-                );
-            } else {
-                _this.props.onClickNode && _this.props.onClickNode(clickedNodeId);
-            }
-        };
-
-        _this.onMouseOverNode = function(id) {
-            _this.props.onMouseOverNode && _this.props.onMouseOverNode(id);
-
-            _this.state.config.nodeHighlightBehavior && _this._setNodeHighlightedValue(id, true);
-        };
-
-        _this.onMouseOutNode = function(id) {
-            _this.props.onMouseOutNode && _this.props.onMouseOutNode(id);
-
-            _this.state.config.nodeHighlightBehavior && _this._setNodeHighlightedValue(id, false);
-        };
-
-        _this.onMouseOverLink = function(source, target) {
-            _this.props.onMouseOverLink && _this.props.onMouseOverLink(source, target);
-
-            if (_this.state.config.linkHighlightBehavior) {
-                _this.state.highlightedLink = { source: source, target: target };
-
-                _this._tick();
-            }
-        };
-
-        _this.onMouseOutLink = function(source, target) {
-            _this.props.onMouseOutLink && _this.props.onMouseOutLink(source, target);
-
-            if (_this.state.config.linkHighlightBehavior) {
-                _this.state.highlightedLink = undefined;
-
-                _this._tick();
-            }
-        };
-
-        _this.pauseSimulation = function() {
-            return _this.state.simulation.stop();
-        };
-
-        _this.resetNodesPositions = function() {
-            if (!_this.state.config.staticGraph) {
-                for (var nodeId in _this.state.nodes) {
-                    var node = _this.state.nodes[nodeId];
-
-                    if (node.fx && node.fy) {
-                        Reflect.deleteProperty(node, "fx");
-                        Reflect.deleteProperty(node, "fy");
-                    }
-                }
-
-                _this.state.simulation.alphaTarget(_this.state.config.d3.alphaTarget).restart();
-
-                _this._tick();
-            }
-        };
-
-        _this.restartSimulation = function() {
-            return !_this.state.config.staticGraph && _this.state.simulation.restart();
-        };
+        _initialiseProps.call(_this);
 
         if (!_this.props.id) {
             _utils2.default.throwErr(_this.constructor.name, _err2.default.GRAPH_NO_ID_PROP);
         }
 
-        _this.focusAnimationTimeout = null;
-        _this.state = graphHelper.initializeGraphState(_this.props, _this.state);
+        _this.nodesPositions = {};
+
+        var state = graphHelper.initializeGraphState(
+            collapseHelper.getGraphProps(_this, _this.props, collapseHelper.getCollapsedGroupIds(_this)),
+            _this.state
+        );
+
+        _this.state = _this.props.initialLayout
+            ? graphHelper.restoreLayoutSnapshot(state, _this.props.initialLayout)
+            : state;
+        _this.state = graphHelper.collapseNodes(_this.state, collapseHelper.getCollapsedNodeIds(_this));
         return _this;
     }
 
@@ -576,43 +722,9 @@ var Graph = (function(_React$Component) {
         {
             key: "componentWillReceiveProps",
             value: function componentWillReceiveProps(nextProps) {
-                var _graphHelper$checkFor = graphHelper.checkForGraphElementsChanges(nextProps, this.state),
-                    graphElementsUpdated = _graphHelper$checkFor.graphElementsUpdated,
-                    newGraphElements = _graphHelper$checkFor.newGraphElements;
-
-                var state = graphElementsUpdated ? graphHelper.initializeGraphState(nextProps, this.state) : this.state;
-                var newConfig = nextProps.config || {};
-
-                var _graphHelper$checkFor2 = graphHelper.checkForGraphConfigChanges(nextProps, this.state),
-                    configUpdated = _graphHelper$checkFor2.configUpdated,
-                    d3ConfigUpdated = _graphHelper$checkFor2.d3ConfigUpdated;
-
-                var config = configUpdated ? _utils2.default.merge(_graph4.default, newConfig) : this.state.config;
-
-                // in order to properly update graph data we need to pause eventual d3 ongoing animations
-                newGraphElements && this.pauseSimulation();
+                var collapsedGroupIds = collapseHelper.getCollapsedGroupIds(this, nextProps);
 
-                var transform = newConfig.panAndZoom !== this.state.config.panAndZoom ? 1 : this.state.transform;
-
-                var focusedNodeId = nextProps.data.focusedNodeId;
-                var d3FocusedNode = this.state.d3Nodes.find(function(node) {
-                    return "" + node.id === "" + focusedNodeId;
-                });
-                var focusTransformation = graphHelper.getCenterAndZoomTransformation(d3FocusedNode, this.state.config);
-                var enableFocusAnimation = this.props.data.focusedNodeId !== nextProps.data.focusedNodeId;
-
-                this.setState(
-                    _extends({}, state, {
-                        config: config,
-                        configUpdated: configUpdated,
-                        d3ConfigUpdated: d3ConfigUpdated,
-                        newGraphElements: newGraphElements,
-                        transform: transform,
-                        focusedNodeId: focusedNodeId,
-                        enableFocusAnimation: enableFocusAnimation,
-                        focusTransformation: focusTransformation,
-                    })
-                );
+                this._updateGraphState(collapseHelper.getGraphProps(this, nextProps, collapsedGroupIds));
             },
         },
         {
@@ -621,15 +733,29 @@ var Graph = (function(_React$Component) {
                 // if the property staticGraph was activated we want to stop possible ongoing simulation
                 this.state.config.staticGraph && this.pauseSimulation();
 
+                this._isCanvasRenderer() && this._drawCanvas();
+                pathHelper.updateFlowTimer(this);
+
                 if (!this.state.config.staticGraph && (this.state.newGraphElements || this.state.d3ConfigUpdated)) {
                     this._graphForcesConfig();
                     this.restartSimulation();
                     this.setState({ newGraphElements: false, d3ConfigUpdated: false });
                 }
 
+                if (this.state.layoutUpdated) {
+                    this._isForceLayout()
+                        ? this.resetNodesPositions()
+                        : layoutHelper.applyLayout(this, this.state.config.layoutAnimationDuration);
+                    this.setState({ layoutUpdated: false });
+                }
+
                 if (this.state.configUpdated) {
-                    this._zoomConfig();
+                    zoomHelper.configureZoom(this);
+                    !this.state.config.staticGraph && dragHelper.configureDrag(this);
                     this.setState({ configUpdated: false });
+                } else if (!this.state.config.staticGraph && !this._isCanvasRenderer()) {
+                    // svg nodes are mounted again when they enter the viewport or when their collapsed node is expanded
+                    dragHelper.configureDrag(this, true);
                 }
             },
         },
@@ -641,63 +767,111 @@ var Graph = (function(_React$Component) {
                 }
 
                 // graph zoom and drag&drop all network
-                this._zoomConfig();
+                zoomHelper.configureZoom(this);
+
+                if (this.props.initialLayout) {
+                    // the graph is restored exactly as it was saved, there's no need to run the simulation
+                    this.pauseSimulation();
+                    zoomHelper.applyZoomTransform(this, this.props.initialLayout.transform, 0);
+                } else if (!this._isForceLayout()) {
+                    layoutHelper.applyLayout(this);
+                }
+
+                this._isCanvasRenderer() && this._drawCanvas();
+                pathHelper.updateFlowTimer(this);
             },
         },
         {
             key: "componentWillUnmount",
             value: function componentWillUnmount() {
+                window.removeEventListener("mouseup", this.onMouseUpGraph);
+                this.layoutTimer && this.layoutTimer.stop();
+                this.flowTimer && this.flowTimer.stop();
                 this.pauseSimulation();
+                this._terminateSimulation();
             },
         },
         {
             key: "render",
             value: function render() {
-                var _graphRenderer$render = graphRenderer.renderGraph(
-                        this.state.nodes,
-                        {
-                            onClickNode: this.onClickNode,
-                            onRightClickNode: this.props.onRightClickNode,
-                            onMouseOverNode: this.onMouseOverNode,
-                            onMouseOut: this.onMouseOutNode,
-                        },
-                        this.state.d3Links,
-                        this.state.links,
-                        {
-                            onClickLink: this.props.onClickLink,
-                            onRightClickLink: this.props.onRightClickLink,
-                            onMouseOverLink: this.onMouseOverLink,
-                            onMouseOutLink: this.onMouseOutLink,
+                var _this2 = this;
+
+                if (this._isCanvasRenderer()) {
+                    return graphRenderer.renderCanvas(this.state.id, this.state.config, {
+                        ref: function ref(canvas) {
+                            return (_this2.canvas = canvas);
                         },
-                        this.state.config,
-                        this.state.highlightedNode,
-                        this.state.highlightedLink,
-                        this.state.transform
+                        onClick: this.onClickCanvas,
+                        onContextMenu: this.onContextMenuCanvas,
+                        onMouseDown: this.onMouseDownGraph,
+                        onMouseMove: this.onMouseMoveCanvas,
+                        onMouseLeave: this.onMouseMoveCanvas,
+                        onMouseUp: this.onMouseUpGraph,
+                    });
+                }
+
+                var _graphRenderer$render = graphRenderer.renderGraph(
+                        _extends({}, this._getRenderOptions(), {
+                            graphId: this.state.id,
+                            nodeCallbacks: {
+                                onClickNode: this.onClickNode,
+                                onRightClickNode: this.props.onRightClickNode,
+                                onMouseOverNode: this.onMouseOverNode,
+                                onMouseOut: this.onMouseOutNode,
+                            },
+                            linkCallbacks: {
+                                onClickLink: this.onClickLink,
+                                onRightClickLink: this.props.onRightClickLink,
+                                onMouseOverLink: this.onMouseOverLink,
+                                onMouseOutLink: this.onMouseOutLink,
+                            },
+                            groupCallbacks: {
+                                onClickGroup: this.onClickGroup,
+                                onMouseOverGroup: this.props.onMouseOverGroup,
+                                onMouseOutGroup: this.props.onMouseOutGroup,
+                            },
+                        })
                     ),
                     nodes = _graphRenderer$render.nodes,
                     links = _graphRenderer$render.links,
+                    groups = _graphRenderer$render.groups,
                     defs = _graphRenderer$render.defs;
 
-                var svgStyle = {
-                    height: this.state.config.height,
-                    width: this.state.config.width,
-                };
+                // the ids of the mounted svg nodes, drag is only bound again when they change (see componentDidUpdate)
+
+                this.renderedNodeIds = nodes
+                    .map(function(_ref) {
+                        var key = _ref.key;
+                        return key;
+                    })
+                    .join();
 
-                var containerProps = this._generateFocusAnimationProps();
+                var brush = graphRenderer.renderSelectionBrush(
+                    selectionHelper.buildBrushPolygon(this.state.brushPoints, this.state.config.selectionBrush)
+                );
 
                 return _react2.default.createElement(
                     "div",
                     { id: this.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID },
                     _react2.default.createElement(
                         "svg",
-                        { name: "svg-container-" + this.state.id, style: svgStyle, onClick: this.onClickGraph },
+                        {
+                            name: "svg-container-" + this.state.id,
+                            style: { height: this.state.config.height, width: this.state.config.width },
+                            onClick: this.onClickGraph,
+                            onMouseDown: this.onMouseDownGraph,
+                            onMouseMove: this.onMouseMoveGraph,
+                            onMouseUp: this.onMouseUpGraph,
+                        },
                         defs,
                         _react2.default.createElement(
                             "g",
-                            _extends({ id: this.state.id + "-" + _graph2.default.GRAPH_CONTAINER_ID }, containerProps),
+                            { id: this.state.id + "-" + _graph2.default.GRAPH_CONTAINER_ID },
+                            groups,
                             links,
                             nodes
-                        )
+                        ),
+                        brush
                     )
                 );
             },
@@ -707,4 +881,281 @@ var Graph = (function(_React$Component) {
     return Graph;
 })(_react2.default.Component);
 
+var _initialiseProps = function _initialiseProps() {
+    var _this3 = this;
+
+    this._collapseNodes = function(collapsedNodeIds, cb) {
+        return _this3._tick(
+            _extends({}, graphHelper.collapseNodes(_this3.state, collapsedNodeIds), {
+                collapsedNodeIds: collapsedNodeIds,
+            }),
+            cb
+        );
+    };
+
+    this._drawCanvas = function() {
+        var context = _this3.canvas && _this3.canvas.getContext("2d");
+
+        if (!context) {
+            return;
+        }
+
+        _this3.canvasContext = context;
+        _this3.canvasHitRegions = graphRenderer.drawGraph(
+            context,
+            _extends({}, _this3._getRenderOptions(), {
+                zoomTransform: zoomHelper.getZoomTransform(_this3),
+                pixelRatio: window.devicePixelRatio || 1,
+                brush: selectionHelper.buildBrushPolygon(_this3.state.brushPoints, _this3.state.config.selectionBrush),
+                onImageLoad: _this3._drawCanvas,
+            })
+        );
+    };
+
+    this._getRenderOptions = function() {
+        return {
+            nodes: _this3.state.nodes,
+            links: _this3.state.d3Links,
+            linksMatrix: _this3.state.links,
+            config: _this3.state.config,
+            highlightedNode: _this3.state.highlightedNode,
+            highlightedLink: _this3.state.highlightedLink,
+            transform: _this3.state.transform,
+            selection: selectionHelper.getSelection(_this3),
+            visibleArea: zoomHelper.getVisibleArea(_this3),
+            groups: _this3.props.data.groups,
+            highlight: _this3.props.highlight,
+            highlightedPath: _this3.props.highlightedPath,
+        };
+    };
+
+    this._findCanvasElement = function(point) {
+        return canvasHelper.findElementAt(
+            _this3.canvasContext,
+            _this3.canvasHitRegions || {},
+            point,
+            zoomHelper.getZoomTransform(_this3)
+        );
+    };
+
+    this._isCanvasRenderer = function() {
+        return _this3.state.config.renderer === _graph2.default.RENDERERS.CANVAS;
+    };
+
+    this._isForceLayout = function() {
+        return layoutHelper.isForceLayout(_this3.state.config.layout);
+    };
+
+    this._onDragEnd = function(ev, index, nodeList) {
+        return dragHelper.onDragEnd(_this3, index, nodeList);
+    };
+
+    this._onDragMove = function(ev, index, nodeList) {
+        return dragHelper.onDragMove(_this3, index, nodeList);
+    };
+
+    this._onDragStart = function(ev, index, nodeList) {
+        return dragHelper.onDragStart(_this3, index, nodeList);
+    };
+
+    this._setNodeHighlightedValue = function(id) {
+        var value = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+        return _this3._tick(
+            graphHelper.updateNodeHighlightedValue(
+                _this3.state.nodes,
+                _this3.state.links,
+                _this3.state.config,
+                id,
+                value
+            )
+        );
+    };
+
+    this._terminateSimulation = function() {
+        return _this3.state.simulation.terminate && _this3.state.simulation.terminate();
+    };
+
+    this._tick = function() {
+        var state = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+        var cb = arguments[1];
+        return cb ? _this3.setState(state, cb) : _this3.setState(state);
+    };
+
+    this.exportData = function(format) {
+        return (0, _formats.serialize)(format, _this3.state);
+    };
+
+    this.exportPNG = function(options) {
+        return exportHelper.exportGraphPNG(_this3, options);
+    };
+
+    this.exportSVG = function(options) {
+        return exportHelper.exportGraphSVG(_this3, options);
+    };
+
+    this.findShortestPath = function(source, target) {
+        var _ref2 = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {},
+            _ref2$weighted = _ref2.weighted,
+            weighted = _ref2$weighted === undefined ? false : _ref2$weighted;
+
+        return pathHelper.findShortestPath(_this3.state.links, source, target, {
+            directed: _this3.state.config.directed,
+            weighted: weighted,
+        });
+    };
+
+    this.fitToView = function(nodeIds, padding, duration) {
+        return zoomHelper.fitToView(_this3, nodeIds, padding, duration);
+    };
+
+    this.onClickCanvas = function(e) {
+        return canvasHelper.handleClick(_this3, e);
+    };
+
+    this.onClickGraph = function(e) {
+        // Only trigger the graph onClickHandler, if not clicked a node or link.
+        if (selectionHelper.isGraphBackground(_this3, e)) {
+            _this3.state.config.selectionBehavior && !e.shiftKey && selectionHelper.updateSelection(_this3, [], []);
+            _this3.props.onClickGraph && _this3.props.onClickGraph();
+        }
+    };
+
+    this.onClickGroup = function(groupId, event) {
+        _this3.state.config.group.collapsible && collapseHelper.toggleCollapsedGroup(_this3, groupId);
+        _this3.props.onClickGroup && _this3.props.onClickGroup(groupId, event);
+    };
+
+    this.onClickLink = function(source, target, event) {
+        var linkId =
+            arguments.length > 3 && arguments[3] !== undefined
+                ? arguments[3]
+                : (0, _link.getLinkId)({ source: source, target: target });
+
+        _this3.state.config.selectionBehavior && selectionHelper.selectLink(_this3, linkId, event);
+        _this3.props.onClickLink && _this3.props.onClickLink(source, target, linkId);
+    };
+
+    this.onClickNode = function(clickedNodeId, event) {
+        // a click that follows a node drag is not a click
+        if (_this3.nodeDragged) {
+            _this3.nodeDragged = false;
+
+            return;
+        }
+
+        var _state = _this3.state,
+            config = _state.config,
+            nodes = _state.nodes;
+
+        var clickedNode = nodes[clickedNodeId];
+        var notify = function notify() {
+            return _this3.props.onClickNode && _this3.props.onClickNode(clickedNodeId);
+        };
+
+        if (config.group.collapsible && clickedNode && clickedNode.groupId !== undefined) {
+            collapseHelper.toggleCollapsedGroup(_this3, clickedNode.groupId);
+
+            return notify();
+        }
+
+        var toggled = config.selectionBehavior && selectionHelper.selectNode(_this3, clickedNodeId, event);
+
+        config.collapsible && !toggled ? collapseHelper.toggleCollapsedNode(_this3, clickedNodeId, notify) : notify();
+    };
+
+    this.onMouseDownGraph = function(e) {
+        return selectionHelper.startBrush(_this3, e);
+    };
+
+    this.onMouseMoveGraph = function(e) {
+        return selectionHelper.moveBrush(_this3, e);
+    };
+
+    this.onMouseUpGraph = function() {
+        return selectionHelper.endBrush(_this3);
+    };
+
+    this.onContextMenuCanvas = function(e) {
+        return canvasHelper.handleContextMenu(_this3, e);
+    };
+
+    this.onMouseMoveCanvas = function(e) {
+        return canvasHelper.handleMouseMove(_this3, e);
+    };
+
+    this.onMouseOverNode = function(id) {
+        _this3.props.onMouseOverNode && _this3.props.onMouseOverNode(id);
+
+        _this3.state.config.nodeHighlightBehavior && _this3._setNodeHighlightedValue(id, true);
+    };
+
+    this.onMouseOutNode = function(id) {
+        _this3.props.onMouseOutNode && _this3.props.onMouseOutNode(id);
+
+        _this3.state.config.nodeHighlightBehavior && _this3._setNodeHighlightedValue(id, false);
+    };
+
+    this.onMouseOverLink = function(source, target) {
+        var linkId =
+            arguments.length > 2 && arguments[2] !== undefined
+                ? arguments[2]
+                : (0, _link.getLinkId)({ source: source, target: target });
+
+        _this3.props.onMouseOverLink && _this3.props.onMouseOverLink(source, target, linkId);
+
+        if (_this3.state.config.linkHighlightBehavior) {
+            _this3.state.highlightedLink = { source: source, target: target, id: linkId };
+
+            _this3._tick();
+        }
+    };
+
+    this.onMouseOutLink = function(source, target) {
+        var linkId =
+            arguments.length > 2 && arguments[2] !== undefined
+                ? arguments[2]
+                : (0, _link.getLinkId)({ source: source, target: target });
+
+        _this3.props.onMouseOutLink && _this3.props.onMouseOutLink(source, target, linkId);
+
+        if (_this3.state.config.linkHighlightBehavior) {
+            _this3.state.highlightedLink = undefined;
+
+            _this3._tick();
+        }
+    };
+
+    this.panTo = function(x, y, duration) {
+        return zoomHelper.panTo(_this3, x, y, duration);
+    };
+
+    this.getLayoutSnapshot = function() {
+        return graphHelper.getLayoutSnapshot(
+            _this3.state.nodes,
+            collapseHelper.getCollapsedNodeIds(_this3),
+            zoomHelper.getZoomTransform(_this3)
+        );
+    };
+
+    this.pauseSimulation = function() {
+        return _this3.state.simulation.stop();
+    };
+
+    this.resetNodesPositions = function() {
+        return layoutHelper.resetNodesPositions(_this3);
+    };
+
+    this.resetView = function(duration) {
+        return zoomHelper.applyZoomTransform(_this3, { x: 0, y: 0, k: 1 }, duration);
+    };
+
+    this.restartSimulation = function() {
+        return !_this3.state.config.staticGraph && _this3._isForceLayout() && _this3.state.simulation.restart();
+    };
+
+    this.zoomTo = function(scale, duration) {
+        return zoomHelper.zoomTo(_this3, scale, duration);
+    };
+};
+
 exports.default = Graph;
@@ -0,0 +1,634 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.handleMouseMove = exports.handleContextMenu = exports.handleClick = exports.findElementAt = exports.drawSelectionBrush = exports.drawNode = exports.drawLink = exports.drawGroup = undefined;
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Graph/canvas-helper
+ * @description
+ * Offers a series of methods to draw graph elements (groups, nodes, links, markers and labels) onto a
+ * [canvas 2d context](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D)
+ * and to find which element lies under some point (hit testing). The pointer event handlers of the canvas
+ * renderer receive the Graph component instance and dispatch the events to the element under the pointer.
+ *
+ * Developer notes - the canvas drawing methods consume the very same props that are fed into the
+ * Node and Link components (see Graph/builder), this way both svg and canvas renderers look alike.
+ * Elements are drawn in graph coordinates, the zoom transform is applied to the context beforehand.
+ */
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _link = require("../link/link.const");
+
+var _marker = require("../marker/marker.const");
+
+var _selection = require("./selection.helper");
+
+var _node = require("../node/node.helper");
+
+var _node2 = _interopRequireDefault(_node);
+
+var _utils = require("../../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _link2 = require("../link/link.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+// extra space (in px) around links where the pointer still hits them
+var LINK_HIT_TOLERANCE = 4;
+// same proportions as the Marker component (viewBox 10x10 drawn at 6x6 stroke widths)
+var MARKER_LENGTH_RATIO = 6;
+var MARKER_VIEWBOX_SIZE = 10;
+// canvas text alignment of link labels for each svg text anchor and how far it shifts the text (relative to its width)
+var TEXT_ALIGNS = { start: "start", middle: "center", end: "end" };
+var TEXT_ALIGN_SHIFTS = { start: 0, center: -0.5, end: -1 };
+
+// images shared by every canvas graph and the callbacks waiting for them to load, both mapped by url
+var images = {};
+var pendingImageCallbacks = {};
+
+/**
+ * Loads (once) the image for some url. Every graph that requests the image while it is still
+ * loading gets its callback called once it finishes loading.
+ * @param {string} url - the image url.
+ * @param {Function} [onLoad] - callback to be called when the image finishes loading.
+ * @returns {Object} the image element, which might still be loading.
+ * @memberof Graph/canvas-helper
+ */
+function _getImage(url, onLoad) {
+    if (!images[url]) {
+        var image = new Image();
+        var settle = function settle() {
+            var callbacks = pendingImageCallbacks[url] || [];
+
+            delete pendingImageCallbacks[url];
+
+            return callbacks;
+        };
+
+        pendingImageCallbacks[url] = [];
+        image.onload = function() {
+            return settle().forEach(function(cb) {
+                return cb();
+            });
+        };
+        image.onerror = settle;
+        image.src = url;
+        images[url] = image;
+    }
+
+    var callbacks = pendingImageCallbacks[url];
+
+    onLoad && callbacks && !callbacks.includes(onLoad) && callbacks.push(onLoad);
+
+    return images[url];
+}
+
+/**
+ * Sets the font and fill style for drawing labels.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - element props with fontSize, fontWeight and fontColor.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _setLabelStyle(context, _ref) {
+    var fontSize = _ref.fontSize,
+        fontWeight = _ref.fontWeight,
+        fontColor = _ref.fontColor;
+
+    context.font = (fontWeight || "normal") + " " + fontSize + "px sans-serif";
+    context.fillStyle = fontColor;
+}
+
+/**
+ * Draws a marker oriented after some point of the link, the marker shape is drawn
+ * within the same viewBox as the Marker component and anchored at the same refX.
+ * @param {Object} context - canvas 2d context.
+ * @param {string} shape - the marker shape (one of MARKER_SHAPES).
+ * @param {Object} point - where (x and y) and with which orientation (angle in radians) the marker is drawn.
+ * @param {number} refX - the marker point that is placed on the link (see MARKER_REF_X).
+ * @param {number} strokeWidth - the link stroke width, markers scale with it.
+ * @param {string} color - the marker color.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _drawMarker(context, shape, _ref2, refX, strokeWidth, color) {
+    var x = _ref2.x,
+        y = _ref2.y,
+        angle = _ref2.angle;
+
+    var scale = (MARKER_LENGTH_RATIO * strokeWidth) / MARKER_VIEWBOX_SIZE;
+    var path = new Path2D(_marker.MARKER_PATHS[shape]);
+
+    context.save();
+    context.translate(x, y);
+    context.rotate(angle);
+    context.scale(scale, scale);
+    context.translate(-refX, 0);
+
+    if (_marker.OPEN_MARKER_SHAPES.includes(shape)) {
+        context.lineWidth = _marker.OPEN_MARKER_STROKE_WIDTH;
+        context.strokeStyle = color;
+        context.stroke(path);
+    } else {
+        context.fillStyle = color;
+        context.fill(path);
+    }
+
+    context.restore();
+}
+
+/**
+ * Draws the label of some link, with its halo or background rectangle (see **link.labelBackground**).
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - link props as built by buildLinkProps.
+ * @param {Object} point - where (x and y) and with which orientation (angle in radians) the label is drawn.
+ * @param {string} align - the canvas text alignment (start, center or end).
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _drawLinkLabel(context, props, _ref3, align) {
+    var x = _ref3.x,
+        y = _ref3.y,
+        angle = _ref3.angle;
+
+    var offset = -props.strokeWidth - (props.labelOffset === undefined ? 1 : props.labelOffset);
+
+    context.translate(x, y);
+    context.rotate(angle);
+    context.textAlign = align;
+    _setLabelStyle(context, props);
+
+    if (props.labelBackground === _link.LABEL_BACKGROUNDS.RECT) {
+        var _context$measureText = context.measureText(props.label),
+            width = _context$measureText.width;
+
+        context.fillStyle = props.labelBackgroundColor;
+        // the rectangle goes from the ascender to the descender of the text
+        context.fillRect(width * TEXT_ALIGN_SHIFTS[align], offset - props.fontSize, width, props.fontSize * 1.25);
+        context.fillStyle = props.fontColor;
+    }
+
+    if (props.labelBackground === _link.LABEL_BACKGROUNDS.HALO) {
+        context.strokeStyle = props.labelBackgroundColor;
+        context.lineWidth = props.fontSize * _link.LABEL_HALO_WIDTH_RATIO;
+        context.lineJoin = "round";
+        context.strokeText(props.label, 0, offset);
+    }
+
+    context.fillText(props.label, 0, offset);
+}
+
+/**
+ * Draws a link, its markers (for directed graphs) and its label.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - link props as built by buildLinkProps (parallel links are drawn after their parallelOffset
+ * and self-loops after their selfLoop angle and size). Links with some flow are dashed, their dashes move along
+ * with the time, thus they need to be redrawn on every animation frame.
+ * @param {Object} coords - link coordinates.
+ * @param {number} coords.x1 - x coordinate of the source node.
+ * @param {number} coords.y1 - y coordinate of the source node.
+ * @param {number} coords.x2 - x coordinate of the target node.
+ * @param {number} coords.y2 - y coordinate of the target node.
+ * @param {number} coords.targetRadius - radius of the target node, markers of links without tip are drawn at its edge.
+ * @returns {Object} the link hit region, with source, target, the link path and strokeWidth
+ * (the renderer further adds the link id).
+ * @memberof Graph/canvas-helper
+ */
+function drawLink(context, props, _ref4) {
+    var x1 = _ref4.x1,
+        y1 = _ref4.y1,
+        x2 = _ref4.x2,
+        y2 = _ref4.y2,
+        targetRadius = _ref4.targetRadius;
+
+    var path = new Path2D(props.d);
+    var angle = Math.atan2(y2 - y1, x2 - x1);
+    // links are clipped at the node boundaries, their tip tells where (and with which direction) they reach the target
+    var tip = props.tip || {
+        x: x2 - Math.cos(angle) * targetRadius,
+        y: y2 - Math.sin(angle) * targetRadius,
+        angle: angle,
+    };
+    var labelX = (x1 + x2) / 2;
+    var labelY = (y1 + y2) / 2;
+    var labelAngle = angle;
+
+    if (props.middle) {
+        // the middle of the link path (orthogonal, step and custom paths included), labels follow its direction
+        labelX = props.middle.x;
+        labelY = props.middle.y;
+        labelAngle = props.middle.angle;
+    } else if (props.parallelOffset) {
+        // parallel links are quadratic curves, their label sits on the curve apex
+        var control = (0, _link2.getParallelLinkControlPoint)({ x: x1, y: y1 }, { x: x2, y: y2 }, props.parallelOffset);
+
+        labelX = (labelX + control.x) / 2;
+        labelY = (labelY + control.y) / 2;
+    } else if (props.selfLoop) {
+        // self-loops are cubic curves that leave and come back to the node, their label sits on the loop apex
+        labelX = x1 + Math.cos(props.selfLoop.angle) * props.selfLoop.size;
+        labelY = y1 + Math.sin(props.selfLoop.angle) * props.selfLoop.size;
+    }
+
+    context.save();
+    context.globalAlpha = props.opacity;
+    context.strokeStyle = props.stroke;
+    context.lineWidth = props.strokeWidth;
+
+    if (props.flow) {
+        // same animation as the svg Link, the dash offset decreases (or increases) from a whole dash period to 0
+        var _props$flow = props.flow,
+            dashArray = _props$flow.dashArray,
+            direction = _props$flow.direction,
+            duration = _props$flow.duration;
+
+        var period = dashArray[0] + dashArray[1];
+        var progress = (Date.now() % (duration * 1000)) / (duration * 1000);
+
+        context.setLineDash(dashArray);
+        context.lineDashOffset = period * direction * (1 - progress);
+    }
+
+    context.stroke(path);
+    props.flow && context.setLineDash([]);
+
+    var markers = props.markers || {};
+    var points = { start: props.tail, mid: props.middle, end: tip };
+
+    Object.keys(points)
+        .filter(function(position) {
+            return markers[position] && points[position];
+        })
+        .forEach(function(position) {
+            return _drawMarker(
+                context,
+                markers[position],
+                points[position],
+                _marker.MARKER_REF_X[position],
+                props.strokeWidth,
+                props.stroke
+            );
+        });
+
+    if (props.label && props.labelPoint) {
+        // labels placed along the link path (see buildLinkProps), already upright when link.labelUpright is set
+        _drawLinkLabel(context, props, props.labelPoint, TEXT_ALIGNS[props.labelAnchor] || "center");
+    } else if (props.label) {
+        // keep labels readable, never upside down
+        var upright = Math.abs(labelAngle) > Math.PI / 2 ? labelAngle + Math.PI : labelAngle;
+
+        _drawLinkLabel(context, props, { x: labelX, y: labelY, angle: upright }, "center");
+    }
+
+    context.restore();
+
+    return { source: props.source, target: props.target, path: path, strokeWidth: props.strokeWidth };
+}
+
+/**
+ * Draws a node (symbol or svg image) and its label.
+ * **NOTE**: nodes with a *viewGenerator* can't be drawn on canvas, their symbol is drawn instead.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - node props as built by buildNodeProps.
+ * @param {Function} [onImageLoad] - callback to be called once a node svg image finishes loading.
+ * @returns {Object} the node hit region, with id, x, y and radius.
+ * @memberof Graph/canvas-helper
+ */
+function drawNode(context, props, onImageLoad) {
+    var x = Number(props.cx) || 0;
+    var y = Number(props.cy) || 0;
+    var radius = void 0;
+
+    context.save();
+    context.globalAlpha = props.opacity;
+    context.translate(x, y);
+
+    if (props.svg) {
+        var side = props.size / 10;
+        var image = _getImage(props.svg, onImageLoad);
+
+        radius = side / 2;
+        image.complete && image.naturalWidth && context.drawImage(image, -radius, -radius, side, side);
+    } else {
+        var path = new Path2D(_node2.default.buildSvgSymbol(props.size, props.type));
+
+        radius = Math.sqrt(props.size / Math.PI);
+        context.fillStyle = props.fill;
+        context.fill(path);
+
+        if (props.stroke && props.stroke !== "none") {
+            context.strokeStyle = props.stroke;
+            context.lineWidth = props.strokeWidth;
+            context.stroke(path);
+        }
+    }
+
+    if (props.renderLabel && props.label !== undefined && props.label !== null) {
+        _setLabelStyle(context, props);
+
+        if (props.labelLines) {
+            context.textAlign = TEXT_ALIGNS[props.labelAnchor] || "start";
+            props.labelLines.forEach(function(line, i) {
+                return context.fillText(line, props.labelX, props.labelY + i * props.labelLineHeight);
+            });
+        } else {
+            context.fillText(props.label, props.dx, -0.7 * props.fontSize);
+        }
+    }
+
+    if (props.badge) {
+        context.beginPath();
+        context.arc(props.badgeX, props.badgeY, props.badgeRadius, 0, 2 * Math.PI);
+        context.fillStyle = props.badgeColor;
+        context.fill();
+        _setLabelStyle(context, { fontSize: props.fontSize, fontColor: props.badgeFontColor });
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(props.badge, props.badgeX, props.badgeY);
+    }
+
+    context.restore();
+
+    return { id: props.id, x: x, y: y, radius: radius };
+}
+
+/**
+ * Draws some group outline (behind the member nodes) and its label.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - group props, same as the Group component props (see Graph/builder buildGroupProps).
+ * @returns {Object} the hit region of the group, its id and path.
+ * @memberof Graph/canvas-helper
+ */
+function drawGroup(context, props) {
+    var path = new Path2D(props.d);
+
+    context.save();
+    context.globalAlpha = props.fillOpacity;
+    context.fillStyle = props.fill;
+    context.fill(path);
+    context.globalAlpha = 1;
+
+    if (props.stroke && props.stroke !== "none") {
+        context.strokeStyle = props.stroke;
+        context.lineWidth = props.strokeWidth;
+        context.stroke(path);
+    }
+
+    if (props.label) {
+        _setLabelStyle(context, props);
+        context.textAlign = "center";
+        context.fillText(props.label, props.labelX, props.labelY);
+    }
+
+    context.restore();
+
+    return { id: props.id, path: path };
+}
+
+/**
+ * Draws the selection brush polygon.
+ * @param {Object} context - canvas 2d context.
+ * @param {Array.<Array.<number>>} polygon - list of [x, y] vertices of the brush.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function drawSelectionBrush(context, polygon) {
+    if (!polygon || !polygon.length) {
+        return;
+    }
+
+    context.save();
+    context.beginPath();
+    polygon.forEach(function(_ref5, i) {
+        var _ref6 = _slicedToArray(_ref5, 2),
+            x = _ref6[0],
+            y = _ref6[1];
+
+        return i ? context.lineTo(x, y) : context.moveTo(x, y);
+    });
+    context.closePath();
+    context.fillStyle = "rgba(31, 119, 180, 0.1)";
+    context.strokeStyle = "#1f77b4";
+    context.setLineDash([4, 2]);
+    context.fill();
+    context.stroke();
+    context.restore();
+}
+
+/**
+ * Finds the element (node or link) drawn under some point. Nodes are drawn on top of links
+ * thus they take precedence, the last drawn element wins.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} hitRegions - hit regions returned when drawing the graph.
+ * @param {Array.<Object>} hitRegions.nodes - nodes hit regions (see drawNode).
+ * @param {Array.<Object>} hitRegions.links - links hit regions (see drawLink).
+ * @param {Array.<Object>} hitRegions.groups - groups hit regions (see drawGroup), groups are hit last
+ * since they are drawn behind nodes and links.
+ * @param {Array.<number>} point - the [x, y] point in screen coordinates (relative to the canvas).
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Object|undefined} `{ type: "node", id }`, `{ type: "link", id, source, target }`,
+ * `{ type: "group", id }` or undefined.
+ * @memberof Graph/canvas-helper
+ */
+function findElementAt(context, _ref7, _ref8, _ref9) {
+    var _ref7$nodes = _ref7.nodes,
+        nodes = _ref7$nodes === undefined ? [] : _ref7$nodes,
+        _ref7$links = _ref7.links,
+        links = _ref7$links === undefined ? [] : _ref7$links,
+        _ref7$groups = _ref7.groups,
+        groups = _ref7$groups === undefined ? [] : _ref7$groups;
+
+    var _ref10 = _slicedToArray(_ref8, 2),
+        px = _ref10[0],
+        py = _ref10[1];
+
+    var _ref9$x = _ref9.x,
+        x = _ref9$x === undefined ? 0 : _ref9$x,
+        _ref9$y = _ref9.y,
+        y = _ref9$y === undefined ? 0 : _ref9$y,
+        _ref9$k = _ref9.k,
+        k = _ref9$k === undefined ? 1 : _ref9$k;
+
+    var gx = (px - x) / k;
+    var gy = (py - y) / k;
+
+    for (var i = nodes.length - 1; i >= 0; i--) {
+        var node = nodes[i];
+        var dx = gx - node.x;
+        var dy = gy - node.y;
+
+        if (dx * dx + dy * dy <= node.radius * node.radius) {
+            return { type: _graph2.default.NODE_CLASS_NAME, id: node.id };
+        }
+    }
+
+    if (!context || !context.isPointInStroke) {
+        return;
+    }
+
+    var hit = void 0;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    for (var _i = links.length - 1; _i >= 0 && !hit; _i--) {
+        var link = links[_i];
+
+        context.lineWidth = link.strokeWidth + LINK_HIT_TOLERANCE / k;
+
+        if (context.isPointInStroke(link.path, gx, gy)) {
+            hit = { type: _graph2.default.LINK_CLASS_NAME, id: link.id, source: link.source, target: link.target };
+        }
+    }
+
+    for (var _i2 = groups.length - 1; _i2 >= 0 && !hit && context.isPointInPath; _i2--) {
+        if (context.isPointInPath(groups[_i2].path, gx, gy)) {
+            hit = { type: _graph2.default.GROUP_CLASS_NAME, id: groups[_i2].id };
+        }
+    }
+
+    context.restore();
+
+    return hit;
+}
+
+/**
+ * Emits the mouse over (or mouse out) event of some element drawn in the canvas renderer.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} element - the element (see findElementAt).
+ * @param {boolean} over - true for mouse over events, false for mouse out events.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _emitMouseEvent(graph, element, over) {
+    if (element.type === _graph2.default.NODE_CLASS_NAME) {
+        over ? graph.onMouseOverNode(element.id) : graph.onMouseOutNode(element.id);
+    } else if (element.type === _graph2.default.GROUP_CLASS_NAME) {
+        var callback = over ? graph.props.onMouseOverGroup : graph.props.onMouseOutGroup;
+
+        callback && callback(element.id);
+    } else {
+        over
+            ? graph.onMouseOverLink(element.source, element.target, element.id)
+            : graph.onMouseOutLink(element.source, element.target, element.id);
+    }
+}
+
+/**
+ * Handles clicks in the canvas renderer, dispatching them to the clicked node, link, group or graph background.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the click event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleClick(graph, e) {
+    var element = graph._findCanvasElement((0, _selection.getPointerPosition)(e));
+
+    if (!element) {
+        graph.onClickGraph(e);
+    } else if (element.type === _graph2.default.GROUP_CLASS_NAME) {
+        graph.onClickGroup(element.id, e);
+    } else if (element.type === _graph2.default.NODE_CLASS_NAME) {
+        graph.onClickNode(element.id, e);
+    } else {
+        graph.onClickLink(element.source, element.target, e, element.id);
+    }
+}
+
+/**
+ * Handles right clicks in the canvas renderer, dispatching them to the clicked node or link.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the contextmenu event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleContextMenu(graph, e) {
+    var element = graph._findCanvasElement((0, _selection.getPointerPosition)(e));
+    var _graph$props = graph.props,
+        onRightClickNode = _graph$props.onRightClickNode,
+        onRightClickLink = _graph$props.onRightClickLink;
+
+    if (element && element.type === _graph2.default.NODE_CLASS_NAME) {
+        onRightClickNode && onRightClickNode(e, element.id);
+    } else if (element && element.type === _graph2.default.LINK_CLASS_NAME) {
+        onRightClickLink && onRightClickLink(e, element.source, element.target, element.id);
+    }
+}
+
+/**
+ * Tracks which element is under the pointer in the canvas renderer in order to emit
+ * mouse over and mouse out events for nodes, links and groups, same as svg elements do.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mousemove or mouseleave event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleMouseMove(graph, e) {
+    graph.onMouseMoveGraph(e);
+
+    var element = e.type === "mouseleave" ? undefined : graph._findCanvasElement((0, _selection.getPointerPosition)(e));
+    var previous = graph.hoveredCanvasElement;
+
+    if (_utils2.default.isDeepEqual(element || {}, previous || {})) {
+        return;
+    }
+
+    previous && _emitMouseEvent(graph, previous, false);
+    element && _emitMouseEvent(graph, element, true);
+
+    var elementConfig = element && graph.state.config[element.type];
+
+    graph.hoveredCanvasElement = element;
+    graph.canvas.style.cursor = elementConfig ? elementConfig.mouseCursor : "";
+}
+
+exports.drawGroup = drawGroup;
+exports.drawLink = drawLink;
+exports.drawNode = drawNode;
+exports.drawSelectionBrush = drawSelectionBrush;
+exports.findElementAt = findElementAt;
+exports.handleClick = handleClick;
+exports.handleContextMenu = handleContextMenu;
+exports.handleMouseMove = handleMouseMove;
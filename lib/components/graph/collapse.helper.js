@@ -3,6 +3,7 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
+exports.toggleLinksMatrixConnections = exports.toggleLinksConnections = exports.toggleCollapsedNode = exports.toggleCollapsedGroup = exports.isNodeVisible = exports.getTargetLeafConnections = exports.getHiddenNodes = exports.getGraphProps = exports.getCollapsedNodeIds = exports.getCollapsedGroupIds = exports.computeNodeDegree = undefined;
 
 var _extends =
     Object.assign ||
@@ -18,6 +19,32 @@ var _extends =
         return target;
     };
 
+var _graph = require("./graph.config");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _utils = require("../../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _selection = require("./selection.helper");
+
+var _group = require("../group/group.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
 /**
  * @module Graph/collapse-helper
  * @description
@@ -28,15 +55,22 @@ var _extends =
  *
  * User interaction flow (for a collapsible graph)
  * 1. User clicks node
- * 2. All leaf connections of that node are not rendered anymore
+ * 2. All descendants of that node (directed graphs) or all its leaf neighbors (not directed graphs)
+ * are not rendered anymore, a badge on the node tells how many nodes are hidden
  * 3. User clicks on same node
- * 4. All leaf connections of that node are rendered
+ * 4. All descendants (or leaf neighbors) of that node are rendered
  *
  * Internal react-d3-graph flow
  * 1. User clicks node
- * 2. Compute leaf connections for clicked node (rootNode, root as in 'root' of the event)
- * 3. Update connections matrix (based on 2.)
- * 4. Update d3Links array with toggled connections (based on 2.)
+ * 2. Toggle the clicked node in the list of collapsed node ids (the collapse state)
+ * 3. Compute the nodes hidden by every collapsed node (see getHiddenNodes), descendants that can still
+ * be reached from some visible node without going through a collapsed node remain visible
+ * 4. Update d3Links array and connections matrix, links from collapsed nodes and links of hidden nodes are hidden
+ *
+ * Collapsible groups (see config.group.collapsible) are replaced by compound nodes before the graph state is built
+ * (see getGraphProps). The methods that toggle collapsed nodes and groups receive the Graph component instance,
+ * the collapsedNodeIds and collapsedGroupIds props take precedence over the internal state (controlled vs
+ * uncontrolled collapse).
  */
 
 /**
@@ -79,6 +113,95 @@ function _isLeaf(nodeId, linksMatrix, directed) {
     return directed ? _isLeafDirected(inDegree, outDegree) : _isLeafNotDirected(inDegree, outDegree);
 }
 
+/**
+ * Builds the adjacency lists of the graph out of all its links (hidden or not).
+ * @param {Array.<Object>} d3Links - all the d3 links.
+ * @param {boolean} directed - whether graph in context is directed or not.
+ * @returns {Object.<string, Array.<string>>} the ids of the nodes each node links to, mapped by node id.
+ * @memberof Graph/collapse-helper
+ */
+function _buildAdjacency(d3Links, directed) {
+    var add = function add(acc, source, target) {
+        acc[source] = acc[source] || [];
+        acc[target] = acc[target] || [];
+        source !== target && !acc[source].includes(target) && acc[source].push(target);
+    };
+
+    return d3Links.reduce(function(acc, _ref) {
+        var source = _ref.source,
+            target = _ref.target;
+
+        var sourceId = "" + (source.id !== undefined && source.id !== null ? source.id : source);
+        var targetId = "" + (target.id !== undefined && target.id !== null ? target.id : target);
+
+        add(acc, sourceId, targetId);
+        !directed && add(acc, targetId, sourceId);
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Walks the graph from the given nodes.
+ * @param {Array.<string>} nodeIds - the ids of the nodes to start from.
+ * @param {Object.<string, Array.<string>>} adjacency - the adjacency lists of the graph (see _buildAdjacency).
+ * @param {Function} [expand] - tells whether the walk goes on through some node, it goes through every node by default.
+ * @returns {Object.<string, boolean>} the ids of the reached nodes, including the starting ones.
+ * @memberof Graph/collapse-helper
+ */
+function _walk(nodeIds, adjacency) {
+    var expand =
+        arguments.length > 2 && arguments[2] !== undefined
+            ? arguments[2]
+            : function() {
+                  return true;
+              };
+
+    var reached = {};
+    var pending = [].concat(_toConsumableArray(nodeIds));
+
+    nodeIds.forEach(function(id) {
+        return (reached[id] = true);
+    });
+
+    while (pending.length) {
+        var id = pending.pop();
+
+        expand(id) &&
+            (adjacency[id] || []).forEach(function(target) {
+                if (!reached[target]) {
+                    reached[target] = true;
+                    pending.push(target);
+                }
+            });
+    }
+
+    return reached;
+}
+
+/**
+ * Computes the nodes that some collapsed node folds, its descendants in directed graphs and its leaf neighbors
+ * in not directed graphs.
+ * @param {string} nodeId - the id of the collapsed node.
+ * @param {Object.<string, Array.<string>>} adjacency - the adjacency lists of the graph (see _buildAdjacency).
+ * @param {boolean} directed - whether graph in context is directed or not.
+ * @returns {Array.<string>} the ids of the folded nodes.
+ * @memberof Graph/collapse-helper
+ */
+function _getFoldedNodes(nodeId, adjacency, directed) {
+    if (!directed) {
+        return (adjacency[nodeId] || []).filter(function(id) {
+            return adjacency[id].length === 1;
+        });
+    }
+
+    var reached = _walk(adjacency[nodeId] || [], adjacency);
+
+    return Object.keys(reached).filter(function(id) {
+        return id !== nodeId;
+    });
+}
+
 /**
  * Calculates degree (in and out) of some provided node.
  * @param {string|number} nodeId - the id of the node whom degree we want to compute.
@@ -137,8 +260,8 @@ function computeNodeDegree(nodeId) {
  */
 function getTargetLeafConnections(rootNodeId) {
     var linksMatrix = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
-    var _ref = arguments[2];
-    var directed = _ref.directed;
+    var _ref2 = arguments[2];
+    var directed = _ref2.directed;
 
     var rootConnectionsNodesIds = Object.keys(linksMatrix[rootNodeId]);
 
@@ -161,20 +284,76 @@ function getTargetLeafConnections(rootNodeId) {
  * If you think that this code is confusing and could potentially collide (🤞) with #_isLeaf
  * always remember that *A leaf can, through time, be both a visible or an invisible node!*.
  *
+ * Nodes are hidden by collapsed nodes only (see getHiddenNodes), thus orphan nodes and nodes whose links are
+ * all hidden (e.g. a collapsed node without other connections) remain visible.
+ *
  * @param {string} nodeId - The id of the node to get the cardinality of
  * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param {Object.<string, number>} linksMatrix - An object containing a matrix of connections of the nodes.
  * @returns {boolean} flag that indicates whether node should or not be displayed.
  * @memberof Graph/collapse-helper
  */
-function isNodeVisible(nodeId, nodes, linksMatrix) {
-    var _computeNodeDegree2 = computeNodeDegree(nodeId, linksMatrix),
-        inDegree = _computeNodeDegree2.inDegree,
-        outDegree = _computeNodeDegree2.outDegree;
+function isNodeVisible(nodeId, nodes) {
+    return !nodes[nodeId]._hidden;
+}
+
+/**
+ * Computes which nodes are hidden by the collapsed nodes. In directed graphs collapsed nodes hide their
+ * descendants, unless they can still be reached from some visible node without going through a collapsed
+ * node. In not directed graphs collapsed nodes hide their leaf neighbors.
+ * @param {Array.<string>} collapsedNodeIds - the ids of the collapsed nodes.
+ * @param {Array.<Object>} d3Links - all the d3 links.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {boolean} config.directed - tells whether the graph is directed or not.
+ * @returns {Object} the ids of the hidden nodes (**hiddenNodeIds**, an object that maps them to true) and how many
+ * nodes each collapsed node hides (**hiddenCounts**, mapped by collapsed node id).
+ * @memberof Graph/collapse-helper
+ */
+function getHiddenNodes(collapsedNodeIds, d3Links, _ref3) {
+    var directed = _ref3.directed;
+
+    var adjacency = _buildAdjacency(d3Links, directed);
+    var collapsed = collapsedNodeIds
+        .map(function(id) {
+            return "" + id;
+        })
+        .filter(function(id) {
+            return adjacency[id];
+        });
+    var folded = collapsed.reduce(function(acc, id) {
+        acc[id] = _getFoldedNodes(id, adjacency, directed);
 
-    var orphan = !!nodes[nodeId]._orphan;
+        return acc;
+    }, {});
+    var candidates = collapsed.reduce(function(acc, id) {
+        folded[id].forEach(function(foldedId) {
+            return (acc[foldedId] = true);
+        });
+
+        return acc;
+    }, {});
+    var roots = Object.keys(adjacency).filter(function(id) {
+        return !candidates[id];
+    });
+    // not directed graphs only fold leaf neighbors, which can't be reached otherwise
+    var visible = directed
+        ? _walk(roots, adjacency, function(id) {
+              return !collapsed.includes(id);
+          })
+        : {};
+    var hiddenNodeIds = Object.keys(candidates).reduce(function(acc, id) {
+        !visible[id] && (acc[id] = true);
 
-    return inDegree > 0 || outDegree > 0 || orphan;
+        return acc;
+    }, {});
+    var hiddenCounts = collapsed.reduce(function(acc, id) {
+        acc[id] = folded[id].filter(function(foldedId) {
+            return hiddenNodeIds[foldedId];
+        }).length;
+
+        return acc;
+    }, {});
+
+    return { hiddenNodeIds: hiddenNodeIds, hiddenCounts: hiddenCounts };
 }
 
 /**
@@ -189,8 +368,8 @@ function toggleLinksConnections(d3Links, connectionMatrix) {
         var source = d3Link.source,
             target = d3Link.target;
 
-        var sourceId = source.id || source;
-        var targetId = target.id || target;
+        var sourceId = source.id !== undefined && source.id !== null ? source.id : source;
+        var targetId = target.id !== undefined && target.id !== null ? target.id : target;
         // connectionMatrix[sourceId][targetId] can be 0 or non existent
         var connection = connectionMatrix && connectionMatrix[sourceId] && connectionMatrix[sourceId][targetId];
 
@@ -205,11 +384,35 @@ function toggleLinksConnections(d3Links, connectionMatrix) {
  * @param {Array.<Object.<string, string>>} connections - connections to toggle on matrix.
  * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
  * @param {boolean} config.directed - tells whether linksMatrix represents a directed graph or not.
+ * @param {Array.<Object>} [d3Links=[]] - all the d3 links, restored connections get back the cost of the cheapest
+ * link between their nodes (see graph helper _initializeLinks), 1 when there are no such links.
  * @returns {Object.<string, Object>} updated linksMatrix
  * @memberof Graph/collapse-helper
  */
-function toggleLinksMatrixConnections(linksMatrix, connections, _ref2) {
-    var directed = _ref2.directed;
+function toggleLinksMatrixConnections(linksMatrix, connections, _ref4) {
+    var directed = _ref4.directed;
+    var d3Links = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : [];
+
+    var _getNodeId = function _getNodeId(node) {
+        return "" + (node.id !== undefined && node.id !== null ? node.id : node);
+    };
+    var _getConnectionValue = function _getConnectionValue(source, target) {
+        var values = d3Links
+            .filter(function(d3Link) {
+                var sourceId = _getNodeId(d3Link.source);
+                var targetId = _getNodeId(d3Link.target);
+
+                return (
+                    (sourceId === source && targetId === target) ||
+                    (!directed && sourceId === target && targetId === source)
+                );
+            })
+            .map(function(d3Link) {
+                return d3Link.value || 1;
+            });
+
+        return values.length ? Math.min.apply(Math, _toConsumableArray(values)) : 1;
+    };
 
     return connections.reduce(function(newMatrix, link) {
         if (!newMatrix[link.source]) {
@@ -220,7 +423,8 @@ function toggleLinksMatrixConnections(linksMatrix, connections, _ref2) {
             newMatrix[link.source][link.target] = 0;
         }
 
-        var newConnectionValue = newMatrix[link.source][link.target] === 0 ? 1 : 0;
+        var newConnectionValue =
+            newMatrix[link.source][link.target] === 0 ? _getConnectionValue("" + link.source, "" + link.target) : 0;
 
         newMatrix[link.source][link.target] = newConnectionValue;
 
@@ -232,8 +436,127 @@ function toggleLinksMatrixConnections(linksMatrix, connections, _ref2) {
     }, _extends({}, linksMatrix));
 }
 
+/**
+ * Obtain the ids of the collapsed groups, the collapsedGroupIds prop takes precedence over the internal
+ * state (controlled vs uncontrolled collapsed groups).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [props=graph.props] - Graph component props.
+ * @returns {Array.<string>} the ids of the collapsed groups.
+ * @memberof Graph/collapse-helper
+ */
+function getCollapsedGroupIds(graph) {
+    var props = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : graph.props;
+
+    return props.collapsedGroupIds || (graph.state && graph.state.collapsedGroupIds) || [];
+}
+
+/**
+ * Obtain the ids of the collapsed nodes, the collapsedNodeIds prop takes precedence over the internal
+ * state (controlled vs uncontrolled collapsed nodes).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [props=graph.props] - Graph component props.
+ * @returns {Array.<string>} the ids of the collapsed nodes.
+ * @memberof Graph/collapse-helper
+ */
+function getCollapsedNodeIds(graph) {
+    var props = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : graph.props;
+
+    return props.collapsedNodeIds || (graph.state && graph.state.collapsedNodeIds) || [];
+}
+
+/**
+ * Obtain the props the graph state is built from, collapsed groups are replaced by compound nodes.
+ * The positions of the current nodes are remembered so that expanded members go back where they were.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} props - Graph component props.
+ * @param {Array.<string>} collapsedGroupIds - ids of the collapsed groups.
+ * @returns {Object} the props with the collapsed graph data.
+ * @memberof Graph/collapse-helper
+ */
+function getGraphProps(graph, props, collapsedGroupIds) {
+    var nodes = (graph.state && graph.state.nodes) || {};
+
+    Object.keys(nodes)
+        .filter(function(id) {
+            return nodes[id].x !== undefined && nodes[id].y !== undefined;
+        })
+        .forEach(function(id) {
+            return (graph.nodesPositions[id] = { x: nodes[id].x, y: nodes[id].y });
+        });
+
+    var config = _utils2.default.merge(_graph2.default, props.config || {});
+    var data = (0, _group.collapseGroups)(props.data, collapsedGroupIds, config, graph.nodesPositions);
+
+    return _extends({}, props, { data: data });
+}
+
+/**
+ * Collapses some group into its compound node or expands it back and calls the onCollapsedGroupsChange
+ * callback, the graph is only updated here when collapsed groups are not controlled through the
+ * collapsedGroupIds prop.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} groupId - the id of the group to toggle.
+ * @returns {undefined}
+ * @memberof Graph/collapse-helper
+ */
+function toggleCollapsedGroup(graph, groupId) {
+    var collapsedGroupIds = (0, _selection.toggleSelectedId)(
+        getCollapsedGroupIds(graph).map(function(id) {
+            return "" + id;
+        }),
+        "" + groupId
+    );
+
+    if (!graph.props.collapsedGroupIds) {
+        graph._updateGraphState(getGraphProps(graph, graph.props, collapsedGroupIds), {
+            collapsedGroupIds: collapsedGroupIds,
+        });
+    }
+
+    graph.props.onCollapsedGroupsChange && graph.props.onCollapsedGroupsChange(collapsedGroupIds);
+}
+
+/**
+ * Collapses some node or expands it back and calls the onCollapseChange callback, the graph is only
+ * updated here when collapsed nodes are not controlled through the collapsedNodeIds prop. Nodes that
+ * hide no other node are not collapsed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - the id of the node to toggle.
+ * @param {Function} cb - called once the graph is updated.
+ * @returns {undefined}
+ * @memberof Graph/collapse-helper
+ */
+function toggleCollapsedNode(graph, nodeId, cb) {
+    var id = "" + nodeId;
+    var current = getCollapsedNodeIds(graph).map(function(collapsedId) {
+        return "" + collapsedId;
+    });
+    var collapsedNodeIds = (0, _selection.toggleSelectedId)(current, id);
+
+    var _getHiddenNodes = getHiddenNodes(collapsedNodeIds, graph.state.d3Links, graph.state.config),
+        hiddenCounts = _getHiddenNodes.hiddenCounts;
+
+    if (!current.includes(id) && !hiddenCounts[id]) {
+        return cb();
+    }
+
+    graph.props.onCollapseChange && graph.props.onCollapseChange(collapsedNodeIds);
+
+    if (graph.props.collapsedNodeIds) {
+        return cb();
+    }
+
+    graph._collapseNodes(collapsedNodeIds, cb);
+}
+
 exports.computeNodeDegree = computeNodeDegree;
+exports.getCollapsedGroupIds = getCollapsedGroupIds;
+exports.getCollapsedNodeIds = getCollapsedNodeIds;
+exports.getGraphProps = getGraphProps;
+exports.getHiddenNodes = getHiddenNodes;
 exports.getTargetLeafConnections = getTargetLeafConnections;
 exports.isNodeVisible = isNodeVisible;
+exports.toggleCollapsedGroup = toggleCollapsedGroup;
+exports.toggleCollapsedNode = toggleCollapsedNode;
 exports.toggleLinksConnections = toggleLinksConnections;
 exports.toggleLinksMatrixConnections = toggleLinksMatrixConnections;
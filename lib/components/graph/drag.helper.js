@@ -0,0 +1,206 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.onDragStart = exports.onDragMove = exports.onDragEnd = exports.onCanvasDragMove = exports.getCanvasDragSubject = exports.configureDrag = undefined;
+
+var _d3Drag = require("d3-drag");
+
+var _d3Selection = require("d3-selection");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _zoom = require("./zoom.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+/**
+ * Obtains the id of the node that is being dragged.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged (svg renderer).
+ * @param {Array.<Object>} nodeList - array of dragged elements (svg renderer).
+ * @returns {string} the id of the dragged node.
+ * @memberof Graph/drag-helper
+ */
+/**
+ * @module Graph/drag-helper
+ * @description
+ * Offers a series of methods that allow graph to drag its nodes around, all of them receive
+ * the Graph component instance.
+ *
+ * Developer notes - with the svg renderer the d3 drag behavior is bound to each node element, with the canvas
+ * renderer it's bound to the canvas itself and the dragged node (the drag subject) is obtained via hit testing.
+ * Dragged nodes get their positions fixed (fx, fy) and the Graph nodeDragged flag is set, so that the click
+ * that follows the drag is ignored (see Graph onClickNode).
+ */
+function _getDraggedNodeId(graph, index, nodeList) {
+    return graph._isCanvasRenderer() ? "" + _d3Selection.event.subject.id : nodeList[index].id;
+}
+
+/**
+ * Moves a node by the given deltas fixing its position (fx, fy).
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} id - the id of the node to move.
+ * @param {number} dx - delta to apply to the node x coordinate.
+ * @param {number} dy - delta to apply to the node y coordinate.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function _moveNode(graph, id, dx, dy) {
+    if (!graph.state.config.staticGraph) {
+        // this is where d3 and react bind
+        var draggedNode = graph.state.nodes[id];
+
+        draggedNode.x += dx;
+        draggedNode.y += dy;
+
+        // set nodes fixing coords fx and fy
+        draggedNode["fx"] = draggedNode.x;
+        draggedNode["fy"] = draggedNode.y;
+
+        graph.nodeDragged = true;
+        graph._tick();
+
+        graph.props.onNodeDrag && graph.props.onNodeDrag(draggedNode, { x: draggedNode.x, y: draggedNode.y });
+    }
+}
+
+/**
+ * Configures nodes drag events.
+ * @param {Object} graph - the Graph component instance.
+ * @param {boolean} [mountedOnly=false] - only bind the drag behavior to svg nodes that don't have it yet,
+ * e.g. nodes that were mounted again after being culled from the viewport or hidden by a collapsed node. Nodes
+ * are only looked up when the rendered nodes (see Graph renderedNodeIds) changed since they were last bound.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function configureDrag(graph) {
+    var mountedOnly = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+
+    var customNodeDrag = (0, _d3Drag.drag)()
+        .on("start", graph._onDragStart)
+        .on("end", graph._onDragEnd);
+
+    if (graph._isCanvasRenderer()) {
+        graph.canvas &&
+            (0, _d3Selection.select)(graph.canvas).call(
+                customNodeDrag
+                    .subject(function() {
+                        return getCanvasDragSubject(graph);
+                    })
+                    .on("drag", function() {
+                        return onCanvasDragMove(graph);
+                    })
+            );
+    } else if (!mountedOnly || graph.draggableNodeIds !== graph.renderedNodeIds) {
+        graph.draggableNodeIds = graph.renderedNodeIds;
+        (0, _d3Selection.select)("#" + graph.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID)
+            .selectAll(".node")
+            .filter(function(d, i, nodeList) {
+                return !mountedOnly || !(0, _d3Selection.select)(nodeList[i]).on("mousedown.drag");
+            })
+            .call(customNodeDrag.on("drag", graph._onDragMove));
+    }
+}
+
+/**
+ * Computes the subject of a drag gesture in the canvas renderer, the node under the pointer (if any).
+ * {@link https://github.com/d3/d3-drag#drag_subject}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object|undefined} the dragged node.
+ * @memberof Graph/drag-helper
+ */
+function getCanvasDragSubject(graph) {
+    var element = graph._findCanvasElement([_d3Selection.event.x, _d3Selection.event.y]);
+
+    return element && element.type === _graph2.default.NODE_CLASS_NAME ? graph.state.nodes[element.id] : undefined;
+}
+
+/**
+ * Handles d3 'drag' event for the canvas renderer, pointer deltas are
+ * converted into graph coordinates using the current zoom.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onCanvasDragMove(graph) {
+    var _getZoomTransform = (0, _zoom.getZoomTransform)(graph),
+        k = _getZoomTransform.k;
+
+    _moveNode(graph, _d3Selection.event.subject.id, _d3Selection.event.dx / k, _d3Selection.event.dy / k);
+}
+
+/**
+ * Handles d3 drag 'end' event. If the node was actually moved the new position is reported, the
+ * nodeDragged flag remains set until the click that follows the drag (see Graph onClickNode) or the next drag start.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragEnd(graph, index, nodeList) {
+    var _graph$state = graph.state,
+        config = _graph$state.config,
+        nodes = _graph$state.nodes,
+        simulation = _graph$state.simulation;
+
+    if (graph.nodeDragged) {
+        var id = _getDraggedNodeId(graph, index, nodeList);
+        var _nodes$id = nodes[id],
+            x = _nodes$id.x,
+            y = _nodes$id.y;
+
+        graph.props.onNodePositionChange && graph.props.onNodePositionChange(id, x, y);
+    }
+
+    !config.staticGraph &&
+        graph._isForceLayout() &&
+        config.automaticRearrangeAfterDropNode &&
+        simulation.alphaTarget(config.d3.alphaTarget).restart();
+}
+
+/**
+ * Handles d3 'drag' event.
+ * {@link https://github.com/d3/d3-drag/blob/master/README.md#drag_subject|more about d3 drag}
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes. This list of nodes is provided by d3, each
+ * node contains all information that was previously fed by rd3g.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragMove(graph, index, nodeList) {
+    _moveNode(graph, nodeList[index].id, _d3Selection.event.dx, _d3Selection.event.dy);
+}
+
+/**
+ * Handles d3 drag 'start' event.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragStart(graph, index, nodeList) {
+    graph.pauseSimulation();
+    graph.nodeDragged = false;
+
+    graph.props.onNodeDragStart &&
+        graph.props.onNodeDragStart(
+            graph.state.nodes[_getDraggedNodeId(graph, index, nodeList)],
+            _d3Selection.event.sourceEvent
+        );
+}
+
+exports.configureDrag = configureDrag;
+exports.getCanvasDragSubject = getCanvasDragSubject;
+exports.onCanvasDragMove = onCanvasDragMove;
+exports.onDragEnd = onDragEnd;
+exports.onDragMove = onDragMove;
+exports.onDragStart = onDragStart;
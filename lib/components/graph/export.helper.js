@@ -0,0 +1,407 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.exportSVG = exports.exportPNG = exports.exportGraphSVG = exports.exportGraphPNG = exports.exportCanvasPNG = exports.DEFAULT_EXPORT_PADDING = undefined;
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+
+var _d3Selection = require("d3-selection");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _err = require("../../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+/**
+ * @module Graph/export-helper
+ * @description
+ * Offers a series of methods to export the rendered graph as a standalone SVG document or as a PNG
+ * image, entirely client side. The svg element rendered by the Graph is cloned, the computed styles of
+ * each element are inlined, node images are embedded as data urls and the result is serialized.
+ * The canvas renderer can only be exported as a PNG image (see exportGraphPNG and exportGraphSVG).
+ */
+
+var SVG_NS = "http://www.w3.org/2000/svg";
+var XLINK_NS = "http://www.w3.org/1999/xlink";
+
+/**
+ * Style properties that are inlined into the exported svg elements, so that the exported
+ * document looks the same outside of the page stylesheets.
+ * @memberof Graph/export-helper
+ */
+var INLINED_STYLE_PROPERTIES = [
+    "fill",
+    "fill-opacity",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "opacity",
+    "stroke",
+    "stroke-dasharray",
+    "stroke-opacity",
+    "stroke-width",
+    "text-anchor",
+    "visibility",
+];
+
+/**
+ * Default padding (in px) around the graph contents when exporting with fit to content.
+ * @memberof Graph/export-helper
+ */
+var DEFAULT_EXPORT_PADDING = 20;
+
+/**
+ * Copies the computed style of each element of the source svg into the matching element of the clone.
+ * @param {Object} source - the rendered svg element.
+ * @param {Object} clone - a deep clone of the source svg element.
+ * @returns {undefined}
+ * @memberof Graph/export-helper
+ */
+function _inlineStyles(source, clone) {
+    var sourceElements = [source].concat(_toConsumableArray(source.querySelectorAll("*")));
+    var cloneElements = [clone].concat(_toConsumableArray(clone.querySelectorAll("*")));
+
+    sourceElements.forEach(function(element, i) {
+        var computed = window.getComputedStyle(element);
+        var style = INLINED_STYLE_PROPERTIES.map(function(property) {
+            return [property, computed.getPropertyValue(property)];
+        })
+            .filter(function(_ref) {
+                var _ref2 = _slicedToArray(_ref, 2),
+                    value = _ref2[1];
+
+                return value;
+            })
+            .map(function(_ref3) {
+                var _ref4 = _slicedToArray(_ref3, 2),
+                    property = _ref4[0],
+                    value = _ref4[1];
+
+                return property + ":" + value;
+            })
+            .join(";");
+
+        style && cloneElements[i].setAttribute("style", style + ";" + (cloneElements[i].getAttribute("style") || ""));
+    });
+}
+
+/**
+ * Reads some url into a data url.
+ * @param {string} url - the url of the resource.
+ * @returns {Promise} resolves with the data url of the resource.
+ * @memberof Graph/export-helper
+ */
+function _toDataUrl(url) {
+    return window
+        .fetch(url)
+        .then(function(response) {
+            return response.blob();
+        })
+        .then(function(blob) {
+            return new Promise(function(resolve, reject) {
+                var reader = new window.FileReader();
+
+                reader.onload = function() {
+                    return resolve(reader.result);
+                };
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
+        });
+}
+
+/**
+ * Embeds the images (e.g. node svg images) referenced by the clone as data urls, so that the exported
+ * document does not depend on external resources. Images that can't be fetched are kept as they are.
+ * @param {Object} clone - the cloned svg element.
+ * @returns {Promise} resolves once all the images are embedded.
+ * @memberof Graph/export-helper
+ */
+function _embedImages(clone) {
+    var images = [].concat(_toConsumableArray(clone.querySelectorAll("image")));
+
+    return Promise.all(
+        images.map(function(image) {
+            var href = image.getAttribute("href") || image.getAttributeNS(XLINK_NS, "href");
+
+            if (!href || href.indexOf("data:") === 0) {
+                return Promise.resolve();
+            }
+
+            return _toDataUrl(href)
+                .then(function(dataUrl) {
+                    return image.setAttribute("href", dataUrl);
+                })
+                .catch(function() {
+                    return undefined;
+                });
+        })
+    );
+}
+
+/**
+ * Clones the rendered graph svg into a standalone svg element. By default the current zoom is kept, if **fit**
+ * is set the viewport is set to the bounding box of the graph contents instead.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options={}] - export options.
+ * @param {boolean} [options.fit=false] - whether to fit the exported image to the graph contents.
+ * @param {number} [options.padding=DEFAULT_EXPORT_PADDING] - padding (in px) around the contents when fitting.
+ * @returns {Object} the cloned svg element with its width and height.
+ * @memberof Graph/export-helper
+ */
+function _cloneSvg(svg, graphId, config) {
+    var _ref5 = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {},
+        _ref5$fit = _ref5.fit,
+        fit = _ref5$fit === undefined ? false : _ref5$fit,
+        _ref5$padding = _ref5.padding,
+        padding = _ref5$padding === undefined ? DEFAULT_EXPORT_PADDING : _ref5$padding;
+
+    var clone = svg.cloneNode(true);
+    var container = svg.querySelector("#" + graphId + "-" + _graph2.default.GRAPH_CONTAINER_ID);
+    var width = config.width,
+        height = config.height;
+
+    _inlineStyles(svg, clone);
+
+    []
+        .concat(_toConsumableArray(clone.querySelectorAll("." + _graph2.default.SELECTION_BRUSH_CLASS_NAME)))
+        .forEach(function(brush) {
+            return brush.parentNode.removeChild(brush);
+        });
+
+    if (fit && container) {
+        var _container$getBBox = container.getBBox(),
+            x = _container$getBBox.x,
+            y = _container$getBBox.y,
+            boxWidth = _container$getBBox.width,
+            boxHeight = _container$getBBox.height;
+
+        width = boxWidth + 2 * padding;
+        height = boxHeight + 2 * padding;
+        clone.querySelector("#" + graphId + "-" + _graph2.default.GRAPH_CONTAINER_ID).removeAttribute("transform");
+        clone.setAttribute("viewBox", x - padding + " " + (y - padding) + " " + width + " " + height);
+    }
+
+    clone.setAttribute("xmlns", SVG_NS);
+    clone.setAttribute("xmlns:xlink", XLINK_NS);
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    clone.removeAttribute("name");
+
+    return { clone: clone, width: width, height: height };
+}
+
+/**
+ * Serializes the rendered graph svg as a standalone svg document.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in _cloneSvg}.
+ * @returns {Promise} resolves with an object with the svg document (markup), width and height.
+ * @memberof Graph/export-helper
+ */
+function exportSVG(svg, graphId, config, options) {
+    var _cloneSvg2 = _cloneSvg(svg, graphId, config, options),
+        clone = _cloneSvg2.clone,
+        width = _cloneSvg2.width,
+        height = _cloneSvg2.height;
+
+    return _embedImages(clone).then(function() {
+        return {
+            markup: new window.XMLSerializer().serializeToString(clone),
+            width: width,
+            height: height,
+        };
+    });
+}
+
+/**
+ * Draws some image source (svg document or canvas) into a new canvas and encodes it as png.
+ * @param {Object} source - the image or canvas to draw.
+ * @param {number} width - the width of the exported image (before scaling).
+ * @param {number} height - the height of the exported image (before scaling).
+ * @param {Object} [options={}] - png options.
+ * @param {number} [options.scale=1] - scale factor applied to the exported image (e.g. 2 for hdpi).
+ * @param {string} [options.background] - background color, transparent if not set.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function _rasterize(source, width, height) {
+    var _ref6 = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {},
+        _ref6$scale = _ref6.scale,
+        scale = _ref6$scale === undefined ? 1 : _ref6$scale,
+        background = _ref6.background;
+
+    var canvas = document.createElement("canvas");
+    var context = canvas.getContext("2d");
+
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    return new Promise(function(resolve) {
+        return canvas.toBlob(resolve, "image/png");
+    });
+}
+
+/**
+ * Exports the rendered graph svg as a png image.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - both the options of {@link #Graph/export-helper|exportSVG} and _rasterize.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportPNG(svg, graphId, config, options) {
+    return exportSVG(svg, graphId, config, options).then(function(_ref7) {
+        var markup = _ref7.markup,
+            width = _ref7.width,
+            height = _ref7.height;
+        return new Promise(function(resolve, reject) {
+            var image = new window.Image();
+            var url = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(markup);
+
+            image.onload = function() {
+                return resolve(_rasterize(image, width, height, options));
+            };
+            image.onerror = reject;
+            image.src = url;
+        });
+    });
+}
+
+/**
+ * Exports the graph drawn by the canvas renderer as a png image, the current zoom is kept.
+ * @param {Object} canvas - the canvas where the graph is drawn.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in _rasterize}.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportCanvasPNG(canvas, config, options) {
+    return _rasterize(canvas, config.width, config.height, options);
+}
+
+/**
+ * Obtains the svg element where some Graph is rendered (svg renderer).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} the svg element.
+ * @memberof Graph/export-helper
+ */
+function _getGraphSvg(graph) {
+    return (0, _d3Selection.select)("#" + graph.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID)
+        .select("svg")
+        .node();
+}
+
+/**
+ * Exports the graph rendered by some Graph as a png image, with either renderer.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in exportPNG}.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportGraphPNG(graph, options) {
+    var _graph$state = graph.state,
+        id = _graph$state.id,
+        config = _graph$state.config;
+
+    return config.renderer === _graph2.default.RENDERERS.CANVAS
+        ? exportCanvasPNG(graph.canvas, config, options)
+        : exportPNG(_getGraphSvg(graph), id, config, options);
+}
+
+/**
+ * Exports the graph rendered by some Graph as a standalone svg document, the canvas renderer can't be exported as svg.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in exportSVG}.
+ * @returns {Promise} resolves with the svg document markup (string), rejected for the canvas renderer.
+ * @memberof Graph/export-helper
+ */
+function exportGraphSVG(graph, options) {
+    var _graph$state2 = graph.state,
+        id = _graph$state2.id,
+        config = _graph$state2.config;
+
+    if (config.renderer === _graph2.default.RENDERERS.CANVAS) {
+        return new Promise(function() {
+            return _utils2.default.throwErr(graph.constructor.name, _err2.default.EXPORT_SVG_CANVAS_RENDERER);
+        });
+    }
+
+    return exportSVG(_getGraphSvg(graph), id, config, options).then(function(_ref8) {
+        var markup = _ref8.markup;
+        return markup;
+    });
+}
+
+exports.DEFAULT_EXPORT_PADDING = DEFAULT_EXPORT_PADDING;
+exports.exportCanvasPNG = exportCanvasPNG;
+exports.exportGraphPNG = exportGraphPNG;
+exports.exportGraphSVG = exportGraphSVG;
+exports.exportPNG = exportPNG;
+exports.exportSVG = exportSVG;
@@ -3,7 +3,7 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-exports.buildNodeProps = exports.buildLinkProps = undefined;
+exports.getNodeShape = exports.buildNodeProps = exports.buildLinkProps = exports.buildGroupProps = undefined;
 
 var _extends =
     Object.assign ||
@@ -28,16 +28,28 @@ var _graph = require("./graph.const");
 
 var _graph2 = _interopRequireDefault(_graph);
 
-var _link = require("../link/link.helper");
+var _group = require("../group/group.const");
+
+var _link = require("../link/link.const");
+
+var _link2 = require("../link/link.helper");
+
+var _group2 = require("../group/group.helper");
 
 var _marker = require("../marker/marker.helper");
 
+var _node = require("../node/node.helper");
+
+var _node2 = _interopRequireDefault(_node);
+
 function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
 
 /**
  * Get the correct node opacity in order to properly make decisions based on context such as currently highlighted node.
+ * Nodes spotlighted through the highlight prop (**spotlighted** is only defined while that prop is set) are
+ * highlighted too.
  * @param  {Object} node - the node object for whom we will generate properties.
  * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
  * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
@@ -48,11 +60,13 @@ function _interopRequireDefault(obj) {
 function _getNodeOpacity(node, highlightedNode, highlightedLink, config) {
     var highlight =
         node.highlighted ||
+        node.spotlighted ||
         node.id === (highlightedLink && highlightedLink.source) ||
         node.id === (highlightedLink && highlightedLink.target);
     var someNodeHighlighted = !!(
         highlightedNode ||
-        (highlightedLink && highlightedLink.source && highlightedLink.target)
+        (highlightedLink && highlightedLink.source && highlightedLink.target) ||
+        node.spotlighted !== undefined
     );
     var opacity = void 0;
 
@@ -67,6 +81,133 @@ function _getNodeOpacity(node, highlightedNode, highlightedLink, config) {
     return opacity;
 }
 
+/**
+ * Checks whether the graph is zoomed in enough for some labels to be rendered. The zoom level is only
+ * tracked when panAndZoom is on, otherwise labels are always rendered.
+ * @param  {number} minZoom - the zoom level from which labels are rendered.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {boolean} true if labels should be rendered.
+ * @memberof Graph/builder
+ */
+function _isZoomedForLabels(minZoom, config, transform) {
+    return !config.panAndZoom || !minZoom || transform >= minZoom;
+}
+
+/**
+ * Describes the shape some node is rendered with, links are clipped at its boundary
+ * (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @param  {Object} node - the node object.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Object} the node shape, with its size, symbol type and whether it is rendered as an image (rect).
+ * @memberof Graph/builder
+ */
+function getNodeShape() {
+    var node = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    var config = arguments[1];
+    var transform = arguments[2];
+
+    // the canvas renderer draws the symbol of nodes with a view generator
+    var viewGenerator =
+        config.renderer !== _graph2.default.RENDERERS.CANVAS && (node.viewGenerator || config.node.viewGenerator);
+
+    return {
+        size: (node.size || config.node.size) / transform,
+        type: node.symbolType || config.node.symbolType,
+        rect: !!(node.svg || config.node.svg || viewGenerator),
+    };
+}
+
+/**
+ * Computes the direction some self-loop should point at, which is away from the neighbours of the node
+ * (or upwards for nodes without neighbours).
+ * @param  {string} nodeId - id of the node the self-loop belongs to.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Object.<string, Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @returns {number} the self-loop angle (in radians).
+ * @memberof Graph/builder
+ */
+function _getSelfLoopAngle(nodeId, nodes, links) {
+    var node = nodes[nodeId] || {};
+
+    var _Object$keys$reduce = Object.keys(links).reduce(
+            function(acc, id) {
+                var neighbour = nodes[id];
+                var connected = (links[nodeId] && links[nodeId][id]) || (links[id] && links[id][nodeId]);
+
+                if (id === nodeId || !neighbour || !connected) {
+                    return acc;
+                }
+
+                var x = (neighbour.x || 0) - (node.x || 0);
+                var y = (neighbour.y || 0) - (node.y || 0);
+                var length = Math.sqrt(x * x + y * y);
+
+                return length ? { dx: acc.dx + x / length, dy: acc.dy + y / length } : acc;
+            },
+            { dx: 0, dy: 0 }
+        ),
+        dx = _Object$keys$reduce.dx,
+        dy = _Object$keys$reduce.dy;
+
+    return dx || dy ? Math.atan2(-dy, -dx) : -Math.PI / 2;
+}
+
+/**
+ * Places the label of some link along the link path. Labels that would read upside down follow the
+ * reversed path (when **link.labelUpright** is set) and labels longer than their link are hidden (when
+ * **link.hideLongLabels** is set). Links with a custom path (see **link.pathGenerator**) can only be placed
+ * through the textPath start offset.
+ * @param {string} label - the link label.
+ * @param {Object} path - the link path (see {@link #Link/helper|buildLinkPath}).
+ * @param {number} fontSize - the label font size (already scaled by the zoom).
+ * @param {Object} linkConfig - the link config.
+ * @returns {Object} the label (null when hidden), the reversed path the label follows (**labelPath**, null when
+ * it follows the link), the textPath **labelStartOffset**, the text **labelAnchor** and the **labelPoint**
+ * where the label is drawn on canvas.
+ * @memberof Graph/builder
+ */
+function _getLinkLabelProps(label, path, fontSize, linkConfig) {
+    var _getLabelPlacement = (0, _link2.getLabelPlacement)(linkConfig.labelPosition),
+        fraction = _getLabelPlacement.fraction,
+        anchor = _getLabelPlacement.anchor;
+
+    var props = {
+        label: label,
+        labelPath: null,
+        labelStartOffset: fraction * 100 + "%",
+        labelAnchor: anchor,
+        labelPoint: null,
+    };
+
+    if (!label || !path.points) {
+        return props;
+    }
+
+    if (
+        linkConfig.hideLongLabels &&
+        ("" + label).length * fontSize * _link.LABEL_CHAR_WIDTH_RATIO > (0, _link2.getLinkPathLength)(path.points)
+    ) {
+        return _extends({}, props, { label: null });
+    }
+
+    var point = (0, _link2.getPointAlongLinkPath)(path.points, fraction);
+
+    if (!linkConfig.labelUpright || Math.cos(point.angle) >= 0) {
+        return _extends({}, props, { labelPoint: point });
+    }
+
+    var flippedAnchors = { start: "end", middle: "middle", end: "start" };
+
+    return _extends({}, props, {
+        labelPath: path.reversedD,
+        labelStartOffset: (1 - fraction) * 100 + "%",
+        labelAnchor: flippedAnchors[anchor],
+        labelPoint: _extends({}, point, { angle: point.angle > 0 ? point.angle - Math.PI : point.angle + Math.PI }),
+    });
+}
+
 /**
  * Build some Link properties based on given parameters.
  * @param  {Object} link - the link object for which we will generate properties.
@@ -89,10 +230,42 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     var x2 = (nodes[target] && nodes[target].x) || 0;
     var y2 = (nodes[target] && nodes[target].y) || 0;
 
-    var d = (0, _link.buildLinkPathDefinition)(
-        { source: { x: x1, y: y1 }, target: { x: x2, y: y2 } },
-        config.link.type
-    );
+    var sourceShape = getNodeShape(nodes[source], config, transform);
+    var targetShape = getNodeShape(nodes[target], config, transform);
+    var markers = (0, _marker.getMarkerShapes)(link, config);
+    var parallelOffset = (0, _link2.getParallelLinkOffset)(link);
+    var selfLoop = null;
+    var path = void 0;
+
+    if (config.link.pathGenerator) {
+        // the consumer draws the whole path, parallel links and self-loops included
+        parallelOffset = 0;
+        path = (0, _link2.buildCustomLinkPath)(config.link.pathGenerator, nodes[source], nodes[target], link);
+    } else if (source === target) {
+        var angle = _getSelfLoopAngle(source, nodes, links);
+        var nodeRadius = _node2.default.getNodeBoundaryDistance(sourceShape, angle);
+
+        parallelOffset = 0;
+        selfLoop = { angle: angle, size: (0, _link2.getSelfLoopSize)(nodeRadius, link.parallelIndex) };
+        path = (0, _link2.buildSelfLoopPath)({ x: x1, y: y1, shape: sourceShape }, selfLoop, !!markers.mid);
+    } else {
+        path = (0, _link2.buildLinkPath)(
+            {
+                source: { x: x1, y: y1, shape: sourceShape },
+                target: { x: x2, y: y2, shape: targetShape },
+                curvature: config.link.curvature,
+            },
+            config.link.type,
+            parallelOffset,
+            !!markers.mid
+        );
+    }
+
+    var _path = path,
+        d = _path.d,
+        tail = _path.tail,
+        middle = _path.middle,
+        tip = _path.tip;
 
     var mainNodeParticipates = false;
 
@@ -109,14 +282,17 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     }
 
     var reasonNode = mainNodeParticipates && nodes[source].highlighted && nodes[target].highlighted;
+    // parallel links share source and target, the highlighted link id tells them apart
     var reasonLink =
         source === (highlightedLink && highlightedLink.source) &&
-        target === (highlightedLink && highlightedLink.target);
-    var highlight = reasonNode || reasonLink;
+        target === (highlightedLink && highlightedLink.target) &&
+        (highlightedLink.id === undefined || highlightedLink.id === (0, _link2.getLinkId)(link));
+    // spotlighted is only defined while the highlight prop is set
+    var highlight = reasonNode || reasonLink || !!link.spotlighted;
 
     var opacity = link.opacity || config.link.opacity;
 
-    if (highlightedNode || (highlightedLink && highlightedLink.source)) {
+    if (highlightedNode || (highlightedLink && highlightedLink.source) || link.spotlighted !== undefined) {
         opacity = highlight ? config.link.opacity : config.highlightOpacity;
     }
 
@@ -129,16 +305,25 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
                 : config.link.highlightColor;
     }
 
-    var strokeWidth = (link.strokeWidth || config.link.strokeWidth) * (1 / transform);
+    // pathDirection is 1 (or -1) for links that the highlighted path walks from source to target (or backwards)
+    if (link.pathDirection) {
+        stroke = config.path.color;
+    }
+
+    if (link.selected && config.link.selectedColor !== _graph2.default.KEYWORDS.SAME) {
+        stroke = config.link.selectedColor;
+    }
+
+    var strokeWidth =
+        (link.pathDirection ? config.path.strokeWidth : link.strokeWidth || config.link.strokeWidth) * (1 / transform);
 
     if (config.link.semanticStrokeWidth) {
-        var linkValue = links[source][target] || links[target][source] || 1;
+        // parallel links share an entry of the matrix, each of them is sized after its own value
+        var linkValue = link.parallelCount ? link.value || 1 : links[source][target] || links[target][source] || 1;
 
         strokeWidth += (linkValue * strokeWidth) / 10;
     }
 
-    var markerId = config.directed ? (0, _marker.getMarkerId)(highlight, transform, config) : null;
-
     var t = 1 / transform;
 
     var fontSize = null;
@@ -146,32 +331,56 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     var fontWeight = null;
     var label = null;
 
-    if (config.link.renderLabel) {
+    if (config.link.renderLabel && _isZoomedForLabels(config.link.labelMinZoom, config, transform)) {
         label = link[config.link.labelProperty];
         fontSize = link.fontSize || config.link.fontSize;
         fontColor = link.fontColor || config.link.fontColor;
         fontWeight = highlight ? config.link.highlightFontWeight : config.link.fontWeight;
     }
 
-    return {
-        markerId: markerId,
-        d: d,
-        source: source,
-        target: target,
-        strokeWidth: strokeWidth,
-        stroke: stroke,
-        label: label,
-        mouseCursor: config.link.mouseCursor,
-        fontColor: fontColor,
-        fontSize: fontSize * t,
-        fontWeight: fontWeight,
-        className: _graph2.default.LINK_CLASS_NAME,
-        opacity: opacity,
-        onClickLink: linkCallbacks.onClickLink,
-        onRightClickLink: linkCallbacks.onRightClickLink,
-        onMouseOverLink: linkCallbacks.onMouseOverLink,
-        onMouseOutLink: linkCallbacks.onMouseOutLink,
-    };
+    var labelProps = _getLinkLabelProps(label, path, fontSize * t, config.link);
+    var flow = null;
+
+    if (link.pathDirection && config.path.flow) {
+        flow = {
+            dashArray: [strokeWidth * _link.FLOW_DASH_RATIO, strokeWidth * _link.FLOW_GAP_RATIO],
+            direction: link.pathDirection,
+            duration: config.path.flowDuration,
+        };
+    }
+
+    return _extends(
+        {
+            markers: markers,
+            d: d,
+            tail: tail,
+            middle: middle,
+            tip: tip,
+            parallelOffset: parallelOffset,
+            selfLoop: selfLoop,
+            source: source,
+            target: target,
+            strokeWidth: strokeWidth,
+            stroke: stroke,
+        },
+        labelProps,
+        {
+            labelOffset: config.link.labelOffset * t,
+            labelBackground: config.link.labelBackground,
+            labelBackgroundColor: config.link.labelBackgroundColor,
+            mouseCursor: config.link.mouseCursor,
+            fontColor: fontColor,
+            fontSize: fontSize * t,
+            fontWeight: fontWeight,
+            flow: flow,
+            className: _graph2.default.LINK_CLASS_NAME,
+            opacity: opacity,
+            onClickLink: linkCallbacks.onClickLink,
+            onRightClickLink: linkCallbacks.onRightClickLink,
+            onMouseOverLink: linkCallbacks.onMouseOverLink,
+            onMouseOutLink: linkCallbacks.onMouseOutLink,
+        }
+    );
 }
 
 /**
@@ -193,6 +402,7 @@ function buildNodeProps(node, config) {
 
     var highlight =
         node.highlighted ||
+        node.spotlighted ||
         node.id === (highlightedLink && highlightedLink.source) ||
         node.id === (highlightedLink && highlightedLink.target);
     var opacity = _getNodeOpacity(node, highlightedNode, highlightedLink, config);
@@ -209,7 +419,8 @@ function buildNodeProps(node, config) {
         stroke = config.node.highlightStrokeColor;
     }
 
-    var label = node[config.node.labelProperty] || node.id;
+    // compound nodes (collapsed groups) are labeled after their group and number of members
+    var label = node.groupLabel || node[config.node.labelProperty] || node.id;
 
     if (typeof config.node.labelProperty === "function") {
         label = config.node.labelProperty(node);
@@ -221,14 +432,45 @@ function buildNodeProps(node, config) {
         strokeWidth = config.node.highlightStrokeWidth;
     }
 
+    if (node.onPath) {
+        stroke = config.path.color;
+        strokeWidth = config.path.nodeStrokeWidth;
+    }
+
+    if (node.selected) {
+        fill = config.node.selectedColor === _graph2.default.KEYWORDS.SAME ? fill : config.node.selectedColor;
+        stroke =
+            config.node.selectedStrokeColor === _graph2.default.KEYWORDS.SAME
+                ? stroke
+                : config.node.selectedStrokeColor;
+        strokeWidth =
+            config.node.selectedStrokeWidth === _graph2.default.KEYWORDS.SAME
+                ? strokeWidth
+                : config.node.selectedStrokeWidth;
+    }
+
     var t = 1 / transform;
     var nodeSize = node.size || config.node.size;
     var fontSize = highlight ? config.node.highlightFontSize : config.node.fontSize;
-    var dx = fontSize * t + nodeSize / 100 + 1.5;
     var svg = node.svg || config.node.svg;
     var fontColor = node.fontColor || config.node.fontColor;
+    var shape = getNodeShape(node, config, transform);
+    // collapsed nodes tell how many nodes they hide
+    var badge = config.collapsible && node._hiddenCount ? _node2.default.getNodeBadgeLayout(shape, fontSize * t) : null;
+    var labelLayout = _node2.default.getNodeLabelLayout(label, shape, {
+        position: node.labelPosition || config.node.labelPosition,
+        maxWidth: config.node.labelMaxWidth && config.node.labelMaxWidth * t,
+        maxLines: config.node.labelMaxLines,
+        fontSize: fontSize * t,
+    });
 
     return _extends({}, node, {
+        badge: badge && "" + node._hiddenCount,
+        badgeColor: config.node.badgeColor,
+        badgeFontColor: config.node.badgeFontColor,
+        badgeRadius: badge && badge.radius,
+        badgeX: badge && badge.x,
+        badgeY: badge && badge.y,
         className: _graph2.default.NODE_CLASS_NAME,
         cursor: config.node.mouseCursor,
         cx: (node && node.x) || "0",
@@ -236,16 +478,21 @@ function buildNodeProps(node, config) {
         fill: fill,
         fontColor: fontColor,
         fontSize: fontSize * t,
-        dx: dx,
         fontWeight: highlight ? config.node.highlightFontWeight : config.node.fontWeight,
         id: node.id,
         label: label,
+        labelAnchor: labelLayout.anchor,
+        labelLineHeight: labelLayout.lineHeight,
+        labelLines: labelLayout.lines,
+        labelTitle: labelLayout.title,
+        labelX: labelLayout.x,
+        labelY: labelLayout.y,
         onClickNode: nodeCallbacks.onClickNode,
         onRightClickNode: nodeCallbacks.onRightClickNode,
         onMouseOverNode: nodeCallbacks.onMouseOverNode,
         onMouseOut: nodeCallbacks.onMouseOut,
         opacity: opacity,
-        renderLabel: config.node.renderLabel,
+        renderLabel: config.node.renderLabel && _isZoomedForLabels(config.node.labelMinZoom, config, transform),
         size: nodeSize * t,
         stroke: stroke,
         strokeWidth: strokeWidth * t,
@@ -256,5 +503,57 @@ function buildNodeProps(node, config) {
     });
 }
 
+/**
+ * Build some Group properties, the group outline is computed from the current positions of its members.
+ * @param  {Object} group - the group object, with its id and the optional properties of the group payload
+ * (label, color, shape, ...).
+ * @param  {Array.<Object>} members - the member nodes of the group.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Function[]} groupCallbacks - same as {@link #graphrenderer|groupCallbacks in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Object} returns object that contain Group props or null for groups without members.
+ * @memberof Graph/builder
+ */
+function buildGroupProps(group, members, config) {
+    var groupCallbacks = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
+    var transform = arguments[4];
+
+    var outline = (0, _group2.buildGroupPath)(
+        members,
+        group.padding || config.group.padding,
+        group.shape || config.group.shape
+    );
+
+    if (!outline) {
+        return null;
+    }
+
+    var t = 1 / transform;
+    var fontSize = config.group.fontSize * t;
+    var label = group[config.group.labelProperty];
+
+    return {
+        id: group.id,
+        className: _graph2.default.GROUP_CLASS_NAME,
+        cursor: config.group.mouseCursor,
+        d: outline.d,
+        fill: group.color || config.group.color,
+        fillOpacity: group.fillOpacity !== undefined ? group.fillOpacity : config.group.fillOpacity,
+        fontColor: group.fontColor || config.group.fontColor,
+        fontSize: fontSize,
+        fontWeight: config.group.fontWeight,
+        label: config.group.renderLabel ? "" + (label !== undefined && label !== null ? label : group.id) : null,
+        labelX: (outline.minX + outline.maxX) / 2,
+        labelY: outline.minY - fontSize * _group.GROUP_LABEL_GAP,
+        onClickGroup: groupCallbacks.onClickGroup,
+        onMouseOverGroup: groupCallbacks.onMouseOverGroup,
+        onMouseOutGroup: groupCallbacks.onMouseOutGroup,
+        stroke: group.strokeColor || config.group.strokeColor,
+        strokeWidth: (group.strokeWidth || config.group.strokeWidth) * t,
+    };
+}
+
+exports.buildGroupProps = buildGroupProps;
 exports.buildLinkProps = buildLinkProps;
 exports.buildNodeProps = buildNodeProps;
+exports.getNodeShape = getNodeShape;
@@ -37,15 +37,19 @@ Object.defineProperty(exports, "__esModule", {
  * - <a href="#config-d3">d3 level configurations</a>
  * - <a href="#config-node">Node level configurations</a>
  * - <a href="#config-link">Link level configurations</a>
+ * - <a href="#config-group">Group level configurations</a>
+ * - <a href="#config-path">Path level configurations</a>
  *
  * <br/>
  *
  * <h2 id="config-global"><a href="#config-global">#</a>  Graph global configurations</h2>
  * @param {boolean} [automaticRearrangeAfterDropNode=false] - 🚅🚅🚅 when true performing a node drag and drop should automatically
  * rearrange all nodes positions based on new position of dragged node (note: **staticGraph** should be false).
- * @param {boolean} [collapsible=false] - 🚅🚅🚅 Allow leaf neighbors nodes to be collapsed (folded), this will allow users to clear the way out and focus on the parts of the graph that really matter.
- * To see an example of this behavior you can access this sandbox link that has a specific set up to experiment this feature. **NOTE**: At this moment
- * nodes without connections (orphan nodes) are not rendered when this property is activated (see [react-d3-graph/issues/#129](https://github.com/danielcaldas/react-d3-graph/issues/129)).
+ * @param {boolean} [collapsible=false] - 🚅🚅🚅 Allow nodes to be collapsed (folded) by clicking them, this will allow users to clear the way out and focus on the parts of the graph that really matter.
+ * In directed graphs collapsed nodes hide their whole subtree of descendants (descendants that can still be reached from some visible node remain visible),
+ * in not directed graphs collapsed nodes hide their leaf neighbors. Collapsed nodes show a badge with the number of nodes they hide.
+ * The collapsed nodes can also be controlled through the `collapsedNodeIds` prop and changes are reported through the `onCollapseChange` callback.
+ * To see an example of this behavior you can access this sandbox link that has a specific set up to experiment this feature.
  * <br/>
  * <img src="https://github.com/danielcaldas/react-d3-graph/blob/master/docs/rd3g-collapsible.gif?raw=true" width="820" height="480"/>
  * @param {boolean} [directed=false] - This property makes react-d3-graph handle your graph as a directed graph. It will
@@ -69,6 +73,19 @@ Object.defineProperty(exports, "__esModule", {
  *
  * @param {number} [focusAnimationDuration=0.75] - duration (in seconds) for the animation that takes place when focusing the graph on a node.
  * @param {number} [height=400] - the height of the (svg) area where the graph will be rendered.
+ * @param {string|Function} [layout="force"] - 🚅🚅🚅 how the nodes are positioned, available values are:
+ * - "force" <small>(default)</small> - positions are computed by the d3 force simulation (see d3 level configurations).
+ * - "hierarchical" - nodes are drawn top to bottom in layers (ranks), when **directed** is on every link points downwards.
+ * - "radial" - nodes are drawn in concentric rings around the root (the node without incoming links or the first node).
+ * - "circular" - nodes are evenly spaced along a circle.
+ * - "grid" - nodes are drawn in a grid.
+ * - a custom function `(nodes, links, config) => positions` that receives the list of nodes, the list of links
+ * (`{ source, target }` ids) and the graph config and returns the `{ x, y }` position of each node mapped by node id.
+ *
+ * With any layout other than "force" the force simulation is paused. Switching between layouts is animated
+ * (see *layoutAnimationDuration*).
+ * @param {number} [layoutAnimationDuration=0.75] - duration (in seconds) of the animation that takes place when
+ * the nodes move into the positions of a new layout.
  * @param {boolean} [nodeHighlightBehavior=false] - 🚅🚅🚅 when user mouse hovers a node that node and adjacent common
  * connections will be highlighted (depending on the *highlightDegree* value). All the remaining nodes and links assume opacity value equal to **highlightOpacity**.
  * @param {boolean} [linkHighlightBehavior=false] - 🚅🚅🚅 when the user mouse hovers some link that link and the correspondent nodes will be highlighted, this is a similar behavior
@@ -78,15 +95,35 @@ Object.defineProperty(exports, "__esModule", {
  * highlighted. If the value is set to **1** the selected node and his 1st degree connections will be highlighted. If
  * the value is set to **2** the selected node will be highlighted as well as the 1st and 2nd common degree connections.
  * @param {number} [highlightOpacity=1] - this value is used to highlight nodes in the network. The lower
- * the value the more the less highlighted nodes will be visible (related to *nodeHighlightBehavior*).
+ * the value the more the less highlighted nodes will be visible (related to *nodeHighlightBehavior* and to the
+ * nodes and links spotlighted through the **highlight** Graph prop).
  * @param {number} [maxZoom=8] - max zoom that can be performed against the graph.
  * @param {number} [minZoom=0.1] - min zoom that can be performed against the graph.
  * @param {boolean} [panAndZoom=false] - 🚅🚅🚅 pan and zoom effect when performing zoom in the graph,
  * a similar functionality may be consulted {@link https://bl.ocks.org/mbostock/2a39a768b1d4bc00a09650edef75ad39|here}.
+ * @param {string} [renderer="svg"] - 🚅🚅🚅 the rendering backend, available values are:
+ * - "svg" <small>(default)</small> - every node and link is a React svg element.
+ * - "canvas" - nodes, links, markers and labels are drawn onto a single `<canvas>`, this performs much better
+ * for graphs with thousands of elements. All the node and link callbacks (click, right click, mouse over/out)
+ * as well as node dragging keep working the same way. **Note** that nodes with a **viewGenerator** can't be
+ * drawn in a canvas, their **symbolType** is drawn instead.
+ * @param {boolean} [selectionBehavior=false] - enables multi selection of nodes and links. When active:
+ * - clicking a node or link selects it (replacing the current selection);
+ * - shift/ctrl/cmd clicking a node or link toggles it in the current selection;
+ * - shift dragging on the graph background draws a brush (see *selectionBrush*), everything inside it is added to the selection;
+ * - clicking the graph background clears the selection.
+ *
+ * The selection can also be controlled via the `selectedNodeIds` and `selectedLinkIds` props and changes are
+ * reported through the `onSelectionChange` callback. Links are identified by `"sourceId,targetId"`.
+ * @param {string} [selectionBrush="rectangle"] - the brush used to select elements when shift dragging on the graph background,
+ * available values are **"rectangle"** or **"lasso"** (freehand).
  * @param {boolean} [staticGraph=false] - when setting this value to true the graph will be completely static, thus
  * all forces and drag events upon nodes will produce not effect. Note that, if this value is true the nodes will be
  * rendered with the initial provided **x and y coordinates** (links positions will be automatically set
  * from the given nodes positions by rd3g), no coordinates will be calculated by rd3g or subjacent d3 modules.
+ * @param {boolean} [viewportCulling=false] - 🚅🚅🚅 when active only the nodes and links inside the visible area
+ * (after zoom and pan, plus a small margin) are rendered, links crossing the viewport are kept even if both their
+ * nodes are off screen. This greatly reduces the amount of rendered elements when zoomed into a region of a big graph.
  * @param {number} [width=800] - the width of the (svg) area where the graph will be rendered.
  * <br/>
  * @param {Object} d3 d3 object is explained in next section. ⬇️
@@ -95,11 +132,21 @@ Object.defineProperty(exports, "__esModule", {
  * @param {number} [d3.gravity=-100] - this will define how close nodes are to each other ([see d3 reference for forces](https://github.com/d3/d3-force#forces)).
  *  - If value is positive, nodes will attract each other.
  *  - If value is negative, nodes will repel each other. Most of the times this is what we want, so nodes don"t overlap.
+ * @param {number} [d3.groupStrength=0] - strength of the force that pulls the members of each group (see
+ * **group.nodeProperty**) towards the center of their group, keeping groups together. The force is off when 0.
  * @param {number} [d3.linkLength=100] - the length of each link from the center of the nodes it joins.
  * @param {number} [d3.linkStrength=1] - [see d3-force link.strength](https://github.com/d3/d3-force#link_strength)
+ * @param {string} [d3.workerUrl=null] - 🚅🚅🚅 url from where to load the simulation worker script (`dist/rd3g.worker.bundle.js`).
+ * When provided, the force simulation runs inside a [Web Worker](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API),
+ * off the main thread, so that big layouts don't freeze scrolling and user input. Node positions are streamed back
+ * to the graph on every simulation tick. In environments without Web Workers (e.g. jsdom) the simulation keeps running
+ * in the main thread. **Note** that this value is only read when the graph data is (re)initialized.
  * <br/>
  * @param {Object} node node object is explained in next section. ⬇️
  * <h2 id="config-node"><a href="#config-node">#</a> Node level configurations</h2>
+ * @param {string} [node.badgeColor="#d62728"] - fill color of the badge that tells how many nodes some collapsed node hides
+ * (see **collapsible**).
+ * @param {string} [node.badgeFontColor="white"] - fill color of the badge text.
  * @param {string} [node.color="#d3d3d3"] - 🔍🔍🔍 this is the color that will be applied to the node if no **color property**
  * is found inside the node itself (yes **you can pass a property "color" inside the node and that color will override the
  * this default one**).
@@ -114,6 +161,31 @@ Object.defineProperty(exports, "__esModule", {
  * @param {string} [node.highlightFontWeight="normal"] - fontWeight in highlighted state.
  * @param {string} [node.highlightStrokeColor="SAME"] - strokeColor in highlighted state.
  * @param {number} [node.highlightStrokeWidth="SAME"] - strokeWidth in highlighted state.
+ * @param {number} [node.labelMaxLines=null] - the maximum number of lines of wrapped labels (see **node.labelMaxWidth**),
+ * the last line of labels that need more lines is truncated with an ellipsis and the full label is shown as a tooltip.
+ * @param {number} [node.labelMaxWidth=null] - width (in px, at zoom level 1) at which node labels are wrapped into
+ * several lines, words are only broken when they don't fit a line by themselves. By default labels are not wrapped.
+ * @param {number} [node.labelMinZoom=0] - node labels are only rendered when the graph is zoomed in beyond this
+ * zoom level (e.g. 1.5), this hides the clutter of labels when looking at the whole graph. The zoom level is only
+ * tracked when **panAndZoom** is on, otherwise labels are always rendered.
+ * @param {string} [node.labelOverlap="show"] - what happens to labels that would overlap labels with higher
+ * priority (see **node.labelPriority**):
+ * - "show" <small>(default)</small> - every label is rendered, even if it overlaps other labels.
+ * - "hide" - labels that overlap labels with higher priority are not rendered.
+ * - "shorten" - labels that overlap labels with higher priority are truncated (with an ellipsis) until they fit,
+ * the full label is shown as a tooltip. Labels that don't fit at all are not rendered.
+ *
+ * Overlaps are estimated from the font size and number of characters of each label, as labels shrink when
+ * zooming in more labels are rendered.
+ * @param {string|Function} [node.labelPriority="degree"] - which labels are kept when labels overlap, labels of
+ * nodes with higher priority win:
+ * - "degree" <small>(default)</small> - nodes with more connections have higher priority.
+ * - "size" - bigger nodes have higher priority.
+ * - the name of some numeric node property (e.g. "importance").
+ * - a function that receives the node and returns its priority (a number).
+ * @param {string} [node.labelPosition="right"] - 🔍🔍🔍 where the label is placed in relation to the node, one of
+ * "right", "left", "top", "bottom" or "center". Labels are placed next to the node boundary, the same way for
+ * symbols, svg images and custom views (**viewGenerator**).
  * @param {string|Function} [node.labelProperty="id"] - this is the node property that will be used in runtime to
  * fetch the label content. You just need to add some property (e.g. firstName) to the node payload and then set
  * node.labelProperty to be **"firstName"**. **This can also be a function!**, if you pass a function here it will be called
@@ -132,6 +204,10 @@ Object.defineProperty(exports, "__esModule", {
  * @param {number} [node.opacity=1] 🔍🔍🔍 - by default all nodes will have this opacity value.
  * @param {boolean} [node.renderLabel=true] - when set to false no labels will appear along side nodes in the
  * graph.
+ * @param {string} [node.selectedColor="SAME"] - color for selected nodes (use string "SAME" if you
+ * want the node to keep its color in selected state).
+ * @param {string} [node.selectedStrokeColor="#1f77b4"] - strokeColor in selected state.
+ * @param {number} [node.selectedStrokeWidth=3] - strokeWidth in selected state.
  * @param {number} [node.size=200] - 🔍🔍🔍 defines the size of all nodes.
  * @param {string} [node.strokeColor="none"] - 🔍🔍🔍  this is the stroke color that will be applied to the node if no **strokeColor property** is found inside the node itself (yes **you can pass a property "strokeColor" inside the node and that stroke color will override this default one** ).
  * @param {number} [node.strokeWidth=1.5] 🔍🔍🔍 - the width of the all node strokes.
@@ -156,6 +232,8 @@ Object.defineProperty(exports, "__esModule", {
  * <h2 id="config-link"><a href="#config-link">#</a> Link level configurations</h2>
  * @param {string} [link.color="#d3d3d3"] - 🔍🔍🔍 the color for links
  * (from version 1.3.0 this property can be configured at link level).
+ * @param {number} [link.curvature=0.5] - how curvy "BEZIER" links are, the control points of the curve stand this
+ * fraction of the link length away from the nodes (0 draws straight lines).
  * @param {string} [link.fontColor="black"] - 🔍🔍🔍 fill color for link's <text> svg label.
  * @param {number} [link.fontSize=8] - {@link https://developer.mozilla.org/en-US/docs/Web/CSS/font-size?v=control|font-size}
  * property for all links' labels.
@@ -165,15 +243,46 @@ Object.defineProperty(exports, "__esModule", {
  * <img src="https://github.com/danielcaldas/react-d3-graph/blob/master/docs/rd3g-bend.gif?raw=true" width="820" height="480"/>
  * @param {number} [link.highlightFontSize=8] - fontSize in highlighted state.
  * @param {string} [link.highlightFontWeight="normal"] - fontWeight in highlighted state.
+ * @param {boolean} [link.hideLongLabels=false] - when set to true, labels that are longer than their link are hidden
+ * (the label width is estimated from its number of characters and font size).
+ * @param {string} [link.labelBackground="none"] - improves the contrast of labels drawn over busy graphs:
+ * - "none" <small>(default)</small> - labels are drawn as they are.
+ * - "halo" - labels are outlined with `link.labelBackgroundColor`.
+ * - "rect" - labels are drawn over a rectangle filled with `link.labelBackgroundColor`.
+ * @param {string} [link.labelBackgroundColor="white"] - the color of the label halo or rectangle.
+ * @param {number} [link.labelMinZoom=0] - link labels are only rendered when the graph is zoomed in beyond this
+ * zoom level, see **node.labelMinZoom**.
+ * @param {number} [link.labelOffset=1] - distance (in px) between labels and their link, labels are drawn above the
+ * link, use negative values to draw them below.
+ * @param {string} [link.labelPosition="middle"] - where labels are placed along their link, "start" (labels start at
+ * the link source), "middle", "end" (labels end at the link target) or a percentage of the link length (e.g. "25%").
  * @param {boolean} [link.labelProperty="label"] - the property that will be rendered as label within some link. Note that
  * this property needs to be passed along the link payload (along side with source and target).
+ * @param {boolean} [link.labelUpright=true] - when set to true, labels of links that go from right to left follow
+ * the link backwards, so that they never read upside down.
+ * @param {string} [link.markerEnd="arrow"] 🔍🔍🔍 - the marker drawn at the end (target) of links, one of "arrow",
+ * "open-arrow", "circle", "diamond", "bar" or "none". Markers share the color and scale with the stroke width of
+ * their link. **Note**: markers are only drawn for directed graphs (check `directed`).
+ * @param {string} [link.markerMid="none"] 🔍🔍🔍 - the marker drawn in the middle of links, same shapes as `link.markerEnd`.
+ * @param {string} [link.markerStart="none"] 🔍🔍🔍 - the marker drawn at the start (source) of links, same shapes as
+ * `link.markerEnd`. Set both `link.markerStart` and `link.markerEnd` to "arrow" for bidirectional arrows.
  * @param {string} [link.mouseCursor="pointer"] - {@link https://developer.mozilla.org/en/docs/Web/CSS/cursor?v=control|cursor}
  * property for when link is mouse hovered.
  * @param {number} [link.opacity=1] 🔍🔍🔍 - the default opacity value for links.
+ * @param {Function} [link.pathGenerator=null] - escape hatch to draw links with any path, a function that receives
+ * the source node, the target node (both with their x and y coordinates) and the link and returns the path definition
+ * (the svg [d attribute](https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d)). It takes precedence over
+ * `link.type`, labels (drawn along the path) and svg markers keep working. With the canvas renderer, markers and labels
+ * are only placed on the path when the function returns an object with the path **d** and its **tail**, **middle** and
+ * **tip** points (each with x, y and the angle of the path there).
+ * ```javascript
+ * pathGenerator: (source, target) => `M${source.x},${source.y}V${target.y}H${target.x}`
+ * ```
  * @param {boolean} [link.renderLabel=false] - when set to true labels will appear along side links in the
  * graph. **Note**: this will only happen of course if proper label is passed within the link, check also `link.labelProperty`.
  * <br/>
  * <img src="https://github.com/danielcaldas/react-d3-graph/blob/master/docs/rd3g-link-render-label.png?raw=true" width="820" height="480"/>
+ * @param {string} [link.selectedColor="#1f77b4"] - links' color in selected state.
  * @param {boolean} [link.semanticStrokeWidth=false] - when set to true all links will have
  * *"semantic width"*, this means that the width of the connections will be proportional to the value of each link.
  * This is how link strokeWidth will be calculated:
@@ -189,8 +298,70 @@ Object.defineProperty(exports, "__esModule", {
  * - "STRAIGHT" <small>(default)</small> - a straight line.
  * - "CURVE_SMOOTH" - a slight curve between two nodes
  * - "CURVE_FULL" - a semicircumference trajectory unites source and target nodes.
+ * - "ORTHOGONAL" - an elbow, the link goes horizontally and then vertically into the target node.
+ * - "STEP_HORIZONTAL" - horizontal segments joined by a vertical step halfway between the nodes.
+ * - "STEP_VERTICAL" - vertical segments joined by a horizontal step halfway between the nodes (e.g. org charts).
+ * - "BEZIER" - a cubic bezier curve that leaves and reaches the nodes along the main direction of the link, check
+ * `link.curvature`.
  * <br/>
  * <img src="https://github.com/danielcaldas/react-d3-graph/blob/master/docs/rd3g-bend.gif?raw=true" width="820" height="480"/>
+ * <br/>
+ * @param {Object} group group object is explained in the next section. ⬇️
+ * <h2 id="config-group"><a href="#config-group">#</a> Group level configurations</h2>
+ * Nodes are grouped through **group.nodeProperty** (e.g. `{ id: "Harry", group: "team-a" }`), an outline is drawn
+ * behind the members of each group. Groups can be described (and styled) in the graph payload, properties marked
+ * with 🔍🔍🔍 can be overridden by each group:
+ * ```javascript
+ * const data = {
+ *     nodes: [{ id: "Harry", group: "team-a" }, { id: "Sally", group: "team-a" }, { id: "Alice", group: ["team-a", "ops"] }],
+ *     links: [{ source: "Harry", target: "Sally" }],
+ *     groups: [{ id: "team-a", label: "Team A", color: "lightblue", shape: "bubble" }, { id: "ops", nodes: ["Sally"] }],
+ * };
+ * ```
+ * Groups may also list their members explicitly through their **nodes** property (ids of the member nodes).
+ * Whole groups can be collapsed into a single compound node, labeled after the group and its number of members,
+ * links between members are hidden and links that cross the group boundary are merged into links to the compound
+ * node (their **value** is summed). Collapsed groups are either controlled through the `collapsedGroupIds` prop or
+ * toggled by clicking groups and compound nodes (see **group.collapsible**), changes are reported through the
+ * `onCollapsedGroupsChange` callback. Expanded members are placed back at their previous positions.
+ * @param {boolean} [group.collapsible=false] - when set to true clicking some group collapses it into a compound
+ * node and clicking the compound node expands the group back.
+ * @param {string} [group.color="#d3d3d3"] - 🔍🔍🔍 fill color of groups.
+ * @param {number} [group.fillOpacity=0.3] - 🔍🔍🔍 fill opacity of groups.
+ * @param {string} [group.fontColor="black"] - 🔍🔍🔍 fill color of the group labels.
+ * @param {number} [group.fontSize=12] - font size of the group labels.
+ * @param {string} [group.fontWeight="bold"] - font weight of the group labels.
+ * @param {string} [group.labelProperty="label"] - the group property that is rendered as the group label, groups
+ * without label (or not described in the graph payload) are labeled with their id.
+ * @param {string} [group.mouseCursor="pointer"] - cursor for when some group is mouse hovered.
+ * @param {string} [group.nodeProperty="group"] - the node property that holds the group of each node, nodes can
+ * belong to several groups (e.g. `group: ["team-a", "ops"]`). Nodes without group are not grouped.
+ * @param {number} [group.padding=20] - 🔍🔍🔍 distance between the member nodes centers and the group outline.
+ * @param {boolean} [group.renderLabel=true] - when set to false no labels will appear on top of groups.
+ * @param {string} [group.shape="hull"] - 🔍🔍🔍 the outline of groups:
+ * - "hull" <small>(default)</small> - the convex hull of the member nodes, grown by **group.padding** and with rounded corners.
+ * - "bubble" - the smallest circle that encloses the member nodes, grown by **group.padding**.
+ * @param {string} [group.strokeColor="#a9a9a9"] - 🔍🔍🔍 stroke color of the group outline.
+ * @param {number} [group.strokeWidth=1] - 🔍🔍🔍 stroke width of the group outline.
+ * <br/>
+ * @param {Object} path path object is explained in the next section. ⬇️
+ * <h2 id="config-path"><a href="#config-path">#</a> Path level configurations</h2>
+ * The nodes and links of the path given through the `highlightedPath` prop (ids of the nodes in the path, in order)
+ * are highlighted with a distinct style, the remaining nodes and links assume the **highlightOpacity** value. Shortest
+ * paths can be found through the `findShortestPath` Graph method:
+ * ```javascript
+ * // fewer hops, or the lowest sum of link values when weighted
+ * const path = this.refs.graph.findShortestPath("Harry", "Sally", { weighted: true });
+ *
+ * <Graph id="graph-id" data={data} config={{ path: { flow: true } }} highlightedPath={path} />
+ * ```
+ * @param {string} [path.color="#ff7f0e"] - stroke color of the nodes and links of the path.
+ * @param {boolean} [path.flow=false] - when set to true dashes flow along the links of the path, from its first
+ * to its last node.
+ * @param {number} [path.flowDuration=1] - time (in seconds) it takes for the dashes of the flow to move the length of a
+ * dash and a gap.
+ * @param {number} [path.nodeStrokeWidth=3] - stroke width of the nodes of the path.
+ * @param {number} [path.strokeWidth=4] - stroke width of the links of the path.
  *
  * @example
  * // A simple config that uses some properties
@@ -217,20 +388,30 @@ exports.default = {
     height: 400,
     highlightDegree: 1,
     highlightOpacity: 1,
+    layout: "force",
+    layoutAnimationDuration: 0.75,
     linkHighlightBehavior: false,
     maxZoom: 8,
     minZoom: 0.1,
     nodeHighlightBehavior: false,
     panAndZoom: false,
+    renderer: "svg",
+    selectionBehavior: false,
+    selectionBrush: "rectangle",
     staticGraph: false,
+    viewportCulling: false,
     width: 800,
     d3: {
         alphaTarget: 0.05,
         gravity: -100,
+        groupStrength: 0,
         linkLength: 100,
         linkStrength: 1,
+        workerUrl: null,
     },
     node: {
+        badgeColor: "#d62728",
+        badgeFontColor: "white",
         color: "#d3d3d3",
         fontColor: "black",
         fontSize: 8,
@@ -240,10 +421,19 @@ exports.default = {
         highlightFontWeight: "normal",
         highlightStrokeColor: "SAME",
         highlightStrokeWidth: "SAME",
+        labelMaxLines: null,
+        labelMaxWidth: null,
+        labelMinZoom: 0,
+        labelOverlap: "show",
+        labelPosition: "right",
+        labelPriority: "degree",
         labelProperty: "id",
         mouseCursor: "pointer",
         opacity: 1,
         renderLabel: true,
+        selectedColor: "SAME",
+        selectedStrokeColor: "#1f77b4",
+        selectedStrokeWidth: 3,
         size: 200,
         strokeColor: "none",
         strokeWidth: 1.5,
@@ -253,18 +443,54 @@ exports.default = {
     },
     link: {
         color: "#d3d3d3",
+        curvature: 0.5,
         fontColor: "black",
         fontSize: 8,
         fontWeight: "normal",
         highlightColor: "#d3d3d3",
         highlightFontSize: 8,
         highlightFontWeight: "normal",
+        hideLongLabels: false,
+        labelBackground: "none",
+        labelBackgroundColor: "white",
+        labelMinZoom: 0,
+        labelOffset: 1,
+        labelPosition: "middle",
         labelProperty: "label",
+        labelUpright: true,
+        markerEnd: "arrow",
+        markerMid: "none",
+        markerStart: "none",
         mouseCursor: "pointer",
         opacity: 1,
+        pathGenerator: null,
         renderLabel: false,
+        selectedColor: "#1f77b4",
         semanticStrokeWidth: false,
         strokeWidth: 1.5,
         type: "STRAIGHT",
     },
+    group: {
+        collapsible: false,
+        color: "#d3d3d3",
+        fillOpacity: 0.3,
+        fontColor: "black",
+        fontSize: 12,
+        fontWeight: "bold",
+        labelProperty: "label",
+        mouseCursor: "pointer",
+        nodeProperty: "group",
+        padding: 20,
+        renderLabel: true,
+        shape: "hull",
+        strokeColor: "#a9a9a9",
+        strokeWidth: 1,
+    },
+    path: {
+        color: "#ff7f0e",
+        flow: false,
+        flowDuration: 1,
+        nodeStrokeWidth: 3,
+        strokeWidth: 4,
+    },
 };
@@ -33,11 +33,37 @@ exports.default = _extends(
         FORCE_Y: 0.06,
         GRAPH_CONTAINER_ID: "graph-container-zoomable",
         GRAPH_WRAPPER_ID: "graph-wrapper",
+        GROUP_CLASS_NAME: "group",
         KEYWORDS: {
             SAME: "SAME",
         },
+        LABEL_OVERLAPS: {
+            HIDE: "hide",
+            SHORTEN: "shorten",
+            SHOW: "show",
+        },
+        LABEL_PRIORITIES: {
+            DEGREE: "degree",
+            SIZE: "size",
+        },
+        LAYOUTS: {
+            CIRCULAR: "circular",
+            FORCE: "force",
+            GRID: "grid",
+            HIERARCHICAL: "hierarchical",
+            RADIAL: "radial",
+        },
         LINK_CLASS_NAME: "link",
         NODE_CLASS_NAME: "node",
+        RENDERERS: {
+            CANVAS: "canvas",
+            SVG: "svg",
+        },
+        SELECTION_BRUSH_CLASS_NAME: "selection-brush",
+        SELECTION_BRUSHES: {
+            LASSO: "lasso",
+            RECTANGLE: "rectangle",
+        },
     },
     _const2.default
 );
@@ -3,7 +3,7 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-exports.updateNodeHighlightedValue = exports.initializeGraphState = exports.getCenterAndZoomTransformation = exports.checkForGraphElementsChanges = exports.checkForGraphConfigChanges = undefined;
+exports.updateNodeHighlightedValue = exports.restoreLayoutSnapshot = exports.initializeGraphState = exports.getLayoutSnapshot = exports.getCenterAndZoomTransformation = exports.checkForGraphElementsChanges = exports.collapseNodes = exports.checkForGraphConfigChanges = undefined;
 
 var _extends =
     Object.assign ||
@@ -40,16 +40,10 @@ var _extends =
  * @memberof Graph/helper
  */
 
-var _d3Force = require("d3-force");
-
-var _graph2 = require("./graph.const");
+var _graph2 = require("./graph.config");
 
 var _graph3 = _interopRequireDefault(_graph2);
 
-var _graph4 = require("./graph.config");
-
-var _graph5 = _interopRequireDefault(_graph4);
-
 var _err = require("../../err");
 
 var _err2 = _interopRequireDefault(_err);
@@ -60,6 +54,8 @@ var _utils2 = _interopRequireDefault(_utils);
 
 var _collapse = require("./collapse.helper");
 
+var _simulation = require("./simulation.helper");
+
 function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
@@ -73,35 +69,71 @@ function _defineProperty(obj, key, value) {
     return obj;
 }
 
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
 var NODE_PROPS_WHITELIST = ["id", "highlighted", "x", "y", "index", "vy", "vx"];
-var LINK_CUSTOM_PROPS_WHITELIST = ["color", "opacity", "strokeWidth", "label"];
+var LINK_CUSTOM_PROPS_WHITELIST = [
+    "color",
+    "opacity",
+    "strokeWidth",
+    "label",
+    "markerStart",
+    "markerMid",
+    "markerEnd",
+    "value",
+];
+var PARALLEL_LINK_PROPS = ["parallelIndex", "parallelCount", "parallelReversed"];
 
 /**
- * Create d3 forceSimulation to be applied on the graph.<br/>
- * {@link https://github.com/d3/d3-force#forceSimulation|d3-force#forceSimulation}<br/>
- * {@link https://github.com/d3/d3-force#simulation_force|d3-force#simulation_force}<br/>
- * Wtf is a force? {@link https://github.com/d3/d3-force#forces| here}
+ * Create the force simulation to be applied on the graph. When a worker url is given (and the environment
+ * supports Web Workers) the simulation runs off the main thread, otherwise a regular d3 forceSimulation
+ * is created (see {@link #Graph/simulation-helper|simulation helper}).
  * @param  {number} width - the width of the container area of the graph.
  * @param  {number} height - the height of the container area of the graph.
  * @param  {number} gravity - the force strength applied to the graph.
+ * @param  {string} [workerUrl] - url of the simulation worker script.
  * @returns {Object} returns the simulation instance to be consumed.
  * @memberof Graph/helper
  */
-function _createForceSimulation(width, height, gravity) {
-    var frx = (0, _d3Force.forceX)(width / 2).strength(_graph3.default.FORCE_X);
-    var fry = (0, _d3Force.forceY)(height / 2).strength(_graph3.default.FORCE_Y);
-    var forceStrength = gravity;
-
-    return (0, _d3Force.forceSimulation)()
-        .force("charge", (0, _d3Force.forceManyBody)().strength(forceStrength))
-        .force("x", frx)
-        .force("y", fry);
+function _createForceSimulation(width, height, gravity, workerUrl) {
+    if (workerUrl && typeof Worker !== "undefined") {
+        return (0, _simulation.createWorkerSimulation)(new Worker(workerUrl), width, height, gravity);
+    }
+
+    return (0, _simulation.createForceSimulation)(width, height, gravity);
+}
+
+/**
+ * Picks the value of the cheapest among parallel links, hidden links (value 0) only count when
+ * all the parallel links are hidden.
+ * @param  {number} [current] - the value currently in the links matrix, if any.
+ * @param  {number} value - the value of another link between the same nodes.
+ * @returns {number} the value to keep in the links matrix.
+ * @memberof Graph/helper
+ */
+function _getCheapestValue(current, value) {
+    if (!current) {
+        return value;
+    }
+
+    return value ? Math.min(current, value) : current;
 }
 
 /**
  * Receives a matrix of the graph with the links source and target as concrete node instances and it transforms it
  * in a lightweight matrix containing only links with source and target being strings representative of some node id
- * and the respective link value (if non existent will default to 1).
+ * and the respective link value (if non existent will default to 1). Parallel links, links that connect the same
+ * pair of nodes, share a single entry of the matrix that holds the cost of going from one node to the other, the
+ * lowest value among them. Their number is not kept, each link keeps its own value (see d3Links).
  * @param  {Array.<Link>} graphLinks - an array of all graph links.
  * @param  {Object} config - the graph config.
  * @returns {Object.<string, Object>} an object containing a matrix of connections of the graph, for each nodeId,
@@ -123,10 +155,10 @@ function _initializeLinks(graphLinks, config) {
 
         var value = config.collapsible && l.isHidden ? 0 : l.value || 1;
 
-        links[source][target] = value;
+        links[source][target] = _getCheapestValue(links[source][target], value);
 
-        if (!config.directed) {
-            links[target][source] = value;
+        if (!config.directed && source !== target) {
+            links[target][source] = _getCheapestValue(links[target][source], value);
         }
 
         return links;
@@ -164,10 +196,25 @@ function _initializeNodes(graphNodes) {
     return nodes;
 }
 
+/**
+ * Checks whether some d3Link connects the same source and target nodes as some input link.
+ * @param {Object} d3Link - the d3Link, its source and target are either node ids or nodes.
+ * @param {Object} link - input link.
+ * @returns {boolean} true if both links connect the same nodes.
+ * @memberof Graph/helper
+ */
+function _isSameLink(d3Link, link) {
+    var id = function id(end) {
+        return end.id !== undefined && end.id !== null ? end.id : end;
+    };
+
+    return "" + id(d3Link.source) === "" + link.source && "" + id(d3Link.target) === "" + link.target;
+}
+
 /**
  * Maps an input link (with format `{ source: 'sourceId', target: 'targetId' }`) to a d3Link
  * (with format `{ source: { id: 'sourceId' }, target: { id: 'targetId' } }`). If d3Link with
- * given index exists already that same d3Link is returned.
+ * given index exists already (and it still connects the same nodes) that same d3Link is returned.
  * @param {Object} link - input link.
  * @param {number} index - index of the input link.
  * @param {Array.<Object>} d3Links - all d3Links.
@@ -181,7 +228,7 @@ function _mapDataLinkToD3Link(link, index) {
     var config = arguments[3];
     var state = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : {};
 
-    var d3Link = d3Links[index];
+    var d3Link = d3Links[index] && _isSameLink(d3Links[index], link) ? d3Links[index] : undefined;
     var customProps = _utils2.default.pick(link, LINK_CUSTOM_PROPS_WHITELIST);
 
     if (d3Link) {
@@ -217,6 +264,56 @@ function _mapDataLinkToD3Link(link, index) {
     );
 }
 
+/**
+ * Tags parallel links, links that go from the same source to the same target, with their position among them
+ * (`parallelIndex`), how many of them there are (`parallelCount`) and whether the link goes from the biggest
+ * to the smallest node id (`parallelReversed`). This information is later used to fan out the parallel links
+ * (see {@link #Link/helper|getParallelLinkOffset}) and to stack the self-loops of the same node
+ * (see {@link #Link/helper|getSelfLoopSize}). Links without parallel links, such as a single link in the reverse
+ * direction of another one, are left untouched and keep their `"sourceId,targetId"` id.
+ * @param {Array.<Object>} d3Links - all d3Links.
+ * @returns {Array.<Object>} the d3Links with their parallel links tagged.
+ * @memberof Graph/helper
+ */
+function _tagParallelLinks(d3Links) {
+    var getNodeId = function getNodeId(node) {
+        return "" + (node && node.id !== undefined && node.id !== null ? node.id : node);
+    };
+    var getPairId = function getPairId(_ref) {
+        var source = _ref.source,
+            target = _ref.target;
+        return getNodeId(source) + "," + getNodeId(target);
+    };
+    var counts = d3Links.reduce(function(acc, d3Link) {
+        var pairId = getPairId(d3Link);
+
+        acc[pairId] = (acc[pairId] || 0) + 1;
+
+        return acc;
+    }, {});
+    var indexes = {};
+
+    return d3Links.map(function(d3Link) {
+        var pairId = getPairId(d3Link);
+        var sourceId = getNodeId(d3Link.source);
+        var targetId = getNodeId(d3Link.target);
+
+        if (counts[pairId] === 1) {
+            return d3Link.parallelCount === undefined ? d3Link : _utils2.default.antiPick(d3Link, PARALLEL_LINK_PROPS);
+        }
+
+        var parallelIndex = indexes[pairId] || 0;
+
+        indexes[pairId] = parallelIndex + 1;
+
+        return _extends({}, d3Link, {
+            parallelIndex: parallelIndex,
+            parallelCount: counts[pairId],
+            parallelReversed: sourceId > targetId,
+        });
+    });
+}
+
 /**
  * Tags orphan nodes with a `_orphan` flag.
  * @param {Object.<string, Object>} nodes - nodes mapped by their id.
@@ -338,20 +435,20 @@ function checkForGraphElementsChanges(nextProps, currentState) {
         nextNodes.length !== stateD3Nodes.length ||
         nextLinks.length !== stateD3Links.length ||
         !_utils2.default.isDeepEqual(
-            nextNodes.map(function(_ref) {
-                var id = _ref.id;
+            nextNodes.map(function(_ref2) {
+                var id = _ref2.id;
                 return { id: id };
             }),
-            stateD3Nodes.map(function(_ref2) {
-                var id = _ref2.id;
+            stateD3Nodes.map(function(_ref3) {
+                var id = _ref3.id;
                 return { id: id };
             })
         ) ||
         !_utils2.default.isDeepEqual(
             nextLinks,
-            stateD3Links.map(function(_ref3) {
-                var source = _ref3.source,
-                    target = _ref3.target;
+            stateD3Links.map(function(_ref4) {
+                var source = _ref4.source,
+                    target = _ref4.target;
                 return { source: source, target: target };
             })
         );
@@ -412,6 +509,136 @@ function getCenterAndZoomTransformation(d3Node, config) {
     );
 }
 
+/**
+ * Hides the nodes (and links) folded by the collapsed nodes of some collapsible graph (see
+ * {@link #Graph/collapse-helper|getHiddenNodes}). Hidden nodes are tagged with a `_hidden` flag and collapsed nodes
+ * with the number of nodes they hide (`_hiddenCount`), links from collapsed nodes (in directed graphs) and links of
+ * hidden nodes are hidden and the connections matrix is rebuilt accordingly.
+ * @param {Object} state - graph state as returned by initializeGraphState.
+ * @param {Array.<string>} [collapsedNodeIds=[]] - the ids of the collapsed nodes.
+ * @returns {Object} the graph state with the collapsed nodes applied.
+ * @memberof Graph/helper
+ */
+function collapseNodes(state) {
+    var collapsedNodeIds = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+    if (!state.config.collapsible) {
+        return state;
+    }
+
+    var _getHiddenNodes = (0, _collapse.getHiddenNodes)(collapsedNodeIds, state.d3Links, state.config),
+        hiddenNodeIds = _getHiddenNodes.hiddenNodeIds,
+        hiddenCounts = _getHiddenNodes.hiddenCounts;
+
+    var collapsed = collapsedNodeIds.map(function(id) {
+        return "" + id;
+    });
+
+    Object.keys(state.nodes).forEach(function(id) {
+        var node = state.nodes[id];
+
+        hiddenNodeIds[id] ? (node._hidden = true) : delete node._hidden;
+        hiddenCounts[id] ? (node._hiddenCount = hiddenCounts[id]) : delete node._hiddenCount;
+    });
+
+    var d3Links = state.d3Links.map(function(d3Link) {
+        var source = d3Link.source,
+            target = d3Link.target;
+
+        var sourceId = "" + (source.id !== undefined && source.id !== null ? source.id : source);
+        var targetId = "" + (target.id !== undefined && target.id !== null ? target.id : target);
+        var isHidden =
+            !!hiddenNodeIds[sourceId] ||
+            !!hiddenNodeIds[targetId] ||
+            (state.config.directed && collapsed.includes(sourceId));
+
+        return !!d3Link.isHidden === isHidden ? d3Link : _extends({}, d3Link, { isHidden: isHidden });
+    });
+
+    return _extends({}, state, { links: _initializeLinks(d3Links, state.config), d3Links: d3Links });
+}
+
+/**
+ * Builds a serializable snapshot of the graph layout, that can later be restored
+ * through the **initialLayout** Graph prop (see restoreLayoutSnapshot).
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<string>} collapsedNodeIds - the ids of the collapsed nodes.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Object} the layout snapshot with the following shape:
+ * ```javascript
+ * {
+ *     // position of each node and whether the node is fixed (fx/fy) in that position
+ *     nodes: { Harry: { x: 20, y: 150, fixed: true }, Sally: { x: 120, y: 30, fixed: false } },
+ *     // the zoom transform
+ *     transform: { x: 0, y: 0, k: 1 },
+ *     // ids of the collapsed nodes
+ *     collapsedNodeIds: ["Harry"]
+ * }
+ * ```
+ * @memberof Graph/helper
+ */
+function getLayoutSnapshot(nodes, collapsedNodeIds, _ref5) {
+    var x = _ref5.x,
+        y = _ref5.y,
+        k = _ref5.k;
+
+    return {
+        nodes: Object.keys(nodes).reduce(function(acc, id) {
+            var node = nodes[id];
+            var fixed = node.fx !== undefined && node.fx !== null && node.fy !== undefined && node.fy !== null;
+
+            acc[id] = { x: Number(node.x), y: Number(node.y), fixed: fixed };
+
+            return acc;
+        }, {}),
+        transform: { x: x, y: y, k: k },
+        collapsedNodeIds: [].concat(_toConsumableArray(collapsedNodeIds)),
+    };
+}
+
+/**
+ * Restores a layout snapshot (see getLayoutSnapshot) into a freshly initialized graph state. Nodes are
+ * moved into their saved positions (fixed nodes get their fx and fy set) and, for collapsible graphs, saved
+ * collapsed nodes are collapsed (see collapseNodes). Nodes missing from the snapshot keep their positions.
+ * **NOTE**: the zoom transform can only be restored once the graph is mounted.
+ * @param {Object} state - graph state as returned by initializeGraphState.
+ * @param {Object} snapshot - the layout snapshot.
+ * @returns {Object} the graph state with the snapshot restored, along with the ids of the collapsed nodes
+ * (**collapsedNodeIds**) for collapsible graphs.
+ * @memberof Graph/helper
+ */
+function restoreLayoutSnapshot(state, _ref6) {
+    var _ref6$nodes = _ref6.nodes,
+        nodes = _ref6$nodes === undefined ? {} : _ref6$nodes,
+        _ref6$collapsedNodeId = _ref6.collapsedNodeIds,
+        collapsedNodeIds = _ref6$collapsedNodeId === undefined ? [] : _ref6$collapsedNodeId;
+
+    Object.keys(nodes).forEach(function(id) {
+        var node = state.nodes[id];
+
+        if (node) {
+            var _nodes$id = nodes[id],
+                x = _nodes$id.x,
+                y = _nodes$id.y,
+                fixed = _nodes$id.fixed;
+
+            node.x = x;
+            node.y = y;
+
+            if (fixed) {
+                node.fx = x;
+                node.fy = y;
+            }
+        }
+    });
+
+    if (!state.config.collapsible || !collapsedNodeIds.length) {
+        return state;
+    }
+
+    return collapseNodes(_extends({}, state, { collapsedNodeIds: collapsedNodeIds }), collapsedNodeIds);
+}
+
 /**
  * Encapsulates common procedures to initialize graph.
  * @param {Object} props - Graph component props, object that holds data, id and config.
@@ -422,10 +649,10 @@ function getCenterAndZoomTransformation(d3Node, config) {
  * @returns {Object} a fully (re)initialized graph state object.
  * @memberof Graph/helper
  */
-function initializeGraphState(_ref4, state) {
-    var data = _ref4.data,
-        id = _ref4.id,
-        config = _ref4.config;
+function initializeGraphState(_ref7, state) {
+    var data = _ref7.data,
+        id = _ref7.id,
+        config = _ref7.config;
 
     _validateGraphData(data);
 
@@ -438,22 +665,26 @@ function initializeGraphState(_ref4, state) {
                     ? Object.assign({}, n, _utils2.default.pick(state.nodes[n.id], NODE_PROPS_WHITELIST))
                     : Object.assign({}, n);
             }),
-            links: data.links.map(function(l, index) {
-                return _mapDataLinkToD3Link(l, index, state && state.d3Links, config, state);
-            }),
+            links: _tagParallelLinks(
+                data.links.map(function(l, index) {
+                    return _mapDataLinkToD3Link(l, index, state && state.d3Links, config, state);
+                })
+            ),
         };
     } else {
         graph = {
             nodes: data.nodes.map(function(n) {
                 return Object.assign({}, n);
             }),
-            links: data.links.map(function(l) {
-                return Object.assign({}, l);
-            }),
+            links: _tagParallelLinks(
+                data.links.map(function(l) {
+                    return Object.assign({}, l);
+                })
+            ),
         };
     }
 
-    var newConfig = Object.assign({}, _utils2.default.merge(_graph5.default, config || {}));
+    var newConfig = Object.assign({}, _utils2.default.merge(_graph3.default, config || {}));
     var links = _initializeLinks(graph.links, newConfig); // matrix of graph connections
     var nodes = _tagOrphanNodes(_initializeNodes(graph.nodes), links);
     var _graph = graph,
@@ -461,7 +692,12 @@ function initializeGraphState(_ref4, state) {
         d3Links = _graph.links;
 
     var formatedId = id.replace(/ /g, "_");
-    var simulation = _createForceSimulation(newConfig.width, newConfig.height, newConfig.d3 && newConfig.d3.gravity);
+    var simulation = _createForceSimulation(
+        newConfig.width,
+        newConfig.height,
+        newConfig.d3 && newConfig.d3.gravity,
+        newConfig.d3 && newConfig.d3.workerUrl
+    );
 
     var minZoom = newConfig.minZoom,
         maxZoom = newConfig.maxZoom,
@@ -522,7 +758,10 @@ function updateNodeHighlightedValue(nodes, links, config, id) {
 }
 
 exports.checkForGraphConfigChanges = checkForGraphConfigChanges;
+exports.collapseNodes = collapseNodes;
 exports.checkForGraphElementsChanges = checkForGraphElementsChanges;
 exports.getCenterAndZoomTransformation = getCenterAndZoomTransformation;
+exports.getLayoutSnapshot = getLayoutSnapshot;
 exports.initializeGraphState = initializeGraphState;
+exports.restoreLayoutSnapshot = restoreLayoutSnapshot;
 exports.updateNodeHighlightedValue = updateNodeHighlightedValue;
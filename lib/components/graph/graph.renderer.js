@@ -3,7 +3,7 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-exports.renderGraph = undefined;
+exports.renderSelectionBrush = exports.renderGraph = exports.renderCanvas = exports.drawGraph = undefined;
 
 var _extends =
     Object.assign ||
@@ -32,7 +32,11 @@ var _graph = require("./graph.const");
 
 var _graph2 = _interopRequireDefault(_graph);
 
-var _marker = require("../marker/marker.const");
+var _link = require("../link/link.const");
+
+var _Group = require("../group/Group");
+
+var _Group2 = _interopRequireDefault(_Group);
 
 var _Link = require("../link/Link");
 
@@ -50,12 +54,89 @@ var _graph3 = require("./graph.builder");
 
 var _collapse = require("./collapse.helper");
 
+var _highlight = require("./highlight.helper");
+
+var _path = require("./path.helper");
+
+var _label = require("./label.helper");
+
+var _canvas = require("./canvas.helper");
+
+var _group = require("../group/group.helper");
+
+var _link2 = require("../link/link.helper");
+
+var _marker = require("../marker/marker.helper");
+
+var _node = require("../node/node.helper");
+
+var _node2 = _interopRequireDefault(_node);
+
+var _zoom = require("./zoom.helper");
+
 function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
 
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+/**
+ * Maps a list of ids into an object where each id maps to true, for fast lookups.
+ * @param  {Array.<string>} [ids=[]] - list of ids.
+ * @returns {Object.<string, boolean>} the ids lookup object.
+ * @memberof Graph/renderer
+ */
+function _toLookup() {
+    var ids = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+
+    return ids.reduce(function(acc, id) {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Resolves the nodes and links highlighted regardless of the mouse hover, through the highlight prop and the
+ * highlighted path.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param  {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Array.<string>|Function|Object} [highlight] - same as {@link #graphrenderer|highlight in renderGraph}.
+ * @param  {Array.<string>} [highlightedPath] - same as {@link #graphrenderer|highlightedPath in renderGraph}.
+ * @returns {Object} empty if nothing is highlighted, otherwise the highlighted **nodeIds** and **linkIds** mapped
+ * to true, and the **pathNodeIds** and **pathLinkIds** of the path (see {@link #Graph/path-helper|getPathElements}).
+ * @memberof Graph/renderer
+ */
+function _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath) {
+    var highlighted = (0, _highlight.resolveHighlight)(highlight, nodes, links, linksMatrix) || {};
+    var path = (0, _path.getPathElements)(highlightedPath, links, config.directed) || {};
+
+    if (!highlighted.nodeIds && !path.nodeIds) {
+        return {};
+    }
+
+    return {
+        nodeIds: _extends({}, highlighted.nodeIds, path.nodeIds),
+        linkIds: _extends({}, highlighted.linkIds, path.linkIds),
+        pathNodeIds: path.nodeIds,
+        pathLinkIds: path.linkIds,
+    };
+}
+
 /**
- * Build Link components given a list of links.
+ * Build the props of every visible link (hidden links of collapsible graphs and links outside
+ * the visible area are skipped).
  * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
  * @param  {Array.<Object>} links - array of links {@link #Link|Link}.
  * @param  {Array.<Object>} linksMatrix - array of links {@link #Link|Link}.
@@ -64,10 +145,26 @@ function _interopRequireDefault(obj) {
  * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
  * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
  * @param  {number} transform - value that indicates the amount of zoom transformation.
- * @returns {Array.<Object>} returns the generated array of Link components.
+ * @param  {Object.<string, boolean>} selectedLinks - ids of the selected links mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each link.
  * @memberof Graph/renderer
  */
-function _renderLinks(nodes, links, linksMatrix, config, linkCallbacks, highlightedNode, highlightedLink, transform) {
+function _buildLinksProps(
+    nodes,
+    links,
+    linksMatrix,
+    config,
+    linkCallbacks,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    selectedLinks,
+    visibleArea
+) {
+    var spotlight = arguments.length > 10 && arguments[10] !== undefined ? arguments[10] : {};
+
     var outLinks = links;
 
     if (config.collapsible) {
@@ -77,16 +174,27 @@ function _renderLinks(nodes, links, linksMatrix, config, linkCallbacks, highligh
         });
     }
 
-    return outLinks.map(function(link) {
+    return outLinks.reduce(function(acc, link) {
         var source = link.source,
             target = link.target;
         // FIXME: solve this source data inconsistency later
 
         var sourceId = source.id !== undefined && source.id !== null ? source.id : source;
         var targetId = target.id !== undefined && target.id !== null ? target.id : target;
-        var key = "" + sourceId + _graph2.default.COORDS_SEPARATOR + targetId;
+
+        if (visibleArea && !(0, _zoom.isLinkInArea)(nodes[sourceId] || {}, nodes[targetId] || {}, visibleArea)) {
+            return acc;
+        }
+
+        var key = (0, _link2.getLinkId)(link);
         var props = (0, _graph3.buildLinkProps)(
-            _extends({}, link, { source: "" + sourceId, target: "" + targetId }),
+            _extends({}, link, {
+                source: "" + sourceId,
+                target: "" + targetId,
+                selected: !!selectedLinks[key],
+                spotlighted: spotlight.linkIds ? !!spotlight.linkIds[key] : undefined,
+                pathDirection: spotlight.pathLinkIds ? spotlight.pathLinkIds[key] || 0 : 0,
+            }),
             nodes,
             linksMatrix,
             config,
@@ -96,36 +204,65 @@ function _renderLinks(nodes, links, linksMatrix, config, linkCallbacks, highligh
             transform
         );
 
-        return _react2.default.createElement(_Link2.default, _extends({ key: key, id: key }, props));
-    });
+        acc.push({ key: key, props: props });
+
+        return acc;
+    }, []);
 }
 
 /**
- * Function that builds Node components.
+ * Build the props of every visible node (nodes hidden by collapsed nodes and nodes outside
+ * the visible area are skipped). Labels that would overlap labels with higher priority are
+ * hidden or shortened (see {@link #Graph/label-helper|resolveLabelOverlaps}).
  * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
- * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
- * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
- * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
- * @param  {string} highlightedLink.source - id of source node for highlighted link.
- * @param  {string} highlightedLink.target - id of target node for highlighted link.
+ * @param  {Function[]} nodeCallbacks - same as {@link #graphrenderer|nodeCallbacks in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
+ * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
  * @param  {number} transform - value that indicates the amount of zoom transformation.
  * @param  {Object.<string, Object>} linksMatrix - the matrix of connections of the graph
- * @returns {Array.<Object>} returns the generated array of node components
+ * @param  {Object.<string, boolean>} selectedNodes - ids of the selected nodes mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each node.
  * @memberof Graph/renderer
  */
-function _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlightedLink, transform, linksMatrix) {
+function _buildNodesProps(
+    nodes,
+    nodeCallbacks,
+    config,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    linksMatrix,
+    selectedNodes,
+    visibleArea
+) {
+    var spotlight = arguments.length > 9 && arguments[9] !== undefined ? arguments[9] : {};
+
     var outNodes = Object.keys(nodes);
 
     if (config.collapsible) {
         outNodes = outNodes.filter(function(nodeId) {
-            return (0, _collapse.isNodeVisible)(nodeId, nodes, linksMatrix);
+            return (0, _collapse.isNodeVisible)(nodeId, nodes);
         });
     }
 
-    return outNodes.map(function(nodeId) {
+    if (visibleArea) {
+        outNodes = outNodes.filter(function(nodeId) {
+            return (0,
+            _zoom.isNodeInArea)(nodes[nodeId], visibleArea, _node2.default.getNodeExtent((0, _graph3.getNodeShape)(nodes[nodeId], config, transform)));
+        });
+    }
+
+    var nodesProps = outNodes.map(function(nodeId) {
         var props = (0, _graph3.buildNodeProps)(
-            Object.assign({}, nodes[nodeId], { id: "" + nodeId }),
+            Object.assign({}, nodes[nodeId], {
+                id: "" + nodeId,
+                selected: !!selectedNodes[nodeId],
+                spotlighted: spotlight.nodeIds ? !!spotlight.nodeIds[nodeId] : undefined,
+                onPath: !!(spotlight.pathNodeIds && spotlight.pathNodeIds[nodeId]),
+            }),
             config,
             nodeCallbacks,
             highlightedNode,
@@ -133,83 +270,227 @@ function _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlighted
             transform
         );
 
-        return _react2.default.createElement(_Node2.default, _extends({ key: nodeId }, props));
+        return { key: nodeId, props: props };
     });
+
+    return (0, _label.resolveLabelOverlaps)(nodesProps, linksMatrix, config);
 }
 
 /**
- * Builds graph defs (for now markers, but we could also have gradients for instance).
- * NOTE: defs are static svg graphical objects, thus we only need to render them once, the result
- * is cached on the 1st call and from there we simply return the cached jsx.
- * @returns {Function} memoized build definitions function.
+ * Build the props of every group with visible members (members hidden by collapsed nodes don't count), groups
+ * described in the graph payload are drawn first and in the given order.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Array.<Object>} groups - same as {@link #graphrenderer|groups in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Function[]} groupCallbacks - same as {@link #graphrenderer|groupCallbacks in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each group.
  * @memberof Graph/renderer
  */
-function _renderDefs() {
-    var cachedDefs = void 0;
+function _buildGroupsProps(nodes, groups, config, groupCallbacks, transform) {
+    var nodeIds = Object.keys(nodes);
 
-    return function(config) {
-        if (cachedDefs) {
-            return cachedDefs;
-        }
+    if (config.collapsible) {
+        nodeIds = nodeIds.filter(function(nodeId) {
+            return (0, _collapse.isNodeVisible)(nodeId, nodes);
+        });
+    }
 
-        var small = _marker.MARKER_SMALL_SIZE;
-        var medium = small + (_marker.MARKER_MEDIUM_OFFSET * config.maxZoom) / 3;
-        var large = small + (_marker.MARKER_LARGE_OFFSET * config.maxZoom) / 3;
-
-        cachedDefs = _react2.default.createElement(
-            "defs",
-            null,
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_S,
-                refX: small,
-                fill: config.link.color,
-            }),
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_SH,
-                refX: small,
-                fill: config.link.highlightColor,
-            }),
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_M,
-                refX: medium,
-                fill: config.link.color,
-            }),
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_MH,
-                refX: medium,
-                fill: config.link.highlightColor,
-            }),
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_L,
-                refX: large,
-                fill: config.link.color,
-            }),
-            _react2.default.createElement(_Marker2.default, {
-                id: _marker.MARKERS.MARKER_LH,
-                refX: large,
-                fill: config.link.highlightColor,
+    var members = (0, _group.getGroupMembers)(
+        nodeIds.map(function(nodeId) {
+            return nodes[nodeId];
+        }),
+        config.group.nodeProperty,
+        groups
+    );
+    var groupsById = groups.reduce(function(acc, group) {
+        acc[group.id] = group;
+
+        return acc;
+    }, {});
+    var groupIds = [].concat(
+        _toConsumableArray(
+            groups
+                .map(function(_ref2) {
+                    var id = _ref2.id;
+                    return "" + id;
+                })
+                .filter(function(id) {
+                    return members[id];
+                })
+        ),
+        _toConsumableArray(
+            Object.keys(members).filter(function(id) {
+                return !groupsById[id];
             })
+        )
+    );
+
+    return groupIds.reduce(function(acc, id) {
+        var props = (0, _graph3.buildGroupProps)(
+            _extends({}, groupsById[id], { id: id }),
+            members[id],
+            config,
+            groupCallbacks,
+            transform
         );
 
-        return cachedDefs;
-    };
+        props && acc.push({ key: id, props: props });
+
+        return acc;
+    }, []);
 }
 
 /**
- * Memoized reference for _renderDefs.
+ * Build Group components given the props of the groups.
+ * @param  {Array.<Object>} groupsProps - the key and props of each group (see _buildGroupsProps).
+ * @returns {Array.<Object>} returns the generated array of Group components.
+ * @memberof Graph/renderer
+ */
+function _renderGroups(groupsProps) {
+    return groupsProps.map(function(_ref3) {
+        var key = _ref3.key,
+            props = _ref3.props;
+        return _react2.default.createElement(_Group2.default, _extends({ key: key }, props));
+    });
+}
+
+/**
+ * Build Link components given the props of the visible links.
+ * @param  {string} graphId - same as {@link #graphrenderer|graphId in renderGraph}.
+ * @param  {Array.<Object>} linksProps - the key and props of each visible link (see _buildLinksProps).
+ * @returns {Array.<Object>} returns the generated array of Link components.
+ * @memberof Graph/renderer
+ */
+function _renderLinks(graphId, linksProps) {
+    return linksProps.map(function(_ref4) {
+        var key = _ref4.key,
+            props = _ref4.props;
+        return _react2.default.createElement(_Link2.default, _extends({ key: key, id: key, graphId: graphId }, props));
+    });
+}
+
+/**
+ * Function that builds Node components.
+ * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
  * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
+ * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
+ * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
+ * @param  {string} highlightedLink.source - id of source node for highlighted link.
+ * @param  {string} highlightedLink.target - id of target node for highlighted link.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @param  {Object.<string, Object>} linksMatrix - the matrix of connections of the graph
+ * @param  {Object.<string, boolean>} selectedNodes - ids of the selected nodes mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns the generated array of node components
+ * @memberof Graph/renderer
+ */
+function _renderNodes(
+    nodes,
+    nodeCallbacks,
+    config,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    linksMatrix,
+    selectedNodes,
+    visibleArea
+) {
+    var spotlight = arguments.length > 9 && arguments[9] !== undefined ? arguments[9] : {};
+
+    return _buildNodesProps(
+        nodes,
+        nodeCallbacks,
+        config,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        linksMatrix,
+        selectedNodes,
+        visibleArea,
+        spotlight
+    ).map(function(_ref5) {
+        var key = _ref5.key,
+            props = _ref5.props;
+        return _react2.default.createElement(_Node2.default, _extends({ key: key }, props));
+    });
+}
+
+/**
+ * Builds graph defs, markers and the filters that draw the background rectangle of link labels.
+ * Links pick the shape of their markers and markers share the color of their link, thus
+ * a marker is defined for each combination of shape, position and color in use (and a filter
+ * for each label background color in use). Defs belong to the graph that renders them, their
+ * ids are prefixed with the graph id.
+ * @param  {string} graphId - same as {@link #graphrenderer|graphId in renderGraph}.
+ * @param  {Array.<Object>} linksProps - the key and props of each visible link (see _buildLinksProps).
  * @returns {Object} graph reusable objects [defs](https://developer.mozilla.org/en-US/docs/Web/SVG/Element/defs).
  * @memberof Graph/renderer
  */
-var _memoizedRenderDefs = _renderDefs();
+function _renderDefs(graphId, linksProps) {
+    var props = linksProps.map(function(_ref6) {
+        var props = _ref6.props;
+        return props;
+    });
+    // links are clipped at the node boundaries (see Link/helper buildLinkPath), thus start and end markers
+    // place their tip right at the link ends regardless of the node size and the zoom level
+    var markers = (0, _marker.getMarkerDefinitions)(graphId, props).map(function(_ref7) {
+        var id = _ref7.id,
+            shape = _ref7.shape,
+            fill = _ref7.fill,
+            refX = _ref7.refX;
+        return _react2.default.createElement(_Marker2.default, {
+            key: id,
+            id: id,
+            shape: shape,
+            refX: refX,
+            fill: fill,
+        });
+    });
+    var backgroundColors = props
+        .filter(function(_ref8) {
+            var label = _ref8.label,
+                labelBackground = _ref8.labelBackground;
+            return label && labelBackground === _link.LABEL_BACKGROUNDS.RECT;
+        })
+        .map(function(_ref9) {
+            var labelBackgroundColor = _ref9.labelBackgroundColor;
+            return labelBackgroundColor;
+        })
+        .filter(function(color, i, colors) {
+            return colors.indexOf(color) === i;
+        });
+    // the filter floods the text bounding box with the background color and draws the text over it
+    var filters = backgroundColors.map(function(color) {
+        return _react2.default.createElement(
+            "filter",
+            {
+                key: color,
+                id: (0, _link2.getLabelBackgroundId)(graphId, color),
+                x: "0",
+                y: "0",
+                width: "1",
+                height: "1",
+            },
+            _react2.default.createElement("feFlood", { floodColor: color }),
+            _react2.default.createElement("feComposite", { in: "SourceGraphic", operator: "over" })
+        );
+    });
+
+    return _react2.default.createElement("defs", null, markers, filters);
+}
 
 /**
  * Method that actually is exported an consumed by Graph component in order to build all Nodes and Link
  * components.
- * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
- * @param  {Array.<Object>} links - array of links {@link #Link|Link}.
- * @param  {Object.<string, Object>} linksMatrix - an object containing a matrix of connections of the graph, for each nodeId,
+ * @param  {Object} options - the graph elements, callbacks and state to render:
+ * @param  {string} options.graphId - the id of the graph, it namespaces the ids of the graph defs.
+ * @param  {Object.<string, Object>} options.nodes - an object containing all nodes mapped by their id.
+ * @param  {Function[]} options.nodeCallbacks - array of callbacks for used defined event handler for node interactions.
+ * @param  {Array.<Object>} options.links - array of links {@link #Link|Link}.
+ * @param  {Object.<string, Object>} options.linksMatrix - an object containing a matrix of connections of the graph, for each nodeId,
  * there is an Object that maps adjacent nodes ids (string) and their values (number).
  * ```javascript
  *  // links example
@@ -234,41 +515,244 @@ var _memoizedRenderDefs = _renderDefs();
  *     ...
  *  }
  * ```
- * @param  {Function[]} linkCallbacks - array of callbacks for used defined event handler for link interactions.
- * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
- * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
- * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
- * @param  {string} highlightedLink.source - id of source node for highlighted link.
- * @param  {string} highlightedLink.target - id of target node for highlighted link.
- * @param  {number} transform - value that indicates the amount of zoom transformation.
- * @returns {Object} returns an object containing the generated nodes and links that form the graph.
+ * @param  {Function[]} options.linkCallbacks - array of callbacks for used defined event handler for link interactions.
+ * @param  {Object} options.config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
+ * @param  {string} options.highlightedNode - this value contains a string that represents the some currently highlighted node.
+ * @param  {Object} options.highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
+ * @param  {string} options.highlightedLink.source - id of source node for highlighted link.
+ * @param  {string} options.highlightedLink.target - id of target node for highlighted link.
+ * @param  {number} options.transform - value that indicates the amount of zoom transformation.
+ * @param  {Object} [options.selection={}] - the current selection.
+ * @param  {Array.<string>} options.selection.nodeIds - ids of the selected nodes.
+ * @param  {Array.<string>} options.selection.linkIds - ids of the selected links.
+ * @param  {Object} [options.visibleArea] - area of the graph (graph coordinates) visible in the viewport, with minX, minY,
+ * maxX and maxY properties (see {@link #Graph/zoom-helper|computeVisibleArea}). When given, nodes and links outside
+ * of it are not rendered.
+ * @param  {Array.<Object>} [options.groups=[]] - the groups described in the graph payload, each with an id and optional
+ * label and style properties (see {@link #config-group|group config}).
+ * @param  {Function[]} [options.groupCallbacks={}] - array of callbacks for used defined event handler for group interactions.
+ * @param  {Array.<string>|Function|Object} [options.highlight] - nodes and links highlighted regardless of the mouse hover
+ * (see {@link #Graph/highlight-helper|resolveHighlight}), the remaining ones assume the **highlightOpacity** value.
+ * @param  {Array.<string>} [options.highlightedPath] - ids of the nodes of some path (in order), the nodes and links of the
+ * path are highlighted with the path style (see {@link #config-path|path config}).
+ * @returns {Object} returns an object containing the generated nodes, links and groups that form the graph.
  * @memberof Graph/renderer
  */
-function renderGraph(
-    nodes,
-    nodeCallbacks,
-    links,
-    linksMatrix,
-    linkCallbacks,
-    config,
-    highlightedNode,
-    highlightedLink,
-    transform
-) {
+function renderGraph(_ref10) {
+    var graphId = _ref10.graphId,
+        nodes = _ref10.nodes,
+        nodeCallbacks = _ref10.nodeCallbacks,
+        links = _ref10.links,
+        linksMatrix = _ref10.linksMatrix,
+        linkCallbacks = _ref10.linkCallbacks,
+        config = _ref10.config,
+        highlightedNode = _ref10.highlightedNode,
+        highlightedLink = _ref10.highlightedLink,
+        transform = _ref10.transform,
+        _ref10$selection = _ref10.selection,
+        selection = _ref10$selection === undefined ? {} : _ref10$selection,
+        visibleArea = _ref10.visibleArea,
+        _ref10$groups = _ref10.groups,
+        groups = _ref10$groups === undefined ? [] : _ref10$groups,
+        _ref10$groupCallbacks = _ref10.groupCallbacks,
+        groupCallbacks = _ref10$groupCallbacks === undefined ? {} : _ref10$groupCallbacks,
+        highlight = _ref10.highlight,
+        highlightedPath = _ref10.highlightedPath;
+
+    var spotlight = _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath);
+    var linksProps = _buildLinksProps(
+        nodes,
+        links,
+        linksMatrix,
+        config,
+        linkCallbacks,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        _toLookup(selection.linkIds),
+        visibleArea,
+        spotlight
+    );
+
     return {
-        nodes: _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlightedLink, transform, linksMatrix),
-        links: _renderLinks(
+        nodes: _renderNodes(
             nodes,
-            links,
-            linksMatrix,
+            nodeCallbacks,
             config,
-            linkCallbacks,
             highlightedNode,
             highlightedLink,
-            transform
+            transform,
+            linksMatrix,
+            _toLookup(selection.nodeIds),
+            visibleArea,
+            spotlight
         ),
-        defs: _memoizedRenderDefs(config),
+        links: _renderLinks(graphId, linksProps),
+        groups: _renderGroups(_buildGroupsProps(nodes, groups, config, groupCallbacks, transform)),
+        defs: _renderDefs(graphId, linksProps),
     };
 }
 
+/**
+ * Renders the canvas where the graph is drawn when the canvas renderer is in use (see drawGraph), the canvas
+ * backing store is scaled by the device pixel ratio so that the graph looks sharp on hdpi screens.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} canvasProps - the ref and the pointer event handlers of the canvas.
+ * @returns {Object} the graph wrapper with the canvas element.
+ * @memberof Graph/renderer
+ */
+function renderCanvas(graphId, _ref11, canvasProps) {
+    var width = _ref11.width,
+        height = _ref11.height;
+
+    var pixelRatio = window.devicePixelRatio || 1;
+
+    return _react2.default.createElement(
+        "div",
+        { id: graphId + "-" + _graph2.default.GRAPH_WRAPPER_ID },
+        _react2.default.createElement(
+            "canvas",
+            _extends(
+                {
+                    name: "canvas-container-" + graphId,
+                    width: width * pixelRatio,
+                    height: height * pixelRatio,
+                    style: { width: width, height: height, display: "block" },
+                },
+                canvasProps
+            )
+        )
+    );
+}
+
+/**
+ * Renders the brush that is drawn while the user is selecting elements.
+ * @param  {Array.<Array.<number>>} polygon - list of [x, y] vertices of the brush (screen coordinates).
+ * @returns {Object} the brush polygon element or null if there's no brush to draw.
+ * @memberof Graph/renderer
+ */
+function renderSelectionBrush(polygon) {
+    if (!polygon || !polygon.length) {
+        return null;
+    }
+
+    var style = {
+        fill: "rgba(31, 119, 180, 0.1)",
+        stroke: "#1f77b4",
+        strokeDasharray: "4,2",
+        pointerEvents: "none",
+    };
+
+    return _react2.default.createElement("polygon", {
+        className: _graph2.default.SELECTION_BRUSH_CLASS_NAME,
+        points: polygon.join(" "),
+        style: style,
+    });
+}
+
+/**
+ * Canvas counterpart of {@link #graphrenderer|renderGraph}, instead of building Node and Link components
+ * it draws links (with markers and labels) and nodes (with labels) onto a canvas 2d context.
+ * @param  {Object} context - canvas 2d context where the graph will be drawn.
+ * @param  {Object} options - same as {@link #graphrenderer|options in renderGraph} (callbacks aside), plus some
+ * canvas specific options:
+ * @param  {Object} options.zoomTransform - the current zoom transform with x, y and k properties.
+ * @param  {number} options.pixelRatio - the device pixel ratio, so that drawings are crisp on hdpi screens.
+ * @param  {Array.<Array.<number>>} [options.brush] - selection brush polygon to draw (screen coordinates).
+ * @param  {Function} [options.onImageLoad] - called when some node svg image finishes loading.
+ * @returns {Object} the hit regions of the drawn nodes, links and groups, to be used in hit testing
+ * (see {@link #Graph/canvas-helper|findElementAt}).
+ * @memberof Graph/renderer
+ */
+function drawGraph(context, _ref12) {
+    var nodes = _ref12.nodes,
+        links = _ref12.links,
+        linksMatrix = _ref12.linksMatrix,
+        config = _ref12.config,
+        highlightedNode = _ref12.highlightedNode,
+        highlightedLink = _ref12.highlightedLink,
+        transform = _ref12.transform,
+        _ref12$selection = _ref12.selection,
+        selection = _ref12$selection === undefined ? {} : _ref12$selection,
+        visibleArea = _ref12.visibleArea,
+        _ref12$groups = _ref12.groups,
+        groups = _ref12$groups === undefined ? [] : _ref12$groups,
+        highlight = _ref12.highlight,
+        highlightedPath = _ref12.highlightedPath,
+        zoomTransform = _ref12.zoomTransform,
+        pixelRatio = _ref12.pixelRatio,
+        brush = _ref12.brush,
+        onImageLoad = _ref12.onImageLoad;
+    var x = zoomTransform.x,
+        y = zoomTransform.y,
+        k = zoomTransform.k;
+
+    var spotlight = _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath);
+    var linksProps = _buildLinksProps(
+        nodes,
+        links,
+        linksMatrix,
+        config,
+        {},
+        highlightedNode,
+        highlightedLink,
+        transform,
+        _toLookup(selection.linkIds),
+        visibleArea,
+        spotlight
+    );
+    var nodesProps = _buildNodesProps(
+        nodes,
+        {},
+        config,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        linksMatrix,
+        _toLookup(selection.nodeIds),
+        visibleArea,
+        spotlight
+    );
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    context.setTransform(pixelRatio * k, 0, 0, pixelRatio * k, pixelRatio * x, pixelRatio * y);
+
+    var hitGroups = _buildGroupsProps(nodes, groups, config, {}, transform).map(function(_ref13) {
+        var props = _ref13.props;
+        return (0, _canvas.drawGroup)(context, props);
+    });
+    var hitLinks = linksProps.map(function(_ref14) {
+        var key = _ref14.key,
+            props = _ref14.props;
+
+        var source = nodes[props.source] || {};
+        var target = nodes[props.target] || {};
+        var targetSize = (target.size || config.node.size) / transform;
+
+        var hitLink = (0, _canvas.drawLink)(context, props, {
+            x1: source.x || 0,
+            y1: source.y || 0,
+            x2: target.x || 0,
+            y2: target.y || 0,
+            targetRadius: Math.sqrt(targetSize / Math.PI),
+        });
+
+        return _extends({}, hitLink, { id: key });
+    });
+    var hitNodes = nodesProps.map(function(_ref15) {
+        var props = _ref15.props;
+        return (0, _canvas.drawNode)(context, props, onImageLoad);
+    });
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    (0, _canvas.drawSelectionBrush)(context, brush);
+
+    return { nodes: hitNodes, links: hitLinks, groups: hitGroups };
+}
+
+exports.drawGraph = drawGraph;
+exports.renderCanvas = renderCanvas;
 exports.renderGraph = renderGraph;
+exports.renderSelectionBrush = renderSelectionBrush;
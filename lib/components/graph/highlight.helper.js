@@ -0,0 +1,196 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.resolveHighlight = undefined;
+
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+/**
+ * @module Graph/highlight-helper
+ * @description
+ * Offers a series of methods that resolve the **highlight** Graph prop, that spotlights some nodes and links
+ * (e.g. the results of a search box) independently of the highlight that follows the mouse hover. Matching
+ * nodes and links are highlighted and the remaining ones assume the **highlightOpacity** value, optionally the
+ * neighbourhood of the matching nodes (up to some number of hops) is highlighted as well.
+ */
+
+var _link = require("../link/link.helper");
+
+/**
+ * Reads the id of a link endpoint (node id or d3 node).
+ * @param {string|Object} node - node id or d3 node.
+ * @returns {string} the id of the node.
+ * @memberof Graph/highlight-helper
+ */
+function _getNodeId(node) {
+    return "" + (node && node.id !== undefined && node.id !== null ? node.id : node);
+}
+
+/**
+ * Maps a list of ids into a lookup object.
+ * @param {Array.<string>} ids - list of ids.
+ * @returns {Object.<string, boolean>} the ids mapped to true.
+ * @memberof Graph/highlight-helper
+ */
+function _toLookup(ids) {
+    return ids.reduce(function(acc, id) {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Checks whether some highlight criteria (list of ids or predicate) is set.
+ * @param {Array.<string>|Function} [criteria] - list of ids or predicate.
+ * @returns {boolean} true for predicates and non empty lists of ids.
+ * @memberof Graph/highlight-helper
+ */
+function _isActive(criteria) {
+    return typeof criteria === "function" || (Array.isArray(criteria) && criteria.length > 0);
+}
+
+/**
+ * Finds the ids of the elements that match some highlight criteria.
+ * @param {Array.<string>|Function} [criteria] - list of ids or predicate that receives each element.
+ * @param {Array.<Object>} elements - the elements to test against the predicate.
+ * @param {Function} getId - reads the id of some element.
+ * @returns {Array.<string>} the ids of the matching elements.
+ * @memberof Graph/highlight-helper
+ */
+function _match(criteria, elements, getId) {
+    if (typeof criteria === "function") {
+        return elements
+            .filter(function(element) {
+                return criteria(element);
+            })
+            .map(getId);
+    }
+
+    return (criteria || []).map(function(id) {
+        return "" + id;
+    });
+}
+
+/**
+ * Expands a set of nodes with their neighbours, links are followed in both directions and collapsed
+ * connections (value 0) are skipped.
+ * @param {Object.<string, boolean>} nodeIds - ids of the nodes to expand mapped to true, it's updated in place.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {number} hops - how many times the set is expanded.
+ * @returns {Object.<string, boolean>} the expanded set of node ids.
+ * @memberof Graph/highlight-helper
+ */
+function _expand(nodeIds, linksMatrix, hops) {
+    var adjacency = Object.keys(linksMatrix).reduce(function(acc, source) {
+        Object.keys(linksMatrix[source] || {}).forEach(function(target) {
+            if (linksMatrix[source][target]) {
+                (acc[source] = acc[source] || []).push(target);
+                (acc[target] = acc[target] || []).push(source);
+            }
+        });
+
+        return acc;
+    }, {});
+    var frontier = Object.keys(nodeIds);
+
+    for (var hop = 0; hop < hops && frontier.length; hop++) {
+        frontier = frontier.reduce(function(acc, id) {
+            (adjacency[id] || []).forEach(function(neighbour) {
+                if (!nodeIds[neighbour]) {
+                    nodeIds[neighbour] = true;
+                    acc.push(neighbour);
+                }
+            });
+
+            return acc;
+        }, []);
+    }
+
+    return nodeIds;
+}
+
+/**
+ * Resolves the nodes and links highlighted through the **highlight** Graph prop. Matching links highlight
+ * their source and target nodes too, and links between nodes highlighted through the nodes criteria (or
+ * their neighbourhood) are highlighted as well.
+ * @param {Array.<string>|Function|Object} highlight - the highlight prop, node ids or a node predicate or an object with:
+ * @param {Array.<string>|Function} [highlight.nodes] - node ids or predicate `(node) => boolean`.
+ * @param {Array.<string>|Function} [highlight.links] - link ids or predicate `(link) => boolean`, the predicate
+ * receives the link with the source and target node ids.
+ * @param {number} [highlight.degree=0] - number of hops of the neighbourhood of the matching nodes that is highlighted.
+ * @param {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Object} null if nothing is being highlighted (no predicates and empty lists of ids), otherwise an
+ * object with the highlighted **nodeIds** and **linkIds** mapped to true.
+ * @memberof Graph/highlight-helper
+ */
+function resolveHighlight(highlight) {
+    var nodes = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    var links = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : [];
+    var linksMatrix = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
+
+    var shorthand = Array.isArray(highlight) || typeof highlight === "function";
+
+    var _ref = shorthand ? { nodes: highlight } : highlight || {},
+        nodeCriteria = _ref.nodes,
+        linkCriteria = _ref.links,
+        _ref$degree = _ref.degree,
+        degree = _ref$degree === undefined ? 0 : _ref$degree;
+
+    if (!_isActive(nodeCriteria) && !_isActive(linkCriteria)) {
+        return null;
+    }
+
+    var endpoints = links.map(function(link) {
+        return _extends({}, link, {
+            source: _getNodeId(link.source),
+            target: _getNodeId(link.target),
+        });
+    });
+    var nodeIds = _toLookup(
+        _match(
+            nodeCriteria,
+            Object.keys(nodes).map(function(id) {
+                return nodes[id];
+            }),
+            function(node) {
+                return "" + node.id;
+            }
+        )
+    );
+    var linkIds = _toLookup(_match(linkCriteria, endpoints, _link.getLinkId));
+
+    _expand(nodeIds, linksMatrix, degree);
+
+    var linkEnds = {};
+
+    endpoints.forEach(function(link) {
+        var id = (0, _link.getLinkId)(link);
+
+        if (nodeIds[link.source] && nodeIds[link.target]) {
+            linkIds[id] = true;
+        } else if (linkIds[id]) {
+            linkEnds[link.source] = true;
+            linkEnds[link.target] = true;
+        }
+    });
+
+    return { nodeIds: _extends({}, nodeIds, linkEnds), linkIds: linkIds };
+}
+
+exports.resolveHighlight = resolveHighlight;
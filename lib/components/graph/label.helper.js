@@ -0,0 +1,233 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.resolveLabelOverlaps = undefined;
+
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+/**
+ * @module Graph/label-helper
+ * @description
+ * Offers a series of methods that keep node labels readable on dense graphs. Labels are placed one at a time,
+ * from the highest to the lowest priority (see **node.labelPriority**), and labels that would overlap some label
+ * already placed are either hidden or shortened (see **node.labelOverlap**). Label boxes are estimated from the
+ * label font size and number of characters, thus they depend on the zoom level like the labels themselves.
+ */
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _node = require("../node/node.const");
+
+var _node2 = _interopRequireDefault(_node);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+/**
+ * Shifts of the label box (relative to its width) for each text anchor.
+ * @memberof Graph/label-helper
+ */
+var ANCHOR_SHIFTS = { start: 0, middle: -0.5, end: -1 };
+
+/**
+ * Counts the connections of every node in the links matrix, collapsed connections (value 0) don't count.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Object.<string, number>} the degree of each node mapped by node id.
+ * @memberof Graph/label-helper
+ */
+function _computeDegrees() {
+    var linksMatrix = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+
+    return Object.keys(linksMatrix).reduce(function(acc, source) {
+        Object.keys(linksMatrix[source] || {}).forEach(function(target) {
+            if (linksMatrix[source][target]) {
+                acc[source] = (acc[source] || 0) + 1;
+                acc[target] = (acc[target] || 0) + 1;
+            }
+        });
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Returns the function that reads the label priority of some node.
+ * @param {string|Function} labelPriority - same as **node.labelPriority** in the config.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Function} receives the node props and returns the label priority (a number).
+ * @memberof Graph/label-helper
+ */
+function _getPriority(labelPriority, linksMatrix) {
+    if (typeof labelPriority === "function") {
+        return labelPriority;
+    }
+
+    if (labelPriority === _graph2.default.LABEL_PRIORITIES.DEGREE) {
+        var degrees = _computeDegrees(linksMatrix);
+
+        return function(props) {
+            return degrees[props.id] || 0;
+        };
+    }
+
+    if (labelPriority === _graph2.default.LABEL_PRIORITIES.SIZE) {
+        return function(props) {
+            return props.size;
+        };
+    }
+
+    return function(props) {
+        return Number(props[labelPriority]) || 0;
+    };
+}
+
+/**
+ * Estimates the box some node label occupies in graph coordinates.
+ * @param {Object} props - the node props (see {@link #Graph/builder|buildNodeProps}).
+ * @param {Array.<string>} lines - the label lines.
+ * @returns {Object} the label box with minX, minY, maxX and maxY properties.
+ * @memberof Graph/label-helper
+ */
+function _getLabelBox(props, lines) {
+    var fontSize = props.fontSize,
+        labelLineHeight = props.labelLineHeight,
+        labelX = props.labelX,
+        labelY = props.labelY,
+        labelAnchor = props.labelAnchor;
+
+    var chars = lines.reduce(function(acc, line) {
+        return Math.max(acc, line.length);
+    }, 0);
+    var width = chars * fontSize * _node2.default.NODE_LABEL_CHAR_WIDTH;
+    var minX = Number(props.cx) + labelX + width * (ANCHOR_SHIFTS[labelAnchor] || 0);
+    var y = Number(props.cy) + labelY;
+
+    return {
+        minX: minX,
+        minY: y - fontSize * _node2.default.NODE_LABEL_ASCENT,
+        maxX: minX + width,
+        maxY: y + (lines.length - 1) * labelLineHeight + fontSize * _node2.default.NODE_LABEL_DESCENT,
+    };
+}
+
+/**
+ * Checks whether some box overlaps any of the given boxes.
+ * @param {Object} box - the box with minX, minY, maxX and maxY properties.
+ * @param {Array.<Object>} boxes - the boxes to check against.
+ * @returns {boolean} true if the box overlaps some other box.
+ * @memberof Graph/label-helper
+ */
+function _overlaps(box, boxes) {
+    return boxes.some(function(other) {
+        return box.minX < other.maxX && box.maxX > other.minX && box.minY < other.maxY && box.maxY > other.minY;
+    });
+}
+
+/**
+ * Shortens a label until it no longer overlaps the boxes of the labels already placed, labels are first
+ * collapsed into a single line and then truncated with an ellipsis.
+ * @param {Object} props - the node props (see {@link #Graph/builder|buildNodeProps}).
+ * @param {Array.<Object>} boxes - the boxes of the labels already placed.
+ * @returns {Object} the shortened label **lines** and their **box** or null if not even a single character fits.
+ * @memberof Graph/label-helper
+ */
+function _shortenLabel(props, boxes) {
+    var text = props.labelLines.join(" ").replace(new RegExp(_node2.default.NODE_LABEL_ELLIPSIS + "$"), "");
+
+    for (var length = text.length - 1; length > 0; length--) {
+        var lines = ["" + text.slice(0, length).trim() + _node2.default.NODE_LABEL_ELLIPSIS];
+        var box = _getLabelBox(props, lines);
+
+        if (!_overlaps(box, boxes)) {
+            return { lines: lines, box: box };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Hides or shortens the labels that would overlap labels with higher priority.
+ * @param {Array.<Object>} nodesProps - the key and props of each rendered node.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Array.<Object>} the key and props of each node, with the labels that don't fit either hidden
+ * (**renderLabel** false) or shortened (the full label is kept in **labelTitle**). Nodes keep their order.
+ * @memberof Graph/label-helper
+ */
+function resolveLabelOverlaps(nodesProps, linksMatrix, config) {
+    var _config$node = config.node,
+        labelOverlap = _config$node.labelOverlap,
+        labelPriority = _config$node.labelPriority;
+
+    if (
+        labelOverlap !== _graph2.default.LABEL_OVERLAPS.HIDE &&
+        labelOverlap !== _graph2.default.LABEL_OVERLAPS.SHORTEN
+    ) {
+        return nodesProps;
+    }
+
+    var priority = _getPriority(labelPriority, linksMatrix);
+    var boxes = [];
+    var resolved = {};
+
+    nodesProps
+        .filter(function(_ref) {
+            var props = _ref.props;
+            return props.renderLabel && props.labelLines && props.labelLines.length;
+        })
+        .map(function(_ref2, index) {
+            var key = _ref2.key,
+                props = _ref2.props;
+            return { key: key, props: props, index: index, priority: priority(props) };
+        })
+        // sort is not guaranteed to be stable, ties keep the nodes order
+        .sort(function(a, b) {
+            return b.priority - a.priority || a.index - b.index;
+        })
+        .forEach(function(_ref3) {
+            var key = _ref3.key,
+                props = _ref3.props;
+
+            var box = _getLabelBox(props, props.labelLines);
+
+            if (!_overlaps(box, boxes)) {
+                boxes.push(box);
+
+                return;
+            }
+
+            var shortened = labelOverlap === _graph2.default.LABEL_OVERLAPS.SHORTEN && _shortenLabel(props, boxes);
+
+            if (shortened) {
+                boxes.push(shortened.box);
+                resolved[key] = _extends({}, props, { labelLines: shortened.lines, labelTitle: "" + props.label });
+            } else {
+                resolved[key] = _extends({}, props, { renderLabel: false });
+            }
+        });
+
+    return nodesProps.map(function(_ref4) {
+        var key = _ref4.key,
+            props = _ref4.props;
+        return { key: key, props: resolved[key] || props };
+    });
+}
+
+exports.resolveLabelOverlaps = resolveLabelOverlaps;
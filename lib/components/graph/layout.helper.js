@@ -0,0 +1,512 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.resetNodesPositions = exports.isForceLayout = exports.computeLayout = exports.applyLayout = exports.LAYOUT_PADDING = undefined;
+
+var _LAYOUTS;
+
+var _d3Ease = require("d3-ease");
+
+var _d3Timer = require("d3-timer");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+/**
+ * @module Graph/layout-helper
+ * @description
+ * Offers a series of methods that compute deterministic positions for the graph nodes (hierarchical, radial,
+ * circular and grid layouts). All layouts return an object that maps each node id into its `{ x, y }`
+ * position (graph coordinates) inside the area defined by the configured **width** and **height**.
+ * The methods that move the nodes of the Graph into the computed positions receive the Graph component instance.
+ */
+
+/**
+ * Space (in px) left between the laid out nodes and the edges of the graph area.
+ * @memberof Graph/layout-helper
+ */
+var LAYOUT_PADDING = 50;
+
+/**
+ * Builds the list of neighbours of each node. For directed graphs only the outgoing links are
+ * followed, for undirected graphs links are followed both ways.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Object.<string, Array.<string>>} the neighbours of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _buildAdjacency(ids, links, directed) {
+    var adjacency = ids.reduce(function(acc, id) {
+        acc[id] = [];
+
+        return acc;
+    }, {});
+
+    links.forEach(function(_ref) {
+        var source = _ref.source,
+            target = _ref.target;
+
+        if (adjacency[source] && adjacency[target]) {
+            adjacency[source].push(target);
+            !directed && adjacency[target].push(source);
+        }
+    });
+
+    return adjacency;
+}
+
+/**
+ * Finds the roots of the graph, for directed graphs these are the nodes without incoming links,
+ * for undirected graphs (or directed graphs where every node has incoming links) the first node is the root.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Array.<string>} ids of the root nodes.
+ * @memberof Graph/layout-helper
+ */
+function _findRoots(ids, links, directed) {
+    if (directed) {
+        var targets = links.reduce(function(acc, _ref2) {
+            var target = _ref2.target;
+
+            acc[target] = true;
+
+            return acc;
+        }, {});
+        var roots = ids.filter(function(id) {
+            return !targets[id];
+        });
+
+        if (roots.length) {
+            return roots;
+        }
+    }
+
+    return ids.slice(0, 1);
+}
+
+/**
+ * Traverses the graph breadth first starting from the roots, nodes that are not reachable from
+ * any root become roots of their own tree (e.g. disconnected components).
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Object.<string, Array.<string>>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {Array.<string>} roots - ids of the nodes where to start the traversal.
+ * @returns {Object} the traversal result with the `depth` and `children` (spanning tree) of each node
+ * as well as the list of `roots` of the spanning forest.
+ * @memberof Graph/layout-helper
+ */
+function _traverse(ids, adjacency, roots) {
+    var depth = {};
+    var children = {};
+    var forestRoots = [];
+    var visit = function visit(root) {
+        var queue = [root];
+
+        depth[root] = 0;
+        children[root] = [];
+        forestRoots.push(root);
+
+        var _loop = function _loop() {
+            var id = queue.shift();
+
+            adjacency[id].forEach(function(neighbour) {
+                if (depth[neighbour] === undefined) {
+                    depth[neighbour] = depth[id] + 1;
+                    children[neighbour] = [];
+                    children[id].push(neighbour);
+                    queue.push(neighbour);
+                }
+            });
+        };
+
+        while (queue.length) {
+            _loop();
+        }
+    };
+
+    roots.forEach(function(root) {
+        return depth[root] === undefined && visit(root);
+    });
+    ids.forEach(function(id) {
+        return depth[id] === undefined && visit(id);
+    });
+
+    return { depth: depth, children: children, roots: forestRoots };
+}
+
+/**
+ * Computes the rank of each node for the hierarchical layout. For directed graphs the longest path
+ * from a source is used (so every link points downwards), for undirected graphs the breadth first depth is used.
+ * Cycles are broken by capping ranks to the number of nodes.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Object.<string, number>} the rank of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _computeRanks(ids, links, directed) {
+    var adjacency = _buildAdjacency(ids, links, directed);
+
+    var _traverse2 = _traverse(ids, adjacency, _findRoots(ids, links, directed)),
+        depth = _traverse2.depth;
+
+    if (!directed) {
+        return depth;
+    }
+
+    var ranks = ids.reduce(function(acc, id) {
+        acc[id] = 0;
+
+        return acc;
+    }, {});
+    var changed = true;
+
+    for (var pass = 0; pass < ids.length && changed; pass++) {
+        changed = false;
+
+        links.forEach(function(_ref3) {
+            var source = _ref3.source,
+                target = _ref3.target;
+
+            var rank = ranks[source] + 1;
+
+            if (ranks[target] !== undefined && rank > ranks[target] && rank < ids.length) {
+                ranks[target] = rank;
+                changed = true;
+            }
+        });
+    }
+
+    return ranks;
+}
+
+/**
+ * Lays out nodes in layers (ranks) from top to bottom, for directed graphs all links point downwards.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _hierarchicalLayout(ids, links, _ref4) {
+    var width = _ref4.width,
+        height = _ref4.height,
+        directed = _ref4.directed;
+
+    var ranks = _computeRanks(ids, links, directed);
+    var layers = ids.reduce(function(acc, id) {
+        var rank = ranks[id];
+
+        acc[rank] = acc[rank] || [];
+        acc[rank].push(id);
+
+        return acc;
+    }, []);
+    var rankHeight = layers.length > 1 ? (height - 2 * LAYOUT_PADDING) / (layers.length - 1) : 0;
+
+    return layers.reduce(function(positions) {
+        var layer = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+        var rank = arguments[2];
+
+        var y = layers.length > 1 ? LAYOUT_PADDING + rank * rankHeight : height / 2;
+
+        layer.forEach(function(id, i) {
+            positions[id] = { x: (width * (i + 1)) / (layer.length + 1), y: y };
+        });
+
+        return positions;
+    }, {});
+}
+
+/**
+ * Lays out nodes in concentric rings around the root, each ring holds the nodes at the same distance
+ * (depth) from the root and each subtree gets an angular wedge proportional to its number of leaves.
+ * If there are several roots, they are placed in the first ring.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _radialLayout(ids, links, _ref5) {
+    var width = _ref5.width,
+        height = _ref5.height,
+        directed = _ref5.directed;
+
+    var adjacency = _buildAdjacency(ids, links, directed);
+
+    var _traverse3 = _traverse(ids, adjacency, _findRoots(ids, links, directed)),
+        depth = _traverse3.depth,
+        children = _traverse3.children,
+        roots = _traverse3.roots;
+    // a single root sits in the center, otherwise roots are placed in the first ring
+
+    var offset = roots.length === 1 ? 0 : 1;
+    var maxDepth = Math.max.apply(
+        Math,
+        _toConsumableArray(
+            ids.map(function(id) {
+                return depth[id] + offset;
+            })
+        )
+    );
+    var ringSize = maxDepth ? (Math.min(width, height) / 2 - LAYOUT_PADDING) / maxDepth : 0;
+    var leaves = {};
+    var countLeaves = function countLeaves(id) {
+        return (leaves[id] = children[id].length
+            ? children[id].reduce(function(sum, child) {
+                  return sum + countLeaves(child);
+              }, 0)
+            : 1);
+    };
+    var positions = {};
+    var place = function place(nodeIds, startAngle, endAngle) {
+        var total = nodeIds.reduce(function(sum, id) {
+            return sum + leaves[id];
+        }, 0);
+        var angle = startAngle;
+
+        nodeIds.forEach(function(id) {
+            var wedge = ((endAngle - startAngle) * leaves[id]) / total;
+            var radius = (depth[id] + offset) * ringSize;
+            var theta = angle + wedge / 2;
+
+            positions[id] = { x: width / 2 + radius * Math.cos(theta), y: height / 2 + radius * Math.sin(theta) };
+            place(children[id], angle, angle + wedge);
+            angle += wedge;
+        });
+    };
+
+    roots.forEach(countLeaves);
+    place(roots, 0, 2 * Math.PI);
+
+    return positions;
+}
+
+/**
+ * Lays out nodes evenly spaced along a circle.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _circularLayout(ids, links, _ref6) {
+    var width = _ref6.width,
+        height = _ref6.height;
+
+    var radius = ids.length > 1 ? Math.min(width, height) / 2 - LAYOUT_PADDING : 0;
+
+    return ids.reduce(function(positions, id, i) {
+        var theta = (2 * Math.PI * i) / ids.length;
+
+        positions[id] = { x: width / 2 + radius * Math.cos(theta), y: height / 2 + radius * Math.sin(theta) };
+
+        return positions;
+    }, {});
+}
+
+/**
+ * Lays out nodes in a grid, filling rows from left to right.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _gridLayout(ids, links, _ref7) {
+    var width = _ref7.width,
+        height = _ref7.height;
+
+    var columns = Math.ceil(Math.sqrt(ids.length));
+    var rows = Math.ceil(ids.length / columns);
+
+    return ids.reduce(function(positions, id, i) {
+        positions[id] = {
+            x: (width * ((i % columns) + 0.5)) / columns,
+            y: (height * (Math.floor(i / columns) + 0.5)) / rows,
+        };
+
+        return positions;
+    }, {});
+}
+
+var LAYOUTS = ((_LAYOUTS = {}),
+_defineProperty(_LAYOUTS, _graph2.default.LAYOUTS.HIERARCHICAL, _hierarchicalLayout),
+_defineProperty(_LAYOUTS, _graph2.default.LAYOUTS.RADIAL, _radialLayout),
+_defineProperty(_LAYOUTS, _graph2.default.LAYOUTS.CIRCULAR, _circularLayout),
+_defineProperty(_LAYOUTS, _graph2.default.LAYOUTS.GRID, _gridLayout),
+_LAYOUTS);
+
+/**
+ * Checks whether some layout is the d3 force layout (positions computed by the force simulation).
+ * @param {string|Function} layout - the layout (see **layout** config).
+ * @returns {boolean} true for the force layout.
+ * @memberof Graph/layout-helper
+ */
+function isForceLayout(layout) {
+    return typeof layout !== "function" && !LAYOUTS[layout];
+}
+
+/**
+ * Computes the positions of the graph nodes for a given deterministic layout.
+ * @param {string|Function} layout - one of "hierarchical", "radial", "circular", "grid" or a custom
+ * function `(nodes, links, config) => positions`.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<Object>} links - the graph links (d3Links), source and target might be node ids or nodes.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>|undefined} the `{ x, y }` position of each node mapped by node id
+ * or undefined for the force layout.
+ * @memberof Graph/layout-helper
+ */
+function computeLayout(layout, nodes, links, config) {
+    if (isForceLayout(layout)) {
+        return;
+    }
+
+    var ids = Object.keys(nodes);
+    var linksIds = links.map(function(_ref8) {
+        var source = _ref8.source,
+            target = _ref8.target;
+        return {
+            source: "" + (source.id !== undefined && source.id !== null ? source.id : source),
+            target: "" + (target.id !== undefined && target.id !== null ? target.id : target),
+        };
+    });
+
+    if (typeof layout === "function") {
+        return (
+            layout(
+                ids.map(function(id) {
+                    return nodes[id];
+                }),
+                linksIds,
+                config
+            ) || {}
+        );
+    }
+
+    return ids.length ? LAYOUTS[layout](ids, linksIds, config) : {};
+}
+
+/**
+ * Moves the nodes into the positions computed by the configured (deterministic) layout, the force
+ * simulation is paused so that it doesn't override the layout positions.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} [duration=0] - duration (in seconds) of the animation, the nodes snap into place if 0.
+ * @returns {undefined}
+ * @memberof Graph/layout-helper
+ */
+function applyLayout(graph) {
+    var duration = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 0;
+    var _graph$state = graph.state,
+        config = _graph$state.config,
+        nodes = _graph$state.nodes,
+        d3Links = _graph$state.d3Links;
+
+    var positions = computeLayout(config.layout, nodes, d3Links, config);
+
+    if (!positions) {
+        return;
+    }
+
+    graph.pauseSimulation();
+    graph.layoutTimer && graph.layoutTimer.stop();
+
+    var targets = Object.keys(positions).filter(function(id) {
+        return nodes[id];
+    });
+    var origins = targets.map(function(id) {
+        return { x: nodes[id].x, y: nodes[id].y };
+    });
+    var moveNodes = function moveNodes(t) {
+        return targets.forEach(function(id, i) {
+            nodes[id].x = origins[i].x + (positions[id].x - origins[i].x) * t;
+            nodes[id].y = origins[i].y + (positions[id].y - origins[i].y) * t;
+        });
+    };
+
+    if (!duration) {
+        moveNodes(1);
+        graph._tick();
+
+        return;
+    }
+
+    graph.layoutTimer = (0, _d3Timer.timer)(function(elapsed) {
+        var t = Math.min(1, elapsed / (duration * 1000));
+
+        moveNodes((0, _d3Ease.easeCubicInOut)(t));
+        graph._tick();
+        t === 1 && graph.layoutTimer.stop();
+    });
+}
+
+/**
+ * Resets all nodes fixed positions by deleting the properties fx (fixed x) and fy (fixed y). Following this,
+ * a simulation is triggered in order to force nodes to go back to their original positions (or at least new
+ * positions according to the d3 force parameters). For layouts other than "force" the nodes go back to the
+ * positions computed by the layout.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/layout-helper
+ */
+function resetNodesPositions(graph) {
+    var _graph$state2 = graph.state,
+        config = _graph$state2.config,
+        nodes = _graph$state2.nodes,
+        simulation = _graph$state2.simulation;
+
+    if (config.staticGraph) {
+        return;
+    }
+
+    for (var nodeId in nodes) {
+        var node = nodes[nodeId];
+
+        if (node.fx && node.fy) {
+            Reflect.deleteProperty(node, "fx");
+            Reflect.deleteProperty(node, "fy");
+        }
+    }
+
+    if (!isForceLayout(config.layout)) {
+        return applyLayout(graph, config.layoutAnimationDuration);
+    }
+
+    simulation.alphaTarget(config.d3.alphaTarget).restart();
+    graph._tick();
+}
+
+exports.LAYOUT_PADDING = LAYOUT_PADDING;
+exports.applyLayout = applyLayout;
+exports.computeLayout = computeLayout;
+exports.isForceLayout = isForceLayout;
+exports.resetNodesPositions = resetNodesPositions;
@@ -0,0 +1,419 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.updateFlowTimer = exports.getPathElements = exports.findShortestPath = undefined;
+
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+
+var _typeof =
+    typeof Symbol === "function" && typeof Symbol.iterator === "symbol"
+        ? function(obj) {
+              return typeof obj;
+          }
+        : function(obj) {
+              return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype
+                  ? "symbol"
+                  : typeof obj;
+          };
+
+var _d3Timer = require("d3-timer");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _link = require("../link/link.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
+/**
+ * @module Graph/path-helper
+ * @description
+ * Offers a series of methods to find shortest paths between nodes and to highlight them. Paths are found over
+ * the links matrix (see **linksMatrix** in {@link #graphrenderer|renderGraph}), either counting hops (breadth
+ * first search) or adding up the **value** of the links along the path (Dijkstra). Collapsed connections
+ * (value 0) are never followed.
+ */
+
+/**
+ * Builds the adjacency of every node from the links matrix, links are followed in both directions
+ * unless the graph is directed.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {boolean} directed - whether links can only be followed from their source to their target.
+ * @returns {Object.<string, Object>} the neighbours of each node mapped to the cost of reaching them.
+ * @memberof Graph/path-helper
+ */
+function _buildAdjacency(linksMatrix, directed) {
+    var adjacency = {};
+    var addNeighbour = function addNeighbour(from, to, value) {
+        adjacency[from] = adjacency[from] || {};
+
+        if (adjacency[from][to] === undefined || value < adjacency[from][to]) {
+            adjacency[from][to] = value;
+        }
+    };
+
+    Object.keys(linksMatrix).forEach(function(source) {
+        return Object.keys(linksMatrix[source] || {}).forEach(function(target) {
+            var value = linksMatrix[source][target];
+
+            if (value > 0) {
+                addNeighbour(source, target, value);
+                !directed && addNeighbour(target, source, value);
+            }
+        });
+    });
+
+    return adjacency;
+}
+
+/**
+ * Walks back the previous node of each node in the path, from the target to the source.
+ * @param {Object.<string, string>} previous - the node from where each node was reached.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path, from the source to the target.
+ * @memberof Graph/path-helper
+ */
+function _tracePath(previous, target) {
+    var path = [];
+
+    for (var id = target; id !== null; id = previous[id]) {
+        path.unshift(id);
+    }
+
+    return path;
+}
+
+/**
+ * Finds the path with fewer hops through breadth first search.
+ * @param {Object.<string, Object>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {string} source - the id of the source node.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path or null if target can't be reached.
+ * @memberof Graph/path-helper
+ */
+function _bfs(adjacency, source, target) {
+    var previous = _defineProperty({}, source, null);
+    var queue = [source];
+
+    var _loop = function _loop() {
+        var current = queue.shift();
+
+        if (current === target) {
+            return {
+                v: _tracePath(previous, target),
+            };
+        }
+
+        Object.keys(adjacency[current] || {}).forEach(function(next) {
+            if (!previous.hasOwnProperty(next)) {
+                previous[next] = current;
+                queue.push(next);
+            }
+        });
+    };
+
+    while (queue.length) {
+        var _ret = _loop();
+
+        if ((typeof _ret === "undefined" ? "undefined" : _typeof(_ret)) === "object") return _ret.v;
+    }
+
+    return null;
+}
+
+/**
+ * Adds some entry to a binary min heap (kept in an array) of [distance, node id] entries.
+ * @param {Array.<Array>} heap - the heap, entries are sorted by their distance.
+ * @param {Array} entry - the [distance, node id] entry to add.
+ * @returns {undefined}
+ * @memberof Graph/path-helper
+ */
+function _heapPush(heap, entry) {
+    var i = heap.length;
+
+    heap.push(entry);
+
+    while (i > 0 && heap[(i - 1) >> 1][0] > heap[i][0]) {
+        var parent = (i - 1) >> 1;
+
+        var _ref = [heap[i], heap[parent]];
+        heap[parent] = _ref[0];
+        heap[i] = _ref[1];
+
+        i = parent;
+    }
+}
+
+/**
+ * Removes the entry with the lowest distance from a binary min heap (see _heapPush).
+ * @param {Array.<Array>} heap - the heap.
+ * @returns {Array} the [distance, node id] entry with the lowest distance.
+ * @memberof Graph/path-helper
+ */
+function _heapPop(heap) {
+    var top = heap[0];
+    var last = heap.pop();
+    var i = 0;
+
+    if (heap.length) {
+        heap[0] = last;
+
+        for (;;) {
+            var left = 2 * i + 1;
+            var right = left + 1;
+            var smallest = i;
+
+            left < heap.length && heap[left][0] < heap[smallest][0] && (smallest = left);
+            right < heap.length && heap[right][0] < heap[smallest][0] && (smallest = right);
+
+            if (smallest === i) {
+                break;
+            }
+
+            var _ref2 = [heap[i], heap[smallest]];
+            heap[smallest] = _ref2[0];
+            heap[i] = _ref2[1];
+
+            i = smallest;
+        }
+    }
+
+    return top;
+}
+
+/**
+ * Finds the path with the lowest sum of link values through Dijkstra's algorithm. Nodes are visited in
+ * order of distance through a binary heap, O((n + m) log n) for n nodes and m links.
+ * @param {Object.<string, Object>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {string} source - the id of the source node.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path or null if target can't be reached.
+ * @memberof Graph/path-helper
+ */
+function _dijkstra(adjacency, source, target) {
+    var distances = _defineProperty({}, source, 0);
+    var previous = _defineProperty({}, source, null);
+    var visited = {};
+    var heap = [[0, source]];
+
+    var _loop2 = function _loop2() {
+        var _heapPop2 = _heapPop(heap),
+            _heapPop3 = _slicedToArray(_heapPop2, 2),
+            from = _heapPop3[1];
+
+        if (from === target) {
+            return {
+                v: _tracePath(previous, target),
+            };
+        }
+
+        // nodes are pushed again whenever a shorter distance is found, stale entries are skipped
+        if (visited[from]) {
+            return "continue";
+        }
+
+        visited[from] = true;
+
+        Object.keys(adjacency[from] || {}).forEach(function(next) {
+            var distance = distances[from] + adjacency[from][next];
+
+            if (!visited[next] && (distances[next] === undefined || distance < distances[next])) {
+                distances[next] = distance;
+                previous[next] = from;
+                _heapPush(heap, [distance, next]);
+            }
+        });
+    };
+
+    while (heap.length) {
+        var _ret2 = _loop2();
+
+        switch (_ret2) {
+            case "continue":
+                continue;
+
+            default:
+                if ((typeof _ret2 === "undefined" ? "undefined" : _typeof(_ret2)) === "object") return _ret2.v;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the shortest path between two nodes.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {string} source - the id of the node where the path starts.
+ * @param {string} target - the id of the node where the path ends.
+ * @param {Object} [options={}] - path finding options.
+ * @param {boolean} [options.directed=false] - when set to true links are only followed from source to target.
+ * @param {boolean} [options.weighted=false] - when set to true the path with the lowest sum of link **value**s is
+ * found (Dijkstra), otherwise the path with fewer hops (breadth first search). Between nodes with parallel links
+ * the cheapest of them is used, the links matrix keeps its value (see **linksMatrix** in renderGraph).
+ * @returns {Array.<string>} the ids of the nodes in the path, from source to target, or null if there's no path
+ * between them.
+ * @memberof Graph/path-helper
+ */
+function findShortestPath() {
+    var linksMatrix = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    var source = arguments[1];
+    var target = arguments[2];
+
+    var _ref3 = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {},
+        _ref3$directed = _ref3.directed,
+        directed = _ref3$directed === undefined ? false : _ref3$directed,
+        _ref3$weighted = _ref3.weighted,
+        weighted = _ref3$weighted === undefined ? false : _ref3$weighted;
+
+    var from = "" + source;
+    var to = "" + target;
+
+    if (!linksMatrix[from] || !linksMatrix[to]) {
+        return null;
+    }
+
+    var adjacency = _buildAdjacency(linksMatrix, directed);
+
+    return weighted ? _dijkstra(adjacency, from, to) : _bfs(adjacency, from, to);
+}
+
+/**
+ * Finds the nodes and links that form some path. The links between consecutive nodes of the path are part
+ * of it (every parallel link included), links of undirected graphs can be walked backwards.
+ * @param {Array.<string>} path - the ids of the nodes in the path, in order.
+ * @param {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param {boolean} directed - whether links can only be walked from their source to their target.
+ * @returns {Object} null if there's no path, otherwise an object with the **nodeIds** of the path mapped to true
+ * and the **linkIds** of the path mapped to the direction the path walks them, 1 from source to target and
+ * -1 from target to source.
+ * @memberof Graph/path-helper
+ */
+function getPathElements(path) {
+    var links = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+    var directed = arguments[2];
+
+    if (!path || !path.length) {
+        return null;
+    }
+
+    var ids = path.map(function(id) {
+        return "" + id;
+    });
+    var steps = ids.slice(1).reduce(function(acc, id, index) {
+        var from = ids[index];
+
+        acc[from] = _extends({}, acc[from], _defineProperty({}, id, 1));
+
+        if (!directed && !(acc[id] && acc[id][from])) {
+            acc[id] = _extends({}, acc[id], _defineProperty({}, from, -1));
+        }
+
+        return acc;
+    }, {});
+    var nodeIds = ids.reduce(function(acc, id) {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+    var linkIds = links.reduce(function(acc, link) {
+        var source = "" + (link.source && link.source.id !== undefined ? link.source.id : link.source);
+        var target = "" + (link.target && link.target.id !== undefined ? link.target.id : link.target);
+        var direction = steps[source] && steps[source][target];
+
+        if (direction) {
+            acc[(0, _link.getLinkId)(link)] = direction;
+        }
+
+        return acc;
+    }, {});
+
+    return { nodeIds: nodeIds, linkIds: linkIds };
+}
+
+/**
+ * The canvas renderer redraws the graph on every animation frame while dashes flow along the
+ * highlighted path (see **path.flow**), the svg renderer animates them on its own.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/path-helper
+ */
+function updateFlowTimer(graph) {
+    var config = graph.state.config;
+
+    var flowing =
+        config.renderer === _graph2.default.RENDERERS.CANVAS &&
+        config.path.flow &&
+        (graph.props.highlightedPath || []).length > 1;
+
+    if (flowing && !graph.flowTimer) {
+        graph.flowTimer = (0, _d3Timer.timer)(function() {
+            return graph._drawCanvas();
+        });
+    } else if (!flowing && graph.flowTimer) {
+        graph.flowTimer.stop();
+        graph.flowTimer = null;
+    }
+}
+
+exports.findShortestPath = findShortestPath;
+exports.getPathElements = getPathElements;
+exports.updateFlowTimer = updateFlowTimer;
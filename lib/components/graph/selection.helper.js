@@ -0,0 +1,396 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.updateSelection = exports.toggleSelectedId = exports.startBrush = exports.selectNode = exports.selectLink = exports.moveBrush = exports.mergeSelectedIds = exports.isSelectionToggleEvent = exports.isGraphBackground = exports.getSelection = exports.getPointerPosition = exports.getElementsInsideBrush = exports.endBrush = exports.buildBrushPolygon = undefined;
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Graph/selection-helper
+ * @description
+ * Offers a series of methods that allow graph to perform the necessary operations to
+ * create the multi selection behavior (modifier clicks and rectangle/lasso brushes).
+ *
+ * Developer notes - the brush is drawn in screen coordinates (relative to the svg container)
+ * thus before checking which elements are inside of it, the brush polygon needs to be
+ * mapped into graph coordinates using the current zoom transform. The methods that handle the
+ * Graph interactions receive the Graph component instance, the internal selection (state) is only used
+ * when the selection is not controlled through the selectedNodeIds and selectedLinkIds props.
+ */
+
+var _d3Polygon = require("d3-polygon");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _zoom = require("./zoom.helper");
+
+var _link = require("../link/link.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+/**
+ * Maps a point from screen coordinates to graph coordinates.
+ * @param {Array.<number>} point - the [x, y] point in screen coordinates.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Array.<number>} the [x, y] point in graph coordinates.
+ * @memberof Graph/selection-helper
+ */
+function _invertPoint(_ref, _ref2) {
+    var _ref3 = _slicedToArray(_ref, 2),
+        px = _ref3[0],
+        py = _ref3[1];
+
+    var _ref2$x = _ref2.x,
+        x = _ref2$x === undefined ? 0 : _ref2$x,
+        _ref2$y = _ref2.y,
+        y = _ref2$y === undefined ? 0 : _ref2$y,
+        _ref2$k = _ref2.k,
+        k = _ref2$k === undefined ? 1 : _ref2$k;
+
+    return [(px - x) / k, (py - y) / k];
+}
+
+/**
+ * Checks whether a link endpoint (node id or d3 node) is part of a list of node ids.
+ * @param {string|Object} node - node id or d3 node.
+ * @param {Array.<string>} nodeIds - list of node ids.
+ * @returns {boolean} true if node is in the list.
+ * @memberof Graph/selection-helper
+ */
+function _isNodeIn(node, nodeIds) {
+    var id = node && node.id !== undefined && node.id !== null ? node.id : node;
+
+    return nodeIds.includes("" + id);
+}
+
+/**
+ * Builds the polygon that represents the selection brush.
+ * @param {Array.<Array.<number>>} [points] - points captured while the user was dragging, null when there's no brush.
+ * @param {string} brush - the brush type, one of CONST.SELECTION_BRUSHES.
+ * @returns {Array.<Array.<number>>} the list of [x, y] vertices of the brush polygon.
+ * @memberof Graph/selection-helper
+ */
+function buildBrushPolygon(points, brush) {
+    if (!points || brush === _graph2.default.SELECTION_BRUSHES.LASSO || points.length < 2) {
+        return points || [];
+    }
+
+    var _points$ = _slicedToArray(points[0], 2),
+        x0 = _points$[0],
+        y0 = _points$[1];
+
+    var _points = _slicedToArray(points[points.length - 1], 2),
+        x1 = _points[0],
+        y1 = _points[1];
+
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+}
+
+/**
+ * Finishes the selection brush adding the nodes and links inside of it to the current selection.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function endBrush(graph) {
+    window.removeEventListener("mouseup", graph.onMouseUpGraph);
+
+    var _graph$state = graph.state,
+        brushPoints = _graph$state.brushPoints,
+        config = _graph$state.config,
+        nodes = _graph$state.nodes,
+        d3Links = _graph$state.d3Links;
+
+    if (!brushPoints) {
+        return;
+    }
+
+    var polygon = buildBrushPolygon(brushPoints, config.selectionBrush);
+    var brushed = getElementsInsideBrush(polygon, (0, _zoom.getZoomTransform)(graph), nodes, d3Links);
+
+    var _getSelection = getSelection(graph),
+        nodeIds = _getSelection.nodeIds,
+        linkIds = _getSelection.linkIds;
+
+    graph.setState({ brushPoints: null });
+    updateSelection(graph, mergeSelectedIds(nodeIds, brushed.nodeIds), mergeSelectedIds(linkIds, brushed.linkIds));
+}
+
+/**
+ * Computes the nodes and links that are inside of a given brush polygon. A link
+ * is only considered to be inside the brush if both its source and target nodes are.
+ * Nodes hidden by collapsed nodes and hidden links are never inside the brush.
+ * @param {Array.<Array.<number>>} polygon - the brush polygon in screen coordinates.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<Object>} d3Links - an array containing all the d3 links.
+ * @returns {Object} object with the list of selected nodeIds and linkIds.
+ * @memberof Graph/selection-helper
+ */
+function getElementsInsideBrush(polygon, transform, nodes) {
+    var d3Links = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : [];
+
+    if (!polygon || polygon.length < 3) {
+        return { nodeIds: [], linkIds: [] };
+    }
+
+    var graphPolygon = polygon.map(function(p) {
+        return _invertPoint(p, transform || {});
+    });
+    var nodeIds = Object.keys(nodes).filter(function(id) {
+        return !nodes[id]._hidden && (0, _d3Polygon.polygonContains)(graphPolygon, [nodes[id].x, nodes[id].y]);
+    });
+    var linkIds = d3Links
+        .filter(function(link) {
+            return !link.isHidden && _isNodeIn(link.source, nodeIds) && _isNodeIn(link.target, nodeIds);
+        })
+        .map(_link.getLinkId);
+
+    return { nodeIds: nodeIds, linkIds: linkIds };
+}
+
+/**
+ * Computes the position of a mouse event relative to the element that holds the listener.
+ * @param {Object} event - the mouse event.
+ * @returns {Array.<number>} the [x, y] position of the pointer.
+ * @memberof Graph/selection-helper
+ */
+function getPointerPosition(event) {
+    var rect = event.currentTarget.getBoundingClientRect();
+
+    return [event.clientX - rect.left, event.clientY - rect.top];
+}
+
+/**
+ * Obtain the current selection, selection props take precedence over the internal selection state
+ * (controlled vs uncontrolled selection).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} object with the list of selected nodeIds and linkIds.
+ * @memberof Graph/selection-helper
+ */
+function getSelection(graph) {
+    return {
+        nodeIds: graph.props.selectedNodeIds || graph.state.selectedNodeIds || [],
+        linkIds: graph.props.selectedLinkIds || graph.state.selectedLinkIds || [],
+    };
+}
+
+/**
+ * Checks whether some event happened in the graph background (not in a node nor a link).
+ * toUpperCase() is added as a precaution, as the documentation says tagName should always
+ * return in UPPERCASE, but chrome returns lowercase.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the event.
+ * @returns {boolean} true if the event target is the graph background.
+ * @memberof Graph/selection-helper
+ */
+function isGraphBackground(graph, e) {
+    var target = e.target;
+
+    if (graph.canvas && target === graph.canvas) {
+        return !graph._findCanvasElement(getPointerPosition(e));
+    }
+
+    return target.tagName.toUpperCase() === "SVG" && target.attributes.name.value === "svg-container-" + graph.state.id;
+}
+
+/**
+ * Tells whether some event should toggle the selection of an element
+ * rather than replacing the whole selection (shift, ctrl or cmd click).
+ * @param {Object} event - the mouse event.
+ * @returns {boolean} true if the event is a selection toggle event.
+ * @memberof Graph/selection-helper
+ */
+function isSelectionToggleEvent(event) {
+    return !!event && !!(event.shiftKey || event.ctrlKey || event.metaKey);
+}
+
+/**
+ * Merges two lists of ids without duplicates.
+ * @param {Array.<string>} [ids=[]] - current list of ids.
+ * @param {Array.<string>} [newIds=[]] - ids to add.
+ * @returns {Array.<string>} the merged list of ids.
+ * @memberof Graph/selection-helper
+ */
+function mergeSelectedIds() {
+    var ids = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+    var newIds = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+    return [].concat(
+        _toConsumableArray(ids),
+        _toConsumableArray(
+            newIds.filter(function(id) {
+                return !ids.includes(id);
+            })
+        )
+    );
+}
+
+/**
+ * Updates the selection brush while the user drags.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mouse move event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function moveBrush(graph, e) {
+    var _graph$state2 = graph.state,
+        brushPoints = _graph$state2.brushPoints,
+        config = _graph$state2.config;
+
+    if (brushPoints) {
+        var point = getPointerPosition(e);
+        var lasso = config.selectionBrush === _graph2.default.SELECTION_BRUSHES.LASSO;
+
+        graph.setState({
+            brushPoints: lasso ? [].concat(_toConsumableArray(brushPoints), [point]) : [brushPoints[0], point],
+        });
+    }
+}
+
+/**
+ * Selects the clicked link, or toggles it in the current selection if a modifier key is pressed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} linkId - id of the clicked link.
+ * @param {Object} event - the click event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function selectLink(graph, linkId, event) {
+    var _getSelection2 = getSelection(graph),
+        nodeIds = _getSelection2.nodeIds,
+        linkIds = _getSelection2.linkIds;
+
+    isSelectionToggleEvent(event)
+        ? updateSelection(graph, nodeIds, toggleSelectedId(linkIds, linkId))
+        : updateSelection(graph, [], [linkId]);
+}
+
+/**
+ * Selects the clicked node, or toggles it in the current selection if a modifier key is pressed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - id of the clicked node.
+ * @param {Object} event - the click event.
+ * @returns {boolean} true if the node was toggled in the current selection.
+ * @memberof Graph/selection-helper
+ */
+function selectNode(graph, nodeId, event) {
+    var _getSelection3 = getSelection(graph),
+        nodeIds = _getSelection3.nodeIds,
+        linkIds = _getSelection3.linkIds;
+
+    var toggle = isSelectionToggleEvent(event);
+
+    toggle ? updateSelection(graph, toggleSelectedId(nodeIds, nodeId), linkIds) : updateSelection(graph, [nodeId], []);
+
+    return toggle;
+}
+
+/**
+ * Starts drawing the selection brush when shift dragging on the graph background. The brush ends
+ * on any mouseup, even if the pointer is released outside of the graph (see endBrush).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mouse down event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function startBrush(graph, e) {
+    if (graph.state.config.selectionBehavior && e.shiftKey && isGraphBackground(graph, e)) {
+        window.addEventListener("mouseup", graph.onMouseUpGraph);
+        graph.setState({ brushPoints: [getPointerPosition(e)] });
+    }
+}
+
+/**
+ * Adds an id to a list of ids if it's not there already, otherwise removes it.
+ * @param {Array.<string>} [ids=[]] - current list of ids.
+ * @param {string} id - the id to toggle.
+ * @returns {Array.<string>} the updated list of ids.
+ * @memberof Graph/selection-helper
+ */
+function toggleSelectedId() {
+    var ids = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+    var id = arguments[1];
+
+    return ids.includes(id)
+        ? ids.filter(function(i) {
+              return i !== id;
+          })
+        : [].concat(_toConsumableArray(ids), [id]);
+}
+
+/**
+ * Updates the graph selection and notifies the selection change.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Array.<string>} nodeIds - ids of the selected nodes.
+ * @param {Array.<string>} linkIds - ids of the selected links.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function updateSelection(graph, nodeIds, linkIds) {
+    graph.setState({ selectedNodeIds: nodeIds, selectedLinkIds: linkIds });
+    graph.props.onSelectionChange && graph.props.onSelectionChange({ nodeIds: nodeIds, linkIds: linkIds });
+}
+
+exports.buildBrushPolygon = buildBrushPolygon;
+exports.endBrush = endBrush;
+exports.getElementsInsideBrush = getElementsInsideBrush;
+exports.getPointerPosition = getPointerPosition;
+exports.getSelection = getSelection;
+exports.isGraphBackground = isGraphBackground;
+exports.isSelectionToggleEvent = isSelectionToggleEvent;
+exports.mergeSelectedIds = mergeSelectedIds;
+exports.moveBrush = moveBrush;
+exports.selectLink = selectLink;
+exports.selectNode = selectNode;
+exports.startBrush = startBrush;
+exports.toggleSelectedId = toggleSelectedId;
+exports.updateSelection = updateSelection;
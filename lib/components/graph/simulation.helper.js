@@ -0,0 +1,353 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.createWorkerSimulation = exports.createSimulationEngine = exports.createForceSimulation = exports.configureSimulation = undefined;
+
+var _d3Force = require("d3-force");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _group = require("../group/group.const");
+
+var _group2 = require("../group/group.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _objectWithoutProperties(obj, keys) {
+    var target = {};
+    for (var i in obj) {
+        if (keys.indexOf(i) >= 0) continue;
+        if (!Object.prototype.hasOwnProperty.call(obj, i)) continue;
+        target[i] = obj[i];
+    }
+    return target;
+}
+/**
+ * @module Graph/simulation-helper
+ * @description
+ * Offers the d3 force simulation used to layout the graph and the means to run it off the main thread
+ * inside a [Web Worker](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API).
+ *
+ * Developer notes - when running inside a worker, the Graph talks to a simulation proxy (see createWorkerSimulation)
+ * that exposes the subset of the d3 simulation API used by the Graph component (nodes, force, on, alphaTarget,
+ * restart and stop). Each message is forwarded to the simulation engine living in the worker (see createSimulationEngine)
+ * and node positions are streamed back on every tick in a single transferable typed array, which the proxy then
+ * copies into the very same node objects that are rendered.
+ */
+
+// number of values sent per node when syncing positions: x, y, fx and fy
+var NODE_SYNC_STRIDE = 4;
+
+/**
+ * Create d3 forceSimulation to be applied on the graph.<br/>
+ * {@link https://github.com/d3/d3-force#forceSimulation|d3-force#forceSimulation}<br/>
+ * {@link https://github.com/d3/d3-force#simulation_force|d3-force#simulation_force}<br/>
+ * Wtf is a force? {@link https://github.com/d3/d3-force#forces| here}
+ * @param  {number} width - the width of the container area of the graph.
+ * @param  {number} height - the height of the container area of the graph.
+ * @param  {number} gravity - the force strength applied to the graph.
+ * @returns {Object} returns the simulation instance to be consumed.
+ * @memberof Graph/simulation-helper
+ */
+function createForceSimulation(width, height, gravity) {
+    var frx = (0, _d3Force.forceX)(width / 2).strength(_graph2.default.FORCE_X);
+    var fry = (0, _d3Force.forceY)(height / 2).strength(_graph2.default.FORCE_Y);
+    var forceStrength = gravity;
+
+    return (0, _d3Force.forceSimulation)()
+        .force("charge", (0, _d3Force.forceManyBody)().strength(forceStrength))
+        .force("x", frx)
+        .force("y", fry);
+}
+
+/**
+ * Packs the positions (x, y) and fixed positions (fx, fy) of a list of nodes into a typed array,
+ * fixed positions that are not set are packed as NaN.
+ * @param {Array.<Object>} nodes - list of nodes.
+ * @returns {Float64Array} the packed positions.
+ * @memberof Graph/simulation-helper
+ */
+function _packNodes(nodes) {
+    var data = new Float64Array(nodes.length * NODE_SYNC_STRIDE);
+
+    nodes.forEach(function(_ref, i) {
+        var x = _ref.x,
+            y = _ref.y,
+            fx = _ref.fx,
+            fy = _ref.fy;
+
+        var offset = i * NODE_SYNC_STRIDE;
+
+        data[offset] = x || 0;
+        data[offset + 1] = y || 0;
+        data[offset + 2] = fx === undefined || fx === null ? NaN : fx;
+        data[offset + 3] = fy === undefined || fy === null ? NaN : fy;
+    });
+
+    return data;
+}
+
+/**
+ * Unpacks positions packed by _packNodes into a list of nodes.
+ * @param {Float64Array} data - the packed positions.
+ * @param {Array.<Object>} nodes - list of nodes to update, in the same order they were packed.
+ * @returns {undefined}
+ * @memberof Graph/simulation-helper
+ */
+function _unpackNodes(data, nodes) {
+    nodes.forEach(function(node, i) {
+        var offset = i * NODE_SYNC_STRIDE;
+
+        node.x = data[offset];
+        node.y = data[offset + 1];
+        node.fx = isNaN(data[offset + 2]) ? null : data[offset + 2];
+        node.fy = isNaN(data[offset + 3]) ? null : data[offset + 3];
+    });
+}
+
+/**
+ * Creates the simulation engine that runs inside the worker. The engine owns a d3 force simulation
+ * and reacts to the messages sent by the simulation proxy (see createWorkerSimulation).
+ * @param {Function} postMessage - function used to send messages back to the main thread, it receives
+ * the message and an optional list of transferable objects.
+ * @returns {Function} the message handler, receives the data of each message sent to the worker.
+ * @memberof Graph/simulation-helper
+ */
+function createSimulationEngine(postMessage) {
+    var simulation = void 0;
+    var nodes = [];
+
+    var onTick = function onTick() {
+        var positions = new Float64Array(nodes.length * 2);
+
+        nodes.forEach(function(_ref2, i) {
+            var x = _ref2.x,
+                y = _ref2.y;
+
+            positions[i * 2] = x;
+            positions[i * 2 + 1] = y;
+        });
+
+        postMessage({ type: "tick", positions: positions }, [positions.buffer]);
+    };
+
+    return function(_ref3) {
+        var type = _ref3.type,
+            data = _objectWithoutProperties(_ref3, ["type"]);
+
+        switch (type) {
+            case "init":
+                simulation = createForceSimulation(data.width, data.height, data.gravity)
+                    .on("tick", onTick)
+                    .on("end", function() {
+                        return postMessage({ type: "end" });
+                    });
+                break;
+            case "nodes":
+                nodes = Array.from({ length: data.nodes.length / NODE_SYNC_STRIDE }, function() {
+                    return {};
+                });
+                _unpackNodes(data.nodes, nodes);
+                simulation.nodes(nodes);
+                break;
+            case "links": {
+                var forceLink = (0, _d3Force.forceLink)(data.links)
+                    .distance(function(l) {
+                        return l.distance;
+                    })
+                    .strength(function(l) {
+                        return l.strength;
+                    });
+
+                simulation.force(_graph2.default.LINK_CLASS_NAME, forceLink);
+                break;
+            }
+            case "groups": {
+                var groups = data.groups;
+                var force =
+                    groups &&
+                    (0, _group2.forceGroup)(function(node) {
+                        return groups[node.index];
+                    }).strength(data.strength);
+
+                simulation.force(_group.GROUP_FORCE, force);
+                break;
+            }
+            case "alphaTarget":
+                simulation.alphaTarget(data.value);
+                break;
+            case "restart":
+                _unpackNodes(data.nodes, nodes);
+                simulation.restart();
+                break;
+            case "stop":
+                simulation.stop();
+                break;
+        }
+    };
+}
+
+/**
+ * Creates a simulation proxy that runs the force simulation inside a worker. The proxy mimics the
+ * subset of the d3 simulation API consumed by the Graph component.
+ * **NOTE**: since the simulation runs in another thread any change to the nodes positions (e.g. dragging)
+ * is only sent to the worker when the simulation is restarted.
+ * @param {Object} worker - the worker running the simulation engine (see simulation.worker).
+ * @param  {number} width - the width of the container area of the graph.
+ * @param  {number} height - the height of the container area of the graph.
+ * @param  {number} gravity - the force strength applied to the graph.
+ * @returns {Object} the simulation proxy.
+ * @memberof Graph/simulation-helper
+ */
+function createWorkerSimulation(worker, width, height, gravity) {
+    var listeners = {};
+    var _nodes = [];
+    // ticks still in flight once the simulation is stopped must not override the nodes positions
+    var running = false;
+
+    worker.onmessage = function(_ref4) {
+        var data = _ref4.data;
+
+        if (data.type === "tick" && running) {
+            _nodes.forEach(function(node, i) {
+                node.x = data.positions[i * 2];
+                node.y = data.positions[i * 2 + 1];
+            });
+            listeners.tick && listeners.tick();
+        } else if (data.type === "end") {
+            running = false;
+            listeners.end && listeners.end();
+        }
+    };
+
+    var simulation = {
+        nodes: function nodes(simulationNodes) {
+            if (simulationNodes === undefined) {
+                return _nodes;
+            }
+
+            _nodes = simulationNodes;
+            _nodes.forEach(function(node, i) {
+                return (node.index = i);
+            });
+
+            var packed = _packNodes(_nodes);
+
+            worker.postMessage({ type: "nodes", nodes: packed }, [packed.buffer]);
+            running = true;
+
+            return simulation;
+        },
+        force: function force(name, _force) {
+            if (name === _graph2.default.LINK_CLASS_NAME) {
+                var indexes = _nodes.reduce(function(acc, node, i) {
+                    acc[node.id] = i;
+
+                    return acc;
+                }, {});
+                var distance = _force.distance();
+                var strength = _force.strength();
+                var links = _force.links().map(function(link, i, all) {
+                    var source = link.source,
+                        target = link.target;
+
+                    var sourceId = source.id !== undefined && source.id !== null ? source.id : source;
+                    var targetId = target.id !== undefined && target.id !== null ? target.id : target;
+
+                    return {
+                        source: indexes[sourceId],
+                        target: indexes[targetId],
+                        distance: distance(link, i, all),
+                        strength: strength(link, i, all),
+                    };
+                });
+
+                worker.postMessage({ type: "links", links: links });
+            } else if (name === _group.GROUP_FORCE) {
+                // the groups of each node are sent in the same order as the nodes
+                var groups = _force && _nodes.map(_force.groups());
+
+                worker.postMessage({ type: "groups", groups: groups, strength: _force && _force.strength() });
+            }
+
+            return simulation;
+        },
+        on: function on(type, listener) {
+            listeners[type] = listener;
+
+            return simulation;
+        },
+        alphaTarget: function alphaTarget(value) {
+            worker.postMessage({ type: "alphaTarget", value: value });
+
+            return simulation;
+        },
+        restart: function restart() {
+            var packed = _packNodes(_nodes);
+
+            worker.postMessage({ type: "restart", nodes: packed }, [packed.buffer]);
+            running = true;
+
+            return simulation;
+        },
+        stop: function stop() {
+            worker.postMessage({ type: "stop" });
+            running = false;
+
+            return simulation;
+        },
+        terminate: function terminate() {
+            running = false;
+            worker.terminate();
+        },
+    };
+
+    worker.postMessage({ type: "init", width: width, height: height, gravity: gravity });
+
+    return simulation;
+}
+
+/**
+ * Feeds the Graph nodes and links into its simulation and sets the tick function, the links force
+ * and the group force (see **d3.groupStrength**).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/simulation-helper
+ */
+function configureSimulation(graph) {
+    var _graph$state = graph.state,
+        simulation = _graph$state.simulation,
+        d3Nodes = _graph$state.d3Nodes,
+        d3Links = _graph$state.d3Links,
+        config = _graph$state.config;
+
+    simulation.nodes(d3Nodes).on("tick", graph._tick);
+
+    var forceLink = (0, _d3Force.forceLink)(d3Links)
+        .id(function(l) {
+            return l.id;
+        })
+        .distance(config.d3.linkLength)
+        .strength(config.d3.linkStrength);
+
+    simulation.force(_graph2.default.LINK_CLASS_NAME, forceLink);
+
+    var forceGroups = config.d3.groupStrength
+        ? (0, _group2.forceGroup)(
+              (0, _group2.getMembership)(config.group.nodeProperty, graph.props.data.groups)
+          ).strength(config.d3.groupStrength)
+        : null;
+
+    simulation.force(_group.GROUP_FORCE, forceGroups);
+}
+
+exports.configureSimulation = configureSimulation;
+exports.createForceSimulation = createForceSimulation;
+exports.createSimulationEngine = createSimulationEngine;
+exports.createWorkerSimulation = createWorkerSimulation;
@@ -0,0 +1,17 @@
+"use strict";
+
+var _simulation = require("./simulation.helper");
+
+var onMessage = (0, _simulation.createSimulationEngine)(function(message, transfer) {
+    return self.postMessage(message, transfer);
+});
+/**
+ * @module Graph/simulation-worker
+ * @description
+ * Entry point of the Web Worker that runs the graph force simulation off the main thread,
+ * it's bundled separately as `rd3g.worker.bundle.js` (see **d3.workerUrl** config).
+ */
+
+self.onmessage = function(e) {
+    return onMessage(e.data);
+};
@@ -0,0 +1,537 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.zoomTo = exports.panTo = exports.isViewportInArea = exports.isNodeInArea = exports.isLinkInArea = exports.getZoomTransform = exports.getVisibleArea = exports.focusNode = exports.fitToView = exports.configureZoom = exports.computeZoomToTransform = exports.computeVisibleArea = exports.computePanToTransform = exports.computeFocusTransform = exports.computeFitToViewTransform = exports.applyZoomTransform = exports.DEFAULT_FIT_PADDING = exports.DEFAULT_CULLING_MARGIN = undefined;
+
+var _d3Selection = require("d3-selection");
+
+var _d3Zoom = require("d3-zoom");
+
+require("d3-transition");
+
+var _graph = require("./graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
+var _graph3 = require("./graph.builder");
+
+var _node = require("../node/node.helper");
+
+var _node2 = _interopRequireDefault(_node);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+/**
+ * @module Graph/zoom-helper
+ * @description
+ * Offers a series of methods that compute zoom transformations (pan, scale, fit) for the Graph
+ * viewport. Transformations are plain transform objects `{ x, y, k }` (same semantics as
+ * {@link https://github.com/d3/d3-zoom#zoom-transforms|d3 zoom transforms}) that Graph applies
+ * through the d3-zoom behavior, this way user interactions are kept in sync. The methods that
+ * configure and drive the viewport receive the Graph component instance.
+ */
+
+/**
+ * Default padding (in px) applied around the bounding box of the nodes when fitting them into view.
+ * @memberof Graph/zoom-helper
+ */
+var DEFAULT_FIT_PADDING = 20;
+
+/**
+ * Default margin (in px) added around the viewport when culling elements, so that elements just about
+ * to enter the view while panning (and node labels, that overflow the node bounding box) are still rendered.
+ * @memberof Graph/zoom-helper
+ */
+var DEFAULT_CULLING_MARGIN = 100;
+
+/**
+ * Clamps a scale value between the minZoom and maxZoom configured values.
+ * @param {number} k - the scale to clamp.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {number} the clamped scale.
+ * @memberof Graph/zoom-helper
+ */
+function _clampScale(k, _ref) {
+    var minZoom = _ref.minZoom,
+        maxZoom = _ref.maxZoom;
+
+    return Math.min(maxZoom, Math.max(minZoom, k));
+}
+
+/**
+ * Computes the transform that places a given point (graph coordinates) in the center
+ * of the viewport under a given scale.
+ * @param {number} x - x coordinate of the point to center.
+ * @param {number} y - y coordinate of the point to center.
+ * @param {number} k - the scale to apply.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function _centerOn(x, y, k, _ref2) {
+    var width = _ref2.width,
+        height = _ref2.height;
+
+    return {
+        x: width / 2 - k * x,
+        y: height / 2 - k * y,
+        k: k,
+    };
+}
+
+/**
+ * Computes the transform that zooms the graph to a given scale while keeping
+ * the current center of the viewport in place.
+ * @param {number} scale - the target scale (clamped between minZoom and maxZoom).
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeZoomToTransform(scale, transform, config) {
+    var _ref3 = transform || {},
+        _ref3$x = _ref3.x,
+        x = _ref3$x === undefined ? 0 : _ref3$x,
+        _ref3$y = _ref3.y,
+        y = _ref3$y === undefined ? 0 : _ref3$y,
+        _ref3$k = _ref3.k,
+        k = _ref3$k === undefined ? 1 : _ref3$k;
+
+    var cx = (config.width / 2 - x) / k;
+    var cy = (config.height / 2 - y) / k;
+
+    return _centerOn(cx, cy, _clampScale(scale, config), config);
+}
+
+/**
+ * Computes the transform that centers the viewport on a given point while keeping
+ * the current scale.
+ * @param {number} x - x coordinate (graph coordinates) to pan to.
+ * @param {number} y - y coordinate (graph coordinates) to pan to.
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computePanToTransform(x, y, transform, config) {
+    var k = (transform && transform.k) || 1;
+
+    return _centerOn(x, y, k, config);
+}
+
+/**
+ * Computes the transform that fits a set of nodes inside the viewport. The bounding box of the nodes
+ * takes their size (unzoomed) into account, so that nodes are fully visible and not only their centers.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes will be considered.
+ * @param {number} [padding=DEFAULT_FIT_PADDING] - space (in px) to leave between the nodes and the viewport edges.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object|undefined} transform object with x, y and k properties or undefined if there are no nodes to fit.
+ * @memberof Graph/zoom-helper
+ */
+function computeFitToViewTransform(nodes, nodeIds) {
+    var padding = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : DEFAULT_FIT_PADDING;
+    var config = arguments[3];
+
+    var ids = nodeIds && nodeIds.length ? nodeIds : Object.keys(nodes);
+    var fitNodes = ids
+        .map(function(id) {
+            return nodes[id];
+        })
+        .filter(function(node) {
+            return !!node;
+        });
+
+    if (!fitNodes.length) {
+        return;
+    }
+
+    var boxes = fitNodes.map(function(node) {
+        var _nodeHelper$getNodeEx = _node2.default.getNodeExtent((0, _graph3.getNodeShape)(node, config, 1)),
+            width = _nodeHelper$getNodeEx.width,
+            height = _nodeHelper$getNodeEx.height;
+
+        var x = node.x || 0;
+        var y = node.y || 0;
+
+        return { minX: x - width / 2, minY: y - height / 2, maxX: x + width / 2, maxY: y + height / 2 };
+    });
+    var minX = Math.min.apply(
+        Math,
+        _toConsumableArray(
+            boxes.map(function(box) {
+                return box.minX;
+            })
+        )
+    );
+    var maxX = Math.max.apply(
+        Math,
+        _toConsumableArray(
+            boxes.map(function(box) {
+                return box.maxX;
+            })
+        )
+    );
+    var minY = Math.min.apply(
+        Math,
+        _toConsumableArray(
+            boxes.map(function(box) {
+                return box.minY;
+            })
+        )
+    );
+    var maxY = Math.max.apply(
+        Math,
+        _toConsumableArray(
+            boxes.map(function(box) {
+                return box.maxY;
+            })
+        )
+    );
+    var availableWidth = Math.max(config.width - 2 * padding, 1);
+    var availableHeight = Math.max(config.height - 2 * padding, 1);
+    var boxWidth = maxX - minX;
+    var boxHeight = maxY - minY;
+    // a single node (or nodes all aligned) should not produce an infinite scale
+    var kx = boxWidth ? availableWidth / boxWidth : config.maxZoom;
+    var ky = boxHeight ? availableHeight / boxHeight : config.maxZoom;
+    var k = _clampScale(Math.min(kx, ky), config);
+
+    return _centerOn((minX + maxX) / 2, (minY + maxY) / 2, k, config);
+}
+
+/**
+ * Computes the transform that centers the view on some node under the focusZoom scale, which is
+ * kept between minZoom and maxZoom.
+ * @param {Object} node - the node to focus, with x and y coordinates.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeFocusTransform(node, config) {
+    return _centerOn(node.x || 0, node.y || 0, _clampScale(config.focusZoom, config), config);
+}
+
+/**
+ * Computes the area of the graph (in graph coordinates) that is visible in the viewport under
+ * a given transform, enlarged by some margin.
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {number} [margin=DEFAULT_CULLING_MARGIN] - space (in px) to add around the viewport edges.
+ * @returns {Object} the visible area with minX, minY, maxX and maxY properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeVisibleArea(transform, _ref4) {
+    var width = _ref4.width,
+        height = _ref4.height;
+    var margin = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : DEFAULT_CULLING_MARGIN;
+
+    var _ref5 = transform || {},
+        _ref5$x = _ref5.x,
+        x = _ref5$x === undefined ? 0 : _ref5$x,
+        _ref5$y = _ref5.y,
+        y = _ref5$y === undefined ? 0 : _ref5$y,
+        _ref5$k = _ref5.k,
+        k = _ref5$k === undefined ? 1 : _ref5$k;
+
+    return {
+        minX: (-margin - x) / k,
+        minY: (-margin - y) / k,
+        maxX: (width + margin - x) / k,
+        maxY: (height + margin - y) / k,
+    };
+}
+
+/**
+ * Checks whether the viewport under a given transform, enlarged by some margin, lies inside some area.
+ * @param {Object} transform - the transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} area - the area to test (see computeVisibleArea).
+ * @param {number} [margin=DEFAULT_CULLING_MARGIN / 2] - space (in px) to add around the viewport edges.
+ * @returns {boolean} true if the enlarged viewport is inside the area.
+ * @memberof Graph/zoom-helper
+ */
+function isViewportInArea(transform, config, area) {
+    var margin = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : DEFAULT_CULLING_MARGIN / 2;
+
+    var _computeVisibleArea = computeVisibleArea(transform, config, margin),
+        minX = _computeVisibleArea.minX,
+        minY = _computeVisibleArea.minY,
+        maxX = _computeVisibleArea.maxX,
+        maxY = _computeVisibleArea.maxY;
+
+    return minX >= area.minX && minY >= area.minY && maxX <= area.maxX && maxY <= area.maxY;
+}
+
+/**
+ * Checks whether a node might be visible in some area. The bounding box of the node is tested,
+ * thus big nodes whose center lies outside the area but that overlap it are kept.
+ * @param {Object} node - the node with x and y coordinates.
+ * @param {Object} area - the visible area (see computeVisibleArea).
+ * @param {Object} [extent] - the width and height of the node bounding box (graph coordinates),
+ * only the node center is tested when not provided.
+ * @returns {boolean} true if the node bounding box intersects the area.
+ * @memberof Graph/zoom-helper
+ */
+function isNodeInArea(_ref6, _ref7) {
+    var _ref6$x = _ref6.x,
+        x = _ref6$x === undefined ? 0 : _ref6$x,
+        _ref6$y = _ref6.y,
+        y = _ref6$y === undefined ? 0 : _ref6$y;
+    var minX = _ref7.minX,
+        minY = _ref7.minY,
+        maxX = _ref7.maxX,
+        maxY = _ref7.maxY;
+
+    var _ref8 = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {},
+        _ref8$width = _ref8.width,
+        width = _ref8$width === undefined ? 0 : _ref8$width,
+        _ref8$height = _ref8.height,
+        height = _ref8$height === undefined ? 0 : _ref8$height;
+
+    return x + width / 2 >= minX && x - width / 2 <= maxX && y + height / 2 >= minY && y - height / 2 <= maxY;
+}
+
+/**
+ * Checks whether a link between two nodes might cross some visible area. The bounding box
+ * of the link is tested, thus links with both endpoints outside the area that straddle it are kept.
+ * @param {Object} source - the source node with x and y coordinates.
+ * @param {Object} target - the target node with x and y coordinates.
+ * @param {Object} area - the visible area (see computeVisibleArea).
+ * @returns {boolean} true if the link bounding box intersects the area.
+ * @memberof Graph/zoom-helper
+ */
+function isLinkInArea(source, target, _ref9) {
+    var minX = _ref9.minX,
+        minY = _ref9.minY,
+        maxX = _ref9.maxX,
+        maxY = _ref9.maxY;
+
+    var x1 = source.x || 0;
+    var y1 = source.y || 0;
+    var x2 = target.x || 0;
+    var y2 = target.y || 0;
+
+    return Math.max(x1, x2) >= minX && Math.min(x1, x2) <= maxX && Math.max(y1, y2) >= minY && Math.min(y1, y2) <= maxY;
+}
+
+/**
+ * Selects the element that wraps the graph, where the d3 zoom behavior is bound.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} the d3 selection of the graph wrapper.
+ * @memberof Graph/zoom-helper
+ */
+function _selectWrapper(graph) {
+    return (0, _d3Selection.select)("#" + graph.state.id + "-" + _graph2.default.GRAPH_WRAPPER_ID);
+}
+
+/**
+ * Reads the current zoom transform stored by d3-zoom in the graph wrapper.
+ * {@link https://github.com/d3/d3-zoom#zoomTransform}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function getZoomTransform(graph) {
+    var wrapper = _selectWrapper(graph).node();
+
+    return wrapper ? (0, _d3Zoom.zoomTransform)(wrapper) : _d3Zoom.zoomIdentity;
+}
+
+/**
+ * Applies a transform to the graph through the d3 zoom behavior, this way d3-zoom keeps
+ * track of the new transform and further user interactions (wheel, drag) continue from it.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} transform - transform object with x, y and k properties.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function applyZoomTransform(graph, transform) {
+    var duration =
+        arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : graph.state.config.focusAnimationDuration;
+
+    if (!transform || !graph.zoom) {
+        return;
+    }
+
+    var t = _d3Zoom.zoomIdentity.translate(transform.x, transform.y).scale(transform.k);
+    var selection = _selectWrapper(graph);
+
+    if (duration) {
+        selection
+            .transition()
+            .duration(duration * 1000)
+            .call(graph.zoom.transform, t);
+    } else {
+        selection.call(graph.zoom.transform, t);
+    }
+}
+
+/**
+ * Handler for 'zoom' event within zoom config.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function _onZoom(graph) {
+    var transform = _d3Selection.event.transform;
+    var canvas = graph.state.config.renderer === _graph2.default.RENDERERS.CANVAS;
+
+    if (canvas) {
+        graph._drawCanvas();
+    } else {
+        (0, _d3Selection.selectAll)("#" + graph.state.id + "-" + _graph2.default.GRAPH_CONTAINER_ID).attr(
+            "transform",
+            transform
+        );
+    }
+
+    graph.state.config.panAndZoom && graph.setState({ transform: transform.k });
+
+    // svg elements that enter the viewport need to be rendered, elements up to some margin around the viewport
+    // already are, thus the graph is only rendered again once the viewport gets close to the culled area edges
+    var culledArea = graph.culledArea;
+
+    culledArea && !canvas && !isViewportInArea(transform, graph.state.config, culledArea) && graph.forceUpdate();
+}
+
+/**
+ * Configures zoom upon graph with default or user provided values. Ctrl and right button gestures are
+ * not handled and, when the selection behavior is active, shift dragging is reserved to draw the
+ * selection brush.<br/>
+ * {@link https://github.com/d3/d3-zoom#zoom}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function configureZoom(graph) {
+    var config = graph.state.config;
+
+    graph.zoom = (0, _d3Zoom.zoom)()
+        .scaleExtent([config.minZoom, config.maxZoom])
+        .filter(function() {
+            return (
+                !_d3Selection.event.ctrlKey &&
+                !_d3Selection.event.button &&
+                !(
+                    graph.state.config.selectionBehavior &&
+                    _d3Selection.event.shiftKey &&
+                    _d3Selection.event.type !== "wheel"
+                )
+            );
+        })
+        .on("zoom", function() {
+            return _onZoom(graph);
+        });
+
+    _selectWrapper(graph).call(graph.zoom);
+}
+
+/**
+ * Zooms and pans the graph so that the given nodes (or all nodes) fit inside the viewport.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes are considered.
+ * @param {number} [padding] - space (in px) to leave between the nodes and the viewport edges.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function fitToView(graph, nodeIds, padding, duration) {
+    var _graph$state = graph.state,
+        nodes = _graph$state.nodes,
+        config = _graph$state.config;
+
+    applyZoomTransform(graph, computeFitToViewTransform(nodes, nodeIds, padding, config), duration);
+}
+
+/**
+ * Focuses the graph view on some node, see the focusZoom and focusAnimationDuration configs. The view is
+ * moved through the d3 zoom behavior, thus zooming and panning carry on from the focused view.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - the id of the node to focus.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function focusNode(graph, nodeId) {
+    var _graph$state2 = graph.state,
+        config = _graph$state2.config,
+        nodes = _graph$state2.nodes;
+
+    var node = nodeId !== undefined && nodeId !== null ? nodes[nodeId] : undefined;
+
+    node && applyZoomTransform(graph, computeFocusTransform(node, config), config.focusAnimationDuration);
+}
+
+/**
+ * Computes the area of the graph visible in the viewport, used to cull the nodes and links that
+ * would be rendered off screen. The area is kept in the graph culledArea property.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object|undefined} the visible area or undefined if viewport culling is disabled.
+ * @memberof Graph/zoom-helper
+ */
+function getVisibleArea(graph) {
+    var config = graph.state.config;
+
+    graph.culledArea = config.viewportCulling ? computeVisibleArea(getZoomTransform(graph), config) : undefined;
+
+    return graph.culledArea;
+}
+
+/**
+ * Centers the graph view on the given coordinates keeping the current zoom.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} x - x coordinate (in graph coordinates) to center the view on.
+ * @param {number} y - y coordinate (in graph coordinates) to center the view on.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function panTo(graph, x, y, duration) {
+    applyZoomTransform(graph, computePanToTransform(x, y, getZoomTransform(graph), graph.state.config), duration);
+}
+
+/**
+ * Zooms the graph to the given scale keeping the current center of the view in place.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} scale - the zoom to apply, it will be kept between **minZoom** and **maxZoom**.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function zoomTo(graph, scale, duration) {
+    applyZoomTransform(graph, computeZoomToTransform(scale, getZoomTransform(graph), graph.state.config), duration);
+}
+
+exports.DEFAULT_CULLING_MARGIN = DEFAULT_CULLING_MARGIN;
+exports.DEFAULT_FIT_PADDING = DEFAULT_FIT_PADDING;
+exports.applyZoomTransform = applyZoomTransform;
+exports.computeFitToViewTransform = computeFitToViewTransform;
+exports.computeFocusTransform = computeFocusTransform;
+exports.computePanToTransform = computePanToTransform;
+exports.computeVisibleArea = computeVisibleArea;
+exports.computeZoomToTransform = computeZoomToTransform;
+exports.configureZoom = configureZoom;
+exports.fitToView = fitToView;
+exports.focusNode = focusNode;
+exports.getVisibleArea = getVisibleArea;
+exports.getZoomTransform = getZoomTransform;
+exports.isLinkInArea = isLinkInArea;
+exports.isNodeInArea = isNodeInArea;
+exports.isViewportInArea = isViewportInArea;
+exports.panTo = panTo;
+exports.zoomTo = zoomTo;
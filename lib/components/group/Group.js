@@ -0,0 +1,179 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+
+var _createClass = (function() {
+    function defineProperties(target, props) {
+        for (var i = 0; i < props.length; i++) {
+            var descriptor = props[i];
+            descriptor.enumerable = descriptor.enumerable || false;
+            descriptor.configurable = true;
+            if ("value" in descriptor) descriptor.writable = true;
+            Object.defineProperty(target, descriptor.key, descriptor);
+        }
+    }
+    return function(Constructor, protoProps, staticProps) {
+        if (protoProps) defineProperties(Constructor.prototype, protoProps);
+        if (staticProps) defineProperties(Constructor, staticProps);
+        return Constructor;
+    };
+})();
+
+var _react = require("react");
+
+var _react2 = _interopRequireDefault(_react);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _classCallCheck(instance, Constructor) {
+    if (!(instance instanceof Constructor)) {
+        throw new TypeError("Cannot call a class as a function");
+    }
+}
+
+function _possibleConstructorReturn(self, call) {
+    if (!self) {
+        throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+    }
+    return call && (typeof call === "object" || typeof call === "function") ? call : self;
+}
+
+function _inherits(subClass, superClass) {
+    if (typeof superClass !== "function" && superClass !== null) {
+        throw new TypeError("Super expression must either be null or a function, not " + typeof superClass);
+    }
+    subClass.prototype = Object.create(superClass && superClass.prototype, {
+        constructor: { value: subClass, enumerable: false, writable: true, configurable: true },
+    });
+    if (superClass)
+        Object.setPrototypeOf ? Object.setPrototypeOf(subClass, superClass) : (subClass.__proto__ = superClass);
+}
+
+/**
+ * Group component is responsible for encapsulating the render of some node group, an outline drawn behind
+ * the member nodes with an optional label on top of it.
+ * @example
+ * const onClickGroup = function(groupId) {
+ *      window.alert(`Clicked group ${groupId}`);
+ * };
+ *
+ * const onMouseOverGroup = function(groupId) {
+ *      window.alert(`Mouse over group ${groupId}`);
+ * };
+ *
+ * const onMouseOutGroup = function(groupId) {
+ *      window.alert(`Mouse out group ${groupId}`);
+ * };
+ *
+ * <Group
+ *     id="groupId"
+ *     d="M1..."
+ *     className="group"
+ *     cursor="pointer"
+ *     fill="lightblue"
+ *     fillOpacity={0.2}
+ *     stroke="blue"
+ *     strokeWidth={1}
+ *     label="group label"
+ *     labelX={10}
+ *     labelY={-40}
+ *     fontSize={12}
+ *     fontColor="black"
+ *     fontWeight="normal"
+ *     onClickGroup={onClickGroup}
+ *     onMouseOverGroup={onMouseOverGroup}
+ *     onMouseOutGroup={onMouseOutGroup} />
+ */
+var Group = (function(_React$Component) {
+    _inherits(Group, _React$Component);
+
+    function Group() {
+        var _ref;
+
+        var _temp, _this, _ret;
+
+        _classCallCheck(this, Group);
+
+        for (var _len = arguments.length, args = Array(_len), _key = 0; _key < _len; _key++) {
+            args[_key] = arguments[_key];
+        }
+
+        return (
+            (_ret = ((_temp = ((_this = _possibleConstructorReturn(
+                this,
+                (_ref = Group.__proto__ || Object.getPrototypeOf(Group)).call.apply(_ref, [this].concat(args))
+            )),
+            _this)),
+            (_this.handleOnClickGroup = function(event) {
+                return _this.props.onClickGroup && _this.props.onClickGroup(_this.props.id, event);
+            }),
+            (_this.handleOnMouseOverGroup = function() {
+                return _this.props.onMouseOverGroup && _this.props.onMouseOverGroup(_this.props.id);
+            }),
+            (_this.handleOnMouseOutGroup = function() {
+                return _this.props.onMouseOutGroup && _this.props.onMouseOutGroup(_this.props.id);
+            }),
+            _temp)),
+            _possibleConstructorReturn(_this, _ret)
+        );
+    }
+    /**
+     * Handle click on the group.
+     * @param {Object} event - native event.
+     * @returns {undefined}
+     */
+
+    /**
+     * Handle mouse over group event.
+     * @returns {undefined}
+     */
+
+    /**
+     * Handle mouse out group event.
+     * @returns {undefined}
+     */
+
+    _createClass(Group, [
+        {
+            key: "render",
+            value: function render() {
+                var pathProps = {
+                    className: this.props.className,
+                    cursor: this.props.cursor,
+                    d: this.props.d,
+                    fill: this.props.fill,
+                    fillOpacity: this.props.fillOpacity,
+                    onClick: this.handleOnClickGroup,
+                    onMouseOut: this.handleOnMouseOutGroup,
+                    onMouseOver: this.handleOnMouseOverGroup,
+                    stroke: this.props.stroke,
+                    strokeWidth: this.props.strokeWidth,
+                };
+                var textProps = {
+                    x: this.props.labelX,
+                    y: this.props.labelY,
+                    fill: this.props.fontColor,
+                    fontSize: this.props.fontSize,
+                    fontWeight: this.props.fontWeight,
+                    textAnchor: "middle",
+                    style: { pointerEvents: "none" },
+                };
+
+                return _react2.default.createElement(
+                    "g",
+                    null,
+                    _react2.default.createElement("path", pathProps),
+                    this.props.label && _react2.default.createElement("text", textProps, this.props.label)
+                );
+            },
+        },
+    ]);
+
+    return Group;
+})(_react2.default.Component);
+
+exports.default = Group;
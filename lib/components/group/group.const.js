@@ -0,0 +1,50 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+/**
+ * @module Group/const
+ * @description
+ * A set of constants that facilitate readability regarding node groups.
+ */
+/**
+ * @typedef {Object} GROUP_SHAPES
+ * @property {string} HULL - the convex hull of the member nodes with rounded corners.
+ * @property {string} BUBBLE - the smallest circle that encloses the member nodes.
+ * @memberof Group/const
+ */
+var GROUP_SHAPES = {
+    HULL: "hull",
+    BUBBLE: "bubble",
+};
+
+/**
+ * Distance between the top of the group and the baseline of its label (relative to the label font size).
+ * @memberof Group/const
+ */
+var GROUP_LABEL_GAP = 0.25;
+
+/**
+ * Name of the simulation force that keeps the members of each group together.
+ * @memberof Group/const
+ */
+var GROUP_FORCE = "group";
+
+/**
+ * Prefix of the id of the compound nodes that replace collapsed groups, followed by the group id.
+ * @memberof Group/const
+ */
+var COMPOUND_NODE_ID_PREFIX = "group:";
+
+/**
+ * Size of compound nodes relative to the **node.size** config (unless their group sets its own size).
+ * @memberof Group/const
+ */
+var COMPOUND_NODE_SIZE_RATIO = 2;
+
+exports.COMPOUND_NODE_ID_PREFIX = COMPOUND_NODE_ID_PREFIX;
+exports.COMPOUND_NODE_SIZE_RATIO = COMPOUND_NODE_SIZE_RATIO;
+exports.GROUP_FORCE = GROUP_FORCE;
+exports.GROUP_LABEL_GAP = GROUP_LABEL_GAP;
+exports.GROUP_SHAPES = GROUP_SHAPES;
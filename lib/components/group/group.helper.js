@@ -0,0 +1,563 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.getNodeGroups = exports.getMembership = exports.getGroupMembers = exports.getCompoundNodeId = exports.forceGroup = exports.collapseGroups = exports.buildGroupPath = undefined;
+
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Group/helper
+ * @description
+ * Offers a series of methods to find the groups of the graph nodes, to compute the outline drawn behind
+ * the members of each group, the simulation force that keeps the members of each group together and to
+ * collapse whole groups into single (compound) nodes.
+ *
+ * Developer notes - collapsed groups are resolved at the data level, before the graph state is initialized.
+ * The members of each collapsed group are replaced by a compound node and the links that cross the group
+ * boundary are rerouted to (and aggregated at) the compound node, thus the rest of rd3g renders and simulates
+ * compound nodes as any other node.
+ */
+
+var _d3Hierarchy = require("d3-hierarchy");
+
+var _d3Polygon = require("d3-polygon");
+
+var _group = require("./group.const");
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+/**
+ * Gets the ids of the groups some node belongs to, nodes can belong to several groups.
+ * @param {Object} node - the node.
+ * @param {string} property - the node property that holds the group (or list of groups) of the node.
+ * @returns {Array.<string>} the group ids, an empty list for nodes without group.
+ * @memberof Group/helper
+ */
+function getNodeGroups(node, property) {
+    var value = node[property];
+
+    if (value === undefined || value === null || value === "") {
+        return [];
+    }
+
+    return [].concat(value).map(function(group) {
+        return "" + group;
+    });
+}
+
+/**
+ * Creates the function that tells the groups of each node, nodes belong to the groups in their group property
+ * and to the groups that list them in their **nodes** property (explicit list of member ids).
+ * @param {string} property - the node property that holds the group of each node (see getNodeGroups).
+ * @param {Array.<Object>} [groups=[]] - the groups described in the graph payload.
+ * @returns {Function} receives some node and returns the ids of its groups.
+ * @memberof Group/helper
+ */
+function getMembership(property) {
+    var groups = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+
+    var listed = groups.reduce(function(acc, group) {
+        (group.nodes || []).forEach(function(id) {
+            acc[id] = acc[id] || [];
+            acc[id].push("" + group.id);
+        });
+
+        return acc;
+    }, {});
+
+    return function(node) {
+        return getNodeGroups(node, property)
+            .concat(listed[node.id] || [])
+            .filter(function(group, i, all) {
+                return all.indexOf(group) === i;
+            });
+    };
+}
+
+/**
+ * Gathers the members of each group.
+ * @param {Array.<Object>} nodes - the nodes of the graph.
+ * @param {string} property - the node property that holds the group of each node (see getNodeGroups).
+ * @param {Array.<Object>} [groups=[]] - the groups described in the graph payload (see getMembership).
+ * @returns {Object.<string, Array.<Object>>} the member nodes of each group mapped by group id, groups
+ * keep the order in which they are first found.
+ * @memberof Group/helper
+ */
+function getGroupMembers(nodes, property) {
+    var groups = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : [];
+
+    var membership = getMembership(property, groups);
+
+    return nodes.reduce(function(acc, node) {
+        membership(node).forEach(function(group) {
+            acc[group] = acc[group] || [];
+            acc[group].push(node);
+        });
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Builds a circle path.
+ * @param {number} x - the x coordinate of the circle center.
+ * @param {number} y - the y coordinate of the circle center.
+ * @param {number} r - the circle radius.
+ * @returns {string} the circle path.
+ * @memberof Group/helper
+ */
+function _circlePath(x, y, r) {
+    return (
+        "M" +
+        (x - r) +
+        "," +
+        y +
+        "A" +
+        r +
+        "," +
+        r +
+        " 0 1,0 " +
+        (x + r) +
+        "," +
+        y +
+        "A" +
+        r +
+        "," +
+        r +
+        " 0 1,0 " +
+        (x - r) +
+        "," +
+        y +
+        "Z"
+    );
+}
+
+/**
+ * Builds the convex hull of some points grown by the given padding, corners are rounded with arcs of radius
+ * padding centered at the hull vertices.
+ * @param {Array.<Array.<number>>} points - the [x, y] points (without duplicates).
+ * @param {number} padding - the distance between the points and the hull outline.
+ * @returns {Object} the hull path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**).
+ * @memberof Group/helper
+ */
+function _buildHullPath(points, padding) {
+    var hull = (points.length > 2 && (0, _d3Polygon.polygonHull)(points)) || points;
+    var n = hull.length;
+    var xs = hull.map(function(_ref) {
+        var _ref2 = _slicedToArray(_ref, 1),
+            x = _ref2[0];
+
+        return x;
+    });
+    var ys = hull.map(function(_ref3) {
+        var _ref4 = _slicedToArray(_ref3, 2),
+            y = _ref4[1];
+
+        return y;
+    });
+    var box = {
+        minX: Math.min.apply(Math, _toConsumableArray(xs)) - padding,
+        minY: Math.min.apply(Math, _toConsumableArray(ys)) - padding,
+        maxX: Math.max.apply(Math, _toConsumableArray(xs)) + padding,
+        maxY: Math.max.apply(Math, _toConsumableArray(ys)) + padding,
+    };
+
+    if (n === 1) {
+        return _extends({ d: _circlePath(hull[0][0], hull[0][1], padding) }, box);
+    }
+
+    // vertices go clockwise (on screen) so that the edges normal (dy, -dx) points outwards
+    var area = hull.reduce(function(acc, _ref5, i) {
+        var _ref6 = _slicedToArray(_ref5, 2),
+            x = _ref6[0],
+            y = _ref6[1];
+
+        var _hull = _slicedToArray(hull[(i + 1) % n], 2),
+            nx = _hull[0],
+            ny = _hull[1];
+
+        return acc + x * ny - nx * y;
+    }, 0);
+    var vertices = area < 0 ? hull.slice().reverse() : hull;
+    var edges = vertices.map(function(_ref7, i) {
+        var _ref8 = _slicedToArray(_ref7, 2),
+            x1 = _ref8[0],
+            y1 = _ref8[1];
+
+        var _vertices = _slicedToArray(vertices[(i + 1) % n], 2),
+            x2 = _vertices[0],
+            y2 = _vertices[1];
+
+        var length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+        var ox = ((y2 - y1) / length) * padding;
+        var oy = (-(x2 - x1) / length) * padding;
+
+        return [[x1 + ox, y1 + oy], [x2 + ox, y2 + oy]];
+    });
+    var d = edges
+        .map(function(_ref9, i) {
+            var _ref10 = _slicedToArray(_ref9, 2),
+                end = _ref10[1];
+
+            var _edges = _slicedToArray(edges[(i + 1) % n], 1),
+                next = _edges[0];
+
+            return "L" + end[0] + "," + end[1] + "A" + padding + "," + padding + " 0 0,1 " + next[0] + "," + next[1];
+        })
+        .join("");
+
+    return _extends({ d: "M" + edges[0][0][0] + "," + edges[0][0][1] + d + "Z" }, box);
+}
+
+/**
+ * Builds the smallest circle that encloses some points grown by the given padding.
+ * @param {Array.<Array.<number>>} points - the [x, y] points.
+ * @param {number} padding - the distance between the points and the circle outline.
+ * @returns {Object} the circle path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**).
+ * @memberof Group/helper
+ */
+function _buildBubblePath(points, padding) {
+    var _d3PackEnclose = (0, _d3Hierarchy.packEnclose)(
+            points.map(function(_ref11) {
+                var _ref12 = _slicedToArray(_ref11, 2),
+                    px = _ref12[0],
+                    py = _ref12[1];
+
+                return { x: px, y: py, r: padding };
+            })
+        ),
+        x = _d3PackEnclose.x,
+        y = _d3PackEnclose.y,
+        r = _d3PackEnclose.r;
+
+    return { d: _circlePath(x, y, r), minX: x - r, minY: y - r, maxX: x + r, maxY: y + r };
+}
+
+/**
+ * Builds the outline of some group, drawn behind its member nodes.
+ * @param {Array.<Object>} members - the member nodes, with x and y coordinates.
+ * @param {number} padding - the distance between the member nodes centers and the group outline.
+ * @param {string} [shape="hull"] - either "hull" (a padded convex hull) or "bubble" (a padded enclosing circle).
+ * @returns {Object} the group path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**)
+ * or null for groups without members.
+ * @memberof Group/helper
+ */
+function buildGroupPath(members, padding) {
+    var shape = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : _group.GROUP_SHAPES.HULL;
+
+    var points = members
+        .map(function(_ref13) {
+            var x = _ref13.x,
+                y = _ref13.y;
+            return [x || 0, y || 0];
+        })
+        .filter(function(_ref14, i, all) {
+            var _ref15 = _slicedToArray(_ref14, 2),
+                x = _ref15[0],
+                y = _ref15[1];
+
+            return (
+                all.findIndex(function(_ref16) {
+                    var _ref17 = _slicedToArray(_ref16, 2),
+                        ox = _ref17[0],
+                        oy = _ref17[1];
+
+                    return ox === x && oy === y;
+                }) === i
+            );
+        });
+
+    if (!points.length) {
+        return null;
+    }
+
+    return shape === _group.GROUP_SHAPES.BUBBLE ? _buildBubblePath(points, padding) : _buildHullPath(points, padding);
+}
+
+/**
+ * Creates a d3 force that pulls the members of each group towards the center of their group
+ * ({@link https://github.com/d3/d3-force#forces|custom forces}).
+ * @param {Function} groups - receives each node and returns the ids of its groups (see getNodeGroups).
+ * @returns {Function} the force, with **groups** and **strength** (defaults to 0.1) accessors.
+ * @memberof Group/helper
+ */
+function forceGroup(groups) {
+    var nodes = [];
+    var strength = 0.1;
+
+    /**
+     * Applies the force, members of each group move towards the group centroid.
+     * @param {number} alpha - the simulation alpha.
+     * @returns {undefined}
+     */
+    function force(alpha) {
+        var memberships = nodes.map(groups);
+        var centers = nodes.reduce(function(acc, node, i) {
+            memberships[i].forEach(function(group) {
+                var center = acc[group] || (acc[group] = { x: 0, y: 0, count: 0 });
+
+                center.x += node.x;
+                center.y += node.y;
+                center.count++;
+            });
+
+            return acc;
+        }, {});
+
+        nodes.forEach(function(node, i) {
+            return memberships[i].forEach(function(group) {
+                var _centers$group = centers[group],
+                    x = _centers$group.x,
+                    y = _centers$group.y,
+                    count = _centers$group.count;
+
+                node.vx += (x / count - node.x) * strength * alpha;
+                node.vy += (y / count - node.y) * strength * alpha;
+            });
+        });
+    }
+
+    force.initialize = function(simulationNodes) {
+        return (nodes = simulationNodes);
+    };
+    force.groups = function(value) {
+        return value === undefined ? groups : ((groups = value), force);
+    };
+    force.strength = function(value) {
+        return value === undefined ? strength : ((strength = value), force);
+    };
+
+    return force;
+}
+
+/**
+ * Gets the id of the compound node some group collapses into.
+ * @param {string} groupId - the group id.
+ * @returns {string} the compound node id.
+ * @memberof Group/helper
+ */
+function getCompoundNodeId(groupId) {
+    return "" + _group.COMPOUND_NODE_ID_PREFIX + groupId;
+}
+
+/**
+ * Builds the compound node that replaces the members of some collapsed group. The compound node is placed
+ * at the centroid of the members (when their positions are known) and it's labeled after the group and its
+ * number of members.
+ * @param {Object} group - the group, with its id and the optional properties of the group payload.
+ * @param {Array.<Object>} members - the member nodes.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object.<string, Object>} positions - known {x, y} positions mapped by node id.
+ * @returns {Object} the compound node.
+ * @memberof Group/helper
+ */
+function _buildCompoundNode(group, members, config, positions) {
+    var placed = members
+        .map(function(_ref18) {
+            var id = _ref18.id;
+            return positions[id];
+        })
+        .filter(function(position) {
+            return position;
+        });
+    var label = group[config.group.labelProperty];
+    var node = {
+        id: getCompoundNodeId(group.id),
+        groupId: group.id,
+        groupLabel: (label !== undefined && label !== null ? label : group.id) + " (" + members.length + ")",
+        memberIds: members.map(function(_ref19) {
+            var id = _ref19.id;
+            return id;
+        }),
+        size: group.size || config.node.size * _group.COMPOUND_NODE_SIZE_RATIO,
+    };
+
+    group.color && (node.color = group.color);
+    group.symbolType && (node.symbolType = group.symbolType);
+
+    if (placed.length) {
+        node.x =
+            placed.reduce(function(acc, _ref20) {
+                var x = _ref20.x;
+                return acc + x;
+            }, 0) / placed.length;
+        node.y =
+            placed.reduce(function(acc, _ref21) {
+                var y = _ref21.y;
+                return acc + y;
+            }, 0) / placed.length;
+    }
+
+    return node;
+}
+
+/**
+ * Collapses groups of nodes into compound nodes. Links inside some collapsed group are dropped and links
+ * that cross its boundary are rerouted to the compound node, links rerouted into the same pair of nodes are
+ * aggregated into a single link whose value is the sum of their values. Nodes of expanded groups are placed
+ * back at their last known positions.
+ * @param {Object} data - the graph payload, with nodes, links and the optional groups description.
+ * @param {Array.<string>} collapsedGroupIds - ids of the groups to collapse.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object.<string, Object>} [positions={}] - last known {x, y} positions mapped by node id.
+ * @returns {Object} the graph payload with collapsed groups, groups without members are left as they are.
+ * @memberof Group/helper
+ */
+function collapseGroups(data, collapsedGroupIds, config) {
+    var positions = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
+
+    var groups = data.groups || [];
+    var collapsed = collapsedGroupIds.map(function(id) {
+        return "" + id;
+    });
+    var membership = getMembership(config.group.nodeProperty, groups);
+    // nodes that belong to several collapsed groups collapse into the first of them
+    var compoundOf = data.nodes.reduce(function(acc, node) {
+        var group = membership(node).find(function(id) {
+            return collapsed.indexOf(id) !== -1;
+        });
+
+        group !== undefined && (acc[node.id] = getCompoundNodeId(group));
+
+        return acc;
+    }, {});
+    var nodes = data.nodes
+        .filter(function(_ref22) {
+            var id = _ref22.id;
+            return !compoundOf[id];
+        })
+        .map(function(node) {
+            return positions[node.id] ? _extends({}, node, positions[node.id]) : node;
+        });
+
+    if (nodes.length === data.nodes.length) {
+        return _extends({}, data, { nodes: nodes });
+    }
+
+    var members = getGroupMembers(
+        data.nodes.filter(function(_ref23) {
+            var id = _ref23.id;
+            return compoundOf[id];
+        }),
+        config.group.nodeProperty,
+        groups
+    );
+    var compoundNodes = collapsed
+        .filter(function(id) {
+            return (
+                members[id] &&
+                members[id].some(function(_ref24) {
+                    var nodeId = _ref24.id;
+                    return compoundOf[nodeId] === getCompoundNodeId(id);
+                })
+            );
+        })
+        .map(function(id) {
+            var group =
+                groups.find(function(g) {
+                    return "" + g.id === id;
+                }) || {};
+            var own = members[id].filter(function(_ref25) {
+                var nodeId = _ref25.id;
+                return compoundOf[nodeId] === getCompoundNodeId(id);
+            });
+
+            return _buildCompoundNode(_extends({}, group, { id: id }), own, config, positions);
+        });
+    var aggregated = {};
+    var links = data.links.reduce(function(acc, link) {
+        var source = compoundOf[link.source] || link.source;
+        var target = compoundOf[link.target] || link.target;
+
+        if (source === link.source && target === link.target) {
+            acc.push(link);
+
+            return acc;
+        }
+
+        if (source === target) {
+            return acc;
+        }
+
+        var key = config.directed ? source + "," + target : ["" + source, "" + target].sort().join(",");
+        var value = link.value !== undefined ? link.value : 1;
+
+        if (aggregated[key]) {
+            aggregated[key].value += value;
+        } else {
+            aggregated[key] = { source: source, target: target, value: value };
+            acc.push(aggregated[key]);
+        }
+
+        return acc;
+    }, []);
+
+    return _extends({}, data, {
+        nodes: [].concat(_toConsumableArray(nodes), _toConsumableArray(compoundNodes)),
+        links: links,
+    });
+}
+
+exports.buildGroupPath = buildGroupPath;
+exports.collapseGroups = collapseGroups;
+exports.forceGroup = forceGroup;
+exports.getCompoundNodeId = getCompoundNodeId;
+exports.getGroupMembers = getGroupMembers;
+exports.getMembership = getMembership;
+exports.getNodeGroups = getNodeGroups;
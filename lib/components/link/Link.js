@@ -39,6 +39,14 @@ var _react = require("react");
 
 var _react2 = _interopRequireDefault(_react);
 
+var _link = require("./link.const");
+
+var _marker = require("../marker/marker.const");
+
+var _link2 = require("./link.helper");
+
+var _marker2 = require("../marker/marker.helper");
+
 function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
@@ -90,12 +98,21 @@ function _inherits(subClass, superClass) {
  *     d="M1..."
  *     source="idSourceNode"
  *     target="idTargetNode"
- *     markerId="marker-small"
+ *     graphId="graph-id"
+ *     markers={{ start: null, mid: null, end: "arrow" }}
  *     strokeWidth=1.5
  *     stroke="green"
  *     className="link"
  *     opacity=1
  *     mouseCursor="pointer"
+ *     label="label"
+ *     labelPath={null}
+ *     labelStartOffset="50%"
+ *     labelAnchor="middle"
+ *     labelOffset={1}
+ *     labelBackground="halo"
+ *     labelBackgroundColor="white"
+ *     flow={{ dashArray: [6, 4], direction: 1, duration: 1 }}
  *     onClickLink={onClickLink}
  *     onRightClickLink={onRightClickLink}
  *     onMouseOverLink={onMouseOverLink}
@@ -121,22 +138,29 @@ var Link = (function(_React$Component) {
                 (_ref = Link.__proto__ || Object.getPrototypeOf(Link)).call.apply(_ref, [this].concat(args))
             )),
             _this)),
-            (_this.handleOnClickLink = function() {
-                return _this.props.onClickLink && _this.props.onClickLink(_this.props.source, _this.props.target);
+            (_this.handleOnClickLink = function(event) {
+                return (
+                    _this.props.onClickLink &&
+                    _this.props.onClickLink(_this.props.source, _this.props.target, event, _this.props.id)
+                );
             }),
             (_this.handleOnRightClickLink = function(event) {
                 return (
                     _this.props.onRightClickLink &&
-                    _this.props.onRightClickLink(event, _this.props.source, _this.props.target)
+                    _this.props.onRightClickLink(event, _this.props.source, _this.props.target, _this.props.id)
                 );
             }),
             (_this.handleOnMouseOverLink = function() {
                 return (
-                    _this.props.onMouseOverLink && _this.props.onMouseOverLink(_this.props.source, _this.props.target)
+                    _this.props.onMouseOverLink &&
+                    _this.props.onMouseOverLink(_this.props.source, _this.props.target, _this.props.id)
                 );
             }),
             (_this.handleOnMouseOutLink = function() {
-                return _this.props.onMouseOutLink && _this.props.onMouseOutLink(_this.props.source, _this.props.target);
+                return (
+                    _this.props.onMouseOutLink &&
+                    _this.props.onMouseOutLink(_this.props.source, _this.props.target, _this.props.id)
+                );
             }),
             _temp)),
             _possibleConstructorReturn(_this, _ret)
@@ -144,6 +168,7 @@ var Link = (function(_React$Component) {
     }
     /**
      * Handle link click event.
+     * @param {Object} event - native event.
      * @returns {undefined}
      */
 
@@ -174,6 +199,11 @@ var Link = (function(_React$Component) {
                     fill: "none",
                     cursor: this.props.mouseCursor,
                 };
+                var flow = this.props.flow;
+
+                if (flow) {
+                    lineStyle.strokeDasharray = flow.dashArray.join(" ");
+                }
 
                 var lineProps = {
                     className: this.props.className,
@@ -185,32 +215,112 @@ var Link = (function(_React$Component) {
                     style: lineStyle,
                 };
 
-                if (this.props.markerId) {
-                    lineProps.markerEnd = "url(#" + this.props.markerId + ")";
+                var markers = this.props.markers || {};
+
+                if (markers.start) {
+                    lineProps.markerStart =
+                        "url(#" +
+                        (0, _marker2.getMarkerId)(
+                            this.props.graphId,
+                            markers.start,
+                            _marker.MARKER_POSITIONS.START,
+                            this.props.stroke
+                        ) +
+                        ")";
+                }
+
+                if (markers.mid) {
+                    lineProps.markerMid =
+                        "url(#" +
+                        (0, _marker2.getMarkerId)(
+                            this.props.graphId,
+                            markers.mid,
+                            _marker.MARKER_POSITIONS.MID,
+                            this.props.stroke
+                        ) +
+                        ")";
+                }
+
+                if (markers.end) {
+                    lineProps.markerEnd =
+                        "url(#" +
+                        (0, _marker2.getMarkerId)(
+                            this.props.graphId,
+                            markers.end,
+                            _marker.MARKER_POSITIONS.END,
+                            this.props.stroke
+                        ) +
+                        ")";
                 }
 
                 var _props = this.props,
                     label = _props.label,
+                    labelPath = _props.labelPath,
                     id = _props.id;
 
+                var labelStyle = {
+                    fill: this.props.fontColor,
+                    fontSize: this.props.fontSize,
+                    fontWeight: this.props.fontWeight,
+                    textAnchor: this.props.labelAnchor || "middle",
+                };
+
+                if (this.props.labelBackground === _link.LABEL_BACKGROUNDS.HALO) {
+                    Object.assign(labelStyle, {
+                        stroke: this.props.labelBackgroundColor,
+                        strokeWidth: this.props.fontSize * _link.LABEL_HALO_WIDTH_RATIO,
+                        strokeLinejoin: "round",
+                        paintOrder: "stroke",
+                    });
+                }
+
                 var textProps = {
-                    dy: -1,
-                    style: {
-                        fill: this.props.fontColor,
-                        fontSize: this.props.fontSize,
-                        fontWeight: this.props.fontWeight,
-                    },
+                    dy: this.props.labelOffset === undefined ? -1 : -this.props.labelOffset,
+                    style: labelStyle,
                 };
 
+                if (this.props.labelBackground === _link.LABEL_BACKGROUNDS.RECT) {
+                    textProps.filter =
+                        "url(#" +
+                        (0, _link2.getLabelBackgroundId)(this.props.graphId, this.props.labelBackgroundColor) +
+                        ")";
+                }
+
+                // labels that would read upside down follow the link backwards (see buildLinkProps)
+                var labelPathId = labelPath ? id + "-label" : id;
+
                 return _react2.default.createElement(
                     "svg",
                     null,
-                    _react2.default.createElement("path", _extends({}, lineProps, { id: id })),
+                    _react2.default.createElement(
+                        "path",
+                        _extends({}, lineProps, { id: id }),
+                        flow &&
+                            // dashes move towards the path end as their offset decreases
+                            _react2.default.createElement("animate", {
+                                attributeName: "stroke-dashoffset",
+                                from: (flow.dashArray[0] + flow.dashArray[1]) * flow.direction,
+                                to: 0,
+                                dur: flow.duration + "s",
+                                repeatCount: "indefinite",
+                            })
+                    ),
+                    label &&
+                        labelPath &&
+                        _react2.default.createElement(
+                            "defs",
+                            null,
+                            _react2.default.createElement("path", { id: labelPathId, d: labelPath })
+                        ),
                     label &&
                         _react2.default.createElement(
                             "text",
-                            _extends({ style: { textAnchor: "middle" } }, textProps),
-                            _react2.default.createElement("textPath", { href: "#" + id, startOffset: "50%" }, label)
+                            textProps,
+                            _react2.default.createElement(
+                                "textPath",
+                                { href: "#" + labelPathId, startOffset: this.props.labelStartOffset || "50%" },
+                                label
+                            )
                         )
                 );
             },
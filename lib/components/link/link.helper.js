@@ -3,12 +3,91 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-exports.buildLinkPathDefinition = undefined;
+exports.getSelfLoopSize = exports.getSelfLoopControlPoints = exports.getPointAlongLinkPath = exports.getParallelLinkOffset = exports.getParallelLinkControlPoint = exports.getLinkPathLength = exports.getLinkId = exports.getLabelPlacement = exports.getLabelBackgroundId = exports.getBezierControlPoints = exports.buildSelfLoopPath = exports.buildLinkPathDefinition = exports.buildLinkPath = exports.buildCustomLinkPath = undefined;
+
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
 
 var _RADIUS_STRATEGIES;
 
+var _graph = require("../graph/graph.const");
+
+var _graph2 = _interopRequireDefault(_graph);
+
 var _link = require("./link.const");
 
+var _node = require("../node/node.helper");
+
+var _node2 = _interopRequireDefault(_node);
+
+var _utils = require("../../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+function _toArray(arr) {
+    return Array.isArray(arr) ? arr : Array.from(arr);
+}
+
 function _defineProperty(obj, key, value) {
     if (key in obj) {
         Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
@@ -63,6 +142,9 @@ _defineProperty(_RADIUS_STRATEGIES, _link.LINE_TYPES.CURVE_SMOOTH, smoothCurveRa
 _defineProperty(_RADIUS_STRATEGIES, _link.LINE_TYPES.CURVE_FULL, fullCurveRadius),
 _RADIUS_STRATEGIES);
 
+// line types drawn as polylines (see _getStepPoints)
+var STEP_TYPES = [_link.LINE_TYPES.ORTHOGONAL, _link.LINE_TYPES.STEP_HORIZONTAL, _link.LINE_TYPES.STEP_VERTICAL];
+
 /**
  * Get a strategy to compute line radius.<br/>
  * *CURVE_SMOOTH* type inspired by {@link http://bl.ocks.org/mbostock/1153292|mbostock - Mobile Patent Suits}.
@@ -75,32 +157,695 @@ function getRadiusStrategy(type) {
     return RADIUS_STRATEGIES[type] || RADIUS_STRATEGIES[_link.LINE_TYPES.STRAIGHT];
 }
 
+/**
+ * Computes the offset of some link curve from the straight line between its source and target. Parallel links
+ * (links that go from the same source to the same target) are fanned out around the straight line, the offset is
+ * measured in the direction perpendicular to the line that goes from the smallest to the biggest node id.
+ * @param {Object} link - the link.
+ * @param {number} [link.parallelIndex=0] - position of the link among its parallel links.
+ * @param {number} [link.parallelCount=1] - number of links that go from the same source to the same target.
+ * @param {boolean} [link.parallelReversed=false] - whether the link goes from the biggest to the smallest node id.
+ * @returns {number} the offset of the link curve (0 for links without parallel links).
+ * @memberof Link/helper
+ */
+function getParallelLinkOffset(_ref) {
+    var _ref$parallelIndex = _ref.parallelIndex,
+        parallelIndex = _ref$parallelIndex === undefined ? 0 : _ref$parallelIndex,
+        _ref$parallelCount = _ref.parallelCount,
+        parallelCount = _ref$parallelCount === undefined ? 1 : _ref$parallelCount,
+        _ref$parallelReversed = _ref.parallelReversed,
+        parallelReversed = _ref$parallelReversed === undefined ? false : _ref$parallelReversed;
+
+    var offset = (parallelIndex - (parallelCount - 1) / 2) * _link.PARALLEL_LINKS_SPACING;
+
+    return parallelReversed ? -offset : offset;
+}
+
+/**
+ * Computes the control point of the quadratic curve of some parallel link, the curve apex is placed
+ * at the given offset from the middle of the straight line between source and target.
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {number} offset - the link offset (see getParallelLinkOffset).
+ * @returns {Object} the x and y coordinates of the control point.
+ * @memberof Link/helper
+ */
+function getParallelLinkControlPoint(_ref2, _ref3, offset) {
+    var sx = _ref2.x,
+        sy = _ref2.y;
+    var tx = _ref3.x,
+        ty = _ref3.y;
+
+    var dx = tx - sx;
+    var dy = ty - sy;
+    var length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    return {
+        x: (sx + tx) / 2 - (2 * offset * dy) / length,
+        y: (sy + ty) / 2 + (2 * offset * dx) / length,
+    };
+}
+
+/**
+ * Splits some bezier curve in two at the given parameter ({@link https://en.wikipedia.org/wiki/De_Casteljau%27s_algorithm|de Casteljau}).
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @param {number} t - the curve parameter (0 to 1) where to split it.
+ * @returns {Array.<Array.<Object>>} the points of both halves of the curve.
+ * @memberof Link/helper
+ */
+function _splitBezier(points, t) {
+    var left = [points[0]];
+    var right = [points[points.length - 1]];
+    var current = points;
+
+    var _loop = function _loop() {
+        var previous = current;
+
+        current = previous.slice(1).map(function(p, i) {
+            return {
+                x: previous[i].x + (p.x - previous[i].x) * t,
+                y: previous[i].y + (p.y - previous[i].y) * t,
+            };
+        });
+        left.push(current[0]);
+        right.unshift(current[current.length - 1]);
+    };
+
+    while (current.length > 1) {
+        _loop();
+    }
+
+    return [left, right];
+}
+
+/**
+ * Tells whether some point lies inside some node shape.
+ * @param {Object} point - the point coordinates.
+ * @param {Object} node - the node coordinates and shape (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @returns {boolean} whether the point is inside the node.
+ * @memberof Link/helper
+ */
+function _isInsideNode(_ref4, node) {
+    var x = _ref4.x,
+        y = _ref4.y;
+
+    var dx = x - node.x;
+    var dy = y - node.y;
+    var distance = _node2.default.getNodeBoundaryDistance(node.shape, Math.atan2(dy, dx));
+
+    return dx * dx + dy * dy < distance * distance;
+}
+
+/**
+ * Finds, by bisection, the curve parameter where some curve crosses the boundary of some node.
+ * @param {Function} pointAt - function that returns the curve point for some parameter.
+ * @param {Object} node - the node coordinates and (optional) shape, nodes without shape are not clipped.
+ * @param {number} inside - a curve parameter that lies inside the node (the node end of the curve).
+ * @param {number} outside - a curve parameter that lies outside the node.
+ * @returns {number} the curve parameter at the node boundary (or the inside parameter for overlapping nodes).
+ * @memberof Link/helper
+ */
+function _findBoundaryCrossing(pointAt, node, inside, outside) {
+    if (!node.shape || _isInsideNode(pointAt(outside), node)) {
+        return inside;
+    }
+
+    for (var i = 0; i < _link.BOUNDARY_PRECISION_STEPS; i++) {
+        var middle = (inside + outside) / 2;
+
+        if (_isInsideNode(pointAt(middle), node)) {
+            inside = middle;
+        } else {
+            outside = middle;
+        }
+    }
+
+    return outside;
+}
+
+/**
+ * Writes the path command that draws some bezier curve from its first point (a straight line is drawn
+ * as an arc with no radius, same as straight links).
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @returns {string} the path command (without the initial move to the first point).
+ * @memberof Link/helper
+ */
+function _bezierCommand(points) {
+    var _points$map = points.map(function(_ref5) {
+            var x = _ref5.x,
+                y = _ref5.y;
+            return x + "," + y;
+        }),
+        _points$map2 = _toArray(_points$map),
+        rest = _points$map2.slice(1);
+
+    if (rest.length === 1) {
+        return "A0,0 0 0,1 " + rest[0];
+    }
+
+    return "" + (rest.length === 2 ? "Q" : "C") + rest.join(" ");
+}
+
+/**
+ * Computes the direction (in radians) that goes from some point to another.
+ * @param {Object} from - the first point.
+ * @param {Object} to - the second point.
+ * @returns {number} the angle of the direction.
+ * @memberof Link/helper
+ */
+function _direction(from, to) {
+    return Math.atan2(to.y - from.y, to.x - from.x);
+}
+
+/**
+ * Measures the length of each segment of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices.
+ * @returns {Array.<number>} the length of each segment.
+ * @memberof Link/helper
+ */
+function _segmentLengths(points) {
+    return points.slice(1).map(function(p, i) {
+        var dx = p.x - points[i].x;
+        var dy = p.y - points[i].y;
+
+        return Math.sqrt(dx * dx + dy * dy);
+    });
+}
+
+/**
+ * Finds the point that lies at some fraction of the length of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices (at least two).
+ * @param {number} fraction - fraction (0 to 1) of the polyline length.
+ * @returns {Object} the index of the segment where the point lies and the point itself, with its x, y and
+ * the direction (angle) of the segment.
+ * @memberof Link/helper
+ */
+function _locateAlongPolyline(points, fraction) {
+    var lengths = _segmentLengths(points);
+    var remaining =
+        lengths.reduce(function(sum, length) {
+            return sum + length;
+        }, 0) * fraction;
+    var i = 0;
+
+    while (i < lengths.length - 1 && remaining > lengths[i]) {
+        remaining -= lengths[i];
+        i++;
+    }
+
+    var k = lengths[i] ? remaining / lengths[i] : 0;
+    var from = points[i];
+    var to = points[i + 1];
+
+    return {
+        index: i,
+        point: { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k, angle: _direction(from, to) },
+    };
+}
+
+/**
+ * Writes the path definition of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices.
+ * @returns {string} the path definition.
+ * @memberof Link/helper
+ */
+function _polylinePath(points) {
+    return (
+        "M" +
+        points[0].x +
+        "," +
+        points[0].y +
+        points
+            .slice(1)
+            .map(function(_ref6) {
+                var x = _ref6.x,
+                    y = _ref6.y;
+                return "L" + x + "," + y;
+            })
+            .join("")
+    );
+}
+
+/**
+ * Clips some bezier curve at the boundaries of its source and target nodes.
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the curve (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipBezier(points, source, target, midpoint) {
+    var pointAt = function pointAt(t) {
+        return _splitBezier(points, t)[1][0];
+    };
+    var t0 = _findBoundaryCrossing(pointAt, source, 0, 0.5);
+    var t1 = _findBoundaryCrossing(pointAt, target, 1, 0.5);
+    var clipped = points;
+
+    if (t0 !== 0 || t1 !== 1) {
+        var _splitBezier2 = _splitBezier(points, t1),
+            _splitBezier3 = _slicedToArray(_splitBezier2, 1),
+            head = _splitBezier3[0];
+
+        clipped = _splitBezier(head, t0 / t1)[1];
+    }
+
+    var _splitBezier4 = _splitBezier(clipped, 0.5),
+        _splitBezier5 = _slicedToArray(_splitBezier4, 2),
+        left = _splitBezier5[0],
+        right = _splitBezier5[1];
+
+    var n = clipped.length;
+    var commands = midpoint ? [left, right].map(_bezierCommand).join("") : _bezierCommand(clipped);
+    var reversed = [].concat(_toConsumableArray(clipped)).reverse();
+    var samples = n === 2 ? 1 : _link.LINK_PATH_SAMPLES;
+
+    return {
+        d: "M" + clipped[0].x + "," + clipped[0].y + commands,
+        reversedD: "M" + reversed[0].x + "," + reversed[0].y + _bezierCommand(reversed),
+        points: Array.from({ length: samples + 1 }, function(_, i) {
+            return _splitBezier(clipped, i / samples)[1][0];
+        }),
+        tail: _extends({}, clipped[0], { angle: _direction(clipped[1], clipped[0]) }),
+        middle: _extends({}, right[0], { angle: _direction(left[n - 2], right[1]) }),
+        tip: _extends({}, clipped[n - 1], { angle: _direction(clipped[n - 2], clipped[n - 1]) }),
+    };
+}
+
+/**
+ * Clips some circular arc (as drawn by the svg arc command with a small arc and positive sweep) at the
+ * boundaries of its source and target nodes.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {number} radius - the arc radius, svg scales up radiuses too small to join source and target.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the arc (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipArc(source, target, radius, midpoint) {
+    var dx = target.x - source.x;
+    var dy = target.y - source.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    var r = Math.max(radius, length / 2);
+    // the arc center, following the svg arc implementation notes (F.6.5)
+    var h = Math.sqrt(r * r - (length * length) / 4) / length;
+    var cx = (source.x + target.x) / 2 - dy * h;
+    var cy = (source.y + target.y) / 2 + dx * h;
+    var startAngle = Math.atan2(source.y - cy, source.x - cx);
+    var sweep = Math.atan2(target.y - cy, target.x - cx) - startAngle;
+
+    while (sweep <= 0) {
+        sweep += 2 * Math.PI;
+    }
+
+    var angleAt = function angleAt(t) {
+        return startAngle + t * sweep;
+    };
+    // the point of the arc at some parameter, with the direction of the arc at that point
+    var pointAt = function pointAt(t) {
+        return {
+            x: cx + r * Math.cos(angleAt(t)),
+            y: cy + r * Math.sin(angleAt(t)),
+            angle: angleAt(t) + Math.PI / 2,
+        };
+    };
+    var t0 = _findBoundaryCrossing(pointAt, source, 0, 0.5);
+    var t1 = _findBoundaryCrossing(pointAt, target, 1, 0.5);
+    var start = t0 === 0 ? _extends({}, pointAt(0), { x: source.x, y: source.y }) : pointAt(t0);
+    var end = t1 === 1 ? _extends({}, pointAt(1), { x: target.x, y: target.y }) : pointAt(t1);
+    var middle = pointAt((t0 + t1) / 2);
+    var arc = "A" + r + "," + r + " 0 0,1 ";
+    var commands = midpoint
+        ? "" + arc + middle.x + "," + middle.y + arc + end.x + "," + end.y
+        : "" + arc + end.x + "," + end.y;
+
+    return {
+        d: "M" + start.x + "," + start.y + commands,
+        reversedD: "M" + end.x + "," + end.y + "A" + r + "," + r + " 0 0,0 " + start.x + "," + start.y,
+        points: Array.from({ length: _link.LINK_PATH_SAMPLES + 1 }, function(_, i) {
+            return pointAt(t0 + ((t1 - t0) * i) / _link.LINK_PATH_SAMPLES);
+        }),
+        tail: _extends({}, start, { angle: start.angle + Math.PI }),
+        middle: middle,
+        tip: end,
+    };
+}
+
+/**
+ * Clips some polyline at the boundaries of its source and target nodes, only the first and last segments
+ * can cross the node boundaries.
+ * @param {Array.<Object>} points - the polyline vertices, from source to target.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the polyline (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipPolyline(points, source, target, midpoint) {
+    // aligned nodes collapse some of the segments
+    var vertices = points.filter(function(p, i) {
+        return i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y;
+    });
+    var n = vertices.length;
+
+    if (n < 3) {
+        return _clipBezier([source, target], source, target, midpoint);
+    }
+
+    var segmentAt = function segmentAt(from, to) {
+        return function(k) {
+            return { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k };
+        };
+    };
+    var first = segmentAt(vertices[0], vertices[1]);
+    var last = segmentAt(vertices[n - 2], vertices[n - 1]);
+    var clipped = [first(_findBoundaryCrossing(first, source, 0, 1))].concat(
+        _toConsumableArray(vertices.slice(1, n - 1)),
+        [last(_findBoundaryCrossing(last, target, 1, 0))]
+    );
+
+    var _locateAlongPolyline2 = _locateAlongPolyline(clipped, 0.5),
+        index = _locateAlongPolyline2.index,
+        middle = _locateAlongPolyline2.point;
+
+    var m = clipped.length;
+
+    return {
+        d: _polylinePath(
+            midpoint
+                ? [].concat(
+                      _toConsumableArray(clipped.slice(0, index + 1)),
+                      [middle],
+                      _toConsumableArray(clipped.slice(index + 1))
+                  )
+                : clipped
+        ),
+        reversedD: _polylinePath([].concat(_toConsumableArray(clipped)).reverse()),
+        points: clipped,
+        tail: _extends({}, clipped[0], { angle: _direction(clipped[1], clipped[0]) }),
+        middle: middle,
+        tip: _extends({}, clipped[m - 1], { angle: _direction(clipped[m - 2], clipped[m - 1]) }),
+    };
+}
+
+/**
+ * Computes the vertices of orthogonal and step links.
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {string} type - one of ORTHOGONAL, STEP_HORIZONTAL or STEP_VERTICAL.
+ * @returns {Array.<Object>} the polyline vertices, from source to target.
+ * @memberof Link/helper
+ */
+function _getStepPoints(source, target, type) {
+    switch (type) {
+        case _link.LINE_TYPES.ORTHOGONAL:
+            return [source, { x: target.x, y: source.y }, target];
+        case _link.LINE_TYPES.STEP_HORIZONTAL: {
+            var x = (source.x + target.x) / 2;
+
+            return [source, { x: x, y: source.y }, { x: x, y: target.y }, target];
+        }
+        default: {
+            var y = (source.y + target.y) / 2;
+
+            return [source, { x: source.x, y: y }, { x: target.x, y: y }, target];
+        }
+    }
+}
+
+/**
+ * Computes the control points of the cubic curve of some BEZIER link. The curve leaves the source and reaches
+ * the target along the main axis of the link (horizontal or vertical, whichever is longer).
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {number} curvature - how far the control points stand from the nodes, as a fraction of the link length
+ * along its main axis (0 draws a straight line).
+ * @returns {Array.<Object>} the x and y coordinates of both control points.
+ * @memberof Link/helper
+ */
+function getBezierControlPoints(source, target) {
+    var curvature = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : _link.DEFAULT_BEZIER_CURVATURE;
+
+    var dx = target.x - source.x;
+    var dy = target.y - source.y;
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+        return [{ x: source.x + dx * curvature, y: source.y }, { x: target.x - dx * curvature, y: target.y }];
+    }
+
+    return [{ x: source.x, y: source.y + dy * curvature }, { x: target.x, y: target.y - dy * curvature }];
+}
+
+/**
+ * Builds the path of a given link base on the line type and the link source and target. Parallel links
+ * (with some offset) are drawn as quadratic curves. When source and target have a shape the path is clipped at
+ * the node boundaries, so that links (and their markers) touch the edge of the nodes instead of their centers.
+ * {@link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d|d attribute mdn}
+ * @param {Object} link - the link to build the path for.
+ * @param {Object} link.source - link source coordinates and (optional) shape
+ * (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @param {Object} link.target - link target coordinates and (optional) shape.
+ * @param {number} [link.curvature=0.5] - curvature of BEZIER links (see getBezierControlPoints).
+ * @param {string} [type=LINE_TYPES.STRAIGHT] - the link line type.
+ * @param {number} [offset=0] - offset of the link curve (see getParallelLinkOffset).
+ * @param {boolean} [midpoint=false] - whether the path should have a vertex in its middle, svg mid markers
+ * are only drawn on path vertices (svg draws them on the bends of orthogonal and step links too).
+ * @returns {Object} the path definition **d** plus the **tail**, **middle** and **tip** of the link, each with
+ * its x, y coordinates and an angle (in radians): the link direction in the middle and at the tip, the opposite
+ * direction at the tail (markers placed there point away from the link). The path also comes drawn from target
+ * to source (**reversedD**, for upright labels) and sampled as a polyline (**points**, see getPointAlongLinkPath).
+ * @memberof Link/helper
+ */
+function buildLinkPath(_ref7) {
+    var _ref7$source = _ref7.source,
+        source = _ref7$source === undefined ? {} : _ref7$source,
+        _ref7$target = _ref7.target,
+        target = _ref7$target === undefined ? {} : _ref7$target,
+        curvature = _ref7.curvature;
+    var type = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : _link.LINE_TYPES.STRAIGHT;
+    var offset = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 0;
+    var midpoint = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : false;
+
+    var s = _extends({}, source, { x: +source.x, y: +source.y });
+    var t = _extends({}, target, { x: +target.x, y: +target.y });
+    var validType = _link.LINE_TYPES[type] || _link.LINE_TYPES.STRAIGHT;
+
+    if (offset) {
+        return _clipBezier([s, getParallelLinkControlPoint(s, t, offset), t], s, t, midpoint);
+    }
+
+    if (validType === _link.LINE_TYPES.BEZIER) {
+        return _clipBezier(
+            [s].concat(_toConsumableArray(getBezierControlPoints(s, t, curvature)), [t]),
+            s,
+            t,
+            midpoint
+        );
+    }
+
+    if (STEP_TYPES.includes(validType)) {
+        return _clipPolyline(_getStepPoints(s, t, validType), s, t, midpoint);
+    }
+
+    var radius = getRadiusStrategy(validType)(s.x, s.y, t.x, t.y);
+
+    if (radius && (s.x !== t.x || s.y !== t.y)) {
+        return _clipArc(s, t, radius, midpoint);
+    }
+
+    return _clipBezier([s, t], s, t, midpoint);
+}
+
+/**
+ * Builds the path of some link with a consumer defined **link.pathGenerator**.
+ * @param {Function} pathGenerator - function that receives the source node, the target node and the link and
+ * returns either the path definition or an object like the one returned by buildLinkPath (the tail, middle and tip
+ * are used to place markers and labels on canvas, the markers of the svg renderer don't need them).
+ * @param {Object} sourceNode - the source node, with its x and y coordinates.
+ * @param {Object} targetNode - the target node, with its x and y coordinates.
+ * @param {Object} link - the link.
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function buildCustomLinkPath(pathGenerator, sourceNode, targetNode, link) {
+    var path = pathGenerator(sourceNode, targetNode, link);
+
+    return typeof path === "string" ? { d: path } : path;
+}
+
+/**
+ * Measures the length of some link path.
+ * @param {Array.<Object>} points - the link path sampled as a polyline (see buildLinkPath).
+ * @returns {number} the (approximate, for curves) length of the link.
+ * @memberof Link/helper
+ */
+function getLinkPathLength(points) {
+    return _segmentLengths(points).reduce(function(sum, length) {
+        return sum + length;
+    }, 0);
+}
+
+/**
+ * Finds the point that lies at some fraction of the length of some link path.
+ * @param {Array.<Object>} points - the link path sampled as a polyline (see buildLinkPath).
+ * @param {number} fraction - fraction (0 to 1) of the link length, measured from the link source.
+ * @returns {Object} the x and y coordinates of the point and the direction (angle in radians) of the link there.
+ * @memberof Link/helper
+ */
+function getPointAlongLinkPath(points, fraction) {
+    return _locateAlongPolyline(points, fraction).point;
+}
+
+/**
+ * Parses the **link.labelPosition** config into where, along the link, the label is placed and how the label
+ * text is anchored there.
+ * @param {string|number} position - "start", "middle", "end" or a percentage (e.g. "25%" or 25).
+ * @returns {Object} the **fraction** (0 to 1) of the link length and the text **anchor** (start, middle or end).
+ * @memberof Link/helper
+ */
+function getLabelPlacement(position) {
+    switch (position) {
+        case _link.LABEL_POSITIONS.START:
+            return { fraction: 0, anchor: "start" };
+        case _link.LABEL_POSITIONS.END:
+            return { fraction: 1, anchor: "end" };
+        default: {
+            var percentage = parseFloat(position);
+
+            return {
+                fraction: isNaN(percentage) ? 0.5 : Math.min(Math.max(percentage, 0), 100) / 100,
+                anchor: "middle",
+            };
+        }
+    }
+}
+
+/**
+ * Builds the id of the filter that draws the background rectangle of link labels with some color.
+ * @param {string} graphId - the id of the graph that owns the filter.
+ * @param {string} color - the background color.
+ * @returns {string} the id of the filter.
+ * @memberof Link/helper
+ */
+function getLabelBackgroundId(graphId, color) {
+    return graphId + "-label-background-" + _utils2.default.toIdFragment(color);
+}
+
 /**
  * This method returns the path definition for a given link base on the line type
- * and the link source and target.
+ * and the link source and target (see buildLinkPath).
  * {@link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d|d attribute mdn}
  * @param {Object} link - the link to build the path definition
  * @param {Object} link.source - link source
  * @param {Object} link.target - link target
  * @param {string} type - the link line type
+ * @param {number} [offset=0] - offset of the link curve (see getParallelLinkOffset).
  * @returns {string} the path definition for the requested link
  * @memberof Link/helper
  */
-function buildLinkPathDefinition(_ref) {
-    var _ref$source = _ref.source,
-        source = _ref$source === undefined ? {} : _ref$source,
-        _ref$target = _ref.target,
-        target = _ref$target === undefined ? {} : _ref$target;
+function buildLinkPathDefinition(link) {
     var type = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : _link.LINE_TYPES.STRAIGHT;
-    var sx = source.x,
-        sy = source.y;
-    var tx = target.x,
-        ty = target.y;
+    var offset = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 0;
 
-    var validType = _link.LINE_TYPES[type] || _link.LINE_TYPES.STRAIGHT;
-    var radius = getRadiusStrategy(validType)(sx, sy, tx, ty);
+    return buildLinkPath(link, type, offset).d;
+}
+
+/**
+ * Computes how far from the center of some node its self-loop reaches, loops grow with the node and
+ * several self-loops of the same node are stacked one outside the other.
+ * @param {number} nodeRadius - the radius of the node.
+ * @param {number} [loopIndex=0] - position of the loop among the self-loops of the node.
+ * @returns {number} the distance between the node center and the loop apex.
+ * @memberof Link/helper
+ */
+function getSelfLoopSize(nodeRadius) {
+    var loopIndex = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 0;
+
+    return nodeRadius + (loopIndex + 1) * Math.max(nodeRadius, _link.SELF_LOOP_MIN_SIZE);
+}
+
+/**
+ * Computes the control points of the cubic curve of some self-loop. The curve leaves and comes back to the node
+ * center, its legs are spread around the loop angle so that the loop apex lies at the given size.
+ * @param {Object} node - the node coordinates.
+ * @param {Object} selfLoop - the self-loop.
+ * @param {number} selfLoop.angle - direction (in radians) the loop points at.
+ * @param {number} selfLoop.size - distance between the node center and the loop apex (see getSelfLoopSize).
+ * @returns {Array.<Object>} the x and y coordinates of both control points.
+ * @memberof Link/helper
+ */
+function getSelfLoopControlPoints(_ref8, _ref9) {
+    var x = _ref8.x,
+        y = _ref8.y;
+    var angle = _ref9.angle,
+        size = _ref9.size;
+
+    // the apex of a cubic curve (t = 0.5) lies at 3/4 of the control points
+    var distance = size / (0.75 * Math.cos(_link.SELF_LOOP_SPREAD));
+
+    return [angle - _link.SELF_LOOP_SPREAD, angle + _link.SELF_LOOP_SPREAD].map(function(legAngle) {
+        return {
+            x: x + distance * Math.cos(legAngle),
+            y: y + distance * Math.sin(legAngle),
+        };
+    });
+}
+
+/**
+ * Builds the path of a self-loop, a link from some node to itself. When the node has a shape the loop is
+ * clipped at the node boundary (see buildLinkPath).
+ * @param {Object} node - the node coordinates and (optional) shape.
+ * @param {Object} selfLoop - the self-loop angle and size (see getSelfLoopControlPoints).
+ * @param {boolean} [midpoint=false] - whether the path should have a vertex in its middle (for mid markers).
+ * @returns {Object} the self-loop path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function buildSelfLoopPath(node, selfLoop) {
+    var midpoint = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : false;
+
+    var _getSelfLoopControlPo = getSelfLoopControlPoints(node, selfLoop),
+        _getSelfLoopControlPo2 = _slicedToArray(_getSelfLoopControlPo, 2),
+        c1 = _getSelfLoopControlPo2[0],
+        c2 = _getSelfLoopControlPo2[1];
+
+    return _clipBezier([node, c1, c2, node], node, node, midpoint);
+}
+
+/**
+ * Computes the identifier of a given link. Links are identified by their source and target
+ * node ids, source and target can either be node ids or d3 node objects. Parallel links (other than the
+ * first one) are further identified by their position among the links that connect the same nodes.
+ * @param {Object} link - the link to compute the id for.
+ * @param {string|Object} link.source - link source node id or d3 node.
+ * @param {string|Object} link.target - link target node id or d3 node.
+ * @param {number} [link.parallelIndex] - position of the link among its parallel links.
+ * @returns {string} the link identifier (e.g. "sourceId,targetId" or "sourceId,targetId,1" for parallel links).
+ * @memberof Link/helper
+ */
+function getLinkId(_ref10) {
+    var source = _ref10.source,
+        target = _ref10.target,
+        parallelIndex = _ref10.parallelIndex;
+
+    var sourceId = source && source.id !== undefined && source.id !== null ? source.id : source;
+    var targetId = target && target.id !== undefined && target.id !== null ? target.id : target;
+    var linkId = "" + sourceId + _graph2.default.COORDS_SEPARATOR + targetId;
 
-    return "M" + sx + "," + sy + "A" + radius + "," + radius + " 0 0,1 " + tx + "," + ty;
+    return parallelIndex ? "" + linkId + _graph2.default.COORDS_SEPARATOR + parallelIndex : linkId;
 }
 
+exports.buildCustomLinkPath = buildCustomLinkPath;
+exports.buildLinkPath = buildLinkPath;
 exports.buildLinkPathDefinition = buildLinkPathDefinition;
+exports.buildSelfLoopPath = buildSelfLoopPath;
+exports.getBezierControlPoints = getBezierControlPoints;
+exports.getLabelBackgroundId = getLabelBackgroundId;
+exports.getLabelPlacement = getLabelPlacement;
+exports.getLinkId = getLinkId;
+exports.getLinkPathLength = getLinkPathLength;
+exports.getParallelLinkControlPoint = getParallelLinkControlPoint;
+exports.getParallelLinkOffset = getParallelLinkOffset;
+exports.getPointAlongLinkPath = getPointAlongLinkPath;
+exports.getSelfLoopControlPoints = getSelfLoopControlPoints;
+exports.getSelfLoopSize = getSelfLoopSize;
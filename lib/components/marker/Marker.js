@@ -4,6 +4,20 @@ Object.defineProperty(exports, "__esModule", {
     value: true,
 });
 
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+
 var _createClass = (function() {
     function defineProperties(target, props) {
         for (var i = 0; i < props.length; i++) {
@@ -25,6 +39,8 @@ var _react = require("react");
 
 var _react2 = _interopRequireDefault(_react);
 
+var _marker = require("./marker.const");
+
 function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
@@ -54,10 +70,11 @@ function _inherits(subClass, superClass) {
 }
 
 /**
- * Market component provides configurable interface to marker definition.
+ * Market component provides configurable interface to marker definition. The marker scales with the stroke
+ * width of the links that use it, and it's reversed when used as a start marker.
  * @example
  *
- * <Marker id="marker-id" fill="black" />
+ * <Marker id="marker-id" fill="black" shape="diamond" />
  */
 var Marker = (function(_React$Component) {
     _inherits(Marker, _React$Component);
@@ -74,9 +91,12 @@ var Marker = (function(_React$Component) {
     _createClass(Marker, [
         {
             key: "render",
-
-            // TODO: make Marker configurable in the future (markerWidth, markerHeight)
             value: function render() {
+                var shape = this.props.shape || _marker.MARKER_SHAPES.ARROW;
+                var pathProps = _marker.OPEN_MARKER_SHAPES.includes(shape)
+                    ? { fill: "none", stroke: this.props.fill, strokeWidth: _marker.OPEN_MARKER_STROKE_WIDTH }
+                    : {};
+
                 return _react2.default.createElement(
                     "marker",
                     {
@@ -87,10 +107,10 @@ var Marker = (function(_React$Component) {
                         refY: "0",
                         markerWidth: "6",
                         markerHeight: "6",
-                        orient: "auto",
+                        orient: "auto-start-reverse",
                         fill: this.props.fill,
                     },
-                    _react2.default.createElement("path", { d: "M0,-5L10,0L0,5" })
+                    _react2.default.createElement("path", _extends({ d: _marker.MARKER_PATHS[shape] }, pathProps))
                 );
             },
         },
@@ -3,29 +3,82 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-var HIGHLIGHTED = "H";
-var MARKER_SMALL_SIZE = 16;
-var MARKER_MEDIUM_OFFSET = 2;
-var MARKER_LARGE_OFFSET = 4;
-// internal marker flavors for cross referencing
-var MARKERS = {
-    MARKER_S: "marker-small",
-    MARKER_SH: "marker-small-highlighted",
-    MARKER_M: "marker-medium",
-    MARKER_MH: "marker-medium-highlighted",
-    MARKER_L: "marker-large",
-    MARKER_LH: "marker-large-highlighted",
+
+var _MARKER_PATHS, _MARKER_REF_X;
+
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
+
+/**
+ * @module Marker/const
+ * @description
+ * A set of constants that facilitate readability regarding markers.
+ */
+/**
+ * @typedef {Object} MARKER_SHAPES
+ * @property {string} ARROW - a filled arrow head.
+ * @property {string} OPEN_ARROW - an arrow head drawn with two strokes.
+ * @property {string} CIRCLE - a filled circle.
+ * @property {string} DIAMOND - a filled diamond.
+ * @property {string} BAR - a bar across the link.
+ * @property {string} NONE - no marker at all.
+ * @memberof Marker/const
+ */
+var MARKER_SHAPES = {
+    ARROW: "arrow",
+    OPEN_ARROW: "open-arrow",
+    CIRCLE: "circle",
+    DIAMOND: "diamond",
+    BAR: "bar",
+    NONE: "none",
 };
-// hard coded aggregation of the different sizes available for markers
-var SIZES = {
-    S: "S",
-    M: "M",
-    L: "L",
+
+/**
+ * Path of each marker shape within the marker viewBox ("0 -5 10 10"), every shape ends at x = 10.
+ * @memberof Marker/const
+ */
+var MARKER_PATHS = ((_MARKER_PATHS = {}),
+_defineProperty(_MARKER_PATHS, MARKER_SHAPES.ARROW, "M0,-5L10,0L0,5"),
+_defineProperty(_MARKER_PATHS, MARKER_SHAPES.OPEN_ARROW, "M1,-4L9,0L1,4"),
+_defineProperty(_MARKER_PATHS, MARKER_SHAPES.CIRCLE, "M0,0A5,5 0 1,0 10,0A5,5 0 1,0 0,0"),
+_defineProperty(_MARKER_PATHS, MARKER_SHAPES.DIAMOND, "M0,0L5,-5L10,0L5,5Z"),
+_defineProperty(_MARKER_PATHS, MARKER_SHAPES.BAR, "M7,-5L10,-5L10,5L7,5Z"),
+_MARKER_PATHS);
+
+// shapes that are stroked instead of filled and their stroke width (in marker viewBox units)
+var OPEN_MARKER_SHAPES = [MARKER_SHAPES.OPEN_ARROW];
+var OPEN_MARKER_STROKE_WIDTH = 1.5;
+
+/**
+ * @typedef {Object} MARKER_POSITIONS
+ * @property {string} START - marker at the link source, configured through **markerStart**.
+ * @property {string} MID - marker in the middle of the link, configured through **markerMid**.
+ * @property {string} END - marker at the link target, configured through **markerEnd**.
+ * @memberof Marker/const
+ */
+var MARKER_POSITIONS = {
+    START: "start",
+    MID: "mid",
+    END: "end",
 };
 
-exports.HIGHLIGHTED = HIGHLIGHTED;
-exports.MARKER_LARGE_OFFSET = MARKER_LARGE_OFFSET;
-exports.MARKER_MEDIUM_OFFSET = MARKER_MEDIUM_OFFSET;
-exports.MARKER_SMALL_SIZE = MARKER_SMALL_SIZE;
-exports.MARKERS = MARKERS;
-exports.SIZES = SIZES;
+// links end at the boundary of their nodes, start and end markers place their tip (x = 10) on the link ends
+// while mid markers are centered in the middle of the link
+var MARKER_REF_X = ((_MARKER_REF_X = {}),
+_defineProperty(_MARKER_REF_X, MARKER_POSITIONS.START, 10),
+_defineProperty(_MARKER_REF_X, MARKER_POSITIONS.MID, 5),
+_defineProperty(_MARKER_REF_X, MARKER_POSITIONS.END, 10),
+_MARKER_REF_X);
+
+exports.MARKER_PATHS = MARKER_PATHS;
+exports.MARKER_POSITIONS = MARKER_POSITIONS;
+exports.MARKER_REF_X = MARKER_REF_X;
+exports.MARKER_SHAPES = MARKER_SHAPES;
+exports.OPEN_MARKER_SHAPES = OPEN_MARKER_SHAPES;
+exports.OPEN_MARKER_STROKE_WIDTH = OPEN_MARKER_STROKE_WIDTH;
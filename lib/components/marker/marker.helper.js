@@ -3,106 +3,114 @@
 Object.defineProperty(exports, "__esModule", {
     value: true,
 });
-exports.getMarkerId = undefined;
+exports.getMarkerShapes = exports.getMarkerId = exports.getMarkerDefinitions = undefined;
+
+var _MARKER_PROPERTIES;
 
 var _marker = require("./marker.const");
 
-/**
- * This function is a key template builder to access MARKERS structure.
- * WARN: function tightly coupled to the MARKERS object in marker.const.
- * @param {string} size - string that indicates size of marker.
- * @param {string} highlighted - string that indicates highlight state of marker.
- * @returns {string} the key of the marker.
- * @memberof Marker/helper
- */
-function _markerKeyBuilder(size, highlighted) {
-    return "MARKER_" + size + highlighted;
+var _utils = require("../../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
 }
 
-/**
- * This functions returns the proper marker size given the inputs that describe the scenario
- * where the marker is to be applied.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
- * @param {number} mMax - a derived value from the max zoom config.
- * @param {number} lMax - a derived value from the min zoom config.
- * @returns {string} the size.
- * @memberof Marker/helper
- */
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
 /**
  * @module Marker/helper
  * @description
  * Offers a series of methods to compute proper markers within a given context.
  */
-function _getMarkerSize(transform, mMax, lMax) {
-    if (transform < mMax) {
-        return _marker.SIZES.S;
-    } else if (transform >= mMax && transform < lMax) {
-        return _marker.SIZES.M;
-    } else {
-        return _marker.SIZES.L;
-    }
-}
+
+// link (and link config) property that holds the marker shape of each position
+var MARKER_PROPERTIES = ((_MARKER_PROPERTIES = {}),
+_defineProperty(_MARKER_PROPERTIES, _marker.MARKER_POSITIONS.START, "markerStart"),
+_defineProperty(_MARKER_PROPERTIES, _marker.MARKER_POSITIONS.MID, "markerMid"),
+_defineProperty(_MARKER_PROPERTIES, _marker.MARKER_POSITIONS.END, "markerEnd"),
+_MARKER_PROPERTIES);
 
 /**
- * This function holds logic to retrieve the appropriate marker id that reflects the input
- * parameters, markers can vary with highlight and transform value.
- * @param {boolean} highlight - tells us whether or not some element (link or node) is highlighted.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
+ * Gets the marker shapes of some link, links can override the **markerStart**, **markerMid** and **markerEnd**
+ * shapes of the link config. Markers are only drawn on directed graphs.
+ * @param {Object} link - the link.
  * @param {Object} config - the graph config object.
- * @returns {string} the id of the result marker.
+ * @param {boolean} config.directed - whether the graph is directed.
+ * @param {Object} config.link - the link config, with the default marker shapes.
+ * @returns {Object.<string, string>} the marker shape (or null for no marker) of each position (start, mid and end).
  * @memberof Marker/helper
  */
-function _computeMarkerId(highlight, transform, _ref) {
-    var maxZoom = _ref.maxZoom;
+function getMarkerShapes(link, _ref) {
+    var directed = _ref.directed,
+        linkConfig = _ref.link;
+
+    return Object.keys(MARKER_PROPERTIES).reduce(function(acc, position) {
+        var property = MARKER_PROPERTIES[position];
+        var shape = link[property] || linkConfig[property];
 
-    var mMax = maxZoom / 4;
-    var lMax = maxZoom / 2;
-    var size = _getMarkerSize(transform, mMax, lMax);
-    var highlighted = highlight ? _marker.HIGHLIGHTED : "";
-    var markerKey = _markerKeyBuilder(size, highlighted);
+        acc[position] = directed && _marker.MARKER_PATHS[shape] ? shape : null;
 
-    return _marker.MARKERS[markerKey];
+        return acc;
+    }, {});
 }
 
 /**
- * This function memoize results for _computeMarkerId
- * since many of the times user will be playing around with the same zoom
- * factor, we can take advantage of this and cache the results for a
- * given combination of highlight state, zoom transform value and maxZoom config.
- * @returns{Function} memoize wrapper to the _computeMarkerId operation.
+ * Builds the id of the marker definition for some shape, position and color. Start and end markers share
+ * their definitions (start markers are reversed by the svg `auto-start-reverse` orientation).
+ * Marker ids are prefixed with the graph id, so that several graphs can live on the same page.
+ * @param {string} graphId - the id of the graph that owns the marker.
+ * @param {string} shape - the marker shape (one of MARKER_SHAPES).
+ * @param {string} position - the marker position (one of MARKER_POSITIONS).
+ * @param {string} color - the marker color, same as the link stroke.
+ * @returns {string} the id of the marker.
  * @memberof Marker/helper
  */
-function _memoizedComputeMarkerId() {
-    var cache = {};
-
-    return function(highlight, transform, _ref2) {
-        var maxZoom = _ref2.maxZoom;
+function getMarkerId(graphId, shape, position, color) {
+    var anchor = position === _marker.MARKER_POSITIONS.MID ? "mid" : "tip";
 
-        var cacheKey = highlight + ";" + transform + ";" + maxZoom;
-
-        if (cache[cacheKey]) {
-            return cache[cacheKey];
-        }
-
-        var markerId = _computeMarkerId(highlight, transform, { maxZoom: maxZoom });
-
-        cache[cacheKey] = markerId;
-
-        return markerId;
-    };
+    return graphId + "-marker-" + shape + "-" + anchor + "-" + _utils2.default.toIdFragment(color);
 }
 
 /**
- * Memoized reference for _memoizedComputeMarkerId exposed
- * as getter for sake of readability.
- * Gets proper marker id given the highlight state and the zoom
- * transform.
- * @param {boolean} highlight - tells us whether or not some element (link or node) is highlighted.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
- * @param {Object} config - the graph config object.
- * @param {Object} config.maxZoom - max zoom that can be performed against the graph.
+ * Lists the marker definitions needed to render some links, one for each combination of shape,
+ * position and color in use.
+ * @param {string} graphId - the id of the graph that owns the markers.
+ * @param {Array.<Object>} linksProps - the props of the links, as built by buildLinkProps.
+ * @returns {Array.<Object>} the marker definitions, each with its id, shape, fill and refX.
  * @memberof Marker/helper
  */
-var getMarkerId = _memoizedComputeMarkerId();
+function getMarkerDefinitions(graphId, linksProps) {
+    var definitions = linksProps.reduce(function(acc, _ref2) {
+        var _ref2$markers = _ref2.markers,
+            markers = _ref2$markers === undefined ? {} : _ref2$markers,
+            stroke = _ref2.stroke;
+
+        Object.keys(markers)
+            .filter(function(position) {
+                return markers[position];
+            })
+            .forEach(function(position) {
+                var id = getMarkerId(graphId, markers[position], position, stroke);
+
+                acc[id] = { id: id, shape: markers[position], fill: stroke, refX: _marker.MARKER_REF_X[position] };
+            });
+
+        return acc;
+    }, {});
+
+    return Object.keys(definitions).map(function(id) {
+        return definitions[id];
+    });
+}
 
+exports.getMarkerDefinitions = getMarkerDefinitions;
 exports.getMarkerId = getMarkerId;
+exports.getMarkerShapes = getMarkerShapes;
@@ -51,6 +51,17 @@ function _interopRequireDefault(obj) {
     return obj && obj.__esModule ? obj : { default: obj };
 }
 
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
 function _classCallCheck(instance, Constructor) {
     if (!(instance instanceof Constructor)) {
         throw new TypeError("Cannot call a class as a function");
@@ -96,14 +107,25 @@ function _inherits(subClass, superClass) {
  *
  * <Node
  *     id='nodeId'
+ *     badge='3'
+ *     badgeColor='red'
+ *     badgeFontColor='white'
+ *     badgeRadius=7
+ *     badgeX=3
+ *     badgeY=-3
  *     cx=22
  *     cy=22
  *     fill='green'
  *     fontSize=10
  *     fontColor='black'
  *     fontWeight='normal'
- *     dx=90
  *     label='label text'
+ *     labelAnchor='start'
+ *     labelLineHeight=12
+ *     labelLines={['label', 'text']}
+ *     labelTitle={null}
+ *     labelX=10
+ *     labelY=-3
  *     opacity=1
  *     renderLabel=true
  *     size=200
@@ -138,8 +160,8 @@ var Node = (function(_React$Component) {
                 (_ref = Node.__proto__ || Object.getPrototypeOf(Node)).call.apply(_ref, [this].concat(args))
             )),
             _this)),
-            (_this.handleOnClickNode = function() {
-                return _this.props.onClickNode && _this.props.onClickNode(_this.props.id);
+            (_this.handleOnClickNode = function(event) {
+                return _this.props.onClickNode && _this.props.onClickNode(_this.props.id, event);
             }),
             (_this.handleOnRightClickNode = function(event) {
                 return _this.props.onRightClickNode && _this.props.onRightClickNode(event, _this.props.id);
@@ -156,6 +178,7 @@ var Node = (function(_React$Component) {
     }
     /**
      * Handle click on the node.
+     * @param {Object} event - native event.
      * @returns {undefined}
      */
 
@@ -179,6 +202,8 @@ var Node = (function(_React$Component) {
         {
             key: "render",
             value: function render() {
+                var _this2 = this;
+
                 var nodeProps = {
                     cursor: this.props.cursor,
                     onClick: this.handleOnClickNode,
@@ -189,17 +214,41 @@ var Node = (function(_React$Component) {
                 };
 
                 var textProps = {
-                    dx: this.props.dx || _node2.default.NODE_LABEL_DX,
-                    dy: _node2.default.NODE_LABEL_DY,
                     fill: this.props.fontColor,
                     fontSize: this.props.fontSize,
                     fontWeight: this.props.fontWeight,
                     opacity: this.props.opacity,
                 };
+                var labelContent = this.props.label;
+
+                if (this.props.labelLines) {
+                    // labels laid out by the graph builder, positioned relative to the node center
+                    textProps.x = this.props.labelX;
+                    textProps.y = this.props.labelY;
+                    textProps.textAnchor = this.props.labelAnchor;
+                    labelContent = [
+                        this.props.labelTitle &&
+                            _react2.default.createElement("title", { key: "title" }, this.props.labelTitle),
+                    ].concat(
+                        _toConsumableArray(
+                            this.props.labelLines.map(function(line, i) {
+                                return _react2.default.createElement(
+                                    "tspan",
+                                    { key: i, x: _this2.props.labelX, dy: i ? _this2.props.labelLineHeight : 0 },
+                                    line
+                                );
+                            })
+                        )
+                    );
+                } else {
+                    textProps.dx = this.props.dx || _node2.default.NODE_LABEL_DX;
+                    textProps.dy = _node2.default.NODE_LABEL_DY;
+                }
 
                 var size = this.props.size;
                 var gtx = this.props.cx;
                 var gty = this.props.cy;
+                var badgeTransform = void 0;
                 var label = void 0;
                 var node = void 0;
 
@@ -213,8 +262,9 @@ var Node = (function(_React$Component) {
                     label = _react2.default.createElement(
                         "text",
                         _extends({}, textProps, { transform: transform }),
-                        this.props.label
+                        labelContent
                     );
+                    badgeTransform = transform;
 
                     // By default, if a view generator is set, it takes precedence over any svg image url
                     if (this.props.viewGenerator && !this.props.overrideGlobalViewGenerator) {
@@ -247,7 +297,7 @@ var Node = (function(_React$Component) {
                     nodeProps.stroke = this.props.stroke;
                     nodeProps.strokeWidth = this.props.strokeWidth;
 
-                    label = _react2.default.createElement("text", textProps, this.props.label);
+                    label = _react2.default.createElement("text", textProps, labelContent);
                     node = _react2.default.createElement("path", nodeProps);
                 }
 
@@ -259,7 +309,32 @@ var Node = (function(_React$Component) {
                     transform: "translate(" + gtx + "," + gty + ")",
                 };
 
-                return _react2.default.createElement("g", gProps, node, this.props.renderLabel && label);
+                var badge =
+                    this.props.badge &&
+                    _react2.default.createElement(
+                        "g",
+                        { transform: badgeTransform, style: { pointerEvents: "none" } },
+                        _react2.default.createElement("circle", {
+                            cx: this.props.badgeX,
+                            cy: this.props.badgeY,
+                            r: this.props.badgeRadius,
+                            fill: this.props.badgeColor,
+                        }),
+                        _react2.default.createElement(
+                            "text",
+                            {
+                                x: this.props.badgeX,
+                                y: this.props.badgeY,
+                                dy: _node2.default.NODE_BADGE_DY,
+                                fill: this.props.badgeFontColor,
+                                fontSize: this.props.fontSize,
+                                textAnchor: "middle",
+                            },
+                            this.props.badge
+                        )
+                    );
+
+                return _react2.default.createElement("g", gProps, node, this.props.renderLabel && label, badge);
             },
         },
     ]);
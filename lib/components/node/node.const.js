@@ -39,6 +39,28 @@ exports.default = _extends(
         DEFAULT_NODE_SIZE: _graph2.default.node.size,
         NODE_LABEL_DX: ".90em",
         NODE_LABEL_DY: "-0.7em",
+        NODE_LABEL_POSITIONS: {
+            RIGHT: "right",
+            LEFT: "left",
+            TOP: "top",
+            BOTTOM: "bottom",
+            CENTER: "center",
+        },
+        // the following sizes are relative to the label font size
+        NODE_LABEL_GAP: 0.25,
+        NODE_LABEL_LINE_HEIGHT: 1.2,
+        // average character width, used to estimate where to wrap labels
+        NODE_LABEL_CHAR_WIDTH: 0.6,
+        // distances between the text baseline and the top (ascent) or bottom (descent) of the text,
+        // and how far the baseline moves so that the text is vertically centered
+        NODE_LABEL_ASCENT: 0.8,
+        NODE_LABEL_DESCENT: 0.25,
+        NODE_LABEL_MIDDLE: 0.35,
+        NODE_LABEL_ELLIPSIS: "\u2026",
+        // the badge of collapsed nodes sits on the node boundary (top right), its radius is relative to the label font size
+        NODE_BADGE_ANGLE: -Math.PI / 4,
+        NODE_BADGE_RADIUS: 0.9,
+        NODE_BADGE_DY: "0.35em",
     },
     _const2.default
 );
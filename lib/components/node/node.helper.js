@@ -4,6 +4,25 @@ Object.defineProperty(exports, "__esModule", {
     value: true,
 });
 
+var _extends =
+    Object.assign ||
+    function(target) {
+        for (var i = 1; i < arguments.length; i++) {
+            var source = arguments[i];
+            for (var key in source) {
+                if (Object.prototype.hasOwnProperty.call(source, key)) {
+                    target[key] = source[key];
+                }
+            }
+        }
+        return target;
+    };
+/**
+ * @module Node/helper
+ * @description
+ * Some methods that help no the process of rendering a node.
+ */
+
 var _d3Shape = require("d3-shape");
 
 var _node = require("./node.const");
@@ -22,11 +41,6 @@ function _interopRequireDefault(obj) {
  * @returns {Object} concrete instance of d3 symbol (defaults to circle).
  * @memberof Node/helper
  */
-/**
- * @module Node/helper
- * @description
- * Some methods that help no the process of rendering a node.
- */
 function _convertTypeToD3Symbol(typeName) {
     switch (typeName) {
         case _node2.default.SYMBOLS.CIRCLE:
@@ -70,6 +84,201 @@ function buildSvgSymbol() {
         })();
 }
 
+/**
+ * Computes the distance between the center of some node and its boundary in a given direction, this is
+ * where links should start and end so that they (and their markers) touch the node edge. Circles, squares,
+ * diamonds and the rectangles of svg and custom view nodes are exact, other symbols are approximated by the
+ * circle of the same area.
+ * @param {Object} shape - the node shape.
+ * @param {number} shape.size - the size of the node, same as its Node component size prop.
+ * @param {string} [shape.type='circle'] - the symbol type of the node (should be one of {@link #node-symbol-type|node.symbolType}).
+ * @param {boolean} [shape.rect=false] - whether the node is rendered as a square image (svg or viewGenerator).
+ * @param {number} angle - the direction (in radians) in which to measure the distance.
+ * @returns {number} the distance from the node center to its boundary.
+ * @memberof Node/helper
+ */
+function getNodeBoundaryDistance(_ref, angle) {
+    var _ref$size = _ref.size,
+        size = _ref$size === undefined ? _node2.default.DEFAULT_NODE_SIZE : _ref$size,
+        _ref$type = _ref.type,
+        type = _ref$type === undefined ? _node2.default.SYMBOLS.CIRCLE : _ref$type,
+        _ref$rect = _ref.rect,
+        rect = _ref$rect === undefined ? false : _ref$rect;
+
+    var cos = Math.abs(Math.cos(angle));
+    var sin = Math.abs(Math.sin(angle));
+
+    if (rect) {
+        // svg and custom view nodes are size / 10 squares
+        return size / 20 / Math.max(cos, sin);
+    }
+
+    switch (type) {
+        case _node2.default.SYMBOLS.SQUARE:
+            return Math.sqrt(size) / 2 / Math.max(cos, sin);
+        case _node2.default.SYMBOLS.DIAMOND: {
+            // same proportions as d3 symbolDiamond
+            var tan30 = Math.sqrt(1 / 3);
+            var halfHeight = Math.sqrt(size / (tan30 * 2));
+            var halfWidth = halfHeight * tan30;
+
+            return 1 / (cos / halfWidth + sin / halfHeight);
+        }
+        default:
+            return Math.sqrt(size / Math.PI);
+    }
+}
+
+/**
+ * Computes the bounding box of some node, out of the distances between its center and its boundary.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @returns {Object} the width and height of the node bounding box.
+ * @memberof Node/helper
+ */
+function getNodeExtent(shape) {
+    return {
+        width: 2 * getNodeBoundaryDistance(shape, 0),
+        height: 2 * getNodeBoundaryDistance(shape, Math.PI / 2),
+    };
+}
+
+/**
+ * Breaks some label into lines that fit a given number of characters, words are kept whole unless
+ * they don't fit a line by themselves. When there are more lines than allowed the last line is
+ * truncated with an ellipsis.
+ * @param {string} label - the label text.
+ * @param {number} maxChars - the maximum number of characters per line.
+ * @param {number} [maxLines] - the maximum number of lines (no limit when not set).
+ * @returns {Array.<string>} the label lines.
+ * @memberof Node/helper
+ */
+function _wrapLabel(label, maxChars, maxLines) {
+    var lines = ("" + label)
+        .split(/\s+/)
+        .filter(function(word) {
+            return word;
+        })
+        .reduce(function(acc, word) {
+            var last = acc[acc.length - 1];
+
+            if (last !== undefined && last.length + 1 + word.length <= maxChars) {
+                acc[acc.length - 1] = last + " " + word;
+
+                return acc;
+            }
+
+            for (var i = 0; i < word.length; i += maxChars) {
+                acc.push(word.slice(i, i + maxChars));
+            }
+
+            return acc;
+        }, []);
+
+    if (!maxLines || lines.length <= maxLines) {
+        return lines;
+    }
+
+    var kept = lines.slice(0, maxLines);
+    var last = kept[maxLines - 1];
+
+    kept[maxLines - 1] =
+        "" + (last.length < maxChars ? last : last.slice(0, maxChars - 1)) + _node2.default.NODE_LABEL_ELLIPSIS;
+
+    return kept;
+}
+
+/**
+ * Lays out the label of some node, labels are placed around the node (right, left, top or bottom) or over it
+ * (center), next to the node boundary regardless of whether the node is a symbol, an svg image or a custom view.
+ * Long labels can be wrapped into several lines and truncated with an ellipsis.
+ * @param {string} label - the label text.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @param {Object} options - label options.
+ * @param {string} [options.position="right"] - one of right, left, top, bottom or center.
+ * @param {number} [options.maxWidth] - the width (same units as the font size) at which the label is wrapped.
+ * @param {number} [options.maxLines] - the maximum number of lines, further text is truncated with an ellipsis.
+ * @param {number} options.fontSize - the label font size.
+ * @returns {Object} the label **lines**, the full label as **title** when it was truncated (null otherwise), the
+ * position of the first line baseline (**x** and **y**, relative to the node center), the **lineHeight** and
+ * the text **anchor** (start, middle or end).
+ * @memberof Node/helper
+ */
+function getNodeLabelLayout(label, shape, _ref2) {
+    var _ref2$position = _ref2.position,
+        position = _ref2$position === undefined ? _node2.default.NODE_LABEL_POSITIONS.RIGHT : _ref2$position,
+        maxWidth = _ref2.maxWidth,
+        maxLines = _ref2.maxLines,
+        fontSize = _ref2.fontSize;
+
+    var text = "" + label;
+    var lines = maxWidth
+        ? _wrapLabel(
+              text,
+              Math.max(Math.floor(maxWidth / (fontSize * _node2.default.NODE_LABEL_CHAR_WIDTH)), 1),
+              maxLines
+          )
+        : [text];
+    var truncated = lines.length && lines[lines.length - 1].endsWith(_node2.default.NODE_LABEL_ELLIPSIS);
+    var lineHeight = fontSize * _node2.default.NODE_LABEL_LINE_HEIGHT;
+    var blockHeight = (lines.length - 1) * lineHeight;
+    var gap = fontSize * _node2.default.NODE_LABEL_GAP;
+    // baseline of the first line so that the label block is vertically centered at the node center
+    var middle = -blockHeight / 2 + fontSize * _node2.default.NODE_LABEL_MIDDLE;
+    var layout = { lines: lines, title: truncated && text !== lines.join(" ") ? text : null, lineHeight: lineHeight };
+
+    switch (position) {
+        case _node2.default.NODE_LABEL_POSITIONS.LEFT:
+            return _extends({}, layout, {
+                x: -getNodeBoundaryDistance(shape, Math.PI) - gap,
+                y: middle,
+                anchor: "end",
+            });
+        case _node2.default.NODE_LABEL_POSITIONS.TOP: {
+            var top = getNodeBoundaryDistance(shape, -Math.PI / 2) + gap;
+
+            return _extends({}, layout, {
+                x: 0,
+                y: -top - blockHeight - fontSize * _node2.default.NODE_LABEL_DESCENT,
+                anchor: "middle",
+            });
+        }
+        case _node2.default.NODE_LABEL_POSITIONS.BOTTOM: {
+            var bottom = getNodeBoundaryDistance(shape, Math.PI / 2) + gap;
+
+            return _extends({}, layout, {
+                x: 0,
+                y: bottom + fontSize * _node2.default.NODE_LABEL_ASCENT,
+                anchor: "middle",
+            });
+        }
+        case _node2.default.NODE_LABEL_POSITIONS.CENTER:
+            return _extends({}, layout, { x: 0, y: middle, anchor: "middle" });
+        default:
+            return _extends({}, layout, { x: getNodeBoundaryDistance(shape, 0) + gap, y: middle, anchor: "start" });
+    }
+}
+
+/**
+ * Lays out the badge of some node, a small circle on the top right of the node boundary.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @param {number} fontSize - the badge font size.
+ * @returns {Object} the badge center (**x** and **y**, relative to the node center) and **radius**.
+ * @memberof Node/helper
+ */
+function getNodeBadgeLayout(shape, fontSize) {
+    var distance = getNodeBoundaryDistance(shape, _node2.default.NODE_BADGE_ANGLE);
+
+    return {
+        x: distance * Math.cos(_node2.default.NODE_BADGE_ANGLE),
+        y: distance * Math.sin(_node2.default.NODE_BADGE_ANGLE),
+        radius: fontSize * _node2.default.NODE_BADGE_RADIUS,
+    };
+}
+
 exports.default = {
     buildSvgSymbol: buildSvgSymbol,
+    getNodeBadgeLayout: getNodeBadgeLayout,
+    getNodeBoundaryDistance: getNodeBoundaryDistance,
+    getNodeExtent: getNodeExtent,
+    getNodeLabelLayout: getNodeLabelLayout,
 };
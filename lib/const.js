@@ -9,6 +9,13 @@ Object.defineProperty(exports, "__esModule", {
  * in the tree directory.
  */
 exports.default = {
+    FORMATS: {
+        ADJACENCY_MATRIX: "adjacency-matrix",
+        CSV: "csv",
+        DOT: "dot",
+        GEXF: "gexf",
+        GRAPHML: "graphml",
+    },
     SYMBOLS: {
         CIRCLE: "circle",
         CROSS: "cross",
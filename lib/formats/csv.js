@@ -0,0 +1,141 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.toCSV = exports.toAdjacencyMatrix = undefined;
+
+var _formats = require("./formats.helper");
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+/**
+ * @module Formats/csv
+ * @description
+ * Serializes graphs as CSV tables to be used in spreadsheets, either as a pair of node and edge lists (one row
+ * per node or edge, one column per exported property) or as a dense adjacency matrix.
+ */
+
+/**
+ * Writes some CSV field, fields holding commas, double quotes or line breaks are quoted.
+ * @param {*} value - the field value.
+ * @returns {string} the CSV field.
+ * @memberof Formats/csv
+ */
+function _writeField(value) {
+    var field = value === undefined || value === null ? "" : "" + value;
+
+    return /[",\r\n]/.test(field) ? '"' + field.replace(/(")/g, "$1$1") + '"' : field;
+}
+
+/**
+ * Writes some CSV table.
+ * @param {Array.<Array>} rows - the table rows (header included).
+ * @returns {string} the CSV table.
+ * @memberof Formats/csv
+ */
+function _writeTable(rows) {
+    return (
+        rows
+            .map(function(row) {
+                return row.map(_writeField).join(",");
+            })
+            .join("\r\n") + "\r\n"
+    );
+}
+
+/**
+ * Serializes some graph state as a pair of CSV node and edge lists. The node list has an **id** column and the
+ * edge list has **source**, **target** and **weight** columns, followed by a column for each exported property.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {Object} the CSV tables, an object with **nodes** and **edges**.
+ * @memberof Formats/csv
+ */
+function toCSV(graph) {
+    var _readGraph = (0, _formats.readGraph)(graph),
+        nodes = _readGraph.nodes,
+        edges = _readGraph.edges;
+
+    var nodeColumns = (0, _formats.getAttributeNames)(nodes);
+    var edgeColumns = (0, _formats.getAttributeNames)(edges);
+
+    return {
+        nodes: _writeTable(
+            [["id"].concat(_toConsumableArray(nodeColumns))].concat(
+                _toConsumableArray(
+                    nodes.map(function(_ref) {
+                        var id = _ref.id,
+                            attributes = _ref.attributes;
+                        return [id].concat(
+                            _toConsumableArray(
+                                nodeColumns.map(function(column) {
+                                    return attributes[column];
+                                })
+                            )
+                        );
+                    })
+                )
+            )
+        ),
+        edges: _writeTable(
+            [["source", "target"].concat(_toConsumableArray(edgeColumns))].concat(
+                _toConsumableArray(
+                    edges.map(function(_ref2) {
+                        var source = _ref2.source,
+                            target = _ref2.target,
+                            attributes = _ref2.attributes;
+                        return [source, target].concat(
+                            _toConsumableArray(
+                                edgeColumns.map(function(column) {
+                                    return attributes[column];
+                                })
+                            )
+                        );
+                    })
+                )
+            )
+        ),
+    };
+}
+
+/**
+ * Serializes the links matrix of some graph state as a dense CSV adjacency matrix, where the cell in row
+ * **source** and column **target** holds the weight of the link between them (0 when not linked), the lowest weight
+ * when there are parallel links. Undirected graphs produce symmetric matrices and collapsed links have no weight.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the CSV adjacency matrix, with node ids in both the header row and column.
+ * @memberof Formats/csv
+ */
+function toAdjacencyMatrix(_ref3) {
+    var nodes = _ref3.nodes,
+        links = _ref3.links;
+
+    var ids = Object.keys(nodes);
+
+    return _writeTable(
+        [[""].concat(_toConsumableArray(ids))].concat(
+            _toConsumableArray(
+                ids.map(function(source) {
+                    return [source].concat(
+                        _toConsumableArray(
+                            ids.map(function(target) {
+                                return (links[source] && links[source][target]) || 0;
+                            })
+                        )
+                    );
+                })
+            )
+        )
+    );
+}
+
+exports.toAdjacencyMatrix = toAdjacencyMatrix;
+exports.toCSV = toCSV;
@@ -0,0 +1,508 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.toDOT = exports.fromDOT = undefined;
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+
+var _DOT_SHAPES;
+
+var _const = require("../const");
+
+var _const2 = _interopRequireDefault(_const);
+
+var _err = require("../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _formats = require("./formats.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+function _objectWithoutProperties(obj, keys) {
+    var target = {};
+    for (var i in obj) {
+        if (keys.indexOf(i) >= 0) continue;
+        if (!Object.prototype.hasOwnProperty.call(obj, i)) continue;
+        target[i] = obj[i];
+    }
+    return target;
+}
+
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
+/**
+ * @module Formats/dot
+ * @description
+ * Parses [Graphviz DOT](https://graphviz.org/doc/info/lang.html) documents. Node, edge and default (`node [...]`,
+ * `edge [...]`) attributes are mapped onto node and link properties, e.g. `fillcolor`/`color`, `label`, `shape`,
+ * `pos`, `weight` and `penwidth`. Graph attributes are ignored. Subgraphs, ports and HTML labels are not supported.
+ * Graphs are serialized the other way around, with node positions written as pinned `pos` attributes.
+ *
+ * Within quoted strings `\"` and `\\` are read as a double quote and a backslash, every other backslash is kept as
+ * it is, thus Graphviz escape sequences such as `\n` or `\l` remain in labels.
+ */
+
+var FORMAT = "DOT";
+var KEYWORDS = ["digraph", "edge", "graph", "node", "strict", "subgraph"];
+var PUNCTUATION = "{}[]=;,:";
+// Graphviz shapes of the rd3g symbol types, wye has no counterpart
+var DOT_SHAPES = ((_DOT_SHAPES = {}),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.CIRCLE, "circle"),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.CROSS, "plus"),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.DIAMOND, "diamond"),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.SQUARE, "box"),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.STAR, "star"),
+_defineProperty(_DOT_SHAPES, _const2.default.SYMBOLS.TRIANGLE, "triangle"),
+_DOT_SHAPES);
+
+/**
+ * Splits some DOT document into tokens. Comments and whitespace are dropped, quoted strings are unescaped
+ * (only `\"` and `\\`) and concatenated when joined with `+`.
+ * @param {string} text - the DOT document.
+ * @returns {Array.<Object>} the tokens, each with a **type** (id, keyword, edgeop or punctuation) and a **value**.
+ * @memberof Formats/dot
+ */
+function _tokenize(text) {
+    var tokens = [];
+    var i = 0;
+
+    while (i < text.length) {
+        var rest = text.slice(i);
+        var char = text[i];
+        var match = void 0;
+
+        if ((match = rest.match(/^(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*)/))) {
+            i += match[0].length;
+        } else if (/^"/.test(rest)) {
+            match = rest.match(/^"((?:[^"\\]|\\[\s\S])*)"/);
+
+            if (!match) {
+                _utils2.default.throwErr(FORMAT, _err2.default.FORMAT_INVALID_DOCUMENT + " - unterminated string");
+            }
+
+            // line continuations are dropped, escaped quotes and backslashes are unescaped, other escapes are kept
+            var value = match[1].replace(/\\(\n|["\\])/g, function(escape, char) {
+                return char === "\n" ? "" : char;
+            });
+            var last = tokens[tokens.length - 1];
+            var previous = tokens[tokens.length - 2];
+
+            if (last && last.type === "concat" && previous && previous.quoted) {
+                tokens.pop();
+                previous.value += value;
+            } else {
+                tokens.push({ type: "id", value: value, quoted: true });
+            }
+
+            i += match[0].length;
+        } else if (char === "<") {
+            (0, _formats.throwUnsupported)(FORMAT, "HTML strings");
+        } else if (rest.indexOf("->") === 0 || rest.indexOf("--") === 0) {
+            tokens.push({ type: "edgeop", value: rest.slice(0, 2) });
+            i += 2;
+        } else if ((match = rest.match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/))) {
+            var _value = match[0];
+            var keyword = KEYWORDS.indexOf(_value.toLowerCase()) !== -1;
+
+            tokens.push({ type: keyword ? "keyword" : "id", value: keyword ? _value.toLowerCase() : _value });
+            i += _value.length;
+        } else if (char === "+") {
+            tokens.push({ type: "concat", value: char });
+            i++;
+        } else if (PUNCTUATION.indexOf(char) !== -1) {
+            tokens.push({ type: "punctuation", value: char });
+            i++;
+        } else {
+            _utils2.default.throwErr(
+                FORMAT,
+                _err2.default.FORMAT_INVALID_DOCUMENT + ' - unexpected character "' + char + '"'
+            );
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Creates a parser over a list of tokens.
+ * @param {Array.<Object>} tokens - the tokens (see _tokenize).
+ * @returns {Object} the parser with **peek**, **is**, **next**, **accept** and **expect** methods.
+ * @memberof Formats/dot
+ */
+function _createParser(tokens) {
+    var position = 0;
+
+    var peek = function peek() {
+        var offset = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : 0;
+        return tokens[position + offset];
+    };
+    var is = function is(type, value) {
+        var token = peek();
+
+        return !!token && token.type === type && (value === undefined || token.value === value);
+    };
+    var next = function next() {
+        return tokens[position++];
+    };
+    var accept = function accept(type, value) {
+        return is(type, value) ? next() : null;
+    };
+    var expect = function expect(type, value) {
+        if (!is(type, value)) {
+            var token = peek();
+
+            _utils2.default.throwErr(
+                FORMAT,
+                _err2.default.FORMAT_INVALID_DOCUMENT +
+                    " - expected " +
+                    (value || type) +
+                    " but found " +
+                    (token ? '"' + token.value + '"' : "end of document")
+            );
+        }
+
+        return next();
+    };
+
+    return { accept: accept, expect: expect, is: is, next: next, peek: peek };
+}
+
+/**
+ * Parses a list of attributes, e.g. `[color=red, label="A"][shape=box]`.
+ * @param {Object} parser - the parser (see _createParser).
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/dot
+ */
+function _parseAttributes(parser) {
+    var attributes = {};
+
+    while (parser.accept("punctuation", "[")) {
+        while (!parser.accept("punctuation", "]")) {
+            var name = parser.expect("id").value;
+
+            parser.expect("punctuation", "=");
+            attributes[name] = parser.expect("id").value;
+            parser.accept("punctuation", ",") || parser.accept("punctuation", ";");
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * Converts DOT specific attributes into their generic counterparts, `pos` is split into x and y and
+ * `fillcolor` takes precedence over `color` (which is the outline color in Graphviz).
+ * @param {Object} attributes - attribute values mapped by attribute name.
+ * @returns {Object} the converted attributes.
+ * @memberof Formats/dot
+ */
+function _normalizeNodeAttributes(_ref) {
+    var pos = _ref.pos,
+        fillcolor = _ref.fillcolor,
+        attributes = _objectWithoutProperties(_ref, ["pos", "fillcolor"]);
+
+    if (pos) {
+        var _pos$replace$split = pos.replace("!", "").split(","),
+            _pos$replace$split2 = _slicedToArray(_pos$replace$split, 2),
+            x = _pos$replace$split2[0],
+            y = _pos$replace$split2[1];
+
+        attributes.x = x;
+        attributes.y = y;
+    }
+
+    if (fillcolor) {
+        attributes.color = fillcolor;
+    }
+
+    return attributes;
+}
+
+/**
+ * Parses some DOT document into the rd3g data shape.
+ * @param {string} text - the DOT document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (subgraphs, ports and HTML strings).
+ * @memberof Formats/dot
+ */
+function fromDOT(text) {
+    var parser = _createParser(_tokenize(text));
+    var nodes = {};
+    var order = [];
+    var links = [];
+    var defaults = { node: {}, edge: {} };
+
+    parser.accept("keyword", "strict");
+
+    var type = parser.expect("keyword").value;
+
+    if (type !== "graph" && type !== "digraph") {
+        _utils2.default.throwErr(
+            FORMAT,
+            _err2.default.FORMAT_INVALID_DOCUMENT + ' - expected graph or digraph but found "' + type + '"'
+        );
+    }
+
+    var directed = type === "digraph";
+    var edgeop = directed ? "->" : "--";
+
+    parser.accept("id");
+    parser.expect("punctuation", "{");
+
+    var readNodeId = function readNodeId() {
+        if (parser.is("keyword", "subgraph") || parser.is("punctuation", "{")) {
+            (0, _formats.throwUnsupported)(FORMAT, "subgraphs");
+        }
+
+        var id = parser.expect("id").value;
+
+        if (parser.is("punctuation", ":")) {
+            (0, _formats.throwUnsupported)(FORMAT, 'ports in node "' + id + '"');
+        }
+
+        if (!nodes[id]) {
+            nodes[id] = Object.assign({}, defaults.node);
+            order.push(id);
+        }
+
+        return id;
+    };
+
+    while (!parser.accept("punctuation", "}")) {
+        var token = parser.peek();
+
+        if (!token) {
+            parser.expect("punctuation", "}");
+        }
+
+        if (token.type === "keyword" && (token.value === "node" || token.value === "edge")) {
+            parser.next();
+            Object.assign(defaults[token.value], _parseAttributes(parser));
+        } else if (token.type === "keyword" && token.value === "graph") {
+            parser.next();
+            _parseAttributes(parser);
+        } else if (token.type === "id" && parser.peek(1) && parser.peek(1).value === "=") {
+            // graph attributes (e.g. rankdir=LR) have no counterpart in rd3g
+            parser.next();
+            parser.expect("punctuation", "=");
+            parser.expect("id");
+        } else {
+            var ids = [readNodeId()];
+
+            while (parser.is("edgeop")) {
+                if (parser.next().value !== edgeop) {
+                    _utils2.default.throwErr(
+                        FORMAT,
+                        _err2.default.FORMAT_INVALID_DOCUMENT +
+                            ' - "' +
+                            edgeop +
+                            '" must be used in ' +
+                            (directed ? "digraph" : "graph")
+                    );
+                }
+
+                ids.push(readNodeId());
+            }
+
+            var attributes = _parseAttributes(parser);
+
+            if (ids.length === 1) {
+                Object.assign(nodes[ids[0]], attributes);
+            } else {
+                for (var i = 1; i < ids.length; i++) {
+                    links.push(
+                        (0, _formats.toLink)(FORMAT, ids[i - 1], ids[i], Object.assign({}, defaults.edge, attributes))
+                    );
+                }
+            }
+        }
+
+        parser.accept("punctuation", ";");
+    }
+
+    if (parser.peek()) {
+        _utils2.default.throwErr(FORMAT, _err2.default.FORMAT_MULTIPLE_GRAPHS);
+    }
+
+    return {
+        nodes: order.map(function(id) {
+            return (0, _formats.toNode)(FORMAT, id, _normalizeNodeAttributes(nodes[id]));
+        }),
+        links: links,
+        directed: directed,
+    };
+}
+
+/**
+ * Quotes some DOT id, numbers are written as they are. Double quotes are escaped, and so are the backslashes
+ * that would otherwise be read as part of an escape (before a quote, a backslash, a line break or the closing quote).
+ * Other backslashes are kept, e.g. Graphviz `\n` and `\l` escapes.
+ * @param {*} value - the id or attribute value.
+ * @returns {string} the quoted id.
+ * @memberof Formats/dot
+ */
+function _quote(value) {
+    return typeof value === "number" ? "" + value : '"' + ("" + value).replace(/\\(?=["\\\n]|$)|"/g, "\\$&") + '"';
+}
+
+/**
+ * Writes the attribute list of some node or edge.
+ * @param {Object} attributes - attribute values mapped by DOT attribute name.
+ * @returns {string} the attribute list (empty if there are no attributes).
+ * @memberof Formats/dot
+ */
+function _writeAttributes(attributes) {
+    var list = Object.keys(attributes)
+        .filter(function(name) {
+            return attributes[name] !== undefined;
+        })
+        .map(function(name) {
+            return name + "=" + _quote(attributes[name]);
+        });
+
+    return list.length ? " [" + list.join(", ") + "]" : "";
+}
+
+/**
+ * Converts the exported attributes of some node into their DOT counterparts, e.g. color into fillcolor,
+ * symbolType into shape and x and y into a pinned pos.
+ * @param {Object} attributes - the node attributes.
+ * @returns {Object} the DOT attributes.
+ * @memberof Formats/dot
+ */
+function _toNodeAttributes(_ref2) {
+    var color = _ref2.color,
+        symbolType = _ref2.symbolType,
+        x = _ref2.x,
+        y = _ref2.y,
+        attributes = _objectWithoutProperties(_ref2, ["color", "symbolType", "x", "y"]);
+
+    var shape = DOT_SHAPES[symbolType];
+    var converted = {};
+
+    if (color !== undefined) {
+        converted.fillcolor = color;
+        converted.style = "filled";
+    }
+
+    if (symbolType !== undefined) {
+        shape ? (converted.shape = shape) : (converted.symbolType = symbolType);
+    }
+
+    if (x !== undefined && y !== undefined) {
+        converted.pos = x + "," + y + "!";
+    }
+
+    return Object.assign(converted, attributes);
+}
+
+/**
+ * Serializes some graph state as a DOT document.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the DOT document.
+ * @memberof Formats/dot
+ */
+function toDOT(graph) {
+    var _readGraph = (0, _formats.readGraph)(graph),
+        nodes = _readGraph.nodes,
+        edges = _readGraph.edges,
+        directed = _readGraph.directed;
+
+    var edgeop = directed ? "->" : "--";
+    var statements = [].concat(
+        _toConsumableArray(
+            nodes.map(function(_ref3) {
+                var id = _ref3.id,
+                    attributes = _ref3.attributes;
+                return "" + _quote(id) + _writeAttributes(_toNodeAttributes(attributes)) + ";";
+            })
+        ),
+        _toConsumableArray(
+            edges.map(function(_ref4) {
+                var source = _ref4.source,
+                    target = _ref4.target,
+                    _ref4$attributes = _ref4.attributes,
+                    strokeWidth = _ref4$attributes.strokeWidth,
+                    attributes = _objectWithoutProperties(_ref4$attributes, ["strokeWidth"]);
+
+                var converted = Object.assign({}, attributes, { penwidth: strokeWidth });
+
+                return _quote(source) + " " + edgeop + " " + _quote(target) + _writeAttributes(converted) + ";";
+            })
+        )
+    );
+
+    return (
+        (directed ? "digraph" : "graph") +
+        " G {\n" +
+        statements
+            .map(function(statement) {
+                return "  " + statement;
+            })
+            .join("\n") +
+        "\n}\n"
+    );
+}
+
+exports.fromDOT = fromDOT;
+exports.toDOT = toDOT;
@@ -0,0 +1,442 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.toGEXF = exports.fromGEXF = undefined;
+
+var _typeof =
+    typeof Symbol === "function" && typeof Symbol.iterator === "symbol"
+        ? function(obj) {
+              return typeof obj;
+          }
+        : function(obj) {
+              return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype
+                  ? "symbol"
+                  : typeof obj;
+          };
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Formats/gexf
+ * @description
+ * Parses [GEXF](https://gephi.org/gexf/format/) documents. Node and edge labels, weights, `<attvalues>` and the
+ * visualization module (`viz:color`, `viz:size`, `viz:position`, `viz:shape` and `viz:thickness`) are mapped onto
+ * node and link properties. Dynamic graphs and hierarchies (nested nodes) are not supported.
+ * Graphs are serialized with node positions, colors, sizes and shapes in the visualization module.
+ */
+
+var _err = require("../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _formats = require("./formats.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+var FORMAT = "GEXF";
+var GEXF_NS = "http://gexf.net/1.3";
+var VIZ_NS = "http://gexf.net/1.3/viz";
+// node and edge attributes that are written as xml attributes or as visualization data (instead of attvalues)
+var VIZ_ATTRIBUTES = {
+    node: ["color", "label", "size", "symbolType", "x", "y"],
+    edge: ["color", "label", "strokeWidth", "weight"],
+};
+
+/**
+ * Reads the `<attributes>` declarations of some class (node or edge).
+ * @param {Object} graph - the graph element.
+ * @param {string} type - either node or edge.
+ * @returns {Object} the attributes titles mapped by attribute id.
+ * @memberof Formats/gexf
+ */
+function _readAttributeTitles(graph, type) {
+    return (0, _formats.getChildren)(graph, "attributes")
+        .filter(function(attributes) {
+            return attributes.getAttribute("class") === type;
+        })
+        .reduce(function(acc, attributes) {
+            (0, _formats.getChildren)(attributes, "attribute").forEach(function(attribute) {
+                acc[attribute.getAttribute("id")] = attribute.getAttribute("title") || attribute.getAttribute("id");
+            });
+
+            return acc;
+        }, {});
+}
+
+/**
+ * Reads the color of some `viz:color` element, either from its hex attribute or from its r, g, b (and a) attributes.
+ * @param {Object} color - the viz:color element.
+ * @returns {string} the css color.
+ * @memberof Formats/gexf
+ */
+function _readColor(color) {
+    if (color.hasAttribute("hex")) {
+        return color.getAttribute("hex");
+    }
+
+    var rgb = ["r", "g", "b"]
+        .map(function(channel) {
+            return color.getAttribute(channel) || 0;
+        })
+        .join(",");
+
+    return color.hasAttribute("a") ? "rgba(" + rgb + "," + color.getAttribute("a") + ")" : "rgb(" + rgb + ")";
+}
+
+/**
+ * Reads the attributes of some node or edge, including its attvalues and visualization data.
+ * @param {Object} element - the node or edge element.
+ * @param {Object} titles - the attributes titles mapped by attribute id (see _readAttributeTitles).
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/gexf
+ */
+function _readAttributes(element, titles) {
+    var attributes = {};
+
+    element.hasAttribute("label") && (attributes.label = element.getAttribute("label"));
+    element.hasAttribute("weight") && (attributes.weight = element.getAttribute("weight"));
+
+    (0, _formats.getChildren)(element, "attvalues").forEach(function(attvalues) {
+        return (0, _formats.getChildren)(attvalues, "attvalue").forEach(function(attvalue) {
+            var id = attvalue.getAttribute("for") || attvalue.getAttribute("id");
+
+            attributes[titles[id] || id] = attvalue.getAttribute("value");
+        });
+    });
+
+    (0, _formats.getChildren)(element).forEach(function(child) {
+        switch (child.localName) {
+            case "color":
+                attributes.color = _readColor(child);
+                break;
+            case "size":
+                attributes.size = child.getAttribute("value");
+                break;
+            case "thickness":
+                attributes.thickness = child.getAttribute("value");
+                break;
+            case "shape":
+                attributes.shape = child.getAttribute("value");
+                break;
+            case "position":
+                attributes.x = child.getAttribute("x");
+                attributes.y = child.getAttribute("y");
+                break;
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * Parses some GEXF document into the rd3g data shape.
+ * @param {string} text - the GEXF document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (dynamic graphs and hierarchies).
+ * @memberof Formats/gexf
+ */
+function fromGEXF(text) {
+    var root = (0, _formats.parseXml)(FORMAT, text, "gexf");
+    var graphs = (0, _formats.getChildren)(root, "graph");
+
+    if (graphs.length !== 1) {
+        _utils2.default.throwErr(
+            FORMAT,
+            graphs.length ? _err2.default.FORMAT_MULTIPLE_GRAPHS : _err2.default.FORMAT_INVALID_DOCUMENT
+        );
+    }
+
+    var _graphs = _slicedToArray(graphs, 1),
+        graph = _graphs[0];
+
+    if (graph.getAttribute("mode") === "dynamic") {
+        (0, _formats.throwUnsupported)(FORMAT, "dynamic graphs");
+    }
+
+    var nodeTitles = _readAttributeTitles(graph, "node");
+    var edgeTitles = _readAttributeTitles(graph, "edge");
+    var nodes = (0, _formats.getChildren)(graph, "nodes").reduce(function(acc, list) {
+        return acc.concat(
+            (0, _formats.getChildren)(list, "node").map(function(node) {
+                var id = node.getAttribute("id");
+
+                if (
+                    node.hasAttribute("pid") ||
+                    (0, _formats.getChildren)(node, "nodes").length ||
+                    (0, _formats.getChildren)(node, "parents").length
+                ) {
+                    (0, _formats.throwUnsupported)(FORMAT, 'hierarchy in node "' + id + '"');
+                }
+
+                return (0, _formats.toNode)(FORMAT, id, _readAttributes(node, nodeTitles));
+            })
+        );
+    }, []);
+    var links = (0, _formats.getChildren)(graph, "edges").reduce(function(acc, list) {
+        return acc.concat(
+            (0, _formats.getChildren)(list, "edge").map(function(edge) {
+                return (0,
+                _formats.toLink)(FORMAT, edge.getAttribute("source"), edge.getAttribute("target"), _readAttributes(edge, edgeTitles));
+            })
+        );
+    }, []);
+
+    return { nodes: nodes, links: links, directed: graph.getAttribute("defaultedgetype") === "directed" };
+}
+
+/**
+ * Parses some css color into its red, green, blue and alpha channels, only hex and rgb(a) colors are supported.
+ * @param {string} color - the css color.
+ * @returns {Object|null} the color channels or null if the color can't be parsed (e.g. named colors).
+ * @memberof Formats/gexf
+ */
+function _parseColor(color) {
+    var hex = ("" + color).match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+    if (hex) {
+        var digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+        };
+    }
+
+    var rgb = ("" + color).match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+
+    return rgb ? { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: rgb[4] && Number(rgb[4]) } : null;
+}
+
+/**
+ * Finds the GEXF shape of some rd3g symbol type.
+ * @param {string} symbolType - the symbol type.
+ * @returns {string|undefined} the GEXF shape or undefined if there's no matching shape.
+ * @memberof Formats/gexf
+ */
+function _toShape(symbolType) {
+    return ["disc", "square", "triangle", "diamond"].find(function(shape) {
+        return _formats.SHAPES[shape] === symbolType;
+    });
+}
+
+/**
+ * Declares the attributes of the exported nodes or edges that are written as attvalues, the remaining ones
+ * are written as xml attributes (label and weight) or as visualization data.
+ * @param {Array.<Object>} elements - the nodes or edges (see {@link #Formats/helper|readGraph}).
+ * @param {string} type - either node or edge.
+ * @returns {Array.<Object>} the declared attributes, each with its id, title and type.
+ * @memberof Formats/gexf
+ */
+function _declareAttributes(elements, type) {
+    var declared = (0, _formats.getAttributeNames)(elements).filter(function(name) {
+        return VIZ_ATTRIBUTES[type].indexOf(name) === -1;
+    });
+
+    // colors and shapes that can't be written as visualization data are kept as attvalues
+    elements.some(function(_ref) {
+        var attributes = _ref.attributes;
+        return attributes.color !== undefined && !_parseColor(attributes.color);
+    }) && declared.push("color");
+    type === "node" &&
+        elements.some(function(_ref2) {
+            var attributes = _ref2.attributes;
+            return attributes.symbolType !== undefined && !_toShape(attributes.symbolType);
+        }) &&
+        declared.push("symbolType");
+
+    return declared.map(function(title, id) {
+        var types = elements
+            .filter(function(_ref3) {
+                var attributes = _ref3.attributes;
+                return attributes[title] !== undefined;
+            })
+            .map(function(_ref4) {
+                var attributes = _ref4.attributes;
+                return _typeof(attributes[title]);
+            });
+        var attributeType = "string";
+
+        if (
+            types.every(function(t) {
+                return t === "number";
+            })
+        ) {
+            attributeType = "double";
+        } else if (
+            types.every(function(t) {
+                return t === "boolean";
+            })
+        ) {
+            attributeType = "boolean";
+        }
+
+        return { id: "" + id, title: title, type: attributeType };
+    });
+}
+
+/**
+ * Writes the attvalues and visualization data of some node or edge.
+ * @param {Object} attributes - the node or edge attributes.
+ * @param {Array.<Object>} declared - the declared attributes (see _declareAttributes).
+ * @param {string} type - either node or edge.
+ * @returns {Array.<string>} the attvalues and visualization elements.
+ * @memberof Formats/gexf
+ */
+function _writeAttributes(attributes, declared, type) {
+    var color = attributes.color;
+
+    var _ref5 = type === "node" ? attributes : {},
+        size = _ref5.size,
+        symbolType = _ref5.symbolType,
+        x = _ref5.x,
+        y = _ref5.y;
+
+    var _ref6 = type === "edge" ? attributes : {},
+        strokeWidth = _ref6.strokeWidth;
+
+    var channels = color !== undefined && _parseColor(color);
+    var shape = symbolType !== undefined && _toShape(symbolType);
+    var attvalues = declared
+        .filter(function(_ref7) {
+            var title = _ref7.title;
+            return attributes[title] !== undefined;
+        })
+        .filter(function(_ref8) {
+            var title = _ref8.title;
+            return !(title === "color" && channels) && !(title === "symbolType" && shape);
+        })
+        .map(function(_ref9) {
+            var id = _ref9.id,
+                title = _ref9.title;
+            return (0, _formats.writeXml)("attvalue", { for: id, value: attributes[title] });
+        });
+    var children = attvalues.length ? [(0, _formats.writeXml)("attvalues", {}, attvalues)] : [];
+
+    channels && children.push((0, _formats.writeXml)("viz:color", channels));
+    size !== undefined && children.push((0, _formats.writeXml)("viz:size", { value: size }));
+    strokeWidth !== undefined && children.push((0, _formats.writeXml)("viz:thickness", { value: strokeWidth }));
+    x !== undefined && y !== undefined && children.push((0, _formats.writeXml)("viz:position", { x: x, y: y, z: 0 }));
+    shape && children.push((0, _formats.writeXml)("viz:shape", { value: shape }));
+
+    return children;
+}
+
+/**
+ * Serializes some graph state as a GEXF document, node positions are written as visualization data.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the GEXF document.
+ * @memberof Formats/gexf
+ */
+function toGEXF(graph) {
+    var _readGraph = (0, _formats.readGraph)(graph),
+        nodes = _readGraph.nodes,
+        edges = _readGraph.edges,
+        directed = _readGraph.directed;
+
+    var nodeAttributes = _declareAttributes(nodes, "node");
+    var edgeAttributes = _declareAttributes(edges, "edge");
+    var writeDeclarations = function writeDeclarations(type, declared) {
+        return declared.length
+            ? [
+                  (0, _formats.writeXml)(
+                      "attributes",
+                      { class: type },
+                      declared.map(function(attribute) {
+                          return (0, _formats.writeXml)("attribute", attribute);
+                      })
+                  ),
+              ]
+            : [];
+    };
+    var graphElement = (0, _formats.writeXml)(
+        "graph",
+        { defaultedgetype: directed ? "directed" : "undirected", mode: "static" },
+        [].concat(
+            _toConsumableArray(writeDeclarations("node", nodeAttributes)),
+            _toConsumableArray(writeDeclarations("edge", edgeAttributes)),
+            [
+                (0, _formats.writeXml)(
+                    "nodes",
+                    {},
+                    nodes.map(function(_ref10) {
+                        var id = _ref10.id,
+                            attributes = _ref10.attributes;
+                        return (0,
+                        _formats.writeXml)("node", { id: id, label: attributes.label }, _writeAttributes(attributes, nodeAttributes, "node"));
+                    })
+                ),
+                (0, _formats.writeXml)(
+                    "edges",
+                    {},
+                    edges.map(function(_ref11, id) {
+                        var source = _ref11.source,
+                            target = _ref11.target,
+                            attributes = _ref11.attributes;
+                        return (0,
+                        _formats.writeXml)("edge", { id: id, source: source, target: target, weight: attributes.weight, label: attributes.label }, _writeAttributes(attributes, edgeAttributes, "edge"));
+                    })
+                ),
+            ]
+        )
+    );
+
+    return (0, _formats.writeXmlDocument)(
+        (0, _formats.writeXml)("gexf", { xmlns: GEXF_NS, "xmlns:viz": VIZ_NS, version: "1.3" }, [graphElement])
+    );
+}
+
+exports.fromGEXF = fromGEXF;
+exports.toGEXF = toGEXF;
@@ -0,0 +1,349 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.toGraphML = exports.fromGraphML = undefined;
+
+var _typeof =
+    typeof Symbol === "function" && typeof Symbol.iterator === "symbol"
+        ? function(obj) {
+              return typeof obj;
+          }
+        : function(obj) {
+              return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype
+                  ? "symbol"
+                  : typeof obj;
+          };
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Formats/graphml
+ * @description
+ * Parses [GraphML](http://graphml.graphdrawing.org/) documents. Node and edge `<data>` are mapped onto
+ * node and link properties through the `attr.name` of their `<key>` (e.g. a key named **weight** becomes the link
+ * **value**), keys without name are kept under their id. Hyperedges, ports and nested graphs are not supported.
+ * Graphs are serialized with a key for each exported node and link property.
+ */
+
+var _err = require("../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _formats = require("./formats.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _toConsumableArray(arr) {
+    if (Array.isArray(arr)) {
+        for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) {
+            arr2[i] = arr[i];
+        }
+        return arr2;
+    } else {
+        return Array.from(arr);
+    }
+}
+
+var FORMAT = "GraphML";
+var GRAPHML_NS = "http://graphml.graphdrawing.org/xmlns";
+var NUMERIC_TYPES = ["int", "long", "float", "double"];
+
+/**
+ * Converts the text content of some `<data>` or `<default>` element according to the type of its key.
+ * @param {string} text - the text content.
+ * @param {string} type - the key attr.type (boolean, int, long, float, double or string).
+ * @returns {*} the converted value.
+ * @memberof Formats/graphml
+ */
+function _convert(text, type) {
+    if (type === "boolean") {
+        return text.trim().toLowerCase() === "true";
+    }
+
+    if (NUMERIC_TYPES.indexOf(type) !== -1 && text.trim() !== "" && !isNaN(Number(text))) {
+        return Number(text);
+    }
+
+    return text;
+}
+
+/**
+ * Reads the `<key>` declarations of the document.
+ * @param {Object} root - the graphml element.
+ * @returns {Object} the keys mapped by id, each with its name, type, domain (for) and default value.
+ * @memberof Formats/graphml
+ */
+function _readKeys(root) {
+    return (0, _formats.getChildren)(root, "key").reduce(function(acc, key) {
+        var id = key.getAttribute("id");
+        var type = key.getAttribute("attr.type") || "string";
+
+        var _getChildren = (0, _formats.getChildren)(key, "default"),
+            _getChildren2 = _slicedToArray(_getChildren, 1),
+            defaultValue = _getChildren2[0];
+
+        acc[id] = {
+            name: key.getAttribute("attr.name") || id,
+            domain: key.getAttribute("for") || "all",
+            defaultValue: defaultValue ? _convert(defaultValue.textContent, type) : undefined,
+            type: type,
+        };
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Reads the attributes of some node or edge, default values of the keys are applied first.
+ * @param {Object} element - the node or edge element.
+ * @param {Object} keys - the keys (see _readKeys).
+ * @param {string} domain - either node or edge.
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/graphml
+ */
+function _readAttributes(element, keys, domain) {
+    var attributes = Object.keys(keys).reduce(function(acc, id) {
+        var key = keys[id];
+
+        if ((key.domain === domain || key.domain === "all") && key.defaultValue !== undefined) {
+            acc[key.name] = key.defaultValue;
+        }
+
+        return acc;
+    }, {});
+
+    (0, _formats.getChildren)(element, "data").forEach(function(data) {
+        var key = keys[data.getAttribute("key")];
+
+        if (key) {
+            attributes[key.name] = _convert(data.textContent, key.type);
+        } else {
+            attributes[data.getAttribute("key")] = data.textContent;
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * Parses some GraphML document into the rd3g data shape.
+ * @param {string} text - the GraphML document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (hyperedges, ports and nested graphs).
+ * @memberof Formats/graphml
+ */
+function fromGraphML(text) {
+    var root = (0, _formats.parseXml)(FORMAT, text, "graphml");
+    var graphs = (0, _formats.getChildren)(root, "graph");
+
+    if (graphs.length !== 1) {
+        _utils2.default.throwErr(
+            FORMAT,
+            graphs.length ? _err2.default.FORMAT_MULTIPLE_GRAPHS : _err2.default.FORMAT_INVALID_DOCUMENT
+        );
+    }
+
+    var _graphs = _slicedToArray(graphs, 1),
+        graph = _graphs[0];
+
+    var keys = _readKeys(root);
+
+    if ((0, _formats.getChildren)(graph, "hyperedge").length) {
+        (0, _formats.throwUnsupported)(FORMAT, "hyperedges");
+    }
+
+    var nodes = (0, _formats.getChildren)(graph, "node").map(function(node) {
+        if ((0, _formats.getChildren)(node, "graph").length) {
+            (0, _formats.throwUnsupported)(FORMAT, 'nested graph in node "' + node.getAttribute("id") + '"');
+        }
+
+        if ((0, _formats.getChildren)(node, "port").length) {
+            (0, _formats.throwUnsupported)(FORMAT, 'ports in node "' + node.getAttribute("id") + '"');
+        }
+
+        return (0, _formats.toNode)(FORMAT, node.getAttribute("id"), _readAttributes(node, keys, "node"));
+    });
+    var links = (0, _formats.getChildren)(graph, "edge").map(function(edge) {
+        var source = edge.getAttribute("source");
+        var target = edge.getAttribute("target");
+
+        if ((0, _formats.getChildren)(edge, "graph").length) {
+            (0, _formats.throwUnsupported)(FORMAT, 'nested graph in edge from "' + source + '" to "' + target + '"');
+        }
+
+        if (edge.hasAttribute("sourceport") || edge.hasAttribute("targetport")) {
+            (0, _formats.throwUnsupported)(FORMAT, 'ports in edge from "' + source + '" to "' + target + '"');
+        }
+
+        return (0, _formats.toLink)(FORMAT, source, target, _readAttributes(edge, keys, "edge"));
+    });
+
+    return { nodes: nodes, links: links, directed: graph.getAttribute("edgedefault") === "directed" };
+}
+
+/**
+ * Declares a key for each attribute of some nodes or edges, typed after the values it holds.
+ * @param {Array.<Object>} elements - the nodes or edges (see {@link #Formats/helper|readGraph}).
+ * @param {string} domain - either node or edge.
+ * @returns {Array.<Object>} the keys, each with its id, name and type.
+ * @memberof Formats/graphml
+ */
+function _declareKeys(elements, domain) {
+    return (0, _formats.getAttributeNames)(elements).map(function(name, i) {
+        var types = elements
+            .filter(function(_ref) {
+                var attributes = _ref.attributes;
+                return attributes[name] !== undefined;
+            })
+            .map(function(_ref2) {
+                var attributes = _ref2.attributes;
+                return _typeof(attributes[name]);
+            });
+        var type = "string";
+
+        if (
+            types.every(function(t) {
+                return t === "number";
+            })
+        ) {
+            type = "double";
+        } else if (
+            types.every(function(t) {
+                return t === "boolean";
+            })
+        ) {
+            type = "boolean";
+        }
+
+        return { id: "" + domain[0] + i, name: name, type: type };
+    });
+}
+
+/**
+ * Writes the data elements of some node or edge.
+ * @param {Object} attributes - the node or edge attributes.
+ * @param {Array.<Object>} keys - the keys of the node or edge domain (see _declareKeys).
+ * @returns {Array.<string>} the data elements.
+ * @memberof Formats/graphml
+ */
+function _writeData(attributes, keys) {
+    return keys
+        .filter(function(_ref3) {
+            var name = _ref3.name;
+            return attributes[name] !== undefined;
+        })
+        .map(function(_ref4) {
+            var id = _ref4.id,
+                name = _ref4.name;
+            return (0, _formats.writeXml)("data", { key: id }, "" + attributes[name]);
+        });
+}
+
+/**
+ * Serializes some graph state as a GraphML document.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the GraphML document.
+ * @memberof Formats/graphml
+ */
+function toGraphML(graph) {
+    var _readGraph = (0, _formats.readGraph)(graph),
+        nodes = _readGraph.nodes,
+        edges = _readGraph.edges,
+        directed = _readGraph.directed;
+
+    var nodeKeys = _declareKeys(nodes, "node");
+    var edgeKeys = _declareKeys(edges, "edge");
+    var keys = []
+        .concat(
+            _toConsumableArray(
+                nodeKeys.map(function(key) {
+                    return ["node", key];
+                })
+            ),
+            _toConsumableArray(
+                edgeKeys.map(function(key) {
+                    return ["edge", key];
+                })
+            )
+        )
+        .map(function(_ref5) {
+            var _ref6 = _slicedToArray(_ref5, 2),
+                domain = _ref6[0],
+                _ref6$ = _ref6[1],
+                id = _ref6$.id,
+                name = _ref6$.name,
+                type = _ref6$.type;
+
+            return (0, _formats.writeXml)("key", { id: id, for: domain, "attr.name": name, "attr.type": type });
+        });
+    var graphElement = (0, _formats.writeXml)(
+        "graph",
+        { id: "G", edgedefault: directed ? "directed" : "undirected" },
+        [].concat(
+            _toConsumableArray(
+                nodes.map(function(_ref7) {
+                    var id = _ref7.id,
+                        attributes = _ref7.attributes;
+                    return (0, _formats.writeXml)("node", { id: id }, _writeData(attributes, nodeKeys));
+                })
+            ),
+            _toConsumableArray(
+                edges.map(function(_ref8) {
+                    var source = _ref8.source,
+                        target = _ref8.target,
+                        attributes = _ref8.attributes;
+                    return (0,
+                    _formats.writeXml)("edge", { source: source, target: target }, _writeData(attributes, edgeKeys));
+                })
+            )
+        )
+    );
+
+    return (0, _formats.writeXmlDocument)(
+        (0, _formats.writeXml)("graphml", { xmlns: GRAPHML_NS }, [].concat(_toConsumableArray(keys), [graphElement]))
+    );
+}
+
+exports.fromGraphML = fromGraphML;
+exports.toGraphML = toGraphML;
@@ -0,0 +1,102 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.toGraphML = exports.toGEXF = exports.toDOT = exports.toCSV = exports.toAdjacencyMatrix = exports.serialize = exports.fromJGF = exports.fromGraphML = exports.fromGEXF = exports.fromDOT = undefined;
+
+var _SERIALIZERS;
+
+var _const = require("../const");
+
+var _const2 = _interopRequireDefault(_const);
+
+var _err = require("../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _csv = require("./csv");
+
+var _dot = require("./dot");
+
+var _gexf = require("./gexf");
+
+var _graphml = require("./graphml");
+
+var _jgf = require("./jgf");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+function _defineProperty(obj, key, value) {
+    if (key in obj) {
+        Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true });
+    } else {
+        obj[key] = value;
+    }
+    return obj;
+}
+/**
+ * @module Formats
+ * @description
+ * Import adapters that parse common graph formats (GraphML, GEXF, Graphviz DOT and JSON Graph Format) into the
+ * `{ nodes, links }` data shape expected by the Graph. Attributes such as color, size, shape, label, weight and
+ * positions are mapped onto the matching node (**color**, **size**, **symbolType**, **label**, **x**, **y**) and
+ * link (**color**, **value**, **label**, **strokeWidth**) properties, any other attribute is kept as it is.
+ * Imported nodes hold their label in the **label** property, set **node.labelProperty** to "label" to render it.
+ *
+ * Serializers do the way back, they take the Graph state (nodes with their simulated positions, the links matrix
+ * and the styling of nodes and links) and write GraphML, GEXF, DOT, CSV node/edge lists or a dense adjacency matrix.
+ * The same serializers are available through the `exportData` Graph method.
+ * ```javascript
+ * import { Graph } from "react-d3-graph";
+ * import { fromGraphML } from "react-d3-graph/formats";
+ *
+ * const { nodes, links, directed } = fromGraphML(graphmlText);
+ *
+ * <Graph id="graph-id" data={{ nodes, links }} config={{ directed, node: { labelProperty: "label" } }} />
+ *
+ * // later on, with the current positions
+ * const gexf = this.refs.graph.exportData("gexf");
+ * ```
+ */
+
+var SERIALIZERS = ((_SERIALIZERS = {}),
+_defineProperty(_SERIALIZERS, _const2.default.FORMATS.ADJACENCY_MATRIX, _csv.toAdjacencyMatrix),
+_defineProperty(_SERIALIZERS, _const2.default.FORMATS.CSV, _csv.toCSV),
+_defineProperty(_SERIALIZERS, _const2.default.FORMATS.DOT, _dot.toDOT),
+_defineProperty(_SERIALIZERS, _const2.default.FORMATS.GEXF, _gexf.toGEXF),
+_defineProperty(_SERIALIZERS, _const2.default.FORMATS.GRAPHML, _graphml.toGraphML),
+_SERIALIZERS);
+
+/**
+ * Serializes some graph state in the given format.
+ * @param {string} format - one of "graphml", "gexf", "dot", "csv" or "adjacency-matrix".
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string|Object} the serialized graph, for csv an object with the **nodes** and **edges** lists.
+ * @throws can throw FORMAT_UNKNOWN if the format is not supported.
+ * @memberof Formats
+ */
+function serialize(format, graph) {
+    if (!SERIALIZERS[format]) {
+        _utils2.default.throwErr("Formats", _err2.default.FORMAT_UNKNOWN + ' - found "' + format + '"');
+    }
+
+    return SERIALIZERS[format](graph);
+}
+
+exports.fromDOT = _dot.fromDOT;
+exports.fromGEXF = _gexf.fromGEXF;
+exports.fromGraphML = _graphml.fromGraphML;
+exports.fromJGF = _jgf.fromJGF;
+exports.serialize = serialize;
+exports.toAdjacencyMatrix = _csv.toAdjacencyMatrix;
+exports.toCSV = _csv.toCSV;
+exports.toDOT = _dot.toDOT;
+exports.toGEXF = _gexf.toGEXF;
+exports.toGraphML = _graphml.toGraphML;
@@ -0,0 +1,133 @@
+"use strict";
+
+Object.defineProperty(exports, "__esModule", {
+    value: true,
+});
+exports.fromJGF = undefined;
+
+var _slicedToArray = (function() {
+    function sliceIterator(arr, i) {
+        var _arr = [];
+        var _n = true;
+        var _d = false;
+        var _e = undefined;
+        try {
+            for (var _i = arr[Symbol.iterator](), _s; !(_n = (_s = _i.next()).done); _n = true) {
+                _arr.push(_s.value);
+                if (i && _arr.length === i) break;
+            }
+        } catch (err) {
+            _d = true;
+            _e = err;
+        } finally {
+            try {
+                if (!_n && _i["return"]) _i["return"]();
+            } finally {
+                if (_d) throw _e;
+            }
+        }
+        return _arr;
+    }
+    return function(arr, i) {
+        if (Array.isArray(arr)) {
+            return arr;
+        } else if (Symbol.iterator in Object(arr)) {
+            return sliceIterator(arr, i);
+        } else {
+            throw new TypeError("Invalid attempt to destructure non-iterable instance");
+        }
+    };
+})();
+/**
+ * @module Formats/jgf
+ * @description
+ * Parses [JSON Graph Format](https://jsongraphformat.info/) documents, both v1 (nodes as an array) and v2
+ * (nodes mapped by id). Node and edge labels and `metadata` are mapped onto node and link properties.
+ * Hyperedges are not supported.
+ */
+
+var _err = require("../err");
+
+var _err2 = _interopRequireDefault(_err);
+
+var _utils = require("../utils");
+
+var _utils2 = _interopRequireDefault(_utils);
+
+var _formats = require("./formats.helper");
+
+function _interopRequireDefault(obj) {
+    return obj && obj.__esModule ? obj : { default: obj };
+}
+
+var FORMAT = "JGF";
+
+/**
+ * Reads the attributes of some JGF node or edge, its label and metadata.
+ * @param {Object} element - the JGF node or edge.
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/jgf
+ */
+function _readAttributes(_ref) {
+    var label = _ref.label,
+        metadata = _ref.metadata;
+
+    return Object.assign({}, metadata, label !== undefined ? { label: label } : {});
+}
+
+/**
+ * Parses some JSON Graph Format document into the rd3g data shape.
+ * @param {string|Object} document - the JGF document, either serialized or already parsed.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (hyperedges).
+ * @memberof Formats/jgf
+ */
+function fromJGF(document) {
+    var json = document;
+
+    if (typeof document === "string") {
+        try {
+            json = JSON.parse(document);
+        } catch (error) {
+            _utils2.default.throwErr(FORMAT, _err2.default.FORMAT_INVALID_DOCUMENT + " - " + error.message);
+        }
+    }
+
+    var graphs = json && (json.graph ? [json.graph] : json.graphs);
+
+    if (!graphs || !graphs.length) {
+        _utils2.default.throwErr(
+            FORMAT,
+            _err2.default.FORMAT_INVALID_DOCUMENT + " - expected a graph or graphs property"
+        );
+    }
+
+    if (graphs.length > 1) {
+        _utils2.default.throwErr(FORMAT, _err2.default.FORMAT_MULTIPLE_GRAPHS);
+    }
+
+    var _graphs = _slicedToArray(graphs, 1),
+        graph = _graphs[0];
+
+    if (graph.hyperedges) {
+        (0, _formats.throwUnsupported)(FORMAT, "hyperedges");
+    }
+
+    var jgfNodes = graph.nodes || [];
+    var nodes = Array.isArray(jgfNodes)
+        ? jgfNodes.map(function(node) {
+              return (0, _formats.toNode)(FORMAT, node.id, _readAttributes(node));
+          })
+        : Object.keys(jgfNodes).map(function(id) {
+              return (0, _formats.toNode)(FORMAT, id, _readAttributes(jgfNodes[id]));
+          });
+    var links = (graph.edges || []).map(function(edge) {
+        return (0, _formats.toLink)(FORMAT, edge.source, edge.target, _readAttributes(edge));
+    });
+
+    return { nodes: nodes, links: links, directed: graph.directed !== false };
+}
+
+exports.fromJGF = fromJGF;
@@ -278,6 +278,20 @@ function antiPick(o) {
     return pick(o, wanted);
 }
 
+/**
+ * Turns some value (e.g. a color such as "#fff" or "rgb(0, 0, 0)") into a fragment that can be part of an
+ * element id, characters other than letters, digits and "-" are replaced by their char code (in hexadecimal)
+ * between underscores. Underscores themselves are escaped, thus different values never share a fragment.
+ * @param {string} value - the value to turn into an id fragment.
+ * @returns {string} the id fragment.
+ * @memberof utils
+ */
+function toIdFragment(value) {
+    return ("" + value).replace(/[^a-zA-Z0-9-]/g, function(c) {
+        return "_" + c.charCodeAt(0).toString(16) + "_";
+    });
+}
+
 /**
  * Helper function for customized error logging.
  * @param  {string} component - the name of the component where the error is to be thrown.
@@ -298,5 +312,6 @@ exports.default = {
     merge: merge,
     pick: pick,
     antiPick: antiPick,
+    toIdFragment: toIdFragment,
     throwErr: throwErr,
 };
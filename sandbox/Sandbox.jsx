@@ -86,6 +86,9 @@ export default class Sandbox extends React.Component {
     onMouseOutLink = (source, target) =>
         console.info(`Do something when mouse is out of link between ${source} and ${target}`);
 
+    onNodePositionChange = (nodeId, x, y) =>
+        console.info(`Node ${nodeId} was moved to new position. New position is x= ${x} y= ${y}`);
+
     /**
      * Sets on/off fullscreen visualization mode.
      */
@@ -111,6 +114,29 @@ export default class Sandbox extends React.Component {
      */
     resetNodesPositions = () => this.refs.graph.resetNodesPositions();
 
+    /**
+     * Zoom and pan the graph so that all nodes are visible.
+     */
+    fitGraphToView = () => this.refs.graph.fitToView();
+
+    /**
+     * Reset any pan and zoom applied to the graph.
+     */
+    resetGraphView = () => this.refs.graph.resetView();
+
+    /**
+     * Download the graph as a png image.
+     */
+    downloadGraphPNG = () =>
+        this.refs.graph.exportPNG({ scale: 2, background: "white", fit: true }).then(blob => {
+            const link = document.createElement("a");
+
+            link.href = URL.createObjectURL(blob);
+            link.download = "graph.png";
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
     /**
      * Append a new node with some randomness.
      */
@@ -290,6 +316,15 @@ export default class Sandbox extends React.Component {
                 >
                     Unstick nodes
                 </button>
+                <button onClick={this.fitGraphToView} className="btn btn-default btn-margin-left">
+                    Fit to view
+                </button>
+                <button onClick={this.resetGraphView} className="btn btn-default btn-margin-left">
+                    Reset view
+                </button>
+                <button onClick={this.downloadGraphPNG} className="btn btn-default btn-margin-left">
+                    Download PNG
+                </button>
                 <button onClick={this.onClickAddNode} className="btn btn-default btn-margin-left">
                     +
                 </button>
@@ -325,6 +360,7 @@ export default class Sandbox extends React.Component {
             onMouseOutNode: this.onMouseOutNode,
             onMouseOverLink: this.onMouseOverLink,
             onMouseOutLink: this.onMouseOutLink,
+            onNodePositionChange: this.onNodePositionChange,
         };
 
         if (this.state.fullscreen) {
@@ -1,18 +1,23 @@
 import React from "react";
 
-import { drag as d3Drag } from "d3-drag";
-import { forceLink as d3ForceLink } from "d3-force";
-import { select as d3Select, selectAll as d3SelectAll, event as d3Event } from "d3-selection";
-import { zoom as d3Zoom } from "d3-zoom";
-
 import CONST from "./graph.const";
 import DEFAULT_CONFIG from "./graph.config";
 import ERRORS from "../../err";
 
+import * as canvasHelper from "./canvas.helper";
 import * as collapseHelper from "./collapse.helper";
+import * as dragHelper from "./drag.helper";
+import * as exportHelper from "./export.helper";
 import * as graphHelper from "./graph.helper";
 import * as graphRenderer from "./graph.renderer";
+import * as layoutHelper from "./layout.helper";
+import * as pathHelper from "./path.helper";
+import * as selectionHelper from "./selection.helper";
+import * as simulationHelper from "./simulation.helper";
+import * as zoomHelper from "./zoom.helper";
 import utils from "../../utils";
+import { getLinkId } from "../link/link.helper";
+import { serialize } from "../../formats";
 
 /**
  * Graph component is the main component for react-d3-graph components, its interface allows its user
@@ -70,8 +75,9 @@ import utils from "../../utils";
  *      window.alert(`Mouse out node ${nodeId}`);
  * };
  *
- * const onClickLink = function(source, target) {
- *      window.alert(`Clicked link between ${source} and ${target}`);
+ * // linkId tells apart parallel links (several links from the same source to the same target)
+ * const onClickLink = function(source, target, linkId) {
+ *      window.alert(`Clicked link ${linkId} between ${source} and ${target}`);
  * };
  *
  * const onRightClickLink = function(event, source, target) {
@@ -86,6 +92,47 @@ import utils from "../../utils";
  *      window.alert(`Mouse out link between ${source} and ${target}`);
  * };
  *
+ * const onNodeDragStart = function(node, event) {
+ *      window.alert(`Started dragging node ${node.id}`);
+ * };
+ *
+ * const onNodeDrag = function(node, { x, y }) {
+ *      window.alert(`Dragging node ${node.id} to ${x}, ${y}`);
+ * };
+ *
+ * // called once a drag ends with the final node position
+ * const onNodePositionChange = function(nodeId, x, y) {
+ *      window.alert(`Node ${nodeId} moved to ${x}, ${y}`);
+ * };
+ *
+ * // groups are drawn behind the nodes that share some group (see config.group)
+ * const onClickGroup = function(groupId) {
+ *      window.alert(`Clicked group ${groupId}`);
+ * };
+ *
+ * const onMouseOverGroup = function(groupId) {
+ *      window.alert(`Mouse over group ${groupId}`);
+ * };
+ *
+ * const onMouseOutGroup = function(groupId) {
+ *      window.alert(`Mouse out group ${groupId}`);
+ * };
+ *
+ * // only called when config.collapsible is true
+ * const onCollapseChange = function(nodeIds) {
+ *      window.alert(`Collapsed nodes ${nodeIds}`);
+ * };
+ *
+ * // called when groups are collapsed into compound nodes or expanded back (see config.group.collapsible)
+ * const onCollapsedGroupsChange = function(groupIds) {
+ *      window.alert(`Collapsed groups ${groupIds}`);
+ * };
+ *
+ * // only called when config.selectionBehavior is true
+ * const onSelectionChange = function({ nodeIds, linkIds }) {
+ *      window.alert(`Selected nodes ${nodeIds} and links ${linkIds}`);
+ * };
+ *
  * <Graph
  *      id='graph-id' // id is mandatory, if no id is defined rd3g will throw an error
  *      data={data}
@@ -98,108 +145,169 @@ import utils from "../../utils";
  *      onMouseOverNode={onMouseOverNode}
  *      onMouseOutNode={onMouseOutNode}
  *      onMouseOverLink={onMouseOverLink}
- *      onMouseOutLink={onMouseOutLink}/>
+ *      onMouseOutLink={onMouseOutLink}
+ *      onNodeDragStart={onNodeDragStart}
+ *      onNodeDrag={onNodeDrag}
+ *      onNodePositionChange={onNodePositionChange}
+ *      onClickGroup={onClickGroup}
+ *      onMouseOverGroup={onMouseOverGroup}
+ *      onMouseOutGroup={onMouseOutGroup}
+ *      onCollapseChange={onCollapseChange}
+ *      onCollapsedGroupsChange={onCollapsedGroupsChange}
+ *      onSelectionChange={onSelectionChange}/>
+ *
+ * // the viewport can also be controlled imperatively through a ref
+ * // this.refs.graph.zoomTo(2);
+ * // this.refs.graph.panTo(100, 250);
+ * // this.refs.graph.fitToView(['Harry', 'Sally'], 40);
+ * // this.refs.graph.resetView();
+ *
+ * // or exported as an image (both return a Promise)
+ * // this.refs.graph.exportSVG({ fit: true }).then(markup => ...);
+ * // this.refs.graph.exportPNG({ scale: 2, background: 'white' }).then(blob => ...);
+ *
+ * // or serialized for other tools such as Gephi, Graphviz or spreadsheets
+ * // const gexf = this.refs.graph.exportData('gexf');
+ * // const { nodes, edges } = this.refs.graph.exportData('csv');
+ *
+ * // the layout can be saved and restored later on through the initialLayout prop
+ * // const snapshot = this.refs.graph.getLayoutSnapshot();
+ * <Graph id='graph-id' data={data} initialLayout={snapshot} />
+ *
+ * // selection may also be controlled through the selectedNodeIds and selectedLinkIds props
+ * <Graph id='graph-id' data={data} config={{ selectionBehavior: true }} selectedNodeIds={['Harry']} selectedLinkIds={[]} />
+ *
+ * // and groups may be collapsed into compound nodes through the collapsedGroupIds prop
+ * <Graph id='graph-id' data={data} collapsedGroupIds={['team-a']} />
+ *
+ * // as well as the collapsed nodes of collapsible graphs through the collapsedNodeIds prop
+ * <Graph id='graph-id' data={data} config={{ collapsible: true }} collapsedNodeIds={['Harry']} />
+ *
+ * // the highlight prop spotlights nodes and links regardless of the mouse hover, e.g. the results of a search box,
+ * // it takes node ids or a node predicate or an object with nodes, links (ids or predicates) and the degree of the
+ * // neighbourhood of the matching nodes that is highlighted as well, the remaining nodes and links are dimmed
+ * <Graph id='graph-id' data={data} config={{ highlightOpacity: 0.2 }} highlight={['Harry', 'Sally']} />
+ * <Graph
+ *      id='graph-id'
+ *      data={data}
+ *      config={{ highlightOpacity: 0.2 }}
+ *      highlight={{ nodes: node => node.id.startsWith(search), degree: 1 }} />
+ *
+ * // shortest paths are found through a ref and highlighted through the highlightedPath prop
+ * // const path = this.refs.graph.findShortestPath('Harry', 'Sally', { weighted: true });
+ * <Graph id='graph-id' data={data} config={{ path: { flow: true } }} highlightedPath={path} />
  */
 export default class Graph extends React.Component {
     /**
-     * Obtain a set of properties which will be used to perform the focus and zoom animation if
-     * required. In case there's not a focus and zoom animation in progress, it should reset the
-     * transition duration to zero and clear transformation styles.
-     * @returns {Object} - Focus and zoom animation properties.
+     * Collapses the given nodes hiding the nodes they fold (see collapse helper toggleCollapsedNode).
+     * @param {Array.<string>} collapsedNodeIds - ids of the collapsed nodes.
+     * @param {Function} [cb] - called once the graph is updated.
+     * @returns {undefined}
      */
-    _generateFocusAnimationProps = () => {
-        const { focusedNodeId } = this.state;
+    _collapseNodes = (collapsedNodeIds, cb) =>
+        this._tick({ ...graphHelper.collapseNodes(this.state, collapsedNodeIds), collapsedNodeIds }, cb);
 
-        // In case an older animation was still not complete, clear previous timeout to ensure the new one is not cancelled
-        if (this.state.enableFocusAnimation) {
-            if (this.focusAnimationTimeout) {
-                clearTimeout(this.focusAnimationTimeout);
-            }
+    /**
+     * Draws the graph onto the canvas (only for the canvas renderer) and stores the hit regions
+     * of the drawn elements so that pointer events can be mapped into nodes and links.
+     * @returns {undefined}
+     */
+    _drawCanvas = () => {
+        const context = this.canvas && this.canvas.getContext("2d");
 
-            this.focusAnimationTimeout = setTimeout(
-                () => this.setState({ enableFocusAnimation: false }),
-                this.state.config.focusAnimationDuration * 1000
-            );
+        if (!context) {
+            return;
         }
 
-        const transitionDuration = this.state.enableFocusAnimation ? this.state.config.focusAnimationDuration : 0;
-
-        return {
-            style: { transitionDuration: `${transitionDuration}s` },
-            transform: focusedNodeId ? this.state.focusTransformation : null,
-        };
+        this.canvasContext = context;
+        this.canvasHitRegions = graphRenderer.drawGraph(context, {
+            ...this._getRenderOptions(),
+            zoomTransform: zoomHelper.getZoomTransform(this),
+            pixelRatio: window.devicePixelRatio || 1,
+            brush: selectionHelper.buildBrushPolygon(this.state.brushPoints, this.state.config.selectionBrush),
+            onImageLoad: this._drawCanvas,
+        });
     };
 
+    /**
+     * Gathers the graph elements and the state that both the svg and the canvas renderers draw.
+     * @returns {Object} same as the options of renderGraph, callbacks aside.
+     */
+    _getRenderOptions = () => ({
+        nodes: this.state.nodes,
+        links: this.state.d3Links,
+        linksMatrix: this.state.links,
+        config: this.state.config,
+        highlightedNode: this.state.highlightedNode,
+        highlightedLink: this.state.highlightedLink,
+        transform: this.state.transform,
+        selection: selectionHelper.getSelection(this),
+        visibleArea: zoomHelper.getVisibleArea(this),
+        groups: this.props.data.groups,
+        highlight: this.props.highlight,
+        highlightedPath: this.props.highlightedPath,
+    });
+
+    /**
+     * Finds the node, link or group drawn under some point of the canvas.
+     * @param {Array.<number>} point - the [x, y] point relative to the canvas.
+     * @returns {Object|undefined} the element under the point (see canvas helper findElementAt).
+     */
+    _findCanvasElement = point =>
+        canvasHelper.findElementAt(
+            this.canvasContext,
+            this.canvasHitRegions || {},
+            point,
+            zoomHelper.getZoomTransform(this)
+        );
+
     /**
      * Sets d3 tick function and configures other d3 stuff such as forces and drag events.
      * @returns {undefined}
      */
     _graphForcesConfig() {
-        this.state.simulation.nodes(this.state.d3Nodes).on("tick", this._tick);
-
-        const forceLink = d3ForceLink(this.state.d3Links)
-            .id(l => l.id)
-            .distance(this.state.config.d3.linkLength)
-            .strength(this.state.config.d3.linkStrength);
-
-        this.state.simulation.force(CONST.LINK_CLASS_NAME, forceLink);
+        simulationHelper.configureSimulation(this);
+        dragHelper.configureDrag(this);
+    }
 
-        const customNodeDrag = d3Drag()
-            .on("start", this._onDragStart)
-            .on("drag", this._onDragMove)
-            .on("end", this._onDragEnd);
+    /**
+     * Checks whether the graph is being drawn with the canvas renderer.
+     * @returns {boolean} true for the canvas renderer.
+     */
+    _isCanvasRenderer = () => this.state.config.renderer === CONST.RENDERERS.CANVAS;
 
-        d3Select(`#${this.state.id}-${CONST.GRAPH_WRAPPER_ID}`)
-            .selectAll(".node")
-            .call(customNodeDrag);
-    }
+    /**
+     * Checks whether the nodes are positioned by the d3 force simulation (see layout config).
+     * @returns {boolean} true for the force layout.
+     */
+    _isForceLayout = () => layoutHelper.isForceLayout(this.state.config.layout);
 
     /**
-     * Handles d3 drag 'end' event.
+     * Handles d3 drag 'end' event (see drag helper onDragEnd).
+     * @param  {Object} ev - if not undefined it will contain event data.
+     * @param  {number} index - index of the node that is being dragged.
+     * @param  {Array.<Object>} nodeList - array of d3 nodes.
      * @returns {undefined}
      */
-    _onDragEnd = () =>
-        !this.state.config.staticGraph &&
-        this.state.config.automaticRearrangeAfterDropNode &&
-        this.state.simulation.alphaTarget(this.state.config.d3.alphaTarget).restart();
+    _onDragEnd = (ev, index, nodeList) => dragHelper.onDragEnd(this, index, nodeList);
 
     /**
-     * Handles d3 'drag' event.
-     * {@link https://github.com/d3/d3-drag/blob/master/README.md#drag_subject|more about d3 drag}
+     * Handles d3 'drag' event (see drag helper onDragMove).
      * @param  {Object} ev - if not undefined it will contain event data.
      * @param  {number} index - index of the node that is being dragged.
-     * @param  {Array.<Object>} nodeList - array of d3 nodes. This list of nodes is provided by d3, each
-     * node contains all information that was previously fed by rd3g.
+     * @param  {Array.<Object>} nodeList - array of d3 nodes.
      * @returns {undefined}
      */
-    _onDragMove = (ev, index, nodeList) => {
-        const id = nodeList[index].id;
-
-        if (!this.state.config.staticGraph) {
-            // this is where d3 and react bind
-            let draggedNode = this.state.nodes[id];
-
-            draggedNode.x += d3Event.dx;
-            draggedNode.y += d3Event.dy;
-
-            // set nodes fixing coords fx and fy
-            draggedNode["fx"] = draggedNode.x;
-            draggedNode["fy"] = draggedNode.y;
-
-            this._tick();
-        }
-    };
+    _onDragMove = (ev, index, nodeList) => dragHelper.onDragMove(this, index, nodeList);
 
     /**
-     * Handles d3 drag 'start' event.
+     * Handles d3 drag 'start' event (see drag helper onDragStart).
+     * @param  {Object} ev - if not undefined it will contain event data.
+     * @param  {number} index - index of the node that is being dragged.
+     * @param  {Array.<Object>} nodeList - array of d3 nodes.
      * @returns {undefined}
      */
-    _onDragStart = () => {
-        this.pauseSimulation();
-        if (this.state.enableFocusAnimation) {
-            this.setState({ enableFocusAnimation: false });
-        }
-    };
+    _onDragStart = (ev, index, nodeList) => dragHelper.onDragStart(this, index, nodeList);
 
     /**
      * Sets nodes and links highlighted value.
@@ -212,6 +320,12 @@ export default class Graph extends React.Component {
             graphHelper.updateNodeHighlightedValue(this.state.nodes, this.state.links, this.state.config, id, value)
         );
 
+    /**
+     * Terminates the worker where the simulation runs (only when running the simulation in a worker).
+     * @returns {undefined}
+     */
+    _terminateSimulation = () => this.state.simulation.terminate && this.state.simulation.terminate();
+
     /**
      * The tick function simply calls React set state in order to update component and render nodes
      * along time as d3 calculates new node positioning.
@@ -222,28 +336,116 @@ export default class Graph extends React.Component {
     _tick = (state = {}, cb) => (cb ? this.setState(state, cb) : this.setState(state));
 
     /**
-     * Configures zoom upon graph with default or user provided values.<br/>
-     * {@link https://github.com/d3/d3-zoom#zoom}
+     * Updates the graph state after some change of the props (or of the collapsed groups).
+     * @param {Object} nextProps - props, with the collapsed graph data (see collapse helper getGraphProps).
+     * @param {Object} [extraState={}] - more state to set along with the graph state.
      * @returns {undefined}
      */
-    _zoomConfig = () =>
-        d3Select(`#${this.state.id}-${CONST.GRAPH_WRAPPER_ID}`).call(
-            d3Zoom()
-                .scaleExtent([this.state.config.minZoom, this.state.config.maxZoom])
-                .on("zoom", this._zoomed)
+    _updateGraphState(nextProps, extraState = {}) {
+        const { graphElementsUpdated, newGraphElements } = graphHelper.checkForGraphElementsChanges(
+            nextProps,
+            this.state
         );
+        const newConfig = nextProps.config || {};
+        const { configUpdated, d3ConfigUpdated } = graphHelper.checkForGraphConfigChanges(nextProps, this.state);
+        const config = configUpdated ? utils.merge(DEFAULT_CONFIG, newConfig) : this.state.config;
+        const state = graphHelper.collapseNodes(
+            {
+                ...(graphElementsUpdated ? graphHelper.initializeGraphState(nextProps, this.state) : this.state),
+                config,
+            },
+            collapseHelper.getCollapsedNodeIds(this, nextProps)
+        );
+
+        // in order to properly update graph data we need to pause eventual d3 ongoing animations
+        newGraphElements && this.pauseSimulation();
+
+        // simulations running in a worker are not garbage collected, they need to be explicitly terminated
+        state.simulation !== this.state.simulation && this._terminateSimulation();
+
+        const transform = newConfig.panAndZoom !== this.state.config.panAndZoom ? 1 : this.state.transform;
+
+        const layoutUpdated =
+            config.layout !== this.state.config.layout ||
+            (newGraphElements && !layoutHelper.isForceLayout(config.layout));
+
+        this.setState({
+            ...state,
+            config,
+            configUpdated,
+            d3ConfigUpdated,
+            newGraphElements,
+            transform,
+            layoutUpdated,
+            ...extraState,
+        });
+
+        this.props.data.focusedNodeId !== nextProps.data.focusedNodeId &&
+            zoomHelper.focusNode(this, nextProps.data.focusedNodeId);
+    }
 
     /**
-     * Handler for 'zoom' event within zoom config.
-     * @returns {Object} returns the transformed elements within the svg graph area.
+     * Serializes the graph, with the current nodes positions and the nodes and links styling,
+     * in a format that can be read by other tools.
+     * @param {string} format - one of "graphml", "gexf", "dot", "csv" or "adjacency-matrix".
+     * @returns {string|Object} the serialized graph, for csv an object with the **nodes** and **edges** lists.
      */
-    _zoomed = () => {
-        const transform = d3Event.transform;
+    exportData = format => serialize(format, this.state);
 
-        d3SelectAll(`#${this.state.id}-${CONST.GRAPH_CONTAINER_ID}`).attr("transform", transform);
+    /**
+     * Exports the rendered graph as a png image. With the canvas renderer the graph is exported
+     * as drawn (current zoom), the **fit** and **padding** options are ignored.
+     * @param {Object} [options] - export options.
+     * @param {number} [options.scale=1] - scale factor applied to the exported image (e.g. 2 for hdpi screens).
+     * @param {string} [options.background] - background color of the image, transparent if not set.
+     * @param {boolean} [options.fit=false] - same as {@link #Graph|options.fit in exportSVG}.
+     * @param {number} [options.padding=20] - same as {@link #Graph|options.padding in exportSVG}.
+     * @returns {Promise} resolves with the png image Blob.
+     */
+    exportPNG = options => exportHelper.exportGraphPNG(this, options);
 
-        this.state.config.panAndZoom && this.setState({ transform: transform.k });
-    };
+    /**
+     * Exports the rendered graph as a standalone svg document, with inlined styles, markers
+     * and embedded node images. Not available with the canvas renderer.
+     * @param {Object} [options] - export options.
+     * @param {boolean} [options.fit=false] - if true the exported image fits the graph contents,
+     * otherwise the graph is exported with the current zoom.
+     * @param {number} [options.padding=20] - padding (in px) around the graph contents when fitting.
+     * @returns {Promise} resolves with the svg document markup (string).
+     */
+    exportSVG = options => exportHelper.exportGraphSVG(this, options);
+
+    /**
+     * Finds the shortest path between two nodes, following links from source to target only in directed graphs.
+     * The path can then be highlighted through the **highlightedPath** prop.
+     * @param {string} source - the id of the node where the path starts.
+     * @param {string} target - the id of the node where the path ends.
+     * @param {Object} [options] - path finding options.
+     * @param {boolean} [options.weighted=false] - when set to true the path with the lowest sum of link **value**s
+     * is found, otherwise the path with fewer hops.
+     * @returns {Array.<string>} the ids of the nodes in the path, from source to target, or null if there's no path.
+     */
+    findShortestPath = (source, target, { weighted = false } = {}) =>
+        pathHelper.findShortestPath(this.state.links, source, target, {
+            directed: this.state.config.directed,
+            weighted,
+        });
+
+    /**
+     * Zooms and pans the graph so that the given nodes (or all nodes) fit inside the svg area.
+     * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes are considered.
+     * @param {number} [padding] - space (in px) to leave between the nodes and the svg edges.
+     * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+     * @returns {undefined}
+     */
+    fitToView = (nodeIds, padding, duration) => zoomHelper.fitToView(this, nodeIds, padding, duration);
+
+    /**
+     * Handles clicks in the canvas renderer (see canvas helper handleClick).
+     * @param  {Object} e - The event of onClick handler.
+     * @returns {undefined}
+     */
+    onClickCanvas = e => canvasHelper.handleClick(this, e);
 
     /**
      * Calls the callback passed to the component.
@@ -251,52 +453,104 @@ export default class Graph extends React.Component {
      * @returns {undefined}
      */
     onClickGraph = e => {
-        if (this.state.enableFocusAnimation) {
-            this.setState({ enableFocusAnimation: false });
-        }
-
         // Only trigger the graph onClickHandler, if not clicked a node or link.
-        // toUpperCase() is added as a precaution, as the documentation says tagName should always
-        // return in UPPERCASE, but chrome returns lowercase
-        if (
-            e.target.tagName.toUpperCase() === "SVG" &&
-            e.target.attributes.name.value === `svg-container-${this.state.id}`
-        ) {
+        if (selectionHelper.isGraphBackground(this, e)) {
+            this.state.config.selectionBehavior && !e.shiftKey && selectionHelper.updateSelection(this, [], []);
             this.props.onClickGraph && this.props.onClickGraph();
         }
     };
 
     /**
-     * Collapses the nodes, then calls the callback passed to the component.
+     * Handles group click, collapsing the group when groups are collapsible.
+     * @param  {string} groupId - id of the clicked group.
+     * @param  {Object} event - the event of onClick handler.
+     * @returns {undefined}
+     */
+    onClickGroup = (groupId, event) => {
+        this.state.config.group.collapsible && collapseHelper.toggleCollapsedGroup(this, groupId);
+        this.props.onClickGroup && this.props.onClickGroup(groupId, event);
+    };
+
+    /**
+     * Handles link click, updating the selection when the selection behavior is active.
+     * @param  {string} source - id of the source node that participates in the event.
+     * @param  {string} target - id of the target node that participates in the event.
+     * @param  {Object} event - the event of onClick handler.
+     * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
+     * @returns {undefined}
+     */
+    onClickLink = (source, target, event, linkId = getLinkId({ source, target })) => {
+        this.state.config.selectionBehavior && selectionHelper.selectLink(this, linkId, event);
+        this.props.onClickLink && this.props.onClickLink(source, target, linkId);
+    };
+
+    /**
+     * Collapses (or expands) the clicked node, then calls the callback passed to the component.
+     * When the selection behavior is active the node is selected (or toggled in the current selection
+     * if a modifier key is pressed, in which case the node is not collapsed), the callback is called either way.
+     * Clicks that follow a node drag are ignored and clicks on compound nodes expand their group back
+     * when groups are collapsible.
      * @param  {string} clickedNodeId - The id of the node where the click was performed.
+     * @param  {Object} event - The event of onClick handler.
      * @returns {undefined}
      */
-    onClickNode = clickedNodeId => {
-        if (this.state.config.collapsible) {
-            const leafConnections = collapseHelper.getTargetLeafConnections(
-                clickedNodeId,
-                this.state.links,
-                this.state.config
-            );
-            const links = collapseHelper.toggleLinksMatrixConnections(
-                this.state.links,
-                leafConnections,
-                this.state.config
-            );
-            const d3Links = collapseHelper.toggleLinksConnections(this.state.d3Links, links);
-
-            this._tick(
-                {
-                    links,
-                    d3Links,
-                },
-                () => this.props.onClickNode && this.props.onClickNode(clickedNodeId)
-            );
-        } else {
-            this.props.onClickNode && this.props.onClickNode(clickedNodeId);
+    onClickNode = (clickedNodeId, event) => {
+        // a click that follows a node drag is not a click
+        if (this.nodeDragged) {
+            this.nodeDragged = false;
+
+            return;
         }
+
+        const { config, nodes } = this.state;
+        const clickedNode = nodes[clickedNodeId];
+        const notify = () => this.props.onClickNode && this.props.onClickNode(clickedNodeId);
+
+        if (config.group.collapsible && clickedNode && clickedNode.groupId !== undefined) {
+            collapseHelper.toggleCollapsedGroup(this, clickedNode.groupId);
+
+            return notify();
+        }
+
+        const toggled = config.selectionBehavior && selectionHelper.selectNode(this, clickedNodeId, event);
+
+        config.collapsible && !toggled ? collapseHelper.toggleCollapsedNode(this, clickedNodeId, notify) : notify();
     };
 
+    /**
+     * Starts drawing the selection brush when shift dragging on the graph background (see selection helper startBrush).
+     * @param  {Object} e - The event of onMouseDown handler.
+     * @returns {undefined}
+     */
+    onMouseDownGraph = e => selectionHelper.startBrush(this, e);
+
+    /**
+     * Updates the selection brush while the user drags.
+     * @param  {Object} e - The event of onMouseMove handler.
+     * @returns {undefined}
+     */
+    onMouseMoveGraph = e => selectionHelper.moveBrush(this, e);
+
+    /**
+     * Finishes the selection brush adding the nodes and links inside of it to the current selection.
+     * @returns {undefined}
+     */
+    onMouseUpGraph = () => selectionHelper.endBrush(this);
+
+    /**
+     * Handles right clicks in the canvas renderer (see canvas helper handleContextMenu).
+     * @param  {Object} e - The event of onContextMenu handler.
+     * @returns {undefined}
+     */
+    onContextMenuCanvas = e => canvasHelper.handleContextMenu(this, e);
+
+    /**
+     * Emits mouse over and mouse out events in the canvas renderer (see canvas helper handleMouseMove).
+     * @param  {Object} e - The event of onMouseMove or onMouseLeave handler.
+     * @returns {undefined}
+     */
+    onMouseMoveCanvas = e => canvasHelper.handleMouseMove(this, e);
+
     /**
      * Handles mouse over node event.
      * @param  {string} id - id of the node that participates in the event.
@@ -323,13 +577,14 @@ export default class Graph extends React.Component {
      * Handles mouse over link event.
      * @param  {string} source - id of the source node that participates in the event.
      * @param  {string} target - id of the target node that participates in the event.
+     * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
      * @returns {undefined}
      */
-    onMouseOverLink = (source, target) => {
-        this.props.onMouseOverLink && this.props.onMouseOverLink(source, target);
+    onMouseOverLink = (source, target, linkId = getLinkId({ source, target })) => {
+        this.props.onMouseOverLink && this.props.onMouseOverLink(source, target, linkId);
 
         if (this.state.config.linkHighlightBehavior) {
-            this.state.highlightedLink = { source, target };
+            this.state.highlightedLink = { source, target, id: linkId };
 
             this._tick();
         }
@@ -339,10 +594,11 @@ export default class Graph extends React.Component {
      * Handles mouse out link event.
      * @param  {string} source - id of the source node that participates in the event.
      * @param  {string} target - id of the target node that participates in the event.
+     * @param  {string} [linkId] - id of the link, tells apart parallel links between the same nodes.
      * @returns {undefined}
      */
-    onMouseOutLink = (source, target) => {
-        this.props.onMouseOutLink && this.props.onMouseOutLink(source, target);
+    onMouseOutLink = (source, target, linkId = getLinkId({ source, target })) => {
+        this.props.onMouseOutLink && this.props.onMouseOutLink(source, target, linkId);
 
         if (this.state.config.linkHighlightBehavior) {
             this.state.highlightedLink = undefined;
@@ -351,6 +607,29 @@ export default class Graph extends React.Component {
         }
     };
 
+    /**
+     * Centers the graph view on the given coordinates keeping the current zoom.
+     * @param {number} x - x coordinate (in graph coordinates) to center the view on.
+     * @param {number} y - y coordinate (in graph coordinates) to center the view on.
+     * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+     * @returns {undefined}
+     */
+    panTo = (x, y, duration) => zoomHelper.panTo(this, x, y, duration);
+
+    /**
+     * Obtains a snapshot of the current layout: nodes positions (and whether they are fixed), zoom transform
+     * and collapsed nodes. The snapshot is serializable and can be fed back into the graph through the
+     * **initialLayout** prop so that the graph is restored exactly as it was.
+     * See {@link #Graph/helper|getLayoutSnapshot} for the snapshot format.
+     * @returns {Object} the layout snapshot.
+     */
+    getLayoutSnapshot = () =>
+        graphHelper.getLayoutSnapshot(
+            this.state.nodes,
+            collapseHelper.getCollapsedNodeIds(this),
+            zoomHelper.getZoomTransform(this)
+        );
+
     /**
      * Calls d3 simulation.stop().<br/>
      * {@link https://github.com/d3/d3-force#simulation_stop}
@@ -362,31 +641,34 @@ export default class Graph extends React.Component {
      * This method resets all nodes fixed positions by deleting the properties fx (fixed x)
      * and fy (fixed y). Following this, a simulation is triggered in order to force nodes to go back
      * to their original positions (or at least new positions according to the d3 force parameters).
+     * For layouts other than "force" the nodes go back to the positions computed by the layout.
      * @returns {undefined}
      */
-    resetNodesPositions = () => {
-        if (!this.state.config.staticGraph) {
-            for (let nodeId in this.state.nodes) {
-                let node = this.state.nodes[nodeId];
-
-                if (node.fx && node.fy) {
-                    Reflect.deleteProperty(node, "fx");
-                    Reflect.deleteProperty(node, "fy");
-                }
-            }
+    resetNodesPositions = () => layoutHelper.resetNodesPositions(this);
 
-            this.state.simulation.alphaTarget(this.state.config.d3.alphaTarget).restart();
-
-            this._tick();
-        }
-    };
+    /**
+     * Resets the graph view to the identity transform (no pan and no zoom).
+     * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+     * @returns {undefined}
+     */
+    resetView = duration => zoomHelper.applyZoomTransform(this, { x: 0, y: 0, k: 1 }, duration);
 
     /**
      * Calls d3 simulation.restart().<br/>
      * {@link https://github.com/d3/d3-force#simulation_restart}
+     * The simulation is not restarted for layouts other than "force".
      * @returns {undefined}
      */
-    restartSimulation = () => !this.state.config.staticGraph && this.state.simulation.restart();
+    restartSimulation = () =>
+        !this.state.config.staticGraph && this._isForceLayout() && this.state.simulation.restart();
+
+    /**
+     * Zooms the graph to the given scale keeping the current center of the view in place.
+     * @param {number} scale - the zoom to apply, it will be kept between **minZoom** and **maxZoom**.
+     * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+     * @returns {undefined}
+     */
+    zoomTo = (scale, duration) => zoomHelper.zoomTo(this, scale, duration);
 
     constructor(props) {
         super(props);
@@ -395,8 +677,17 @@ export default class Graph extends React.Component {
             utils.throwErr(this.constructor.name, ERRORS.GRAPH_NO_ID_PROP);
         }
 
-        this.focusAnimationTimeout = null;
-        this.state = graphHelper.initializeGraphState(this.props, this.state);
+        this.nodesPositions = {};
+
+        const state = graphHelper.initializeGraphState(
+            collapseHelper.getGraphProps(this, this.props, collapseHelper.getCollapsedGroupIds(this)),
+            this.state
+        );
+
+        this.state = this.props.initialLayout
+            ? graphHelper.restoreLayoutSnapshot(state, this.props.initialLayout)
+            : state;
+        this.state = graphHelper.collapseNodes(this.state, collapseHelper.getCollapsedNodeIds(this));
     }
 
     /**
@@ -410,51 +701,38 @@ export default class Graph extends React.Component {
      * @returns {undefined}
      */
     componentWillReceiveProps(nextProps) {
-        const { graphElementsUpdated, newGraphElements } = graphHelper.checkForGraphElementsChanges(
-            nextProps,
-            this.state
-        );
-        const state = graphElementsUpdated ? graphHelper.initializeGraphState(nextProps, this.state) : this.state;
-        const newConfig = nextProps.config || {};
-        const { configUpdated, d3ConfigUpdated } = graphHelper.checkForGraphConfigChanges(nextProps, this.state);
-        const config = configUpdated ? utils.merge(DEFAULT_CONFIG, newConfig) : this.state.config;
-
-        // in order to properly update graph data we need to pause eventual d3 ongoing animations
-        newGraphElements && this.pauseSimulation();
-
-        const transform = newConfig.panAndZoom !== this.state.config.panAndZoom ? 1 : this.state.transform;
+        const collapsedGroupIds = collapseHelper.getCollapsedGroupIds(this, nextProps);
 
-        const focusedNodeId = nextProps.data.focusedNodeId;
-        const d3FocusedNode = this.state.d3Nodes.find(node => `${node.id}` === `${focusedNodeId}`);
-        const focusTransformation = graphHelper.getCenterAndZoomTransformation(d3FocusedNode, this.state.config);
-        const enableFocusAnimation = this.props.data.focusedNodeId !== nextProps.data.focusedNodeId;
-
-        this.setState({
-            ...state,
-            config,
-            configUpdated,
-            d3ConfigUpdated,
-            newGraphElements,
-            transform,
-            focusedNodeId,
-            enableFocusAnimation,
-            focusTransformation,
-        });
+        this._updateGraphState(collapseHelper.getGraphProps(this, nextProps, collapsedGroupIds));
     }
 
     componentDidUpdate() {
         // if the property staticGraph was activated we want to stop possible ongoing simulation
         this.state.config.staticGraph && this.pauseSimulation();
 
+        this._isCanvasRenderer() && this._drawCanvas();
+        pathHelper.updateFlowTimer(this);
+
         if (!this.state.config.staticGraph && (this.state.newGraphElements || this.state.d3ConfigUpdated)) {
             this._graphForcesConfig();
             this.restartSimulation();
             this.setState({ newGraphElements: false, d3ConfigUpdated: false });
         }
 
+        if (this.state.layoutUpdated) {
+            this._isForceLayout()
+                ? this.resetNodesPositions()
+                : layoutHelper.applyLayout(this, this.state.config.layoutAnimationDuration);
+            this.setState({ layoutUpdated: false });
+        }
+
         if (this.state.configUpdated) {
-            this._zoomConfig();
+            zoomHelper.configureZoom(this);
+            !this.state.config.staticGraph && dragHelper.configureDrag(this);
             this.setState({ configUpdated: false });
+        } else if (!this.state.config.staticGraph && !this._isCanvasRenderer()) {
+            // svg nodes are mounted again when they enter the viewport or when their collapsed node is expanded
+            dragHelper.configureDrag(this, true);
         }
     }
 
@@ -464,51 +742,87 @@ export default class Graph extends React.Component {
         }
 
         // graph zoom and drag&drop all network
-        this._zoomConfig();
+        zoomHelper.configureZoom(this);
+
+        if (this.props.initialLayout) {
+            // the graph is restored exactly as it was saved, there's no need to run the simulation
+            this.pauseSimulation();
+            zoomHelper.applyZoomTransform(this, this.props.initialLayout.transform, 0);
+        } else if (!this._isForceLayout()) {
+            layoutHelper.applyLayout(this);
+        }
+
+        this._isCanvasRenderer() && this._drawCanvas();
+        pathHelper.updateFlowTimer(this);
     }
 
     componentWillUnmount() {
+        window.removeEventListener("mouseup", this.onMouseUpGraph);
+        this.layoutTimer && this.layoutTimer.stop();
+        this.flowTimer && this.flowTimer.stop();
         this.pauseSimulation();
+        this._terminateSimulation();
     }
 
     render() {
-        const { nodes, links, defs } = graphRenderer.renderGraph(
-            this.state.nodes,
-            {
+        if (this._isCanvasRenderer()) {
+            return graphRenderer.renderCanvas(this.state.id, this.state.config, {
+                ref: canvas => (this.canvas = canvas),
+                onClick: this.onClickCanvas,
+                onContextMenu: this.onContextMenuCanvas,
+                onMouseDown: this.onMouseDownGraph,
+                onMouseMove: this.onMouseMoveCanvas,
+                onMouseLeave: this.onMouseMoveCanvas,
+                onMouseUp: this.onMouseUpGraph,
+            });
+        }
+
+        const { nodes, links, groups, defs } = graphRenderer.renderGraph({
+            ...this._getRenderOptions(),
+            graphId: this.state.id,
+            nodeCallbacks: {
                 onClickNode: this.onClickNode,
                 onRightClickNode: this.props.onRightClickNode,
                 onMouseOverNode: this.onMouseOverNode,
                 onMouseOut: this.onMouseOutNode,
             },
-            this.state.d3Links,
-            this.state.links,
-            {
-                onClickLink: this.props.onClickLink,
+            linkCallbacks: {
+                onClickLink: this.onClickLink,
                 onRightClickLink: this.props.onRightClickLink,
                 onMouseOverLink: this.onMouseOverLink,
                 onMouseOutLink: this.onMouseOutLink,
             },
-            this.state.config,
-            this.state.highlightedNode,
-            this.state.highlightedLink,
-            this.state.transform
-        );
+            groupCallbacks: {
+                onClickGroup: this.onClickGroup,
+                onMouseOverGroup: this.props.onMouseOverGroup,
+                onMouseOutGroup: this.props.onMouseOutGroup,
+            },
+        });
 
-        const svgStyle = {
-            height: this.state.config.height,
-            width: this.state.config.width,
-        };
+        // the ids of the mounted svg nodes, drag is only bound again when they change (see componentDidUpdate)
+        this.renderedNodeIds = nodes.map(({ key }) => key).join();
 
-        const containerProps = this._generateFocusAnimationProps();
+        const brush = graphRenderer.renderSelectionBrush(
+            selectionHelper.buildBrushPolygon(this.state.brushPoints, this.state.config.selectionBrush)
+        );
 
         return (
             <div id={`${this.state.id}-${CONST.GRAPH_WRAPPER_ID}`}>
-                <svg name={`svg-container-${this.state.id}`} style={svgStyle} onClick={this.onClickGraph}>
+                <svg
+                    name={`svg-container-${this.state.id}`}
+                    style={{ height: this.state.config.height, width: this.state.config.width }}
+                    onClick={this.onClickGraph}
+                    onMouseDown={this.onMouseDownGraph}
+                    onMouseMove={this.onMouseMoveGraph}
+                    onMouseUp={this.onMouseUpGraph}
+                >
                     {defs}
-                    <g id={`${this.state.id}-${CONST.GRAPH_CONTAINER_ID}`} {...containerProps}>
+                    <g id={`${this.state.id}-${CONST.GRAPH_CONTAINER_ID}`}>
+                        {groups}
                         {links}
                         {nodes}
                     </g>
+                    {brush}
                 </svg>
             </div>
         );
@@ -0,0 +1,525 @@
+/**
+ * @module Graph/canvas-helper
+ * @description
+ * Offers a series of methods to draw graph elements (groups, nodes, links, markers and labels) onto a
+ * [canvas 2d context](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D)
+ * and to find which element lies under some point (hit testing). The pointer event handlers of the canvas
+ * renderer receive the Graph component instance and dispatch the events to the element under the pointer.
+ *
+ * Developer notes - the canvas drawing methods consume the very same props that are fed into the
+ * Node and Link components (see Graph/builder), this way both svg and canvas renderers look alike.
+ * Elements are drawn in graph coordinates, the zoom transform is applied to the context beforehand.
+ */
+import CONST from "./graph.const";
+import { LABEL_BACKGROUNDS, LABEL_HALO_WIDTH_RATIO } from "../link/link.const";
+import { MARKER_PATHS, MARKER_REF_X, OPEN_MARKER_SHAPES, OPEN_MARKER_STROKE_WIDTH } from "../marker/marker.const";
+
+import { getPointerPosition } from "./selection.helper";
+import nodeHelper from "../node/node.helper";
+import utils from "../../utils";
+import { getParallelLinkControlPoint } from "../link/link.helper";
+
+// extra space (in px) around links where the pointer still hits them
+const LINK_HIT_TOLERANCE = 4;
+// same proportions as the Marker component (viewBox 10x10 drawn at 6x6 stroke widths)
+const MARKER_LENGTH_RATIO = 6;
+const MARKER_VIEWBOX_SIZE = 10;
+// canvas text alignment of link labels for each svg text anchor and how far it shifts the text (relative to its width)
+const TEXT_ALIGNS = { start: "start", middle: "center", end: "end" };
+const TEXT_ALIGN_SHIFTS = { start: 0, center: -0.5, end: -1 };
+
+// images shared by every canvas graph and the callbacks waiting for them to load, both mapped by url
+const images = {};
+const pendingImageCallbacks = {};
+
+/**
+ * Loads (once) the image for some url. Every graph that requests the image while it is still
+ * loading gets its callback called once it finishes loading.
+ * @param {string} url - the image url.
+ * @param {Function} [onLoad] - callback to be called when the image finishes loading.
+ * @returns {Object} the image element, which might still be loading.
+ * @memberof Graph/canvas-helper
+ */
+function _getImage(url, onLoad) {
+    if (!images[url]) {
+        const image = new Image();
+        const settle = () => {
+            const callbacks = pendingImageCallbacks[url] || [];
+
+            delete pendingImageCallbacks[url];
+
+            return callbacks;
+        };
+
+        pendingImageCallbacks[url] = [];
+        image.onload = () => settle().forEach(cb => cb());
+        image.onerror = settle;
+        image.src = url;
+        images[url] = image;
+    }
+
+    const callbacks = pendingImageCallbacks[url];
+
+    onLoad && callbacks && !callbacks.includes(onLoad) && callbacks.push(onLoad);
+
+    return images[url];
+}
+
+/**
+ * Sets the font and fill style for drawing labels.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - element props with fontSize, fontWeight and fontColor.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _setLabelStyle(context, { fontSize, fontWeight, fontColor }) {
+    context.font = `${fontWeight || "normal"} ${fontSize}px sans-serif`;
+    context.fillStyle = fontColor;
+}
+
+/**
+ * Draws a marker oriented after some point of the link, the marker shape is drawn
+ * within the same viewBox as the Marker component and anchored at the same refX.
+ * @param {Object} context - canvas 2d context.
+ * @param {string} shape - the marker shape (one of MARKER_SHAPES).
+ * @param {Object} point - where (x and y) and with which orientation (angle in radians) the marker is drawn.
+ * @param {number} refX - the marker point that is placed on the link (see MARKER_REF_X).
+ * @param {number} strokeWidth - the link stroke width, markers scale with it.
+ * @param {string} color - the marker color.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _drawMarker(context, shape, { x, y, angle }, refX, strokeWidth, color) {
+    const scale = (MARKER_LENGTH_RATIO * strokeWidth) / MARKER_VIEWBOX_SIZE;
+    const path = new Path2D(MARKER_PATHS[shape]);
+
+    context.save();
+    context.translate(x, y);
+    context.rotate(angle);
+    context.scale(scale, scale);
+    context.translate(-refX, 0);
+
+    if (OPEN_MARKER_SHAPES.includes(shape)) {
+        context.lineWidth = OPEN_MARKER_STROKE_WIDTH;
+        context.strokeStyle = color;
+        context.stroke(path);
+    } else {
+        context.fillStyle = color;
+        context.fill(path);
+    }
+
+    context.restore();
+}
+
+/**
+ * Draws the label of some link, with its halo or background rectangle (see **link.labelBackground**).
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - link props as built by buildLinkProps.
+ * @param {Object} point - where (x and y) and with which orientation (angle in radians) the label is drawn.
+ * @param {string} align - the canvas text alignment (start, center or end).
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _drawLinkLabel(context, props, { x, y, angle }, align) {
+    const offset = -props.strokeWidth - (props.labelOffset === undefined ? 1 : props.labelOffset);
+
+    context.translate(x, y);
+    context.rotate(angle);
+    context.textAlign = align;
+    _setLabelStyle(context, props);
+
+    if (props.labelBackground === LABEL_BACKGROUNDS.RECT) {
+        const { width } = context.measureText(props.label);
+
+        context.fillStyle = props.labelBackgroundColor;
+        // the rectangle goes from the ascender to the descender of the text
+        context.fillRect(width * TEXT_ALIGN_SHIFTS[align], offset - props.fontSize, width, props.fontSize * 1.25);
+        context.fillStyle = props.fontColor;
+    }
+
+    if (props.labelBackground === LABEL_BACKGROUNDS.HALO) {
+        context.strokeStyle = props.labelBackgroundColor;
+        context.lineWidth = props.fontSize * LABEL_HALO_WIDTH_RATIO;
+        context.lineJoin = "round";
+        context.strokeText(props.label, 0, offset);
+    }
+
+    context.fillText(props.label, 0, offset);
+}
+
+/**
+ * Draws a link, its markers (for directed graphs) and its label.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - link props as built by buildLinkProps (parallel links are drawn after their parallelOffset
+ * and self-loops after their selfLoop angle and size). Links with some flow are dashed, their dashes move along
+ * with the time, thus they need to be redrawn on every animation frame.
+ * @param {Object} coords - link coordinates.
+ * @param {number} coords.x1 - x coordinate of the source node.
+ * @param {number} coords.y1 - y coordinate of the source node.
+ * @param {number} coords.x2 - x coordinate of the target node.
+ * @param {number} coords.y2 - y coordinate of the target node.
+ * @param {number} coords.targetRadius - radius of the target node, markers of links without tip are drawn at its edge.
+ * @returns {Object} the link hit region, with source, target, the link path and strokeWidth
+ * (the renderer further adds the link id).
+ * @memberof Graph/canvas-helper
+ */
+function drawLink(context, props, { x1, y1, x2, y2, targetRadius }) {
+    const path = new Path2D(props.d);
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    // links are clipped at the node boundaries, their tip tells where (and with which direction) they reach the target
+    const tip = props.tip || {
+        x: x2 - Math.cos(angle) * targetRadius,
+        y: y2 - Math.sin(angle) * targetRadius,
+        angle,
+    };
+    let labelX = (x1 + x2) / 2;
+    let labelY = (y1 + y2) / 2;
+    let labelAngle = angle;
+
+    if (props.middle) {
+        // the middle of the link path (orthogonal, step and custom paths included), labels follow its direction
+        labelX = props.middle.x;
+        labelY = props.middle.y;
+        labelAngle = props.middle.angle;
+    } else if (props.parallelOffset) {
+        // parallel links are quadratic curves, their label sits on the curve apex
+        const control = getParallelLinkControlPoint({ x: x1, y: y1 }, { x: x2, y: y2 }, props.parallelOffset);
+
+        labelX = (labelX + control.x) / 2;
+        labelY = (labelY + control.y) / 2;
+    } else if (props.selfLoop) {
+        // self-loops are cubic curves that leave and come back to the node, their label sits on the loop apex
+        labelX = x1 + Math.cos(props.selfLoop.angle) * props.selfLoop.size;
+        labelY = y1 + Math.sin(props.selfLoop.angle) * props.selfLoop.size;
+    }
+
+    context.save();
+    context.globalAlpha = props.opacity;
+    context.strokeStyle = props.stroke;
+    context.lineWidth = props.strokeWidth;
+
+    if (props.flow) {
+        // same animation as the svg Link, the dash offset decreases (or increases) from a whole dash period to 0
+        const { dashArray, direction, duration } = props.flow;
+        const period = dashArray[0] + dashArray[1];
+        const progress = (Date.now() % (duration * 1000)) / (duration * 1000);
+
+        context.setLineDash(dashArray);
+        context.lineDashOffset = period * direction * (1 - progress);
+    }
+
+    context.stroke(path);
+    props.flow && context.setLineDash([]);
+
+    const markers = props.markers || {};
+    const points = { start: props.tail, mid: props.middle, end: tip };
+
+    Object.keys(points)
+        .filter(position => markers[position] && points[position])
+        .forEach(position =>
+            _drawMarker(
+                context,
+                markers[position],
+                points[position],
+                MARKER_REF_X[position],
+                props.strokeWidth,
+                props.stroke
+            )
+        );
+
+    if (props.label && props.labelPoint) {
+        // labels placed along the link path (see buildLinkProps), already upright when link.labelUpright is set
+        _drawLinkLabel(context, props, props.labelPoint, TEXT_ALIGNS[props.labelAnchor] || "center");
+    } else if (props.label) {
+        // keep labels readable, never upside down
+        const upright = Math.abs(labelAngle) > Math.PI / 2 ? labelAngle + Math.PI : labelAngle;
+
+        _drawLinkLabel(context, props, { x: labelX, y: labelY, angle: upright }, "center");
+    }
+
+    context.restore();
+
+    return { source: props.source, target: props.target, path, strokeWidth: props.strokeWidth };
+}
+
+/**
+ * Draws a node (symbol or svg image) and its label.
+ * **NOTE**: nodes with a *viewGenerator* can't be drawn on canvas, their symbol is drawn instead.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - node props as built by buildNodeProps.
+ * @param {Function} [onImageLoad] - callback to be called once a node svg image finishes loading.
+ * @returns {Object} the node hit region, with id, x, y and radius.
+ * @memberof Graph/canvas-helper
+ */
+function drawNode(context, props, onImageLoad) {
+    const x = Number(props.cx) || 0;
+    const y = Number(props.cy) || 0;
+    let radius;
+
+    context.save();
+    context.globalAlpha = props.opacity;
+    context.translate(x, y);
+
+    if (props.svg) {
+        const side = props.size / 10;
+        const image = _getImage(props.svg, onImageLoad);
+
+        radius = side / 2;
+        image.complete && image.naturalWidth && context.drawImage(image, -radius, -radius, side, side);
+    } else {
+        const path = new Path2D(nodeHelper.buildSvgSymbol(props.size, props.type));
+
+        radius = Math.sqrt(props.size / Math.PI);
+        context.fillStyle = props.fill;
+        context.fill(path);
+
+        if (props.stroke && props.stroke !== "none") {
+            context.strokeStyle = props.stroke;
+            context.lineWidth = props.strokeWidth;
+            context.stroke(path);
+        }
+    }
+
+    if (props.renderLabel && props.label !== undefined && props.label !== null) {
+        _setLabelStyle(context, props);
+
+        if (props.labelLines) {
+            context.textAlign = TEXT_ALIGNS[props.labelAnchor] || "start";
+            props.labelLines.forEach((line, i) =>
+                context.fillText(line, props.labelX, props.labelY + i * props.labelLineHeight)
+            );
+        } else {
+            context.fillText(props.label, props.dx, -0.7 * props.fontSize);
+        }
+    }
+
+    if (props.badge) {
+        context.beginPath();
+        context.arc(props.badgeX, props.badgeY, props.badgeRadius, 0, 2 * Math.PI);
+        context.fillStyle = props.badgeColor;
+        context.fill();
+        _setLabelStyle(context, { fontSize: props.fontSize, fontColor: props.badgeFontColor });
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(props.badge, props.badgeX, props.badgeY);
+    }
+
+    context.restore();
+
+    return { id: props.id, x, y, radius };
+}
+
+/**
+ * Draws some group outline (behind the member nodes) and its label.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} props - group props, same as the Group component props (see Graph/builder buildGroupProps).
+ * @returns {Object} the hit region of the group, its id and path.
+ * @memberof Graph/canvas-helper
+ */
+function drawGroup(context, props) {
+    const path = new Path2D(props.d);
+
+    context.save();
+    context.globalAlpha = props.fillOpacity;
+    context.fillStyle = props.fill;
+    context.fill(path);
+    context.globalAlpha = 1;
+
+    if (props.stroke && props.stroke !== "none") {
+        context.strokeStyle = props.stroke;
+        context.lineWidth = props.strokeWidth;
+        context.stroke(path);
+    }
+
+    if (props.label) {
+        _setLabelStyle(context, props);
+        context.textAlign = "center";
+        context.fillText(props.label, props.labelX, props.labelY);
+    }
+
+    context.restore();
+
+    return { id: props.id, path };
+}
+
+/**
+ * Draws the selection brush polygon.
+ * @param {Object} context - canvas 2d context.
+ * @param {Array.<Array.<number>>} polygon - list of [x, y] vertices of the brush.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function drawSelectionBrush(context, polygon) {
+    if (!polygon || !polygon.length) {
+        return;
+    }
+
+    context.save();
+    context.beginPath();
+    polygon.forEach(([x, y], i) => (i ? context.lineTo(x, y) : context.moveTo(x, y)));
+    context.closePath();
+    context.fillStyle = "rgba(31, 119, 180, 0.1)";
+    context.strokeStyle = "#1f77b4";
+    context.setLineDash([4, 2]);
+    context.fill();
+    context.stroke();
+    context.restore();
+}
+
+/**
+ * Finds the element (node or link) drawn under some point. Nodes are drawn on top of links
+ * thus they take precedence, the last drawn element wins.
+ * @param {Object} context - canvas 2d context.
+ * @param {Object} hitRegions - hit regions returned when drawing the graph.
+ * @param {Array.<Object>} hitRegions.nodes - nodes hit regions (see drawNode).
+ * @param {Array.<Object>} hitRegions.links - links hit regions (see drawLink).
+ * @param {Array.<Object>} hitRegions.groups - groups hit regions (see drawGroup), groups are hit last
+ * since they are drawn behind nodes and links.
+ * @param {Array.<number>} point - the [x, y] point in screen coordinates (relative to the canvas).
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Object|undefined} `{ type: "node", id }`, `{ type: "link", id, source, target }`,
+ * `{ type: "group", id }` or undefined.
+ * @memberof Graph/canvas-helper
+ */
+function findElementAt(context, { nodes = [], links = [], groups = [] }, [px, py], { x = 0, y = 0, k = 1 }) {
+    const gx = (px - x) / k;
+    const gy = (py - y) / k;
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const node = nodes[i];
+        const dx = gx - node.x;
+        const dy = gy - node.y;
+
+        if (dx * dx + dy * dy <= node.radius * node.radius) {
+            return { type: CONST.NODE_CLASS_NAME, id: node.id };
+        }
+    }
+
+    if (!context || !context.isPointInStroke) {
+        return;
+    }
+
+    let hit;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    for (let i = links.length - 1; i >= 0 && !hit; i--) {
+        const link = links[i];
+
+        context.lineWidth = link.strokeWidth + LINK_HIT_TOLERANCE / k;
+
+        if (context.isPointInStroke(link.path, gx, gy)) {
+            hit = { type: CONST.LINK_CLASS_NAME, id: link.id, source: link.source, target: link.target };
+        }
+    }
+
+    for (let i = groups.length - 1; i >= 0 && !hit && context.isPointInPath; i--) {
+        if (context.isPointInPath(groups[i].path, gx, gy)) {
+            hit = { type: CONST.GROUP_CLASS_NAME, id: groups[i].id };
+        }
+    }
+
+    context.restore();
+
+    return hit;
+}
+
+/**
+ * Emits the mouse over (or mouse out) event of some element drawn in the canvas renderer.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} element - the element (see findElementAt).
+ * @param {boolean} over - true for mouse over events, false for mouse out events.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function _emitMouseEvent(graph, element, over) {
+    if (element.type === CONST.NODE_CLASS_NAME) {
+        over ? graph.onMouseOverNode(element.id) : graph.onMouseOutNode(element.id);
+    } else if (element.type === CONST.GROUP_CLASS_NAME) {
+        const callback = over ? graph.props.onMouseOverGroup : graph.props.onMouseOutGroup;
+
+        callback && callback(element.id);
+    } else {
+        over
+            ? graph.onMouseOverLink(element.source, element.target, element.id)
+            : graph.onMouseOutLink(element.source, element.target, element.id);
+    }
+}
+
+/**
+ * Handles clicks in the canvas renderer, dispatching them to the clicked node, link, group or graph background.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the click event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleClick(graph, e) {
+    const element = graph._findCanvasElement(getPointerPosition(e));
+
+    if (!element) {
+        graph.onClickGraph(e);
+    } else if (element.type === CONST.GROUP_CLASS_NAME) {
+        graph.onClickGroup(element.id, e);
+    } else if (element.type === CONST.NODE_CLASS_NAME) {
+        graph.onClickNode(element.id, e);
+    } else {
+        graph.onClickLink(element.source, element.target, e, element.id);
+    }
+}
+
+/**
+ * Handles right clicks in the canvas renderer, dispatching them to the clicked node or link.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the contextmenu event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleContextMenu(graph, e) {
+    const element = graph._findCanvasElement(getPointerPosition(e));
+    const { onRightClickNode, onRightClickLink } = graph.props;
+
+    if (element && element.type === CONST.NODE_CLASS_NAME) {
+        onRightClickNode && onRightClickNode(e, element.id);
+    } else if (element && element.type === CONST.LINK_CLASS_NAME) {
+        onRightClickLink && onRightClickLink(e, element.source, element.target, element.id);
+    }
+}
+
+/**
+ * Tracks which element is under the pointer in the canvas renderer in order to emit
+ * mouse over and mouse out events for nodes, links and groups, same as svg elements do.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mousemove or mouseleave event.
+ * @returns {undefined}
+ * @memberof Graph/canvas-helper
+ */
+function handleMouseMove(graph, e) {
+    graph.onMouseMoveGraph(e);
+
+    const element = e.type === "mouseleave" ? undefined : graph._findCanvasElement(getPointerPosition(e));
+    const previous = graph.hoveredCanvasElement;
+
+    if (utils.isDeepEqual(element || {}, previous || {})) {
+        return;
+    }
+
+    previous && _emitMouseEvent(graph, previous, false);
+    element && _emitMouseEvent(graph, element, true);
+
+    const elementConfig = element && graph.state.config[element.type];
+
+    graph.hoveredCanvasElement = element;
+    graph.canvas.style.cursor = elementConfig ? elementConfig.mouseCursor : "";
+}
+
+export {
+    drawGroup,
+    drawLink,
+    drawNode,
+    drawSelectionBrush,
+    findElementAt,
+    handleClick,
+    handleContextMenu,
+    handleMouseMove,
+};
@@ -8,16 +8,28 @@
  *
  * User interaction flow (for a collapsible graph)
  * 1. User clicks node
- * 2. All leaf connections of that node are not rendered anymore
+ * 2. All descendants of that node (directed graphs) or all its leaf neighbors (not directed graphs)
+ * are not rendered anymore, a badge on the node tells how many nodes are hidden
  * 3. User clicks on same node
- * 4. All leaf connections of that node are rendered
+ * 4. All descendants (or leaf neighbors) of that node are rendered
  *
  * Internal react-d3-graph flow
  * 1. User clicks node
- * 2. Compute leaf connections for clicked node (rootNode, root as in 'root' of the event)
- * 3. Update connections matrix (based on 2.)
- * 4. Update d3Links array with toggled connections (based on 2.)
+ * 2. Toggle the clicked node in the list of collapsed node ids (the collapse state)
+ * 3. Compute the nodes hidden by every collapsed node (see getHiddenNodes), descendants that can still
+ * be reached from some visible node without going through a collapsed node remain visible
+ * 4. Update d3Links array and connections matrix, links from collapsed nodes and links of hidden nodes are hidden
+ *
+ * Collapsible groups (see config.group.collapsible) are replaced by compound nodes before the graph state is built
+ * (see getGraphProps). The methods that toggle collapsed nodes and groups receive the Graph component instance,
+ * the collapsedNodeIds and collapsedGroupIds props take precedence over the internal state (controlled vs
+ * uncontrolled collapse).
  */
+import DEFAULT_CONFIG from "./graph.config";
+
+import utils from "../../utils";
+import { toggleSelectedId } from "./selection.helper";
+import { collapseGroups } from "../group/group.helper";
 
 /**
  * For directed graphs.
@@ -57,6 +69,79 @@ function _isLeaf(nodeId, linksMatrix, directed) {
     return directed ? _isLeafDirected(inDegree, outDegree) : _isLeafNotDirected(inDegree, outDegree);
 }
 
+/**
+ * Builds the adjacency lists of the graph out of all its links (hidden or not).
+ * @param {Array.<Object>} d3Links - all the d3 links.
+ * @param {boolean} directed - whether graph in context is directed or not.
+ * @returns {Object.<string, Array.<string>>} the ids of the nodes each node links to, mapped by node id.
+ * @memberof Graph/collapse-helper
+ */
+function _buildAdjacency(d3Links, directed) {
+    const add = (acc, source, target) => {
+        acc[source] = acc[source] || [];
+        acc[target] = acc[target] || [];
+        source !== target && !acc[source].includes(target) && acc[source].push(target);
+    };
+
+    return d3Links.reduce((acc, { source, target }) => {
+        const sourceId = `${source.id !== undefined && source.id !== null ? source.id : source}`;
+        const targetId = `${target.id !== undefined && target.id !== null ? target.id : target}`;
+
+        add(acc, sourceId, targetId);
+        !directed && add(acc, targetId, sourceId);
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Walks the graph from the given nodes.
+ * @param {Array.<string>} nodeIds - the ids of the nodes to start from.
+ * @param {Object.<string, Array.<string>>} adjacency - the adjacency lists of the graph (see _buildAdjacency).
+ * @param {Function} [expand] - tells whether the walk goes on through some node, it goes through every node by default.
+ * @returns {Object.<string, boolean>} the ids of the reached nodes, including the starting ones.
+ * @memberof Graph/collapse-helper
+ */
+function _walk(nodeIds, adjacency, expand = () => true) {
+    const reached = {};
+    const pending = [...nodeIds];
+
+    nodeIds.forEach(id => (reached[id] = true));
+
+    while (pending.length) {
+        const id = pending.pop();
+
+        expand(id) &&
+            (adjacency[id] || []).forEach(target => {
+                if (!reached[target]) {
+                    reached[target] = true;
+                    pending.push(target);
+                }
+            });
+    }
+
+    return reached;
+}
+
+/**
+ * Computes the nodes that some collapsed node folds, its descendants in directed graphs and its leaf neighbors
+ * in not directed graphs.
+ * @param {string} nodeId - the id of the collapsed node.
+ * @param {Object.<string, Array.<string>>} adjacency - the adjacency lists of the graph (see _buildAdjacency).
+ * @param {boolean} directed - whether graph in context is directed or not.
+ * @returns {Array.<string>} the ids of the folded nodes.
+ * @memberof Graph/collapse-helper
+ */
+function _getFoldedNodes(nodeId, adjacency, directed) {
+    if (!directed) {
+        return (adjacency[nodeId] || []).filter(id => adjacency[id].length === 1);
+    }
+
+    const reached = _walk(adjacency[nodeId] || [], adjacency);
+
+    return Object.keys(reached).filter(id => id !== nodeId);
+}
+
 /**
  * Calculates degree (in and out) of some provided node.
  * @param {string|number} nodeId - the id of the node whom degree we want to compute.
@@ -135,17 +220,58 @@ function getTargetLeafConnections(rootNodeId, linksMatrix = {}, { directed }) {
  * If you think that this code is confusing and could potentially collide (🤞) with #_isLeaf
  * always remember that *A leaf can, through time, be both a visible or an invisible node!*.
  *
+ * Nodes are hidden by collapsed nodes only (see getHiddenNodes), thus orphan nodes and nodes whose links are
+ * all hidden (e.g. a collapsed node without other connections) remain visible.
+ *
  * @param {string} nodeId - The id of the node to get the cardinality of
  * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param {Object.<string, number>} linksMatrix - An object containing a matrix of connections of the nodes.
  * @returns {boolean} flag that indicates whether node should or not be displayed.
  * @memberof Graph/collapse-helper
  */
-function isNodeVisible(nodeId, nodes, linksMatrix) {
-    const { inDegree, outDegree } = computeNodeDegree(nodeId, linksMatrix);
-    const orphan = !!nodes[nodeId]._orphan;
+function isNodeVisible(nodeId, nodes) {
+    return !nodes[nodeId]._hidden;
+}
+
+/**
+ * Computes which nodes are hidden by the collapsed nodes. In directed graphs collapsed nodes hide their
+ * descendants, unless they can still be reached from some visible node without going through a collapsed
+ * node. In not directed graphs collapsed nodes hide their leaf neighbors.
+ * @param {Array.<string>} collapsedNodeIds - the ids of the collapsed nodes.
+ * @param {Array.<Object>} d3Links - all the d3 links.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {boolean} config.directed - tells whether the graph is directed or not.
+ * @returns {Object} the ids of the hidden nodes (**hiddenNodeIds**, an object that maps them to true) and how many
+ * nodes each collapsed node hides (**hiddenCounts**, mapped by collapsed node id).
+ * @memberof Graph/collapse-helper
+ */
+function getHiddenNodes(collapsedNodeIds, d3Links, { directed }) {
+    const adjacency = _buildAdjacency(d3Links, directed);
+    const collapsed = collapsedNodeIds.map(id => `${id}`).filter(id => adjacency[id]);
+    const folded = collapsed.reduce((acc, id) => {
+        acc[id] = _getFoldedNodes(id, adjacency, directed);
+
+        return acc;
+    }, {});
+    const candidates = collapsed.reduce((acc, id) => {
+        folded[id].forEach(foldedId => (acc[foldedId] = true));
 
-    return inDegree > 0 || outDegree > 0 || orphan;
+        return acc;
+    }, {});
+    const roots = Object.keys(adjacency).filter(id => !candidates[id]);
+    // not directed graphs only fold leaf neighbors, which can't be reached otherwise
+    const visible = directed ? _walk(roots, adjacency, id => !collapsed.includes(id)) : {};
+    const hiddenNodeIds = Object.keys(candidates).reduce((acc, id) => {
+        !visible[id] && (acc[id] = true);
+
+        return acc;
+    }, {});
+    const hiddenCounts = collapsed.reduce((acc, id) => {
+        acc[id] = folded[id].filter(foldedId => hiddenNodeIds[foldedId]).length;
+
+        return acc;
+    }, {});
+
+    return { hiddenNodeIds, hiddenCounts };
 }
 
 /**
@@ -158,8 +284,8 @@ function isNodeVisible(nodeId, nodes, linksMatrix) {
 function toggleLinksConnections(d3Links, connectionMatrix) {
     return d3Links.map(d3Link => {
         const { source, target } = d3Link;
-        const sourceId = source.id || source;
-        const targetId = target.id || target;
+        const sourceId = source.id !== undefined && source.id !== null ? source.id : source;
+        const targetId = target.id !== undefined && target.id !== null ? target.id : target;
         // connectionMatrix[sourceId][targetId] can be 0 or non existent
         const connection = connectionMatrix && connectionMatrix[sourceId] && connectionMatrix[sourceId][targetId];
 
@@ -174,10 +300,29 @@ function toggleLinksConnections(d3Links, connectionMatrix) {
  * @param {Array.<Object.<string, string>>} connections - connections to toggle on matrix.
  * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
  * @param {boolean} config.directed - tells whether linksMatrix represents a directed graph or not.
+ * @param {Array.<Object>} [d3Links=[]] - all the d3 links, restored connections get back the cost of the cheapest
+ * link between their nodes (see graph helper _initializeLinks), 1 when there are no such links.
  * @returns {Object.<string, Object>} updated linksMatrix
  * @memberof Graph/collapse-helper
  */
-function toggleLinksMatrixConnections(linksMatrix, connections, { directed }) {
+function toggleLinksMatrixConnections(linksMatrix, connections, { directed }, d3Links = []) {
+    const _getNodeId = node => `${node.id !== undefined && node.id !== null ? node.id : node}`;
+    const _getConnectionValue = (source, target) => {
+        const values = d3Links
+            .filter(d3Link => {
+                const sourceId = _getNodeId(d3Link.source);
+                const targetId = _getNodeId(d3Link.target);
+
+                return (
+                    (sourceId === source && targetId === target) ||
+                    (!directed && sourceId === target && targetId === source)
+                );
+            })
+            .map(d3Link => d3Link.value || 1);
+
+        return values.length ? Math.min(...values) : 1;
+    };
+
     return connections.reduce(
         (newMatrix, link) => {
             if (!newMatrix[link.source]) {
@@ -188,7 +333,8 @@ function toggleLinksMatrixConnections(linksMatrix, connections, { directed }) {
                 newMatrix[link.source][link.target] = 0;
             }
 
-            const newConnectionValue = newMatrix[link.source][link.target] === 0 ? 1 : 0;
+            const newConnectionValue =
+                newMatrix[link.source][link.target] === 0 ? _getConnectionValue(`${link.source}`, `${link.target}`) : 0;
 
             newMatrix[link.source][link.target] = newConnectionValue;
 
@@ -202,10 +348,110 @@ function toggleLinksMatrixConnections(linksMatrix, connections, { directed }) {
     );
 }
 
+/**
+ * Obtain the ids of the collapsed groups, the collapsedGroupIds prop takes precedence over the internal
+ * state (controlled vs uncontrolled collapsed groups).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [props=graph.props] - Graph component props.
+ * @returns {Array.<string>} the ids of the collapsed groups.
+ * @memberof Graph/collapse-helper
+ */
+function getCollapsedGroupIds(graph, props = graph.props) {
+    return props.collapsedGroupIds || (graph.state && graph.state.collapsedGroupIds) || [];
+}
+
+/**
+ * Obtain the ids of the collapsed nodes, the collapsedNodeIds prop takes precedence over the internal
+ * state (controlled vs uncontrolled collapsed nodes).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [props=graph.props] - Graph component props.
+ * @returns {Array.<string>} the ids of the collapsed nodes.
+ * @memberof Graph/collapse-helper
+ */
+function getCollapsedNodeIds(graph, props = graph.props) {
+    return props.collapsedNodeIds || (graph.state && graph.state.collapsedNodeIds) || [];
+}
+
+/**
+ * Obtain the props the graph state is built from, collapsed groups are replaced by compound nodes.
+ * The positions of the current nodes are remembered so that expanded members go back where they were.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} props - Graph component props.
+ * @param {Array.<string>} collapsedGroupIds - ids of the collapsed groups.
+ * @returns {Object} the props with the collapsed graph data.
+ * @memberof Graph/collapse-helper
+ */
+function getGraphProps(graph, props, collapsedGroupIds) {
+    const nodes = (graph.state && graph.state.nodes) || {};
+
+    Object.keys(nodes)
+        .filter(id => nodes[id].x !== undefined && nodes[id].y !== undefined)
+        .forEach(id => (graph.nodesPositions[id] = { x: nodes[id].x, y: nodes[id].y }));
+
+    const config = utils.merge(DEFAULT_CONFIG, props.config || {});
+    const data = collapseGroups(props.data, collapsedGroupIds, config, graph.nodesPositions);
+
+    return { ...props, data };
+}
+
+/**
+ * Collapses some group into its compound node or expands it back and calls the onCollapsedGroupsChange
+ * callback, the graph is only updated here when collapsed groups are not controlled through the
+ * collapsedGroupIds prop.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} groupId - the id of the group to toggle.
+ * @returns {undefined}
+ * @memberof Graph/collapse-helper
+ */
+function toggleCollapsedGroup(graph, groupId) {
+    const collapsedGroupIds = toggleSelectedId(getCollapsedGroupIds(graph).map(id => `${id}`), `${groupId}`);
+
+    if (!graph.props.collapsedGroupIds) {
+        graph._updateGraphState(getGraphProps(graph, graph.props, collapsedGroupIds), { collapsedGroupIds });
+    }
+
+    graph.props.onCollapsedGroupsChange && graph.props.onCollapsedGroupsChange(collapsedGroupIds);
+}
+
+/**
+ * Collapses some node or expands it back and calls the onCollapseChange callback, the graph is only
+ * updated here when collapsed nodes are not controlled through the collapsedNodeIds prop. Nodes that
+ * hide no other node are not collapsed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - the id of the node to toggle.
+ * @param {Function} cb - called once the graph is updated.
+ * @returns {undefined}
+ * @memberof Graph/collapse-helper
+ */
+function toggleCollapsedNode(graph, nodeId, cb) {
+    const id = `${nodeId}`;
+    const current = getCollapsedNodeIds(graph).map(collapsedId => `${collapsedId}`);
+    const collapsedNodeIds = toggleSelectedId(current, id);
+    const { hiddenCounts } = getHiddenNodes(collapsedNodeIds, graph.state.d3Links, graph.state.config);
+
+    if (!current.includes(id) && !hiddenCounts[id]) {
+        return cb();
+    }
+
+    graph.props.onCollapseChange && graph.props.onCollapseChange(collapsedNodeIds);
+
+    if (graph.props.collapsedNodeIds) {
+        return cb();
+    }
+
+    graph._collapseNodes(collapsedNodeIds, cb);
+}
+
 export {
     computeNodeDegree,
+    getCollapsedGroupIds,
+    getCollapsedNodeIds,
+    getGraphProps,
+    getHiddenNodes,
     getTargetLeafConnections,
     isNodeVisible,
+    toggleCollapsedGroup,
+    toggleCollapsedNode,
     toggleLinksConnections,
     toggleLinksMatrixConnections,
 };
@@ -0,0 +1,168 @@
+/**
+ * @module Graph/drag-helper
+ * @description
+ * Offers a series of methods that allow graph to drag its nodes around, all of them receive
+ * the Graph component instance.
+ *
+ * Developer notes - with the svg renderer the d3 drag behavior is bound to each node element, with the canvas
+ * renderer it's bound to the canvas itself and the dragged node (the drag subject) is obtained via hit testing.
+ * Dragged nodes get their positions fixed (fx, fy) and the Graph nodeDragged flag is set, so that the click
+ * that follows the drag is ignored (see Graph onClickNode).
+ */
+import { drag as d3Drag } from "d3-drag";
+import { select as d3Select, event as d3Event } from "d3-selection";
+
+import CONST from "./graph.const";
+
+import { getZoomTransform } from "./zoom.helper";
+
+/**
+ * Obtains the id of the node that is being dragged.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged (svg renderer).
+ * @param {Array.<Object>} nodeList - array of dragged elements (svg renderer).
+ * @returns {string} the id of the dragged node.
+ * @memberof Graph/drag-helper
+ */
+function _getDraggedNodeId(graph, index, nodeList) {
+    return graph._isCanvasRenderer() ? `${d3Event.subject.id}` : nodeList[index].id;
+}
+
+/**
+ * Moves a node by the given deltas fixing its position (fx, fy).
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} id - the id of the node to move.
+ * @param {number} dx - delta to apply to the node x coordinate.
+ * @param {number} dy - delta to apply to the node y coordinate.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function _moveNode(graph, id, dx, dy) {
+    if (!graph.state.config.staticGraph) {
+        // this is where d3 and react bind
+        let draggedNode = graph.state.nodes[id];
+
+        draggedNode.x += dx;
+        draggedNode.y += dy;
+
+        // set nodes fixing coords fx and fy
+        draggedNode["fx"] = draggedNode.x;
+        draggedNode["fy"] = draggedNode.y;
+
+        graph.nodeDragged = true;
+        graph._tick();
+
+        graph.props.onNodeDrag && graph.props.onNodeDrag(draggedNode, { x: draggedNode.x, y: draggedNode.y });
+    }
+}
+
+/**
+ * Configures nodes drag events.
+ * @param {Object} graph - the Graph component instance.
+ * @param {boolean} [mountedOnly=false] - only bind the drag behavior to svg nodes that don't have it yet,
+ * e.g. nodes that were mounted again after being culled from the viewport or hidden by a collapsed node. Nodes
+ * are only looked up when the rendered nodes (see Graph renderedNodeIds) changed since they were last bound.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function configureDrag(graph, mountedOnly = false) {
+    const customNodeDrag = d3Drag()
+        .on("start", graph._onDragStart)
+        .on("end", graph._onDragEnd);
+
+    if (graph._isCanvasRenderer()) {
+        graph.canvas &&
+            d3Select(graph.canvas).call(
+                customNodeDrag.subject(() => getCanvasDragSubject(graph)).on("drag", () => onCanvasDragMove(graph))
+            );
+    } else if (!mountedOnly || graph.draggableNodeIds !== graph.renderedNodeIds) {
+        graph.draggableNodeIds = graph.renderedNodeIds;
+        d3Select(`#${graph.state.id}-${CONST.GRAPH_WRAPPER_ID}`)
+            .selectAll(".node")
+            .filter((d, i, nodeList) => !mountedOnly || !d3Select(nodeList[i]).on("mousedown.drag"))
+            .call(customNodeDrag.on("drag", graph._onDragMove));
+    }
+}
+
+/**
+ * Computes the subject of a drag gesture in the canvas renderer, the node under the pointer (if any).
+ * {@link https://github.com/d3/d3-drag#drag_subject}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object|undefined} the dragged node.
+ * @memberof Graph/drag-helper
+ */
+function getCanvasDragSubject(graph) {
+    const element = graph._findCanvasElement([d3Event.x, d3Event.y]);
+
+    return element && element.type === CONST.NODE_CLASS_NAME ? graph.state.nodes[element.id] : undefined;
+}
+
+/**
+ * Handles d3 'drag' event for the canvas renderer, pointer deltas are
+ * converted into graph coordinates using the current zoom.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onCanvasDragMove(graph) {
+    const { k } = getZoomTransform(graph);
+
+    _moveNode(graph, d3Event.subject.id, d3Event.dx / k, d3Event.dy / k);
+}
+
+/**
+ * Handles d3 drag 'end' event. If the node was actually moved the new position is reported, the
+ * nodeDragged flag remains set until the click that follows the drag (see Graph onClickNode) or the next drag start.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragEnd(graph, index, nodeList) {
+    const { config, nodes, simulation } = graph.state;
+
+    if (graph.nodeDragged) {
+        const id = _getDraggedNodeId(graph, index, nodeList);
+        const { x, y } = nodes[id];
+
+        graph.props.onNodePositionChange && graph.props.onNodePositionChange(id, x, y);
+    }
+
+    !config.staticGraph &&
+        graph._isForceLayout() &&
+        config.automaticRearrangeAfterDropNode &&
+        simulation.alphaTarget(config.d3.alphaTarget).restart();
+}
+
+/**
+ * Handles d3 'drag' event.
+ * {@link https://github.com/d3/d3-drag/blob/master/README.md#drag_subject|more about d3 drag}
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes. This list of nodes is provided by d3, each
+ * node contains all information that was previously fed by rd3g.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragMove(graph, index, nodeList) {
+    _moveNode(graph, nodeList[index].id, d3Event.dx, d3Event.dy);
+}
+
+/**
+ * Handles d3 drag 'start' event.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} index - index of the node that is being dragged.
+ * @param {Array.<Object>} nodeList - array of d3 nodes.
+ * @returns {undefined}
+ * @memberof Graph/drag-helper
+ */
+function onDragStart(graph, index, nodeList) {
+    graph.pauseSimulation();
+    graph.nodeDragged = false;
+
+    graph.props.onNodeDragStart &&
+        graph.props.onNodeDragStart(graph.state.nodes[_getDraggedNodeId(graph, index, nodeList)], d3Event.sourceEvent);
+}
+
+export { configureDrag, getCanvasDragSubject, onCanvasDragMove, onDragEnd, onDragMove, onDragStart };
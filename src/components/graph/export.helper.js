@@ -0,0 +1,281 @@
+/**
+ * @module Graph/export-helper
+ * @description
+ * Offers a series of methods to export the rendered graph as a standalone SVG document or as a PNG
+ * image, entirely client side. The svg element rendered by the Graph is cloned, the computed styles of
+ * each element are inlined, node images are embedded as data urls and the result is serialized.
+ * The canvas renderer can only be exported as a PNG image (see exportGraphPNG and exportGraphSVG).
+ */
+import { select as d3Select } from "d3-selection";
+
+import CONST from "./graph.const";
+import ERRORS from "../../err";
+
+import utils from "../../utils";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+/**
+ * Style properties that are inlined into the exported svg elements, so that the exported
+ * document looks the same outside of the page stylesheets.
+ * @memberof Graph/export-helper
+ */
+const INLINED_STYLE_PROPERTIES = [
+    "fill",
+    "fill-opacity",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "opacity",
+    "stroke",
+    "stroke-dasharray",
+    "stroke-opacity",
+    "stroke-width",
+    "text-anchor",
+    "visibility",
+];
+
+/**
+ * Default padding (in px) around the graph contents when exporting with fit to content.
+ * @memberof Graph/export-helper
+ */
+const DEFAULT_EXPORT_PADDING = 20;
+
+/**
+ * Copies the computed style of each element of the source svg into the matching element of the clone.
+ * @param {Object} source - the rendered svg element.
+ * @param {Object} clone - a deep clone of the source svg element.
+ * @returns {undefined}
+ * @memberof Graph/export-helper
+ */
+function _inlineStyles(source, clone) {
+    const sourceElements = [source, ...source.querySelectorAll("*")];
+    const cloneElements = [clone, ...clone.querySelectorAll("*")];
+
+    sourceElements.forEach((element, i) => {
+        const computed = window.getComputedStyle(element);
+        const style = INLINED_STYLE_PROPERTIES.map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}:${value}`)
+            .join(";");
+
+        style && cloneElements[i].setAttribute("style", `${style};${cloneElements[i].getAttribute("style") || ""}`);
+    });
+}
+
+/**
+ * Reads some url into a data url.
+ * @param {string} url - the url of the resource.
+ * @returns {Promise} resolves with the data url of the resource.
+ * @memberof Graph/export-helper
+ */
+function _toDataUrl(url) {
+    return window
+        .fetch(url)
+        .then(response => response.blob())
+        .then(
+            blob =>
+                new Promise((resolve, reject) => {
+                    const reader = new window.FileReader();
+
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = reject;
+                    reader.readAsDataURL(blob);
+                })
+        );
+}
+
+/**
+ * Embeds the images (e.g. node svg images) referenced by the clone as data urls, so that the exported
+ * document does not depend on external resources. Images that can't be fetched are kept as they are.
+ * @param {Object} clone - the cloned svg element.
+ * @returns {Promise} resolves once all the images are embedded.
+ * @memberof Graph/export-helper
+ */
+function _embedImages(clone) {
+    const images = [...clone.querySelectorAll("image")];
+
+    return Promise.all(
+        images.map(image => {
+            const href = image.getAttribute("href") || image.getAttributeNS(XLINK_NS, "href");
+
+            if (!href || href.indexOf("data:") === 0) {
+                return Promise.resolve();
+            }
+
+            return _toDataUrl(href)
+                .then(dataUrl => image.setAttribute("href", dataUrl))
+                .catch(() => undefined);
+        })
+    );
+}
+
+/**
+ * Clones the rendered graph svg into a standalone svg element. By default the current zoom is kept, if **fit**
+ * is set the viewport is set to the bounding box of the graph contents instead.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options={}] - export options.
+ * @param {boolean} [options.fit=false] - whether to fit the exported image to the graph contents.
+ * @param {number} [options.padding=DEFAULT_EXPORT_PADDING] - padding (in px) around the contents when fitting.
+ * @returns {Object} the cloned svg element with its width and height.
+ * @memberof Graph/export-helper
+ */
+function _cloneSvg(svg, graphId, config, { fit = false, padding = DEFAULT_EXPORT_PADDING } = {}) {
+    const clone = svg.cloneNode(true);
+    const container = svg.querySelector(`#${graphId}-${CONST.GRAPH_CONTAINER_ID}`);
+    let { width, height } = config;
+
+    _inlineStyles(svg, clone);
+
+    [...clone.querySelectorAll(`.${CONST.SELECTION_BRUSH_CLASS_NAME}`)].forEach(brush =>
+        brush.parentNode.removeChild(brush)
+    );
+
+    if (fit && container) {
+        const { x, y, width: boxWidth, height: boxHeight } = container.getBBox();
+
+        width = boxWidth + 2 * padding;
+        height = boxHeight + 2 * padding;
+        clone.querySelector(`#${graphId}-${CONST.GRAPH_CONTAINER_ID}`).removeAttribute("transform");
+        clone.setAttribute("viewBox", `${x - padding} ${y - padding} ${width} ${height}`);
+    }
+
+    clone.setAttribute("xmlns", SVG_NS);
+    clone.setAttribute("xmlns:xlink", XLINK_NS);
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    clone.removeAttribute("name");
+
+    return { clone, width, height };
+}
+
+/**
+ * Serializes the rendered graph svg as a standalone svg document.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in _cloneSvg}.
+ * @returns {Promise} resolves with an object with the svg document (markup), width and height.
+ * @memberof Graph/export-helper
+ */
+function exportSVG(svg, graphId, config, options) {
+    const { clone, width, height } = _cloneSvg(svg, graphId, config, options);
+
+    return _embedImages(clone).then(() => ({
+        markup: new window.XMLSerializer().serializeToString(clone),
+        width,
+        height,
+    }));
+}
+
+/**
+ * Draws some image source (svg document or canvas) into a new canvas and encodes it as png.
+ * @param {Object} source - the image or canvas to draw.
+ * @param {number} width - the width of the exported image (before scaling).
+ * @param {number} height - the height of the exported image (before scaling).
+ * @param {Object} [options={}] - png options.
+ * @param {number} [options.scale=1] - scale factor applied to the exported image (e.g. 2 for hdpi).
+ * @param {string} [options.background] - background color, transparent if not set.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function _rasterize(source, width, height, { scale = 1, background } = {}) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * Exports the rendered graph svg as a png image.
+ * @param {Object} svg - the rendered svg element.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - both the options of {@link #Graph/export-helper|exportSVG} and _rasterize.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportPNG(svg, graphId, config, options) {
+    return exportSVG(svg, graphId, config, options).then(
+        ({ markup, width, height }) =>
+            new Promise((resolve, reject) => {
+                const image = new window.Image();
+                const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+
+                image.onload = () => resolve(_rasterize(image, width, height, options));
+                image.onerror = reject;
+                image.src = url;
+            })
+    );
+}
+
+/**
+ * Exports the graph drawn by the canvas renderer as a png image, the current zoom is kept.
+ * @param {Object} canvas - the canvas where the graph is drawn.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in _rasterize}.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportCanvasPNG(canvas, config, options) {
+    return _rasterize(canvas, config.width, config.height, options);
+}
+
+/**
+ * Obtains the svg element where some Graph is rendered (svg renderer).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} the svg element.
+ * @memberof Graph/export-helper
+ */
+function _getGraphSvg(graph) {
+    return d3Select(`#${graph.state.id}-${CONST.GRAPH_WRAPPER_ID}`)
+        .select("svg")
+        .node();
+}
+
+/**
+ * Exports the graph rendered by some Graph as a png image, with either renderer.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in exportPNG}.
+ * @returns {Promise} resolves with the png Blob.
+ * @memberof Graph/export-helper
+ */
+function exportGraphPNG(graph, options) {
+    const { id, config } = graph.state;
+
+    return config.renderer === CONST.RENDERERS.CANVAS
+        ? exportCanvasPNG(graph.canvas, config, options)
+        : exportPNG(_getGraphSvg(graph), id, config, options);
+}
+
+/**
+ * Exports the graph rendered by some Graph as a standalone svg document, the canvas renderer can't be exported as svg.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} [options] - same as {@link #Graph/export-helper|options in exportSVG}.
+ * @returns {Promise} resolves with the svg document markup (string), rejected for the canvas renderer.
+ * @memberof Graph/export-helper
+ */
+function exportGraphSVG(graph, options) {
+    const { id, config } = graph.state;
+
+    if (config.renderer === CONST.RENDERERS.CANVAS) {
+        return new Promise(() => utils.throwErr(graph.constructor.name, ERRORS.EXPORT_SVG_CANVAS_RENDERER));
+    }
+
+    return exportSVG(_getGraphSvg(graph), id, config, options).then(({ markup }) => markup);
+}
+
+export { DEFAULT_EXPORT_PADDING, exportCanvasPNG, exportGraphPNG, exportGraphSVG, exportPNG, exportSVG };
@@ -4,12 +4,28 @@
  * Offers a series of methods that isolate the way graph elements are built (nodes and links mainly).
  */
 import CONST from "./graph.const";
-
-import { buildLinkPathDefinition } from "../link/link.helper";
-import { getMarkerId } from "../marker/marker.helper";
+import { GROUP_LABEL_GAP } from "../group/group.const";
+import { FLOW_DASH_RATIO, FLOW_GAP_RATIO, LABEL_CHAR_WIDTH_RATIO } from "../link/link.const";
+
+import {
+    buildCustomLinkPath,
+    buildLinkPath,
+    buildSelfLoopPath,
+    getLabelPlacement,
+    getLinkId,
+    getLinkPathLength,
+    getParallelLinkOffset,
+    getPointAlongLinkPath,
+    getSelfLoopSize,
+} from "../link/link.helper";
+import { buildGroupPath } from "../group/group.helper";
+import { getMarkerShapes } from "../marker/marker.helper";
+import nodeHelper from "../node/node.helper";
 
 /**
  * Get the correct node opacity in order to properly make decisions based on context such as currently highlighted node.
+ * Nodes spotlighted through the highlight prop (**spotlighted** is only defined while that prop is set) are
+ * highlighted too.
  * @param  {Object} node - the node object for whom we will generate properties.
  * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
  * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
@@ -20,11 +36,13 @@ import { getMarkerId } from "../marker/marker.helper";
 function _getNodeOpacity(node, highlightedNode, highlightedLink, config) {
     const highlight =
         node.highlighted ||
+        node.spotlighted ||
         node.id === (highlightedLink && highlightedLink.source) ||
         node.id === (highlightedLink && highlightedLink.target);
     const someNodeHighlighted = !!(
         highlightedNode ||
-        (highlightedLink && highlightedLink.source && highlightedLink.target)
+        (highlightedLink && highlightedLink.source && highlightedLink.target) ||
+        node.spotlighted !== undefined
     );
     let opacity;
 
@@ -39,6 +57,124 @@ function _getNodeOpacity(node, highlightedNode, highlightedLink, config) {
     return opacity;
 }
 
+/**
+ * Checks whether the graph is zoomed in enough for some labels to be rendered. The zoom level is only
+ * tracked when panAndZoom is on, otherwise labels are always rendered.
+ * @param  {number} minZoom - the zoom level from which labels are rendered.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {boolean} true if labels should be rendered.
+ * @memberof Graph/builder
+ */
+function _isZoomedForLabels(minZoom, config, transform) {
+    return !config.panAndZoom || !minZoom || transform >= minZoom;
+}
+
+/**
+ * Describes the shape some node is rendered with, links are clipped at its boundary
+ * (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @param  {Object} node - the node object.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Object} the node shape, with its size, symbol type and whether it is rendered as an image (rect).
+ * @memberof Graph/builder
+ */
+function getNodeShape(node = {}, config, transform) {
+    // the canvas renderer draws the symbol of nodes with a view generator
+    const viewGenerator =
+        config.renderer !== CONST.RENDERERS.CANVAS && (node.viewGenerator || config.node.viewGenerator);
+
+    return {
+        size: (node.size || config.node.size) / transform,
+        type: node.symbolType || config.node.symbolType,
+        rect: !!(node.svg || config.node.svg || viewGenerator),
+    };
+}
+
+/**
+ * Computes the direction some self-loop should point at, which is away from the neighbours of the node
+ * (or upwards for nodes without neighbours).
+ * @param  {string} nodeId - id of the node the self-loop belongs to.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Object.<string, Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @returns {number} the self-loop angle (in radians).
+ * @memberof Graph/builder
+ */
+function _getSelfLoopAngle(nodeId, nodes, links) {
+    const node = nodes[nodeId] || {};
+    const { dx, dy } = Object.keys(links).reduce(
+        (acc, id) => {
+            const neighbour = nodes[id];
+            const connected = (links[nodeId] && links[nodeId][id]) || (links[id] && links[id][nodeId]);
+
+            if (id === nodeId || !neighbour || !connected) {
+                return acc;
+            }
+
+            const x = (neighbour.x || 0) - (node.x || 0);
+            const y = (neighbour.y || 0) - (node.y || 0);
+            const length = Math.sqrt(x * x + y * y);
+
+            return length ? { dx: acc.dx + x / length, dy: acc.dy + y / length } : acc;
+        },
+        { dx: 0, dy: 0 }
+    );
+
+    return dx || dy ? Math.atan2(-dy, -dx) : -Math.PI / 2;
+}
+
+/**
+ * Places the label of some link along the link path. Labels that would read upside down follow the
+ * reversed path (when **link.labelUpright** is set) and labels longer than their link are hidden (when
+ * **link.hideLongLabels** is set). Links with a custom path (see **link.pathGenerator**) can only be placed
+ * through the textPath start offset.
+ * @param {string} label - the link label.
+ * @param {Object} path - the link path (see {@link #Link/helper|buildLinkPath}).
+ * @param {number} fontSize - the label font size (already scaled by the zoom).
+ * @param {Object} linkConfig - the link config.
+ * @returns {Object} the label (null when hidden), the reversed path the label follows (**labelPath**, null when
+ * it follows the link), the textPath **labelStartOffset**, the text **labelAnchor** and the **labelPoint**
+ * where the label is drawn on canvas.
+ * @memberof Graph/builder
+ */
+function _getLinkLabelProps(label, path, fontSize, linkConfig) {
+    const { fraction, anchor } = getLabelPlacement(linkConfig.labelPosition);
+    const props = {
+        label,
+        labelPath: null,
+        labelStartOffset: `${fraction * 100}%`,
+        labelAnchor: anchor,
+        labelPoint: null,
+    };
+
+    if (!label || !path.points) {
+        return props;
+    }
+
+    if (
+        linkConfig.hideLongLabels &&
+        `${label}`.length * fontSize * LABEL_CHAR_WIDTH_RATIO > getLinkPathLength(path.points)
+    ) {
+        return { ...props, label: null };
+    }
+
+    const point = getPointAlongLinkPath(path.points, fraction);
+
+    if (!linkConfig.labelUpright || Math.cos(point.angle) >= 0) {
+        return { ...props, labelPoint: point };
+    }
+
+    const flippedAnchors = { start: "end", middle: "middle", end: "start" };
+
+    return {
+        ...props,
+        labelPath: path.reversedD,
+        labelStartOffset: `${(1 - fraction) * 100}%`,
+        labelAnchor: flippedAnchors[anchor],
+        labelPoint: { ...point, angle: point.angle > 0 ? point.angle - Math.PI : point.angle + Math.PI },
+    };
+}
+
 /**
  * Build some Link properties based on given parameters.
  * @param  {Object} link - the link object for which we will generate properties.
@@ -59,7 +195,38 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     const x2 = (nodes[target] && nodes[target].x) || 0;
     const y2 = (nodes[target] && nodes[target].y) || 0;
 
-    const d = buildLinkPathDefinition({ source: { x: x1, y: y1 }, target: { x: x2, y: y2 } }, config.link.type);
+    const sourceShape = getNodeShape(nodes[source], config, transform);
+    const targetShape = getNodeShape(nodes[target], config, transform);
+    const markers = getMarkerShapes(link, config);
+    let parallelOffset = getParallelLinkOffset(link);
+    let selfLoop = null;
+    let path;
+
+    if (config.link.pathGenerator) {
+        // the consumer draws the whole path, parallel links and self-loops included
+        parallelOffset = 0;
+        path = buildCustomLinkPath(config.link.pathGenerator, nodes[source], nodes[target], link);
+    } else if (source === target) {
+        const angle = _getSelfLoopAngle(source, nodes, links);
+        const nodeRadius = nodeHelper.getNodeBoundaryDistance(sourceShape, angle);
+
+        parallelOffset = 0;
+        selfLoop = { angle, size: getSelfLoopSize(nodeRadius, link.parallelIndex) };
+        path = buildSelfLoopPath({ x: x1, y: y1, shape: sourceShape }, selfLoop, !!markers.mid);
+    } else {
+        path = buildLinkPath(
+            {
+                source: { x: x1, y: y1, shape: sourceShape },
+                target: { x: x2, y: y2, shape: targetShape },
+                curvature: config.link.curvature,
+            },
+            config.link.type,
+            parallelOffset,
+            !!markers.mid
+        );
+    }
+
+    const { d, tail, middle, tip } = path;
 
     let mainNodeParticipates = false;
 
@@ -76,14 +243,17 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     }
 
     const reasonNode = mainNodeParticipates && nodes[source].highlighted && nodes[target].highlighted;
+    // parallel links share source and target, the highlighted link id tells them apart
     const reasonLink =
         source === (highlightedLink && highlightedLink.source) &&
-        target === (highlightedLink && highlightedLink.target);
-    const highlight = reasonNode || reasonLink;
+        target === (highlightedLink && highlightedLink.target) &&
+        (highlightedLink.id === undefined || highlightedLink.id === getLinkId(link));
+    // spotlighted is only defined while the highlight prop is set
+    const highlight = reasonNode || reasonLink || !!link.spotlighted;
 
     let opacity = link.opacity || config.link.opacity;
 
-    if (highlightedNode || (highlightedLink && highlightedLink.source)) {
+    if (highlightedNode || (highlightedLink && highlightedLink.source) || link.spotlighted !== undefined) {
         opacity = highlight ? config.link.opacity : config.highlightOpacity;
     }
 
@@ -93,16 +263,25 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
         stroke = config.link.highlightColor === CONST.KEYWORDS.SAME ? config.link.color : config.link.highlightColor;
     }
 
-    let strokeWidth = (link.strokeWidth || config.link.strokeWidth) * (1 / transform);
+    // pathDirection is 1 (or -1) for links that the highlighted path walks from source to target (or backwards)
+    if (link.pathDirection) {
+        stroke = config.path.color;
+    }
+
+    if (link.selected && config.link.selectedColor !== CONST.KEYWORDS.SAME) {
+        stroke = config.link.selectedColor;
+    }
+
+    let strokeWidth =
+        (link.pathDirection ? config.path.strokeWidth : link.strokeWidth || config.link.strokeWidth) * (1 / transform);
 
     if (config.link.semanticStrokeWidth) {
-        const linkValue = links[source][target] || links[target][source] || 1;
+        // parallel links share an entry of the matrix, each of them is sized after its own value
+        const linkValue = link.parallelCount ? link.value || 1 : links[source][target] || links[target][source] || 1;
 
         strokeWidth += (linkValue * strokeWidth) / 10;
     }
 
-    const markerId = config.directed ? getMarkerId(highlight, transform, config) : null;
-
     const t = 1 / transform;
 
     let fontSize = null;
@@ -110,25 +289,45 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
     let fontWeight = null;
     let label = null;
 
-    if (config.link.renderLabel) {
+    if (config.link.renderLabel && _isZoomedForLabels(config.link.labelMinZoom, config, transform)) {
         label = link[config.link.labelProperty];
         fontSize = link.fontSize || config.link.fontSize;
         fontColor = link.fontColor || config.link.fontColor;
         fontWeight = highlight ? config.link.highlightFontWeight : config.link.fontWeight;
     }
 
+    const labelProps = _getLinkLabelProps(label, path, fontSize * t, config.link);
+    let flow = null;
+
+    if (link.pathDirection && config.path.flow) {
+        flow = {
+            dashArray: [strokeWidth * FLOW_DASH_RATIO, strokeWidth * FLOW_GAP_RATIO],
+            direction: link.pathDirection,
+            duration: config.path.flowDuration,
+        };
+    }
+
     return {
-        markerId,
+        markers,
         d,
+        tail,
+        middle,
+        tip,
+        parallelOffset,
+        selfLoop,
         source,
         target,
         strokeWidth,
         stroke,
-        label,
+        ...labelProps,
+        labelOffset: config.link.labelOffset * t,
+        labelBackground: config.link.labelBackground,
+        labelBackgroundColor: config.link.labelBackgroundColor,
         mouseCursor: config.link.mouseCursor,
         fontColor,
         fontSize: fontSize * t,
         fontWeight,
+        flow,
         className: CONST.LINK_CLASS_NAME,
         opacity,
         onClickLink: linkCallbacks.onClickLink,
@@ -152,6 +351,7 @@ function buildLinkProps(link, nodes, links, config, linkCallbacks, highlightedNo
 function buildNodeProps(node, config, nodeCallbacks = {}, highlightedNode, highlightedLink, transform) {
     const highlight =
         node.highlighted ||
+        node.spotlighted ||
         (node.id === (highlightedLink && highlightedLink.source) ||
             node.id === (highlightedLink && highlightedLink.target));
     const opacity = _getNodeOpacity(node, highlightedNode, highlightedLink, config);
@@ -168,7 +368,8 @@ function buildNodeProps(node, config, nodeCallbacks = {}, highlightedNode, highl
         stroke = config.node.highlightStrokeColor;
     }
 
-    let label = node[config.node.labelProperty] || node.id;
+    // compound nodes (collapsed groups) are labeled after their group and number of members
+    let label = node.groupLabel || node[config.node.labelProperty] || node.id;
 
     if (typeof config.node.labelProperty === "function") {
         label = config.node.labelProperty(node);
@@ -180,15 +381,41 @@ function buildNodeProps(node, config, nodeCallbacks = {}, highlightedNode, highl
         strokeWidth = config.node.highlightStrokeWidth;
     }
 
+    if (node.onPath) {
+        stroke = config.path.color;
+        strokeWidth = config.path.nodeStrokeWidth;
+    }
+
+    if (node.selected) {
+        fill = config.node.selectedColor === CONST.KEYWORDS.SAME ? fill : config.node.selectedColor;
+        stroke = config.node.selectedStrokeColor === CONST.KEYWORDS.SAME ? stroke : config.node.selectedStrokeColor;
+        strokeWidth =
+            config.node.selectedStrokeWidth === CONST.KEYWORDS.SAME ? strokeWidth : config.node.selectedStrokeWidth;
+    }
+
     const t = 1 / transform;
     const nodeSize = node.size || config.node.size;
     const fontSize = highlight ? config.node.highlightFontSize : config.node.fontSize;
-    const dx = fontSize * t + nodeSize / 100 + 1.5;
     const svg = node.svg || config.node.svg;
     const fontColor = node.fontColor || config.node.fontColor;
+    const shape = getNodeShape(node, config, transform);
+    // collapsed nodes tell how many nodes they hide
+    const badge = config.collapsible && node._hiddenCount ? nodeHelper.getNodeBadgeLayout(shape, fontSize * t) : null;
+    const labelLayout = nodeHelper.getNodeLabelLayout(label, shape, {
+        position: node.labelPosition || config.node.labelPosition,
+        maxWidth: config.node.labelMaxWidth && config.node.labelMaxWidth * t,
+        maxLines: config.node.labelMaxLines,
+        fontSize: fontSize * t,
+    });
 
     return {
         ...node,
+        badge: badge && `${node._hiddenCount}`,
+        badgeColor: config.node.badgeColor,
+        badgeFontColor: config.node.badgeFontColor,
+        badgeRadius: badge && badge.radius,
+        badgeX: badge && badge.x,
+        badgeY: badge && badge.y,
         className: CONST.NODE_CLASS_NAME,
         cursor: config.node.mouseCursor,
         cx: (node && node.x) || "0",
@@ -196,16 +423,21 @@ function buildNodeProps(node, config, nodeCallbacks = {}, highlightedNode, highl
         fill,
         fontColor,
         fontSize: fontSize * t,
-        dx,
         fontWeight: highlight ? config.node.highlightFontWeight : config.node.fontWeight,
         id: node.id,
         label,
+        labelAnchor: labelLayout.anchor,
+        labelLineHeight: labelLayout.lineHeight,
+        labelLines: labelLayout.lines,
+        labelTitle: labelLayout.title,
+        labelX: labelLayout.x,
+        labelY: labelLayout.y,
         onClickNode: nodeCallbacks.onClickNode,
         onRightClickNode: nodeCallbacks.onRightClickNode,
         onMouseOverNode: nodeCallbacks.onMouseOverNode,
         onMouseOut: nodeCallbacks.onMouseOut,
         opacity,
-        renderLabel: config.node.renderLabel,
+        renderLabel: config.node.renderLabel && _isZoomedForLabels(config.node.labelMinZoom, config, transform),
         size: nodeSize * t,
         stroke,
         strokeWidth: strokeWidth * t,
@@ -216,4 +448,47 @@ function buildNodeProps(node, config, nodeCallbacks = {}, highlightedNode, highl
     };
 }
 
-export { buildLinkProps, buildNodeProps };
+/**
+ * Build some Group properties, the group outline is computed from the current positions of its members.
+ * @param  {Object} group - the group object, with its id and the optional properties of the group payload
+ * (label, color, shape, ...).
+ * @param  {Array.<Object>} members - the member nodes of the group.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Function[]} groupCallbacks - same as {@link #graphrenderer|groupCallbacks in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Object} returns object that contain Group props or null for groups without members.
+ * @memberof Graph/builder
+ */
+function buildGroupProps(group, members, config, groupCallbacks = {}, transform) {
+    const outline = buildGroupPath(members, group.padding || config.group.padding, group.shape || config.group.shape);
+
+    if (!outline) {
+        return null;
+    }
+
+    const t = 1 / transform;
+    const fontSize = config.group.fontSize * t;
+    const label = group[config.group.labelProperty];
+
+    return {
+        id: group.id,
+        className: CONST.GROUP_CLASS_NAME,
+        cursor: config.group.mouseCursor,
+        d: outline.d,
+        fill: group.color || config.group.color,
+        fillOpacity: group.fillOpacity !== undefined ? group.fillOpacity : config.group.fillOpacity,
+        fontColor: group.fontColor || config.group.fontColor,
+        fontSize,
+        fontWeight: config.group.fontWeight,
+        label: config.group.renderLabel ? `${label !== undefined && label !== null ? label : group.id}` : null,
+        labelX: (outline.minX + outline.maxX) / 2,
+        labelY: outline.minY - fontSize * GROUP_LABEL_GAP,
+        onClickGroup: groupCallbacks.onClickGroup,
+        onMouseOverGroup: groupCallbacks.onMouseOverGroup,
+        onMouseOutGroup: groupCallbacks.onMouseOutGroup,
+        stroke: group.strokeColor || config.group.strokeColor,
+        strokeWidth: (group.strokeWidth || config.group.strokeWidth) * t,
+    };
+}
+
+export { buildGroupProps, buildLinkProps, buildNodeProps, getNodeShape };
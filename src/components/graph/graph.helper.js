@@ -19,49 +19,67 @@
  * @property {string} [svg=] - custom svg for node (optional).
  * @memberof Graph/helper
  */
-import {
-    forceX as d3ForceX,
-    forceY as d3ForceY,
-    forceSimulation as d3ForceSimulation,
-    forceManyBody as d3ForceManyBody,
-} from "d3-force";
-
-import CONST from "./graph.const";
 import DEFAULT_CONFIG from "./graph.config";
 import ERRORS from "../../err";
 
 import utils from "../../utils";
-import { computeNodeDegree } from "./collapse.helper";
+import { computeNodeDegree, getHiddenNodes } from "./collapse.helper";
+import { createForceSimulation, createWorkerSimulation } from "./simulation.helper";
 
 const NODE_PROPS_WHITELIST = ["id", "highlighted", "x", "y", "index", "vy", "vx"];
-const LINK_CUSTOM_PROPS_WHITELIST = ["color", "opacity", "strokeWidth", "label"];
+const LINK_CUSTOM_PROPS_WHITELIST = [
+    "color",
+    "opacity",
+    "strokeWidth",
+    "label",
+    "markerStart",
+    "markerMid",
+    "markerEnd",
+    "value",
+];
+const PARALLEL_LINK_PROPS = ["parallelIndex", "parallelCount", "parallelReversed"];
 
 /**
- * Create d3 forceSimulation to be applied on the graph.<br/>
- * {@link https://github.com/d3/d3-force#forceSimulation|d3-force#forceSimulation}<br/>
- * {@link https://github.com/d3/d3-force#simulation_force|d3-force#simulation_force}<br/>
- * Wtf is a force? {@link https://github.com/d3/d3-force#forces| here}
+ * Create the force simulation to be applied on the graph. When a worker url is given (and the environment
+ * supports Web Workers) the simulation runs off the main thread, otherwise a regular d3 forceSimulation
+ * is created (see {@link #Graph/simulation-helper|simulation helper}).
  * @param  {number} width - the width of the container area of the graph.
  * @param  {number} height - the height of the container area of the graph.
  * @param  {number} gravity - the force strength applied to the graph.
+ * @param  {string} [workerUrl] - url of the simulation worker script.
  * @returns {Object} returns the simulation instance to be consumed.
  * @memberof Graph/helper
  */
-function _createForceSimulation(width, height, gravity) {
-    const frx = d3ForceX(width / 2).strength(CONST.FORCE_X);
-    const fry = d3ForceY(height / 2).strength(CONST.FORCE_Y);
-    const forceStrength = gravity;
-
-    return d3ForceSimulation()
-        .force("charge", d3ForceManyBody().strength(forceStrength))
-        .force("x", frx)
-        .force("y", fry);
+function _createForceSimulation(width, height, gravity, workerUrl) {
+    if (workerUrl && typeof Worker !== "undefined") {
+        return createWorkerSimulation(new Worker(workerUrl), width, height, gravity);
+    }
+
+    return createForceSimulation(width, height, gravity);
+}
+
+/**
+ * Picks the value of the cheapest among parallel links, hidden links (value 0) only count when
+ * all the parallel links are hidden.
+ * @param  {number} [current] - the value currently in the links matrix, if any.
+ * @param  {number} value - the value of another link between the same nodes.
+ * @returns {number} the value to keep in the links matrix.
+ * @memberof Graph/helper
+ */
+function _getCheapestValue(current, value) {
+    if (!current) {
+        return value;
+    }
+
+    return value ? Math.min(current, value) : current;
 }
 
 /**
  * Receives a matrix of the graph with the links source and target as concrete node instances and it transforms it
  * in a lightweight matrix containing only links with source and target being strings representative of some node id
- * and the respective link value (if non existent will default to 1).
+ * and the respective link value (if non existent will default to 1). Parallel links, links that connect the same
+ * pair of nodes, share a single entry of the matrix that holds the cost of going from one node to the other, the
+ * lowest value among them. Their number is not kept, each link keeps its own value (see d3Links).
  * @param  {Array.<Link>} graphLinks - an array of all graph links.
  * @param  {Object} config - the graph config.
  * @returns {Object.<string, Object>} an object containing a matrix of connections of the graph, for each nodeId,
@@ -83,10 +101,10 @@ function _initializeLinks(graphLinks, config) {
 
         const value = config.collapsible && l.isHidden ? 0 : l.value || 1;
 
-        links[source][target] = value;
+        links[source][target] = _getCheapestValue(links[source][target], value);
 
-        if (!config.directed) {
-            links[target][source] = value;
+        if (!config.directed && source !== target) {
+            links[target][source] = _getCheapestValue(links[target][source], value);
         }
 
         return links;
@@ -124,10 +142,23 @@ function _initializeNodes(graphNodes) {
     return nodes;
 }
 
+/**
+ * Checks whether some d3Link connects the same source and target nodes as some input link.
+ * @param {Object} d3Link - the d3Link, its source and target are either node ids or nodes.
+ * @param {Object} link - input link.
+ * @returns {boolean} true if both links connect the same nodes.
+ * @memberof Graph/helper
+ */
+function _isSameLink(d3Link, link) {
+    const id = end => (end.id !== undefined && end.id !== null ? end.id : end);
+
+    return `${id(d3Link.source)}` === `${link.source}` && `${id(d3Link.target)}` === `${link.target}`;
+}
+
 /**
  * Maps an input link (with format `{ source: 'sourceId', target: 'targetId' }`) to a d3Link
  * (with format `{ source: { id: 'sourceId' }, target: { id: 'targetId' } }`). If d3Link with
- * given index exists already that same d3Link is returned.
+ * given index exists already (and it still connects the same nodes) that same d3Link is returned.
  * @param {Object} link - input link.
  * @param {number} index - index of the input link.
  * @param {Array.<Object>} d3Links - all d3Links.
@@ -137,7 +168,7 @@ function _initializeNodes(graphNodes) {
  * @memberof Graph/helper
  */
 function _mapDataLinkToD3Link(link, index, d3Links = [], config, state = {}) {
-    const d3Link = d3Links[index];
+    const d3Link = d3Links[index] && _isSameLink(d3Links[index], link) ? d3Links[index] : undefined;
     const customProps = utils.pick(link, LINK_CUSTOM_PROPS_WHITELIST);
 
     if (d3Link) {
@@ -174,6 +205,51 @@ function _mapDataLinkToD3Link(link, index, d3Links = [], config, state = {}) {
     };
 }
 
+/**
+ * Tags parallel links, links that go from the same source to the same target, with their position among them
+ * (`parallelIndex`), how many of them there are (`parallelCount`) and whether the link goes from the biggest
+ * to the smallest node id (`parallelReversed`). This information is later used to fan out the parallel links
+ * (see {@link #Link/helper|getParallelLinkOffset}) and to stack the self-loops of the same node
+ * (see {@link #Link/helper|getSelfLoopSize}). Links without parallel links, such as a single link in the reverse
+ * direction of another one, are left untouched and keep their `"sourceId,targetId"` id.
+ * @param {Array.<Object>} d3Links - all d3Links.
+ * @returns {Array.<Object>} the d3Links with their parallel links tagged.
+ * @memberof Graph/helper
+ */
+function _tagParallelLinks(d3Links) {
+    const getNodeId = node => `${node && node.id !== undefined && node.id !== null ? node.id : node}`;
+    const getPairId = ({ source, target }) => `${getNodeId(source)},${getNodeId(target)}`;
+    const counts = d3Links.reduce((acc, d3Link) => {
+        const pairId = getPairId(d3Link);
+
+        acc[pairId] = (acc[pairId] || 0) + 1;
+
+        return acc;
+    }, {});
+    const indexes = {};
+
+    return d3Links.map(d3Link => {
+        const pairId = getPairId(d3Link);
+        const sourceId = getNodeId(d3Link.source);
+        const targetId = getNodeId(d3Link.target);
+
+        if (counts[pairId] === 1) {
+            return d3Link.parallelCount === undefined ? d3Link : utils.antiPick(d3Link, PARALLEL_LINK_PROPS);
+        }
+
+        const parallelIndex = indexes[pairId] || 0;
+
+        indexes[pairId] = parallelIndex + 1;
+
+        return {
+            ...d3Link,
+            parallelIndex,
+            parallelCount: counts[pairId],
+            parallelReversed: sourceId > targetId,
+        };
+    });
+}
+
 /**
  * Tags orphan nodes with a `_orphan` flag.
  * @param {Object.<string, Object>} nodes - nodes mapped by their id.
@@ -308,6 +384,115 @@ function getCenterAndZoomTransformation(d3Node, config) {
     `;
 }
 
+/**
+ * Hides the nodes (and links) folded by the collapsed nodes of some collapsible graph (see
+ * {@link #Graph/collapse-helper|getHiddenNodes}). Hidden nodes are tagged with a `_hidden` flag and collapsed nodes
+ * with the number of nodes they hide (`_hiddenCount`), links from collapsed nodes (in directed graphs) and links of
+ * hidden nodes are hidden and the connections matrix is rebuilt accordingly.
+ * @param {Object} state - graph state as returned by initializeGraphState.
+ * @param {Array.<string>} [collapsedNodeIds=[]] - the ids of the collapsed nodes.
+ * @returns {Object} the graph state with the collapsed nodes applied.
+ * @memberof Graph/helper
+ */
+function collapseNodes(state, collapsedNodeIds = []) {
+    if (!state.config.collapsible) {
+        return state;
+    }
+
+    const { hiddenNodeIds, hiddenCounts } = getHiddenNodes(collapsedNodeIds, state.d3Links, state.config);
+    const collapsed = collapsedNodeIds.map(id => `${id}`);
+
+    Object.keys(state.nodes).forEach(id => {
+        const node = state.nodes[id];
+
+        hiddenNodeIds[id] ? (node._hidden = true) : delete node._hidden;
+        hiddenCounts[id] ? (node._hiddenCount = hiddenCounts[id]) : delete node._hiddenCount;
+    });
+
+    const d3Links = state.d3Links.map(d3Link => {
+        const { source, target } = d3Link;
+        const sourceId = `${source.id !== undefined && source.id !== null ? source.id : source}`;
+        const targetId = `${target.id !== undefined && target.id !== null ? target.id : target}`;
+        const isHidden =
+            !!hiddenNodeIds[sourceId] ||
+            !!hiddenNodeIds[targetId] ||
+            (state.config.directed && collapsed.includes(sourceId));
+
+        return !!d3Link.isHidden === isHidden ? d3Link : { ...d3Link, isHidden };
+    });
+
+    return { ...state, links: _initializeLinks(d3Links, state.config), d3Links };
+}
+
+/**
+ * Builds a serializable snapshot of the graph layout, that can later be restored
+ * through the **initialLayout** Graph prop (see restoreLayoutSnapshot).
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<string>} collapsedNodeIds - the ids of the collapsed nodes.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Object} the layout snapshot with the following shape:
+ * ```javascript
+ * {
+ *     // position of each node and whether the node is fixed (fx/fy) in that position
+ *     nodes: { Harry: { x: 20, y: 150, fixed: true }, Sally: { x: 120, y: 30, fixed: false } },
+ *     // the zoom transform
+ *     transform: { x: 0, y: 0, k: 1 },
+ *     // ids of the collapsed nodes
+ *     collapsedNodeIds: ["Harry"]
+ * }
+ * ```
+ * @memberof Graph/helper
+ */
+function getLayoutSnapshot(nodes, collapsedNodeIds, { x, y, k }) {
+    return {
+        nodes: Object.keys(nodes).reduce((acc, id) => {
+            const node = nodes[id];
+            const fixed = node.fx !== undefined && node.fx !== null && node.fy !== undefined && node.fy !== null;
+
+            acc[id] = { x: Number(node.x), y: Number(node.y), fixed };
+
+            return acc;
+        }, {}),
+        transform: { x, y, k },
+        collapsedNodeIds: [...collapsedNodeIds],
+    };
+}
+
+/**
+ * Restores a layout snapshot (see getLayoutSnapshot) into a freshly initialized graph state. Nodes are
+ * moved into their saved positions (fixed nodes get their fx and fy set) and, for collapsible graphs, saved
+ * collapsed nodes are collapsed (see collapseNodes). Nodes missing from the snapshot keep their positions.
+ * **NOTE**: the zoom transform can only be restored once the graph is mounted.
+ * @param {Object} state - graph state as returned by initializeGraphState.
+ * @param {Object} snapshot - the layout snapshot.
+ * @returns {Object} the graph state with the snapshot restored, along with the ids of the collapsed nodes
+ * (**collapsedNodeIds**) for collapsible graphs.
+ * @memberof Graph/helper
+ */
+function restoreLayoutSnapshot(state, { nodes = {}, collapsedNodeIds = [] }) {
+    Object.keys(nodes).forEach(id => {
+        const node = state.nodes[id];
+
+        if (node) {
+            const { x, y, fixed } = nodes[id];
+
+            node.x = x;
+            node.y = y;
+
+            if (fixed) {
+                node.fx = x;
+                node.fy = y;
+            }
+        }
+    });
+
+    if (!state.config.collapsible || !collapsedNodeIds.length) {
+        return state;
+    }
+
+    return collapseNodes({ ...state, collapsedNodeIds }, collapsedNodeIds);
+}
+
 /**
  * Encapsulates common procedures to initialize graph.
  * @param {Object} props - Graph component props, object that holds data, id and config.
@@ -330,12 +515,14 @@ function initializeGraphState({ data, id, config }, state) {
                     ? Object.assign({}, n, utils.pick(state.nodes[n.id], NODE_PROPS_WHITELIST))
                     : Object.assign({}, n)
             ),
-            links: data.links.map((l, index) => _mapDataLinkToD3Link(l, index, state && state.d3Links, config, state)),
+            links: _tagParallelLinks(
+                data.links.map((l, index) => _mapDataLinkToD3Link(l, index, state && state.d3Links, config, state))
+            ),
         };
     } else {
         graph = {
             nodes: data.nodes.map(n => Object.assign({}, n)),
-            links: data.links.map(l => Object.assign({}, l)),
+            links: _tagParallelLinks(data.links.map(l => Object.assign({}, l))),
         };
     }
 
@@ -344,7 +531,12 @@ function initializeGraphState({ data, id, config }, state) {
     let nodes = _tagOrphanNodes(_initializeNodes(graph.nodes), links);
     const { nodes: d3Nodes, links: d3Links } = graph;
     const formatedId = id.replace(/ /g, "_");
-    const simulation = _createForceSimulation(newConfig.width, newConfig.height, newConfig.d3 && newConfig.d3.gravity);
+    const simulation = _createForceSimulation(
+        newConfig.width,
+        newConfig.height,
+        newConfig.d3 && newConfig.d3.gravity,
+        newConfig.d3 && newConfig.d3.workerUrl
+    );
 
     const { minZoom, maxZoom, focusZoom } = newConfig;
 
@@ -402,8 +594,11 @@ function updateNodeHighlightedValue(nodes, links, config, id, value = false) {
 
 export {
     checkForGraphConfigChanges,
+    collapseNodes,
     checkForGraphElementsChanges,
     getCenterAndZoomTransformation,
+    getLayoutSnapshot,
     initializeGraphState,
+    restoreLayoutSnapshot,
     updateNodeHighlightedValue,
 };
@@ -6,16 +6,70 @@
 import React from "react";
 
 import CONST from "./graph.const";
-import { MARKERS, MARKER_SMALL_SIZE, MARKER_MEDIUM_OFFSET, MARKER_LARGE_OFFSET } from "../marker/marker.const";
+import { LABEL_BACKGROUNDS } from "../link/link.const";
 
+import Group from "../group/Group";
 import Link from "../link/Link";
 import Node from "../node/Node";
 import Marker from "../marker/Marker";
-import { buildLinkProps, buildNodeProps } from "./graph.builder";
+import { buildGroupProps, buildLinkProps, buildNodeProps, getNodeShape } from "./graph.builder";
 import { isNodeVisible } from "./collapse.helper";
+import { resolveHighlight } from "./highlight.helper";
+import { getPathElements } from "./path.helper";
+import { resolveLabelOverlaps } from "./label.helper";
+import { drawGroup, drawLink, drawNode, drawSelectionBrush } from "./canvas.helper";
+import { getGroupMembers } from "../group/group.helper";
+import { getLabelBackgroundId, getLinkId } from "../link/link.helper";
+import { getMarkerDefinitions } from "../marker/marker.helper";
+import nodeHelper from "../node/node.helper";
+import { isLinkInArea, isNodeInArea } from "./zoom.helper";
 
 /**
- * Build Link components given a list of links.
+ * Maps a list of ids into an object where each id maps to true, for fast lookups.
+ * @param  {Array.<string>} [ids=[]] - list of ids.
+ * @returns {Object.<string, boolean>} the ids lookup object.
+ * @memberof Graph/renderer
+ */
+function _toLookup(ids = []) {
+    return ids.reduce((acc, id) => {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Resolves the nodes and links highlighted regardless of the mouse hover, through the highlight prop and the
+ * highlighted path.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param  {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Array.<string>|Function|Object} [highlight] - same as {@link #graphrenderer|highlight in renderGraph}.
+ * @param  {Array.<string>} [highlightedPath] - same as {@link #graphrenderer|highlightedPath in renderGraph}.
+ * @returns {Object} empty if nothing is highlighted, otherwise the highlighted **nodeIds** and **linkIds** mapped
+ * to true, and the **pathNodeIds** and **pathLinkIds** of the path (see {@link #Graph/path-helper|getPathElements}).
+ * @memberof Graph/renderer
+ */
+function _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath) {
+    const highlighted = resolveHighlight(highlight, nodes, links, linksMatrix) || {};
+    const path = getPathElements(highlightedPath, links, config.directed) || {};
+
+    if (!highlighted.nodeIds && !path.nodeIds) {
+        return {};
+    }
+
+    return {
+        nodeIds: { ...highlighted.nodeIds, ...path.nodeIds },
+        linkIds: { ...highlighted.linkIds, ...path.linkIds },
+        pathNodeIds: path.nodeIds,
+        pathLinkIds: path.linkIds,
+    };
+}
+
+/**
+ * Build the props of every visible link (hidden links of collapsible graphs and links outside
+ * the visible area are skipped).
  * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
  * @param  {Array.<Object>} links - array of links {@link #Link|Link}.
  * @param  {Array.<Object>} linksMatrix - array of links {@link #Link|Link}.
@@ -24,24 +78,51 @@ import { isNodeVisible } from "./collapse.helper";
  * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
  * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
  * @param  {number} transform - value that indicates the amount of zoom transformation.
- * @returns {Array.<Object>} returns the generated array of Link components.
+ * @param  {Object.<string, boolean>} selectedLinks - ids of the selected links mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each link.
  * @memberof Graph/renderer
  */
-function _renderLinks(nodes, links, linksMatrix, config, linkCallbacks, highlightedNode, highlightedLink, transform) {
+function _buildLinksProps(
+    nodes,
+    links,
+    linksMatrix,
+    config,
+    linkCallbacks,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    selectedLinks,
+    visibleArea,
+    spotlight = {}
+) {
     let outLinks = links;
 
     if (config.collapsible) {
         outLinks = outLinks.filter(({ isHidden }) => !isHidden);
     }
 
-    return outLinks.map(link => {
+    return outLinks.reduce((acc, link) => {
         const { source, target } = link;
         // FIXME: solve this source data inconsistency later
         const sourceId = source.id !== undefined && source.id !== null ? source.id : source;
         const targetId = target.id !== undefined && target.id !== null ? target.id : target;
-        const key = `${sourceId}${CONST.COORDS_SEPARATOR}${targetId}`;
+
+        if (visibleArea && !isLinkInArea(nodes[sourceId] || {}, nodes[targetId] || {}, visibleArea)) {
+            return acc;
+        }
+
+        const key = getLinkId(link);
         const props = buildLinkProps(
-            { ...link, source: `${sourceId}`, target: `${targetId}` },
+            {
+                ...link,
+                source: `${sourceId}`,
+                target: `${targetId}`,
+                selected: !!selectedLinks[key],
+                spotlighted: spotlight.linkIds ? !!spotlight.linkIds[key] : undefined,
+                pathDirection: spotlight.pathLinkIds ? spotlight.pathLinkIds[key] || 0 : 0,
+            },
             nodes,
             linksMatrix,
             config,
@@ -51,34 +132,65 @@ function _renderLinks(nodes, links, linksMatrix, config, linkCallbacks, highligh
             transform
         );
 
-        return <Link key={key} id={key} {...props} />;
-    });
+        acc.push({ key, props });
+
+        return acc;
+    }, []);
 }
 
 /**
- * Function that builds Node components.
+ * Build the props of every visible node (nodes hidden by collapsed nodes and nodes outside
+ * the visible area are skipped). Labels that would overlap labels with higher priority are
+ * hidden or shortened (see {@link #Graph/label-helper|resolveLabelOverlaps}).
  * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
- * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
- * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
- * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
- * @param  {string} highlightedLink.source - id of source node for highlighted link.
- * @param  {string} highlightedLink.target - id of target node for highlighted link.
+ * @param  {Function[]} nodeCallbacks - same as {@link #graphrenderer|nodeCallbacks in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {string} highlightedNode - same as {@link #graphrenderer|highlightedNode in renderGraph}.
+ * @param  {Object} highlightedLink - same as {@link #graphrenderer|highlightedLink in renderGraph}.
  * @param  {number} transform - value that indicates the amount of zoom transformation.
  * @param  {Object.<string, Object>} linksMatrix - the matrix of connections of the graph
- * @returns {Array.<Object>} returns the generated array of node components
+ * @param  {Object.<string, boolean>} selectedNodes - ids of the selected nodes mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each node.
  * @memberof Graph/renderer
  */
-function _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlightedLink, transform, linksMatrix) {
+function _buildNodesProps(
+    nodes,
+    nodeCallbacks,
+    config,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    linksMatrix,
+    selectedNodes,
+    visibleArea,
+    spotlight = {}
+) {
     let outNodes = Object.keys(nodes);
 
     if (config.collapsible) {
-        outNodes = outNodes.filter(nodeId => isNodeVisible(nodeId, nodes, linksMatrix));
+        outNodes = outNodes.filter(nodeId => isNodeVisible(nodeId, nodes));
     }
 
-    return outNodes.map(nodeId => {
+    if (visibleArea) {
+        outNodes = outNodes.filter(nodeId =>
+            isNodeInArea(
+                nodes[nodeId],
+                visibleArea,
+                nodeHelper.getNodeExtent(getNodeShape(nodes[nodeId], config, transform))
+            )
+        );
+    }
+
+    const nodesProps = outNodes.map(nodeId => {
         const props = buildNodeProps(
-            Object.assign({}, nodes[nodeId], { id: `${nodeId}` }),
+            Object.assign({}, nodes[nodeId], {
+                id: `${nodeId}`,
+                selected: !!selectedNodes[nodeId],
+                spotlighted: spotlight.nodeIds ? !!spotlight.nodeIds[nodeId] : undefined,
+                onPath: !!(spotlight.pathNodeIds && spotlight.pathNodeIds[nodeId]),
+            }),
             config,
             nodeCallbacks,
             highlightedNode,
@@ -86,59 +198,161 @@ function _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlighted
             transform
         );
 
-        return <Node key={nodeId} {...props} />;
+        return { key: nodeId, props };
     });
+
+    return resolveLabelOverlaps(nodesProps, linksMatrix, config);
 }
 
 /**
- * Builds graph defs (for now markers, but we could also have gradients for instance).
- * NOTE: defs are static svg graphical objects, thus we only need to render them once, the result
- * is cached on the 1st call and from there we simply return the cached jsx.
- * @returns {Function} memoized build definitions function.
+ * Build the props of every group with visible members (members hidden by collapsed nodes don't count), groups
+ * described in the graph payload are drawn first and in the given order.
+ * @param  {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param  {Array.<Object>} groups - same as {@link #graphrenderer|groups in renderGraph}.
+ * @param  {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param  {Function[]} groupCallbacks - same as {@link #graphrenderer|groupCallbacks in renderGraph}.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @returns {Array.<Object>} returns a list of objects containing the key and props of each group.
  * @memberof Graph/renderer
  */
-function _renderDefs() {
-    let cachedDefs;
+function _buildGroupsProps(nodes, groups, config, groupCallbacks, transform) {
+    let nodeIds = Object.keys(nodes);
 
-    return config => {
-        if (cachedDefs) {
-            return cachedDefs;
-        }
+    if (config.collapsible) {
+        nodeIds = nodeIds.filter(nodeId => isNodeVisible(nodeId, nodes));
+    }
 
-        const small = MARKER_SMALL_SIZE;
-        const medium = small + (MARKER_MEDIUM_OFFSET * config.maxZoom) / 3;
-        const large = small + (MARKER_LARGE_OFFSET * config.maxZoom) / 3;
-
-        cachedDefs = (
-            <defs>
-                <Marker id={MARKERS.MARKER_S} refX={small} fill={config.link.color} />
-                <Marker id={MARKERS.MARKER_SH} refX={small} fill={config.link.highlightColor} />
-                <Marker id={MARKERS.MARKER_M} refX={medium} fill={config.link.color} />
-                <Marker id={MARKERS.MARKER_MH} refX={medium} fill={config.link.highlightColor} />
-                <Marker id={MARKERS.MARKER_L} refX={large} fill={config.link.color} />
-                <Marker id={MARKERS.MARKER_LH} refX={large} fill={config.link.highlightColor} />
-            </defs>
-        );
+    const members = getGroupMembers(nodeIds.map(nodeId => nodes[nodeId]), config.group.nodeProperty, groups);
+    const groupsById = groups.reduce((acc, group) => {
+        acc[group.id] = group;
 
-        return cachedDefs;
-    };
+        return acc;
+    }, {});
+    const groupIds = [
+        ...groups.map(({ id }) => `${id}`).filter(id => members[id]),
+        ...Object.keys(members).filter(id => !groupsById[id]),
+    ];
+
+    return groupIds.reduce((acc, id) => {
+        const props = buildGroupProps({ ...groupsById[id], id }, members[id], config, groupCallbacks, transform);
+
+        props && acc.push({ key: id, props });
+
+        return acc;
+    }, []);
 }
 
 /**
- * Memoized reference for _renderDefs.
+ * Build Group components given the props of the groups.
+ * @param  {Array.<Object>} groupsProps - the key and props of each group (see _buildGroupsProps).
+ * @returns {Array.<Object>} returns the generated array of Group components.
+ * @memberof Graph/renderer
+ */
+function _renderGroups(groupsProps) {
+    return groupsProps.map(({ key, props }) => <Group key={key} {...props} />);
+}
+
+/**
+ * Build Link components given the props of the visible links.
+ * @param  {string} graphId - same as {@link #graphrenderer|graphId in renderGraph}.
+ * @param  {Array.<Object>} linksProps - the key and props of each visible link (see _buildLinksProps).
+ * @returns {Array.<Object>} returns the generated array of Link components.
+ * @memberof Graph/renderer
+ */
+function _renderLinks(graphId, linksProps) {
+    return linksProps.map(({ key, props }) => <Link key={key} id={key} graphId={graphId} {...props} />);
+}
+
+/**
+ * Function that builds Node components.
+ * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
  * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
+ * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
+ * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
+ * @param  {string} highlightedLink.source - id of source node for highlighted link.
+ * @param  {string} highlightedLink.target - id of target node for highlighted link.
+ * @param  {number} transform - value that indicates the amount of zoom transformation.
+ * @param  {Object.<string, Object>} linksMatrix - the matrix of connections of the graph
+ * @param  {Object.<string, boolean>} selectedNodes - ids of the selected nodes mapped to true.
+ * @param  {Object} [visibleArea] - same as {@link #graphrenderer|visibleArea in renderGraph}.
+ * @param  {Object} [spotlight={}] - the nodes and links highlighted regardless of the mouse hover (see _getSpotlight).
+ * @returns {Array.<Object>} returns the generated array of node components
+ * @memberof Graph/renderer
+ */
+function _renderNodes(
+    nodes,
+    nodeCallbacks,
+    config,
+    highlightedNode,
+    highlightedLink,
+    transform,
+    linksMatrix,
+    selectedNodes,
+    visibleArea,
+    spotlight = {}
+) {
+    return _buildNodesProps(
+        nodes,
+        nodeCallbacks,
+        config,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        linksMatrix,
+        selectedNodes,
+        visibleArea,
+        spotlight
+    ).map(({ key, props }) => <Node key={key} {...props} />);
+}
+
+/**
+ * Builds graph defs, markers and the filters that draw the background rectangle of link labels.
+ * Links pick the shape of their markers and markers share the color of their link, thus
+ * a marker is defined for each combination of shape, position and color in use (and a filter
+ * for each label background color in use). Defs belong to the graph that renders them, their
+ * ids are prefixed with the graph id.
+ * @param  {string} graphId - same as {@link #graphrenderer|graphId in renderGraph}.
+ * @param  {Array.<Object>} linksProps - the key and props of each visible link (see _buildLinksProps).
  * @returns {Object} graph reusable objects [defs](https://developer.mozilla.org/en-US/docs/Web/SVG/Element/defs).
  * @memberof Graph/renderer
  */
-const _memoizedRenderDefs = _renderDefs();
+function _renderDefs(graphId, linksProps) {
+    const props = linksProps.map(({ props }) => props);
+    // links are clipped at the node boundaries (see Link/helper buildLinkPath), thus start and end markers
+    // place their tip right at the link ends regardless of the node size and the zoom level
+    const markers = getMarkerDefinitions(graphId, props).map(({ id, shape, fill, refX }) => (
+        <Marker key={id} id={id} shape={shape} refX={refX} fill={fill} />
+    ));
+    const backgroundColors = props
+        .filter(({ label, labelBackground }) => label && labelBackground === LABEL_BACKGROUNDS.RECT)
+        .map(({ labelBackgroundColor }) => labelBackgroundColor)
+        .filter((color, i, colors) => colors.indexOf(color) === i);
+    // the filter floods the text bounding box with the background color and draws the text over it
+    const filters = backgroundColors.map(color => (
+        <filter key={color} id={getLabelBackgroundId(graphId, color)} x="0" y="0" width="1" height="1">
+            <feFlood floodColor={color} />
+            <feComposite in="SourceGraphic" operator="over" />
+        </filter>
+    ));
+
+    return (
+        <defs>
+            {markers}
+            {filters}
+        </defs>
+    );
+}
 
 /**
  * Method that actually is exported an consumed by Graph component in order to build all Nodes and Link
  * components.
- * @param  {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
- * @param  {Function[]} nodeCallbacks - array of callbacks for used defined event handler for node interactions.
- * @param  {Array.<Object>} links - array of links {@link #Link|Link}.
- * @param  {Object.<string, Object>} linksMatrix - an object containing a matrix of connections of the graph, for each nodeId,
+ * @param  {Object} options - the graph elements, callbacks and state to render:
+ * @param  {string} options.graphId - the id of the graph, it namespaces the ids of the graph defs.
+ * @param  {Object.<string, Object>} options.nodes - an object containing all nodes mapped by their id.
+ * @param  {Function[]} options.nodeCallbacks - array of callbacks for used defined event handler for node interactions.
+ * @param  {Array.<Object>} options.links - array of links {@link #Link|Link}.
+ * @param  {Object.<string, Object>} options.linksMatrix - an object containing a matrix of connections of the graph, for each nodeId,
  * there is an Object that maps adjacent nodes ids (string) and their values (number).
  * ```javascript
  *  // links example
@@ -163,17 +377,31 @@ const _memoizedRenderDefs = _renderDefs();
  *     ...
  *  }
  * ```
- * @param  {Function[]} linkCallbacks - array of callbacks for used defined event handler for link interactions.
- * @param  {Object} config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
- * @param  {string} highlightedNode - this value contains a string that represents the some currently highlighted node.
- * @param  {Object} highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
- * @param  {string} highlightedLink.source - id of source node for highlighted link.
- * @param  {string} highlightedLink.target - id of target node for highlighted link.
- * @param  {number} transform - value that indicates the amount of zoom transformation.
- * @returns {Object} returns an object containing the generated nodes and links that form the graph.
+ * @param  {Function[]} options.linkCallbacks - array of callbacks for used defined event handler for link interactions.
+ * @param  {Object} options.config - an object containing rd3g consumer defined configurations {@link #config config} for the graph.
+ * @param  {string} options.highlightedNode - this value contains a string that represents the some currently highlighted node.
+ * @param  {Object} options.highlightedLink - this object contains a source and target property for a link that is highlighted at some point in time.
+ * @param  {string} options.highlightedLink.source - id of source node for highlighted link.
+ * @param  {string} options.highlightedLink.target - id of target node for highlighted link.
+ * @param  {number} options.transform - value that indicates the amount of zoom transformation.
+ * @param  {Object} [options.selection={}] - the current selection.
+ * @param  {Array.<string>} options.selection.nodeIds - ids of the selected nodes.
+ * @param  {Array.<string>} options.selection.linkIds - ids of the selected links.
+ * @param  {Object} [options.visibleArea] - area of the graph (graph coordinates) visible in the viewport, with minX, minY,
+ * maxX and maxY properties (see {@link #Graph/zoom-helper|computeVisibleArea}). When given, nodes and links outside
+ * of it are not rendered.
+ * @param  {Array.<Object>} [options.groups=[]] - the groups described in the graph payload, each with an id and optional
+ * label and style properties (see {@link #config-group|group config}).
+ * @param  {Function[]} [options.groupCallbacks={}] - array of callbacks for used defined event handler for group interactions.
+ * @param  {Array.<string>|Function|Object} [options.highlight] - nodes and links highlighted regardless of the mouse hover
+ * (see {@link #Graph/highlight-helper|resolveHighlight}), the remaining ones assume the **highlightOpacity** value.
+ * @param  {Array.<string>} [options.highlightedPath] - ids of the nodes of some path (in order), the nodes and links of the
+ * path are highlighted with the path style (see {@link #config-path|path config}).
+ * @returns {Object} returns an object containing the generated nodes, links and groups that form the graph.
  * @memberof Graph/renderer
  */
-function renderGraph(
+function renderGraph({
+    graphId,
     nodes,
     nodeCallbacks,
     links,
@@ -182,22 +410,185 @@ function renderGraph(
     config,
     highlightedNode,
     highlightedLink,
-    transform
-) {
+    transform,
+    selection = {},
+    visibleArea,
+    groups = [],
+    groupCallbacks = {},
+    highlight,
+    highlightedPath,
+}) {
+    const spotlight = _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath);
+    const linksProps = _buildLinksProps(
+        nodes,
+        links,
+        linksMatrix,
+        config,
+        linkCallbacks,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        _toLookup(selection.linkIds),
+        visibleArea,
+        spotlight
+    );
+
     return {
-        nodes: _renderNodes(nodes, nodeCallbacks, config, highlightedNode, highlightedLink, transform, linksMatrix),
-        links: _renderLinks(
+        nodes: _renderNodes(
             nodes,
-            links,
-            linksMatrix,
+            nodeCallbacks,
             config,
-            linkCallbacks,
             highlightedNode,
             highlightedLink,
-            transform
+            transform,
+            linksMatrix,
+            _toLookup(selection.nodeIds),
+            visibleArea,
+            spotlight
         ),
-        defs: _memoizedRenderDefs(config),
+        links: _renderLinks(graphId, linksProps),
+        groups: _renderGroups(_buildGroupsProps(nodes, groups, config, groupCallbacks, transform)),
+        defs: _renderDefs(graphId, linksProps),
+    };
+}
+
+/**
+ * Renders the canvas where the graph is drawn when the canvas renderer is in use (see drawGraph), the canvas
+ * backing store is scaled by the device pixel ratio so that the graph looks sharp on hdpi screens.
+ * @param {string} graphId - the graph id.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} canvasProps - the ref and the pointer event handlers of the canvas.
+ * @returns {Object} the graph wrapper with the canvas element.
+ * @memberof Graph/renderer
+ */
+function renderCanvas(graphId, { width, height }, canvasProps) {
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    return (
+        <div id={`${graphId}-${CONST.GRAPH_WRAPPER_ID}`}>
+            <canvas
+                name={`canvas-container-${graphId}`}
+                width={width * pixelRatio}
+                height={height * pixelRatio}
+                style={{ width, height, display: "block" }}
+                {...canvasProps}
+            />
+        </div>
+    );
+}
+
+/**
+ * Renders the brush that is drawn while the user is selecting elements.
+ * @param  {Array.<Array.<number>>} polygon - list of [x, y] vertices of the brush (screen coordinates).
+ * @returns {Object} the brush polygon element or null if there's no brush to draw.
+ * @memberof Graph/renderer
+ */
+function renderSelectionBrush(polygon) {
+    if (!polygon || !polygon.length) {
+        return null;
+    }
+
+    const style = {
+        fill: "rgba(31, 119, 180, 0.1)",
+        stroke: "#1f77b4",
+        strokeDasharray: "4,2",
+        pointerEvents: "none",
     };
+
+    return <polygon className={CONST.SELECTION_BRUSH_CLASS_NAME} points={polygon.join(" ")} style={style} />;
+}
+
+/**
+ * Canvas counterpart of {@link #graphrenderer|renderGraph}, instead of building Node and Link components
+ * it draws links (with markers and labels) and nodes (with labels) onto a canvas 2d context.
+ * @param  {Object} context - canvas 2d context where the graph will be drawn.
+ * @param  {Object} options - same as {@link #graphrenderer|options in renderGraph} (callbacks aside), plus some
+ * canvas specific options:
+ * @param  {Object} options.zoomTransform - the current zoom transform with x, y and k properties.
+ * @param  {number} options.pixelRatio - the device pixel ratio, so that drawings are crisp on hdpi screens.
+ * @param  {Array.<Array.<number>>} [options.brush] - selection brush polygon to draw (screen coordinates).
+ * @param  {Function} [options.onImageLoad] - called when some node svg image finishes loading.
+ * @returns {Object} the hit regions of the drawn nodes, links and groups, to be used in hit testing
+ * (see {@link #Graph/canvas-helper|findElementAt}).
+ * @memberof Graph/renderer
+ */
+function drawGraph(
+    context,
+    {
+        nodes,
+        links,
+        linksMatrix,
+        config,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        selection = {},
+        visibleArea,
+        groups = [],
+        highlight,
+        highlightedPath,
+        zoomTransform,
+        pixelRatio,
+        brush,
+        onImageLoad,
+    }
+) {
+    const { x, y, k } = zoomTransform;
+    const spotlight = _getSpotlight(nodes, links, linksMatrix, config, highlight, highlightedPath);
+    const linksProps = _buildLinksProps(
+        nodes,
+        links,
+        linksMatrix,
+        config,
+        {},
+        highlightedNode,
+        highlightedLink,
+        transform,
+        _toLookup(selection.linkIds),
+        visibleArea,
+        spotlight
+    );
+    const nodesProps = _buildNodesProps(
+        nodes,
+        {},
+        config,
+        highlightedNode,
+        highlightedLink,
+        transform,
+        linksMatrix,
+        _toLookup(selection.nodeIds),
+        visibleArea,
+        spotlight
+    );
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    context.setTransform(pixelRatio * k, 0, 0, pixelRatio * k, pixelRatio * x, pixelRatio * y);
+
+    const hitGroups = _buildGroupsProps(nodes, groups, config, {}, transform).map(({ props }) =>
+        drawGroup(context, props)
+    );
+    const hitLinks = linksProps.map(({ key, props }) => {
+        const source = nodes[props.source] || {};
+        const target = nodes[props.target] || {};
+        const targetSize = (target.size || config.node.size) / transform;
+
+        const hitLink = drawLink(context, props, {
+            x1: source.x || 0,
+            y1: source.y || 0,
+            x2: target.x || 0,
+            y2: target.y || 0,
+            targetRadius: Math.sqrt(targetSize / Math.PI),
+        });
+
+        return { ...hitLink, id: key };
+    });
+    const hitNodes = nodesProps.map(({ props }) => drawNode(context, props, onImageLoad));
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    drawSelectionBrush(context, brush);
+
+    return { nodes: hitNodes, links: hitLinks, groups: hitGroups };
 }
 
-export { renderGraph };
+export { drawGraph, renderCanvas, renderGraph, renderSelectionBrush };
@@ -0,0 +1,149 @@
+/**
+ * @module Graph/highlight-helper
+ * @description
+ * Offers a series of methods that resolve the **highlight** Graph prop, that spotlights some nodes and links
+ * (e.g. the results of a search box) independently of the highlight that follows the mouse hover. Matching
+ * nodes and links are highlighted and the remaining ones assume the **highlightOpacity** value, optionally the
+ * neighbourhood of the matching nodes (up to some number of hops) is highlighted as well.
+ */
+import { getLinkId } from "../link/link.helper";
+
+/**
+ * Reads the id of a link endpoint (node id or d3 node).
+ * @param {string|Object} node - node id or d3 node.
+ * @returns {string} the id of the node.
+ * @memberof Graph/highlight-helper
+ */
+function _getNodeId(node) {
+    return `${node && node.id !== undefined && node.id !== null ? node.id : node}`;
+}
+
+/**
+ * Maps a list of ids into a lookup object.
+ * @param {Array.<string>} ids - list of ids.
+ * @returns {Object.<string, boolean>} the ids mapped to true.
+ * @memberof Graph/highlight-helper
+ */
+function _toLookup(ids) {
+    return ids.reduce((acc, id) => {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Checks whether some highlight criteria (list of ids or predicate) is set.
+ * @param {Array.<string>|Function} [criteria] - list of ids or predicate.
+ * @returns {boolean} true for predicates and non empty lists of ids.
+ * @memberof Graph/highlight-helper
+ */
+function _isActive(criteria) {
+    return typeof criteria === "function" || (Array.isArray(criteria) && criteria.length > 0);
+}
+
+/**
+ * Finds the ids of the elements that match some highlight criteria.
+ * @param {Array.<string>|Function} [criteria] - list of ids or predicate that receives each element.
+ * @param {Array.<Object>} elements - the elements to test against the predicate.
+ * @param {Function} getId - reads the id of some element.
+ * @returns {Array.<string>} the ids of the matching elements.
+ * @memberof Graph/highlight-helper
+ */
+function _match(criteria, elements, getId) {
+    if (typeof criteria === "function") {
+        return elements.filter(element => criteria(element)).map(getId);
+    }
+
+    return (criteria || []).map(id => `${id}`);
+}
+
+/**
+ * Expands a set of nodes with their neighbours, links are followed in both directions and collapsed
+ * connections (value 0) are skipped.
+ * @param {Object.<string, boolean>} nodeIds - ids of the nodes to expand mapped to true, it's updated in place.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {number} hops - how many times the set is expanded.
+ * @returns {Object.<string, boolean>} the expanded set of node ids.
+ * @memberof Graph/highlight-helper
+ */
+function _expand(nodeIds, linksMatrix, hops) {
+    const adjacency = Object.keys(linksMatrix).reduce((acc, source) => {
+        Object.keys(linksMatrix[source] || {}).forEach(target => {
+            if (linksMatrix[source][target]) {
+                (acc[source] = acc[source] || []).push(target);
+                (acc[target] = acc[target] || []).push(source);
+            }
+        });
+
+        return acc;
+    }, {});
+    let frontier = Object.keys(nodeIds);
+
+    for (let hop = 0; hop < hops && frontier.length; hop++) {
+        frontier = frontier.reduce((acc, id) => {
+            (adjacency[id] || []).forEach(neighbour => {
+                if (!nodeIds[neighbour]) {
+                    nodeIds[neighbour] = true;
+                    acc.push(neighbour);
+                }
+            });
+
+            return acc;
+        }, []);
+    }
+
+    return nodeIds;
+}
+
+/**
+ * Resolves the nodes and links highlighted through the **highlight** Graph prop. Matching links highlight
+ * their source and target nodes too, and links between nodes highlighted through the nodes criteria (or
+ * their neighbourhood) are highlighted as well.
+ * @param {Array.<string>|Function|Object} highlight - the highlight prop, node ids or a node predicate or an object with:
+ * @param {Array.<string>|Function} [highlight.nodes] - node ids or predicate `(node) => boolean`.
+ * @param {Array.<string>|Function} [highlight.links] - link ids or predicate `(link) => boolean`, the predicate
+ * receives the link with the source and target node ids.
+ * @param {number} [highlight.degree=0] - number of hops of the neighbourhood of the matching nodes that is highlighted.
+ * @param {Object.<string, Object>} nodes - same as {@link #graphrenderer|nodes in renderGraph}.
+ * @param {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Object} null if nothing is being highlighted (no predicates and empty lists of ids), otherwise an
+ * object with the highlighted **nodeIds** and **linkIds** mapped to true.
+ * @memberof Graph/highlight-helper
+ */
+function resolveHighlight(highlight, nodes = {}, links = [], linksMatrix = {}) {
+    const shorthand = Array.isArray(highlight) || typeof highlight === "function";
+    const { nodes: nodeCriteria, links: linkCriteria, degree = 0 } = shorthand ? { nodes: highlight } : highlight || {};
+
+    if (!_isActive(nodeCriteria) && !_isActive(linkCriteria)) {
+        return null;
+    }
+
+    const endpoints = links.map(link => ({
+        ...link,
+        source: _getNodeId(link.source),
+        target: _getNodeId(link.target),
+    }));
+    const nodeIds = _toLookup(_match(nodeCriteria, Object.keys(nodes).map(id => nodes[id]), node => `${node.id}`));
+    const linkIds = _toLookup(_match(linkCriteria, endpoints, getLinkId));
+
+    _expand(nodeIds, linksMatrix, degree);
+
+    const linkEnds = {};
+
+    endpoints.forEach(link => {
+        const id = getLinkId(link);
+
+        if (nodeIds[link.source] && nodeIds[link.target]) {
+            linkIds[id] = true;
+        } else if (linkIds[id]) {
+            linkEnds[link.source] = true;
+            linkEnds[link.target] = true;
+        }
+    });
+
+    return { nodeIds: { ...nodeIds, ...linkEnds }, linkIds };
+}
+
+export { resolveHighlight };
@@ -0,0 +1,167 @@
+/**
+ * @module Graph/label-helper
+ * @description
+ * Offers a series of methods that keep node labels readable on dense graphs. Labels are placed one at a time,
+ * from the highest to the lowest priority (see **node.labelPriority**), and labels that would overlap some label
+ * already placed are either hidden or shortened (see **node.labelOverlap**). Label boxes are estimated from the
+ * label font size and number of characters, thus they depend on the zoom level like the labels themselves.
+ */
+import CONST from "./graph.const";
+import NODE_CONST from "../node/node.const";
+
+/**
+ * Shifts of the label box (relative to its width) for each text anchor.
+ * @memberof Graph/label-helper
+ */
+const ANCHOR_SHIFTS = { start: 0, middle: -0.5, end: -1 };
+
+/**
+ * Counts the connections of every node in the links matrix, collapsed connections (value 0) don't count.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Object.<string, number>} the degree of each node mapped by node id.
+ * @memberof Graph/label-helper
+ */
+function _computeDegrees(linksMatrix = {}) {
+    return Object.keys(linksMatrix).reduce((acc, source) => {
+        Object.keys(linksMatrix[source] || {}).forEach(target => {
+            if (linksMatrix[source][target]) {
+                acc[source] = (acc[source] || 0) + 1;
+                acc[target] = (acc[target] || 0) + 1;
+            }
+        });
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Returns the function that reads the label priority of some node.
+ * @param {string|Function} labelPriority - same as **node.labelPriority** in the config.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @returns {Function} receives the node props and returns the label priority (a number).
+ * @memberof Graph/label-helper
+ */
+function _getPriority(labelPriority, linksMatrix) {
+    if (typeof labelPriority === "function") {
+        return labelPriority;
+    }
+
+    if (labelPriority === CONST.LABEL_PRIORITIES.DEGREE) {
+        const degrees = _computeDegrees(linksMatrix);
+
+        return props => degrees[props.id] || 0;
+    }
+
+    if (labelPriority === CONST.LABEL_PRIORITIES.SIZE) {
+        return props => props.size;
+    }
+
+    return props => Number(props[labelPriority]) || 0;
+}
+
+/**
+ * Estimates the box some node label occupies in graph coordinates.
+ * @param {Object} props - the node props (see {@link #Graph/builder|buildNodeProps}).
+ * @param {Array.<string>} lines - the label lines.
+ * @returns {Object} the label box with minX, minY, maxX and maxY properties.
+ * @memberof Graph/label-helper
+ */
+function _getLabelBox(props, lines) {
+    const { fontSize, labelLineHeight, labelX, labelY, labelAnchor } = props;
+    const chars = lines.reduce((acc, line) => Math.max(acc, line.length), 0);
+    const width = chars * fontSize * NODE_CONST.NODE_LABEL_CHAR_WIDTH;
+    const minX = Number(props.cx) + labelX + width * (ANCHOR_SHIFTS[labelAnchor] || 0);
+    const y = Number(props.cy) + labelY;
+
+    return {
+        minX,
+        minY: y - fontSize * NODE_CONST.NODE_LABEL_ASCENT,
+        maxX: minX + width,
+        maxY: y + (lines.length - 1) * labelLineHeight + fontSize * NODE_CONST.NODE_LABEL_DESCENT,
+    };
+}
+
+/**
+ * Checks whether some box overlaps any of the given boxes.
+ * @param {Object} box - the box with minX, minY, maxX and maxY properties.
+ * @param {Array.<Object>} boxes - the boxes to check against.
+ * @returns {boolean} true if the box overlaps some other box.
+ * @memberof Graph/label-helper
+ */
+function _overlaps(box, boxes) {
+    return boxes.some(
+        other => box.minX < other.maxX && box.maxX > other.minX && box.minY < other.maxY && box.maxY > other.minY
+    );
+}
+
+/**
+ * Shortens a label until it no longer overlaps the boxes of the labels already placed, labels are first
+ * collapsed into a single line and then truncated with an ellipsis.
+ * @param {Object} props - the node props (see {@link #Graph/builder|buildNodeProps}).
+ * @param {Array.<Object>} boxes - the boxes of the labels already placed.
+ * @returns {Object} the shortened label **lines** and their **box** or null if not even a single character fits.
+ * @memberof Graph/label-helper
+ */
+function _shortenLabel(props, boxes) {
+    const text = props.labelLines.join(" ").replace(new RegExp(`${NODE_CONST.NODE_LABEL_ELLIPSIS}$`), "");
+
+    for (let length = text.length - 1; length > 0; length--) {
+        const lines = [`${text.slice(0, length).trim()}${NODE_CONST.NODE_LABEL_ELLIPSIS}`];
+        const box = _getLabelBox(props, lines);
+
+        if (!_overlaps(box, boxes)) {
+            return { lines, box };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Hides or shortens the labels that would overlap labels with higher priority.
+ * @param {Array.<Object>} nodesProps - the key and props of each rendered node.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Array.<Object>} the key and props of each node, with the labels that don't fit either hidden
+ * (**renderLabel** false) or shortened (the full label is kept in **labelTitle**). Nodes keep their order.
+ * @memberof Graph/label-helper
+ */
+function resolveLabelOverlaps(nodesProps, linksMatrix, config) {
+    const { labelOverlap, labelPriority } = config.node;
+
+    if (labelOverlap !== CONST.LABEL_OVERLAPS.HIDE && labelOverlap !== CONST.LABEL_OVERLAPS.SHORTEN) {
+        return nodesProps;
+    }
+
+    const priority = _getPriority(labelPriority, linksMatrix);
+    const boxes = [];
+    const resolved = {};
+
+    nodesProps
+        .filter(({ props }) => props.renderLabel && props.labelLines && props.labelLines.length)
+        .map(({ key, props }, index) => ({ key, props, index, priority: priority(props) }))
+        // sort is not guaranteed to be stable, ties keep the nodes order
+        .sort((a, b) => b.priority - a.priority || a.index - b.index)
+        .forEach(({ key, props }) => {
+            const box = _getLabelBox(props, props.labelLines);
+
+            if (!_overlaps(box, boxes)) {
+                boxes.push(box);
+
+                return;
+            }
+
+            const shortened = labelOverlap === CONST.LABEL_OVERLAPS.SHORTEN && _shortenLabel(props, boxes);
+
+            if (shortened) {
+                boxes.push(shortened.box);
+                resolved[key] = { ...props, labelLines: shortened.lines, labelTitle: `${props.label}` };
+            } else {
+                resolved[key] = { ...props, renderLabel: false };
+            }
+        });
+
+    return nodesProps.map(({ key, props }) => ({ key, props: resolved[key] || props }));
+}
+
+export { resolveLabelOverlaps };
@@ -0,0 +1,391 @@
+/**
+ * @module Graph/layout-helper
+ * @description
+ * Offers a series of methods that compute deterministic positions for the graph nodes (hierarchical, radial,
+ * circular and grid layouts). All layouts return an object that maps each node id into its `{ x, y }`
+ * position (graph coordinates) inside the area defined by the configured **width** and **height**.
+ * The methods that move the nodes of the Graph into the computed positions receive the Graph component instance.
+ */
+import { easeCubicInOut as d3EaseCubicInOut } from "d3-ease";
+import { timer as d3Timer } from "d3-timer";
+
+import CONST from "./graph.const";
+
+/**
+ * Space (in px) left between the laid out nodes and the edges of the graph area.
+ * @memberof Graph/layout-helper
+ */
+const LAYOUT_PADDING = 50;
+
+/**
+ * Builds the list of neighbours of each node. For directed graphs only the outgoing links are
+ * followed, for undirected graphs links are followed both ways.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Object.<string, Array.<string>>} the neighbours of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _buildAdjacency(ids, links, directed) {
+    const adjacency = ids.reduce((acc, id) => {
+        acc[id] = [];
+
+        return acc;
+    }, {});
+
+    links.forEach(({ source, target }) => {
+        if (adjacency[source] && adjacency[target]) {
+            adjacency[source].push(target);
+            !directed && adjacency[target].push(source);
+        }
+    });
+
+    return adjacency;
+}
+
+/**
+ * Finds the roots of the graph, for directed graphs these are the nodes without incoming links,
+ * for undirected graphs (or directed graphs where every node has incoming links) the first node is the root.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Array.<string>} ids of the root nodes.
+ * @memberof Graph/layout-helper
+ */
+function _findRoots(ids, links, directed) {
+    if (directed) {
+        const targets = links.reduce((acc, { target }) => {
+            acc[target] = true;
+
+            return acc;
+        }, {});
+        const roots = ids.filter(id => !targets[id]);
+
+        if (roots.length) {
+            return roots;
+        }
+    }
+
+    return ids.slice(0, 1);
+}
+
+/**
+ * Traverses the graph breadth first starting from the roots, nodes that are not reachable from
+ * any root become roots of their own tree (e.g. disconnected components).
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Object.<string, Array.<string>>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {Array.<string>} roots - ids of the nodes where to start the traversal.
+ * @returns {Object} the traversal result with the `depth` and `children` (spanning tree) of each node
+ * as well as the list of `roots` of the spanning forest.
+ * @memberof Graph/layout-helper
+ */
+function _traverse(ids, adjacency, roots) {
+    const depth = {};
+    const children = {};
+    const forestRoots = [];
+    const visit = root => {
+        const queue = [root];
+
+        depth[root] = 0;
+        children[root] = [];
+        forestRoots.push(root);
+
+        while (queue.length) {
+            const id = queue.shift();
+
+            adjacency[id].forEach(neighbour => {
+                if (depth[neighbour] === undefined) {
+                    depth[neighbour] = depth[id] + 1;
+                    children[neighbour] = [];
+                    children[id].push(neighbour);
+                    queue.push(neighbour);
+                }
+            });
+        }
+    };
+
+    roots.forEach(root => depth[root] === undefined && visit(root));
+    ids.forEach(id => depth[id] === undefined && visit(id));
+
+    return { depth, children, roots: forestRoots };
+}
+
+/**
+ * Computes the rank of each node for the hierarchical layout. For directed graphs the longest path
+ * from a source is used (so every link points downwards), for undirected graphs the breadth first depth is used.
+ * Cycles are broken by capping ranks to the number of nodes.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {boolean} directed - whether the graph is directed.
+ * @returns {Object.<string, number>} the rank of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _computeRanks(ids, links, directed) {
+    const adjacency = _buildAdjacency(ids, links, directed);
+    const { depth } = _traverse(ids, adjacency, _findRoots(ids, links, directed));
+
+    if (!directed) {
+        return depth;
+    }
+
+    const ranks = ids.reduce((acc, id) => {
+        acc[id] = 0;
+
+        return acc;
+    }, {});
+    let changed = true;
+
+    for (let pass = 0; pass < ids.length && changed; pass++) {
+        changed = false;
+
+        links.forEach(({ source, target }) => {
+            const rank = ranks[source] + 1;
+
+            if (ranks[target] !== undefined && rank > ranks[target] && rank < ids.length) {
+                ranks[target] = rank;
+                changed = true;
+            }
+        });
+    }
+
+    return ranks;
+}
+
+/**
+ * Lays out nodes in layers (ranks) from top to bottom, for directed graphs all links point downwards.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _hierarchicalLayout(ids, links, { width, height, directed }) {
+    const ranks = _computeRanks(ids, links, directed);
+    const layers = ids.reduce((acc, id) => {
+        const rank = ranks[id];
+
+        acc[rank] = acc[rank] || [];
+        acc[rank].push(id);
+
+        return acc;
+    }, []);
+    const rankHeight = layers.length > 1 ? (height - 2 * LAYOUT_PADDING) / (layers.length - 1) : 0;
+
+    return layers.reduce((positions, layer = [], rank) => {
+        const y = layers.length > 1 ? LAYOUT_PADDING + rank * rankHeight : height / 2;
+
+        layer.forEach((id, i) => {
+            positions[id] = { x: (width * (i + 1)) / (layer.length + 1), y };
+        });
+
+        return positions;
+    }, {});
+}
+
+/**
+ * Lays out nodes in concentric rings around the root, each ring holds the nodes at the same distance
+ * (depth) from the root and each subtree gets an angular wedge proportional to its number of leaves.
+ * If there are several roots, they are placed in the first ring.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _radialLayout(ids, links, { width, height, directed }) {
+    const adjacency = _buildAdjacency(ids, links, directed);
+    const { depth, children, roots } = _traverse(ids, adjacency, _findRoots(ids, links, directed));
+    // a single root sits in the center, otherwise roots are placed in the first ring
+    const offset = roots.length === 1 ? 0 : 1;
+    const maxDepth = Math.max(...ids.map(id => depth[id] + offset));
+    const ringSize = maxDepth ? (Math.min(width, height) / 2 - LAYOUT_PADDING) / maxDepth : 0;
+    const leaves = {};
+    const countLeaves = id =>
+        (leaves[id] = children[id].length ? children[id].reduce((sum, child) => sum + countLeaves(child), 0) : 1);
+    const positions = {};
+    const place = (nodeIds, startAngle, endAngle) => {
+        const total = nodeIds.reduce((sum, id) => sum + leaves[id], 0);
+        let angle = startAngle;
+
+        nodeIds.forEach(id => {
+            const wedge = ((endAngle - startAngle) * leaves[id]) / total;
+            const radius = (depth[id] + offset) * ringSize;
+            const theta = angle + wedge / 2;
+
+            positions[id] = { x: width / 2 + radius * Math.cos(theta), y: height / 2 + radius * Math.sin(theta) };
+            place(children[id], angle, angle + wedge);
+            angle += wedge;
+        });
+    };
+
+    roots.forEach(countLeaves);
+    place(roots, 0, 2 * Math.PI);
+
+    return positions;
+}
+
+/**
+ * Lays out nodes evenly spaced along a circle.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _circularLayout(ids, links, { width, height }) {
+    const radius = ids.length > 1 ? Math.min(width, height) / 2 - LAYOUT_PADDING : 0;
+
+    return ids.reduce((positions, id, i) => {
+        const theta = (2 * Math.PI * i) / ids.length;
+
+        positions[id] = { x: width / 2 + radius * Math.cos(theta), y: height / 2 + radius * Math.sin(theta) };
+
+        return positions;
+    }, {});
+}
+
+/**
+ * Lays out nodes in a grid, filling rows from left to right.
+ * @param {Array.<string>} ids - ids of all the nodes.
+ * @param {Array.<Object>} links - list of links with source and target node ids.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>} the position of each node mapped by node id.
+ * @memberof Graph/layout-helper
+ */
+function _gridLayout(ids, links, { width, height }) {
+    const columns = Math.ceil(Math.sqrt(ids.length));
+    const rows = Math.ceil(ids.length / columns);
+
+    return ids.reduce((positions, id, i) => {
+        positions[id] = {
+            x: (width * ((i % columns) + 0.5)) / columns,
+            y: (height * (Math.floor(i / columns) + 0.5)) / rows,
+        };
+
+        return positions;
+    }, {});
+}
+
+const LAYOUTS = {
+    [CONST.LAYOUTS.HIERARCHICAL]: _hierarchicalLayout,
+    [CONST.LAYOUTS.RADIAL]: _radialLayout,
+    [CONST.LAYOUTS.CIRCULAR]: _circularLayout,
+    [CONST.LAYOUTS.GRID]: _gridLayout,
+};
+
+/**
+ * Checks whether some layout is the d3 force layout (positions computed by the force simulation).
+ * @param {string|Function} layout - the layout (see **layout** config).
+ * @returns {boolean} true for the force layout.
+ * @memberof Graph/layout-helper
+ */
+function isForceLayout(layout) {
+    return typeof layout !== "function" && !LAYOUTS[layout];
+}
+
+/**
+ * Computes the positions of the graph nodes for a given deterministic layout.
+ * @param {string|Function} layout - one of "hierarchical", "radial", "circular", "grid" or a custom
+ * function `(nodes, links, config) => positions`.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<Object>} links - the graph links (d3Links), source and target might be node ids or nodes.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object.<string, Object>|undefined} the `{ x, y }` position of each node mapped by node id
+ * or undefined for the force layout.
+ * @memberof Graph/layout-helper
+ */
+function computeLayout(layout, nodes, links, config) {
+    if (isForceLayout(layout)) {
+        return;
+    }
+
+    const ids = Object.keys(nodes);
+    const linksIds = links.map(({ source, target }) => ({
+        source: `${source.id !== undefined && source.id !== null ? source.id : source}`,
+        target: `${target.id !== undefined && target.id !== null ? target.id : target}`,
+    }));
+
+    if (typeof layout === "function") {
+        return layout(ids.map(id => nodes[id]), linksIds, config) || {};
+    }
+
+    return ids.length ? LAYOUTS[layout](ids, linksIds, config) : {};
+}
+
+/**
+ * Moves the nodes into the positions computed by the configured (deterministic) layout, the force
+ * simulation is paused so that it doesn't override the layout positions.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} [duration=0] - duration (in seconds) of the animation, the nodes snap into place if 0.
+ * @returns {undefined}
+ * @memberof Graph/layout-helper
+ */
+function applyLayout(graph, duration = 0) {
+    const { config, nodes, d3Links } = graph.state;
+    const positions = computeLayout(config.layout, nodes, d3Links, config);
+
+    if (!positions) {
+        return;
+    }
+
+    graph.pauseSimulation();
+    graph.layoutTimer && graph.layoutTimer.stop();
+
+    const targets = Object.keys(positions).filter(id => nodes[id]);
+    const origins = targets.map(id => ({ x: nodes[id].x, y: nodes[id].y }));
+    const moveNodes = t =>
+        targets.forEach((id, i) => {
+            nodes[id].x = origins[i].x + (positions[id].x - origins[i].x) * t;
+            nodes[id].y = origins[i].y + (positions[id].y - origins[i].y) * t;
+        });
+
+    if (!duration) {
+        moveNodes(1);
+        graph._tick();
+
+        return;
+    }
+
+    graph.layoutTimer = d3Timer(elapsed => {
+        const t = Math.min(1, elapsed / (duration * 1000));
+
+        moveNodes(d3EaseCubicInOut(t));
+        graph._tick();
+        t === 1 && graph.layoutTimer.stop();
+    });
+}
+
+/**
+ * Resets all nodes fixed positions by deleting the properties fx (fixed x) and fy (fixed y). Following this,
+ * a simulation is triggered in order to force nodes to go back to their original positions (or at least new
+ * positions according to the d3 force parameters). For layouts other than "force" the nodes go back to the
+ * positions computed by the layout.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/layout-helper
+ */
+function resetNodesPositions(graph) {
+    const { config, nodes, simulation } = graph.state;
+
+    if (config.staticGraph) {
+        return;
+    }
+
+    for (let nodeId in nodes) {
+        let node = nodes[nodeId];
+
+        if (node.fx && node.fy) {
+            Reflect.deleteProperty(node, "fx");
+            Reflect.deleteProperty(node, "fy");
+        }
+    }
+
+    if (!isForceLayout(config.layout)) {
+        return applyLayout(graph, config.layoutAnimationDuration);
+    }
+
+    simulation.alphaTarget(config.d3.alphaTarget).restart();
+    graph._tick();
+}
+
+export { LAYOUT_PADDING, applyLayout, computeLayout, isForceLayout, resetNodesPositions };
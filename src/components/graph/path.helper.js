@@ -0,0 +1,288 @@
+/**
+ * @module Graph/path-helper
+ * @description
+ * Offers a series of methods to find shortest paths between nodes and to highlight them. Paths are found over
+ * the links matrix (see **linksMatrix** in {@link #graphrenderer|renderGraph}), either counting hops (breadth
+ * first search) or adding up the **value** of the links along the path (Dijkstra). Collapsed connections
+ * (value 0) are never followed.
+ */
+import { timer as d3Timer } from "d3-timer";
+
+import CONST from "./graph.const";
+
+import { getLinkId } from "../link/link.helper";
+
+/**
+ * Builds the adjacency of every node from the links matrix, links are followed in both directions
+ * unless the graph is directed.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {boolean} directed - whether links can only be followed from their source to their target.
+ * @returns {Object.<string, Object>} the neighbours of each node mapped to the cost of reaching them.
+ * @memberof Graph/path-helper
+ */
+function _buildAdjacency(linksMatrix, directed) {
+    const adjacency = {};
+    const addNeighbour = (from, to, value) => {
+        adjacency[from] = adjacency[from] || {};
+
+        if (adjacency[from][to] === undefined || value < adjacency[from][to]) {
+            adjacency[from][to] = value;
+        }
+    };
+
+    Object.keys(linksMatrix).forEach(source =>
+        Object.keys(linksMatrix[source] || {}).forEach(target => {
+            const value = linksMatrix[source][target];
+
+            if (value > 0) {
+                addNeighbour(source, target, value);
+                !directed && addNeighbour(target, source, value);
+            }
+        })
+    );
+
+    return adjacency;
+}
+
+/**
+ * Walks back the previous node of each node in the path, from the target to the source.
+ * @param {Object.<string, string>} previous - the node from where each node was reached.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path, from the source to the target.
+ * @memberof Graph/path-helper
+ */
+function _tracePath(previous, target) {
+    const path = [];
+
+    for (let id = target; id !== null; id = previous[id]) {
+        path.unshift(id);
+    }
+
+    return path;
+}
+
+/**
+ * Finds the path with fewer hops through breadth first search.
+ * @param {Object.<string, Object>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {string} source - the id of the source node.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path or null if target can't be reached.
+ * @memberof Graph/path-helper
+ */
+function _bfs(adjacency, source, target) {
+    const previous = { [source]: null };
+    const queue = [source];
+
+    while (queue.length) {
+        const current = queue.shift();
+
+        if (current === target) {
+            return _tracePath(previous, target);
+        }
+
+        Object.keys(adjacency[current] || {}).forEach(next => {
+            if (!previous.hasOwnProperty(next)) {
+                previous[next] = current;
+                queue.push(next);
+            }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Adds some entry to a binary min heap (kept in an array) of [distance, node id] entries.
+ * @param {Array.<Array>} heap - the heap, entries are sorted by their distance.
+ * @param {Array} entry - the [distance, node id] entry to add.
+ * @returns {undefined}
+ * @memberof Graph/path-helper
+ */
+function _heapPush(heap, entry) {
+    let i = heap.length;
+
+    heap.push(entry);
+
+    while (i > 0 && heap[(i - 1) >> 1][0] > heap[i][0]) {
+        const parent = (i - 1) >> 1;
+
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+/**
+ * Removes the entry with the lowest distance from a binary min heap (see _heapPush).
+ * @param {Array.<Array>} heap - the heap.
+ * @returns {Array} the [distance, node id] entry with the lowest distance.
+ * @memberof Graph/path-helper
+ */
+function _heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    let i = 0;
+
+    if (heap.length) {
+        heap[0] = last;
+
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+
+            left < heap.length && heap[left][0] < heap[smallest][0] && (smallest = left);
+            right < heap.length && heap[right][0] < heap[smallest][0] && (smallest = right);
+
+            if (smallest === i) {
+                break;
+            }
+
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+
+    return top;
+}
+
+/**
+ * Finds the path with the lowest sum of link values through Dijkstra's algorithm. Nodes are visited in
+ * order of distance through a binary heap, O((n + m) log n) for n nodes and m links.
+ * @param {Object.<string, Object>} adjacency - the neighbours of each node (see _buildAdjacency).
+ * @param {string} source - the id of the source node.
+ * @param {string} target - the id of the target node.
+ * @returns {Array.<string>} the ids of the nodes in the path or null if target can't be reached.
+ * @memberof Graph/path-helper
+ */
+function _dijkstra(adjacency, source, target) {
+    const distances = { [source]: 0 };
+    const previous = { [source]: null };
+    const visited = {};
+    const heap = [[0, source]];
+
+    while (heap.length) {
+        const [, from] = _heapPop(heap);
+
+        if (from === target) {
+            return _tracePath(previous, target);
+        }
+
+        // nodes are pushed again whenever a shorter distance is found, stale entries are skipped
+        if (visited[from]) {
+            continue;
+        }
+
+        visited[from] = true;
+
+        Object.keys(adjacency[from] || {}).forEach(next => {
+            const distance = distances[from] + adjacency[from][next];
+
+            if (!visited[next] && (distances[next] === undefined || distance < distances[next])) {
+                distances[next] = distance;
+                previous[next] = from;
+                _heapPush(heap, [distance, next]);
+            }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Finds the shortest path between two nodes.
+ * @param {Object.<string, Object>} linksMatrix - same as {@link #graphrenderer|linksMatrix in renderGraph}.
+ * @param {string} source - the id of the node where the path starts.
+ * @param {string} target - the id of the node where the path ends.
+ * @param {Object} [options={}] - path finding options.
+ * @param {boolean} [options.directed=false] - when set to true links are only followed from source to target.
+ * @param {boolean} [options.weighted=false] - when set to true the path with the lowest sum of link **value**s is
+ * found (Dijkstra), otherwise the path with fewer hops (breadth first search). Between nodes with parallel links
+ * the cheapest of them is used, the links matrix keeps its value (see **linksMatrix** in renderGraph).
+ * @returns {Array.<string>} the ids of the nodes in the path, from source to target, or null if there's no path
+ * between them.
+ * @memberof Graph/path-helper
+ */
+function findShortestPath(linksMatrix = {}, source, target, { directed = false, weighted = false } = {}) {
+    const from = `${source}`;
+    const to = `${target}`;
+
+    if (!linksMatrix[from] || !linksMatrix[to]) {
+        return null;
+    }
+
+    const adjacency = _buildAdjacency(linksMatrix, directed);
+
+    return weighted ? _dijkstra(adjacency, from, to) : _bfs(adjacency, from, to);
+}
+
+/**
+ * Finds the nodes and links that form some path. The links between consecutive nodes of the path are part
+ * of it (every parallel link included), links of undirected graphs can be walked backwards.
+ * @param {Array.<string>} path - the ids of the nodes in the path, in order.
+ * @param {Array.<Object>} links - same as {@link #graphrenderer|links in renderGraph}.
+ * @param {boolean} directed - whether links can only be walked from their source to their target.
+ * @returns {Object} null if there's no path, otherwise an object with the **nodeIds** of the path mapped to true
+ * and the **linkIds** of the path mapped to the direction the path walks them, 1 from source to target and
+ * -1 from target to source.
+ * @memberof Graph/path-helper
+ */
+function getPathElements(path, links = [], directed) {
+    if (!path || !path.length) {
+        return null;
+    }
+
+    const ids = path.map(id => `${id}`);
+    const steps = ids.slice(1).reduce((acc, id, index) => {
+        const from = ids[index];
+
+        acc[from] = { ...acc[from], [id]: 1 };
+
+        if (!directed && !(acc[id] && acc[id][from])) {
+            acc[id] = { ...acc[id], [from]: -1 };
+        }
+
+        return acc;
+    }, {});
+    const nodeIds = ids.reduce((acc, id) => {
+        acc[id] = true;
+
+        return acc;
+    }, {});
+    const linkIds = links.reduce((acc, link) => {
+        const source = `${link.source && link.source.id !== undefined ? link.source.id : link.source}`;
+        const target = `${link.target && link.target.id !== undefined ? link.target.id : link.target}`;
+        const direction = steps[source] && steps[source][target];
+
+        if (direction) {
+            acc[getLinkId(link)] = direction;
+        }
+
+        return acc;
+    }, {});
+
+    return { nodeIds, linkIds };
+}
+
+/**
+ * The canvas renderer redraws the graph on every animation frame while dashes flow along the
+ * highlighted path (see **path.flow**), the svg renderer animates them on its own.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/path-helper
+ */
+function updateFlowTimer(graph) {
+    const { config } = graph.state;
+    const flowing =
+        config.renderer === CONST.RENDERERS.CANVAS &&
+        config.path.flow &&
+        (graph.props.highlightedPath || []).length > 1;
+
+    if (flowing && !graph.flowTimer) {
+        graph.flowTimer = d3Timer(() => graph._drawCanvas());
+    } else if (!flowing && graph.flowTimer) {
+        graph.flowTimer.stop();
+        graph.flowTimer = null;
+    }
+}
+
+export { findShortestPath, getPathElements, updateFlowTimer };
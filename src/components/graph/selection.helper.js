@@ -0,0 +1,284 @@
+/**
+ * @module Graph/selection-helper
+ * @description
+ * Offers a series of methods that allow graph to perform the necessary operations to
+ * create the multi selection behavior (modifier clicks and rectangle/lasso brushes).
+ *
+ * Developer notes - the brush is drawn in screen coordinates (relative to the svg container)
+ * thus before checking which elements are inside of it, the brush polygon needs to be
+ * mapped into graph coordinates using the current zoom transform. The methods that handle the
+ * Graph interactions receive the Graph component instance, the internal selection (state) is only used
+ * when the selection is not controlled through the selectedNodeIds and selectedLinkIds props.
+ */
+import { polygonContains as d3PolygonContains } from "d3-polygon";
+
+import CONST from "./graph.const";
+
+import { getZoomTransform } from "./zoom.helper";
+import { getLinkId } from "../link/link.helper";
+
+/**
+ * Maps a point from screen coordinates to graph coordinates.
+ * @param {Array.<number>} point - the [x, y] point in screen coordinates.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @returns {Array.<number>} the [x, y] point in graph coordinates.
+ * @memberof Graph/selection-helper
+ */
+function _invertPoint([px, py], { x = 0, y = 0, k = 1 }) {
+    return [(px - x) / k, (py - y) / k];
+}
+
+/**
+ * Checks whether a link endpoint (node id or d3 node) is part of a list of node ids.
+ * @param {string|Object} node - node id or d3 node.
+ * @param {Array.<string>} nodeIds - list of node ids.
+ * @returns {boolean} true if node is in the list.
+ * @memberof Graph/selection-helper
+ */
+function _isNodeIn(node, nodeIds) {
+    const id = node && node.id !== undefined && node.id !== null ? node.id : node;
+
+    return nodeIds.includes(`${id}`);
+}
+
+/**
+ * Builds the polygon that represents the selection brush.
+ * @param {Array.<Array.<number>>} [points] - points captured while the user was dragging, null when there's no brush.
+ * @param {string} brush - the brush type, one of CONST.SELECTION_BRUSHES.
+ * @returns {Array.<Array.<number>>} the list of [x, y] vertices of the brush polygon.
+ * @memberof Graph/selection-helper
+ */
+function buildBrushPolygon(points, brush) {
+    if (!points || brush === CONST.SELECTION_BRUSHES.LASSO || points.length < 2) {
+        return points || [];
+    }
+
+    const [x0, y0] = points[0];
+    const [x1, y1] = points[points.length - 1];
+
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+}
+
+/**
+ * Finishes the selection brush adding the nodes and links inside of it to the current selection.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function endBrush(graph) {
+    window.removeEventListener("mouseup", graph.onMouseUpGraph);
+
+    const { brushPoints, config, nodes, d3Links } = graph.state;
+
+    if (!brushPoints) {
+        return;
+    }
+
+    const polygon = buildBrushPolygon(brushPoints, config.selectionBrush);
+    const brushed = getElementsInsideBrush(polygon, getZoomTransform(graph), nodes, d3Links);
+    const { nodeIds, linkIds } = getSelection(graph);
+
+    graph.setState({ brushPoints: null });
+    updateSelection(graph, mergeSelectedIds(nodeIds, brushed.nodeIds), mergeSelectedIds(linkIds, brushed.linkIds));
+}
+
+/**
+ * Computes the nodes and links that are inside of a given brush polygon. A link
+ * is only considered to be inside the brush if both its source and target nodes are.
+ * Nodes hidden by collapsed nodes and hidden links are never inside the brush.
+ * @param {Array.<Array.<number>>} polygon - the brush polygon in screen coordinates.
+ * @param {Object} transform - the current zoom transform with x, y and k properties.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<Object>} d3Links - an array containing all the d3 links.
+ * @returns {Object} object with the list of selected nodeIds and linkIds.
+ * @memberof Graph/selection-helper
+ */
+function getElementsInsideBrush(polygon, transform, nodes, d3Links = []) {
+    if (!polygon || polygon.length < 3) {
+        return { nodeIds: [], linkIds: [] };
+    }
+
+    const graphPolygon = polygon.map(p => _invertPoint(p, transform || {}));
+    const nodeIds = Object.keys(nodes).filter(
+        id => !nodes[id]._hidden && d3PolygonContains(graphPolygon, [nodes[id].x, nodes[id].y])
+    );
+    const linkIds = d3Links
+        .filter(link => !link.isHidden && _isNodeIn(link.source, nodeIds) && _isNodeIn(link.target, nodeIds))
+        .map(getLinkId);
+
+    return { nodeIds, linkIds };
+}
+
+/**
+ * Computes the position of a mouse event relative to the element that holds the listener.
+ * @param {Object} event - the mouse event.
+ * @returns {Array.<number>} the [x, y] position of the pointer.
+ * @memberof Graph/selection-helper
+ */
+function getPointerPosition(event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+
+    return [event.clientX - rect.left, event.clientY - rect.top];
+}
+
+/**
+ * Obtain the current selection, selection props take precedence over the internal selection state
+ * (controlled vs uncontrolled selection).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} object with the list of selected nodeIds and linkIds.
+ * @memberof Graph/selection-helper
+ */
+function getSelection(graph) {
+    return {
+        nodeIds: graph.props.selectedNodeIds || graph.state.selectedNodeIds || [],
+        linkIds: graph.props.selectedLinkIds || graph.state.selectedLinkIds || [],
+    };
+}
+
+/**
+ * Checks whether some event happened in the graph background (not in a node nor a link).
+ * toUpperCase() is added as a precaution, as the documentation says tagName should always
+ * return in UPPERCASE, but chrome returns lowercase.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the event.
+ * @returns {boolean} true if the event target is the graph background.
+ * @memberof Graph/selection-helper
+ */
+function isGraphBackground(graph, e) {
+    const { target } = e;
+
+    if (graph.canvas && target === graph.canvas) {
+        return !graph._findCanvasElement(getPointerPosition(e));
+    }
+
+    return target.tagName.toUpperCase() === "SVG" && target.attributes.name.value === `svg-container-${graph.state.id}`;
+}
+
+/**
+ * Tells whether some event should toggle the selection of an element
+ * rather than replacing the whole selection (shift, ctrl or cmd click).
+ * @param {Object} event - the mouse event.
+ * @returns {boolean} true if the event is a selection toggle event.
+ * @memberof Graph/selection-helper
+ */
+function isSelectionToggleEvent(event) {
+    return !!event && !!(event.shiftKey || event.ctrlKey || event.metaKey);
+}
+
+/**
+ * Merges two lists of ids without duplicates.
+ * @param {Array.<string>} [ids=[]] - current list of ids.
+ * @param {Array.<string>} [newIds=[]] - ids to add.
+ * @returns {Array.<string>} the merged list of ids.
+ * @memberof Graph/selection-helper
+ */
+function mergeSelectedIds(ids = [], newIds = []) {
+    return [...ids, ...newIds.filter(id => !ids.includes(id))];
+}
+
+/**
+ * Updates the selection brush while the user drags.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mouse move event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function moveBrush(graph, e) {
+    const { brushPoints, config } = graph.state;
+
+    if (brushPoints) {
+        const point = getPointerPosition(e);
+        const lasso = config.selectionBrush === CONST.SELECTION_BRUSHES.LASSO;
+
+        graph.setState({ brushPoints: lasso ? [...brushPoints, point] : [brushPoints[0], point] });
+    }
+}
+
+/**
+ * Selects the clicked link, or toggles it in the current selection if a modifier key is pressed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} linkId - id of the clicked link.
+ * @param {Object} event - the click event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function selectLink(graph, linkId, event) {
+    const { nodeIds, linkIds } = getSelection(graph);
+
+    isSelectionToggleEvent(event)
+        ? updateSelection(graph, nodeIds, toggleSelectedId(linkIds, linkId))
+        : updateSelection(graph, [], [linkId]);
+}
+
+/**
+ * Selects the clicked node, or toggles it in the current selection if a modifier key is pressed.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - id of the clicked node.
+ * @param {Object} event - the click event.
+ * @returns {boolean} true if the node was toggled in the current selection.
+ * @memberof Graph/selection-helper
+ */
+function selectNode(graph, nodeId, event) {
+    const { nodeIds, linkIds } = getSelection(graph);
+    const toggle = isSelectionToggleEvent(event);
+
+    toggle ? updateSelection(graph, toggleSelectedId(nodeIds, nodeId), linkIds) : updateSelection(graph, [nodeId], []);
+
+    return toggle;
+}
+
+/**
+ * Starts drawing the selection brush when shift dragging on the graph background. The brush ends
+ * on any mouseup, even if the pointer is released outside of the graph (see endBrush).
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} e - the mouse down event.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function startBrush(graph, e) {
+    if (graph.state.config.selectionBehavior && e.shiftKey && isGraphBackground(graph, e)) {
+        window.addEventListener("mouseup", graph.onMouseUpGraph);
+        graph.setState({ brushPoints: [getPointerPosition(e)] });
+    }
+}
+
+/**
+ * Adds an id to a list of ids if it's not there already, otherwise removes it.
+ * @param {Array.<string>} [ids=[]] - current list of ids.
+ * @param {string} id - the id to toggle.
+ * @returns {Array.<string>} the updated list of ids.
+ * @memberof Graph/selection-helper
+ */
+function toggleSelectedId(ids = [], id) {
+    return ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id];
+}
+
+/**
+ * Updates the graph selection and notifies the selection change.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Array.<string>} nodeIds - ids of the selected nodes.
+ * @param {Array.<string>} linkIds - ids of the selected links.
+ * @returns {undefined}
+ * @memberof Graph/selection-helper
+ */
+function updateSelection(graph, nodeIds, linkIds) {
+    graph.setState({ selectedNodeIds: nodeIds, selectedLinkIds: linkIds });
+    graph.props.onSelectionChange && graph.props.onSelectionChange({ nodeIds, linkIds });
+}
+
+export {
+    buildBrushPolygon,
+    endBrush,
+    getElementsInsideBrush,
+    getPointerPosition,
+    getSelection,
+    isGraphBackground,
+    isSelectionToggleEvent,
+    mergeSelectedIds,
+    moveBrush,
+    selectLink,
+    selectNode,
+    startBrush,
+    toggleSelectedId,
+    updateSelection,
+};
@@ -0,0 +1,297 @@
+/**
+ * @module Graph/simulation-helper
+ * @description
+ * Offers the d3 force simulation used to layout the graph and the means to run it off the main thread
+ * inside a [Web Worker](https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API).
+ *
+ * Developer notes - when running inside a worker, the Graph talks to a simulation proxy (see createWorkerSimulation)
+ * that exposes the subset of the d3 simulation API used by the Graph component (nodes, force, on, alphaTarget,
+ * restart and stop). Each message is forwarded to the simulation engine living in the worker (see createSimulationEngine)
+ * and node positions are streamed back on every tick in a single transferable typed array, which the proxy then
+ * copies into the very same node objects that are rendered.
+ */
+import {
+    forceLink as d3ForceLink,
+    forceManyBody as d3ForceManyBody,
+    forceSimulation as d3ForceSimulation,
+    forceX as d3ForceX,
+    forceY as d3ForceY,
+} from "d3-force";
+
+import CONST from "./graph.const";
+import { GROUP_FORCE } from "../group/group.const";
+
+import { forceGroup, getMembership } from "../group/group.helper";
+
+// number of values sent per node when syncing positions: x, y, fx and fy
+const NODE_SYNC_STRIDE = 4;
+
+/**
+ * Create d3 forceSimulation to be applied on the graph.<br/>
+ * {@link https://github.com/d3/d3-force#forceSimulation|d3-force#forceSimulation}<br/>
+ * {@link https://github.com/d3/d3-force#simulation_force|d3-force#simulation_force}<br/>
+ * Wtf is a force? {@link https://github.com/d3/d3-force#forces| here}
+ * @param  {number} width - the width of the container area of the graph.
+ * @param  {number} height - the height of the container area of the graph.
+ * @param  {number} gravity - the force strength applied to the graph.
+ * @returns {Object} returns the simulation instance to be consumed.
+ * @memberof Graph/simulation-helper
+ */
+function createForceSimulation(width, height, gravity) {
+    const frx = d3ForceX(width / 2).strength(CONST.FORCE_X);
+    const fry = d3ForceY(height / 2).strength(CONST.FORCE_Y);
+    const forceStrength = gravity;
+
+    return d3ForceSimulation()
+        .force("charge", d3ForceManyBody().strength(forceStrength))
+        .force("x", frx)
+        .force("y", fry);
+}
+
+/**
+ * Packs the positions (x, y) and fixed positions (fx, fy) of a list of nodes into a typed array,
+ * fixed positions that are not set are packed as NaN.
+ * @param {Array.<Object>} nodes - list of nodes.
+ * @returns {Float64Array} the packed positions.
+ * @memberof Graph/simulation-helper
+ */
+function _packNodes(nodes) {
+    const data = new Float64Array(nodes.length * NODE_SYNC_STRIDE);
+
+    nodes.forEach(({ x, y, fx, fy }, i) => {
+        const offset = i * NODE_SYNC_STRIDE;
+
+        data[offset] = x || 0;
+        data[offset + 1] = y || 0;
+        data[offset + 2] = fx === undefined || fx === null ? NaN : fx;
+        data[offset + 3] = fy === undefined || fy === null ? NaN : fy;
+    });
+
+    return data;
+}
+
+/**
+ * Unpacks positions packed by _packNodes into a list of nodes.
+ * @param {Float64Array} data - the packed positions.
+ * @param {Array.<Object>} nodes - list of nodes to update, in the same order they were packed.
+ * @returns {undefined}
+ * @memberof Graph/simulation-helper
+ */
+function _unpackNodes(data, nodes) {
+    nodes.forEach((node, i) => {
+        const offset = i * NODE_SYNC_STRIDE;
+
+        node.x = data[offset];
+        node.y = data[offset + 1];
+        node.fx = isNaN(data[offset + 2]) ? null : data[offset + 2];
+        node.fy = isNaN(data[offset + 3]) ? null : data[offset + 3];
+    });
+}
+
+/**
+ * Creates the simulation engine that runs inside the worker. The engine owns a d3 force simulation
+ * and reacts to the messages sent by the simulation proxy (see createWorkerSimulation).
+ * @param {Function} postMessage - function used to send messages back to the main thread, it receives
+ * the message and an optional list of transferable objects.
+ * @returns {Function} the message handler, receives the data of each message sent to the worker.
+ * @memberof Graph/simulation-helper
+ */
+function createSimulationEngine(postMessage) {
+    let simulation;
+    let nodes = [];
+
+    const onTick = () => {
+        const positions = new Float64Array(nodes.length * 2);
+
+        nodes.forEach(({ x, y }, i) => {
+            positions[i * 2] = x;
+            positions[i * 2 + 1] = y;
+        });
+
+        postMessage({ type: "tick", positions }, [positions.buffer]);
+    };
+
+    return ({ type, ...data }) => {
+        switch (type) {
+            case "init":
+                simulation = createForceSimulation(data.width, data.height, data.gravity)
+                    .on("tick", onTick)
+                    .on("end", () => postMessage({ type: "end" }));
+                break;
+            case "nodes":
+                nodes = Array.from({ length: data.nodes.length / NODE_SYNC_STRIDE }, () => ({}));
+                _unpackNodes(data.nodes, nodes);
+                simulation.nodes(nodes);
+                break;
+            case "links": {
+                const forceLink = d3ForceLink(data.links)
+                    .distance(l => l.distance)
+                    .strength(l => l.strength);
+
+                simulation.force(CONST.LINK_CLASS_NAME, forceLink);
+                break;
+            }
+            case "groups": {
+                const groups = data.groups;
+                const force = groups && forceGroup(node => groups[node.index]).strength(data.strength);
+
+                simulation.force(GROUP_FORCE, force);
+                break;
+            }
+            case "alphaTarget":
+                simulation.alphaTarget(data.value);
+                break;
+            case "restart":
+                _unpackNodes(data.nodes, nodes);
+                simulation.restart();
+                break;
+            case "stop":
+                simulation.stop();
+                break;
+        }
+    };
+}
+
+/**
+ * Creates a simulation proxy that runs the force simulation inside a worker. The proxy mimics the
+ * subset of the d3 simulation API consumed by the Graph component.
+ * **NOTE**: since the simulation runs in another thread any change to the nodes positions (e.g. dragging)
+ * is only sent to the worker when the simulation is restarted.
+ * @param {Object} worker - the worker running the simulation engine (see simulation.worker).
+ * @param  {number} width - the width of the container area of the graph.
+ * @param  {number} height - the height of the container area of the graph.
+ * @param  {number} gravity - the force strength applied to the graph.
+ * @returns {Object} the simulation proxy.
+ * @memberof Graph/simulation-helper
+ */
+function createWorkerSimulation(worker, width, height, gravity) {
+    const listeners = {};
+    let nodes = [];
+    // ticks still in flight once the simulation is stopped must not override the nodes positions
+    let running = false;
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === "tick" && running) {
+            nodes.forEach((node, i) => {
+                node.x = data.positions[i * 2];
+                node.y = data.positions[i * 2 + 1];
+            });
+            listeners.tick && listeners.tick();
+        } else if (data.type === "end") {
+            running = false;
+            listeners.end && listeners.end();
+        }
+    };
+
+    const simulation = {
+        nodes(simulationNodes) {
+            if (simulationNodes === undefined) {
+                return nodes;
+            }
+
+            nodes = simulationNodes;
+            nodes.forEach((node, i) => (node.index = i));
+
+            const packed = _packNodes(nodes);
+
+            worker.postMessage({ type: "nodes", nodes: packed }, [packed.buffer]);
+            running = true;
+
+            return simulation;
+        },
+        force(name, force) {
+            if (name === CONST.LINK_CLASS_NAME) {
+                const indexes = nodes.reduce((acc, node, i) => {
+                    acc[node.id] = i;
+
+                    return acc;
+                }, {});
+                const distance = force.distance();
+                const strength = force.strength();
+                const links = force.links().map((link, i, all) => {
+                    const { source, target } = link;
+                    const sourceId = source.id !== undefined && source.id !== null ? source.id : source;
+                    const targetId = target.id !== undefined && target.id !== null ? target.id : target;
+
+                    return {
+                        source: indexes[sourceId],
+                        target: indexes[targetId],
+                        distance: distance(link, i, all),
+                        strength: strength(link, i, all),
+                    };
+                });
+
+                worker.postMessage({ type: "links", links });
+            } else if (name === GROUP_FORCE) {
+                // the groups of each node are sent in the same order as the nodes
+                const groups = force && nodes.map(force.groups());
+
+                worker.postMessage({ type: "groups", groups, strength: force && force.strength() });
+            }
+
+            return simulation;
+        },
+        on(type, listener) {
+            listeners[type] = listener;
+
+            return simulation;
+        },
+        alphaTarget(value) {
+            worker.postMessage({ type: "alphaTarget", value });
+
+            return simulation;
+        },
+        restart() {
+            const packed = _packNodes(nodes);
+
+            worker.postMessage({ type: "restart", nodes: packed }, [packed.buffer]);
+            running = true;
+
+            return simulation;
+        },
+        stop() {
+            worker.postMessage({ type: "stop" });
+            running = false;
+
+            return simulation;
+        },
+        terminate() {
+            running = false;
+            worker.terminate();
+        },
+    };
+
+    worker.postMessage({ type: "init", width, height, gravity });
+
+    return simulation;
+}
+
+/**
+ * Feeds the Graph nodes and links into its simulation and sets the tick function, the links force
+ * and the group force (see **d3.groupStrength**).
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/simulation-helper
+ */
+function configureSimulation(graph) {
+    const { simulation, d3Nodes, d3Links, config } = graph.state;
+
+    simulation.nodes(d3Nodes).on("tick", graph._tick);
+
+    const forceLink = d3ForceLink(d3Links)
+        .id(l => l.id)
+        .distance(config.d3.linkLength)
+        .strength(config.d3.linkStrength);
+
+    simulation.force(CONST.LINK_CLASS_NAME, forceLink);
+
+    const forceGroups = config.d3.groupStrength
+        ? forceGroup(getMembership(config.group.nodeProperty, graph.props.data.groups)).strength(
+              config.d3.groupStrength
+          )
+        : null;
+
+    simulation.force(GROUP_FORCE, forceGroups);
+}
+
+export { configureSimulation, createForceSimulation, createSimulationEngine, createWorkerSimulation };
@@ -0,0 +1,11 @@
+/**
+ * @module Graph/simulation-worker
+ * @description
+ * Entry point of the Web Worker that runs the graph force simulation off the main thread,
+ * it's bundled separately as `rd3g.worker.bundle.js` (see **d3.workerUrl** config).
+ */
+import { createSimulationEngine } from "./simulation.helper";
+
+const onMessage = createSimulationEngine((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = e => onMessage(e.data);
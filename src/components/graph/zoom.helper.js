@@ -0,0 +1,403 @@
+/**
+ * @module Graph/zoom-helper
+ * @description
+ * Offers a series of methods that compute zoom transformations (pan, scale, fit) for the Graph
+ * viewport. Transformations are plain transform objects `{ x, y, k }` (same semantics as
+ * {@link https://github.com/d3/d3-zoom#zoom-transforms|d3 zoom transforms}) that Graph applies
+ * through the d3-zoom behavior, this way user interactions are kept in sync. The methods that
+ * configure and drive the viewport receive the Graph component instance.
+ */
+import { select as d3Select, selectAll as d3SelectAll, event as d3Event } from "d3-selection";
+import { zoom as d3Zoom, zoomIdentity as d3ZoomIdentity, zoomTransform as d3ZoomTransform } from "d3-zoom";
+import "d3-transition";
+
+import CONST from "./graph.const";
+
+import { getNodeShape } from "./graph.builder";
+import nodeHelper from "../node/node.helper";
+
+/**
+ * Default padding (in px) applied around the bounding box of the nodes when fitting them into view.
+ * @memberof Graph/zoom-helper
+ */
+const DEFAULT_FIT_PADDING = 20;
+
+/**
+ * Default margin (in px) added around the viewport when culling elements, so that elements just about
+ * to enter the view while panning (and node labels, that overflow the node bounding box) are still rendered.
+ * @memberof Graph/zoom-helper
+ */
+const DEFAULT_CULLING_MARGIN = 100;
+
+/**
+ * Clamps a scale value between the minZoom and maxZoom configured values.
+ * @param {number} k - the scale to clamp.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {number} the clamped scale.
+ * @memberof Graph/zoom-helper
+ */
+function _clampScale(k, { minZoom, maxZoom }) {
+    return Math.min(maxZoom, Math.max(minZoom, k));
+}
+
+/**
+ * Computes the transform that places a given point (graph coordinates) in the center
+ * of the viewport under a given scale.
+ * @param {number} x - x coordinate of the point to center.
+ * @param {number} y - y coordinate of the point to center.
+ * @param {number} k - the scale to apply.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function _centerOn(x, y, k, { width, height }) {
+    return {
+        x: width / 2 - k * x,
+        y: height / 2 - k * y,
+        k,
+    };
+}
+
+/**
+ * Computes the transform that zooms the graph to a given scale while keeping
+ * the current center of the viewport in place.
+ * @param {number} scale - the target scale (clamped between minZoom and maxZoom).
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeZoomToTransform(scale, transform, config) {
+    const { x = 0, y = 0, k = 1 } = transform || {};
+    const cx = (config.width / 2 - x) / k;
+    const cy = (config.height / 2 - y) / k;
+
+    return _centerOn(cx, cy, _clampScale(scale, config), config);
+}
+
+/**
+ * Computes the transform that centers the viewport on a given point while keeping
+ * the current scale.
+ * @param {number} x - x coordinate (graph coordinates) to pan to.
+ * @param {number} y - y coordinate (graph coordinates) to pan to.
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computePanToTransform(x, y, transform, config) {
+    const k = (transform && transform.k) || 1;
+
+    return _centerOn(x, y, k, config);
+}
+
+/**
+ * Computes the transform that fits a set of nodes inside the viewport. The bounding box of the nodes
+ * takes their size (unzoomed) into account, so that nodes are fully visible and not only their centers.
+ * @param {Object.<string, Object>} nodes - an object containing all nodes mapped by their id.
+ * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes will be considered.
+ * @param {number} [padding=DEFAULT_FIT_PADDING] - space (in px) to leave between the nodes and the viewport edges.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object|undefined} transform object with x, y and k properties or undefined if there are no nodes to fit.
+ * @memberof Graph/zoom-helper
+ */
+function computeFitToViewTransform(nodes, nodeIds, padding = DEFAULT_FIT_PADDING, config) {
+    const ids = nodeIds && nodeIds.length ? nodeIds : Object.keys(nodes);
+    const fitNodes = ids.map(id => nodes[id]).filter(node => !!node);
+
+    if (!fitNodes.length) {
+        return;
+    }
+
+    const boxes = fitNodes.map(node => {
+        const { width, height } = nodeHelper.getNodeExtent(getNodeShape(node, config, 1));
+        const x = node.x || 0;
+        const y = node.y || 0;
+
+        return { minX: x - width / 2, minY: y - height / 2, maxX: x + width / 2, maxY: y + height / 2 };
+    });
+    const minX = Math.min(...boxes.map(box => box.minX));
+    const maxX = Math.max(...boxes.map(box => box.maxX));
+    const minY = Math.min(...boxes.map(box => box.minY));
+    const maxY = Math.max(...boxes.map(box => box.maxY));
+    const availableWidth = Math.max(config.width - 2 * padding, 1);
+    const availableHeight = Math.max(config.height - 2 * padding, 1);
+    const boxWidth = maxX - minX;
+    const boxHeight = maxY - minY;
+    // a single node (or nodes all aligned) should not produce an infinite scale
+    const kx = boxWidth ? availableWidth / boxWidth : config.maxZoom;
+    const ky = boxHeight ? availableHeight / boxHeight : config.maxZoom;
+    const k = _clampScale(Math.min(kx, ky), config);
+
+    return _centerOn((minX + maxX) / 2, (minY + maxY) / 2, k, config);
+}
+
+/**
+ * Computes the transform that centers the view on some node under the focusZoom scale, which is
+ * kept between minZoom and maxZoom.
+ * @param {Object} node - the node to focus, with x and y coordinates.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeFocusTransform(node, config) {
+    return _centerOn(node.x || 0, node.y || 0, _clampScale(config.focusZoom, config), config);
+}
+
+/**
+ * Computes the area of the graph (in graph coordinates) that is visible in the viewport under
+ * a given transform, enlarged by some margin.
+ * @param {Object} transform - the current transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {number} [margin=DEFAULT_CULLING_MARGIN] - space (in px) to add around the viewport edges.
+ * @returns {Object} the visible area with minX, minY, maxX and maxY properties.
+ * @memberof Graph/zoom-helper
+ */
+function computeVisibleArea(transform, { width, height }, margin = DEFAULT_CULLING_MARGIN) {
+    const { x = 0, y = 0, k = 1 } = transform || {};
+
+    return {
+        minX: (-margin - x) / k,
+        minY: (-margin - y) / k,
+        maxX: (width + margin - x) / k,
+        maxY: (height + margin - y) / k,
+    };
+}
+
+/**
+ * Checks whether the viewport under a given transform, enlarged by some margin, lies inside some area.
+ * @param {Object} transform - the transform with x, y and k properties.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object} area - the area to test (see computeVisibleArea).
+ * @param {number} [margin=DEFAULT_CULLING_MARGIN / 2] - space (in px) to add around the viewport edges.
+ * @returns {boolean} true if the enlarged viewport is inside the area.
+ * @memberof Graph/zoom-helper
+ */
+function isViewportInArea(transform, config, area, margin = DEFAULT_CULLING_MARGIN / 2) {
+    const { minX, minY, maxX, maxY } = computeVisibleArea(transform, config, margin);
+
+    return minX >= area.minX && minY >= area.minY && maxX <= area.maxX && maxY <= area.maxY;
+}
+
+/**
+ * Checks whether a node might be visible in some area. The bounding box of the node is tested,
+ * thus big nodes whose center lies outside the area but that overlap it are kept.
+ * @param {Object} node - the node with x and y coordinates.
+ * @param {Object} area - the visible area (see computeVisibleArea).
+ * @param {Object} [extent] - the width and height of the node bounding box (graph coordinates),
+ * only the node center is tested when not provided.
+ * @returns {boolean} true if the node bounding box intersects the area.
+ * @memberof Graph/zoom-helper
+ */
+function isNodeInArea({ x = 0, y = 0 }, { minX, minY, maxX, maxY }, { width = 0, height = 0 } = {}) {
+    return x + width / 2 >= minX && x - width / 2 <= maxX && y + height / 2 >= minY && y - height / 2 <= maxY;
+}
+
+/**
+ * Checks whether a link between two nodes might cross some visible area. The bounding box
+ * of the link is tested, thus links with both endpoints outside the area that straddle it are kept.
+ * @param {Object} source - the source node with x and y coordinates.
+ * @param {Object} target - the target node with x and y coordinates.
+ * @param {Object} area - the visible area (see computeVisibleArea).
+ * @returns {boolean} true if the link bounding box intersects the area.
+ * @memberof Graph/zoom-helper
+ */
+function isLinkInArea(source, target, { minX, minY, maxX, maxY }) {
+    const x1 = source.x || 0;
+    const y1 = source.y || 0;
+    const x2 = target.x || 0;
+    const y2 = target.y || 0;
+
+    return Math.max(x1, x2) >= minX && Math.min(x1, x2) <= maxX && Math.max(y1, y2) >= minY && Math.min(y1, y2) <= maxY;
+}
+
+/**
+ * Selects the element that wraps the graph, where the d3 zoom behavior is bound.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} the d3 selection of the graph wrapper.
+ * @memberof Graph/zoom-helper
+ */
+function _selectWrapper(graph) {
+    return d3Select(`#${graph.state.id}-${CONST.GRAPH_WRAPPER_ID}`);
+}
+
+/**
+ * Reads the current zoom transform stored by d3-zoom in the graph wrapper.
+ * {@link https://github.com/d3/d3-zoom#zoomTransform}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object} transform object with x, y and k properties.
+ * @memberof Graph/zoom-helper
+ */
+function getZoomTransform(graph) {
+    const wrapper = _selectWrapper(graph).node();
+
+    return wrapper ? d3ZoomTransform(wrapper) : d3ZoomIdentity;
+}
+
+/**
+ * Applies a transform to the graph through the d3 zoom behavior, this way d3-zoom keeps
+ * track of the new transform and further user interactions (wheel, drag) continue from it.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Object} transform - transform object with x, y and k properties.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function applyZoomTransform(graph, transform, duration = graph.state.config.focusAnimationDuration) {
+    if (!transform || !graph.zoom) {
+        return;
+    }
+
+    const t = d3ZoomIdentity.translate(transform.x, transform.y).scale(transform.k);
+    const selection = _selectWrapper(graph);
+
+    if (duration) {
+        selection
+            .transition()
+            .duration(duration * 1000)
+            .call(graph.zoom.transform, t);
+    } else {
+        selection.call(graph.zoom.transform, t);
+    }
+}
+
+/**
+ * Handler for 'zoom' event within zoom config.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function _onZoom(graph) {
+    const transform = d3Event.transform;
+    const canvas = graph.state.config.renderer === CONST.RENDERERS.CANVAS;
+
+    if (canvas) {
+        graph._drawCanvas();
+    } else {
+        d3SelectAll(`#${graph.state.id}-${CONST.GRAPH_CONTAINER_ID}`).attr("transform", transform);
+    }
+
+    graph.state.config.panAndZoom && graph.setState({ transform: transform.k });
+
+    // svg elements that enter the viewport need to be rendered, elements up to some margin around the viewport
+    // already are, thus the graph is only rendered again once the viewport gets close to the culled area edges
+    const { culledArea } = graph;
+
+    culledArea && !canvas && !isViewportInArea(transform, graph.state.config, culledArea) && graph.forceUpdate();
+}
+
+/**
+ * Configures zoom upon graph with default or user provided values. Ctrl and right button gestures are
+ * not handled and, when the selection behavior is active, shift dragging is reserved to draw the
+ * selection brush.<br/>
+ * {@link https://github.com/d3/d3-zoom#zoom}
+ * @param {Object} graph - the Graph component instance.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function configureZoom(graph) {
+    const { config } = graph.state;
+
+    graph.zoom = d3Zoom()
+        .scaleExtent([config.minZoom, config.maxZoom])
+        .filter(
+            () =>
+                !d3Event.ctrlKey &&
+                !d3Event.button &&
+                !(graph.state.config.selectionBehavior && d3Event.shiftKey && d3Event.type !== "wheel")
+        )
+        .on("zoom", () => _onZoom(graph));
+
+    _selectWrapper(graph).call(graph.zoom);
+}
+
+/**
+ * Zooms and pans the graph so that the given nodes (or all nodes) fit inside the viewport.
+ * @param {Object} graph - the Graph component instance.
+ * @param {Array.<string>} [nodeIds] - ids of the nodes to fit, if none provided all nodes are considered.
+ * @param {number} [padding] - space (in px) to leave between the nodes and the viewport edges.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function fitToView(graph, nodeIds, padding, duration) {
+    const { nodes, config } = graph.state;
+
+    applyZoomTransform(graph, computeFitToViewTransform(nodes, nodeIds, padding, config), duration);
+}
+
+/**
+ * Focuses the graph view on some node, see the focusZoom and focusAnimationDuration configs. The view is
+ * moved through the d3 zoom behavior, thus zooming and panning carry on from the focused view.
+ * @param {Object} graph - the Graph component instance.
+ * @param {string} nodeId - the id of the node to focus.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function focusNode(graph, nodeId) {
+    const { config, nodes } = graph.state;
+    const node = nodeId !== undefined && nodeId !== null ? nodes[nodeId] : undefined;
+
+    node && applyZoomTransform(graph, computeFocusTransform(node, config), config.focusAnimationDuration);
+}
+
+/**
+ * Computes the area of the graph visible in the viewport, used to cull the nodes and links that
+ * would be rendered off screen. The area is kept in the graph culledArea property.
+ * @param {Object} graph - the Graph component instance.
+ * @returns {Object|undefined} the visible area or undefined if viewport culling is disabled.
+ * @memberof Graph/zoom-helper
+ */
+function getVisibleArea(graph) {
+    const { config } = graph.state;
+
+    graph.culledArea = config.viewportCulling ? computeVisibleArea(getZoomTransform(graph), config) : undefined;
+
+    return graph.culledArea;
+}
+
+/**
+ * Centers the graph view on the given coordinates keeping the current zoom.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} x - x coordinate (in graph coordinates) to center the view on.
+ * @param {number} y - y coordinate (in graph coordinates) to center the view on.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function panTo(graph, x, y, duration) {
+    applyZoomTransform(graph, computePanToTransform(x, y, getZoomTransform(graph), graph.state.config), duration);
+}
+
+/**
+ * Zooms the graph to the given scale keeping the current center of the view in place.
+ * @param {Object} graph - the Graph component instance.
+ * @param {number} scale - the zoom to apply, it will be kept between **minZoom** and **maxZoom**.
+ * @param {number} [duration] - duration (in seconds) of the transition, defaults to **focusAnimationDuration**.
+ * @returns {undefined}
+ * @memberof Graph/zoom-helper
+ */
+function zoomTo(graph, scale, duration) {
+    applyZoomTransform(graph, computeZoomToTransform(scale, getZoomTransform(graph), graph.state.config), duration);
+}
+
+export {
+    DEFAULT_CULLING_MARGIN,
+    DEFAULT_FIT_PADDING,
+    applyZoomTransform,
+    computeFitToViewTransform,
+    computeFocusTransform,
+    computePanToTransform,
+    computeVisibleArea,
+    computeZoomToTransform,
+    configureZoom,
+    fitToView,
+    focusNode,
+    getVisibleArea,
+    getZoomTransform,
+    isLinkInArea,
+    isNodeInArea,
+    isViewportInArea,
+    panTo,
+    zoomTo,
+};
@@ -0,0 +1,88 @@
+import React from "react";
+
+/**
+ * Group component is responsible for encapsulating the render of some node group, an outline drawn behind
+ * the member nodes with an optional label on top of it.
+ * @example
+ * const onClickGroup = function(groupId) {
+ *      window.alert(`Clicked group ${groupId}`);
+ * };
+ *
+ * const onMouseOverGroup = function(groupId) {
+ *      window.alert(`Mouse over group ${groupId}`);
+ * };
+ *
+ * const onMouseOutGroup = function(groupId) {
+ *      window.alert(`Mouse out group ${groupId}`);
+ * };
+ *
+ * <Group
+ *     id="groupId"
+ *     d="M1..."
+ *     className="group"
+ *     cursor="pointer"
+ *     fill="lightblue"
+ *     fillOpacity={0.2}
+ *     stroke="blue"
+ *     strokeWidth={1}
+ *     label="group label"
+ *     labelX={10}
+ *     labelY={-40}
+ *     fontSize={12}
+ *     fontColor="black"
+ *     fontWeight="normal"
+ *     onClickGroup={onClickGroup}
+ *     onMouseOverGroup={onMouseOverGroup}
+ *     onMouseOutGroup={onMouseOutGroup} />
+ */
+export default class Group extends React.Component {
+    /**
+     * Handle click on the group.
+     * @param {Object} event - native event.
+     * @returns {undefined}
+     */
+    handleOnClickGroup = event => this.props.onClickGroup && this.props.onClickGroup(this.props.id, event);
+
+    /**
+     * Handle mouse over group event.
+     * @returns {undefined}
+     */
+    handleOnMouseOverGroup = () => this.props.onMouseOverGroup && this.props.onMouseOverGroup(this.props.id);
+
+    /**
+     * Handle mouse out group event.
+     * @returns {undefined}
+     */
+    handleOnMouseOutGroup = () => this.props.onMouseOutGroup && this.props.onMouseOutGroup(this.props.id);
+
+    render() {
+        const pathProps = {
+            className: this.props.className,
+            cursor: this.props.cursor,
+            d: this.props.d,
+            fill: this.props.fill,
+            fillOpacity: this.props.fillOpacity,
+            onClick: this.handleOnClickGroup,
+            onMouseOut: this.handleOnMouseOutGroup,
+            onMouseOver: this.handleOnMouseOverGroup,
+            stroke: this.props.stroke,
+            strokeWidth: this.props.strokeWidth,
+        };
+        const textProps = {
+            x: this.props.labelX,
+            y: this.props.labelY,
+            fill: this.props.fontColor,
+            fontSize: this.props.fontSize,
+            fontWeight: this.props.fontWeight,
+            textAnchor: "middle",
+            style: { pointerEvents: "none" },
+        };
+
+        return (
+            <g>
+                <path {...pathProps} />
+                {this.props.label && <text {...textProps}>{this.props.label}</text>}
+            </g>
+        );
+    }
+}
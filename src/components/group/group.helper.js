@@ -0,0 +1,339 @@
+/**
+ * @module Group/helper
+ * @description
+ * Offers a series of methods to find the groups of the graph nodes, to compute the outline drawn behind
+ * the members of each group, the simulation force that keeps the members of each group together and to
+ * collapse whole groups into single (compound) nodes.
+ *
+ * Developer notes - collapsed groups are resolved at the data level, before the graph state is initialized.
+ * The members of each collapsed group are replaced by a compound node and the links that cross the group
+ * boundary are rerouted to (and aggregated at) the compound node, thus the rest of rd3g renders and simulates
+ * compound nodes as any other node.
+ */
+import { packEnclose as d3PackEnclose } from "d3-hierarchy";
+import { polygonHull as d3PolygonHull } from "d3-polygon";
+
+import { COMPOUND_NODE_ID_PREFIX, COMPOUND_NODE_SIZE_RATIO, GROUP_SHAPES } from "./group.const";
+
+/**
+ * Gets the ids of the groups some node belongs to, nodes can belong to several groups.
+ * @param {Object} node - the node.
+ * @param {string} property - the node property that holds the group (or list of groups) of the node.
+ * @returns {Array.<string>} the group ids, an empty list for nodes without group.
+ * @memberof Group/helper
+ */
+function getNodeGroups(node, property) {
+    const value = node[property];
+
+    if (value === undefined || value === null || value === "") {
+        return [];
+    }
+
+    return [].concat(value).map(group => `${group}`);
+}
+
+/**
+ * Creates the function that tells the groups of each node, nodes belong to the groups in their group property
+ * and to the groups that list them in their **nodes** property (explicit list of member ids).
+ * @param {string} property - the node property that holds the group of each node (see getNodeGroups).
+ * @param {Array.<Object>} [groups=[]] - the groups described in the graph payload.
+ * @returns {Function} receives some node and returns the ids of its groups.
+ * @memberof Group/helper
+ */
+function getMembership(property, groups = []) {
+    const listed = groups.reduce((acc, group) => {
+        (group.nodes || []).forEach(id => {
+            acc[id] = acc[id] || [];
+            acc[id].push(`${group.id}`);
+        });
+
+        return acc;
+    }, {});
+
+    return node =>
+        getNodeGroups(node, property)
+            .concat(listed[node.id] || [])
+            .filter((group, i, all) => all.indexOf(group) === i);
+}
+
+/**
+ * Gathers the members of each group.
+ * @param {Array.<Object>} nodes - the nodes of the graph.
+ * @param {string} property - the node property that holds the group of each node (see getNodeGroups).
+ * @param {Array.<Object>} [groups=[]] - the groups described in the graph payload (see getMembership).
+ * @returns {Object.<string, Array.<Object>>} the member nodes of each group mapped by group id, groups
+ * keep the order in which they are first found.
+ * @memberof Group/helper
+ */
+function getGroupMembers(nodes, property, groups = []) {
+    const membership = getMembership(property, groups);
+
+    return nodes.reduce((acc, node) => {
+        membership(node).forEach(group => {
+            acc[group] = acc[group] || [];
+            acc[group].push(node);
+        });
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Builds a circle path.
+ * @param {number} x - the x coordinate of the circle center.
+ * @param {number} y - the y coordinate of the circle center.
+ * @param {number} r - the circle radius.
+ * @returns {string} the circle path.
+ * @memberof Group/helper
+ */
+function _circlePath(x, y, r) {
+    return `M${x - r},${y}A${r},${r} 0 1,0 ${x + r},${y}A${r},${r} 0 1,0 ${x - r},${y}Z`;
+}
+
+/**
+ * Builds the convex hull of some points grown by the given padding, corners are rounded with arcs of radius
+ * padding centered at the hull vertices.
+ * @param {Array.<Array.<number>>} points - the [x, y] points (without duplicates).
+ * @param {number} padding - the distance between the points and the hull outline.
+ * @returns {Object} the hull path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**).
+ * @memberof Group/helper
+ */
+function _buildHullPath(points, padding) {
+    const hull = (points.length > 2 && d3PolygonHull(points)) || points;
+    const n = hull.length;
+    const xs = hull.map(([x]) => x);
+    const ys = hull.map(([, y]) => y);
+    const box = {
+        minX: Math.min(...xs) - padding,
+        minY: Math.min(...ys) - padding,
+        maxX: Math.max(...xs) + padding,
+        maxY: Math.max(...ys) + padding,
+    };
+
+    if (n === 1) {
+        return { d: _circlePath(hull[0][0], hull[0][1], padding), ...box };
+    }
+
+    // vertices go clockwise (on screen) so that the edges normal (dy, -dx) points outwards
+    const area = hull.reduce((acc, [x, y], i) => {
+        const [nx, ny] = hull[(i + 1) % n];
+
+        return acc + x * ny - nx * y;
+    }, 0);
+    const vertices = area < 0 ? hull.slice().reverse() : hull;
+    const edges = vertices.map(([x1, y1], i) => {
+        const [x2, y2] = vertices[(i + 1) % n];
+        const length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+        const ox = ((y2 - y1) / length) * padding;
+        const oy = (-(x2 - x1) / length) * padding;
+
+        return [[x1 + ox, y1 + oy], [x2 + ox, y2 + oy]];
+    });
+    const d = edges
+        .map(([, end], i) => {
+            const [next] = edges[(i + 1) % n];
+
+            return `L${end[0]},${end[1]}A${padding},${padding} 0 0,1 ${next[0]},${next[1]}`;
+        })
+        .join("");
+
+    return { d: `M${edges[0][0][0]},${edges[0][0][1]}${d}Z`, ...box };
+}
+
+/**
+ * Builds the smallest circle that encloses some points grown by the given padding.
+ * @param {Array.<Array.<number>>} points - the [x, y] points.
+ * @param {number} padding - the distance between the points and the circle outline.
+ * @returns {Object} the circle path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**).
+ * @memberof Group/helper
+ */
+function _buildBubblePath(points, padding) {
+    const { x, y, r } = d3PackEnclose(points.map(([px, py]) => ({ x: px, y: py, r: padding })));
+
+    return { d: _circlePath(x, y, r), minX: x - r, minY: y - r, maxX: x + r, maxY: y + r };
+}
+
+/**
+ * Builds the outline of some group, drawn behind its member nodes.
+ * @param {Array.<Object>} members - the member nodes, with x and y coordinates.
+ * @param {number} padding - the distance between the member nodes centers and the group outline.
+ * @param {string} [shape="hull"] - either "hull" (a padded convex hull) or "bubble" (a padded enclosing circle).
+ * @returns {Object} the group path (**d**) and its bounding box (**minX**, **minY**, **maxX** and **maxY**)
+ * or null for groups without members.
+ * @memberof Group/helper
+ */
+function buildGroupPath(members, padding, shape = GROUP_SHAPES.HULL) {
+    const points = members
+        .map(({ x, y }) => [x || 0, y || 0])
+        .filter(([x, y], i, all) => all.findIndex(([ox, oy]) => ox === x && oy === y) === i);
+
+    if (!points.length) {
+        return null;
+    }
+
+    return shape === GROUP_SHAPES.BUBBLE ? _buildBubblePath(points, padding) : _buildHullPath(points, padding);
+}
+
+/**
+ * Creates a d3 force that pulls the members of each group towards the center of their group
+ * ({@link https://github.com/d3/d3-force#forces|custom forces}).
+ * @param {Function} groups - receives each node and returns the ids of its groups (see getNodeGroups).
+ * @returns {Function} the force, with **groups** and **strength** (defaults to 0.1) accessors.
+ * @memberof Group/helper
+ */
+function forceGroup(groups) {
+    let nodes = [];
+    let strength = 0.1;
+
+    /**
+     * Applies the force, members of each group move towards the group centroid.
+     * @param {number} alpha - the simulation alpha.
+     * @returns {undefined}
+     */
+    function force(alpha) {
+        const memberships = nodes.map(groups);
+        const centers = nodes.reduce((acc, node, i) => {
+            memberships[i].forEach(group => {
+                const center = acc[group] || (acc[group] = { x: 0, y: 0, count: 0 });
+
+                center.x += node.x;
+                center.y += node.y;
+                center.count++;
+            });
+
+            return acc;
+        }, {});
+
+        nodes.forEach((node, i) =>
+            memberships[i].forEach(group => {
+                const { x, y, count } = centers[group];
+
+                node.vx += (x / count - node.x) * strength * alpha;
+                node.vy += (y / count - node.y) * strength * alpha;
+            })
+        );
+    }
+
+    force.initialize = simulationNodes => (nodes = simulationNodes);
+    force.groups = value => (value === undefined ? groups : ((groups = value), force));
+    force.strength = value => (value === undefined ? strength : ((strength = value), force));
+
+    return force;
+}
+
+/**
+ * Gets the id of the compound node some group collapses into.
+ * @param {string} groupId - the group id.
+ * @returns {string} the compound node id.
+ * @memberof Group/helper
+ */
+function getCompoundNodeId(groupId) {
+    return `${COMPOUND_NODE_ID_PREFIX}${groupId}`;
+}
+
+/**
+ * Builds the compound node that replaces the members of some collapsed group. The compound node is placed
+ * at the centroid of the members (when their positions are known) and it's labeled after the group and its
+ * number of members.
+ * @param {Object} group - the group, with its id and the optional properties of the group payload.
+ * @param {Array.<Object>} members - the member nodes.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object.<string, Object>} positions - known {x, y} positions mapped by node id.
+ * @returns {Object} the compound node.
+ * @memberof Group/helper
+ */
+function _buildCompoundNode(group, members, config, positions) {
+    const placed = members.map(({ id }) => positions[id]).filter(position => position);
+    const label = group[config.group.labelProperty];
+    const node = {
+        id: getCompoundNodeId(group.id),
+        groupId: group.id,
+        groupLabel: `${label !== undefined && label !== null ? label : group.id} (${members.length})`,
+        memberIds: members.map(({ id }) => id),
+        size: group.size || config.node.size * COMPOUND_NODE_SIZE_RATIO,
+    };
+
+    group.color && (node.color = group.color);
+    group.symbolType && (node.symbolType = group.symbolType);
+
+    if (placed.length) {
+        node.x = placed.reduce((acc, { x }) => acc + x, 0) / placed.length;
+        node.y = placed.reduce((acc, { y }) => acc + y, 0) / placed.length;
+    }
+
+    return node;
+}
+
+/**
+ * Collapses groups of nodes into compound nodes. Links inside some collapsed group are dropped and links
+ * that cross its boundary are rerouted to the compound node, links rerouted into the same pair of nodes are
+ * aggregated into a single link whose value is the sum of their values. Nodes of expanded groups are placed
+ * back at their last known positions.
+ * @param {Object} data - the graph payload, with nodes, links and the optional groups description.
+ * @param {Array.<string>} collapsedGroupIds - ids of the groups to collapse.
+ * @param {Object} config - same as {@link #graphrenderer|config in renderGraph}.
+ * @param {Object.<string, Object>} [positions={}] - last known {x, y} positions mapped by node id.
+ * @returns {Object} the graph payload with collapsed groups, groups without members are left as they are.
+ * @memberof Group/helper
+ */
+function collapseGroups(data, collapsedGroupIds, config, positions = {}) {
+    const groups = data.groups || [];
+    const collapsed = collapsedGroupIds.map(id => `${id}`);
+    const membership = getMembership(config.group.nodeProperty, groups);
+    // nodes that belong to several collapsed groups collapse into the first of them
+    const compoundOf = data.nodes.reduce((acc, node) => {
+        const group = membership(node).find(id => collapsed.indexOf(id) !== -1);
+
+        group !== undefined && (acc[node.id] = getCompoundNodeId(group));
+
+        return acc;
+    }, {});
+    const nodes = data.nodes
+        .filter(({ id }) => !compoundOf[id])
+        .map(node => (positions[node.id] ? { ...node, ...positions[node.id] } : node));
+
+    if (nodes.length === data.nodes.length) {
+        return { ...data, nodes };
+    }
+
+    const members = getGroupMembers(data.nodes.filter(({ id }) => compoundOf[id]), config.group.nodeProperty, groups);
+    const compoundNodes = collapsed
+        .filter(id => members[id] && members[id].some(({ id: nodeId }) => compoundOf[nodeId] === getCompoundNodeId(id)))
+        .map(id => {
+            const group = groups.find(g => `${g.id}` === id) || {};
+            const own = members[id].filter(({ id: nodeId }) => compoundOf[nodeId] === getCompoundNodeId(id));
+
+            return _buildCompoundNode({ ...group, id }, own, config, positions);
+        });
+    const aggregated = {};
+    const links = data.links.reduce((acc, link) => {
+        const source = compoundOf[link.source] || link.source;
+        const target = compoundOf[link.target] || link.target;
+
+        if (source === link.source && target === link.target) {
+            acc.push(link);
+
+            return acc;
+        }
+
+        if (source === target) {
+            return acc;
+        }
+
+        const key = config.directed ? `${source},${target}` : [`${source}`, `${target}`].sort().join(",");
+        const value = link.value !== undefined ? link.value : 1;
+
+        if (aggregated[key]) {
+            aggregated[key].value += value;
+        } else {
+            aggregated[key] = { source, target, value };
+            acc.push(aggregated[key]);
+        }
+
+        return acc;
+    }, []);
+
+    return { ...data, nodes: [...nodes, ...compoundNodes], links };
+}
+
+export { buildGroupPath, collapseGroups, forceGroup, getCompoundNodeId, getGroupMembers, getMembership, getNodeGroups };
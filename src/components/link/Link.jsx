@@ -1,5 +1,11 @@
 import React from "react";
 
+import { LABEL_BACKGROUNDS, LABEL_HALO_WIDTH_RATIO } from "./link.const";
+import { MARKER_POSITIONS } from "../marker/marker.const";
+
+import { getLabelBackgroundId } from "./link.helper";
+import { getMarkerId } from "../marker/marker.helper";
+
 /**
  * Link component is responsible for encapsulating link render.
  * @example
@@ -23,12 +29,21 @@ import React from "react";
  *     d="M1..."
  *     source="idSourceNode"
  *     target="idTargetNode"
- *     markerId="marker-small"
+ *     graphId="graph-id"
+ *     markers={{ start: null, mid: null, end: "arrow" }}
  *     strokeWidth=1.5
  *     stroke="green"
  *     className="link"
  *     opacity=1
  *     mouseCursor="pointer"
+ *     label="label"
+ *     labelPath={null}
+ *     labelStartOffset="50%"
+ *     labelAnchor="middle"
+ *     labelOffset={1}
+ *     labelBackground="halo"
+ *     labelBackgroundColor="white"
+ *     flow={{ dashArray: [6, 4], direction: 1, duration: 1 }}
  *     onClickLink={onClickLink}
  *     onRightClickLink={onRightClickLink}
  *     onMouseOverLink={onMouseOverLink}
@@ -37,9 +52,11 @@ import React from "react";
 export default class Link extends React.Component {
     /**
      * Handle link click event.
+     * @param {Object} event - native event.
      * @returns {undefined}
      */
-    handleOnClickLink = () => this.props.onClickLink && this.props.onClickLink(this.props.source, this.props.target);
+    handleOnClickLink = event =>
+        this.props.onClickLink && this.props.onClickLink(this.props.source, this.props.target, event, this.props.id);
 
     /**
      * Handle link right click event.
@@ -47,21 +64,22 @@ export default class Link extends React.Component {
      * @returns {undefined}
      */
     handleOnRightClickLink = event =>
-        this.props.onRightClickLink && this.props.onRightClickLink(event, this.props.source, this.props.target);
+        this.props.onRightClickLink &&
+        this.props.onRightClickLink(event, this.props.source, this.props.target, this.props.id);
 
     /**
      * Handle mouse over link event.
      * @returns {undefined}
      */
     handleOnMouseOverLink = () =>
-        this.props.onMouseOverLink && this.props.onMouseOverLink(this.props.source, this.props.target);
+        this.props.onMouseOverLink && this.props.onMouseOverLink(this.props.source, this.props.target, this.props.id);
 
     /**
      * Handle mouse out link event.
      * @returns {undefined}
      */
     handleOnMouseOutLink = () =>
-        this.props.onMouseOutLink && this.props.onMouseOutLink(this.props.source, this.props.target);
+        this.props.onMouseOutLink && this.props.onMouseOutLink(this.props.source, this.props.target, this.props.id);
 
     render() {
         const lineStyle = {
@@ -71,6 +89,11 @@ export default class Link extends React.Component {
             fill: "none",
             cursor: this.props.mouseCursor,
         };
+        const { flow } = this.props;
+
+        if (flow) {
+            lineStyle.strokeDasharray = flow.dashArray.join(" ");
+        }
 
         const lineProps = {
             className: this.props.className,
@@ -82,26 +105,86 @@ export default class Link extends React.Component {
             style: lineStyle,
         };
 
-        if (this.props.markerId) {
-            lineProps.markerEnd = `url(#${this.props.markerId})`;
+        const markers = this.props.markers || {};
+
+        if (markers.start) {
+            lineProps.markerStart = `url(#${getMarkerId(
+                this.props.graphId,
+                markers.start,
+                MARKER_POSITIONS.START,
+                this.props.stroke
+            )})`;
+        }
+
+        if (markers.mid) {
+            lineProps.markerMid = `url(#${getMarkerId(
+                this.props.graphId,
+                markers.mid,
+                MARKER_POSITIONS.MID,
+                this.props.stroke
+            )})`;
+        }
+
+        if (markers.end) {
+            lineProps.markerEnd = `url(#${getMarkerId(
+                this.props.graphId,
+                markers.end,
+                MARKER_POSITIONS.END,
+                this.props.stroke
+            )})`;
+        }
+
+        const { label, labelPath, id } = this.props;
+        const labelStyle = {
+            fill: this.props.fontColor,
+            fontSize: this.props.fontSize,
+            fontWeight: this.props.fontWeight,
+            textAnchor: this.props.labelAnchor || "middle",
+        };
+
+        if (this.props.labelBackground === LABEL_BACKGROUNDS.HALO) {
+            Object.assign(labelStyle, {
+                stroke: this.props.labelBackgroundColor,
+                strokeWidth: this.props.fontSize * LABEL_HALO_WIDTH_RATIO,
+                strokeLinejoin: "round",
+                paintOrder: "stroke",
+            });
         }
 
-        const { label, id } = this.props;
         const textProps = {
-            dy: -1,
-            style: {
-                fill: this.props.fontColor,
-                fontSize: this.props.fontSize,
-                fontWeight: this.props.fontWeight,
-            },
+            dy: this.props.labelOffset === undefined ? -1 : -this.props.labelOffset,
+            style: labelStyle,
         };
 
+        if (this.props.labelBackground === LABEL_BACKGROUNDS.RECT) {
+            textProps.filter = `url(#${getLabelBackgroundId(this.props.graphId, this.props.labelBackgroundColor)})`;
+        }
+
+        // labels that would read upside down follow the link backwards (see buildLinkProps)
+        const labelPathId = labelPath ? `${id}-label` : id;
+
         return (
             <svg>
-                <path {...lineProps} id={id} />
+                <path {...lineProps} id={id}>
+                    {flow && (
+                        // dashes move towards the path end as their offset decreases
+                        <animate
+                            attributeName="stroke-dashoffset"
+                            from={(flow.dashArray[0] + flow.dashArray[1]) * flow.direction}
+                            to={0}
+                            dur={`${flow.duration}s`}
+                            repeatCount="indefinite"
+                        />
+                    )}
+                </path>
+                {label && labelPath && (
+                    <defs>
+                        <path id={labelPathId} d={labelPath} />
+                    </defs>
+                )}
                 {label && (
-                    <text style={{ textAnchor: "middle" }} {...textProps}>
-                        <textPath href={`#${id}`} startOffset="50%">
+                    <text {...textProps}>
+                        <textPath href={`#${labelPathId}`} startOffset={this.props.labelStartOffset || "50%"}>
                             {label}
                         </textPath>
                     </text>
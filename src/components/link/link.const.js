@@ -8,12 +8,116 @@
  * @property {string} STRAIGHT - a straight line.
  * @property {string} CURVE_SMOOTH - a slight curve between two nodes
  * @property {string} CURVE_FULL - a semicircumference trajectory unites source and target nodes.
+ * @property {string} ORTHOGONAL - an elbow, a horizontal segment followed by a vertical one.
+ * @property {string} STEP_HORIZONTAL - horizontal segments joined by a vertical step halfway between the nodes.
+ * @property {string} STEP_VERTICAL - vertical segments joined by a horizontal step halfway between the nodes.
+ * @property {string} BEZIER - a cubic bezier curve that leaves and reaches the nodes along the main axis of the link.
  * @memberof Link/const
  */
 const LINE_TYPES = {
     STRAIGHT: "STRAIGHT",
     CURVE_SMOOTH: "CURVE_SMOOTH",
     CURVE_FULL: "CURVE_FULL",
+    ORTHOGONAL: "ORTHOGONAL",
+    STEP_HORIZONTAL: "STEP_HORIZONTAL",
+    STEP_VERTICAL: "STEP_VERTICAL",
+    BEZIER: "BEZIER",
 };
 
-export { LINE_TYPES };
+/**
+ * Default curvature of BEZIER links, how far (as a fraction of the link length along its main axis)
+ * the control points stand from the nodes.
+ * @memberof Link/const
+ */
+const DEFAULT_BEZIER_CURVATURE = 0.5;
+
+/**
+ * @typedef {Object} LABEL_POSITIONS
+ * @property {string} START - labels start at the link source.
+ * @property {string} MIDDLE - labels are centered in the middle of the link.
+ * @property {string} END - labels end at the link target.
+ * @memberof Link/const
+ */
+const LABEL_POSITIONS = {
+    START: "start",
+    MIDDLE: "middle",
+    END: "end",
+};
+
+/**
+ * @typedef {Object} LABEL_BACKGROUNDS
+ * @property {string} NONE - labels are drawn as they are.
+ * @property {string} HALO - labels are outlined with the background color.
+ * @property {string} RECT - labels are drawn over a rectangle with the background color.
+ * @memberof Link/const
+ */
+const LABEL_BACKGROUNDS = {
+    NONE: "none",
+    HALO: "halo",
+    RECT: "rect",
+};
+
+/**
+ * Width of the outline of labels with a halo, relative to their font size.
+ * @memberof Link/const
+ */
+const LABEL_HALO_WIDTH_RATIO = 0.3;
+
+/**
+ * Average width of the label characters relative to their font size, used to estimate whether labels fit their link.
+ * @memberof Link/const
+ */
+const LABEL_CHAR_WIDTH_RATIO = 0.6;
+
+/**
+ * Number of segments of the polyline that approximates curved links (to measure them and place their labels).
+ * @memberof Link/const
+ */
+const LINK_PATH_SAMPLES = 16;
+
+/**
+ * Distance (in px) between the curves of parallel links, links that go from the same source to the same target.
+ * @memberof Link/const
+ */
+const PARALLEL_LINKS_SPACING = 20;
+
+/**
+ * Half of the angle (in radians) between the two legs of a self-loop, the link from some node to itself.
+ * @memberof Link/const
+ */
+const SELF_LOOP_SPREAD = Math.PI / 6;
+
+/**
+ * Minimum distance (in px) between the edge of some node and its self-loops (and between stacked self-loops).
+ * @memberof Link/const
+ */
+const SELF_LOOP_MIN_SIZE = 15;
+
+/**
+ * Number of bisection steps used to find where links cross the boundary of their nodes.
+ * @memberof Link/const
+ */
+const BOUNDARY_PRECISION_STEPS = 16;
+
+/**
+ * Length of the dashes and gaps (relative to the link stroke width) that flow along animated paths.
+ * @memberof Link/const
+ */
+const FLOW_DASH_RATIO = 3;
+const FLOW_GAP_RATIO = 2;
+
+export {
+    BOUNDARY_PRECISION_STEPS,
+    DEFAULT_BEZIER_CURVATURE,
+    FLOW_DASH_RATIO,
+    FLOW_GAP_RATIO,
+    LABEL_BACKGROUNDS,
+    LABEL_CHAR_WIDTH_RATIO,
+    LABEL_HALO_WIDTH_RATIO,
+    LABEL_POSITIONS,
+    LINE_TYPES,
+    LINK_PATH_SAMPLES,
+    PARALLEL_LINKS_SPACING,
+    SELF_LOOP_MIN_SIZE,
+    SELF_LOOP_SPREAD,
+};
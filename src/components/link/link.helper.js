@@ -3,7 +3,20 @@
  * @description
  * A set of helper methods to manipulate/create links.
  */
-import { LINE_TYPES } from "./link.const";
+import CONST from "../graph/graph.const";
+import {
+    BOUNDARY_PRECISION_STEPS,
+    DEFAULT_BEZIER_CURVATURE,
+    LABEL_POSITIONS,
+    LINE_TYPES,
+    LINK_PATH_SAMPLES,
+    PARALLEL_LINKS_SPACING,
+    SELF_LOOP_MIN_SIZE,
+    SELF_LOOP_SPREAD,
+} from "./link.const";
+
+import nodeHelper from "../node/node.helper";
+import utils from "../../utils";
 
 /**
  * Computes radius value for a straight line.
@@ -45,6 +58,9 @@ const RADIUS_STRATEGIES = {
     [LINE_TYPES.CURVE_FULL]: fullCurveRadius,
 };
 
+// line types drawn as polylines (see _getStepPoints)
+const STEP_TYPES = [LINE_TYPES.ORTHOGONAL, LINE_TYPES.STEP_HORIZONTAL, LINE_TYPES.STEP_VERTICAL];
+
 /**
  * Get a strategy to compute line radius.<br/>
  * *CURVE_SMOOTH* type inspired by {@link http://bl.ocks.org/mbostock/1153292|mbostock - Mobile Patent Suits}.
@@ -57,24 +73,590 @@ function getRadiusStrategy(type) {
     return RADIUS_STRATEGIES[type] || RADIUS_STRATEGIES[LINE_TYPES.STRAIGHT];
 }
 
+/**
+ * Computes the offset of some link curve from the straight line between its source and target. Parallel links
+ * (links that go from the same source to the same target) are fanned out around the straight line, the offset is
+ * measured in the direction perpendicular to the line that goes from the smallest to the biggest node id.
+ * @param {Object} link - the link.
+ * @param {number} [link.parallelIndex=0] - position of the link among its parallel links.
+ * @param {number} [link.parallelCount=1] - number of links that go from the same source to the same target.
+ * @param {boolean} [link.parallelReversed=false] - whether the link goes from the biggest to the smallest node id.
+ * @returns {number} the offset of the link curve (0 for links without parallel links).
+ * @memberof Link/helper
+ */
+function getParallelLinkOffset({ parallelIndex = 0, parallelCount = 1, parallelReversed = false }) {
+    const offset = (parallelIndex - (parallelCount - 1) / 2) * PARALLEL_LINKS_SPACING;
+
+    return parallelReversed ? -offset : offset;
+}
+
+/**
+ * Computes the control point of the quadratic curve of some parallel link, the curve apex is placed
+ * at the given offset from the middle of the straight line between source and target.
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {number} offset - the link offset (see getParallelLinkOffset).
+ * @returns {Object} the x and y coordinates of the control point.
+ * @memberof Link/helper
+ */
+function getParallelLinkControlPoint({ x: sx, y: sy }, { x: tx, y: ty }, offset) {
+    const dx = tx - sx;
+    const dy = ty - sy;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    return {
+        x: (sx + tx) / 2 - (2 * offset * dy) / length,
+        y: (sy + ty) / 2 + (2 * offset * dx) / length,
+    };
+}
+
+/**
+ * Splits some bezier curve in two at the given parameter ({@link https://en.wikipedia.org/wiki/De_Casteljau%27s_algorithm|de Casteljau}).
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @param {number} t - the curve parameter (0 to 1) where to split it.
+ * @returns {Array.<Array.<Object>>} the points of both halves of the curve.
+ * @memberof Link/helper
+ */
+function _splitBezier(points, t) {
+    const left = [points[0]];
+    const right = [points[points.length - 1]];
+    let current = points;
+
+    while (current.length > 1) {
+        const previous = current;
+
+        current = previous.slice(1).map((p, i) => ({
+            x: previous[i].x + (p.x - previous[i].x) * t,
+            y: previous[i].y + (p.y - previous[i].y) * t,
+        }));
+        left.push(current[0]);
+        right.unshift(current[current.length - 1]);
+    }
+
+    return [left, right];
+}
+
+/**
+ * Tells whether some point lies inside some node shape.
+ * @param {Object} point - the point coordinates.
+ * @param {Object} node - the node coordinates and shape (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @returns {boolean} whether the point is inside the node.
+ * @memberof Link/helper
+ */
+function _isInsideNode({ x, y }, node) {
+    const dx = x - node.x;
+    const dy = y - node.y;
+    const distance = nodeHelper.getNodeBoundaryDistance(node.shape, Math.atan2(dy, dx));
+
+    return dx * dx + dy * dy < distance * distance;
+}
+
+/**
+ * Finds, by bisection, the curve parameter where some curve crosses the boundary of some node.
+ * @param {Function} pointAt - function that returns the curve point for some parameter.
+ * @param {Object} node - the node coordinates and (optional) shape, nodes without shape are not clipped.
+ * @param {number} inside - a curve parameter that lies inside the node (the node end of the curve).
+ * @param {number} outside - a curve parameter that lies outside the node.
+ * @returns {number} the curve parameter at the node boundary (or the inside parameter for overlapping nodes).
+ * @memberof Link/helper
+ */
+function _findBoundaryCrossing(pointAt, node, inside, outside) {
+    if (!node.shape || _isInsideNode(pointAt(outside), node)) {
+        return inside;
+    }
+
+    for (let i = 0; i < BOUNDARY_PRECISION_STEPS; i++) {
+        const middle = (inside + outside) / 2;
+
+        if (_isInsideNode(pointAt(middle), node)) {
+            inside = middle;
+        } else {
+            outside = middle;
+        }
+    }
+
+    return outside;
+}
+
+/**
+ * Writes the path command that draws some bezier curve from its first point (a straight line is drawn
+ * as an arc with no radius, same as straight links).
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @returns {string} the path command (without the initial move to the first point).
+ * @memberof Link/helper
+ */
+function _bezierCommand(points) {
+    const [, ...rest] = points.map(({ x, y }) => `${x},${y}`);
+
+    if (rest.length === 1) {
+        return `A0,0 0 0,1 ${rest[0]}`;
+    }
+
+    return `${rest.length === 2 ? "Q" : "C"}${rest.join(" ")}`;
+}
+
+/**
+ * Computes the direction (in radians) that goes from some point to another.
+ * @param {Object} from - the first point.
+ * @param {Object} to - the second point.
+ * @returns {number} the angle of the direction.
+ * @memberof Link/helper
+ */
+function _direction(from, to) {
+    return Math.atan2(to.y - from.y, to.x - from.x);
+}
+
+/**
+ * Measures the length of each segment of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices.
+ * @returns {Array.<number>} the length of each segment.
+ * @memberof Link/helper
+ */
+function _segmentLengths(points) {
+    return points.slice(1).map((p, i) => {
+        const dx = p.x - points[i].x;
+        const dy = p.y - points[i].y;
+
+        return Math.sqrt(dx * dx + dy * dy);
+    });
+}
+
+/**
+ * Finds the point that lies at some fraction of the length of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices (at least two).
+ * @param {number} fraction - fraction (0 to 1) of the polyline length.
+ * @returns {Object} the index of the segment where the point lies and the point itself, with its x, y and
+ * the direction (angle) of the segment.
+ * @memberof Link/helper
+ */
+function _locateAlongPolyline(points, fraction) {
+    const lengths = _segmentLengths(points);
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) * fraction;
+    let i = 0;
+
+    while (i < lengths.length - 1 && remaining > lengths[i]) {
+        remaining -= lengths[i];
+        i++;
+    }
+
+    const k = lengths[i] ? remaining / lengths[i] : 0;
+    const from = points[i];
+    const to = points[i + 1];
+
+    return {
+        index: i,
+        point: { x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k, angle: _direction(from, to) },
+    };
+}
+
+/**
+ * Writes the path definition of some polyline.
+ * @param {Array.<Object>} points - the polyline vertices.
+ * @returns {string} the path definition.
+ * @memberof Link/helper
+ */
+function _polylinePath(points) {
+    return `M${points[0].x},${points[0].y}${points
+        .slice(1)
+        .map(({ x, y }) => `L${x},${y}`)
+        .join("")}`;
+}
+
+/**
+ * Clips some bezier curve at the boundaries of its source and target nodes.
+ * @param {Array.<Object>} points - the curve points, start, control points and end.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the curve (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipBezier(points, source, target, midpoint) {
+    const pointAt = t => _splitBezier(points, t)[1][0];
+    const t0 = _findBoundaryCrossing(pointAt, source, 0, 0.5);
+    const t1 = _findBoundaryCrossing(pointAt, target, 1, 0.5);
+    let clipped = points;
+
+    if (t0 !== 0 || t1 !== 1) {
+        const [head] = _splitBezier(points, t1);
+
+        clipped = _splitBezier(head, t0 / t1)[1];
+    }
+
+    const [left, right] = _splitBezier(clipped, 0.5);
+    const n = clipped.length;
+    const commands = midpoint ? [left, right].map(_bezierCommand).join("") : _bezierCommand(clipped);
+    const reversed = [...clipped].reverse();
+    const samples = n === 2 ? 1 : LINK_PATH_SAMPLES;
+
+    return {
+        d: `M${clipped[0].x},${clipped[0].y}${commands}`,
+        reversedD: `M${reversed[0].x},${reversed[0].y}${_bezierCommand(reversed)}`,
+        points: Array.from({ length: samples + 1 }, (_, i) => _splitBezier(clipped, i / samples)[1][0]),
+        tail: { ...clipped[0], angle: _direction(clipped[1], clipped[0]) },
+        middle: { ...right[0], angle: _direction(left[n - 2], right[1]) },
+        tip: { ...clipped[n - 1], angle: _direction(clipped[n - 2], clipped[n - 1]) },
+    };
+}
+
+/**
+ * Clips some circular arc (as drawn by the svg arc command with a small arc and positive sweep) at the
+ * boundaries of its source and target nodes.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {number} radius - the arc radius, svg scales up radiuses too small to join source and target.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the arc (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipArc(source, target, radius, midpoint) {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const r = Math.max(radius, length / 2);
+    // the arc center, following the svg arc implementation notes (F.6.5)
+    const h = Math.sqrt(r * r - (length * length) / 4) / length;
+    const cx = (source.x + target.x) / 2 - dy * h;
+    const cy = (source.y + target.y) / 2 + dx * h;
+    const startAngle = Math.atan2(source.y - cy, source.x - cx);
+    let sweep = Math.atan2(target.y - cy, target.x - cx) - startAngle;
+
+    while (sweep <= 0) {
+        sweep += 2 * Math.PI;
+    }
+
+    const angleAt = t => startAngle + t * sweep;
+    // the point of the arc at some parameter, with the direction of the arc at that point
+    const pointAt = t => ({
+        x: cx + r * Math.cos(angleAt(t)),
+        y: cy + r * Math.sin(angleAt(t)),
+        angle: angleAt(t) + Math.PI / 2,
+    });
+    const t0 = _findBoundaryCrossing(pointAt, source, 0, 0.5);
+    const t1 = _findBoundaryCrossing(pointAt, target, 1, 0.5);
+    const start = t0 === 0 ? { ...pointAt(0), x: source.x, y: source.y } : pointAt(t0);
+    const end = t1 === 1 ? { ...pointAt(1), x: target.x, y: target.y } : pointAt(t1);
+    const middle = pointAt((t0 + t1) / 2);
+    const arc = `A${r},${r} 0 0,1 `;
+    const commands = midpoint ? `${arc}${middle.x},${middle.y}${arc}${end.x},${end.y}` : `${arc}${end.x},${end.y}`;
+
+    return {
+        d: `M${start.x},${start.y}${commands}`,
+        reversedD: `M${end.x},${end.y}A${r},${r} 0 0,0 ${start.x},${start.y}`,
+        points: Array.from({ length: LINK_PATH_SAMPLES + 1 }, (_, i) =>
+            pointAt(t0 + ((t1 - t0) * i) / LINK_PATH_SAMPLES)
+        ),
+        tail: { ...start, angle: start.angle + Math.PI },
+        middle,
+        tip: end,
+    };
+}
+
+/**
+ * Clips some polyline at the boundaries of its source and target nodes, only the first and last segments
+ * can cross the node boundaries.
+ * @param {Array.<Object>} points - the polyline vertices, from source to target.
+ * @param {Object} source - the source node coordinates and shape.
+ * @param {Object} target - the target node coordinates and shape.
+ * @param {boolean} midpoint - whether the path should have a vertex in the middle of the polyline (for mid markers).
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function _clipPolyline(points, source, target, midpoint) {
+    // aligned nodes collapse some of the segments
+    const vertices = points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+    const n = vertices.length;
+
+    if (n < 3) {
+        return _clipBezier([source, target], source, target, midpoint);
+    }
+
+    const segmentAt = (from, to) => k => ({ x: from.x + (to.x - from.x) * k, y: from.y + (to.y - from.y) * k });
+    const first = segmentAt(vertices[0], vertices[1]);
+    const last = segmentAt(vertices[n - 2], vertices[n - 1]);
+    const clipped = [
+        first(_findBoundaryCrossing(first, source, 0, 1)),
+        ...vertices.slice(1, n - 1),
+        last(_findBoundaryCrossing(last, target, 1, 0)),
+    ];
+    const { index, point: middle } = _locateAlongPolyline(clipped, 0.5);
+    const m = clipped.length;
+
+    return {
+        d: _polylinePath(midpoint ? [...clipped.slice(0, index + 1), middle, ...clipped.slice(index + 1)] : clipped),
+        reversedD: _polylinePath([...clipped].reverse()),
+        points: clipped,
+        tail: { ...clipped[0], angle: _direction(clipped[1], clipped[0]) },
+        middle,
+        tip: { ...clipped[m - 1], angle: _direction(clipped[m - 2], clipped[m - 1]) },
+    };
+}
+
+/**
+ * Computes the vertices of orthogonal and step links.
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {string} type - one of ORTHOGONAL, STEP_HORIZONTAL or STEP_VERTICAL.
+ * @returns {Array.<Object>} the polyline vertices, from source to target.
+ * @memberof Link/helper
+ */
+function _getStepPoints(source, target, type) {
+    switch (type) {
+        case LINE_TYPES.ORTHOGONAL:
+            return [source, { x: target.x, y: source.y }, target];
+        case LINE_TYPES.STEP_HORIZONTAL: {
+            const x = (source.x + target.x) / 2;
+
+            return [source, { x, y: source.y }, { x, y: target.y }, target];
+        }
+        default: {
+            const y = (source.y + target.y) / 2;
+
+            return [source, { x: source.x, y }, { x: target.x, y }, target];
+        }
+    }
+}
+
+/**
+ * Computes the control points of the cubic curve of some BEZIER link. The curve leaves the source and reaches
+ * the target along the main axis of the link (horizontal or vertical, whichever is longer).
+ * @param {Object} source - the source coordinates.
+ * @param {Object} target - the target coordinates.
+ * @param {number} curvature - how far the control points stand from the nodes, as a fraction of the link length
+ * along its main axis (0 draws a straight line).
+ * @returns {Array.<Object>} the x and y coordinates of both control points.
+ * @memberof Link/helper
+ */
+function getBezierControlPoints(source, target, curvature = DEFAULT_BEZIER_CURVATURE) {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+        return [{ x: source.x + dx * curvature, y: source.y }, { x: target.x - dx * curvature, y: target.y }];
+    }
+
+    return [{ x: source.x, y: source.y + dy * curvature }, { x: target.x, y: target.y - dy * curvature }];
+}
+
+/**
+ * Builds the path of a given link base on the line type and the link source and target. Parallel links
+ * (with some offset) are drawn as quadratic curves. When source and target have a shape the path is clipped at
+ * the node boundaries, so that links (and their markers) touch the edge of the nodes instead of their centers.
+ * {@link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d|d attribute mdn}
+ * @param {Object} link - the link to build the path for.
+ * @param {Object} link.source - link source coordinates and (optional) shape
+ * (see {@link #Node/helper|getNodeBoundaryDistance}).
+ * @param {Object} link.target - link target coordinates and (optional) shape.
+ * @param {number} [link.curvature=0.5] - curvature of BEZIER links (see getBezierControlPoints).
+ * @param {string} [type=LINE_TYPES.STRAIGHT] - the link line type.
+ * @param {number} [offset=0] - offset of the link curve (see getParallelLinkOffset).
+ * @param {boolean} [midpoint=false] - whether the path should have a vertex in its middle, svg mid markers
+ * are only drawn on path vertices (svg draws them on the bends of orthogonal and step links too).
+ * @returns {Object} the path definition **d** plus the **tail**, **middle** and **tip** of the link, each with
+ * its x, y coordinates and an angle (in radians): the link direction in the middle and at the tip, the opposite
+ * direction at the tail (markers placed there point away from the link). The path also comes drawn from target
+ * to source (**reversedD**, for upright labels) and sampled as a polyline (**points**, see getPointAlongLinkPath).
+ * @memberof Link/helper
+ */
+function buildLinkPath(
+    { source = {}, target = {}, curvature },
+    type = LINE_TYPES.STRAIGHT,
+    offset = 0,
+    midpoint = false
+) {
+    const s = { ...source, x: +source.x, y: +source.y };
+    const t = { ...target, x: +target.x, y: +target.y };
+    const validType = LINE_TYPES[type] || LINE_TYPES.STRAIGHT;
+
+    if (offset) {
+        return _clipBezier([s, getParallelLinkControlPoint(s, t, offset), t], s, t, midpoint);
+    }
+
+    if (validType === LINE_TYPES.BEZIER) {
+        return _clipBezier([s, ...getBezierControlPoints(s, t, curvature), t], s, t, midpoint);
+    }
+
+    if (STEP_TYPES.includes(validType)) {
+        return _clipPolyline(_getStepPoints(s, t, validType), s, t, midpoint);
+    }
+
+    const radius = getRadiusStrategy(validType)(s.x, s.y, t.x, t.y);
+
+    if (radius && (s.x !== t.x || s.y !== t.y)) {
+        return _clipArc(s, t, radius, midpoint);
+    }
+
+    return _clipBezier([s, t], s, t, midpoint);
+}
+
+/**
+ * Builds the path of some link with a consumer defined **link.pathGenerator**.
+ * @param {Function} pathGenerator - function that receives the source node, the target node and the link and
+ * returns either the path definition or an object like the one returned by buildLinkPath (the tail, middle and tip
+ * are used to place markers and labels on canvas, the markers of the svg renderer don't need them).
+ * @param {Object} sourceNode - the source node, with its x and y coordinates.
+ * @param {Object} targetNode - the target node, with its x and y coordinates.
+ * @param {Object} link - the link.
+ * @returns {Object} the link path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function buildCustomLinkPath(pathGenerator, sourceNode, targetNode, link) {
+    const path = pathGenerator(sourceNode, targetNode, link);
+
+    return typeof path === "string" ? { d: path } : path;
+}
+
+/**
+ * Measures the length of some link path.
+ * @param {Array.<Object>} points - the link path sampled as a polyline (see buildLinkPath).
+ * @returns {number} the (approximate, for curves) length of the link.
+ * @memberof Link/helper
+ */
+function getLinkPathLength(points) {
+    return _segmentLengths(points).reduce((sum, length) => sum + length, 0);
+}
+
+/**
+ * Finds the point that lies at some fraction of the length of some link path.
+ * @param {Array.<Object>} points - the link path sampled as a polyline (see buildLinkPath).
+ * @param {number} fraction - fraction (0 to 1) of the link length, measured from the link source.
+ * @returns {Object} the x and y coordinates of the point and the direction (angle in radians) of the link there.
+ * @memberof Link/helper
+ */
+function getPointAlongLinkPath(points, fraction) {
+    return _locateAlongPolyline(points, fraction).point;
+}
+
+/**
+ * Parses the **link.labelPosition** config into where, along the link, the label is placed and how the label
+ * text is anchored there.
+ * @param {string|number} position - "start", "middle", "end" or a percentage (e.g. "25%" or 25).
+ * @returns {Object} the **fraction** (0 to 1) of the link length and the text **anchor** (start, middle or end).
+ * @memberof Link/helper
+ */
+function getLabelPlacement(position) {
+    switch (position) {
+        case LABEL_POSITIONS.START:
+            return { fraction: 0, anchor: "start" };
+        case LABEL_POSITIONS.END:
+            return { fraction: 1, anchor: "end" };
+        default: {
+            const percentage = parseFloat(position);
+
+            return {
+                fraction: isNaN(percentage) ? 0.5 : Math.min(Math.max(percentage, 0), 100) / 100,
+                anchor: "middle",
+            };
+        }
+    }
+}
+
+/**
+ * Builds the id of the filter that draws the background rectangle of link labels with some color.
+ * @param {string} graphId - the id of the graph that owns the filter.
+ * @param {string} color - the background color.
+ * @returns {string} the id of the filter.
+ * @memberof Link/helper
+ */
+function getLabelBackgroundId(graphId, color) {
+    return `${graphId}-label-background-${utils.toIdFragment(color)}`;
+}
+
 /**
  * This method returns the path definition for a given link base on the line type
- * and the link source and target.
+ * and the link source and target (see buildLinkPath).
  * {@link https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d|d attribute mdn}
  * @param {Object} link - the link to build the path definition
  * @param {Object} link.source - link source
  * @param {Object} link.target - link target
  * @param {string} type - the link line type
+ * @param {number} [offset=0] - offset of the link curve (see getParallelLinkOffset).
  * @returns {string} the path definition for the requested link
  * @memberof Link/helper
  */
-function buildLinkPathDefinition({ source = {}, target = {} }, type = LINE_TYPES.STRAIGHT) {
-    const { x: sx, y: sy } = source;
-    const { x: tx, y: ty } = target;
-    const validType = LINE_TYPES[type] || LINE_TYPES.STRAIGHT;
-    const radius = getRadiusStrategy(validType)(sx, sy, tx, ty);
+function buildLinkPathDefinition(link, type = LINE_TYPES.STRAIGHT, offset = 0) {
+    return buildLinkPath(link, type, offset).d;
+}
+
+/**
+ * Computes how far from the center of some node its self-loop reaches, loops grow with the node and
+ * several self-loops of the same node are stacked one outside the other.
+ * @param {number} nodeRadius - the radius of the node.
+ * @param {number} [loopIndex=0] - position of the loop among the self-loops of the node.
+ * @returns {number} the distance between the node center and the loop apex.
+ * @memberof Link/helper
+ */
+function getSelfLoopSize(nodeRadius, loopIndex = 0) {
+    return nodeRadius + (loopIndex + 1) * Math.max(nodeRadius, SELF_LOOP_MIN_SIZE);
+}
 
-    return `M${sx},${sy}A${radius},${radius} 0 0,1 ${tx},${ty}`;
+/**
+ * Computes the control points of the cubic curve of some self-loop. The curve leaves and comes back to the node
+ * center, its legs are spread around the loop angle so that the loop apex lies at the given size.
+ * @param {Object} node - the node coordinates.
+ * @param {Object} selfLoop - the self-loop.
+ * @param {number} selfLoop.angle - direction (in radians) the loop points at.
+ * @param {number} selfLoop.size - distance between the node center and the loop apex (see getSelfLoopSize).
+ * @returns {Array.<Object>} the x and y coordinates of both control points.
+ * @memberof Link/helper
+ */
+function getSelfLoopControlPoints({ x, y }, { angle, size }) {
+    // the apex of a cubic curve (t = 0.5) lies at 3/4 of the control points
+    const distance = size / (0.75 * Math.cos(SELF_LOOP_SPREAD));
+
+    return [angle - SELF_LOOP_SPREAD, angle + SELF_LOOP_SPREAD].map(legAngle => ({
+        x: x + distance * Math.cos(legAngle),
+        y: y + distance * Math.sin(legAngle),
+    }));
 }
 
-export { buildLinkPathDefinition };
+/**
+ * Builds the path of a self-loop, a link from some node to itself. When the node has a shape the loop is
+ * clipped at the node boundary (see buildLinkPath).
+ * @param {Object} node - the node coordinates and (optional) shape.
+ * @param {Object} selfLoop - the self-loop angle and size (see getSelfLoopControlPoints).
+ * @param {boolean} [midpoint=false] - whether the path should have a vertex in its middle (for mid markers).
+ * @returns {Object} the self-loop path (see buildLinkPath).
+ * @memberof Link/helper
+ */
+function buildSelfLoopPath(node, selfLoop, midpoint = false) {
+    const [c1, c2] = getSelfLoopControlPoints(node, selfLoop);
+
+    return _clipBezier([node, c1, c2, node], node, node, midpoint);
+}
+
+/**
+ * Computes the identifier of a given link. Links are identified by their source and target
+ * node ids, source and target can either be node ids or d3 node objects. Parallel links (other than the
+ * first one) are further identified by their position among the links that connect the same nodes.
+ * @param {Object} link - the link to compute the id for.
+ * @param {string|Object} link.source - link source node id or d3 node.
+ * @param {string|Object} link.target - link target node id or d3 node.
+ * @param {number} [link.parallelIndex] - position of the link among its parallel links.
+ * @returns {string} the link identifier (e.g. "sourceId,targetId" or "sourceId,targetId,1" for parallel links).
+ * @memberof Link/helper
+ */
+function getLinkId({ source, target, parallelIndex }) {
+    const sourceId = source && source.id !== undefined && source.id !== null ? source.id : source;
+    const targetId = target && target.id !== undefined && target.id !== null ? target.id : target;
+    const linkId = `${sourceId}${CONST.COORDS_SEPARATOR}${targetId}`;
+
+    return parallelIndex ? `${linkId}${CONST.COORDS_SEPARATOR}${parallelIndex}` : linkId;
+}
+
+export {
+    buildCustomLinkPath,
+    buildLinkPath,
+    buildLinkPathDefinition,
+    buildSelfLoopPath,
+    getBezierControlPoints,
+    getLabelBackgroundId,
+    getLabelPlacement,
+    getLinkId,
+    getLinkPathLength,
+    getParallelLinkControlPoint,
+    getParallelLinkOffset,
+    getPointAlongLinkPath,
+    getSelfLoopControlPoints,
+    getSelfLoopSize,
+};
@@ -1,14 +1,21 @@
 import React from "react";
 
+import { MARKER_PATHS, MARKER_SHAPES, OPEN_MARKER_SHAPES, OPEN_MARKER_STROKE_WIDTH } from "./marker.const";
+
 /**
- * Market component provides configurable interface to marker definition.
+ * Market component provides configurable interface to marker definition. The marker scales with the stroke
+ * width of the links that use it, and it's reversed when used as a start marker.
  * @example
  *
- * <Marker id="marker-id" fill="black" />
+ * <Marker id="marker-id" fill="black" shape="diamond" />
  */
 export default class Marker extends React.Component {
-    // TODO: make Marker configurable in the future (markerWidth, markerHeight)
     render() {
+        const shape = this.props.shape || MARKER_SHAPES.ARROW;
+        const pathProps = OPEN_MARKER_SHAPES.includes(shape)
+            ? { fill: "none", stroke: this.props.fill, strokeWidth: OPEN_MARKER_STROKE_WIDTH }
+            : {};
+
         return (
             <marker
                 className="marker"
@@ -18,10 +25,10 @@ export default class Marker extends React.Component {
                 refY="0"
                 markerWidth="6"
                 markerHeight="6"
-                orient="auto"
+                orient="auto-start-reverse"
                 fill={this.props.fill}
             >
-                <path d="M0,-5L10,0L0,5" />
+                <path d={MARKER_PATHS[shape]} {...pathProps} />
             </marker>
         );
     }
@@ -3,95 +3,77 @@
  * @description
  * Offers a series of methods to compute proper markers within a given context.
  */
-import { MARKERS, SIZES, HIGHLIGHTED } from "./marker.const";
+import { MARKER_PATHS, MARKER_POSITIONS, MARKER_REF_X } from "./marker.const";
 
-/**
- * This function is a key template builder to access MARKERS structure.
- * WARN: function tightly coupled to the MARKERS object in marker.const.
- * @param {string} size - string that indicates size of marker.
- * @param {string} highlighted - string that indicates highlight state of marker.
- * @returns {string} the key of the marker.
- * @memberof Marker/helper
- */
-function _markerKeyBuilder(size, highlighted) {
-    return `MARKER_${size}${highlighted}`;
-}
+import utils from "../../utils";
+
+// link (and link config) property that holds the marker shape of each position
+const MARKER_PROPERTIES = {
+    [MARKER_POSITIONS.START]: "markerStart",
+    [MARKER_POSITIONS.MID]: "markerMid",
+    [MARKER_POSITIONS.END]: "markerEnd",
+};
 
 /**
- * This functions returns the proper marker size given the inputs that describe the scenario
- * where the marker is to be applied.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
- * @param {number} mMax - a derived value from the max zoom config.
- * @param {number} lMax - a derived value from the min zoom config.
- * @returns {string} the size.
+ * Gets the marker shapes of some link, links can override the **markerStart**, **markerMid** and **markerEnd**
+ * shapes of the link config. Markers are only drawn on directed graphs.
+ * @param {Object} link - the link.
+ * @param {Object} config - the graph config object.
+ * @param {boolean} config.directed - whether the graph is directed.
+ * @param {Object} config.link - the link config, with the default marker shapes.
+ * @returns {Object.<string, string>} the marker shape (or null for no marker) of each position (start, mid and end).
  * @memberof Marker/helper
  */
-function _getMarkerSize(transform, mMax, lMax) {
-    if (transform < mMax) {
-        return SIZES.S;
-    } else if (transform >= mMax && transform < lMax) {
-        return SIZES.M;
-    } else {
-        return SIZES.L;
-    }
+function getMarkerShapes(link, { directed, link: linkConfig }) {
+    return Object.keys(MARKER_PROPERTIES).reduce((acc, position) => {
+        const property = MARKER_PROPERTIES[position];
+        const shape = link[property] || linkConfig[property];
+
+        acc[position] = directed && MARKER_PATHS[shape] ? shape : null;
+
+        return acc;
+    }, {});
 }
 
 /**
- * This function holds logic to retrieve the appropriate marker id that reflects the input
- * parameters, markers can vary with highlight and transform value.
- * @param {boolean} highlight - tells us whether or not some element (link or node) is highlighted.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
- * @param {Object} config - the graph config object.
- * @returns {string} the id of the result marker.
+ * Builds the id of the marker definition for some shape, position and color. Start and end markers share
+ * their definitions (start markers are reversed by the svg `auto-start-reverse` orientation).
+ * Marker ids are prefixed with the graph id, so that several graphs can live on the same page.
+ * @param {string} graphId - the id of the graph that owns the marker.
+ * @param {string} shape - the marker shape (one of MARKER_SHAPES).
+ * @param {string} position - the marker position (one of MARKER_POSITIONS).
+ * @param {string} color - the marker color, same as the link stroke.
+ * @returns {string} the id of the marker.
  * @memberof Marker/helper
  */
-function _computeMarkerId(highlight, transform, { maxZoom }) {
-    const mMax = maxZoom / 4;
-    const lMax = maxZoom / 2;
-    const size = _getMarkerSize(transform, mMax, lMax);
-    const highlighted = highlight ? HIGHLIGHTED : "";
-    const markerKey = _markerKeyBuilder(size, highlighted);
+function getMarkerId(graphId, shape, position, color) {
+    const anchor = position === MARKER_POSITIONS.MID ? "mid" : "tip";
 
-    return MARKERS[markerKey];
+    return `${graphId}-marker-${shape}-${anchor}-${utils.toIdFragment(color)}`;
 }
 
 /**
- * This function memoize results for _computeMarkerId
- * since many of the times user will be playing around with the same zoom
- * factor, we can take advantage of this and cache the results for a
- * given combination of highlight state, zoom transform value and maxZoom config.
- * @returns{Function} memoize wrapper to the _computeMarkerId operation.
+ * Lists the marker definitions needed to render some links, one for each combination of shape,
+ * position and color in use.
+ * @param {string} graphId - the id of the graph that owns the markers.
+ * @param {Array.<Object>} linksProps - the props of the links, as built by buildLinkProps.
+ * @returns {Array.<Object>} the marker definitions, each with its id, shape, fill and refX.
  * @memberof Marker/helper
  */
-function _memoizedComputeMarkerId() {
-    let cache = {};
-
-    return (highlight, transform, { maxZoom }) => {
-        const cacheKey = `${highlight};${transform};${maxZoom}`;
+function getMarkerDefinitions(graphId, linksProps) {
+    const definitions = linksProps.reduce((acc, { markers = {}, stroke }) => {
+        Object.keys(markers)
+            .filter(position => markers[position])
+            .forEach(position => {
+                const id = getMarkerId(graphId, markers[position], position, stroke);
 
-        if (cache[cacheKey]) {
-            return cache[cacheKey];
-        }
+                acc[id] = { id, shape: markers[position], fill: stroke, refX: MARKER_REF_X[position] };
+            });
 
-        const markerId = _computeMarkerId(highlight, transform, { maxZoom });
+        return acc;
+    }, {});
 
-        cache[cacheKey] = markerId;
-
-        return markerId;
-    };
+    return Object.keys(definitions).map(id => definitions[id]);
 }
 
-/**
- * Memoized reference for _memoizedComputeMarkerId exposed
- * as getter for sake of readability.
- * Gets proper marker id given the highlight state and the zoom
- * transform.
- * @param {boolean} highlight - tells us whether or not some element (link or node) is highlighted.
- * @param {number} transform - the delta zoom value to calculate resize transformations.
- * @param {Object} config - the graph config object.
- * @param {Object} config.maxZoom - max zoom that can be performed against the graph.
- * @memberof Marker/helper
- */
-const getMarkerId = _memoizedComputeMarkerId();
-
-export { getMarkerId };
+export { getMarkerDefinitions, getMarkerId, getMarkerShapes };
@@ -25,14 +25,25 @@ import nodeHelper from "./node.helper";
  *
  * <Node
  *     id='nodeId'
+ *     badge='3'
+ *     badgeColor='red'
+ *     badgeFontColor='white'
+ *     badgeRadius=7
+ *     badgeX=3
+ *     badgeY=-3
  *     cx=22
  *     cy=22
  *     fill='green'
  *     fontSize=10
  *     fontColor='black'
  *     fontWeight='normal'
- *     dx=90
  *     label='label text'
+ *     labelAnchor='start'
+ *     labelLineHeight=12
+ *     labelLines={['label', 'text']}
+ *     labelTitle={null}
+ *     labelX=10
+ *     labelY=-3
  *     opacity=1
  *     renderLabel=true
  *     size=200
@@ -50,9 +61,10 @@ import nodeHelper from "./node.helper";
 export default class Node extends React.Component {
     /**
      * Handle click on the node.
+     * @param {Object} event - native event.
      * @returns {undefined}
      */
-    handleOnClickNode = () => this.props.onClickNode && this.props.onClickNode(this.props.id);
+    handleOnClickNode = event => this.props.onClickNode && this.props.onClickNode(this.props.id, event);
 
     /**
      * Handle right click on the node.
@@ -84,17 +96,35 @@ export default class Node extends React.Component {
         };
 
         const textProps = {
-            dx: this.props.dx || CONST.NODE_LABEL_DX,
-            dy: CONST.NODE_LABEL_DY,
             fill: this.props.fontColor,
             fontSize: this.props.fontSize,
             fontWeight: this.props.fontWeight,
             opacity: this.props.opacity,
         };
+        let labelContent = this.props.label;
+
+        if (this.props.labelLines) {
+            // labels laid out by the graph builder, positioned relative to the node center
+            textProps.x = this.props.labelX;
+            textProps.y = this.props.labelY;
+            textProps.textAnchor = this.props.labelAnchor;
+            labelContent = [
+                this.props.labelTitle && <title key="title">{this.props.labelTitle}</title>,
+                ...this.props.labelLines.map((line, i) => (
+                    <tspan key={i} x={this.props.labelX} dy={i ? this.props.labelLineHeight : 0}>
+                        {line}
+                    </tspan>
+                )),
+            ];
+        } else {
+            textProps.dx = this.props.dx || CONST.NODE_LABEL_DX;
+            textProps.dy = CONST.NODE_LABEL_DY;
+        }
 
         const size = this.props.size;
         let gtx = this.props.cx;
         let gty = this.props.cy;
+        let badgeTransform;
         let label;
         let node;
 
@@ -107,9 +137,10 @@ export default class Node extends React.Component {
 
             label = (
                 <text {...textProps} transform={transform}>
-                    {this.props.label}
+                    {labelContent}
                 </text>
             );
+            badgeTransform = transform;
 
             // By default, if a view generator is set, it takes precedence over any svg image url
             if (this.props.viewGenerator && !this.props.overrideGlobalViewGenerator) {
@@ -135,7 +166,7 @@ export default class Node extends React.Component {
             nodeProps.stroke = this.props.stroke;
             nodeProps.strokeWidth = this.props.strokeWidth;
 
-            label = <text {...textProps}>{this.props.label}</text>;
+            label = <text {...textProps}>{labelContent}</text>;
             node = <path {...nodeProps} />;
         }
 
@@ -147,10 +178,32 @@ export default class Node extends React.Component {
             transform: `translate(${gtx},${gty})`,
         };
 
+        const badge = this.props.badge && (
+            <g transform={badgeTransform} style={{ pointerEvents: "none" }}>
+                <circle
+                    cx={this.props.badgeX}
+                    cy={this.props.badgeY}
+                    r={this.props.badgeRadius}
+                    fill={this.props.badgeColor}
+                />
+                <text
+                    x={this.props.badgeX}
+                    y={this.props.badgeY}
+                    dy={CONST.NODE_BADGE_DY}
+                    fill={this.props.badgeFontColor}
+                    fontSize={this.props.fontSize}
+                    textAnchor="middle"
+                >
+                    {this.props.badge}
+                </text>
+            </g>
+        );
+
         return (
             <g {...gProps}>
                 {node}
                 {this.props.renderLabel && label}
+                {badge}
             </g>
         );
     }
@@ -59,6 +59,173 @@ function buildSvgSymbol(size = CONST.DEFAULT_NODE_SIZE, symbolTypeDesc = CONST.S
         .type(() => _convertTypeToD3Symbol(symbolTypeDesc))();
 }
 
+/**
+ * Computes the distance between the center of some node and its boundary in a given direction, this is
+ * where links should start and end so that they (and their markers) touch the node edge. Circles, squares,
+ * diamonds and the rectangles of svg and custom view nodes are exact, other symbols are approximated by the
+ * circle of the same area.
+ * @param {Object} shape - the node shape.
+ * @param {number} shape.size - the size of the node, same as its Node component size prop.
+ * @param {string} [shape.type='circle'] - the symbol type of the node (should be one of {@link #node-symbol-type|node.symbolType}).
+ * @param {boolean} [shape.rect=false] - whether the node is rendered as a square image (svg or viewGenerator).
+ * @param {number} angle - the direction (in radians) in which to measure the distance.
+ * @returns {number} the distance from the node center to its boundary.
+ * @memberof Node/helper
+ */
+function getNodeBoundaryDistance({ size = CONST.DEFAULT_NODE_SIZE, type = CONST.SYMBOLS.CIRCLE, rect = false }, angle) {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+
+    if (rect) {
+        // svg and custom view nodes are size / 10 squares
+        return size / 20 / Math.max(cos, sin);
+    }
+
+    switch (type) {
+        case CONST.SYMBOLS.SQUARE:
+            return Math.sqrt(size) / 2 / Math.max(cos, sin);
+        case CONST.SYMBOLS.DIAMOND: {
+            // same proportions as d3 symbolDiamond
+            const tan30 = Math.sqrt(1 / 3);
+            const halfHeight = Math.sqrt(size / (tan30 * 2));
+            const halfWidth = halfHeight * tan30;
+
+            return 1 / (cos / halfWidth + sin / halfHeight);
+        }
+        default:
+            return Math.sqrt(size / Math.PI);
+    }
+}
+
+/**
+ * Computes the bounding box of some node, out of the distances between its center and its boundary.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @returns {Object} the width and height of the node bounding box.
+ * @memberof Node/helper
+ */
+function getNodeExtent(shape) {
+    return {
+        width: 2 * getNodeBoundaryDistance(shape, 0),
+        height: 2 * getNodeBoundaryDistance(shape, Math.PI / 2),
+    };
+}
+
+/**
+ * Breaks some label into lines that fit a given number of characters, words are kept whole unless
+ * they don't fit a line by themselves. When there are more lines than allowed the last line is
+ * truncated with an ellipsis.
+ * @param {string} label - the label text.
+ * @param {number} maxChars - the maximum number of characters per line.
+ * @param {number} [maxLines] - the maximum number of lines (no limit when not set).
+ * @returns {Array.<string>} the label lines.
+ * @memberof Node/helper
+ */
+function _wrapLabel(label, maxChars, maxLines) {
+    const lines = `${label}`
+        .split(/\s+/)
+        .filter(word => word)
+        .reduce((acc, word) => {
+            const last = acc[acc.length - 1];
+
+            if (last !== undefined && last.length + 1 + word.length <= maxChars) {
+                acc[acc.length - 1] = `${last} ${word}`;
+
+                return acc;
+            }
+
+            for (let i = 0; i < word.length; i += maxChars) {
+                acc.push(word.slice(i, i + maxChars));
+            }
+
+            return acc;
+        }, []);
+
+    if (!maxLines || lines.length <= maxLines) {
+        return lines;
+    }
+
+    const kept = lines.slice(0, maxLines);
+    const last = kept[maxLines - 1];
+
+    kept[maxLines - 1] = `${last.length < maxChars ? last : last.slice(0, maxChars - 1)}${CONST.NODE_LABEL_ELLIPSIS}`;
+
+    return kept;
+}
+
+/**
+ * Lays out the label of some node, labels are placed around the node (right, left, top or bottom) or over it
+ * (center), next to the node boundary regardless of whether the node is a symbol, an svg image or a custom view.
+ * Long labels can be wrapped into several lines and truncated with an ellipsis.
+ * @param {string} label - the label text.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @param {Object} options - label options.
+ * @param {string} [options.position="right"] - one of right, left, top, bottom or center.
+ * @param {number} [options.maxWidth] - the width (same units as the font size) at which the label is wrapped.
+ * @param {number} [options.maxLines] - the maximum number of lines, further text is truncated with an ellipsis.
+ * @param {number} options.fontSize - the label font size.
+ * @returns {Object} the label **lines**, the full label as **title** when it was truncated (null otherwise), the
+ * position of the first line baseline (**x** and **y**, relative to the node center), the **lineHeight** and
+ * the text **anchor** (start, middle or end).
+ * @memberof Node/helper
+ */
+function getNodeLabelLayout(
+    label,
+    shape,
+    { position = CONST.NODE_LABEL_POSITIONS.RIGHT, maxWidth, maxLines, fontSize }
+) {
+    const text = `${label}`;
+    const lines = maxWidth
+        ? _wrapLabel(text, Math.max(Math.floor(maxWidth / (fontSize * CONST.NODE_LABEL_CHAR_WIDTH)), 1), maxLines)
+        : [text];
+    const truncated = lines.length && lines[lines.length - 1].endsWith(CONST.NODE_LABEL_ELLIPSIS);
+    const lineHeight = fontSize * CONST.NODE_LABEL_LINE_HEIGHT;
+    const blockHeight = (lines.length - 1) * lineHeight;
+    const gap = fontSize * CONST.NODE_LABEL_GAP;
+    // baseline of the first line so that the label block is vertically centered at the node center
+    const middle = -blockHeight / 2 + fontSize * CONST.NODE_LABEL_MIDDLE;
+    const layout = { lines, title: truncated && text !== lines.join(" ") ? text : null, lineHeight };
+
+    switch (position) {
+        case CONST.NODE_LABEL_POSITIONS.LEFT:
+            return { ...layout, x: -getNodeBoundaryDistance(shape, Math.PI) - gap, y: middle, anchor: "end" };
+        case CONST.NODE_LABEL_POSITIONS.TOP: {
+            const top = getNodeBoundaryDistance(shape, -Math.PI / 2) + gap;
+
+            return { ...layout, x: 0, y: -top - blockHeight - fontSize * CONST.NODE_LABEL_DESCENT, anchor: "middle" };
+        }
+        case CONST.NODE_LABEL_POSITIONS.BOTTOM: {
+            const bottom = getNodeBoundaryDistance(shape, Math.PI / 2) + gap;
+
+            return { ...layout, x: 0, y: bottom + fontSize * CONST.NODE_LABEL_ASCENT, anchor: "middle" };
+        }
+        case CONST.NODE_LABEL_POSITIONS.CENTER:
+            return { ...layout, x: 0, y: middle, anchor: "middle" };
+        default:
+            return { ...layout, x: getNodeBoundaryDistance(shape, 0) + gap, y: middle, anchor: "start" };
+    }
+}
+
+/**
+ * Lays out the badge of some node, a small circle on the top right of the node boundary.
+ * @param {Object} shape - the node shape (see getNodeBoundaryDistance).
+ * @param {number} fontSize - the badge font size.
+ * @returns {Object} the badge center (**x** and **y**, relative to the node center) and **radius**.
+ * @memberof Node/helper
+ */
+function getNodeBadgeLayout(shape, fontSize) {
+    const distance = getNodeBoundaryDistance(shape, CONST.NODE_BADGE_ANGLE);
+
+    return {
+        x: distance * Math.cos(CONST.NODE_BADGE_ANGLE),
+        y: distance * Math.sin(CONST.NODE_BADGE_ANGLE),
+        radius: fontSize * CONST.NODE_BADGE_RADIUS,
+    };
+}
+
 export default {
     buildSvgSymbol,
+    getNodeBadgeLayout,
+    getNodeBoundaryDistance,
+    getNodeExtent,
+    getNodeLabelLayout,
 };
@@ -4,6 +4,13 @@
  * in the tree directory.
  */
 export default {
+    FORMATS: {
+        ADJACENCY_MATRIX: "adjacency-matrix",
+        CSV: "csv",
+        DOT: "dot",
+        GEXF: "gexf",
+        GRAPHML: "graphml",
+    },
     SYMBOLS: {
         CIRCLE: "circle",
         CROSS: "cross",
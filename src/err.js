@@ -6,4 +6,13 @@ export default {
     INSUFFICIENT_DATA:
         "you have not provided enough data for react-d3-graph to render something. You need to provide at least one node",
     INVALID_LINK_VALUE: "links 'value' attribute must be of type number",
+    EXPORT_SVG_CANVAS_RENDERER:
+        "the graph can't be exported as svg when using the canvas renderer, you can export it as png (exportPNG) instead",
+    FORMAT_INVALID_DOCUMENT: "the provided document could not be parsed",
+    FORMAT_UNSUPPORTED_CONSTRUCT: "the provided document uses a construct that can't be imported",
+    FORMAT_INVALID_NUMBER:
+        "numeric attributes (size, x, y, weight, value, opacity and stroke width) must hold a number",
+    FORMAT_UNKNOWN: "unknown format, graphs can be serialized as graphml, gexf, dot, csv or adjacency-matrix",
+    FORMAT_MULTIPLE_GRAPHS:
+        "the provided document holds several graphs, only documents with a single graph can be imported",
 };
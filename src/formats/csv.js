@@ -0,0 +1,76 @@
+/**
+ * @module Formats/csv
+ * @description
+ * Serializes graphs as CSV tables to be used in spreadsheets, either as a pair of node and edge lists (one row
+ * per node or edge, one column per exported property) or as a dense adjacency matrix.
+ */
+import { getAttributeNames, readGraph } from "./formats.helper";
+
+/**
+ * Writes some CSV field, fields holding commas, double quotes or line breaks are quoted.
+ * @param {*} value - the field value.
+ * @returns {string} the CSV field.
+ * @memberof Formats/csv
+ */
+function _writeField(value) {
+    const field = value === undefined || value === null ? "" : `${value}`;
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/(")/g, "$1$1")}"` : field;
+}
+
+/**
+ * Writes some CSV table.
+ * @param {Array.<Array>} rows - the table rows (header included).
+ * @returns {string} the CSV table.
+ * @memberof Formats/csv
+ */
+function _writeTable(rows) {
+    return `${rows.map(row => row.map(_writeField).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Serializes some graph state as a pair of CSV node and edge lists. The node list has an **id** column and the
+ * edge list has **source**, **target** and **weight** columns, followed by a column for each exported property.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {Object} the CSV tables, an object with **nodes** and **edges**.
+ * @memberof Formats/csv
+ */
+function toCSV(graph) {
+    const { nodes, edges } = readGraph(graph);
+    const nodeColumns = getAttributeNames(nodes);
+    const edgeColumns = getAttributeNames(edges);
+
+    return {
+        nodes: _writeTable([
+            ["id", ...nodeColumns],
+            ...nodes.map(({ id, attributes }) => [id, ...nodeColumns.map(column => attributes[column])]),
+        ]),
+        edges: _writeTable([
+            ["source", "target", ...edgeColumns],
+            ...edges.map(({ source, target, attributes }) => [
+                source,
+                target,
+                ...edgeColumns.map(column => attributes[column]),
+            ]),
+        ]),
+    };
+}
+
+/**
+ * Serializes the links matrix of some graph state as a dense CSV adjacency matrix, where the cell in row
+ * **source** and column **target** holds the weight of the link between them (0 when not linked), the lowest weight
+ * when there are parallel links. Undirected graphs produce symmetric matrices and collapsed links have no weight.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the CSV adjacency matrix, with node ids in both the header row and column.
+ * @memberof Formats/csv
+ */
+function toAdjacencyMatrix({ nodes, links }) {
+    const ids = Object.keys(nodes);
+
+    return _writeTable([
+        ["", ...ids],
+        ...ids.map(source => [source, ...ids.map(target => (links[source] && links[source][target]) || 0)]),
+    ]);
+}
+
+export { toAdjacencyMatrix, toCSV };
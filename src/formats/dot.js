@@ -0,0 +1,355 @@
+/**
+ * @module Formats/dot
+ * @description
+ * Parses [Graphviz DOT](https://graphviz.org/doc/info/lang.html) documents. Node, edge and default (`node [...]`,
+ * `edge [...]`) attributes are mapped onto node and link properties, e.g. `fillcolor`/`color`, `label`, `shape`,
+ * `pos`, `weight` and `penwidth`. Graph attributes are ignored. Subgraphs, ports and HTML labels are not supported.
+ * Graphs are serialized the other way around, with node positions written as pinned `pos` attributes.
+ *
+ * Within quoted strings `\"` and `\\` are read as a double quote and a backslash, every other backslash is kept as
+ * it is, thus Graphviz escape sequences such as `\n` or `\l` remain in labels.
+ */
+import CONST from "../const";
+import ERRORS from "../err";
+
+import utils from "../utils";
+import { readGraph, throwUnsupported, toLink, toNode } from "./formats.helper";
+
+const FORMAT = "DOT";
+const KEYWORDS = ["digraph", "edge", "graph", "node", "strict", "subgraph"];
+const PUNCTUATION = "{}[]=;,:";
+// Graphviz shapes of the rd3g symbol types, wye has no counterpart
+const DOT_SHAPES = {
+    [CONST.SYMBOLS.CIRCLE]: "circle",
+    [CONST.SYMBOLS.CROSS]: "plus",
+    [CONST.SYMBOLS.DIAMOND]: "diamond",
+    [CONST.SYMBOLS.SQUARE]: "box",
+    [CONST.SYMBOLS.STAR]: "star",
+    [CONST.SYMBOLS.TRIANGLE]: "triangle",
+};
+
+/**
+ * Splits some DOT document into tokens. Comments and whitespace are dropped, quoted strings are unescaped
+ * (only `\"` and `\\`) and concatenated when joined with `+`.
+ * @param {string} text - the DOT document.
+ * @returns {Array.<Object>} the tokens, each with a **type** (id, keyword, edgeop or punctuation) and a **value**.
+ * @memberof Formats/dot
+ */
+function _tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const char = text[i];
+        let match;
+
+        if ((match = rest.match(/^(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*)/))) {
+            i += match[0].length;
+        } else if (/^"/.test(rest)) {
+            match = rest.match(/^"((?:[^"\\]|\\[\s\S])*)"/);
+
+            if (!match) {
+                utils.throwErr(FORMAT, `${ERRORS.FORMAT_INVALID_DOCUMENT} - unterminated string`);
+            }
+
+            // line continuations are dropped, escaped quotes and backslashes are unescaped, other escapes are kept
+            const value = match[1].replace(/\\(\n|["\\])/g, (escape, char) => (char === "\n" ? "" : char));
+            const last = tokens[tokens.length - 1];
+            const previous = tokens[tokens.length - 2];
+
+            if (last && last.type === "concat" && previous && previous.quoted) {
+                tokens.pop();
+                previous.value += value;
+            } else {
+                tokens.push({ type: "id", value, quoted: true });
+            }
+
+            i += match[0].length;
+        } else if (char === "<") {
+            throwUnsupported(FORMAT, "HTML strings");
+        } else if (rest.indexOf("->") === 0 || rest.indexOf("--") === 0) {
+            tokens.push({ type: "edgeop", value: rest.slice(0, 2) });
+            i += 2;
+        } else if ((match = rest.match(/^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/))) {
+            const value = match[0];
+            const keyword = KEYWORDS.indexOf(value.toLowerCase()) !== -1;
+
+            tokens.push({ type: keyword ? "keyword" : "id", value: keyword ? value.toLowerCase() : value });
+            i += value.length;
+        } else if (char === "+") {
+            tokens.push({ type: "concat", value: char });
+            i++;
+        } else if (PUNCTUATION.indexOf(char) !== -1) {
+            tokens.push({ type: "punctuation", value: char });
+            i++;
+        } else {
+            utils.throwErr(FORMAT, `${ERRORS.FORMAT_INVALID_DOCUMENT} - unexpected character "${char}"`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Creates a parser over a list of tokens.
+ * @param {Array.<Object>} tokens - the tokens (see _tokenize).
+ * @returns {Object} the parser with **peek**, **is**, **next**, **accept** and **expect** methods.
+ * @memberof Formats/dot
+ */
+function _createParser(tokens) {
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const is = (type, value) => {
+        const token = peek();
+
+        return !!token && token.type === type && (value === undefined || token.value === value);
+    };
+    const next = () => tokens[position++];
+    const accept = (type, value) => (is(type, value) ? next() : null);
+    const expect = (type, value) => {
+        if (!is(type, value)) {
+            const token = peek();
+
+            utils.throwErr(
+                FORMAT,
+                `${ERRORS.FORMAT_INVALID_DOCUMENT} - expected ${value || type} but found ${
+                    token ? `"${token.value}"` : "end of document"
+                }`
+            );
+        }
+
+        return next();
+    };
+
+    return { accept, expect, is, next, peek };
+}
+
+/**
+ * Parses a list of attributes, e.g. `[color=red, label="A"][shape=box]`.
+ * @param {Object} parser - the parser (see _createParser).
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/dot
+ */
+function _parseAttributes(parser) {
+    const attributes = {};
+
+    while (parser.accept("punctuation", "[")) {
+        while (!parser.accept("punctuation", "]")) {
+            const name = parser.expect("id").value;
+
+            parser.expect("punctuation", "=");
+            attributes[name] = parser.expect("id").value;
+            parser.accept("punctuation", ",") || parser.accept("punctuation", ";");
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * Converts DOT specific attributes into their generic counterparts, `pos` is split into x and y and
+ * `fillcolor` takes precedence over `color` (which is the outline color in Graphviz).
+ * @param {Object} attributes - attribute values mapped by attribute name.
+ * @returns {Object} the converted attributes.
+ * @memberof Formats/dot
+ */
+function _normalizeNodeAttributes({ pos, fillcolor, ...attributes }) {
+    if (pos) {
+        const [x, y] = pos.replace("!", "").split(",");
+
+        attributes.x = x;
+        attributes.y = y;
+    }
+
+    if (fillcolor) {
+        attributes.color = fillcolor;
+    }
+
+    return attributes;
+}
+
+/**
+ * Parses some DOT document into the rd3g data shape.
+ * @param {string} text - the DOT document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (subgraphs, ports and HTML strings).
+ * @memberof Formats/dot
+ */
+function fromDOT(text) {
+    const parser = _createParser(_tokenize(text));
+    const nodes = {};
+    const order = [];
+    const links = [];
+    const defaults = { node: {}, edge: {} };
+
+    parser.accept("keyword", "strict");
+
+    const type = parser.expect("keyword").value;
+
+    if (type !== "graph" && type !== "digraph") {
+        utils.throwErr(FORMAT, `${ERRORS.FORMAT_INVALID_DOCUMENT} - expected graph or digraph but found "${type}"`);
+    }
+
+    const directed = type === "digraph";
+    const edgeop = directed ? "->" : "--";
+
+    parser.accept("id");
+    parser.expect("punctuation", "{");
+
+    const readNodeId = () => {
+        if (parser.is("keyword", "subgraph") || parser.is("punctuation", "{")) {
+            throwUnsupported(FORMAT, "subgraphs");
+        }
+
+        const id = parser.expect("id").value;
+
+        if (parser.is("punctuation", ":")) {
+            throwUnsupported(FORMAT, `ports in node "${id}"`);
+        }
+
+        if (!nodes[id]) {
+            nodes[id] = Object.assign({}, defaults.node);
+            order.push(id);
+        }
+
+        return id;
+    };
+
+    while (!parser.accept("punctuation", "}")) {
+        const token = parser.peek();
+
+        if (!token) {
+            parser.expect("punctuation", "}");
+        }
+
+        if (token.type === "keyword" && (token.value === "node" || token.value === "edge")) {
+            parser.next();
+            Object.assign(defaults[token.value], _parseAttributes(parser));
+        } else if (token.type === "keyword" && token.value === "graph") {
+            parser.next();
+            _parseAttributes(parser);
+        } else if (token.type === "id" && parser.peek(1) && parser.peek(1).value === "=") {
+            // graph attributes (e.g. rankdir=LR) have no counterpart in rd3g
+            parser.next();
+            parser.expect("punctuation", "=");
+            parser.expect("id");
+        } else {
+            const ids = [readNodeId()];
+
+            while (parser.is("edgeop")) {
+                if (parser.next().value !== edgeop) {
+                    utils.throwErr(
+                        FORMAT,
+                        `${ERRORS.FORMAT_INVALID_DOCUMENT} - "${edgeop}" must be used in ${
+                            directed ? "digraph" : "graph"
+                        }`
+                    );
+                }
+
+                ids.push(readNodeId());
+            }
+
+            const attributes = _parseAttributes(parser);
+
+            if (ids.length === 1) {
+                Object.assign(nodes[ids[0]], attributes);
+            } else {
+                for (let i = 1; i < ids.length; i++) {
+                    links.push(toLink(FORMAT, ids[i - 1], ids[i], Object.assign({}, defaults.edge, attributes)));
+                }
+            }
+        }
+
+        parser.accept("punctuation", ";");
+    }
+
+    if (parser.peek()) {
+        utils.throwErr(FORMAT, ERRORS.FORMAT_MULTIPLE_GRAPHS);
+    }
+
+    return {
+        nodes: order.map(id => toNode(FORMAT, id, _normalizeNodeAttributes(nodes[id]))),
+        links,
+        directed,
+    };
+}
+
+/**
+ * Quotes some DOT id, numbers are written as they are. Double quotes are escaped, and so are the backslashes
+ * that would otherwise be read as part of an escape (before a quote, a backslash, a line break or the closing quote).
+ * Other backslashes are kept, e.g. Graphviz `\n` and `\l` escapes.
+ * @param {*} value - the id or attribute value.
+ * @returns {string} the quoted id.
+ * @memberof Formats/dot
+ */
+function _quote(value) {
+    return typeof value === "number" ? `${value}` : `"${`${value}`.replace(/\\(?=["\\\n]|$)|"/g, "\\$&")}"`;
+}
+
+/**
+ * Writes the attribute list of some node or edge.
+ * @param {Object} attributes - attribute values mapped by DOT attribute name.
+ * @returns {string} the attribute list (empty if there are no attributes).
+ * @memberof Formats/dot
+ */
+function _writeAttributes(attributes) {
+    const list = Object.keys(attributes)
+        .filter(name => attributes[name] !== undefined)
+        .map(name => `${name}=${_quote(attributes[name])}`);
+
+    return list.length ? ` [${list.join(", ")}]` : "";
+}
+
+/**
+ * Converts the exported attributes of some node into their DOT counterparts, e.g. color into fillcolor,
+ * symbolType into shape and x and y into a pinned pos.
+ * @param {Object} attributes - the node attributes.
+ * @returns {Object} the DOT attributes.
+ * @memberof Formats/dot
+ */
+function _toNodeAttributes({ color, symbolType, x, y, ...attributes }) {
+    const shape = DOT_SHAPES[symbolType];
+    const converted = {};
+
+    if (color !== undefined) {
+        converted.fillcolor = color;
+        converted.style = "filled";
+    }
+
+    if (symbolType !== undefined) {
+        shape ? (converted.shape = shape) : (converted.symbolType = symbolType);
+    }
+
+    if (x !== undefined && y !== undefined) {
+        converted.pos = `${x},${y}!`;
+    }
+
+    return Object.assign(converted, attributes);
+}
+
+/**
+ * Serializes some graph state as a DOT document.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the DOT document.
+ * @memberof Formats/dot
+ */
+function toDOT(graph) {
+    const { nodes, edges, directed } = readGraph(graph);
+    const edgeop = directed ? "->" : "--";
+    const statements = [
+        ...nodes.map(({ id, attributes }) => `${_quote(id)}${_writeAttributes(_toNodeAttributes(attributes))};`),
+        ...edges.map(({ source, target, attributes: { strokeWidth, ...attributes } }) => {
+            const converted = Object.assign({}, attributes, { penwidth: strokeWidth });
+
+            return `${_quote(source)} ${edgeop} ${_quote(target)}${_writeAttributes(converted)};`;
+        }),
+    ];
+
+    return `${directed ? "digraph" : "graph"} G {\n${statements.map(statement => `  ${statement}`).join("\n")}\n}\n`;
+}
+
+export { fromDOT, toDOT };
@@ -0,0 +1,384 @@
+/**
+ * @module Formats/helper
+ * @description
+ * Offers a series of methods shared by the format parsers and serializers, mainly to map the attributes found in
+ * the imported documents onto the node and link properties honoured by the Graph (color, size, symbolType,
+ * value, label, ...), to read the graph state that is exported and to parse and write xml based formats.
+ */
+import CONST from "../const";
+import ERRORS from "../err";
+
+import utils from "../utils";
+
+/**
+ * Maps (lower cased) attribute names found in the imported documents into node properties.
+ * @memberof Formats/helper
+ */
+const NODE_ATTRIBUTES = {
+    color: "color",
+    colour: "color",
+    fontcolor: "fontColor",
+    label: "label",
+    shape: "symbolType",
+    size: "size",
+    strokecolor: "strokeColor",
+    strokewidth: "strokeWidth",
+    symboltype: "symbolType",
+    x: "x",
+    y: "y",
+};
+
+/**
+ * Maps (lower cased) attribute names found in the imported documents into link properties.
+ * @memberof Formats/helper
+ */
+const LINK_ATTRIBUTES = {
+    color: "color",
+    colour: "color",
+    label: "label",
+    opacity: "opacity",
+    penwidth: "strokeWidth",
+    strokewidth: "strokeWidth",
+    thickness: "strokeWidth",
+    value: "value",
+    weight: "value",
+};
+
+/**
+ * Properties that must hold a number.
+ * @memberof Formats/helper
+ */
+const NUMERIC_PROPERTIES = ["opacity", "size", "strokeWidth", "value", "x", "y"];
+
+/**
+ * Properties that identify nodes and links, these are never overridden by imported attributes.
+ * @memberof Formats/helper
+ */
+const RESERVED_PROPERTIES = ["id", "source", "target"];
+
+/**
+ * Maps shape names used across the supported formats (e.g. Graphviz or GEXF shapes) into rd3g symbol types.
+ * @memberof Formats/helper
+ */
+const SHAPES = {
+    box: CONST.SYMBOLS.SQUARE,
+    circle: CONST.SYMBOLS.CIRCLE,
+    cross: CONST.SYMBOLS.CROSS,
+    diamond: CONST.SYMBOLS.DIAMOND,
+    disc: CONST.SYMBOLS.CIRCLE,
+    doublecircle: CONST.SYMBOLS.CIRCLE,
+    ellipse: CONST.SYMBOLS.CIRCLE,
+    oval: CONST.SYMBOLS.CIRCLE,
+    point: CONST.SYMBOLS.CIRCLE,
+    rect: CONST.SYMBOLS.SQUARE,
+    rectangle: CONST.SYMBOLS.SQUARE,
+    square: CONST.SYMBOLS.SQUARE,
+    star: CONST.SYMBOLS.STAR,
+    triangle: CONST.SYMBOLS.TRIANGLE,
+    plus: CONST.SYMBOLS.CROSS,
+    wye: CONST.SYMBOLS.WYE,
+};
+
+/**
+ * Node properties that are internal to rd3g (or to the d3 simulation) and thus are not exported.
+ * @memberof Formats/helper
+ */
+const INTERNAL_NODE_PROPERTIES = [
+    "_hidden",
+    "_hiddenCount",
+    "_orphan",
+    "fx",
+    "fy",
+    "highlighted",
+    "id",
+    "index",
+    "vx",
+    "vy",
+];
+
+/**
+ * Link properties that are internal to rd3g (or to the d3 simulation) and thus are not exported,
+ * the link value is exported as **weight**.
+ * @memberof Formats/helper
+ */
+const INTERNAL_LINK_PROPERTIES = ["index", "isHidden", "source", "target", "value"];
+
+/**
+ * Converts some attribute value into the type expected by the property it's mapped to.
+ * @param {string} format - the name of the format being parsed (used in error messages).
+ * @param {string} property - the node/link property.
+ * @param {string} name - the original attribute name.
+ * @param {*} value - the attribute value.
+ * @returns {*} the converted value or undefined if the value should be discarded
+ * (e.g. shapes that have no matching symbol type).
+ * @throws can throw FORMAT_INVALID_NUMBER if a numeric property does not hold a number.
+ * @memberof Formats/helper
+ */
+function _convertValue(format, property, name, value) {
+    if (property === "symbolType") {
+        return SHAPES[`${value}`.toLowerCase()];
+    }
+
+    if (NUMERIC_PROPERTIES.indexOf(property) !== -1 && typeof value !== "number") {
+        const number = Number(`${value}`.trim());
+
+        if (`${value}`.trim() === "" || isNaN(number)) {
+            utils.throwErr(format, `${ERRORS.FORMAT_INVALID_NUMBER} - found "${value}" in attribute "${name}"`);
+        }
+
+        return number;
+    }
+
+    return value;
+}
+
+/**
+ * Maps the attributes of some imported element into node or link properties. Known attributes are
+ * renamed into the matching property (e.g. weight into value), others are kept as they are so that they can
+ * still be used (e.g. through **node.labelProperty**).
+ * @param {string} format - the name of the format being parsed (used in error messages).
+ * @param {Object} attributes - attribute values mapped by attribute name.
+ * @param {Object} aliases - either NODE_ATTRIBUTES or LINK_ATTRIBUTES.
+ * @returns {Object} the node or link properties.
+ * @memberof Formats/helper
+ */
+function _mapAttributes(format, attributes, aliases) {
+    return Object.keys(attributes).reduce((acc, name) => {
+        const property = aliases[name.toLowerCase()] || name;
+
+        if (RESERVED_PROPERTIES.indexOf(property) === -1 && attributes[name] !== undefined) {
+            const value = _convertValue(format, property, name, attributes[name]);
+
+            if (value !== undefined) {
+                acc[property] = value;
+            }
+        }
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Builds a rd3g node out of some imported node.
+ * @param {string} format - the name of the format being parsed (used in error messages).
+ * @param {string} id - the node id.
+ * @param {Object} [attributes={}] - the node attributes mapped by attribute name.
+ * @returns {Object} the node (see {@link #Graph/helper|Node}).
+ * @memberof Formats/helper
+ */
+function toNode(format, id, attributes = {}) {
+    return Object.assign({ id: `${id}` }, _mapAttributes(format, attributes, NODE_ATTRIBUTES));
+}
+
+/**
+ * Builds a rd3g link out of some imported edge.
+ * @param {string} format - the name of the format being parsed (used in error messages).
+ * @param {string} source - the id of the source node.
+ * @param {string} target - the id of the target node.
+ * @param {Object} [attributes={}] - the edge attributes mapped by attribute name.
+ * @returns {Object} the link (see {@link #Graph/helper|Link}).
+ * @memberof Formats/helper
+ */
+function toLink(format, source, target, attributes = {}) {
+    return Object.assign(
+        { source: `${source}`, target: `${target}` },
+        _mapAttributes(format, attributes, LINK_ATTRIBUTES)
+    );
+}
+
+/**
+ * Parses some xml document.
+ * @param {string} format - the name of the format being parsed (used in error messages).
+ * @param {string} text - the xml document.
+ * @param {string} rootName - the expected name of the root element (e.g. graphml).
+ * @returns {Object} the root element of the document.
+ * @throws can throw FORMAT_INVALID_DOCUMENT if the document is not well formed or has an unexpected root.
+ * @memberof Formats/helper
+ */
+function parseXml(format, text, rootName) {
+    const doc = new window.DOMParser().parseFromString(text, "application/xml");
+    const root = doc.documentElement;
+
+    if (!root || root.getElementsByTagName("parsererror").length || root.localName !== rootName) {
+        utils.throwErr(format, `${ERRORS.FORMAT_INVALID_DOCUMENT} - expected a <${rootName}> document`);
+    }
+
+    return root;
+}
+
+/**
+ * Lists the child elements of some element, optionally filtered by their local name (without namespace prefix).
+ * @param {Object} element - the parent element.
+ * @param {string} [localName] - the name of the children to keep.
+ * @returns {Array.<Object>} the child elements.
+ * @memberof Formats/helper
+ */
+function getChildren(element, localName) {
+    return Array.prototype.filter.call(
+        element.childNodes,
+        child => child.nodeType === 1 && (!localName || child.localName === localName)
+    );
+}
+
+/**
+ * Throws the error for some construct that can't be imported.
+ * @param {string} format - the name of the format being parsed.
+ * @param {string} construct - a description of the unsupported construct.
+ * @returns {undefined}
+ * @memberof Formats/helper
+ */
+function throwUnsupported(format, construct) {
+    utils.throwErr(format, `${ERRORS.FORMAT_UNSUPPORTED_CONSTRUCT} - ${construct}`);
+}
+
+/**
+ * Picks the exportable properties of some node or link, these are the ones holding a string, number or boolean
+ * that are not internal to rd3g.
+ * @param {Object} element - the node or link.
+ * @param {Array.<string>} internal - the names of the internal properties.
+ * @returns {Object} the exportable properties.
+ * @memberof Formats/helper
+ */
+function _pickExportable(element, internal) {
+    return Object.keys(element).reduce((acc, name) => {
+        const value = element[name];
+
+        if (internal.indexOf(name) === -1 && ["string", "number", "boolean"].indexOf(typeof value) !== -1) {
+            acc[name] = value;
+        }
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Reads the nodes and links of some graph state into a list of nodes and edges with their exportable
+ * attributes (positions, styling such as color, size and symbolType, labels and other custom properties).
+ * @param {Object} graph - the graph state.
+ * @param {Object.<string, Object>} graph.nodes - the nodes mapped by their id (with their simulated x and y).
+ * @param {Array.<Object>} [graph.d3Links=[]] - the graph d3 links (with their styling properties).
+ * @param {Object} [graph.config={}] - same as {@link #graphrenderer|config in renderGraph}.
+ * @returns {Object} the graph with **nodes** (each with **id** and **attributes**), **edges** (each with
+ * **source**, **target** and **attributes**, where the link value is exported as **weight**) and **directed**.
+ * @memberof Formats/helper
+ */
+function readGraph({ nodes, d3Links = [], config = {} }) {
+    const labelProperty = config.node && config.node.labelProperty;
+
+    return {
+        nodes: Object.keys(nodes).map(id => {
+            const node = nodes[id];
+            const attributes = _pickExportable(node, INTERNAL_NODE_PROPERTIES);
+
+            if (attributes.label === undefined && typeof labelProperty === "string" && labelProperty !== "id") {
+                attributes.label = node[labelProperty];
+            }
+
+            attributes.label === undefined && delete attributes.label;
+
+            return { id, attributes };
+        }),
+        edges: d3Links.map(link => {
+            const source = `${link.source.id !== undefined && link.source.id !== null ? link.source.id : link.source}`;
+            const target = `${link.target.id !== undefined && link.target.id !== null ? link.target.id : link.target}`;
+            // each link has its own weight, parallel links share a single entry of the links matrix
+            const weight = link.value || 1;
+
+            return {
+                source,
+                target,
+                attributes: Object.assign({ weight }, _pickExportable(link, INTERNAL_LINK_PROPERTIES)),
+            };
+        }),
+        directed: !!config.directed,
+    };
+}
+
+/**
+ * Lists the names of the attributes of some nodes or edges, in order of appearance.
+ * @param {Array.<Object>} elements - the nodes or edges as returned by readGraph.
+ * @returns {Array.<string>} the attribute names.
+ * @memberof Formats/helper
+ */
+function getAttributeNames(elements) {
+    return elements.reduce((names, { attributes }) => {
+        Object.keys(attributes).forEach(name => names.indexOf(name) === -1 && names.push(name));
+
+        return names;
+    }, []);
+}
+
+/**
+ * Escapes some value to be written as xml text or attribute value.
+ * @param {*} value - the value to escape.
+ * @returns {string} the escaped value.
+ * @memberof Formats/helper
+ */
+function _escapeXml(value) {
+    return `${value}`
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Writes the attributes of some xml element.
+ * @param {Object} attributes - the element attributes, undefined attributes are skipped.
+ * @returns {string} the written attributes.
+ * @memberof Formats/helper
+ */
+function _writeXmlAttributes(attributes) {
+    return Object.keys(attributes)
+        .filter(attribute => attributes[attribute] !== undefined)
+        .map(attribute => ` ${attribute}="${_escapeXml(attributes[attribute])}"`)
+        .join("");
+}
+
+/**
+ * Writes some xml element, nested elements are written in their own (indented) lines.
+ * @param {string} name - the element name.
+ * @param {Object} [attributes={}] - the element attributes, undefined attributes are skipped.
+ * @param {Array.<string>|string} [children=[]] - the written child elements or the element text.
+ * @returns {string} the xml element.
+ * @memberof Formats/helper
+ */
+function writeXml(name, attributes = {}, children = []) {
+    const written = _writeXmlAttributes(attributes);
+
+    if (typeof children === "string") {
+        return `<${name}${written}>${_escapeXml(children)}</${name}>`;
+    }
+
+    if (!children.length) {
+        return `<${name}${written}/>`;
+    }
+
+    const lines = children.join("\n").replace(/^/gm, "  ");
+
+    return `<${name}${written}>\n${lines}\n</${name}>`;
+}
+
+/**
+ * Writes some xml document.
+ * @param {string} root - the written root element.
+ * @returns {string} the xml document.
+ * @memberof Formats/helper
+ */
+function writeXmlDocument(root) {
+    return `<?xml${_writeXmlAttributes({ version: "1.0", encoding: "UTF-8" })}?>\n${root}\n`;
+}
+
+export {
+    SHAPES,
+    getAttributeNames,
+    getChildren,
+    parseXml,
+    readGraph,
+    throwUnsupported,
+    toLink,
+    toNode,
+    writeXml,
+    writeXmlDocument,
+};
@@ -0,0 +1,313 @@
+/**
+ * @module Formats/gexf
+ * @description
+ * Parses [GEXF](https://gephi.org/gexf/format/) documents. Node and edge labels, weights, `<attvalues>` and the
+ * visualization module (`viz:color`, `viz:size`, `viz:position`, `viz:shape` and `viz:thickness`) are mapped onto
+ * node and link properties. Dynamic graphs and hierarchies (nested nodes) are not supported.
+ * Graphs are serialized with node positions, colors, sizes and shapes in the visualization module.
+ */
+import ERRORS from "../err";
+
+import utils from "../utils";
+import {
+    SHAPES,
+    getAttributeNames,
+    getChildren,
+    parseXml,
+    readGraph,
+    throwUnsupported,
+    toLink,
+    toNode,
+    writeXml,
+    writeXmlDocument,
+} from "./formats.helper";
+
+const FORMAT = "GEXF";
+const GEXF_NS = "http://gexf.net/1.3";
+const VIZ_NS = "http://gexf.net/1.3/viz";
+// node and edge attributes that are written as xml attributes or as visualization data (instead of attvalues)
+const VIZ_ATTRIBUTES = {
+    node: ["color", "label", "size", "symbolType", "x", "y"],
+    edge: ["color", "label", "strokeWidth", "weight"],
+};
+
+/**
+ * Reads the `<attributes>` declarations of some class (node or edge).
+ * @param {Object} graph - the graph element.
+ * @param {string} type - either node or edge.
+ * @returns {Object} the attributes titles mapped by attribute id.
+ * @memberof Formats/gexf
+ */
+function _readAttributeTitles(graph, type) {
+    return getChildren(graph, "attributes")
+        .filter(attributes => attributes.getAttribute("class") === type)
+        .reduce((acc, attributes) => {
+            getChildren(attributes, "attribute").forEach(attribute => {
+                acc[attribute.getAttribute("id")] = attribute.getAttribute("title") || attribute.getAttribute("id");
+            });
+
+            return acc;
+        }, {});
+}
+
+/**
+ * Reads the color of some `viz:color` element, either from its hex attribute or from its r, g, b (and a) attributes.
+ * @param {Object} color - the viz:color element.
+ * @returns {string} the css color.
+ * @memberof Formats/gexf
+ */
+function _readColor(color) {
+    if (color.hasAttribute("hex")) {
+        return color.getAttribute("hex");
+    }
+
+    const rgb = ["r", "g", "b"].map(channel => color.getAttribute(channel) || 0).join(",");
+
+    return color.hasAttribute("a") ? `rgba(${rgb},${color.getAttribute("a")})` : `rgb(${rgb})`;
+}
+
+/**
+ * Reads the attributes of some node or edge, including its attvalues and visualization data.
+ * @param {Object} element - the node or edge element.
+ * @param {Object} titles - the attributes titles mapped by attribute id (see _readAttributeTitles).
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/gexf
+ */
+function _readAttributes(element, titles) {
+    const attributes = {};
+
+    element.hasAttribute("label") && (attributes.label = element.getAttribute("label"));
+    element.hasAttribute("weight") && (attributes.weight = element.getAttribute("weight"));
+
+    getChildren(element, "attvalues").forEach(attvalues =>
+        getChildren(attvalues, "attvalue").forEach(attvalue => {
+            const id = attvalue.getAttribute("for") || attvalue.getAttribute("id");
+
+            attributes[titles[id] || id] = attvalue.getAttribute("value");
+        })
+    );
+
+    getChildren(element).forEach(child => {
+        switch (child.localName) {
+            case "color":
+                attributes.color = _readColor(child);
+                break;
+            case "size":
+                attributes.size = child.getAttribute("value");
+                break;
+            case "thickness":
+                attributes.thickness = child.getAttribute("value");
+                break;
+            case "shape":
+                attributes.shape = child.getAttribute("value");
+                break;
+            case "position":
+                attributes.x = child.getAttribute("x");
+                attributes.y = child.getAttribute("y");
+                break;
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * Parses some GEXF document into the rd3g data shape.
+ * @param {string} text - the GEXF document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (dynamic graphs and hierarchies).
+ * @memberof Formats/gexf
+ */
+function fromGEXF(text) {
+    const root = parseXml(FORMAT, text, "gexf");
+    const graphs = getChildren(root, "graph");
+
+    if (graphs.length !== 1) {
+        utils.throwErr(FORMAT, graphs.length ? ERRORS.FORMAT_MULTIPLE_GRAPHS : ERRORS.FORMAT_INVALID_DOCUMENT);
+    }
+
+    const [graph] = graphs;
+
+    if (graph.getAttribute("mode") === "dynamic") {
+        throwUnsupported(FORMAT, "dynamic graphs");
+    }
+
+    const nodeTitles = _readAttributeTitles(graph, "node");
+    const edgeTitles = _readAttributeTitles(graph, "edge");
+    const nodes = getChildren(graph, "nodes").reduce(
+        (acc, list) =>
+            acc.concat(
+                getChildren(list, "node").map(node => {
+                    const id = node.getAttribute("id");
+
+                    if (
+                        node.hasAttribute("pid") ||
+                        getChildren(node, "nodes").length ||
+                        getChildren(node, "parents").length
+                    ) {
+                        throwUnsupported(FORMAT, `hierarchy in node "${id}"`);
+                    }
+
+                    return toNode(FORMAT, id, _readAttributes(node, nodeTitles));
+                })
+            ),
+        []
+    );
+    const links = getChildren(graph, "edges").reduce(
+        (acc, list) =>
+            acc.concat(
+                getChildren(list, "edge").map(edge =>
+                    toLink(
+                        FORMAT,
+                        edge.getAttribute("source"),
+                        edge.getAttribute("target"),
+                        _readAttributes(edge, edgeTitles)
+                    )
+                )
+            ),
+        []
+    );
+
+    return { nodes, links, directed: graph.getAttribute("defaultedgetype") === "directed" };
+}
+
+/**
+ * Parses some css color into its red, green, blue and alpha channels, only hex and rgb(a) colors are supported.
+ * @param {string} color - the css color.
+ * @returns {Object|null} the color channels or null if the color can't be parsed (e.g. named colors).
+ * @memberof Formats/gexf
+ */
+function _parseColor(color) {
+    const hex = `${color}`.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+        };
+    }
+
+    const rgb = `${color}`.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+
+    return rgb ? { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: rgb[4] && Number(rgb[4]) } : null;
+}
+
+/**
+ * Finds the GEXF shape of some rd3g symbol type.
+ * @param {string} symbolType - the symbol type.
+ * @returns {string|undefined} the GEXF shape or undefined if there's no matching shape.
+ * @memberof Formats/gexf
+ */
+function _toShape(symbolType) {
+    return ["disc", "square", "triangle", "diamond"].find(shape => SHAPES[shape] === symbolType);
+}
+
+/**
+ * Declares the attributes of the exported nodes or edges that are written as attvalues, the remaining ones
+ * are written as xml attributes (label and weight) or as visualization data.
+ * @param {Array.<Object>} elements - the nodes or edges (see {@link #Formats/helper|readGraph}).
+ * @param {string} type - either node or edge.
+ * @returns {Array.<Object>} the declared attributes, each with its id, title and type.
+ * @memberof Formats/gexf
+ */
+function _declareAttributes(elements, type) {
+    const declared = getAttributeNames(elements).filter(name => VIZ_ATTRIBUTES[type].indexOf(name) === -1);
+
+    // colors and shapes that can't be written as visualization data are kept as attvalues
+    elements.some(({ attributes }) => attributes.color !== undefined && !_parseColor(attributes.color)) &&
+        declared.push("color");
+    type === "node" &&
+        elements.some(({ attributes }) => attributes.symbolType !== undefined && !_toShape(attributes.symbolType)) &&
+        declared.push("symbolType");
+
+    return declared.map((title, id) => {
+        const types = elements
+            .filter(({ attributes }) => attributes[title] !== undefined)
+            .map(({ attributes }) => typeof attributes[title]);
+        let attributeType = "string";
+
+        if (types.every(t => t === "number")) {
+            attributeType = "double";
+        } else if (types.every(t => t === "boolean")) {
+            attributeType = "boolean";
+        }
+
+        return { id: `${id}`, title, type: attributeType };
+    });
+}
+
+/**
+ * Writes the attvalues and visualization data of some node or edge.
+ * @param {Object} attributes - the node or edge attributes.
+ * @param {Array.<Object>} declared - the declared attributes (see _declareAttributes).
+ * @param {string} type - either node or edge.
+ * @returns {Array.<string>} the attvalues and visualization elements.
+ * @memberof Formats/gexf
+ */
+function _writeAttributes(attributes, declared, type) {
+    const { color } = attributes;
+    const { size, symbolType, x, y } = type === "node" ? attributes : {};
+    const { strokeWidth } = type === "edge" ? attributes : {};
+    const channels = color !== undefined && _parseColor(color);
+    const shape = symbolType !== undefined && _toShape(symbolType);
+    const attvalues = declared
+        .filter(({ title }) => attributes[title] !== undefined)
+        .filter(({ title }) => !(title === "color" && channels) && !(title === "symbolType" && shape))
+        .map(({ id, title }) => writeXml("attvalue", { for: id, value: attributes[title] }));
+    const children = attvalues.length ? [writeXml("attvalues", {}, attvalues)] : [];
+
+    channels && children.push(writeXml("viz:color", channels));
+    size !== undefined && children.push(writeXml("viz:size", { value: size }));
+    strokeWidth !== undefined && children.push(writeXml("viz:thickness", { value: strokeWidth }));
+    x !== undefined && y !== undefined && children.push(writeXml("viz:position", { x, y, z: 0 }));
+    shape && children.push(writeXml("viz:shape", { value: shape }));
+
+    return children;
+}
+
+/**
+ * Serializes some graph state as a GEXF document, node positions are written as visualization data.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the GEXF document.
+ * @memberof Formats/gexf
+ */
+function toGEXF(graph) {
+    const { nodes, edges, directed } = readGraph(graph);
+    const nodeAttributes = _declareAttributes(nodes, "node");
+    const edgeAttributes = _declareAttributes(edges, "edge");
+    const writeDeclarations = (type, declared) =>
+        declared.length
+            ? [writeXml("attributes", { class: type }, declared.map(attribute => writeXml("attribute", attribute)))]
+            : [];
+    const graphElement = writeXml("graph", { defaultedgetype: directed ? "directed" : "undirected", mode: "static" }, [
+        ...writeDeclarations("node", nodeAttributes),
+        ...writeDeclarations("edge", edgeAttributes),
+        writeXml(
+            "nodes",
+            {},
+            nodes.map(({ id, attributes }) =>
+                writeXml("node", { id, label: attributes.label }, _writeAttributes(attributes, nodeAttributes, "node"))
+            )
+        ),
+        writeXml(
+            "edges",
+            {},
+            edges.map(({ source, target, attributes }, id) =>
+                writeXml(
+                    "edge",
+                    { id, source, target, weight: attributes.weight, label: attributes.label },
+                    _writeAttributes(attributes, edgeAttributes, "edge")
+                )
+            )
+        ),
+    ]);
+
+    return writeXmlDocument(writeXml("gexf", { xmlns: GEXF_NS, "xmlns:viz": VIZ_NS, version: "1.3" }, [graphElement]));
+}
+
+export { fromGEXF, toGEXF };
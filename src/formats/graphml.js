@@ -0,0 +1,215 @@
+/**
+ * @module Formats/graphml
+ * @description
+ * Parses [GraphML](http://graphml.graphdrawing.org/) documents. Node and edge `<data>` are mapped onto
+ * node and link properties through the `attr.name` of their `<key>` (e.g. a key named **weight** becomes the link
+ * **value**), keys without name are kept under their id. Hyperedges, ports and nested graphs are not supported.
+ * Graphs are serialized with a key for each exported node and link property.
+ */
+import ERRORS from "../err";
+
+import utils from "../utils";
+import {
+    getAttributeNames,
+    getChildren,
+    parseXml,
+    readGraph,
+    throwUnsupported,
+    toLink,
+    toNode,
+    writeXml,
+    writeXmlDocument,
+} from "./formats.helper";
+
+const FORMAT = "GraphML";
+const GRAPHML_NS = "http://graphml.graphdrawing.org/xmlns";
+const NUMERIC_TYPES = ["int", "long", "float", "double"];
+
+/**
+ * Converts the text content of some `<data>` or `<default>` element according to the type of its key.
+ * @param {string} text - the text content.
+ * @param {string} type - the key attr.type (boolean, int, long, float, double or string).
+ * @returns {*} the converted value.
+ * @memberof Formats/graphml
+ */
+function _convert(text, type) {
+    if (type === "boolean") {
+        return text.trim().toLowerCase() === "true";
+    }
+
+    if (NUMERIC_TYPES.indexOf(type) !== -1 && text.trim() !== "" && !isNaN(Number(text))) {
+        return Number(text);
+    }
+
+    return text;
+}
+
+/**
+ * Reads the `<key>` declarations of the document.
+ * @param {Object} root - the graphml element.
+ * @returns {Object} the keys mapped by id, each with its name, type, domain (for) and default value.
+ * @memberof Formats/graphml
+ */
+function _readKeys(root) {
+    return getChildren(root, "key").reduce((acc, key) => {
+        const id = key.getAttribute("id");
+        const type = key.getAttribute("attr.type") || "string";
+        const [defaultValue] = getChildren(key, "default");
+
+        acc[id] = {
+            name: key.getAttribute("attr.name") || id,
+            domain: key.getAttribute("for") || "all",
+            defaultValue: defaultValue ? _convert(defaultValue.textContent, type) : undefined,
+            type,
+        };
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Reads the attributes of some node or edge, default values of the keys are applied first.
+ * @param {Object} element - the node or edge element.
+ * @param {Object} keys - the keys (see _readKeys).
+ * @param {string} domain - either node or edge.
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/graphml
+ */
+function _readAttributes(element, keys, domain) {
+    const attributes = Object.keys(keys).reduce((acc, id) => {
+        const key = keys[id];
+
+        if ((key.domain === domain || key.domain === "all") && key.defaultValue !== undefined) {
+            acc[key.name] = key.defaultValue;
+        }
+
+        return acc;
+    }, {});
+
+    getChildren(element, "data").forEach(data => {
+        const key = keys[data.getAttribute("key")];
+
+        if (key) {
+            attributes[key.name] = _convert(data.textContent, key.type);
+        } else {
+            attributes[data.getAttribute("key")] = data.textContent;
+        }
+    });
+
+    return attributes;
+}
+
+/**
+ * Parses some GraphML document into the rd3g data shape.
+ * @param {string} text - the GraphML document.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (hyperedges, ports and nested graphs).
+ * @memberof Formats/graphml
+ */
+function fromGraphML(text) {
+    const root = parseXml(FORMAT, text, "graphml");
+    const graphs = getChildren(root, "graph");
+
+    if (graphs.length !== 1) {
+        utils.throwErr(FORMAT, graphs.length ? ERRORS.FORMAT_MULTIPLE_GRAPHS : ERRORS.FORMAT_INVALID_DOCUMENT);
+    }
+
+    const [graph] = graphs;
+    const keys = _readKeys(root);
+
+    if (getChildren(graph, "hyperedge").length) {
+        throwUnsupported(FORMAT, "hyperedges");
+    }
+
+    const nodes = getChildren(graph, "node").map(node => {
+        if (getChildren(node, "graph").length) {
+            throwUnsupported(FORMAT, `nested graph in node "${node.getAttribute("id")}"`);
+        }
+
+        if (getChildren(node, "port").length) {
+            throwUnsupported(FORMAT, `ports in node "${node.getAttribute("id")}"`);
+        }
+
+        return toNode(FORMAT, node.getAttribute("id"), _readAttributes(node, keys, "node"));
+    });
+    const links = getChildren(graph, "edge").map(edge => {
+        const source = edge.getAttribute("source");
+        const target = edge.getAttribute("target");
+
+        if (getChildren(edge, "graph").length) {
+            throwUnsupported(FORMAT, `nested graph in edge from "${source}" to "${target}"`);
+        }
+
+        if (edge.hasAttribute("sourceport") || edge.hasAttribute("targetport")) {
+            throwUnsupported(FORMAT, `ports in edge from "${source}" to "${target}"`);
+        }
+
+        return toLink(FORMAT, source, target, _readAttributes(edge, keys, "edge"));
+    });
+
+    return { nodes, links, directed: graph.getAttribute("edgedefault") === "directed" };
+}
+
+/**
+ * Declares a key for each attribute of some nodes or edges, typed after the values it holds.
+ * @param {Array.<Object>} elements - the nodes or edges (see {@link #Formats/helper|readGraph}).
+ * @param {string} domain - either node or edge.
+ * @returns {Array.<Object>} the keys, each with its id, name and type.
+ * @memberof Formats/graphml
+ */
+function _declareKeys(elements, domain) {
+    return getAttributeNames(elements).map((name, i) => {
+        const types = elements
+            .filter(({ attributes }) => attributes[name] !== undefined)
+            .map(({ attributes }) => typeof attributes[name]);
+        let type = "string";
+
+        if (types.every(t => t === "number")) {
+            type = "double";
+        } else if (types.every(t => t === "boolean")) {
+            type = "boolean";
+        }
+
+        return { id: `${domain[0]}${i}`, name, type };
+    });
+}
+
+/**
+ * Writes the data elements of some node or edge.
+ * @param {Object} attributes - the node or edge attributes.
+ * @param {Array.<Object>} keys - the keys of the node or edge domain (see _declareKeys).
+ * @returns {Array.<string>} the data elements.
+ * @memberof Formats/graphml
+ */
+function _writeData(attributes, keys) {
+    return keys
+        .filter(({ name }) => attributes[name] !== undefined)
+        .map(({ id, name }) => writeXml("data", { key: id }, `${attributes[name]}`));
+}
+
+/**
+ * Serializes some graph state as a GraphML document.
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string} the GraphML document.
+ * @memberof Formats/graphml
+ */
+function toGraphML(graph) {
+    const { nodes, edges, directed } = readGraph(graph);
+    const nodeKeys = _declareKeys(nodes, "node");
+    const edgeKeys = _declareKeys(edges, "edge");
+    const keys = [...nodeKeys.map(key => ["node", key]), ...edgeKeys.map(key => ["edge", key])].map(
+        ([domain, { id, name, type }]) => writeXml("key", { id, for: domain, "attr.name": name, "attr.type": type })
+    );
+    const graphElement = writeXml("graph", { id: "G", edgedefault: directed ? "directed" : "undirected" }, [
+        ...nodes.map(({ id, attributes }) => writeXml("node", { id }, _writeData(attributes, nodeKeys))),
+        ...edges.map(({ source, target, attributes }) =>
+            writeXml("edge", { source, target }, _writeData(attributes, edgeKeys))
+        ),
+    ]);
+
+    return writeXmlDocument(writeXml("graphml", { xmlns: GRAPHML_NS }, [...keys, graphElement]));
+}
+
+export { fromGraphML, toGraphML };
@@ -0,0 +1,59 @@
+/**
+ * @module Formats
+ * @description
+ * Import adapters that parse common graph formats (GraphML, GEXF, Graphviz DOT and JSON Graph Format) into the
+ * `{ nodes, links }` data shape expected by the Graph. Attributes such as color, size, shape, label, weight and
+ * positions are mapped onto the matching node (**color**, **size**, **symbolType**, **label**, **x**, **y**) and
+ * link (**color**, **value**, **label**, **strokeWidth**) properties, any other attribute is kept as it is.
+ * Imported nodes hold their label in the **label** property, set **node.labelProperty** to "label" to render it.
+ *
+ * Serializers do the way back, they take the Graph state (nodes with their simulated positions, the links matrix
+ * and the styling of nodes and links) and write GraphML, GEXF, DOT, CSV node/edge lists or a dense adjacency matrix.
+ * The same serializers are available through the `exportData` Graph method.
+ * ```javascript
+ * import { Graph } from "react-d3-graph";
+ * import { fromGraphML } from "react-d3-graph/formats";
+ *
+ * const { nodes, links, directed } = fromGraphML(graphmlText);
+ *
+ * <Graph id="graph-id" data={{ nodes, links }} config={{ directed, node: { labelProperty: "label" } }} />
+ *
+ * // later on, with the current positions
+ * const gexf = this.refs.graph.exportData("gexf");
+ * ```
+ */
+import CONST from "../const";
+import ERRORS from "../err";
+
+import utils from "../utils";
+import { toAdjacencyMatrix, toCSV } from "./csv";
+import { fromDOT, toDOT } from "./dot";
+import { fromGEXF, toGEXF } from "./gexf";
+import { fromGraphML, toGraphML } from "./graphml";
+import { fromJGF } from "./jgf";
+
+const SERIALIZERS = {
+    [CONST.FORMATS.ADJACENCY_MATRIX]: toAdjacencyMatrix,
+    [CONST.FORMATS.CSV]: toCSV,
+    [CONST.FORMATS.DOT]: toDOT,
+    [CONST.FORMATS.GEXF]: toGEXF,
+    [CONST.FORMATS.GRAPHML]: toGraphML,
+};
+
+/**
+ * Serializes some graph state in the given format.
+ * @param {string} format - one of "graphml", "gexf", "dot", "csv" or "adjacency-matrix".
+ * @param {Object} graph - the graph state (see {@link #Formats/helper|readGraph}).
+ * @returns {string|Object} the serialized graph, for csv an object with the **nodes** and **edges** lists.
+ * @throws can throw FORMAT_UNKNOWN if the format is not supported.
+ * @memberof Formats
+ */
+function serialize(format, graph) {
+    if (!SERIALIZERS[format]) {
+        utils.throwErr("Formats", `${ERRORS.FORMAT_UNKNOWN} - found "${format}"`);
+    }
+
+    return SERIALIZERS[format](graph);
+}
+
+export { fromDOT, fromGEXF, fromGraphML, fromJGF, serialize, toAdjacencyMatrix, toCSV, toDOT, toGEXF, toGraphML };
@@ -0,0 +1,70 @@
+/**
+ * @module Formats/jgf
+ * @description
+ * Parses [JSON Graph Format](https://jsongraphformat.info/) documents, both v1 (nodes as an array) and v2
+ * (nodes mapped by id). Node and edge labels and `metadata` are mapped onto node and link properties.
+ * Hyperedges are not supported.
+ */
+import ERRORS from "../err";
+
+import utils from "../utils";
+import { throwUnsupported, toLink, toNode } from "./formats.helper";
+
+const FORMAT = "JGF";
+
+/**
+ * Reads the attributes of some JGF node or edge, its label and metadata.
+ * @param {Object} element - the JGF node or edge.
+ * @returns {Object} attribute values mapped by attribute name.
+ * @memberof Formats/jgf
+ */
+function _readAttributes({ label, metadata }) {
+    return Object.assign({}, metadata, label !== undefined ? { label } : {});
+}
+
+/**
+ * Parses some JSON Graph Format document into the rd3g data shape.
+ * @param {string|Object} document - the JGF document, either serialized or already parsed.
+ * @returns {Object} the graph data, an object with **nodes**, **links** and whether the graph is **directed**
+ * (the later should be fed into the **directed** config).
+ * @throws can throw FORMAT_INVALID_DOCUMENT, FORMAT_MULTIPLE_GRAPHS, FORMAT_INVALID_NUMBER or
+ * FORMAT_UNSUPPORTED_CONSTRUCT (hyperedges).
+ * @memberof Formats/jgf
+ */
+function fromJGF(document) {
+    let json = document;
+
+    if (typeof document === "string") {
+        try {
+            json = JSON.parse(document);
+        } catch (error) {
+            utils.throwErr(FORMAT, `${ERRORS.FORMAT_INVALID_DOCUMENT} - ${error.message}`);
+        }
+    }
+
+    const graphs = json && (json.graph ? [json.graph] : json.graphs);
+
+    if (!graphs || !graphs.length) {
+        utils.throwErr(FORMAT, `${ERRORS.FORMAT_INVALID_DOCUMENT} - expected a graph or graphs property`);
+    }
+
+    if (graphs.length > 1) {
+        utils.throwErr(FORMAT, ERRORS.FORMAT_MULTIPLE_GRAPHS);
+    }
+
+    const [graph] = graphs;
+
+    if (graph.hyperedges) {
+        throwUnsupported(FORMAT, "hyperedges");
+    }
+
+    const jgfNodes = graph.nodes || [];
+    const nodes = Array.isArray(jgfNodes)
+        ? jgfNodes.map(node => toNode(FORMAT, node.id, _readAttributes(node)))
+        : Object.keys(jgfNodes).map(id => toNode(FORMAT, id, _readAttributes(jgfNodes[id])));
+    const links = (graph.edges || []).map(edge => toLink(FORMAT, edge.source, edge.target, _readAttributes(edge)));
+
+    return { nodes, links, directed: graph.directed !== false };
+}
+
+export { fromJGF };
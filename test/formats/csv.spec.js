@@ -0,0 +1,25 @@
+import graphMock from "./formats.mock.js";
+import { toAdjacencyMatrix, toCSV } from "../../src/formats/csv";
+
+describe("CSV format", () => {
+    test("should serialize node and edge lists with a column for each property", () => {
+        const { nodes, edges } = toCSV(graphMock);
+
+        expect(nodes.split("\r\n")).toEqual([
+            "id,x,y,color,label,size,symbolType,group",
+            "A,10,20,#ff0000,Node A,300,square,",
+            "B,0,5,red,,,wye,2",
+            "",
+        ]);
+        expect(edges).toMatch(/^source,target,weight,color,strokeWidth,label\r\nA,B,2,blue,3,"a,b"\r\n$/);
+    });
+
+    test("should serialize dense adjacency matrix from links matrix", () => {
+        const matrix = toAdjacencyMatrix({
+            nodes: { A: {}, B: {}, C: {} },
+            links: { A: { B: 2, C: 1 }, B: { A: 2 }, C: { A: 1 } },
+        });
+
+        expect(matrix.split("\r\n")).toEqual([",A,B,C", "A,0,2,1", "B,2,0,0", "C,1,0,0", ""]);
+    });
+});
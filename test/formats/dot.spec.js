@@ -0,0 +1,110 @@
+import graphMock from "./formats.mock.js";
+import { fromDOT, toDOT } from "../../src/formats/dot";
+
+describe("DOT format", () => {
+    test("should map attributes and defaults onto nodes and links properties", () => {
+        const data = fromDOT(`
+            /* some comment */
+            strict digraph "G" {
+                rankdir=LR;
+                node [shape=box];
+                edge [color=grey]
+                a [label="Node " + "A", fillcolor="#ff0000", color=blue, pos="1,2!"];
+                b [shape=star, tooltip="\\"B\\""] // trailing comment
+                a -> b -> c [weight=3, penwidth=2];
+            }
+        `);
+
+        expect(data).toEqual({
+            nodes: [
+                { id: "a", label: "Node A", color: "#ff0000", symbolType: "square", x: 1, y: 2 },
+                { id: "b", symbolType: "star", tooltip: expect.stringMatching(/^"B"$/) },
+                { id: "c", symbolType: "square" },
+            ],
+            links: [
+                { source: "a", target: "b", color: "grey", value: 3, strokeWidth: 2 },
+                { source: "b", target: "c", color: "grey", value: 3, strokeWidth: 2 },
+            ],
+            directed: true,
+        });
+    });
+
+    test("should parse undirected graphs", () => {
+        const data = fromDOT("graph { 1 -- 2 }");
+
+        expect(data).toEqual({
+            nodes: [{ id: "1" }, { id: "2" }],
+            links: [{ source: "1", target: "2" }],
+            directed: false,
+        });
+    });
+
+    test("should throw for edge operators that do not match the graph type", () => {
+        expect(() => fromDOT("graph { a -> b }")).toThrow(/"--" must be used in graph/);
+    });
+
+    test("should throw for subgraphs, ports and HTML strings", () => {
+        expect(() => fromDOT("digraph { subgraph cluster_0 { a } }")).toThrow(/subgraphs/);
+        expect(() => fromDOT("digraph { a -> { b c } }")).toThrow(/subgraphs/);
+        expect(() => fromDOT("digraph { a:n -> b }")).toThrow(/ports in node "a"/);
+        expect(() => fromDOT("digraph { a [label=<<b>A</b>>] }")).toThrow(/HTML strings/);
+    });
+
+    test("should throw for malformed documents", () => {
+        expect(() => fromDOT("digraph { a -> }")).toThrow(/expected id but found "}"/);
+        expect(() => fromDOT("digraph { a")).toThrow(/expected } but found end of document/);
+        expect(() => fromDOT("node { a }")).toThrow(/expected graph or digraph/);
+    });
+
+    test("should serialize graph state with pinned positions", () => {
+        const dot = toDOT(graphMock);
+
+        expect(dot).toMatch(/^digraph G {\n/);
+        expect(dot).toMatch(
+            /\n {2}"A" \[fillcolor="#ff0000", style="filled", shape="box", pos="10,20!", label="Node A", size=300\];\n/
+        );
+        expect(dot).toMatch(/\n {2}"B" \[fillcolor="red", style="filled", symbolType="wye", pos="0,5!", group=2\];\n/);
+        expect(dot).toMatch(/\n {2}"A" -> "B" \[weight=2, color="blue", label="a,b", penwidth=3\];\n}\n$/);
+    });
+
+    test("should escape backslashes and quotes so that serialized ids can be read back", () => {
+        // eslint-disable-next-line
+        const label = 'say "hi"';
+        const dot = toDOT({
+            nodes: { "C:\\": { id: "C:\\", label }, D: { id: "D" } },
+            links: { "C:\\": { D: 1 }, D: {} },
+            d3Links: [{ source: { id: "C:\\" }, target: { id: "D" } }],
+            config: { directed: false, node: {}, link: {} },
+        });
+        const { nodes, links } = fromDOT(dot);
+
+        expect(dot).toMatch(/"C:\\\\" \[label="say \\"hi\\""\];/);
+        expect(nodes.map(node => [node.id, node.label])).toEqual([["C:\\", label], ["D", undefined]]);
+        expect(links.map(({ source, target }) => [source, target])).toEqual([["C:\\", "D"]]);
+    });
+
+    test("should read back literal backslashes", () => {
+        const ids = ["a\\b", "a\\\\b", "a\\"];
+        const dot = toDOT({
+            nodes: ids.reduce((acc, id) => ({ ...acc, [id]: { id } }), {}),
+            links: {},
+            d3Links: [],
+            config: { directed: false, node: {}, link: {} },
+        });
+
+        expect(fromDOT(dot).nodes.map(({ id }) => id)).toEqual(ids);
+    });
+
+    test("should keep Graphviz escape sequences", () => {
+        const { nodes } = fromDOT(`
+            graph {
+                A [label="first\\nsecond\\l"];
+            }
+        `);
+
+        expect(nodes[0].label).toEqual("first\\nsecond\\l");
+        expect(toDOT({ nodes: { A: nodes[0] }, links: {}, d3Links: [], config: { node: {}, link: {} } })).toMatch(
+            /label="first\\nsecond\\l"/
+        );
+    });
+});
@@ -0,0 +1,22 @@
+// graph state as held by the Graph component
+export default {
+    nodes: {
+        A: {
+            id: "A",
+            x: 10,
+            y: 20,
+            vx: 1,
+            highlighted: false,
+            color: "#ff0000",
+            label: "Node A",
+            size: 300,
+            symbolType: "square",
+        },
+        B: { id: "B", x: 0, y: 5, index: 1, color: "red", symbolType: "wye", group: 2 },
+    },
+    links: { A: { B: 2 }, B: {} },
+    d3Links: [
+        { source: { id: "A" }, target: { id: "B" }, value: 2, index: 0, color: "blue", strokeWidth: 3, label: "a,b" },
+    ],
+    config: { directed: true, node: { labelProperty: "id" } },
+};
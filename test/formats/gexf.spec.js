@@ -0,0 +1,87 @@
+import graphMock from "./formats.mock.js";
+import { fromGEXF, toGEXF } from "../../src/formats/gexf";
+
+describe("GEXF format", () => {
+    test("should map attvalues and viz data onto nodes and links properties", () => {
+        const data = fromGEXF(`<?xml version="1.0" encoding="UTF-8"?>
+            <gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+                <graph defaultedgetype="directed">
+                    <attributes class="node"><attribute id="0" title="community" type="string"/></attributes>
+                    <nodes>
+                        <node id="0" label="Hello">
+                            <attvalues><attvalue for="0" value="red-team"/></attvalues>
+                            <viz:color r="239" g="173" b="66" a="0.6"/>
+                            <viz:size value="250"/>
+                            <viz:position x="15.5" y="-20" z="0"/>
+                            <viz:shape value="diamond"/>
+                        </node>
+                        <node id="1" label="Word"><viz:shape value="image"/></node>
+                    </nodes>
+                    <edges>
+                        <edge id="0" source="0" target="1" weight="2" label="greets">
+                            <viz:color hex="#ff0000"/>
+                            <viz:thickness value="3"/>
+                        </edge>
+                    </edges>
+                </graph>
+            </gexf>`);
+
+        expect(data).toEqual({
+            nodes: [
+                {
+                    id: "0",
+                    label: "Hello",
+                    community: "red-team",
+                    color: "rgba(239,173,66,0.6)",
+                    size: 250,
+                    x: 15.5,
+                    y: -20,
+                    symbolType: "diamond",
+                },
+                { id: "1", label: "Word" },
+            ],
+            links: [{ source: "0", target: "1", value: 2, label: "greets", color: "#ff0000", strokeWidth: 3 }],
+            directed: true,
+        });
+    });
+
+    test("should default to undirected graphs", () => {
+        const data = fromGEXF(`<gexf>
+            <graph><nodes><node id="a"/></nodes></graph>
+        </gexf>`);
+
+        expect(data.directed).toEqual(false);
+    });
+
+    test("should throw for dynamic graphs", () => {
+        expect(() =>
+            fromGEXF(`<gexf>
+                <graph mode="dynamic"/>
+            </gexf>`)
+        ).toThrow(/dynamic graphs/);
+    });
+
+    test("should throw for hierarchies", () => {
+        expect(() =>
+            fromGEXF(`<gexf><graph><nodes>
+                <node id="a"><nodes><node id="b"/></nodes></node>
+            </nodes></graph></gexf>`)
+        ).toThrow(/hierarchy in node "a"/);
+    });
+
+    test("should serialize graph state with viz positions", () => {
+        const gexf = toGEXF(graphMock);
+
+        expect(gexf).toMatch(/<viz:position x="10" y="20" z="0"\/>/);
+        expect(gexf).toMatch(/<viz:color r="255" g="0" b="0"\/>/);
+        expect(fromGEXF(gexf)).toEqual({
+            nodes: [
+                { id: "A", label: "Node A", color: "rgb(255,0,0)", size: 300, x: 10, y: 20, symbolType: "square" },
+                // named colors and symbols without a GEXF shape are kept as attvalues
+                { id: "B", group: "2", color: "red", symbolType: "wye", x: 0, y: 5 },
+            ],
+            links: [{ source: "A", target: "B", value: 2, label: "a,b", color: "blue", strokeWidth: 3 }],
+            directed: true,
+        });
+    });
+});
@@ -0,0 +1,86 @@
+import graphMock from "./formats.mock.js";
+import { fromGraphML, toGraphML } from "../../src/formats/graphml";
+
+describe("GraphML format", () => {
+    test("should map keys onto nodes and links properties", () => {
+        const data = fromGraphML(`<?xml version="1.0" encoding="UTF-8"?>
+            <graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+                <key id="d0" for="node" attr.name="color" attr.type="string"><default>yellow</default></key>
+                <key id="d1" for="node" attr.name="size" attr.type="double"/>
+                <key id="d2" for="edge" attr.name="weight" attr.type="double"/>
+                <key id="d3" for="node" attr.name="group" attr.type="int"/>
+                <graph id="G" edgedefault="directed">
+                    <node id="n0"><data key="d0">green</data><data key="d1">300</data><data key="d3">2</data></node>
+                    <node id="n1"><data key="x">10</data></node>
+                    <edge source="n0" target="n1"><data key="d2">1.5</data></edge>
+                </graph>
+            </graphml>`);
+
+        expect(data).toEqual({
+            nodes: [{ id: "n0", color: "green", size: 300, group: 2 }, { id: "n1", color: "yellow", x: 10 }],
+            links: [{ source: "n0", target: "n1", value: 1.5 }],
+            directed: true,
+        });
+    });
+
+    test("should throw for hyperedges", () => {
+        expect(() =>
+            fromGraphML(`<graphml><graph edgedefault="undirected">
+                <node id="a"/><node id="b"/><node id="c"/>
+                <hyperedge><endpoint node="a"/><endpoint node="b"/><endpoint node="c"/></hyperedge>
+            </graph></graphml>`)
+        ).toThrow(
+            "react-d3-graph :: GraphML :: the provided document uses a construct that can't be imported - hyperedges"
+        );
+    });
+
+    test("should throw for nested graphs", () => {
+        expect(() =>
+            fromGraphML(`<graphml><graph edgedefault="undirected">
+                <node id="a"><graph id="a:"><node id="a::b"/></graph></node>
+            </graph></graphml>`)
+        ).toThrow(/nested graph in node "a"/);
+    });
+
+    test("should throw for non numeric weights", () => {
+        expect(() =>
+            fromGraphML(`<graphml><key id="w" for="edge" attr.name="weight"/><graph>
+                <node id="a"/><edge source="a" target="a"><data key="w">heavy</data></edge>
+            </graph></graphml>`)
+        ).toThrow(/numeric attributes/);
+    });
+
+    test("should throw for malformed documents", () => {
+        expect(() => fromGraphML("<graphml><graph>")).toThrow(/could not be parsed/);
+        expect(() => fromGraphML("<gexf/>")).toThrow(/expected a <graphml> document/);
+    });
+
+    test("should serialize graph state with a key for each property", () => {
+        const graphml = toGraphML(graphMock);
+
+        expect(graphml).toMatch(/<key id="n4" for="node" attr.name="size" attr.type="double"\/>/);
+        expect(graphml).toMatch(/<graph id="G" edgedefault="directed">/);
+        expect(fromGraphML(graphml)).toEqual({
+            nodes: [
+                { id: "A", x: 10, y: 20, color: "#ff0000", label: "Node A", size: 300, symbolType: "square" },
+                { id: "B", x: 0, y: 5, color: "red", symbolType: "wye", group: 2 },
+            ],
+            links: [{ source: "A", target: "B", value: 2, color: "blue", strokeWidth: 3, label: "a,b" }],
+            directed: true,
+        });
+    });
+
+    test("should keep the weight of each parallel link through a round trip", () => {
+        const graphml = toGraphML({
+            nodes: { A: { id: "A" }, B: { id: "B" } },
+            links: { A: { B: 2 }, B: { A: 2 } },
+            d3Links: [
+                { source: { id: "A" }, target: { id: "B" }, value: 2 },
+                { source: { id: "B" }, target: { id: "A" }, value: 5 },
+            ],
+            config: {},
+        });
+
+        expect(fromGraphML(graphml).links.map(({ value }) => value)).toEqual([2, 5]);
+    });
+});
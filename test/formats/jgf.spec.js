@@ -0,0 +1,46 @@
+import { fromJGF } from "../../src/formats/jgf";
+
+describe("JGF format", () => {
+    test("should map labels and metadata onto nodes and links properties", () => {
+        const data = fromJGF({
+            graph: {
+                directed: false,
+                nodes: {
+                    A: { label: "Node A", metadata: { color: "red", size: "400", shape: "triangle" } },
+                    B: {},
+                },
+                edges: [{ source: "A", target: "B", relation: "knows", metadata: { weight: 2 } }],
+            },
+        });
+
+        expect(data).toEqual({
+            nodes: [{ id: "A", label: "Node A", color: "red", size: 400, symbolType: "triangle" }, { id: "B" }],
+            links: [{ source: "A", target: "B", value: 2 }],
+            directed: false,
+        });
+    });
+
+    test("should parse serialized v1 documents", () => {
+        const data = fromJGF(
+            JSON.stringify({
+                graphs: [{ nodes: [{ id: 1 }, { id: 2 }], edges: [{ source: 1, target: 2, label: "x" }] }],
+            })
+        );
+
+        expect(data).toEqual({
+            nodes: [{ id: "1" }, { id: "2" }],
+            links: [{ source: "1", target: "2", label: "x" }],
+            directed: true,
+        });
+    });
+
+    test("should throw for hyperedges", () => {
+        expect(() => fromJGF({ graph: { nodes: {}, hyperedges: [{ nodes: ["A", "B", "C"] }] } })).toThrow(/hyperedges/);
+    });
+
+    test("should throw for several graphs or invalid documents", () => {
+        expect(() => fromJGF({ graphs: [{}, {}] })).toThrow(/several graphs/);
+        expect(() => fromJGF("{")).toThrow(/could not be parsed/);
+        expect(() => fromJGF({ nodes: [] })).toThrow(/expected a graph or graphs property/);
+    });
+});
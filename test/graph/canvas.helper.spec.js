@@ -0,0 +1,369 @@
+import * as canvasHelper from "../../src/components/graph/canvas.helper";
+
+describe("Canvas Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        window.Path2D = jest.fn(d => ({ d }));
+        that.context = {
+            save: jest.fn(),
+            restore: jest.fn(),
+            translate: jest.fn(),
+            rotate: jest.fn(),
+            scale: jest.fn(),
+            setTransform: jest.fn(),
+            beginPath: jest.fn(),
+            moveTo: jest.fn(),
+            lineTo: jest.fn(),
+            closePath: jest.fn(),
+            fill: jest.fn(),
+            stroke: jest.fn(),
+            fillText: jest.fn(),
+            arc: jest.fn(),
+            setLineDash: jest.fn(),
+            strokeText: jest.fn(),
+            fillRect: jest.fn(),
+            measureText: jest.fn(text => ({ width: text.length * 5 })),
+            isPointInStroke: jest.fn(path => path.d === "M0,0L100,0"),
+        };
+    });
+
+    afterEach(() => {
+        delete window.Path2D;
+    });
+
+    describe("#drawNode", () => {
+        test("should draw node symbol and label and return its hit region", () => {
+            const props = {
+                id: "A",
+                cx: 10,
+                cy: 20,
+                size: 100 * Math.PI,
+                type: "circle",
+                fill: "red",
+                stroke: "none",
+                opacity: 1,
+                renderLabel: true,
+                label: "A",
+                dx: 5,
+                fontSize: 10,
+            };
+            const region = canvasHelper.drawNode(that.context, props);
+
+            expect(that.context.fill).toHaveBeenCalled();
+            expect(that.context.stroke).not.toHaveBeenCalled();
+            expect(that.context.fillText).toHaveBeenCalledWith("A", 5, -7);
+            expect(region).toEqual({ id: "A", x: 10, y: 20, radius: 10 });
+        });
+
+        test("should draw each line of laid out labels", () => {
+            const props = {
+                id: "A",
+                size: 100 * Math.PI,
+                type: "circle",
+                opacity: 1,
+                renderLabel: true,
+                label: "a rather long label",
+                labelAnchor: "middle",
+                labelLineHeight: 12,
+                labelLines: ["a rather", "long label"],
+                labelX: 0,
+                labelY: 14,
+                fontSize: 10,
+            };
+
+            canvasHelper.drawNode(that.context, props);
+
+            expect(that.context.textAlign).toEqual("center");
+            expect(that.context.fillText).toHaveBeenCalledWith("a rather", 0, 14);
+            expect(that.context.fillText).toHaveBeenCalledWith("long label", 0, 26);
+        });
+
+        test("should draw the badge of collapsed nodes", () => {
+            const props = {
+                id: "A",
+                size: 100 * Math.PI,
+                type: "circle",
+                opacity: 1,
+                badge: "3",
+                badgeColor: "red",
+                badgeFontColor: "white",
+                badgeRadius: 7,
+                badgeX: 5,
+                badgeY: -5,
+                fontSize: 10,
+            };
+
+            canvasHelper.drawNode(that.context, props);
+
+            expect(that.context.arc).toHaveBeenCalledWith(5, -5, 7, 0, 2 * Math.PI);
+            expect(that.context.fillText).toHaveBeenCalledWith("3", 5, -5);
+            expect(that.context.fillStyle).toEqual("white");
+        });
+    });
+
+    describe("#drawNode images", () => {
+        let OriginalImage;
+        let images;
+
+        beforeEach(() => {
+            OriginalImage = window.Image;
+            images = [];
+            window.Image = jest.fn(function() {
+                images.push(this);
+            });
+        });
+
+        afterEach(() => {
+            window.Image = OriginalImage;
+        });
+
+        test("should load each image once and notify every requester when it loads", () => {
+            const props = { id: "A", svg: "a.svg", size: 200, opacity: 1 };
+            const firstOnLoad = jest.fn();
+            const secondOnLoad = jest.fn();
+
+            canvasHelper.drawNode(that.context, props, firstOnLoad);
+            canvasHelper.drawNode(that.context, props, secondOnLoad);
+            canvasHelper.drawNode(that.context, props, secondOnLoad);
+
+            expect(images).toHaveLength(1);
+            expect(images[0].src).toEqual("a.svg");
+
+            images[0].onload();
+
+            expect(firstOnLoad).toHaveBeenCalledTimes(1);
+            expect(secondOnLoad).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("#drawGroup", () => {
+        test("should fill and stroke the group outline and draw its label", () => {
+            const props = {
+                id: "team",
+                d: "M0,0L10,0L10,10Z",
+                fill: "blue",
+                fillOpacity: 0.2,
+                stroke: "navy",
+                strokeWidth: 2,
+                label: "Team",
+                labelX: 5,
+                labelY: -3,
+                fontSize: 12,
+            };
+            const region = canvasHelper.drawGroup(that.context, props);
+
+            expect(that.context.fill).toHaveBeenCalledWith({ d: "M0,0L10,0L10,10Z" });
+            expect(that.context.stroke).toHaveBeenCalledWith({ d: "M0,0L10,0L10,10Z" });
+            expect(that.context.fillText).toHaveBeenCalledWith("Team", 5, -3);
+            expect(region).toEqual({ id: "team", path: { d: "M0,0L10,0L10,10Z" } });
+        });
+    });
+
+    describe("#drawLink", () => {
+        test("should draw link and marker for directed links", () => {
+            const props = {
+                source: "A",
+                target: "B",
+                d: "M0,0L100,0",
+                stroke: "red",
+                strokeWidth: 1,
+                markers: { end: "arrow" },
+            };
+            const region = canvasHelper.drawLink(that.context, props, {
+                x1: 0,
+                y1: 0,
+                x2: 100,
+                y2: 0,
+                targetRadius: 5,
+            });
+
+            expect(that.context.stroke).toHaveBeenCalledWith({ d: "M0,0L100,0" });
+            expect(that.context.translate).toHaveBeenCalledWith(95, 0);
+            expect(that.context.fill).toHaveBeenCalledWith({ d: "M0,-5L10,0L0,5" });
+            expect(region).toEqual({ source: "A", target: "B", path: { d: "M0,0L100,0" }, strokeWidth: 1 });
+        });
+
+        test("should place marker on the link tip and label of parallel links on the curve apex", () => {
+            const props = {
+                source: "A",
+                target: "B",
+                d: "M0,0Q50,40 100,0",
+                stroke: "red",
+                strokeWidth: 1,
+                markers: { end: "arrow" },
+                label: "label",
+                parallelOffset: 20,
+                tip: { x: 90, y: 5, angle: -0.5 },
+            };
+
+            canvasHelper.drawLink(that.context, props, { x1: 0, y1: 0, x2: 100, y2: 0, targetRadius: 0 });
+
+            expect(that.context.translate).toHaveBeenCalledWith(90, 5);
+            expect(that.context.rotate).toHaveBeenCalledWith(-0.5);
+            expect(that.context.translate).toHaveBeenCalledWith(50, 20);
+        });
+    });
+
+    describe("#drawLink flow", () => {
+        test("should dash the links of the highlighted path and move the dashes along the path", () => {
+            const now = jest.spyOn(Date, "now").mockReturnValue(250);
+            const props = {
+                source: "A",
+                target: "B",
+                d: "M0,0L100,0",
+                stroke: "red",
+                strokeWidth: 2,
+                flow: { dashArray: [6, 4], direction: -1, duration: 1 },
+            };
+
+            canvasHelper.drawLink(that.context, props, { x1: 0, y1: 0, x2: 100, y2: 0, targetRadius: 5 });
+
+            expect(that.context.setLineDash).toHaveBeenCalledWith([6, 4]);
+            expect(that.context.lineDashOffset).toEqual(-7.5);
+            expect(that.context.setLineDash).toHaveBeenLastCalledWith([]);
+
+            now.mockRestore();
+        });
+    });
+
+    describe("#drawLink markers", () => {
+        test("should draw start and mid markers on the link tail and middle", () => {
+            const props = {
+                source: "A",
+                target: "B",
+                d: "M5,0L50,0L95,0",
+                stroke: "red",
+                strokeWidth: 2,
+                markers: { start: "diamond", mid: "open-arrow", end: null },
+                tail: { x: 5, y: 0, angle: Math.PI },
+                middle: { x: 50, y: 0, angle: 0 },
+                tip: { x: 95, y: 0, angle: 0 },
+            };
+
+            canvasHelper.drawLink(that.context, props, { x1: 0, y1: 0, x2: 100, y2: 0, targetRadius: 5 });
+
+            expect(that.context.translate).toHaveBeenCalledWith(5, 0);
+            expect(that.context.rotate).toHaveBeenCalledWith(Math.PI);
+            expect(that.context.translate).toHaveBeenCalledWith(-10, 0);
+            expect(that.context.fill).toHaveBeenCalledWith({ d: "M0,0L5,-5L10,0L5,5Z" });
+            expect(that.context.translate).toHaveBeenCalledWith(50, 0);
+            expect(that.context.translate).toHaveBeenCalledWith(-5, 0);
+            expect(that.context.stroke).toHaveBeenCalledWith({ d: "M1,-4L9,0L1,4" });
+            expect(that.context.scale).toHaveBeenCalledWith(1.2, 1.2);
+            expect(that.context.translate).not.toHaveBeenCalledWith(95, 0);
+        });
+    });
+
+    describe("#drawLink labels", () => {
+        beforeEach(() => {
+            that.props = {
+                source: "A",
+                target: "B",
+                d: "M0,0L100,0",
+                stroke: "red",
+                strokeWidth: 1,
+                label: "label",
+                fontSize: 10,
+                fontColor: "black",
+                labelOffset: 2,
+                labelAnchor: "end",
+                labelPoint: { x: 100, y: 0, angle: 0 },
+                labelBackgroundColor: "white",
+            };
+        });
+
+        test("should draw labels at their label point", () => {
+            canvasHelper.drawLink(that.context, that.props, { x1: 0, y1: 0, x2: 100, y2: 0 });
+
+            expect(that.context.translate).toHaveBeenCalledWith(100, 0);
+            expect(that.context.textAlign).toEqual("end");
+            expect(that.context.fillText).toHaveBeenCalledWith("label", 0, -3);
+        });
+
+        test("should outline labels with a halo", () => {
+            canvasHelper.drawLink(that.context, { ...that.props, labelBackground: "halo" }, { x1: 0, y1: 0, x2: 100 });
+
+            expect(that.context.strokeText).toHaveBeenCalledWith("label", 0, -3);
+            expect(that.context.lineWidth).toEqual(3);
+        });
+
+        test("should draw labels over a background rectangle", () => {
+            canvasHelper.drawLink(that.context, { ...that.props, labelBackground: "rect" }, { x1: 0, y1: 0, x2: 100 });
+
+            expect(that.context.fillRect).toHaveBeenCalledWith(-25, -13, 25, 12.5);
+            expect(that.context.strokeText).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("#drawLink for self-loops", () => {
+        test("should place label on the loop apex", () => {
+            const props = {
+                source: "A",
+                target: "A",
+                d: "M0,0C0,0 0,0 0,0",
+                stroke: "red",
+                strokeWidth: 1,
+                label: "label",
+                selfLoop: { angle: Math.PI / 2, size: 30 },
+            };
+
+            canvasHelper.drawLink(that.context, props, { x1: 10, y1: 10, x2: 10, y2: 10, targetRadius: 0 });
+
+            const [x, y] = that.context.translate.mock.calls[0];
+
+            expect(x).toBeCloseTo(10);
+            expect(y).toBeCloseTo(40);
+        });
+    });
+
+    describe("#findElementAt", () => {
+        beforeEach(() => {
+            that.hitRegions = {
+                nodes: [{ id: "A", x: 0, y: 0, radius: 10 }, { id: "B", x: 100, y: 0, radius: 10 }],
+                links: [{ id: "A,B", source: "A", target: "B", path: { d: "M0,0L100,0" }, strokeWidth: 1 }],
+                groups: [{ id: "team", path: { d: "M-20,-20L120,-20L120,20L-20,20Z" } }],
+            };
+        });
+
+        test("should find group under point when there's no node nor link", () => {
+            that.context.isPointInStroke = jest.fn(() => false);
+            that.context.isPointInPath = jest.fn(path => path.d === "M-20,-20L120,-20L120,20L-20,20Z");
+
+            const element = canvasHelper.findElementAt(that.context, that.hitRegions, [50, 15], { x: 0, y: 0, k: 1 });
+
+            expect(element).toEqual({ type: "group", id: "team" });
+            expect(that.context.isPointInPath).toHaveBeenCalledWith(that.hitRegions.groups[0].path, 50, 15);
+        });
+
+        test("should find node under point", () => {
+            const element = canvasHelper.findElementAt(that.context, that.hitRegions, [105, 5], { x: 0, y: 0, k: 1 });
+
+            expect(element).toEqual({ type: "node", id: "B" });
+        });
+
+        test("should take zoom transform into account", () => {
+            const element = canvasHelper.findElementAt(that.context, that.hitRegions, [250, 50], {
+                x: 50,
+                y: 50,
+                k: 2,
+            });
+
+            expect(element).toEqual({ type: "node", id: "B" });
+        });
+
+        test("should find link under point when there's no node", () => {
+            const element = canvasHelper.findElementAt(that.context, that.hitRegions, [50, 0], { x: 0, y: 0, k: 1 });
+
+            expect(element).toEqual({ type: "link", id: "A,B", source: "A", target: "B" });
+        });
+
+        test("should return undefined when there's nothing under point", () => {
+            that.context.isPointInStroke = jest.fn(() => false);
+
+            const element = canvasHelper.findElementAt(that.context, that.hitRegions, [50, 300], { x: 0, y: 0, k: 1 });
+
+            expect(element).toBeUndefined();
+        });
+    });
+});
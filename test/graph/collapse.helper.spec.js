@@ -173,5 +173,104 @@ describe("Collapse Helper", () => {
                 ).toMatchSnapshot();
             });
         });
+
+        describe("when nodes are connected through parallel links", () => {
+            test("should restore the value of the cheapest link", () => {
+                const d3Links = [{ source: "A", target: "B", value: 3 }, { source: "B", target: "A", value: 2 }];
+                const linksMatrix = { A: { B: 0 }, B: { A: 0 } };
+
+                expect(
+                    collapseHelper.toggleLinksMatrixConnections(
+                        linksMatrix,
+                        [{ source: "A", target: "B" }],
+                        { directed: false },
+                        d3Links
+                    )
+                ).toEqual({ A: { B: 2 }, B: { A: 2 } });
+            });
+        });
+    });
+
+    describe("#getHiddenNodes", () => {
+        // A -> B -> C -> D, B -> E and F -> C
+        const d3Links = [
+            { source: { id: "A" }, target: { id: "B" } },
+            { source: "B", target: "C" },
+            { source: "C", target: "D" },
+            { source: "B", target: "E" },
+            { source: "F", target: "C" },
+        ];
+
+        describe("when graph is directed", () => {
+            test("should hide all descendants of the collapsed nodes", () => {
+                expect(collapseHelper.getHiddenNodes(["B"], d3Links.slice(0, 4), { directed: true })).toEqual({
+                    hiddenNodeIds: { C: true, D: true, E: true },
+                    hiddenCounts: { B: 3 },
+                });
+            });
+
+            test("should keep the descendants that can be reached from some visible node", () => {
+                expect(collapseHelper.getHiddenNodes(["A"], d3Links, { directed: true })).toEqual({
+                    hiddenNodeIds: { B: true, E: true },
+                    hiddenCounts: { A: 2 },
+                });
+            });
+
+            test("should hide collapsed nodes folded by other collapsed nodes", () => {
+                expect(collapseHelper.getHiddenNodes(["A", "B"], d3Links.slice(0, 4), { directed: true })).toEqual({
+                    hiddenNodeIds: { B: true, C: true, D: true, E: true },
+                    hiddenCounts: { A: 4, B: 3 },
+                });
+            });
+
+            test("should not hide the collapsed node within a cycle", () => {
+                const cycle = [{ source: "A", target: "B" }, { source: "B", target: "A" }];
+
+                expect(collapseHelper.getHiddenNodes(["A"], cycle, { directed: true }).hiddenNodeIds).toEqual({
+                    B: true,
+                });
+            });
+        });
+
+        describe("when graph is not directed", () => {
+            test("should only hide the leaf neighbors of the collapsed nodes", () => {
+                expect(collapseHelper.getHiddenNodes(["B", "Z"], d3Links, { directed: false })).toEqual({
+                    hiddenNodeIds: { A: true, E: true },
+                    hiddenCounts: { B: 2 },
+                });
+            });
+        });
+    });
+
+    describe("#isNodeVisible", () => {
+        test("should only hide the nodes hidden by collapsed nodes", () => {
+            const nodes = { A: { id: "A", _hidden: true }, B: { id: "B", _orphan: true }, C: { id: "C" } };
+
+            expect(["A", "B", "C"].map(id => collapseHelper.isNodeVisible(id, nodes))).toEqual([false, true, true]);
+        });
+    });
+
+    describe("#getCollapsedNodeIds", () => {
+        test("should take the collapsedNodeIds prop over the internal state", () => {
+            const graph = { props: {}, state: { collapsedNodeIds: ["B"] } };
+
+            expect(collapseHelper.getCollapsedNodeIds(graph)).toEqual(["B"]);
+            expect(collapseHelper.getCollapsedNodeIds(graph, { collapsedNodeIds: ["A"] })).toEqual(["A"]);
+        });
+    });
+
+    describe("#toggleCollapsedGroup", () => {
+        test("should only notify the change when collapsed groups are controlled", () => {
+            const graph = {
+                props: { collapsedGroupIds: ["g1"], onCollapsedGroupsChange: jest.fn() },
+                state: {},
+                _updateGraphState: jest.fn(),
+            };
+
+            collapseHelper.toggleCollapsedGroup(graph, "g2");
+
+            expect(graph._updateGraphState).not.toHaveBeenCalled();
+            expect(graph.props.onCollapsedGroupsChange).toHaveBeenCalledWith(["g1", "g2"]);
+        });
     });
 });
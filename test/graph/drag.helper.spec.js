@@ -0,0 +1,93 @@
+import { select as d3Select } from "d3-selection";
+
+import * as dragHelper from "../../src/components/graph/drag.helper";
+
+describe("Drag Helper", () => {
+    let graph;
+
+    beforeEach(() => {
+        const simulation = { restart: jest.fn() };
+
+        simulation.alphaTarget = jest.fn(() => simulation);
+        graph = {
+            props: { onNodePositionChange: jest.fn() },
+            state: {
+                config: { staticGraph: false, automaticRearrangeAfterDropNode: true, d3: { alphaTarget: 0.05 } },
+                nodes: { A: { id: "A", x: 10, y: 20 } },
+                simulation,
+            },
+            _isCanvasRenderer: () => false,
+            _isForceLayout: () => true,
+        };
+    });
+
+    describe("#onDragEnd", () => {
+        test("should report the position of the dragged node", () => {
+            graph.nodeDragged = true;
+            dragHelper.onDragEnd(graph, 0, [{ id: "A" }]);
+
+            expect(graph.props.onNodePositionChange).toHaveBeenCalledWith("A", 10, 20);
+        });
+
+        test("should not report the position of nodes that weren't moved", () => {
+            dragHelper.onDragEnd(graph, 0, [{ id: "A" }]);
+
+            expect(graph.props.onNodePositionChange).not.toHaveBeenCalled();
+        });
+
+        test("should rearrange the graph after dropping the node", () => {
+            dragHelper.onDragEnd(graph, 0, [{ id: "A" }]);
+
+            expect(graph.state.simulation.alphaTarget).toHaveBeenCalledWith(0.05);
+            expect(graph.state.simulation.restart).toHaveBeenCalled();
+        });
+
+        test("should not rearrange the graph for layouts other than force", () => {
+            graph._isForceLayout = () => false;
+            dragHelper.onDragEnd(graph, 0, [{ id: "A" }]);
+
+            expect(graph.state.simulation.restart).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("#configureDrag", () => {
+        const addNode = id => {
+            const node = document.createElement("div");
+
+            node.setAttribute("class", "node");
+            node.id = id;
+            document.getElementById("graph-id-graph-wrapper").appendChild(node);
+
+            return node;
+        };
+        const isDraggable = node => !!d3Select(node).on("mousedown.drag");
+
+        beforeEach(() => {
+            const wrapper = document.createElement("div");
+
+            wrapper.id = "graph-id-graph-wrapper";
+            document.body.innerHTML = "";
+            document.body.appendChild(wrapper);
+            graph.state.id = "graph-id";
+        });
+
+        test("should only bind the mounted nodes when the rendered nodes changed", () => {
+            const nodeA = addNode("A");
+
+            graph.renderedNodeIds = "A";
+            dragHelper.configureDrag(graph);
+
+            const nodeB = addNode("B");
+
+            dragHelper.configureDrag(graph, true);
+
+            expect(isDraggable(nodeA)).toEqual(true);
+            expect(isDraggable(nodeB)).toEqual(false);
+
+            graph.renderedNodeIds = "A,B";
+            dragHelper.configureDrag(graph, true);
+
+            expect(isDraggable(nodeB)).toEqual(true);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import * as exportHelper from "../../src/components/graph/export.helper";
+
+describe("Export Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <svg name="svg-container-graph" style="width: 800px">
+                <defs><marker id="marker-small"></marker></defs>
+                <g id="graph-graph-container-zoomable" transform="translate(10,10) scale(2)">
+                    <path class="link" d="M0,0L10,10"></path>
+                    <g class="node"><image href="node.svg"></image></g>
+                </g>
+                <polygon class="selection-brush" points="0,0 1,1"></polygon>
+            </svg>
+        `;
+        that.svg = document.querySelector("svg");
+        that.config = { width: 800, height: 400 };
+        that.fetch = window.fetch;
+        // jsdom does not implement XMLSerializer
+        window.XMLSerializer = jest.fn(() => ({ serializeToString: node => node.outerHTML }));
+        window.fetch = jest.fn(() => Promise.resolve({ blob: () => Promise.resolve(new window.Blob(["<svg/>"])) }));
+    });
+
+    afterEach(() => {
+        window.fetch = that.fetch;
+        delete window.XMLSerializer;
+    });
+
+    describe("#exportSVG", () => {
+        test("should serialize standalone svg with current zoom", () =>
+            exportHelper.exportSVG(that.svg, "graph", that.config).then(({ markup, width, height }) => {
+                expect(width).toEqual(800);
+                expect(height).toEqual(400);
+                expect(markup).toMatch(/xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+                expect(markup).toMatch(/<marker id="marker-small"/);
+                expect(markup).toMatch(/transform="translate\(10,10\) scale\(2\)"/);
+                expect(markup).not.toContain("selection-brush");
+                expect(markup).not.toContain("svg-container-graph");
+            }));
+
+        test("should embed node images as data urls", () =>
+            exportHelper.exportSVG(that.svg, "graph", that.config).then(({ markup }) => {
+                expect(window.fetch).toHaveBeenCalledWith("node.svg");
+                expect(markup).toMatch(/href="data:/);
+            }));
+
+        test("should keep images that can't be fetched", () => {
+            window.fetch = jest.fn(() => Promise.reject(new Error("offline")));
+
+            return exportHelper.exportSVG(that.svg, "graph", that.config).then(({ markup }) => {
+                expect(markup).toMatch(/href="node\.svg"/);
+            });
+        });
+
+        test("should fit the graph contents when fit is set", () => {
+            document.querySelector("g").getBBox = () => ({ x: 10, y: 20, width: 100, height: 50 });
+
+            return exportHelper
+                .exportSVG(that.svg, "graph", that.config, { fit: true, padding: 5 })
+                .then(({ markup, width, height }) => {
+                    expect(width).toEqual(110);
+                    expect(height).toEqual(60);
+                    expect(markup).toMatch(/viewBox="5 15 110 60"/);
+                    expect(markup).not.toContain("scale(2)");
+                });
+        });
+    });
+
+    describe("#exportGraphSVG", () => {
+        test("should export the svg where the graph is rendered", () => {
+            document.body.innerHTML = `<div id="graph-graph-wrapper">${document.body.innerHTML}</div>`;
+
+            const graph = { state: { id: "graph", config: { ...that.config, renderer: "svg" } } };
+
+            return exportHelper.exportGraphSVG(graph).then(markup => {
+                expect(markup).toMatch(/<marker id="marker-small"/);
+            });
+        });
+
+        test("should reject for the canvas renderer", () => {
+            const graph = { state: { id: "graph", config: { ...that.config, renderer: "canvas" } } };
+
+            expect.assertions(1);
+
+            return exportHelper.exportGraphSVG(graph).catch(error => {
+                expect(error.message).toMatch(/canvas renderer/);
+            });
+        });
+    });
+});
@@ -11,7 +11,7 @@ describe("Graph Helper", () => {
         utils.isEmptyObject = jest.fn();
         utils.merge = jest.fn();
         utils.throwErr = jest.fn();
-        jest.spyOn(linkHelper, "buildLinkPathDefinition");
+        jest.spyOn(linkHelper, "buildLinkPath");
     });
 
     describe("#buildLinkProps", () => {
@@ -19,21 +19,254 @@ describe("Graph Helper", () => {
 
         beforeAll(() => {
             that = {
-                config: { link: config.link },
+                config: { link: config.link, node: config.node },
                 link: { source: "source", target: "target" },
             };
         });
 
         describe("when building props for a link", () => {
-            test("should call buildLinkPathDefinition with expected parameters", () => {
+            test("should call buildLinkPath with expected parameters", () => {
                 graphHelper.buildLinkProps(that.link, {}, {}, that.config, [], undefined, undefined, 1);
 
-                expect(linkHelper.buildLinkPathDefinition).toHaveBeenCalledWith(
-                    { source: { x: 0, y: 0 }, target: { x: 0, y: 0 } },
-                    "STRAIGHT"
+                const shape = { size: 200, type: "circle", rect: false };
+
+                expect(linkHelper.buildLinkPath).toHaveBeenCalledWith(
+                    { source: { x: 0, y: 0, shape }, target: { x: 0, y: 0, shape }, curvature: 0.5 },
+                    "STRAIGHT",
+                    0,
+                    false
                 );
             });
 
+            test("should clip the link at the boundaries of its nodes", () => {
+                const props = graphHelper.buildLinkProps(
+                    that.link,
+                    { source: { x: 0, y: 0, size: 400 * Math.PI }, target: { x: 100, y: 0, symbolType: "square" } },
+                    {},
+                    { ...that.config, node: { ...config.node, size: 400 } },
+                    [],
+                    undefined,
+                    undefined,
+                    1
+                );
+
+                const [x1, y1, , , , , , x2, y2] = props.d.match(/[\d.-]+/g).map(Number);
+
+                expect(x1).toBeCloseTo(20, 2);
+                expect(x2).toBeCloseTo(90, 2);
+                expect([y1, y2]).toEqual([0, 0]);
+                expect(props.tip).toEqual({ x: x2, y: 0, angle: 0 });
+            });
+
+            test("should dim the links that are not spotlighted through the highlight prop", () => {
+                const build = spotlighted =>
+                    graphHelper.buildLinkProps(
+                        { ...that.link, spotlighted },
+                        { source: {}, target: {} },
+                        {},
+                        { ...that.config, highlightOpacity: 0.2, link: { ...config.link, highlightColor: "red" } },
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                expect(build(undefined)).toMatchObject({ opacity: config.link.opacity, stroke: config.link.color });
+                expect(build(true)).toMatchObject({ opacity: config.link.opacity, stroke: "red" });
+                expect(build(false)).toMatchObject({ opacity: 0.2, stroke: config.link.color });
+            });
+
+            test("should style the links of the highlighted path", () => {
+                const build = (pathDirection, flow) =>
+                    graphHelper.buildLinkProps(
+                        { ...that.link, pathDirection },
+                        { source: {}, target: {} },
+                        {},
+                        { ...that.config, path: { color: "orange", flow, flowDuration: 2, strokeWidth: 4 } },
+                        [],
+                        undefined,
+                        undefined,
+                        2
+                    );
+
+                expect(build(0, true)).toMatchObject({ stroke: config.link.color, flow: null });
+                expect(build(-1, false)).toMatchObject({ stroke: "orange", strokeWidth: 2, flow: null });
+                expect(build(1, true).flow).toEqual({ dashArray: [6, 4], direction: 1, duration: 2 });
+            });
+
+            describe("and the link is a self-loop", () => {
+                test("should draw a loop pointing away from the node neighbours", () => {
+                    const props = graphHelper.buildLinkProps(
+                        { source: "A", target: "A" },
+                        { A: { x: 0, y: 0 }, B: { x: 0, y: 100 } },
+                        { A: { A: 1, B: 1 }, B: {} },
+                        { ...that.config, node: { size: 100 * Math.PI } },
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                    const [x1, y1, , , , , x2, y2] = props.d.match(/[\d.-]+/g).map(Number);
+
+                    expect(props.selfLoop).toEqual({ angle: -Math.PI / 2, size: 25 });
+                    expect(Math.sqrt(x1 * x1 + y1 * y1)).toBeCloseTo(10, 2);
+                    expect(Math.sqrt(x2 * x2 + y2 * y2)).toBeCloseTo(10, 2);
+                    expect(y1).toBeLessThan(0);
+                });
+
+                test("should stack the self-loops of the same node", () => {
+                    const props = graphHelper.buildLinkProps(
+                        { source: "A", target: "A", parallelIndex: 1, parallelCount: 2 },
+                        { A: { x: 0, y: 0, size: 100 * Math.PI } },
+                        { A: { A: 2 } },
+                        that.config,
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                    expect(props.parallelOffset).toEqual(0);
+                    expect(props.selfLoop).toEqual({ angle: -Math.PI / 2, size: 40 });
+                });
+            });
+
+            describe("and the link has parallel links", () => {
+                test("should fan out the link path", () => {
+                    const props = graphHelper.buildLinkProps(
+                        { ...that.link, parallelIndex: 1, parallelCount: 2 },
+                        { source: { x: 0, y: 0 }, target: { x: 100, y: 0 } },
+                        {},
+                        that.config,
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                    const [x1, y1, cx, cy] = props.d.match(/[\d.-]+/g).map(Number);
+
+                    expect(props.parallelOffset).toEqual(10);
+                    expect(props.d).toMatch(/^M[\d.]+,[\d.]+Q50,[\d.]+ [\d.]+,[\d.]+$/);
+                    expect(cx).toEqual(50);
+                    expect(cy).toBeGreaterThan(0);
+                    expect(Math.sqrt(x1 * x1 + y1 * y1)).toBeCloseTo(Math.sqrt(200 / Math.PI), 2);
+                });
+
+                test("should only highlight the hovered parallel link", () => {
+                    const highlightedLink = { source: "source", target: "target", id: "source,target,1" };
+                    const build = link =>
+                        graphHelper.buildLinkProps(
+                            { ...that.link, ...link, parallelCount: 2 },
+                            { source: {}, target: {} },
+                            {},
+                            { ...that.config, highlightOpacity: 0.2 },
+                            [],
+                            undefined,
+                            highlightedLink,
+                            1
+                        );
+
+                    expect(build({ parallelIndex: 0 }).opacity).toEqual(0.2);
+                    expect(build({ parallelIndex: 1 }).opacity).toEqual(that.config.link.opacity);
+                });
+            });
+
+            describe("and the link has a label", () => {
+                const build = (linkConfig, target = { x: 0, y: 0 }) =>
+                    graphHelper.buildLinkProps(
+                        { ...that.link, label: "label" },
+                        { source: { x: 100, y: 0 }, target },
+                        {},
+                        { ...that.config, link: { ...config.link, renderLabel: true, ...linkConfig } },
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                test("should keep labels of right to left links upright", () => {
+                    const props = build({ labelPosition: "start" });
+
+                    // the label path goes from the link tip back to its tail
+                    expect(props.labelPath).toEqual(`M${props.tip.x},0A0,0 0 0,1 ${props.tail.x},0`);
+                    expect(props.labelStartOffset).toEqual("100%");
+                    expect(props.labelAnchor).toEqual("end");
+                    expect(props.labelPoint.angle).toBeCloseTo(0);
+                });
+
+                test("should let labels follow the link when they are not kept upright", () => {
+                    const props = build({ labelPosition: "25%", labelUpright: false });
+
+                    expect(props.labelPath).toBeNull();
+                    expect(props.labelStartOffset).toEqual("25%");
+                    expect(props.labelAnchor).toEqual("middle");
+                    expect(props.labelPoint.angle).toBeCloseTo(Math.PI);
+                });
+
+                test("should hide labels while the graph is zoomed out beyond labelMinZoom", () => {
+                    that.config.panAndZoom = true;
+
+                    expect(build({ labelMinZoom: 2 }).label).toBeNull();
+                    expect(build({ labelMinZoom: 1 }).label).toEqual("label");
+                });
+
+                test("should hide labels longer than their link", () => {
+                    expect(build({ hideLongLabels: true }, { x: 80, y: 0 }).label).toBeNull();
+                    expect(build({ hideLongLabels: true }).label).toEqual("label");
+                    expect(build({ hideLongLabels: false }, { x: 80, y: 0 }).label).toEqual("label");
+                });
+            });
+
+            describe("and the link config has a path generator", () => {
+                test("should draw the path returned by the generator", () => {
+                    const nodes = { source: { id: "source", x: 0, y: 0 }, target: { id: "target", x: 100, y: 50 } };
+                    const pathGenerator = jest.fn(
+                        (source, target) => `M${source.x},${source.y}H${target.x}V${target.y}`
+                    );
+                    const props = graphHelper.buildLinkProps(
+                        { ...that.link, parallelIndex: 1, parallelCount: 2 },
+                        nodes,
+                        {},
+                        { ...that.config, link: { ...config.link, pathGenerator } },
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                    expect(pathGenerator).toHaveBeenCalledWith(nodes.source, nodes.target, {
+                        ...that.link,
+                        parallelIndex: 1,
+                        parallelCount: 2,
+                    });
+                    expect(props.d).toEqual("M0,0H100V50");
+                    expect(props.parallelOffset).toEqual(0);
+                });
+            });
+
+            describe("and the graph is directed", () => {
+                test("should resolve the link markers and split the path for mid markers", () => {
+                    const props = graphHelper.buildLinkProps(
+                        { ...that.link, markerStart: "bar", markerMid: "circle" },
+                        { source: { x: 0, y: 0 }, target: { x: 100, y: 0 } },
+                        {},
+                        { ...that.config, directed: true },
+                        [],
+                        undefined,
+                        undefined,
+                        1
+                    );
+
+                    expect(props.markers).toEqual({ start: "bar", mid: "circle", end: "arrow" });
+                    expect(linkHelper.buildLinkPath).toHaveBeenLastCalledWith(expect.any(Object), "STRAIGHT", 0, true);
+                    expect(props.tail.angle).toBeCloseTo(Math.PI);
+                    expect(props.middle.x).toBeCloseTo(50);
+                    expect(props.middle.angle).toBeCloseTo(0);
+                });
+            });
+
             describe("and no custom color is set", () => {
                 test("should return default color defined in link config", () => {
                     const props = graphHelper.buildLinkProps(
@@ -70,6 +303,23 @@ describe("Graph Helper", () => {
         });
     });
 
+    describe("#buildLinkProps selection", () => {
+        test("should return selectedColor as stroke when link is selected", () => {
+            const props = graphHelper.buildLinkProps(
+                { source: "source", target: "target", color: "green", selected: true },
+                {},
+                {},
+                { link: config.link, node: config.node },
+                [],
+                undefined,
+                undefined,
+                1
+            );
+
+            expect(props.stroke).toEqual(config.link.selectedColor);
+        });
+    });
+
     describe("#buildNodeProps", () => {
         let that = {};
 
@@ -103,17 +353,28 @@ describe("Graph Helper", () => {
 
                 expect(props).toEqual({
                     ...that.node,
+                    badge: null,
+                    badgeColor: "#d62728",
+                    badgeFontColor: "white",
+                    badgeRadius: null,
+                    badgeX: null,
+                    badgeY: null,
                     className: "node",
                     cursor: "pointer",
                     cx: 1,
                     cy: 2,
-                    dx: 15.5,
                     fill: "red",
                     fontSize: 12,
                     fontWeight: "bold",
                     fontColor: "black",
                     id: "id",
                     label: "id",
+                    labelAnchor: "start",
+                    labelLineHeight: 12 * 1.2,
+                    labelLines: ["id"],
+                    labelTitle: null,
+                    labelX: 10 + 12 * 0.25,
+                    labelY: 12 * 0.35,
                     onClickNode: undefined,
                     onRightClickNode: undefined,
                     onMouseOut: undefined,
@@ -130,6 +391,48 @@ describe("Graph Helper", () => {
                 });
             });
         });
+        describe("when the highlight prop spotlights some nodes", () => {
+            test("should highlight the spotlighted nodes and dim the remaining ones", () => {
+                Object.assign(that.config, { highlightOpacity: 0.2 });
+                Object.assign(that.config.node, { highlightColor: "red" });
+
+                const build = node => graphHelper.buildNodeProps(node, that.config, undefined, undefined, undefined, 1);
+
+                expect(build({ ...that.node, spotlighted: true })).toMatchObject({ fill: "red", opacity: 1 });
+                expect(build({ ...that.node, spotlighted: false })).toMatchObject({ fill: "green", opacity: 0.2 });
+            });
+
+            test("should keep highlighting the hovered nodes", () => {
+                Object.assign(that.config, { highlightOpacity: 0.2 });
+
+                const props = graphHelper.buildNodeProps(
+                    { ...that.node, highlighted: true, spotlighted: false },
+                    that.config,
+                    undefined,
+                    "id",
+                    undefined,
+                    1
+                );
+
+                expect(props.opacity).toEqual(1);
+            });
+        });
+        describe("when node to build is part of the highlighted path", () => {
+            test("should stroke the node with the path style", () => {
+                that.config.path = { color: "orange", nodeStrokeWidth: 3 };
+
+                const props = graphHelper.buildNodeProps(
+                    { ...that.node, onPath: true },
+                    that.config,
+                    undefined,
+                    undefined,
+                    undefined,
+                    1
+                );
+
+                expect(props).toMatchObject({ stroke: "orange", strokeWidth: 3 });
+            });
+        });
         describe("when node to build is the highlightedLink target (or source)", () => {
             describe("and highlight degree is 0", () => {
                 test("should properly build node props ()", () => {
@@ -149,17 +452,28 @@ describe("Graph Helper", () => {
 
                     expect(props).toEqual({
                         ...that.node,
+                        badge: null,
+                        badgeColor: "#d62728",
+                        badgeFontColor: "white",
+                        badgeRadius: null,
+                        badgeX: null,
+                        badgeY: null,
                         className: "node",
                         cursor: "pointer",
                         cx: 1,
                         cy: 2,
-                        dx: 11.5,
                         fill: "green",
                         fontSize: 8,
                         fontWeight: "normal",
                         fontColor: "black",
                         id: "id",
                         label: "id",
+                        labelAnchor: "start",
+                        labelLineHeight: 8 * 1.2,
+                        labelLines: ["id"],
+                        labelTitle: null,
+                        labelX: 10 + 8 * 0.25,
+                        labelY: 8 * 0.35,
                         onClickNode: undefined,
                         onRightClickNode: undefined,
                         onMouseOut: undefined,
@@ -194,17 +508,28 @@ describe("Graph Helper", () => {
 
                     expect(props).toEqual({
                         ...that.node,
+                        badge: null,
+                        badgeColor: "#d62728",
+                        badgeFontColor: "white",
+                        badgeRadius: null,
+                        badgeX: null,
+                        badgeY: null,
                         className: "node",
                         cursor: "pointer",
                         cx: 1,
                         cy: 2,
-                        dx: 11.5,
                         fill: "green",
                         fontSize: 8,
                         fontWeight: "normal",
                         fontColor: "black",
                         id: "id",
                         label: "id",
+                        labelAnchor: "start",
+                        labelLineHeight: 8 * 1.2,
+                        labelLines: ["id"],
+                        labelTitle: null,
+                        labelX: 10 + 8 * 0.25,
+                        labelY: 8 * 0.35,
                         onClickNode: undefined,
                         onRightClickNode: undefined,
                         onMouseOut: undefined,
@@ -243,5 +568,136 @@ describe("Graph Helper", () => {
                 expect(props.stroke).toEqual("yellow");
             });
         });
+        describe("when node is selected", () => {
+            test("should return selected stroke values in the props", () => {
+                const props = graphHelper.buildNodeProps(
+                    { ...that.node, selected: true },
+                    that.config,
+                    undefined,
+                    undefined,
+                    undefined,
+                    1
+                );
+
+                expect(props.fill).toEqual("green");
+                expect(props.stroke).toEqual(that.config.node.selectedStrokeColor);
+                expect(props.strokeWidth).toEqual(that.config.node.selectedStrokeWidth);
+            });
+        });
+        describe("when the graph is zoomed out beyond labelMinZoom", () => {
+            test("should not render the node label", () => {
+                Object.assign(that.config, { panAndZoom: true });
+                that.config.node.labelMinZoom = 2;
+
+                expect(
+                    graphHelper.buildNodeProps(that.node, that.config, undefined, undefined, undefined, 1).renderLabel
+                ).toBe(false);
+                expect(
+                    graphHelper.buildNodeProps(that.node, that.config, undefined, undefined, undefined, 2).renderLabel
+                ).toBe(true);
+            });
+
+            test("should always render the node label when panAndZoom is off", () => {
+                that.config.node.labelMinZoom = 2;
+
+                expect(
+                    graphHelper.buildNodeProps(that.node, that.config, undefined, undefined, undefined, 1).renderLabel
+                ).toBe(true);
+            });
+        });
+        describe("when the node has a label position", () => {
+            test("should place the label below the node, overriding the config", () => {
+                that.config.node.labelPosition = "top";
+
+                const props = graphHelper.buildNodeProps(
+                    { ...that.node, labelPosition: "bottom" },
+                    that.config,
+                    undefined,
+                    undefined,
+                    undefined,
+                    1
+                );
+
+                expect(props.labelAnchor).toEqual("middle");
+                expect(props.labelX).toEqual(0);
+                expect(props.labelY).toBeCloseTo(10 + 2 + 8 * 0.8);
+            });
+        });
+        describe("when labels have a max width", () => {
+            test("should wrap and truncate the label scaled by the zoom level", () => {
+                Object.assign(that.config.node, { labelMaxLines: 1, labelMaxWidth: 60, labelProperty: "name" });
+
+                const props = graphHelper.buildNodeProps(
+                    { ...that.node, name: "some long label" },
+                    that.config,
+                    undefined,
+                    undefined,
+                    undefined,
+                    0.5
+                );
+
+                expect(props.labelLines).toEqual(["some long\u2026"]);
+                expect(props.labelTitle).toEqual("some long label");
+            });
+        });
+        describe("when the node is a compound node", () => {
+            test("should be labeled after its group", () => {
+                const props = graphHelper.buildNodeProps({ ...that.node, groupLabel: "team (3)" }, that.config);
+
+                expect(props.label).toEqual("team (3)");
+            });
+        });
+        describe("when the node is collapsed", () => {
+            test("should show a badge with the number of hidden nodes on the node boundary", () => {
+                that.config.collapsible = true;
+
+                const props = graphHelper.buildNodeProps({ ...that.node, _hiddenCount: 3 }, that.config, {}, "", {}, 1);
+
+                expect(props.badge).toEqual("3");
+                expect(props.badgeX).toBeCloseTo(10);
+                expect(props.badgeY).toBeCloseTo(-10);
+                expect(props.badgeRadius).toBeCloseTo(8 * 0.9);
+            });
+
+            test("should not show the badge if the graph is not collapsible", () => {
+                const props = graphHelper.buildNodeProps({ ...that.node, _hiddenCount: 3 }, that.config, {}, "", {}, 1);
+
+                expect(props.badge).toBeNull();
+            });
+        });
+    });
+
+    describe("#buildGroupProps", () => {
+        const members = [{ x: 0, y: 0 }, { x: 100, y: 0 }];
+
+        test("should outline the members and place the label on top of the group", () => {
+            const props = graphHelper.buildGroupProps({ id: "team" }, members, config, {}, 1);
+
+            expect(props).toMatchObject({
+                id: "team",
+                className: "group",
+                fill: config.group.color,
+                fillOpacity: config.group.fillOpacity,
+                label: "team",
+                labelX: 50,
+                labelY: -20 - config.group.fontSize * 0.25,
+                stroke: config.group.strokeColor,
+                strokeWidth: config.group.strokeWidth,
+            });
+            expect(props.d).toContain(`A${config.group.padding},${config.group.padding}`);
+        });
+
+        test("should apply the styles of the group payload", () => {
+            const group = { id: "team", label: "Team", color: "red", fillOpacity: 0, padding: 5, strokeWidth: 2 };
+            const props = graphHelper.buildGroupProps(group, members, config, {}, 2);
+
+            expect(props).toMatchObject({ label: "Team", fill: "red", fillOpacity: 0, strokeWidth: 1 });
+            expect(props.fontSize).toEqual(config.group.fontSize / 2);
+            expect(props.d).toContain("A5,5");
+        });
+
+        test("should not build groups without members", () => {
+            expect(graphHelper.buildGroupProps({ id: "team" }, [], config, {}, 1)).toBeNull();
+        });
     });
 });
@@ -94,6 +94,21 @@ describe("Graph Helper", () => {
                         },
                     ]);
                 });
+
+                test("should not reuse stored links that connect other nodes", () => {
+                    const data = {
+                        nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+                        links: [{ source: "A", target: "C", value: 2 }],
+                    };
+                    const state = {
+                        nodes: {},
+                        d3Links: [{ index: 0, source: { id: "A" }, target: { id: "B" } }],
+                    };
+
+                    const newState = graphHelper.initializeGraphState({ data, id: "id", config: {} }, state);
+
+                    expect(newState.d3Links[0]).toMatchObject({ source: { id: "A" }, target: { id: "C" }, value: 2 });
+                });
             });
 
             describe("and received state is empty", () => {
@@ -137,6 +152,46 @@ describe("Graph Helper", () => {
                         },
                     ]);
                 });
+
+                test("should tag parallel links and keep the cheapest of them in the links matrix", () => {
+                    const data = {
+                        nodes: [{ id: "A" }, { id: "B" }],
+                        links: [
+                            { source: "B", target: "A", value: 2 },
+                            { source: "B", target: "A" },
+                            { source: "A", target: "B", value: 3 },
+                            { source: "A", target: "A" },
+                        ],
+                    };
+
+                    const newState = graphHelper.initializeGraphState({ data, id: "id", config: {} }, {});
+
+                    expect(newState.d3Links).toEqual([
+                        {
+                            source: "B",
+                            target: "A",
+                            value: 2,
+                            parallelIndex: 0,
+                            parallelCount: 2,
+                            parallelReversed: true,
+                        },
+                        { source: "B", target: "A", parallelIndex: 1, parallelCount: 2, parallelReversed: true },
+                        { source: "A", target: "B", value: 3 },
+                        { source: "A", target: "A" },
+                    ]);
+                    expect(newState.links).toEqual({ A: { A: 1, B: 1 }, B: { A: 1 } });
+                });
+
+                test("should not tag a single link in the reverse direction of another one", () => {
+                    const data = {
+                        nodes: [{ id: "A" }, { id: "B" }],
+                        links: [{ source: "A", target: "B" }, { source: "B", target: "A" }],
+                    };
+
+                    const newState = graphHelper.initializeGraphState({ data, id: "id", config: {} }, {});
+
+                    expect(newState.d3Links).toEqual([{ source: "A", target: "B" }, { source: "B", target: "A" }]);
+                });
             });
 
             test("should return proper state object for given inputs", () => {
@@ -334,4 +389,117 @@ describe("Graph Helper", () => {
             });
         });
     });
+
+    describe("#getLayoutSnapshot", () => {
+        test("should return nodes positions, fixed flags, zoom transform and collapsed nodes", () => {
+            const nodes = { A: { id: "A", x: 10, y: 20, fx: 10, fy: 20 }, B: { id: "B", x: "30", y: "40" } };
+            const snapshot = graphHelper.getLayoutSnapshot(nodes, ["A"], { x: 5, y: 6, k: 2 });
+
+            expect(snapshot).toEqual({
+                nodes: { A: { x: 10, y: 20, fixed: true }, B: { x: 30, y: 40, fixed: false } },
+                transform: { x: 5, y: 6, k: 2 },
+                collapsedNodeIds: ["A"],
+            });
+        });
+    });
+
+    describe("#restoreLayoutSnapshot", () => {
+        let that = {};
+
+        beforeEach(() => {
+            that.state = {
+                config: { collapsible: true, directed: false },
+                nodes: { A: { id: "A", x: 0, y: 0 }, B: { id: "B", x: 0, y: 0 } },
+                links: { A: { B: 1 }, B: { A: 1 } },
+                d3Links: [{ source: "A", target: "B" }],
+            };
+            that.snapshot = {
+                nodes: { A: { x: 10, y: 20, fixed: true }, B: { x: 30, y: 40, fixed: false }, Z: { x: 1, y: 1 } },
+                transform: { x: 0, y: 0, k: 1 },
+                collapsedNodeIds: ["A"],
+            };
+        });
+
+        test("should restore nodes positions and fixed nodes", () => {
+            that.state.config.collapsible = false;
+
+            const { nodes } = graphHelper.restoreLayoutSnapshot(that.state, that.snapshot);
+
+            expect(nodes).toEqual({ A: { id: "A", x: 10, y: 20, fx: 10, fy: 20 }, B: { id: "B", x: 30, y: 40 } });
+        });
+
+        test("should restore collapsed nodes", () => {
+            const { collapsedNodeIds, nodes, links, d3Links } = graphHelper.restoreLayoutSnapshot(
+                that.state,
+                that.snapshot
+            );
+
+            expect(collapsedNodeIds).toEqual(["A"]);
+            expect(nodes.A._hiddenCount).toEqual(1);
+            expect(nodes.B._hidden).toBe(true);
+            expect(links).toEqual({ A: { B: 0 }, B: { A: 0 } });
+            expect(d3Links).toEqual([{ source: "A", target: "B", isHidden: true }]);
+        });
+
+        test("should ignore collapsed nodes if graph is not collapsible", () => {
+            that.state.config.collapsible = false;
+
+            const restored = graphHelper.restoreLayoutSnapshot(that.state, that.snapshot);
+
+            expect(restored.collapsedNodeIds).toBeUndefined();
+            expect(restored.links).toEqual({ A: { B: 1 }, B: { A: 1 } });
+            expect(restored.d3Links).toEqual([{ source: "A", target: "B" }]);
+        });
+    });
+
+    describe("#collapseNodes", () => {
+        let that = {};
+
+        beforeEach(() => {
+            that.state = {
+                config: { collapsible: true, directed: true },
+                nodes: { A: { id: "A" }, B: { id: "B", _hidden: true }, C: { id: "C" }, D: { id: "D" } },
+                links: {},
+                d3Links: [
+                    { source: { id: "A" }, target: { id: "B" }, value: 2 },
+                    { source: "B", target: "C" },
+                    { source: "D", target: "A", isHidden: true },
+                ],
+            };
+        });
+
+        test("should hide the descendants of collapsed nodes along with their links", () => {
+            const { nodes, links, d3Links } = graphHelper.collapseNodes(that.state, ["B"]);
+
+            expect(nodes).toEqual({
+                A: { id: "A" },
+                B: { id: "B", _hiddenCount: 1 },
+                C: { id: "C", _hidden: true },
+                D: { id: "D" },
+            });
+            expect(d3Links.map(({ isHidden }) => isHidden)).toEqual([undefined, true, false]);
+            expect(links).toEqual({ A: { B: 2 }, B: { C: 0 }, C: {}, D: { A: 1 } });
+        });
+
+        test("should restore the value of the cheapest parallel link when nodes are expanded", () => {
+            that.state.d3Links.push({ source: "B", target: "C", value: 3 });
+
+            const collapsed = graphHelper.collapseNodes(that.state, ["B"]);
+
+            expect(collapsed.links.B).toEqual({ C: 0 });
+            expect(graphHelper.collapseNodes(collapsed, []).links.B).toEqual({ C: 1 });
+
+            that.state.d3Links[1].value = 4;
+
+            expect(graphHelper.collapseNodes(graphHelper.collapseNodes(that.state, ["B"]), []).links.B).toEqual({
+                C: 3,
+            });
+        });
+
+        test("should leave the state untouched if graph is not collapsible", () => {
+            that.state.config.collapsible = false;
+
+            expect(graphHelper.collapseNodes(that.state, ["B"])).toBe(that.state);
+        });
+    });
 });
@@ -1,7 +1,12 @@
 import React from "react";
+import ReactDOM from "react-dom";
 import renderer from "react-test-renderer";
+import { customEvent, select } from "d3-selection";
 
 import Graph from "../../src/components/graph/Graph";
+import Group from "../../src/components/group/Group";
+import Link from "../../src/components/link/Link";
+import Node from "../../src/components/node/Node";
 import graphMock from "./graph.mock.js";
 
 describe("Graph Component", () => {
@@ -94,4 +99,566 @@ describe("Graph Component", () => {
             expect(props.opacity).toEqual(that.highlightOpacity);
         });
     });
+
+    describe("when a node is dragged", () => {
+        beforeEach(() => {
+            that.dragCallbacks = {
+                onClickNode: jest.fn(),
+                onNodeDragStart: jest.fn(),
+                onNodeDrag: jest.fn(),
+                onNodePositionChange: jest.fn(),
+            };
+            that.dragGraph = renderer.create(
+                <Graph
+                    id="dragGraphId"
+                    data={{ nodes: [{ id: "A", x: 10, y: 20 }, { id: "B", x: 50, y: 50 }], links: [] }}
+                    config={{ staticGraph: false }}
+                    {...that.dragCallbacks}
+                />
+            );
+            that.instance = that.dragGraph.getInstance();
+            that.nodeList = [{ id: "A" }];
+            that.sourceEvent = { type: "mousedown" };
+
+            // customEvent sets the current event as the sourceEvent of the new one
+            customEvent(that.sourceEvent, () =>
+                customEvent({}, () => that.instance._onDragStart(null, 0, that.nodeList))
+            );
+            customEvent({ dx: 5, dy: -5 }, () => that.instance._onDragMove(null, 0, that.nodeList));
+            that.instance._onDragEnd(null, 0, that.nodeList);
+        });
+
+        afterEach(() => that.dragGraph.unmount());
+
+        test("should call drag lifecycle callbacks with node positions", () => {
+            const node = that.instance.state.nodes.A;
+
+            expect(that.dragCallbacks.onNodeDragStart).toHaveBeenCalledWith(node, that.sourceEvent);
+            expect(that.dragCallbacks.onNodeDrag).toHaveBeenCalledWith(node, { x: 15, y: 15 });
+            expect(that.dragCallbacks.onNodePositionChange).toHaveBeenCalledWith("A", 15, 15);
+        });
+
+        test("should not call onClickNode for the click that follows the drag", () => {
+            that.instance.onClickNode("A");
+
+            expect(that.dragCallbacks.onClickNode).not.toHaveBeenCalled();
+        });
+
+        test("should call onClickNode for the clicks that don't follow a drag", () => {
+            that.instance.onClickNode("A");
+            that.instance.onClickNode("A");
+
+            customEvent({}, () => that.instance._onDragStart(null, 0, that.nodeList));
+            that.instance._onDragEnd(null, 0, that.nodeList);
+            that.instance.onClickNode("B");
+
+            expect(that.dragCallbacks.onClickNode.mock.calls).toEqual([["A"], ["B"]]);
+        });
+    });
+
+    describe("when viewport culling is enabled", () => {
+        beforeEach(() => {
+            that.container = document.createElement("div");
+            document.body.appendChild(that.container);
+            that.instance = ReactDOM.render(
+                <Graph
+                    id="cullingGraphId"
+                    data={{ nodes: [{ id: "A", x: 10, y: 10 }, { id: "B", x: 1000, y: 1000 }], links: [] }}
+                    config={{ staticGraph: false, viewportCulling: true, width: 100, height: 100 }}
+                />,
+                that.container
+            );
+        });
+
+        afterEach(() => {
+            ReactDOM.unmountComponentAtNode(that.container);
+            document.body.removeChild(that.container);
+        });
+
+        test("should make draggable the nodes that enter the viewport", () => {
+            expect(document.getElementById("B")).toBeNull();
+
+            that.instance.panTo(1000, 1000, 0);
+
+            expect(select(document.getElementById("B")).on("mousedown.drag")).toBeDefined();
+        });
+    });
+
+    describe("when the selection behavior is active", () => {
+        beforeEach(() => {
+            that.selectionCallbacks = {
+                onClickLink: jest.fn(),
+                onClickNode: jest.fn(),
+                onSelectionChange: jest.fn(),
+            };
+            that.selectionGraph = renderer.create(
+                <Graph
+                    id="selectionGraphId"
+                    data={{ nodes: [{ id: "A", x: 10, y: 10 }, { id: "B", x: 50, y: 50 }], links: [] }}
+                    config={{ selectionBehavior: true }}
+                    {...that.selectionCallbacks}
+                />
+            );
+            that.instance = that.selectionGraph.getInstance();
+        });
+
+        afterEach(() => that.selectionGraph.unmount());
+
+        test("should call onClickNode and onClickLink for modifier clicks", () => {
+            that.instance.onClickNode("A", { shiftKey: true });
+            that.instance.onClickLink("A", "B", { shiftKey: true });
+
+            expect(that.selectionCallbacks.onClickNode).toHaveBeenCalledWith("A");
+            expect(that.selectionCallbacks.onClickLink).toHaveBeenCalledWith("A", "B", "A,B");
+            expect(that.selectionCallbacks.onSelectionChange).toHaveBeenLastCalledWith({
+                nodeIds: ["A"],
+                linkIds: ["A,B"],
+            });
+        });
+
+        test("should end the brush when the mouse is released outside of the graph", () => {
+            const target = { tagName: "svg", attributes: { name: { value: "svg-container-selectionGraphId" } } };
+            const currentTarget = { getBoundingClientRect: () => ({ left: 0, top: 0 }) };
+
+            that.instance.onMouseDownGraph({ shiftKey: true, clientX: 0, clientY: 0, target, currentTarget });
+            that.instance.onMouseMoveGraph({ clientX: 100, clientY: 100, currentTarget });
+            window.dispatchEvent(new MouseEvent("mouseup"));
+
+            expect(that.instance.state.brushPoints).toBeNull();
+            expect(that.selectionCallbacks.onSelectionChange).toHaveBeenCalledWith({
+                nodeIds: ["A", "B"],
+                linkIds: [],
+            });
+        });
+    });
+
+    describe("when nodes are connected through parallel links", () => {
+        beforeEach(() => {
+            that.onMouseOverLink = jest.fn();
+            that.parallelGraph = renderer.create(
+                <Graph
+                    id="parallelGraphId"
+                    data={{
+                        nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 100, y: 0 }],
+                        links: [
+                            { source: "A", target: "B", label: "first" },
+                            { source: "A", target: "B", label: "second" },
+                        ],
+                    }}
+                    config={{ staticGraph: true, linkHighlightBehavior: true, highlightOpacity: 0.2 }}
+                    onMouseOverLink={that.onMouseOverLink}
+                />
+            );
+        });
+
+        afterEach(() => that.parallelGraph.unmount());
+
+        test("should render each parallel link on its own", () => {
+            const links = that.parallelGraph.root.findAllByType(Link);
+
+            expect(links.map(({ props }) => props.id)).toEqual(["A,B", "A,B,1"]);
+            expect(links[0].props.d).not.toEqual(links[1].props.d);
+        });
+
+        test("should highlight only the hovered parallel link", () => {
+            that.parallelGraph.getInstance().onMouseOverLink("A", "B", "A,B,1");
+
+            const [first, second] = that.parallelGraph.root.findAllByType(Link);
+
+            expect(that.onMouseOverLink).toHaveBeenCalledWith("A", "B", "A,B,1");
+            expect(second.props.opacity).toBeGreaterThan(first.props.opacity);
+        });
+    });
+
+    describe("when a node links to itself", () => {
+        test("should render the self-loop as a loop with working handlers", () => {
+            const onClickLink = jest.fn();
+            const loopGraph = renderer.create(
+                <Graph
+                    id="loopGraphId"
+                    data={{ nodes: [{ id: "A", x: 10, y: 10 }], links: [{ source: "A", target: "A", label: "self" }] }}
+                    config={{ staticGraph: true, directed: true, link: { renderLabel: true } }}
+                    onClickLink={onClickLink}
+                />
+            );
+            const [loop] = loopGraph.root.findAllByType(Link);
+            const [path] = loop.findAllByType("path");
+
+            path.props.onClick("event");
+
+            expect(loop.props.d).toMatch(/^M[\d.]+,[\d.]+C/);
+            expect(loop.props.markers.end).toEqual("arrow");
+            expect(loop.findAllByType("textPath")).toHaveLength(1);
+            expect(onClickLink).toHaveBeenCalledWith("A", "A", "A,A");
+
+            loopGraph.unmount();
+        });
+    });
+
+    describe("when links have their own markers", () => {
+        test("should define the markers of each link shape and color", () => {
+            const markerGraph = renderer.create(
+                <Graph
+                    id="markerGraphId"
+                    data={{
+                        nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 100, y: 0 }, { id: "C", x: 0, y: 100 }],
+                        links: [
+                            { source: "A", target: "B", color: "red", markerStart: "arrow" },
+                            { source: "A", target: "C", markerEnd: "diamond", markerMid: "circle" },
+                        ],
+                    }}
+                    config={{ staticGraph: true, directed: true }}
+                />
+            );
+            const [redLink, link] = markerGraph.root.findAllByType(Link).map(l => l.findByType("path"));
+            const markerIds = markerGraph.root.findAllByType("marker").map(marker => marker.props.id);
+
+            expect(redLink.props.markerStart).toEqual("url(#markerGraphId-marker-arrow-tip-red)");
+            expect(redLink.props.markerEnd).toEqual("url(#markerGraphId-marker-arrow-tip-red)");
+            expect(link.props.markerMid).toEqual("url(#markerGraphId-marker-circle-mid-_23_d3d3d3)");
+            expect(link.props.markerEnd).toEqual("url(#markerGraphId-marker-diamond-tip-_23_d3d3d3)");
+            expect(markerIds).toEqual([
+                "markerGraphId-marker-arrow-tip-red",
+                "markerGraphId-marker-circle-mid-_23_d3d3d3",
+                "markerGraphId-marker-diamond-tip-_23_d3d3d3",
+            ]);
+
+            markerGraph.unmount();
+        });
+    });
+
+    describe("when nodes belong to groups", () => {
+        test("should draw the groups behind links and nodes with working callbacks", () => {
+            const onClickGroup = jest.fn();
+            const groupGraph = renderer.create(
+                <Graph
+                    id="groupGraphId"
+                    data={{
+                        nodes: [
+                            { id: "A", x: 0, y: 0, group: "x" },
+                            { id: "B", x: 100, y: 0, group: ["x", "y"] },
+                            { id: "C", x: 0, y: 100 },
+                        ],
+                        links: [{ source: "A", target: "B" }],
+                        groups: [{ id: "y", label: "Group Y", color: "red" }],
+                    }}
+                    config={{ staticGraph: true }}
+                    onClickGroup={onClickGroup}
+                />
+            );
+            const groups = groupGraph.root.findAllByType(Group);
+            const container = groupGraph.toJSON().children[0].children[1];
+
+            expect(groups.map(group => group.props.id)).toEqual(["y", "x"]);
+            expect(groups.map(group => group.props.label)).toEqual(["Group Y", "x"]);
+            expect(groups[0].props.fill).toEqual("red");
+            expect(container.children[0].children[0].props.className).toEqual("group");
+
+            groups[1].findByType("path").props.onClick();
+
+            expect(onClickGroup).toHaveBeenCalledWith("x", undefined);
+
+            groupGraph.unmount();
+        });
+
+        test("should collapse groups into compound nodes and expand them back on click", () => {
+            const onCollapsedGroupsChange = jest.fn();
+            const groupGraph = renderer.create(
+                <Graph
+                    id="collapsedGroupGraphId"
+                    data={{
+                        nodes: [
+                            { id: "A", x: 0, y: 0, group: "x" },
+                            { id: "B", x: 100, y: 0, group: "x" },
+                            { id: "C", x: 0, y: 100 },
+                        ],
+                        links: [
+                            { source: "A", target: "B" },
+                            { source: "A", target: "C" },
+                            { source: "B", target: "C" },
+                        ],
+                    }}
+                    config={{ staticGraph: true, group: { collapsible: true } }}
+                    onCollapsedGroupsChange={onCollapsedGroupsChange}
+                />
+            );
+            const instance = groupGraph.getInstance();
+
+            groupGraph.root
+                .findByType(Group)
+                .findByType("path")
+                .props.onClick();
+
+            expect(onCollapsedGroupsChange).toHaveBeenCalledWith(["x"]);
+            expect(Object.keys(instance.state.nodes)).toEqual(["C", "group:x"]);
+            expect(instance.state.nodes["group:x"]).toMatchObject({ groupLabel: "x (2)", x: 50, y: 0 });
+            expect(instance.state.links["group:x"].C).toEqual(2);
+            expect(groupGraph.root.findAllByType(Group)).toHaveLength(0);
+
+            instance.onClickNode("group:x");
+
+            expect(onCollapsedGroupsChange).toHaveBeenLastCalledWith([]);
+            expect(Object.keys(instance.state.nodes)).toEqual(["A", "B", "C"]);
+            expect(instance.state.nodes.B).toMatchObject({ x: 100, y: 0 });
+
+            groupGraph.unmount();
+        });
+
+        test("should collapse the groups given through the collapsedGroupIds prop", () => {
+            const data = {
+                nodes: [{ id: "A", x: 0, y: 0, group: "x" }, { id: "B", x: 100, y: 0 }],
+                links: [{ source: "A", target: "B" }],
+            };
+            const groupGraph = renderer.create(
+                <Graph
+                    id="controlledGroupGraphId"
+                    data={data}
+                    config={{ staticGraph: true }}
+                    collapsedGroupIds={["x"]}
+                />
+            );
+
+            expect(Object.keys(groupGraph.getInstance().state.nodes)).toEqual(["B", "group:x"]);
+
+            groupGraph.update(
+                <Graph id="controlledGroupGraphId" data={data} config={{ staticGraph: true }} collapsedGroupIds={[]} />
+            );
+
+            expect(Object.keys(groupGraph.getInstance().state.nodes)).toEqual(["A", "B"]);
+
+            groupGraph.unmount();
+        });
+    });
+
+    describe("when nodes are collapsible", () => {
+        const renderedNodeIds = graph => graph.root.findAllByType(Node).map(node => node.props.id);
+
+        test("should collapse whole subtrees on click and keep orphan nodes visible", () => {
+            const onClickNode = jest.fn();
+            const onCollapseChange = jest.fn();
+            const collapsibleGraph = renderer.create(
+                <Graph
+                    id="collapsibleGraphId"
+                    data={{
+                        nodes: [{ id: "A" }, { id: "B" }, { id: "C" }, { id: "D" }, { id: "E" }],
+                        links: [
+                            { source: "A", target: "B" },
+                            { source: "B", target: "C" },
+                            { source: "B", target: "D" },
+                        ],
+                    }}
+                    config={{ staticGraph: true, collapsible: true, directed: true }}
+                    onClickNode={onClickNode}
+                    onCollapseChange={onCollapseChange}
+                />
+            );
+            const instance = collapsibleGraph.getInstance();
+
+            instance.onClickNode("B");
+
+            expect(onCollapseChange).toHaveBeenCalledWith(["B"]);
+            expect(onClickNode).toHaveBeenCalledWith("B");
+            expect(renderedNodeIds(collapsibleGraph)).toEqual(["A", "B", "E"]);
+            expect(collapsibleGraph.root.findAllByType(Node)[1].props.badge).toEqual("2");
+
+            instance.onClickNode("E");
+
+            expect(onCollapseChange).toHaveBeenCalledTimes(1);
+
+            instance.onClickNode("B");
+
+            expect(onCollapseChange).toHaveBeenLastCalledWith([]);
+            expect(renderedNodeIds(collapsibleGraph)).toEqual(["A", "B", "C", "D", "E"]);
+
+            collapsibleGraph.unmount();
+        });
+
+        test("should collapse the nodes given through the collapsedNodeIds prop", () => {
+            const onCollapseChange = jest.fn();
+            const data = { nodes: [{ id: "X" }, { id: "Y" }], links: [{ source: "X", target: "Y" }] };
+            const config = { staticGraph: true, collapsible: true };
+            const collapsibleGraph = renderer.create(
+                <Graph
+                    id="controlledCollapsibleGraphId"
+                    data={data}
+                    config={config}
+                    collapsedNodeIds={["X"]}
+                    onCollapseChange={onCollapseChange}
+                />
+            );
+
+            expect(renderedNodeIds(collapsibleGraph)).toEqual(["X"]);
+
+            collapsibleGraph.getInstance().onClickNode("X");
+
+            expect(onCollapseChange).toHaveBeenCalledWith([]);
+            expect(renderedNodeIds(collapsibleGraph)).toEqual(["X"]);
+
+            collapsibleGraph.update(
+                <Graph id="controlledCollapsibleGraphId" data={data} config={config} collapsedNodeIds={[]} />
+            );
+
+            expect(renderedNodeIds(collapsibleGraph)).toEqual(["X", "Y"]);
+
+            collapsibleGraph.unmount();
+        });
+    });
+
+    describe("when some nodes are highlighted through the highlight prop", () => {
+        const opacities = (graph, type) =>
+            graph.root.findAllByType(type).reduce((acc, { props }) => {
+                acc[props.id] = props.opacity;
+
+                return acc;
+            }, {});
+
+        test("should spotlight the matching nodes and their neighbourhood and dim the rest", () => {
+            const data = {
+                nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+                links: [{ source: "A", target: "B" }, { source: "B", target: "C" }],
+            };
+            const config = { staticGraph: true, highlightOpacity: 0.2 };
+            const highlightGraph = renderer.create(
+                <Graph id="highlightGraphId" data={data} config={config} highlight={node => node.id === "A"} />
+            );
+
+            expect(opacities(highlightGraph, Node)).toEqual({ A: 1, B: 0.2, C: 0.2 });
+
+            highlightGraph.update(
+                <Graph id="highlightGraphId" data={data} config={config} highlight={{ nodes: ["A"], degree: 1 }} />
+            );
+
+            expect(opacities(highlightGraph, Node)).toEqual({ A: 1, B: 1, C: 0.2 });
+            expect(highlightGraph.root.findAllByType(Link).map(({ props }) => props.opacity)).toEqual([1, 0.2]);
+
+            highlightGraph.update(<Graph id="highlightGraphId" data={data} config={config} highlight={[]} />);
+
+            expect(opacities(highlightGraph, Node)).toEqual({ A: 1, B: 1, C: 1 });
+
+            highlightGraph.unmount();
+        });
+    });
+
+    describe("when some path is highlighted", () => {
+        test("should find the shortest path and highlight its nodes and links", () => {
+            const data = {
+                nodes: [{ id: "A" }, { id: "B" }, { id: "C" }, { id: "D" }],
+                links: [
+                    { source: "A", target: "B", value: 5 },
+                    { source: "C", target: "B" },
+                    { source: "A", target: "D" },
+                    { source: "D", target: "C" },
+                ],
+            };
+            const config = { staticGraph: true, highlightOpacity: 0.2, path: { color: "orange", flow: true } };
+            const pathGraph = renderer.create(<Graph id="pathGraphId" data={data} config={config} />);
+            const instance = pathGraph.getInstance();
+
+            expect(instance.findShortestPath("A", "C")).toEqual(["A", "B", "C"]);
+
+            const path = instance.findShortestPath("A", "C", { weighted: true });
+
+            expect(path).toEqual(["A", "D", "C"]);
+
+            pathGraph.update(<Graph id="pathGraphId" data={data} config={config} highlightedPath={path} />);
+
+            const nodes = pathGraph.root
+                .findAllByType(Node)
+                .map(({ props }) => [props.id, props.stroke, props.opacity]);
+            const links = pathGraph.root
+                .findAllByType(Link)
+                .map(({ props }) => [props.id, props.flow ? props.flow.direction : 0]);
+
+            expect(nodes).toEqual([["A", "orange", 1], ["B", "none", 0.2], ["C", "orange", 1], ["D", "orange", 1]]);
+            expect(links).toEqual([["A,B", 0], ["C,B", 0], ["A,D", 1], ["D,C", 1]]);
+
+            pathGraph.update(
+                <Graph
+                    id="pathGraphId"
+                    data={data}
+                    config={{ ...config, directed: true }}
+                    highlightedPath={["A", "B", "C"]}
+                />
+            );
+
+            expect(instance.findShortestPath("A", "C")).toEqual(["A", "D", "C"]);
+            expect(pathGraph.root.findAllByType(Link)[1].props.flow).toBeNull();
+
+            pathGraph.update(<Graph id="pathGraphId" data={data} config={config} highlightedPath={["A", "B", "C"]} />);
+
+            expect(pathGraph.root.findAllByType(Link)[1].props.flow.direction).toEqual(-1);
+
+            pathGraph.unmount();
+        });
+    });
+
+    describe("when several graphs are rendered", () => {
+        test("should namespace the defs of each graph and rebuild them when the config changes", () => {
+            const data = {
+                nodes: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 100, y: 0 }],
+                links: [{ source: "A", target: "B" }],
+            };
+            const markerIds = graph => graph.root.findAllByType("marker").map(marker => marker.props.id);
+            const blueGraph = renderer.create(
+                <Graph
+                    id="blueGraph"
+                    data={data}
+                    config={{ staticGraph: true, directed: true, link: { color: "blue" } }}
+                />
+            );
+            const redGraph = renderer.create(
+                <Graph
+                    id="redGraph"
+                    data={data}
+                    config={{ staticGraph: true, directed: true, link: { color: "red" } }}
+                />
+            );
+
+            expect(markerIds(blueGraph)).toEqual(["blueGraph-marker-arrow-tip-blue"]);
+            expect(markerIds(redGraph)).toEqual(["redGraph-marker-arrow-tip-red"]);
+
+            redGraph.update(
+                <Graph
+                    id="redGraph"
+                    data={data}
+                    config={{ staticGraph: true, directed: true, link: { color: "green" } }}
+                />
+            );
+
+            expect(markerIds(redGraph)).toEqual(["redGraph-marker-arrow-tip-green"]);
+            expect(redGraph.root.findByType(Link).findByType("path").props.markerEnd).toEqual(
+                "url(#redGraph-marker-arrow-tip-green)"
+            );
+
+            blueGraph.unmount();
+            redGraph.unmount();
+        });
+    });
+
+    describe("when the graph is exported as data", () => {
+        beforeEach(() => {
+            that.dataGraph = renderer.create(
+                <Graph
+                    id="dataGraphId"
+                    data={{
+                        nodes: [{ id: "A", x: 10, y: 20, color: "red" }, { id: "B" }],
+                        links: [{ source: "A", target: "B" }],
+                    }}
+                    config={{ staticGraph: true, directed: true }}
+                />
+            );
+            that.instance = that.dataGraph.getInstance();
+        });
+
+        afterEach(() => that.dataGraph.unmount());
+
+        test("should serialize graph state in the given format", () => {
+            expect(that.instance.exportData("adjacency-matrix")).toEqual(",A,B\r\nA,0,1\r\nB,0,0\r\n");
+            expect(that.instance.exportData("dot")).toMatch(/"A" -> "B" \[weight=1\];/);
+        });
+
+        test("should throw for unknown formats", () => {
+            expect(() => that.instance.exportData("xlsx")).toThrow(/unknown format/);
+        });
+    });
 });
@@ -0,0 +1,59 @@
+import * as highlightHelper from "../../src/components/graph/highlight.helper";
+
+describe("Highlight Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        that.nodes = { A: { id: "A", name: "alpha" }, B: { id: "B" }, C: { id: "C" }, D: { id: "D" } };
+        that.links = [
+            { source: { id: "A" }, target: { id: "B" } },
+            { source: { id: "B" }, target: { id: "C" } },
+            { source: { id: "C" }, target: { id: "D" } },
+        ];
+        that.linksMatrix = { A: { B: 1 }, B: { C: 1 }, C: { D: 1 }, D: {} };
+    });
+
+    describe("#resolveHighlight", () => {
+        const resolve = highlight =>
+            highlightHelper.resolveHighlight(highlight, that.nodes, that.links, that.linksMatrix);
+
+        test("should return null when nothing is highlighted", () => {
+            expect(resolve(undefined)).toBeNull();
+            expect(resolve([])).toBeNull();
+            expect(resolve({ nodes: [], links: [], degree: 2 })).toBeNull();
+        });
+
+        test("should highlight the given node ids and the links between them", () => {
+            expect(resolve(["A", "B", "D"])).toEqual({
+                nodeIds: { A: true, B: true, D: true },
+                linkIds: { "A,B": true },
+            });
+        });
+
+        test("should highlight the nodes that match some predicate", () => {
+            expect(resolve(node => !!node.name)).toEqual({ nodeIds: { A: true }, linkIds: {} });
+        });
+
+        test("should highlight the neighbourhood of the matching nodes", () => {
+            expect(resolve({ nodes: ["A"], degree: 2 })).toEqual({
+                nodeIds: { A: true, B: true, C: true },
+                linkIds: { "A,B": true, "B,C": true },
+            });
+            expect(resolve({ nodes: ["D"], degree: 1 }).nodeIds).toEqual({ C: true, D: true });
+        });
+
+        test("should not follow collapsed connections", () => {
+            that.linksMatrix.B.C = 0;
+
+            expect(resolve({ nodes: ["A"], degree: 2 }).nodeIds).toEqual({ A: true, B: true });
+        });
+
+        test("should highlight the matching links and their nodes", () => {
+            expect(resolve({ links: ["B,C"] })).toEqual({ nodeIds: { B: true, C: true }, linkIds: { "B,C": true } });
+            expect(resolve({ links: link => link.target === "D" })).toEqual({
+                nodeIds: { C: true, D: true },
+                linkIds: { "C,D": true },
+            });
+        });
+    });
+});
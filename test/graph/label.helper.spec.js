@@ -0,0 +1,102 @@
+import * as labelHelper from "../../src/components/graph/label.helper";
+
+describe("Label Helper", () => {
+    let that = {};
+
+    const nodeProps = (id, cx, cy, label, extra = {}) => ({
+        key: id,
+        props: {
+            id,
+            cx,
+            cy,
+            label,
+            labelAnchor: "start",
+            labelLineHeight: 12,
+            labelLines: [label],
+            labelTitle: null,
+            labelX: 12.5,
+            labelY: 3.5,
+            fontSize: 10,
+            renderLabel: true,
+            size: 200,
+            ...extra,
+        },
+    });
+
+    beforeEach(() => {
+        that.nodesProps = [
+            nodeProps("B", 10, 2, "bravo"),
+            nodeProps("A", 0, 0, "alpha"),
+            nodeProps("C", 100, 100, "charlie"),
+        ];
+        that.linksMatrix = { A: { B: 1, C: 1 }, B: {}, C: {} };
+        that.config = { node: { labelOverlap: "hide", labelPriority: "degree" } };
+    });
+
+    describe("#resolveLabelOverlaps", () => {
+        test("should keep every label when overlaps are allowed", () => {
+            that.config.node.labelOverlap = "show";
+
+            expect(labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config)).toBe(
+                that.nodesProps
+            );
+        });
+
+        test("should hide labels overlapping labels of nodes with higher degree", () => {
+            const resolved = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(resolved.map(({ key }) => key)).toEqual(["B", "A", "C"]);
+            expect(resolved.map(({ props }) => props.renderLabel)).toEqual([false, true, true]);
+        });
+
+        test("should give priority to bigger nodes", () => {
+            that.config.node.labelPriority = "size";
+            that.nodesProps[0].props.size = 400;
+
+            const resolved = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(resolved.map(({ props }) => props.renderLabel)).toEqual([true, false, true]);
+        });
+
+        test("should read the priority from some node property or function", () => {
+            that.nodesProps[0].props.importance = 5;
+            that.config.node.labelPriority = "importance";
+
+            let resolved = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(resolved.map(({ props }) => props.renderLabel)).toEqual([true, false, true]);
+
+            that.config.node.labelPriority = node => (node.id === "A" ? 1 : 0);
+            resolved = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(resolved.map(({ props }) => props.renderLabel)).toEqual([false, true, true]);
+        });
+
+        test("should shorten overlapping labels until they fit", () => {
+            that.config.node.labelOverlap = "shorten";
+            that.nodesProps[0] = nodeProps("B", 0, 4, "bravo", { labelX: 0 });
+
+            const [shortened] = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(shortened.props.renderLabel).toBe(true);
+            expect(shortened.props.labelLines).toEqual(["b…"]);
+            expect(shortened.props.labelTitle).toEqual("bravo");
+        });
+
+        test("should hide labels that can't be shortened enough", () => {
+            that.config.node.labelOverlap = "shorten";
+
+            const [hidden] = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(hidden.props.renderLabel).toBe(false);
+        });
+
+        test("should ignore labels that are not rendered", () => {
+            that.nodesProps[1].props.renderLabel = false;
+
+            const resolved = labelHelper.resolveLabelOverlaps(that.nodesProps, that.linksMatrix, that.config);
+
+            expect(resolved.map(({ props }) => props.renderLabel)).toEqual([true, false, true]);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import * as layoutHelper from "../../src/components/graph/layout.helper";
+
+describe("Layout Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        that.config = { width: 400, height: 300, directed: true };
+        that.nodes = { A: { id: "A" }, B: { id: "B" }, C: { id: "C" }, D: { id: "D" } };
+        that.links = [
+            { source: "A", target: "B" },
+            { source: { id: "A" }, target: { id: "C" } },
+            { source: "B", target: "D" },
+            { source: "C", target: "D" },
+        ];
+    });
+
+    describe("#isForceLayout", () => {
+        test("should be true for force or unknown layouts", () => {
+            expect(layoutHelper.isForceLayout("force")).toEqual(true);
+            expect(layoutHelper.isForceLayout("unknown")).toEqual(true);
+            expect(layoutHelper.isForceLayout("grid")).toEqual(false);
+            expect(layoutHelper.isForceLayout(() => ({}))).toEqual(false);
+        });
+    });
+
+    describe("#computeLayout", () => {
+        test("should return undefined for force layout", () => {
+            expect(layoutHelper.computeLayout("force", that.nodes, that.links, that.config)).toBeUndefined();
+        });
+
+        test("should draw directed graphs top to bottom in layered ranks", () => {
+            const positions = layoutHelper.computeLayout("hierarchical", that.nodes, that.links, that.config);
+
+            expect(positions).toEqual({
+                A: { x: 200, y: 50 },
+                B: { x: 400 / 3, y: 150 },
+                C: { x: 800 / 3, y: 150 },
+                D: { x: 200, y: 250 },
+            });
+        });
+
+        test("should rank nodes by longest path in directed graphs", () => {
+            that.links.push({ source: "A", target: "D" });
+
+            const positions = layoutHelper.computeLayout("hierarchical", that.nodes, that.links, that.config);
+
+            expect(positions.D.y).toEqual(250);
+        });
+
+        test("should not loop forever on cycles", () => {
+            that.links.push({ source: "D", target: "A" });
+
+            const positions = layoutHelper.computeLayout("hierarchical", that.nodes, that.links, that.config);
+
+            expect(Object.keys(positions)).toHaveLength(4);
+        });
+
+        test("should draw tree radially around root", () => {
+            const positions = layoutHelper.computeLayout("radial", that.nodes, that.links, that.config);
+
+            expect(positions.A).toEqual({ x: 200, y: 150 });
+            expect(Math.hypot(positions.B.x - 200, positions.B.y - 150)).toBeCloseTo(50);
+            expect(Math.hypot(positions.D.x - 200, positions.D.y - 150)).toBeCloseTo(100);
+        });
+
+        test("should draw nodes along a circle", () => {
+            const positions = layoutHelper.computeLayout("circular", that.nodes, that.links, that.config);
+
+            expect(positions.A).toEqual({ x: 300, y: 150 });
+            expect(positions.C.x).toBeCloseTo(100);
+            expect(positions.C.y).toBeCloseTo(150);
+        });
+
+        test("should draw nodes in a grid", () => {
+            const positions = layoutHelper.computeLayout("grid", that.nodes, that.links, that.config);
+
+            expect(positions).toEqual({
+                A: { x: 100, y: 75 },
+                B: { x: 300, y: 75 },
+                C: { x: 100, y: 225 },
+                D: { x: 300, y: 225 },
+            });
+        });
+
+        test("should call custom layout with nodes and links ids", () => {
+            const layout = jest.fn(() => ({ A: { x: 1, y: 2 } }));
+            const positions = layoutHelper.computeLayout(layout, that.nodes, that.links, that.config);
+
+            expect(layout).toHaveBeenCalledWith(
+                [that.nodes.A, that.nodes.B, that.nodes.C, that.nodes.D],
+                [
+                    { source: "A", target: "B" },
+                    { source: "A", target: "C" },
+                    { source: "B", target: "D" },
+                    { source: "C", target: "D" },
+                ],
+                that.config
+            );
+            expect(positions).toEqual({ A: { x: 1, y: 2 } });
+        });
+    });
+});
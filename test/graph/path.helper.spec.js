@@ -0,0 +1,109 @@
+import * as graphHelper from "../../src/components/graph/graph.helper";
+import * as pathHelper from "../../src/components/graph/path.helper";
+
+describe("Path Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        // A - B (value 5), B - C, A - D, D - C and E isolated
+        that.linksMatrix = { A: { B: 5, D: 1 }, B: { C: 1 }, C: {}, D: { C: 1 }, E: {} };
+    });
+
+    describe("#findShortestPath", () => {
+        test("should find the path with fewer hops", () => {
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "C")).toEqual(["A", "B", "C"]);
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "A")).toEqual(["A"]);
+        });
+
+        test("should find the path with the lowest sum of link values when weighted", () => {
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "C", { weighted: true })).toEqual([
+                "A",
+                "D",
+                "C",
+            ]);
+        });
+
+        test("should update distances of nodes reached again through a cheaper path", () => {
+            // A - B (value 10) is reached first, A - C - B is cheaper, then a chain of 50 nodes from B
+            const linksMatrix = { A: { B: 10, C: 1 }, B: {}, C: { B: 1 } };
+            const chain = Array.from({ length: 50 }, (_, i) => `N${i}`);
+
+            chain.forEach((id, i) => {
+                linksMatrix[i ? chain[i - 1] : "B"][id] = 1;
+                linksMatrix[id] = {};
+            });
+
+            expect(pathHelper.findShortestPath(linksMatrix, "A", "N49", { weighted: true })).toEqual([
+                "A",
+                "C",
+                "B",
+                ...chain,
+            ]);
+        });
+
+        test("should take the cheapest of parallel links over a detour", () => {
+            const state = graphHelper.initializeGraphState(
+                {
+                    id: "id",
+                    data: {
+                        nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+                        links: [
+                            { source: "A", target: "B", value: 7 },
+                            { source: "B", target: "A", value: 7 },
+                            { source: "A", target: "C", value: 6 },
+                            { source: "C", target: "B", value: 6 },
+                        ],
+                    },
+                    config: {},
+                },
+                {}
+            );
+
+            expect(pathHelper.findShortestPath(state.links, "A", "B", { weighted: true })).toEqual(["A", "B"]);
+        });
+
+        test("should only follow links from source to target when directed", () => {
+            expect(pathHelper.findShortestPath(that.linksMatrix, "C", "A")).toEqual(["C", "B", "A"]);
+            expect(pathHelper.findShortestPath(that.linksMatrix, "C", "A", { directed: true })).toBeNull();
+            expect(
+                pathHelper.findShortestPath(that.linksMatrix, "C", "A", { directed: true, weighted: true })
+            ).toBeNull();
+        });
+
+        test("should not follow collapsed connections", () => {
+            that.linksMatrix.A.B = 0;
+
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "B")).toEqual(["A", "D", "C", "B"]);
+        });
+
+        test("should return null for unknown or unreachable nodes", () => {
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "E")).toBeNull();
+            expect(pathHelper.findShortestPath(that.linksMatrix, "A", "Z", { weighted: true })).toBeNull();
+        });
+    });
+
+    describe("#getPathElements", () => {
+        const links = [
+            { source: { id: "A" }, target: { id: "B" } },
+            { source: { id: "C" }, target: { id: "B" } },
+            { source: { id: "C" }, target: { id: "B" }, parallelIndex: 1 },
+            { source: { id: "A" }, target: { id: "D" } },
+        ];
+
+        test("should return null when there's no path", () => {
+            expect(pathHelper.getPathElements(undefined, links, false)).toBeNull();
+            expect(pathHelper.getPathElements([], links, false)).toBeNull();
+        });
+
+        test("should map the links of the path to the direction they are walked", () => {
+            expect(pathHelper.getPathElements(["A", "B", "C"], links, false)).toEqual({
+                nodeIds: { A: true, B: true, C: true },
+                linkIds: { "A,B": 1, "C,B": -1, "C,B,1": -1 },
+            });
+        });
+
+        test("should not walk links backwards in directed graphs", () => {
+            expect(pathHelper.getPathElements(["A", "B", "C"], links, true).linkIds).toEqual({ "A,B": 1 });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+import * as selectionHelper from "../../src/components/graph/selection.helper";
+import { collapseNodes, initializeGraphState } from "../../src/components/graph/graph.helper";
+
+describe("Selection Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        that.nodes = {
+            A: { id: "A", x: 10, y: 10 },
+            B: { id: "B", x: 50, y: 50 },
+            C: { id: "C", x: 300, y: 300 },
+        };
+        that.d3Links = [
+            { source: { id: "A" }, target: { id: "B" } },
+            { source: { id: "B" }, target: { id: "C" } },
+            { source: "A", target: "B", isHidden: true },
+        ];
+    });
+
+    describe("#buildBrushPolygon", () => {
+        test("should build a rectangle from first and last points", () => {
+            const polygon = selectionHelper.buildBrushPolygon([[0, 0], [5, 5], [10, 20]], "rectangle");
+
+            expect(polygon).toEqual([[0, 0], [10, 0], [10, 20], [0, 20]]);
+        });
+
+        test("should keep all points for the lasso brush", () => {
+            const points = [[0, 0], [5, 5], [10, 20]];
+
+            expect(selectionHelper.buildBrushPolygon(points, "lasso")).toEqual(points);
+        });
+
+        test("should build no polygon when there's no brush", () => {
+            expect(selectionHelper.buildBrushPolygon(null, "rectangle")).toEqual([]);
+        });
+    });
+
+    describe("#getElementsInsideBrush", () => {
+        test("should return nodes inside brush and links with both ends inside", () => {
+            const polygon = [[0, 0], [100, 0], [100, 100], [0, 100]];
+            const selection = selectionHelper.getElementsInsideBrush(
+                polygon,
+                { x: 0, y: 0, k: 1 },
+                that.nodes,
+                that.d3Links
+            );
+
+            expect(selection).toEqual({ nodeIds: ["A", "B"], linkIds: ["A,B"] });
+        });
+
+        test("should take zoom transform into account", () => {
+            const polygon = [[0, 0], [100, 0], [100, 100], [0, 100]];
+            const selection = selectionHelper.getElementsInsideBrush(
+                polygon,
+                { x: -550, y: -550, k: 2 },
+                that.nodes,
+                that.d3Links
+            );
+
+            expect(selection).toEqual({ nodeIds: ["C"], linkIds: [] });
+        });
+
+        test("should skip nodes hidden by collapsed nodes and their links", () => {
+            const data = {
+                nodes: [{ id: "A" }, { id: "B" }, { id: "C" }],
+                links: [{ source: "A", target: "B" }, { source: "B", target: "C" }],
+            };
+            const config = { collapsible: true, directed: true };
+            const state = collapseNodes(initializeGraphState({ data, id: "id", config }), ["B"]);
+            const polygon = [[0, 0], [100, 0], [100, 100], [0, 100]];
+
+            Object.keys(state.nodes).forEach((id, i) => Object.assign(state.nodes[id], { x: 10 + i, y: 10 + i }));
+
+            const selection = selectionHelper.getElementsInsideBrush(
+                polygon,
+                { x: 0, y: 0, k: 1 },
+                state.nodes,
+                state.d3Links
+            );
+
+            const visibleLinks = state.d3Links.map(d3Link => ({ ...d3Link, isHidden: false }));
+
+            expect(state.nodes.C._hidden).toEqual(true);
+            expect(selection).toEqual({ nodeIds: ["A", "B"], linkIds: ["A,B"] });
+            expect(
+                selectionHelper.getElementsInsideBrush(polygon, { x: 0, y: 0, k: 1 }, state.nodes, visibleLinks).linkIds
+            ).toEqual(["A,B"]);
+        });
+    });
+
+    describe("#isSelectionToggleEvent", () => {
+        test("should be true when a modifier key is pressed", () => {
+            expect(selectionHelper.isSelectionToggleEvent({ shiftKey: true })).toEqual(true);
+            expect(selectionHelper.isSelectionToggleEvent({ metaKey: true })).toEqual(true);
+            expect(selectionHelper.isSelectionToggleEvent({})).toEqual(false);
+            expect(selectionHelper.isSelectionToggleEvent()).toEqual(false);
+        });
+    });
+
+    describe("#toggleSelectedId", () => {
+        test("should add or remove id from list", () => {
+            expect(selectionHelper.toggleSelectedId(["A"], "B")).toEqual(["A", "B"]);
+            expect(selectionHelper.toggleSelectedId(["A", "B"], "A")).toEqual(["B"]);
+        });
+    });
+
+    describe("#getSelection", () => {
+        test("should take the selection props over the internal selection", () => {
+            const graph = {
+                props: { selectedNodeIds: ["A"] },
+                state: { selectedNodeIds: ["B"], selectedLinkIds: ["B,C"] },
+            };
+
+            expect(selectionHelper.getSelection(graph)).toEqual({ nodeIds: ["A"], linkIds: ["B,C"] });
+        });
+    });
+
+    describe("#selectNode", () => {
+        let graph;
+
+        beforeEach(() => {
+            graph = {
+                props: { onSelectionChange: jest.fn() },
+                state: { selectedNodeIds: ["A"], selectedLinkIds: ["A,B"] },
+                setState: jest.fn(),
+            };
+        });
+
+        test("should replace the selection with the clicked node", () => {
+            expect(selectionHelper.selectNode(graph, "B", {})).toEqual(false);
+            expect(graph.props.onSelectionChange).toHaveBeenCalledWith({ nodeIds: ["B"], linkIds: [] });
+        });
+
+        test("should toggle the clicked node in the selection when a modifier key is pressed", () => {
+            expect(selectionHelper.selectNode(graph, "B", { ctrlKey: true })).toEqual(true);
+            expect(graph.setState).toHaveBeenCalledWith({ selectedNodeIds: ["A", "B"], selectedLinkIds: ["A,B"] });
+        });
+    });
+
+    describe("#mergeSelectedIds", () => {
+        test("should merge lists without duplicates", () => {
+            expect(selectionHelper.mergeSelectedIds(["A", "B"], ["B", "C"])).toEqual(["A", "B", "C"]);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import * as simulationHelper from "../../src/components/graph/simulation.helper";
+
+describe("Simulation Helper", () => {
+    let that = {};
+
+    describe("#createWorkerSimulation", () => {
+        beforeEach(() => {
+            that.worker = { postMessage: jest.fn(), terminate: jest.fn() };
+            that.nodes = [{ id: "A", x: 0, y: 0 }, { id: "B", x: 10, y: 20, fx: 10, fy: 20 }];
+            that.simulation = simulationHelper.createWorkerSimulation(that.worker, 800, 400, -100);
+            that.tick = jest.fn();
+            that.simulation.nodes(that.nodes).on("tick", that.tick);
+        });
+
+        test("should init simulation in worker and send packed nodes", () => {
+            const [[init], [nodesMessage, transfer]] = that.worker.postMessage.mock.calls;
+
+            expect(init).toEqual({ type: "init", width: 800, height: 400, gravity: -100 });
+            expect(nodesMessage.type).toEqual("nodes");
+            expect(Array.from(nodesMessage.nodes)).toEqual([0, 0, NaN, NaN, 10, 20, 10, 20]);
+            expect(transfer).toEqual([nodesMessage.nodes.buffer]);
+        });
+
+        test("should send links referencing nodes by index", () => {
+            const force = {
+                links: () => [{ source: "B", target: { id: "A" } }],
+                distance: () => () => 100,
+                strength: () => () => 1,
+            };
+
+            that.simulation.force("link", force);
+
+            expect(that.worker.postMessage).toHaveBeenLastCalledWith({
+                type: "links",
+                links: [{ source: 1, target: 0, distance: 100, strength: 1 }],
+            });
+        });
+
+        test("should send the groups of each node", () => {
+            const force = { groups: () => node => (node.id === "A" ? ["x"] : []), strength: () => 0.2 };
+
+            that.simulation.force("group", force);
+
+            expect(that.worker.postMessage).toHaveBeenLastCalledWith({
+                type: "groups",
+                groups: [["x"], []],
+                strength: 0.2,
+            });
+
+            that.simulation.force("group", null);
+
+            expect(that.worker.postMessage).toHaveBeenLastCalledWith({ type: "groups", groups: null, strength: null });
+        });
+
+        test("should update nodes positions on tick", () => {
+            that.worker.onmessage({ data: { type: "tick", positions: new Float64Array([1, 2, 3, 4]) } });
+
+            expect(that.nodes[0]).toMatchObject({ x: 1, y: 2 });
+            expect(that.nodes[1]).toMatchObject({ x: 3, y: 4 });
+            expect(that.tick).toHaveBeenCalledTimes(1);
+        });
+
+        test("should ignore ticks once simulation is stopped", () => {
+            that.simulation.stop();
+            that.worker.onmessage({ data: { type: "tick", positions: new Float64Array([1, 2, 3, 4]) } });
+
+            expect(that.worker.postMessage).toHaveBeenLastCalledWith({ type: "stop" });
+            expect(that.nodes[0]).toMatchObject({ x: 0, y: 0 });
+            expect(that.tick).not.toHaveBeenCalled();
+        });
+
+        test("should sync nodes positions when restarting", () => {
+            that.nodes[0].fx = 5;
+            that.nodes[0].fy = 6;
+            that.simulation.stop().restart();
+
+            const [message] = that.worker.postMessage.mock.calls[that.worker.postMessage.mock.calls.length - 1];
+
+            expect(message.type).toEqual("restart");
+            expect(Array.from(message.nodes)).toEqual([0, 0, 5, 6, 10, 20, 10, 20]);
+        });
+
+        test("should terminate worker", () => {
+            that.simulation.terminate();
+
+            expect(that.worker.terminate).toHaveBeenCalled();
+        });
+    });
+
+    describe("#createSimulationEngine", () => {
+        test("should stream nodes positions on tick", done => {
+            const onMessage = simulationHelper.createSimulationEngine(({ type, positions }, transfer) => {
+                if (type !== "tick") {
+                    return;
+                }
+
+                onMessage({ type: "stop" });
+
+                expect(positions).toHaveLength(4);
+                // node B is fixed, thus it should not move
+                expect(Array.from(positions.slice(2))).toEqual([10, 20]);
+                expect(transfer).toEqual([positions.buffer]);
+                done();
+            });
+
+            onMessage({ type: "init", width: 800, height: 400, gravity: -100 });
+            onMessage({ type: "nodes", nodes: new Float64Array([0, 0, NaN, NaN, 10, 20, 10, 20]) });
+            onMessage({ type: "links", links: [{ source: 0, target: 1, distance: 100, strength: 1 }] });
+        });
+
+        test("should pull the members of each group together", done => {
+            const onMessage = simulationHelper.createSimulationEngine(({ type, positions }) => {
+                if (type !== "tick") {
+                    return;
+                }
+
+                onMessage({ type: "stop" });
+
+                expect(positions[2] - positions[0]).toBeLessThan(90);
+                done();
+            });
+
+            onMessage({ type: "init", width: 800, height: 400, gravity: 0 });
+            onMessage({ type: "nodes", nodes: new Float64Array([0, 0, NaN, NaN, 100, 0, NaN, NaN]) });
+            onMessage({ type: "groups", groups: [["x"], ["x"]], strength: 1 });
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import * as zoomHelper from "../../src/components/graph/zoom.helper";
+
+describe("Zoom Helper", () => {
+    let that = {};
+
+    beforeEach(() => {
+        that.config = {
+            width: 800,
+            height: 400,
+            minZoom: 0.1,
+            maxZoom: 8,
+            node: { size: 100 * Math.PI, symbolType: "circle" },
+        };
+    });
+
+    describe("#computeZoomToTransform", () => {
+        test("should keep the center of the view in place", () => {
+            const transform = zoomHelper.computeZoomToTransform(2, { x: 0, y: 0, k: 1 }, that.config);
+
+            expect(transform).toEqual({ x: -400, y: -200, k: 2 });
+        });
+
+        test("should clamp scale between minZoom and maxZoom", () => {
+            expect(zoomHelper.computeZoomToTransform(20, { x: 0, y: 0, k: 1 }, that.config).k).toEqual(8);
+            expect(zoomHelper.computeZoomToTransform(0.01, { x: 0, y: 0, k: 1 }, that.config).k).toEqual(0.1);
+        });
+    });
+
+    describe("#computePanToTransform", () => {
+        test("should center view on given coordinates keeping current scale", () => {
+            const transform = zoomHelper.computePanToTransform(100, 50, { x: 10, y: 10, k: 2 }, that.config);
+
+            expect(transform).toEqual({ x: 200, y: 100, k: 2 });
+        });
+    });
+
+    describe("#computeFitToViewTransform", () => {
+        beforeEach(() => {
+            that.nodes = {
+                A: { id: "A", x: 0, y: 0 },
+                B: { id: "B", x: 200, y: 100 },
+                C: { id: "C", x: 1000, y: 1000 },
+            };
+        });
+
+        test("should fit given nodes inside the view with padding", () => {
+            const transform = zoomHelper.computeFitToViewTransform(that.nodes, ["A", "B"], 50, that.config);
+
+            expect(transform).toEqual({ x: 150, y: 75, k: 2.5 });
+        });
+
+        test("should consider all nodes when no ids are given", () => {
+            const transform = zoomHelper.computeFitToViewTransform(that.nodes, undefined, 0, that.config);
+
+            expect(transform.k).toBeCloseTo(400 / 1020);
+        });
+
+        test("should keep the whole nodes inside the view", () => {
+            that.nodes.B.size = 400 * Math.PI;
+
+            const transform = zoomHelper.computeFitToViewTransform(that.nodes, ["A", "B"], 0, that.config);
+
+            // nodes A (radius 10) and B (radius 20) span from -10 to 220 horizontally and from -10 to 120 vertically
+            expect(transform.k).toBeCloseTo(400 / 130);
+            expect(transform.x).toBeCloseTo(400 - 105 * transform.k);
+        });
+
+        test("should return undefined when there are no nodes to fit", () => {
+            expect(zoomHelper.computeFitToViewTransform(that.nodes, ["Z"], 0, that.config)).toBeUndefined();
+        });
+    });
+
+    describe("#computeFocusTransform", () => {
+        test("should center the view on the node under focusZoom", () => {
+            const transform = zoomHelper.computeFocusTransform({ x: 100, y: 50 }, { ...that.config, focusZoom: 2 });
+
+            expect(transform).toEqual({ x: 200, y: 100, k: 2 });
+        });
+
+        test("should clamp focusZoom between minZoom and maxZoom", () => {
+            const transform = zoomHelper.computeFocusTransform({ x: 0, y: 0 }, { ...that.config, focusZoom: 20 });
+
+            expect(transform.k).toEqual(8);
+        });
+    });
+
+    describe("#computeVisibleArea", () => {
+        test("should compute visible area in graph coordinates with margin", () => {
+            const area = zoomHelper.computeVisibleArea({ x: -400, y: -200, k: 2 }, that.config, 0);
+
+            expect(area).toEqual({ minX: 200, minY: 100, maxX: 600, maxY: 300 });
+        });
+
+        test("should apply default margin", () => {
+            const area = zoomHelper.computeVisibleArea({ x: 0, y: 0, k: 1 }, that.config);
+
+            expect(area).toEqual({ minX: -100, minY: -100, maxX: 900, maxY: 500 });
+        });
+    });
+
+    describe("#isNodeInArea", () => {
+        test("should tell whether node is inside area", () => {
+            const area = { minX: 0, minY: 0, maxX: 100, maxY: 100 };
+
+            expect(zoomHelper.isNodeInArea({ x: 50, y: 100 }, area)).toEqual(true);
+            expect(zoomHelper.isNodeInArea({ x: 150, y: 50 }, area)).toEqual(false);
+        });
+
+        test("should keep nodes whose bounding box overlaps the area", () => {
+            const area = { minX: 0, minY: 0, maxX: 100, maxY: 100 };
+
+            expect(zoomHelper.isNodeInArea({ x: 150, y: 50 }, area, { width: 120, height: 120 })).toEqual(true);
+            expect(zoomHelper.isNodeInArea({ x: 150, y: 50 }, area, { width: 80, height: 120 })).toEqual(false);
+        });
+    });
+
+    describe("#isLinkInArea", () => {
+        beforeEach(() => {
+            that.area = { minX: 0, minY: 0, maxX: 100, maxY: 100 };
+        });
+
+        test("should keep links with one endpoint inside area", () => {
+            expect(zoomHelper.isLinkInArea({ x: 50, y: 50 }, { x: 500, y: 500 }, that.area)).toEqual(true);
+        });
+
+        test("should keep links whose endpoints straddle the area", () => {
+            expect(zoomHelper.isLinkInArea({ x: -50, y: 50 }, { x: 150, y: 50 }, that.area)).toEqual(true);
+        });
+
+        test("should cull links outside area", () => {
+            expect(zoomHelper.isLinkInArea({ x: 150, y: 0 }, { x: 300, y: 100 }, that.area)).toEqual(false);
+        });
+    });
+
+    describe("#isViewportInArea", () => {
+        beforeEach(() => {
+            that.area = zoomHelper.computeVisibleArea({ x: 0, y: 0, k: 1 }, that.config);
+        });
+
+        test("should tell whether the viewport is still inside the culled area", () => {
+            expect(zoomHelper.isViewportInArea({ x: 40, y: -40, k: 1 }, that.config, that.area)).toEqual(true);
+            expect(zoomHelper.isViewportInArea({ x: 60, y: 0, k: 1 }, that.config, that.area)).toEqual(false);
+        });
+
+        test("should be false when zooming out of the culled area", () => {
+            expect(zoomHelper.isViewportInArea({ x: 0, y: 0, k: 2 }, that.config, that.area)).toEqual(true);
+            expect(zoomHelper.isViewportInArea({ x: 0, y: 0, k: 0.5 }, that.config, that.area)).toEqual(false);
+        });
+    });
+
+    describe("#getVisibleArea", () => {
+        test("should keep the culled area in the graph", () => {
+            const graph = { state: { id: "id", config: { ...that.config, viewportCulling: true } } };
+            const area = zoomHelper.getVisibleArea(graph);
+
+            expect(area).toEqual({ minX: -100, minY: -100, maxX: 900, maxY: 500 });
+            expect(graph.culledArea).toBe(area);
+
+            graph.state.config.viewportCulling = false;
+
+            expect(zoomHelper.getVisibleArea(graph)).toBeUndefined();
+            expect(graph.culledArea).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,177 @@
+import * as groupHelper from "../../src/components/group/group.helper";
+
+describe("Group Helper", () => {
+    describe("#getNodeGroups", () => {
+        test("should read one or several groups from the node property", () => {
+            expect(groupHelper.getNodeGroups({ team: "a" }, "team")).toEqual(["a"]);
+            expect(groupHelper.getNodeGroups({ team: ["a", 2] }, "team")).toEqual(["a", "2"]);
+            expect(groupHelper.getNodeGroups({ team: null }, "team")).toEqual([]);
+            expect(groupHelper.getNodeGroups({}, "team")).toEqual([]);
+        });
+    });
+
+    describe("#getGroupMembers", () => {
+        test("should gather the members of each group", () => {
+            const nodes = [{ id: "A", group: "x" }, { id: "B" }, { id: "C", group: ["x", "y"] }];
+
+            expect(groupHelper.getGroupMembers(nodes, "group")).toEqual({
+                x: [nodes[0], nodes[2]],
+                y: [nodes[2]],
+            });
+        });
+
+        test("should add the members listed by each group", () => {
+            const nodes = [{ id: "A", group: "x" }, { id: "B" }];
+
+            expect(groupHelper.getGroupMembers(nodes, "group", [{ id: "x", nodes: ["A", "B"] }])).toEqual({
+                x: [nodes[0], nodes[1]],
+            });
+        });
+    });
+
+    describe("#collapseGroups", () => {
+        const config = {
+            directed: false,
+            group: { labelProperty: "label", nodeProperty: "group" },
+            node: { size: 200 },
+        };
+        const data = {
+            nodes: [{ id: "A", group: "x" }, { id: "B", group: "x" }, { id: "C" }, { id: "D" }],
+            links: [
+                { source: "A", target: "B" },
+                { source: "A", target: "C", value: 2 },
+                { source: "C", target: "B", value: 3 },
+                { source: "B", target: "D" },
+                { source: "C", target: "D" },
+            ],
+            groups: [{ id: "x", label: "Team X", color: "red" }, { id: "y", nodes: ["C", "D"] }],
+        };
+
+        test("should replace the members of collapsed groups by a compound node", () => {
+            const positions = { A: { x: 0, y: 0 }, B: { x: 100, y: 50 } };
+            const collapsed = groupHelper.collapseGroups(data, ["x"], config, positions);
+
+            expect(collapsed.nodes).toEqual([
+                { id: "C" },
+                { id: "D" },
+                {
+                    id: "group:x",
+                    groupId: "x",
+                    groupLabel: "Team X (2)",
+                    memberIds: ["A", "B"],
+                    size: 400,
+                    color: "red",
+                    x: 50,
+                    y: 25,
+                },
+            ]);
+            expect(collapsed.groups).toBe(data.groups);
+        });
+
+        test("should drop inner links and aggregate the links that cross the group boundary", () => {
+            const { links } = groupHelper.collapseGroups(data, ["x"], config);
+
+            expect(links).toEqual([
+                { source: "group:x", target: "C", value: 5 },
+                { source: "group:x", target: "D", value: 1 },
+                { source: "C", target: "D" },
+            ]);
+        });
+
+        test("should keep links in opposite directions apart in directed graphs", () => {
+            const { links } = groupHelper.collapseGroups(data, ["x"], { ...config, directed: true });
+
+            expect(links.slice(0, 2)).toEqual([
+                { source: "group:x", target: "C", value: 2 },
+                { source: "C", target: "group:x", value: 3 },
+            ]);
+        });
+
+        test("should collapse groups listing their members and several groups at once", () => {
+            const { nodes, links } = groupHelper.collapseGroups(data, ["x", "y"], config);
+
+            expect(nodes.map(({ id, groupLabel }) => `${id} ${groupLabel}`)).toEqual([
+                "group:x Team X (2)",
+                "group:y y (2)",
+            ]);
+            expect(links).toEqual([{ source: "group:x", target: "group:y", value: 6 }]);
+        });
+
+        test("should place expanded nodes back at their previous positions", () => {
+            const { nodes, links } = groupHelper.collapseGroups(data, [], config, { A: { x: 10, y: 20 } });
+
+            expect(nodes[0]).toEqual({ id: "A", group: "x", x: 10, y: 20 });
+            expect(nodes.slice(1)).toEqual(data.nodes.slice(1));
+            expect(links).toBe(data.links);
+        });
+    });
+
+    describe("#buildGroupPath", () => {
+        test("should return null for groups without members", () => {
+            expect(groupHelper.buildGroupPath([], 10)).toBeNull();
+        });
+
+        test("should draw a circle around single member groups", () => {
+            const outline = groupHelper.buildGroupPath([{ x: 0, y: 0 }], 10);
+
+            expect(outline).toEqual({
+                d: "M-10,0A10,10 0 1,0 10,0A10,10 0 1,0 -10,0Z",
+                minX: -10,
+                minY: -10,
+                maxX: 10,
+                maxY: 10,
+            });
+        });
+
+        test("should draw a capsule around two members", () => {
+            const outline = groupHelper.buildGroupPath([{ x: 0, y: 0 }, { x: 100, y: 0 }], 10);
+
+            expect(outline.d).toEqual("M0,-10L100,-10A10,10 0 0,1 100,10L0,10A10,10 0 0,1 0,-10Z");
+            expect(outline).toMatchObject({ minX: -10, minY: -10, maxX: 110, maxY: 10 });
+        });
+
+        test("should pad the convex hull of the members", () => {
+            const members = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 20 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+            const outline = groupHelper.buildGroupPath(members, 10);
+
+            // the member inside the hull doesn't shape the outline
+            expect(outline.d).not.toContain(",30");
+            expect(outline.d.match(/A/g)).toHaveLength(4);
+            expect(outline).toMatchObject({ minX: -10, minY: -10, maxX: 110, maxY: 110 });
+        });
+
+        test("should ignore members sharing the same position", () => {
+            const outline = groupHelper.buildGroupPath([{ x: 5, y: 5 }, { x: 5, y: 5 }], 10);
+
+            expect(outline.d.match(/A/g)).toHaveLength(2);
+        });
+
+        test("should enclose the members in a bubble", () => {
+            const outline = groupHelper.buildGroupPath([{ x: 0, y: 0 }, { x: 100, y: 0 }], 10, "bubble");
+
+            expect(outline.minX).toBeCloseTo(-10);
+            expect(outline.maxX).toBeCloseTo(110);
+            expect(outline.minY).toBeCloseTo(-60);
+            expect(outline.maxY).toBeCloseTo(60);
+        });
+    });
+
+    describe("#forceGroup", () => {
+        test("should pull the members of each group towards their center", () => {
+            const nodes = [
+                { x: 0, y: 0, vx: 0, vy: 0, group: "a" },
+                { x: 100, y: 50, vx: 0, vy: 0, group: "a" },
+                { x: 500, y: 500, vx: 0, vy: 0 },
+            ];
+            const force = groupHelper.forceGroup(node => groupHelper.getNodeGroups(node, "group")).strength(0.5);
+
+            force.initialize(nodes);
+            force(1);
+
+            expect(force.strength()).toEqual(0.5);
+            expect(nodes[0]).toMatchObject({ vx: 25, vy: 12.5 });
+            expect(nodes[1]).toMatchObject({ vx: -25, vy: -12.5 });
+            expect(nodes[2]).toMatchObject({ vx: 0, vy: 0 });
+        });
+    });
+});
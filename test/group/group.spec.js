@@ -0,0 +1,51 @@
+import React from "react";
+import renderer from "react-test-renderer";
+
+import Group from "../../src/components/group/Group";
+
+describe("Group Component", () => {
+    let that = {};
+
+    beforeEach(() => {
+        that.clickCallback = jest.fn();
+        that.mouseOverCallback = jest.fn();
+        that.mouseOutCallback = jest.fn();
+
+        that.tree = renderer
+            .create(
+                <Group
+                    id="team"
+                    d="M0,0L10,0L10,10Z"
+                    fill="blue"
+                    fillOpacity={0.2}
+                    label="Team"
+                    labelX={5}
+                    labelY={-5}
+                    onClickGroup={that.clickCallback}
+                    onMouseOverGroup={that.mouseOverCallback}
+                    onMouseOutGroup={that.mouseOutCallback}
+                />
+            )
+            .toJSON();
+    });
+
+    test("should render the group outline and label", () => {
+        const [path, text] = that.tree.children;
+
+        expect(path.props).toMatchObject({ d: "M0,0L10,0L10,10Z", fill: "blue", fillOpacity: 0.2 });
+        expect(text.props).toMatchObject({ x: 5, y: -5, textAnchor: "middle" });
+        expect(text.children).toEqual(["Team"]);
+    });
+
+    test("should call the group callbacks with the group id", () => {
+        const [path] = that.tree.children;
+
+        path.props.onClick();
+        path.props.onMouseOver();
+        path.props.onMouseOut();
+
+        expect(that.clickCallback).toBeCalledWith("team", undefined);
+        expect(that.mouseOverCallback).toBeCalledWith("team");
+        expect(that.mouseOutCallback).toBeCalledWith("team");
+    });
+});
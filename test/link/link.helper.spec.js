@@ -7,5 +7,244 @@ describe("Link Helper", () => {
 
             expect(path).toEqual("M1,2A0,0 0 0,1 3,4");
         });
+
+        test("should return a quadratic curve for parallel links", () => {
+            const path = linkHelper.buildLinkPathDefinition(
+                { source: { x: 0, y: 0 }, target: { x: 0, y: 100 } },
+                "STRAIGHT",
+                10
+            );
+
+            expect(path).toEqual("M0,0Q-20,50 0,100");
+        });
+    });
+
+    describe("#getParallelLinkOffset", () => {
+        test("should fan out parallel links around the straight line", () => {
+            const offsets = [0, 1, 2].map(parallelIndex =>
+                linkHelper.getParallelLinkOffset({ parallelIndex, parallelCount: 3 })
+            );
+
+            expect(offsets).toEqual([-20, 0, 20]);
+        });
+
+        test("should mirror the offset of reversed links", () => {
+            expect(
+                linkHelper.getParallelLinkOffset({ parallelIndex: 0, parallelCount: 2, parallelReversed: true })
+            ).toEqual(10);
+        });
+
+        test("should return no offset for links without parallel links", () => {
+            expect(linkHelper.getParallelLinkOffset({})).toEqual(0);
+        });
+    });
+
+    describe("#buildLinkPath", () => {
+        test("should clip straight links at the boundary of circle and square nodes", () => {
+            const { d, tip } = linkHelper.buildLinkPath({
+                source: { x: 0, y: 0, shape: { size: 100 * Math.PI } },
+                target: { x: 0, y: 100, shape: { size: 400, type: "square" } },
+            });
+            const [x1, y1, , , , , , x2, y2] = d.match(/[\d.-]+/g).map(Number);
+
+            expect([x1, y2]).toEqual([0, tip.y]);
+            expect(y1).toBeCloseTo(10, 2);
+            expect(x2).toEqual(0);
+            expect(y2).toBeCloseTo(90, 2);
+            expect(tip.angle).toBeCloseTo(Math.PI / 2);
+        });
+
+        test("should clip curved links keeping them on the same circle", () => {
+            const shape = { size: 100 * Math.PI };
+            const { d, tip } = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0, shape }, target: { x: 100, y: 0, shape } },
+                "CURVE_FULL"
+            );
+            const [x1, y1, r, , , , , x2, y2] = d.match(/[\d.-]+/g).map(Number);
+
+            expect(r).toEqual(50);
+            expect(Math.sqrt(x1 * x1 + y1 * y1)).toBeCloseTo(10, 2);
+            expect(Math.sqrt((x2 - 100) * (x2 - 100) + y2 * y2)).toBeCloseTo(10, 2);
+            // both ends lie on the circle centered between the nodes
+            expect(Math.sqrt((x1 - 50) * (x1 - 50) + y1 * y1)).toBeCloseTo(50);
+            expect(Math.sqrt((x2 - 50) * (x2 - 50) + y2 * y2)).toBeCloseTo(50);
+            // the tip follows the circle tangent
+            expect(Math.cos(tip.angle)).toBeCloseTo(-y2 / 50);
+            expect(Math.sin(tip.angle)).toBeCloseTo((x2 - 50) / 50);
+        });
+
+        test("should not clip links between overlapping nodes", () => {
+            const shape = { size: 100 * Math.PI };
+            const { d } = linkHelper.buildLinkPath({
+                source: { x: 0, y: 0, shape },
+                target: { x: 5, y: 0, shape },
+            });
+
+            expect(d).toEqual("M0,0A0,0 0 0,1 5,0");
+        });
+    });
+
+    describe("#buildLinkPath for orthogonal and step links", () => {
+        test("should draw an elbow clipped at the target boundary", () => {
+            const { d, tail, middle, tip } = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0 }, target: { x: 100, y: 100, shape: { size: 400, type: "square" } } },
+                "ORTHOGONAL"
+            );
+            const [x1, y1, x2, y2, x3, y3] = d.match(/[\d.-]+/g).map(Number);
+
+            expect(d).toMatch(/^M[\d.-]+,[\d.-]+L[\d.-]+,[\d.-]+L[\d.-]+,[\d.-]+$/);
+            expect([x1, y1, x2, y2, x3]).toEqual([0, 0, 100, 0, 100]);
+            expect(y3).toBeCloseTo(90, 2);
+            expect(tail).toEqual({ x: 0, y: 0, angle: Math.PI });
+            expect(middle.x).toBeCloseTo(95, 2);
+            expect([middle.y, middle.angle]).toEqual([0, 0]);
+            expect(tip.angle).toBeCloseTo(Math.PI / 2);
+        });
+
+        test("should step halfway between the nodes", () => {
+            const link = { source: { x: 0, y: 0 }, target: { x: 100, y: 100 } };
+
+            expect(linkHelper.buildLinkPath(link, "STEP_HORIZONTAL").d).toEqual("M0,0L50,0L50,100L100,100");
+            expect(linkHelper.buildLinkPath(link, "STEP_VERTICAL").d).toEqual("M0,0L0,50L100,50L100,100");
+        });
+
+        test("should add a vertex in the middle of the steps for mid markers", () => {
+            const { d, middle } = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0 }, target: { x: 100, y: 100 } },
+                "STEP_VERTICAL",
+                0,
+                true
+            );
+
+            expect(d).toEqual("M0,0L0,50L50,50L100,50L100,100");
+            expect(middle).toEqual({ x: 50, y: 50, angle: 0 });
+        });
+
+        test("should draw a straight line between aligned nodes", () => {
+            const { d } = linkHelper.buildLinkPath({ source: { x: 0, y: 0 }, target: { x: 100, y: 0 } }, "ORTHOGONAL");
+
+            expect(d).toEqual("M0,0A0,0 0 0,1 100,0");
+        });
+    });
+
+    describe("#buildLinkPath for bezier links", () => {
+        test("should leave and reach the nodes along the main axis of the link", () => {
+            const horizontal = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0 }, target: { x: 100, y: 50 } },
+                "BEZIER"
+            );
+            const vertical = linkHelper.buildLinkPath({ source: { x: 0, y: 0 }, target: { x: 20, y: 100 } }, "BEZIER");
+
+            expect(horizontal.d).toEqual("M0,0C50,0 50,50 100,50");
+            expect(horizontal.tip.angle).toEqual(0);
+            expect(vertical.d).toEqual("M0,0C0,50 20,50 20,100");
+        });
+
+        test("should take the link curvature into account", () => {
+            const { d } = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0 }, target: { x: 100, y: 50 }, curvature: 0.2 },
+                "BEZIER"
+            );
+
+            expect(d).toEqual("M0,0C20,0 80,50 100,50");
+        });
+    });
+
+    describe("#buildCustomLinkPath", () => {
+        test("should wrap path definitions returned by the path generator", () => {
+            const pathGenerator = jest.fn((source, target) => `M${source.x},${source.y}V${target.y}H${target.x}`);
+            const source = { id: "A", x: 0, y: 0 };
+            const target = { id: "B", x: 10, y: 20 };
+            const link = { source: "A", target: "B" };
+
+            expect(linkHelper.buildCustomLinkPath(pathGenerator, source, target, link)).toEqual({ d: "M0,0V20H10" });
+            expect(pathGenerator).toHaveBeenCalledWith(source, target, link);
+        });
+
+        test("should keep the points returned by the path generator", () => {
+            const path = { d: "M0,0L10,0", tail: { x: 0, y: 0, angle: Math.PI }, tip: { x: 10, y: 0, angle: 0 } };
+
+            expect(linkHelper.buildCustomLinkPath(() => path, {}, {}, {})).toEqual(path);
+        });
+    });
+
+    describe("#buildLinkPath reversed paths and points", () => {
+        test("should draw straight, curved and step links backwards", () => {
+            const link = { source: { x: 0, y: 0 }, target: { x: 100, y: 0 } };
+
+            expect(linkHelper.buildLinkPath(link).reversedD).toEqual("M100,0A0,0 0 0,1 0,0");
+            expect(linkHelper.buildLinkPath(link, "CURVE_FULL").reversedD).toEqual("M100,0A50,50 0 0,0 0,0");
+            expect(linkHelper.buildLinkPath(link, "BEZIER").reversedD).toEqual("M100,0C50,0 50,0 0,0");
+            expect(
+                linkHelper.buildLinkPath({ ...link, target: { x: 100, y: 100 } }, "STEP_VERTICAL").reversedD
+            ).toEqual("M100,100L100,50L0,50L0,0");
+        });
+
+        test("should sample curved links as polylines", () => {
+            const { points } = linkHelper.buildLinkPath(
+                { source: { x: 0, y: 0 }, target: { x: 100, y: 0 } },
+                "CURVE_FULL"
+            );
+
+            expect(points).toHaveLength(17);
+            expect(points[0].x).toBeCloseTo(0);
+            expect(points[16].x).toBeCloseTo(100);
+            // half of the circle centered between the nodes
+            expect(linkHelper.getLinkPathLength(points)).toBeCloseTo(50 * Math.PI, 0);
+        });
+    });
+
+    describe("#getPointAlongLinkPath", () => {
+        test("should find the point at some fraction of the link length", () => {
+            const points = [{ x: 0, y: 0 }, { x: 0, y: 50 }, { x: 100, y: 50 }];
+
+            expect(linkHelper.getPointAlongLinkPath(points, 0.5)).toEqual({ x: 25, y: 50, angle: 0 });
+            expect(linkHelper.getPointAlongLinkPath(points, 0)).toEqual({ x: 0, y: 0, angle: Math.PI / 2 });
+            expect(linkHelper.getPointAlongLinkPath(points, 1)).toEqual({ x: 100, y: 50, angle: 0 });
+        });
+    });
+
+    describe("#getLabelPlacement", () => {
+        test("should anchor labels at the start, middle or end of the link", () => {
+            expect(linkHelper.getLabelPlacement("start")).toEqual({ fraction: 0, anchor: "start" });
+            expect(linkHelper.getLabelPlacement("middle")).toEqual({ fraction: 0.5, anchor: "middle" });
+            expect(linkHelper.getLabelPlacement("end")).toEqual({ fraction: 1, anchor: "end" });
+        });
+
+        test("should center labels at some percentage of the link", () => {
+            expect(linkHelper.getLabelPlacement("25%")).toEqual({ fraction: 0.25, anchor: "middle" });
+            expect(linkHelper.getLabelPlacement(80)).toEqual({ fraction: 0.8, anchor: "middle" });
+            expect(linkHelper.getLabelPlacement("150%")).toEqual({ fraction: 1, anchor: "middle" });
+        });
+    });
+
+    describe("#buildSelfLoopPath", () => {
+        test("should return a loop that leaves and comes back to the node", () => {
+            const { d: path } = linkHelper.buildSelfLoopPath({ x: 10, y: 20 }, { angle: 0, size: 30 });
+            const [, x1, y1, x2, y2, x3, y3] = path
+                .match(/^M10,20C([\d.-]+),([\d.-]+) ([\d.-]+),([\d.-]+) ([\d.-]+),([\d.-]+)$/)
+                .map(Number);
+
+            expect(x1).toBeCloseTo(50);
+            expect(y1).toBeCloseTo(20 - 40 * Math.tan(Math.PI / 6));
+            expect(x2).toBeCloseTo(50);
+            expect(y2).toBeCloseTo(20 + 40 * Math.tan(Math.PI / 6));
+            expect([x3, y3]).toEqual([10, 20]);
+        });
+    });
+
+    describe("#getSelfLoopSize", () => {
+        test("should scale with the node and stack several loops", () => {
+            expect(linkHelper.getSelfLoopSize(5)).toEqual(20);
+            expect(linkHelper.getSelfLoopSize(5, 1)).toEqual(35);
+            expect(linkHelper.getSelfLoopSize(20, 1)).toEqual(60);
+        });
+    });
+
+    describe("#getLinkId", () => {
+        test("should identify parallel links by their index", () => {
+            expect(linkHelper.getLinkId({ source: "A", target: "B", parallelIndex: 0 })).toEqual("A,B");
+            expect(linkHelper.getLinkId({ source: { id: "A" }, target: "B", parallelIndex: 2 })).toEqual("A,B,2");
+        });
     });
 });
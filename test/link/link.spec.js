@@ -32,4 +32,73 @@ describe("Link Component", () => {
         that.tree.children[0].props.onClick();
         expect(that.callbackMock).toBeCalled();
     });
+
+    test("should pass the link id to the callback so that parallel links can be told apart", () => {
+        that.tree.children[0].props.onClick("event");
+        expect(that.callbackMock).toHaveBeenCalledWith("A", "B", "event", "A#B");
+    });
+
+    test("should animate dashes flowing along the link", () => {
+        const link = renderer.create(
+            <Link id="A,B" d="M0,0L10,0" flow={{ dashArray: [6, 4], direction: -1, duration: 2 }} />
+        );
+        const path = link.root.findByType("path");
+
+        expect(path.props.style.strokeDasharray).toEqual("6 4");
+        expect(path.findByType("animate").props).toMatchObject({
+            attributeName: "stroke-dashoffset",
+            from: -10,
+            to: 0,
+            dur: "2s",
+        });
+    });
+
+    describe("when the link has a label", () => {
+        const renderLabel = props =>
+            renderer
+                .create(
+                    <Link
+                        id="A,B"
+                        graphId="graph"
+                        d="M10,0L0,0"
+                        label="label"
+                        fontSize={10}
+                        labelOffset={4}
+                        labelStartOffset="25%"
+                        labelAnchor="start"
+                        {...props}
+                    />
+                )
+                .root.findByType("text");
+
+        test("should place the label along the link", () => {
+            const text = renderLabel();
+            const textPath = text.findByType("textPath");
+
+            expect(text.props.dy).toEqual(-4);
+            expect(text.props.style.textAnchor).toEqual("start");
+            expect(textPath.props.href).toEqual("#A,B");
+            expect(textPath.props.startOffset).toEqual("25%");
+        });
+
+        test("should follow the reversed path when there's one", () => {
+            const link = renderer.create(<Link id="A,B" d="M10,0L0,0" label="label" labelPath="M0,0L10,0" />);
+            const [, labelPath] = link.root.findAllByType("path");
+
+            expect(labelPath.props).toEqual({ id: "A,B-label", d: "M0,0L10,0" });
+            expect(link.root.findByType("textPath").props.href).toEqual("#A,B-label");
+        });
+
+        test("should outline the label with a halo", () => {
+            const { style } = renderLabel({ labelBackground: "halo", labelBackgroundColor: "white" }).props;
+
+            expect(style).toMatchObject({ stroke: "white", strokeWidth: 3, paintOrder: "stroke" });
+        });
+
+        test("should draw the label over a background rectangle", () => {
+            const text = renderLabel({ labelBackground: "rect", labelBackgroundColor: "#fff" });
+
+            expect(text.props.filter).toEqual("url(#graph-label-background-_23_fff)");
+        });
+    });
 });
@@ -1,34 +1,69 @@
 import * as markerHelper from "../../src/components/marker/marker.helper";
 
 describe("Marker Helper", () => {
-    describe("#getMarkerId", () => {
-        describe("when marker is highlighted", () => {
-            test("and size is 'S'mall", () => {
-                const highlighted = true;
-                const markerId = markerHelper.getMarkerId(highlighted, 0.5, { maxZoom: 20 });
+    describe("#getMarkerShapes", () => {
+        const config = { directed: true, link: { markerStart: "none", markerMid: "none", markerEnd: "arrow" } };
 
-                expect(markerId).toEqual("marker-small-highlighted");
-            });
+        test("should fallback to the link config shapes", () => {
+            expect(markerHelper.getMarkerShapes({}, config)).toEqual({ start: null, mid: null, end: "arrow" });
         });
 
-        describe("when marker is not highlighted", () => {
-            let highlighted;
+        test("should let links override the link config shapes", () => {
+            const link = { markerStart: "arrow", markerMid: "circle", markerEnd: "none" };
+
+            expect(markerHelper.getMarkerShapes(link, config)).toEqual({ start: "arrow", mid: "circle", end: null });
+        });
 
-            beforeAll(() => {
-                highlighted = false;
+        test("should ignore unknown shapes", () => {
+            expect(markerHelper.getMarkerShapes({ markerEnd: "star" }, config)).toEqual({
+                start: null,
+                mid: null,
+                end: null,
             });
+        });
 
-            test("and size is 'M'edium", () => {
-                const markerId = markerHelper.getMarkerId(highlighted, 2, { maxZoom: 8 });
+        test("should not have markers when the graph is not directed", () => {
+            const link = { markerStart: "diamond" };
 
-                expect(markerId).toEqual("marker-medium");
+            expect(markerHelper.getMarkerShapes(link, { ...config, directed: false })).toEqual({
+                start: null,
+                mid: null,
+                end: null,
             });
+        });
+    });
 
-            test("and size is 'L'arge", () => {
-                const markerId = markerHelper.getMarkerId(highlighted, 4, { maxZoom: 8 });
+    describe("#getMarkerId", () => {
+        test("should share the definition of start and end markers", () => {
+            expect(markerHelper.getMarkerId("graph", "arrow", "start", "red")).toEqual("graph-marker-arrow-tip-red");
+            expect(markerHelper.getMarkerId("graph", "arrow", "end", "red")).toEqual("graph-marker-arrow-tip-red");
+            expect(markerHelper.getMarkerId("graph", "arrow", "mid", "red")).toEqual("graph-marker-arrow-mid-red");
+        });
 
-                expect(markerId).toEqual("marker-large");
-            });
+        test("should escape colors that are not valid within ids", () => {
+            expect(markerHelper.getMarkerId("graph", "circle", "end", "#d3d3d3")).toEqual(
+                "graph-marker-circle-tip-_23_d3d3d3"
+            );
+            expect(markerHelper.getMarkerId("graph", "bar", "end", "rgb(0,0,0)")).toEqual(
+                "graph-marker-bar-tip-rgb_28_0_2c_0_2c_0_29_"
+            );
+        });
+    });
+
+    describe("#getMarkerDefinitions", () => {
+        test("should define each combination of shape, position and color once", () => {
+            const linksProps = [
+                { stroke: "red", markers: { start: "arrow", mid: null, end: "arrow" } },
+                { stroke: "red", markers: { start: null, mid: "circle", end: "arrow" } },
+                { stroke: "blue", markers: { start: null, mid: null, end: "arrow" } },
+                { stroke: "blue", markers: { start: null, mid: null, end: null } },
+            ];
+
+            expect(markerHelper.getMarkerDefinitions("graph", linksProps)).toEqual([
+                { id: "graph-marker-arrow-tip-red", shape: "arrow", fill: "red", refX: 10 },
+                { id: "graph-marker-circle-mid-red", shape: "circle", fill: "red", refX: 5 },
+                { id: "graph-marker-arrow-tip-blue", shape: "arrow", fill: "blue", refX: 10 },
+            ]);
         });
     });
 });
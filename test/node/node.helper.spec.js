@@ -0,0 +1,123 @@
+import nodeHelper from "../../src/components/node/node.helper";
+
+describe("Node Helper", () => {
+    describe("#getNodeBoundaryDistance", () => {
+        test("should return the radius of circle nodes in every direction", () => {
+            const shape = { size: 100 * Math.PI, type: "circle" };
+
+            expect(nodeHelper.getNodeBoundaryDistance(shape, 0)).toBeCloseTo(10);
+            expect(nodeHelper.getNodeBoundaryDistance(shape, 1)).toBeCloseTo(10);
+        });
+
+        test("should reach the corners of square nodes", () => {
+            const shape = { size: 400, type: "square" };
+
+            expect(nodeHelper.getNodeBoundaryDistance(shape, 0)).toBeCloseTo(10);
+            expect(nodeHelper.getNodeBoundaryDistance(shape, Math.PI / 4)).toBeCloseTo(10 * Math.SQRT2);
+        });
+
+        test("should follow the diamond edges", () => {
+            const shape = { size: 400, type: "diamond" };
+            const halfHeight = Math.sqrt(400 / (2 * Math.sqrt(1 / 3)));
+
+            expect(nodeHelper.getNodeBoundaryDistance(shape, Math.PI / 2)).toBeCloseTo(halfHeight);
+            expect(nodeHelper.getNodeBoundaryDistance(shape, 0)).toBeCloseTo(halfHeight * Math.sqrt(1 / 3));
+        });
+
+        test("should use the image rectangle of svg nodes", () => {
+            const shape = { size: 400, type: "circle", rect: true };
+
+            expect(nodeHelper.getNodeBoundaryDistance(shape, Math.PI)).toBeCloseTo(20);
+            expect(nodeHelper.getNodeBoundaryDistance(shape, Math.PI / 4)).toBeCloseTo(20 * Math.SQRT2);
+        });
+    });
+
+    describe("#getNodeExtent", () => {
+        test("should size the bounding box after the node symbol", () => {
+            expect(nodeHelper.getNodeExtent({ size: 400, type: "square" })).toEqual({ width: 20, height: 20 });
+        });
+
+        test("should fit the diamond within its bounding box", () => {
+            const { width, height } = nodeHelper.getNodeExtent({ size: 400, type: "diamond" });
+
+            expect(width * height).toBeCloseTo(800);
+            expect(height).toBeGreaterThan(width);
+        });
+    });
+
+    describe("#getNodeLabelLayout", () => {
+        const shape = { size: 100 * Math.PI, type: "circle" };
+
+        test("should place single line labels at the right of the node by default", () => {
+            const layout = nodeHelper.getNodeLabelLayout("label", shape, { fontSize: 10 });
+
+            expect(layout.lines).toEqual(["label"]);
+            expect(layout.title).toBeNull();
+            expect(layout.anchor).toEqual("start");
+            expect(layout.x).toBeCloseTo(12.5);
+            expect(layout.y).toBeCloseTo(3.5);
+        });
+
+        test("should place labels next to the node boundary in every position", () => {
+            const layout = position => nodeHelper.getNodeLabelLayout("label", shape, { position, fontSize: 10 });
+
+            expect(layout("left")).toMatchObject({ anchor: "end" });
+            expect(layout("left").x).toBeCloseTo(-12.5);
+            expect(layout("top")).toMatchObject({ anchor: "middle", x: 0 });
+            expect(layout("top").y).toBeCloseTo(-15);
+            expect(layout("bottom")).toMatchObject({ anchor: "middle", x: 0 });
+            expect(layout("bottom").y).toBeCloseTo(20.5);
+            expect(layout("center")).toMatchObject({ anchor: "middle", x: 0 });
+            expect(layout("center").y).toBeCloseTo(3.5);
+        });
+
+        test("should wrap labels into lines that fit the max width", () => {
+            const layout = nodeHelper.getNodeLabelLayout("a rather long label", shape, {
+                maxWidth: 48,
+                fontSize: 10,
+            });
+
+            expect(layout.lines).toEqual(["a rather", "long", "label"]);
+            expect(layout.lineHeight).toEqual(12);
+            expect(layout.y).toBeCloseTo(-12 + 3.5);
+            expect(layout.title).toBeNull();
+        });
+
+        test("should break words that don't fit a line by themselves", () => {
+            const layout = nodeHelper.getNodeLabelLayout("abcdefghij", shape, { maxWidth: 24, fontSize: 10 });
+
+            expect(layout.lines).toEqual(["abcd", "efgh", "ij"]);
+        });
+
+        test("should truncate labels with more lines than allowed", () => {
+            const layout = nodeHelper.getNodeLabelLayout("a rather long label", shape, {
+                maxWidth: 48,
+                maxLines: 2,
+                fontSize: 10,
+            });
+
+            expect(layout.lines).toEqual(["a rather", "long\u2026"]);
+            expect(layout.title).toEqual("a rather long label");
+        });
+
+        test("should keep the labels above the node growing upwards", () => {
+            const layout = nodeHelper.getNodeLabelLayout("a rather long label", shape, {
+                position: "top",
+                maxWidth: 48,
+                fontSize: 10,
+            });
+
+            expect(layout.y).toBeCloseTo(-15 - 24);
+        });
+    });
+
+    describe("#getNodeBadgeLayout", () => {
+        test("should place the badge on the top right of the node boundary", () => {
+            const badge = nodeHelper.getNodeBadgeLayout({ size: 400, type: "square" }, 10);
+
+            expect(badge.x).toBeCloseTo(10);
+            expect(badge.y).toBeCloseTo(-10);
+            expect(badge.radius).toBeCloseTo(9);
+        });
+    });
+});
@@ -51,4 +51,57 @@ describe("Node Component", () => {
         that.tree.children[0].props.onMouseOut();
         expect(that.mouseOutCallback).toBeCalled();
     });
+
+    test("should render laid out labels as lines with the full label as title", () => {
+        const tree = renderer
+            .create(
+                <Node
+                    label="a rather long label"
+                    labelAnchor="end"
+                    labelLineHeight={12}
+                    labelLines={["a rather", "long\u2026"]}
+                    labelTitle="a rather long label"
+                    labelX={-12}
+                    labelY={-2.5}
+                    renderLabel={true}
+                    size={120}
+                    type="circle"
+                />
+            )
+            .toJSON();
+        const text = tree.children[1];
+        const [title, first, second] = text.children;
+
+        expect(text.props).toMatchObject({ x: -12, y: -2.5, textAnchor: "end" });
+        expect(title.type).toEqual("title");
+        expect(title.children).toEqual(["a rather long label"]);
+        expect(first.props).toMatchObject({ x: -12, dy: 0 });
+        expect(first.children).toEqual(["a rather"]);
+        expect(second.props).toMatchObject({ x: -12, dy: 12 });
+        expect(second.children).toEqual(["long\u2026"]);
+    });
+
+    test("should render the badge of collapsed nodes on top of the node", () => {
+        const tree = renderer
+            .create(
+                <Node
+                    badge="3"
+                    badgeColor="red"
+                    badgeFontColor="white"
+                    badgeRadius={7}
+                    badgeX={5}
+                    badgeY={-5}
+                    fontSize={8}
+                    label="text"
+                    size={120}
+                    type="circle"
+                />
+            )
+            .toJSON();
+        const [circle, text] = tree.children[1].children;
+
+        expect(circle.props).toMatchObject({ cx: 5, cy: -5, r: 7, fill: "red" });
+        expect(text.props).toMatchObject({ x: 5, y: -5, fill: "white", fontSize: 8, textAnchor: "middle" });
+        expect(text.children).toEqual(["3"]);
+    });
 });
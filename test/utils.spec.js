@@ -275,6 +275,20 @@ describe("Utils", () => {
         });
     });
 
+    describe("#toIdFragment", () => {
+        test("should replace characters that are not allowed in ids", () => {
+            expect(utils.toIdFragment("#d3d3d3")).toEqual("_23_d3d3d3");
+            expect(utils.toIdFragment("rgb(0, 0, 0)")).toEqual("rgb_28_0_2c__20_0_2c__20_0_29_");
+            expect(utils.toIdFragment("light-blue")).toEqual("light-blue");
+        });
+
+        test("should never turn different values into the same fragment", () => {
+            expect(utils.toIdFragment("#d3")).not.toEqual(utils.toIdFragment("23d3"));
+            expect(utils.toIdFragment("_23_d3")).not.toEqual(utils.toIdFragment("#d3"));
+            expect(utils.toIdFragment("_23_d3")).toEqual("_5f_23_5f_d3");
+        });
+    });
+
     describe("#throwErr", () => {
         test("should throw error", () => {
             const c = "some component";
@@ -4,10 +4,13 @@ const BundleAnalyzerPlugin = require("webpack-bundle-analyzer").BundleAnalyzerPl
 
 module.exports = {
     context: path.join(__dirname, "src"),
-    entry: "./index.js",
+    entry: {
+        rd3g: "./index.js",
+        "rd3g.worker": "./components/graph/simulation.worker.js",
+    },
     output: {
         path: __dirname + "/dist/",
-        filename: "rd3g.bundle.js",
+        filename: "[name].bundle.js",
     },
     module: {
         rules: [